@@ -6,6 +6,15 @@ import { initializeFirebase, isFirebaseConfigured } from './src/config/firebase.
 import { initializeSocket, shutdownSocket } from './src/socket/index.js';
 import socketService from './src/services/socketService.js';
 import cacheService from './src/services/cacheService.js';
+import collaborativeEditingService from './src/services/collaborativeEditingService.js';
+import searchService from './src/services/searchService.js';
+import publishSchedulerService from './src/services/publishSchedulerService.js';
+import digestService from './src/services/digestService.js';
+import campaignService from './src/services/campaignService.js';
+import notificationEmailService from './src/services/notificationEmailService.js';
+import notificationSummaryService from './src/services/notificationSummaryService.js';
+import analyticsReportScheduleService from './src/services/analyticsReportScheduleService.js';
+import trendingService from './src/services/trendingService.js';
 
 const PORT = process.env.PORT || 10000;
 
@@ -43,6 +52,11 @@ const startServer = async () => {
       cacheStatus = '✗';
     }
     
+    // Search index (built in the background the first time)
+    searchService.ensureIndex().catch(e => {
+      console.error('❌ Failed to build search index:', e.message);
+    });
+
     // Email
     try {
       if (process.env.NODE_ENV !== 'test') await testEmail();
@@ -89,6 +103,24 @@ const startServer = async () => {
       socketStatus = '✗';
     }
 
+    // Publish approved posts when their scheduled time comes
+    publishSchedulerService.start();
+
+    // Send the weekly digest and admin campaigns to newsletter subscribers
+    digestService.start();
+    campaignService.start();
+
+    // Email notifications to users who chose email for them, and the
+    // hourly or daily summaries of unread ones
+    notificationEmailService.start();
+    notificationSummaryService.start();
+
+    // Email admins the analytics reports they scheduled
+    analyticsReportScheduleService.start();
+
+    // Rescore trending posts from their recent engagement
+    trendingService.start();
+
     httpServer.listen(PORT, '0.0.0.0', () => {
       // Production-ready startup message
       if (process.env.NODE_ENV === 'production') {
@@ -117,6 +149,22 @@ const startServer = async () => {
     const gracefulShutdown = async (signal) => {
       console.log(`\n${signal} received, starting graceful shutdown...`);
       
+      publishSchedulerService.stop();
+      digestService.stop();
+      campaignService.stop();
+      notificationEmailService.stop();
+      notificationSummaryService.stop();
+      analyticsReportScheduleService.stop();
+      trendingService.stop();
+
+      // Save documents still being co-edited before dropping their sockets
+      try {
+        await collaborativeEditingService.flushAll();
+        console.log('✅ Collaborative editing sessions saved');
+      } catch (error) {
+        console.error('❌ Error saving editing sessions:', error);
+      }
+
       // Close Socket.io connections first
       try {
         shutdownSocket();
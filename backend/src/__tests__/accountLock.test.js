@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for Sign-in Throttling and Lockout
+ * Feature: account-lockout
+ *
+ * These tests verify how long a user has to wait after failed sign-ins,
+ * and when a lock or a delay stops the next attempt
+ */
+
+import accountLockService from '../services/accountLockService.js';
+
+const NOW = new Date('2026-01-01T12:00:00Z');
+const secondsAgo = (seconds) => new Date(NOW.getTime() - seconds * 1000);
+const minutesAhead = (minutes) => new Date(NOW.getTime() + minutes * 60 * 1000);
+
+describe('Account Lock Delays', () => {
+  test('does not delay the first failures', () => {
+    expect(accountLockService.delayAfter(0)).toBe(0);
+    expect(accountLockService.delayAfter(1)).toBe(0);
+  });
+
+  test('doubles the delay after each further failure', () => {
+    expect(accountLockService.delayAfter(2)).toBe(2);
+    expect(accountLockService.delayAfter(3)).toBe(4);
+    expect(accountLockService.delayAfter(4)).toBe(8);
+  });
+
+  test('caps the delay at a minute', () => {
+    expect(accountLockService.delayAfter(7)).toBe(60);
+    expect(accountLockService.delayAfter(50)).toBe(60);
+  });
+});
+
+describe('Account Lock Check', () => {
+  test('allows users without failed attempts', () => {
+    expect(accountLockService.check({ loginAttempts: 0 }, NOW)).toBeNull();
+  });
+
+  test('reports a lock with the time left', () => {
+    const result = accountLockService.check(
+      { loginAttempts: 5, lastFailedLoginAt: NOW, lockUntil: minutesAhead(10) },
+      NOW
+    );
+
+    expect(result.reason).toBe('locked');
+    expect(result.retryAfter).toBe(600);
+    expect(result.message).toContain('10 minutes');
+  });
+
+  test('allows an attempt once the lock has run out', () => {
+    const user = { loginAttempts: 5, lastFailedLoginAt: secondsAgo(1), lockUntil: minutesAhead(-1) };
+    expect(accountLockService.check(user, NOW)).toBeNull();
+  });
+
+  test('throttles attempts until the delay has passed', () => {
+    const user = { loginAttempts: 3, lastFailedLoginAt: secondsAgo(1) };
+    const result = accountLockService.check(user, NOW);
+
+    expect(result.reason).toBe('throttled');
+    expect(result.retryAfter).toBe(3);
+    expect(result.message).toContain('3 seconds');
+  });
+
+  test('allows an attempt once the delay has passed', () => {
+    const user = { loginAttempts: 3, lastFailedLoginAt: secondsAgo(4) };
+    expect(accountLockService.check(user, NOW)).toBeNull();
+  });
+
+  test('does not throttle within the free attempts', () => {
+    const user = { loginAttempts: 1, lastFailedLoginAt: NOW };
+    expect(accountLockService.check(user, NOW)).toBeNull();
+  });
+});
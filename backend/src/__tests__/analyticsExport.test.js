@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for Analytics Exports
+ * Feature: analytics-exports
+ *
+ * These tests verify that date parameters become whole UTC days within the
+ * allowed range, and that CSV cells are quoted and can't run as formulas
+ */
+
+import { jest } from '@jest/globals';
+import analyticsExportService from '../services/analyticsExportService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const csvOf = (rows) => analyticsExportService
+  .toCsv('Report', 'period', [{ name: 'Sheet', columns: [{ key: 'value', header: 'Value' }], rows }])
+  .toString('utf8');
+
+// The cells of the data rows, without the byte order mark and header
+const cellsOf = (rows) => csvOf(rows).split('\r\n').slice(1, -1);
+
+describe('Analytics Export Ranges', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('covers whole days, including the day of to', () => {
+    const range = analyticsExportService.parseRange({ from: '2026-03-01T15:00:00Z', to: '2026-03-10T08:30:00Z' });
+
+    expect(range.from).toEqual(new Date('2026-03-01T00:00:00Z'));
+    expect(range.to).toEqual(new Date('2026-03-11T00:00:00Z'));
+  });
+
+  test('accepts startDate and endDate as older names', () => {
+    const range = analyticsExportService.parseRange({ startDate: '2026-03-01', endDate: '2026-03-01' });
+
+    expect(range.to - range.from).toBe(DAY);
+  });
+
+  test('ends today and covers the default days when nothing is given', () => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T12:00:00Z') });
+
+    expect(analyticsExportService.parseRange({})).toEqual({
+      from: new Date('2026-02-09T00:00:00Z'),
+      to: new Date('2026-03-11T00:00:00Z')
+    });
+    expect(analyticsExportService.parseRange({}, 7).from).toEqual(new Date('2026-03-04T00:00:00Z'));
+  });
+
+  test.each([
+    ['invalid dates', { from: 'yesterday' }, 'valid dates'],
+    ['from after to', { from: '2026-03-10', to: '2026-03-01' }, 'must not be after'],
+    ['ranges over two years', { from: '2024-01-01', to: '2026-03-01' }, 'at most']
+  ])('rejects %s', (_, params, message) => {
+    expect(() => analyticsExportService.parseRange(params)).toThrow(
+      expect.objectContaining({ statusCode: 400, message: expect.stringContaining(message) })
+    );
+  });
+});
+
+describe('Analytics Export CSV', () => {
+  test('starts with a byte order mark and a header row', () => {
+    expect(csvOf([])).toBe('\uFEFFValue\r\n');
+  });
+
+  test('quotes cells with commas, quotes or line breaks', () => {
+    expect(cellsOf([
+      { value: 'a, b' },
+      { value: 'say "hi"' },
+      { value: 'two\nlines' }
+    ])).toEqual(['"a, b"', '"say ""hi"""', '"two\nlines"']);
+  });
+
+  test('keeps text that starts like a formula from running', () => {
+    expect(cellsOf([
+      { value: '=HYPERLINK("http://example.com")' },
+      { value: '+1' },
+      { value: '@SUM(A1)' }
+    ])).toEqual([`"'=HYPERLINK(""http://example.com"")"`, "'+1", "'@SUM(A1)"]);
+  });
+
+  test('writes numbers as they are and leaves missing values empty', () => {
+    expect(cellsOf([{ value: -3 }, { value: null }, {}])).toEqual(['-3', '', '']);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit Tests for Cohort Analysis Filters
+ * Feature: cohort-analysis
+ *
+ * These tests verify that the filters of the cohort report reach the
+ * aggregation only as plain values, never as query operators
+ */
+
+import { jest } from '@jest/globals';
+import cohortAnalysisService from '../services/cohortAnalysisService.js';
+import { getCohorts } from '../controllers/analyticsController.js';
+
+const respond = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+beforeEach(() => {
+  jest.spyOn(cohortAnalysisService, 'getCohorts').mockResolvedValue({ cohorts: [] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Cohort Analysis Filters', () => {
+  test('filters by department name', async () => {
+    const res = respond();
+
+    await getCohorts({ query: { department: 'Computer Science' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const [{ filters }] = cohortAnalysisService.getCohorts.mock.calls[0];
+    expect(filters).toEqual({ department: 'Computer Science' });
+  });
+
+  test.each([
+    ['an operator', { $ne: 'Computer Science' }],
+    ['a list', ['Computer Science', 'Law']]
+  ])('rejects %s as the department', async (_, department) => {
+    const res = respond();
+
+    await getCohorts({ query: { department } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(cohortAnalysisService.getCohorts).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown affiliations', async () => {
+    const res = respond();
+
+    await getCohorts({ query: { roleApplication: 'visitor' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(cohortAnalysisService.getCohorts).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for Saving Collaborative Documents
+ * Feature: collaborative-editing
+ *
+ * These tests verify that a session is only marked saved once its document
+ * is written to the post, so a failed write is retried instead of dropped
+ */
+
+import { jest } from '@jest/globals';
+
+const BlogPost = { updateOne: jest.fn() };
+const searchService = { reindexPost: jest.fn() };
+
+jest.unstable_mockModule('../models/blogpost/index.js', () => ({ default: BlogPost }));
+jest.unstable_mockModule('../services/searchService.js', () => ({ default: searchService }));
+
+const { default: collaborativeEditingService } = await import('../services/collaborativeEditingService.js');
+
+const makeSession = () => ({
+  postId: 'post-1',
+  document: 'Hello world',
+  version: 3,
+  dirty: true,
+  persistTimer: null
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  BlogPost.updateOne.mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe('Collaborative Document Persistence', () => {
+  test('marks the session saved after the write', async () => {
+    const session = makeSession();
+
+    await collaborativeEditingService.persist(session);
+
+    const [filter, update] = BlogPost.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: 'post-1' });
+    expect(update.$set).toMatchObject({ content: 'Hello world', collabVersion: 3 });
+    expect(session.dirty).toBe(false);
+  });
+
+  test('keeps the session unsaved when the write fails', async () => {
+    const session = makeSession();
+    BlogPost.updateOne.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(collaborativeEditingService.persist(session)).rejects.toThrow('connection lost');
+    expect(session.dirty).toBe(true);
+    expect(searchService.reindexPost).not.toHaveBeenCalled();
+
+    await collaborativeEditingService.persist(session);
+
+    expect(BlogPost.updateOne).toHaveBeenCalledTimes(2);
+    expect(session.dirty).toBe(false);
+  });
+
+  test('keeps edits made during the write unsaved', async () => {
+    const session = makeSession();
+    BlogPost.updateOne.mockImplementationOnce(async () => {
+      session.document = 'Hello there world';
+      session.dirty = true;
+    });
+
+    await collaborativeEditingService.persist(session);
+
+    expect(session.dirty).toBe(true);
+  });
+
+  test('skips sessions with nothing to save', async () => {
+    await collaborativeEditingService.persist({ ...makeSession(), dirty: false });
+
+    expect(BlogPost.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for Notification Delivery Decisions
+ * Feature: notification-preferences
+ *
+ * These tests verify that each notification is delivered on the channel the
+ * recipient chose, that mutes and quiet hours hold back what they should,
+ * and that required categories always get through
+ */
+
+import mongoose from 'mongoose';
+import notificationPolicyService from '../services/notificationPolicyService.js';
+
+// 23:30 in Addis Ababa (UTC+3)
+const NIGHT = new Date('2026-01-01T20:30:00Z');
+// 12:00 in Addis Ababa
+const NOON = new Date('2026-01-01T09:00:00Z');
+
+const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+const timezone = 'Africa/Addis_Ababa';
+
+const decide = (preferences, category = 'comments', data = {}, now = NOON) =>
+  notificationPolicyService.decide({ preferences }, data, category, now);
+
+describe('Quiet Hours', () => {
+  test('end at the end time in the user\'s timezone, across midnight', () => {
+    expect(notificationPolicyService.quietHoursEnd({ quietHours, timezone }, NIGHT))
+      .toEqual(new Date('2026-01-02T04:00:00Z'));
+  });
+
+  test('do not apply outside the window', () => {
+    expect(notificationPolicyService.quietHoursEnd({ quietHours, timezone }, NOON)).toBeNull();
+  });
+
+  test('handle windows within one day', () => {
+    const preferences = { quietHours: { enabled: true, start: '09:00', end: '17:00' }, timezone };
+
+    expect(notificationPolicyService.quietHoursEnd(preferences, NOON))
+      .toEqual(new Date('2026-01-01T14:00:00Z'));
+  });
+
+  test('use UTC when the timezone is unknown', () => {
+    const preferences = { quietHours, timezone: 'Mars/Olympus_Mons' };
+
+    expect(notificationPolicyService.quietHoursEnd(preferences, NIGHT)).toBeNull();
+    expect(notificationPolicyService.quietHoursEnd(preferences, new Date('2026-01-01T23:00:00Z')))
+      .toEqual(new Date('2026-01-02T07:00:00Z'));
+  });
+
+  test('are off unless enabled with different start and end times', () => {
+    expect(notificationPolicyService.quietHoursEnd({ quietHours: { ...quietHours, enabled: false }, timezone }, NIGHT)).toBeNull();
+    expect(notificationPolicyService.quietHoursEnd({ quietHours: { ...quietHours, end: '22:00' }, timezone }, NIGHT)).toBeNull();
+  });
+});
+
+describe('Notification Delivery Decisions', () => {
+  test('delivers in-app with a live alert by default', () => {
+    expect(decide({})).toEqual({ deliver: true, live: true, emailAt: null });
+  });
+
+  test('emails categories on the email channel right away', () => {
+    expect(decide({ notificationChannels: { comments: 'email' } }))
+      .toEqual({ deliver: true, live: true, emailAt: NOON });
+  });
+
+  test('drops categories on the none channel', () => {
+    expect(decide({ notificationChannels: { comments: 'none' } }).deliver).toBe(false);
+  });
+
+  test('follows the older on/off flag when no channel is chosen', () => {
+    expect(decide({ commentNotifications: false }).deliver).toBe(false);
+    expect(decide({ commentNotifications: false, notificationChannels: { comments: 'in_app' } }).deliver).toBe(true);
+  });
+
+  test('never drops required categories', () => {
+    expect(decide({ notificationChannels: { myPosts: 'none' } }, 'myPosts').deliver).toBe(true);
+  });
+
+  test('sends no email when emails are switched off', () => {
+    expect(decide({ emailNotifications: false, notificationChannels: { comments: 'email' } }).emailAt).toBeNull();
+  });
+
+  test('stores notifications without a live alert when push is off', () => {
+    expect(decide({ pushNotifications: false })).toEqual({ deliver: true, live: false, emailAt: null });
+  });
+
+  test('holds back live alerts and emails until quiet hours end', () => {
+    const preferences = { quietHours, timezone, notificationChannels: { comments: 'email' } };
+
+    expect(decide(preferences, 'comments', {}, NIGHT)).toEqual({
+      deliver: true,
+      live: false,
+      emailAt: new Date('2026-01-02T04:00:00Z')
+    });
+  });
+
+  test('drops notifications about muted posts and people, except required ones', () => {
+    const post = new mongoose.Types.ObjectId();
+    const sender = new mongoose.Types.ObjectId();
+    const preferences = { mutedPosts: [post], mutedUsers: [sender] };
+
+    expect(decide(preferences, 'comments', { relatedPost: post }).deliver).toBe(false);
+    expect(decide(preferences, 'comments', { metadata: { postId: post.toString() } }).deliver).toBe(false);
+    expect(decide(preferences, 'likes', { sender: { _id: sender } }).deliver).toBe(false);
+    expect(decide(preferences, 'myPosts', { relatedPost: post }).deliver).toBe(true);
+    expect(decide(preferences, 'comments', { relatedPost: new mongoose.Types.ObjectId() }).deliver).toBe(true);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for Choosing Who Gets a Notification Summary
+ * Feature: notification-summaries
+ *
+ * These tests verify that each check picks only users whose own summary
+ * period has passed, so users who aren't due can't crowd out those who are
+ */
+
+import sift from 'sift';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-01-01T12:00:00Z');
+
+let users = [];
+
+const sentAtOf = (user) => user.notificationSummarySentAt?.getTime() ?? -Infinity;
+
+// Enough of a Mongoose query to filter, sort and limit `users` like MongoDB
+const query = (docs) => ({
+  sort: ({ notificationSummarySentAt }) =>
+    query([...docs].sort((a, b) => (sentAtOf(a) - sentAtOf(b)) * notificationSummarySentAt)),
+  limit: (count) => query(docs.slice(0, count)),
+  select: () => query(docs),
+  then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+});
+
+const User = { find: jest.fn((filter) => query(users.filter(sift(filter)))) };
+
+jest.unstable_mockModule('../models/User.js', () => ({ default: User }));
+
+const { default: notificationSummaryService } = await import('../services/notificationSummaryService.js');
+
+const makeUser = (notificationSummary, lastSentHoursAgo) => ({
+  _id: new mongoose.Types.ObjectId(),
+  isActive: true,
+  preferences: { notificationSummary, emailNotifications: true },
+  ...(lastSentHoursAgo !== undefined && {
+    notificationSummarySentAt: new Date(NOW - lastSentHoursAgo * HOUR)
+  })
+});
+
+let summarized;
+
+beforeEach(() => {
+  summarized = [];
+  jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+  jest.spyOn(notificationSummaryService, 'summarize').mockImplementation(async (user) => {
+    summarized.push(user);
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('Notification Summary Selection', () => {
+  test('reaches hourly users behind more than a batch of daily users not yet due', async () => {
+    // Sent two hours ago: older than an hour, but a day hasn't passed
+    users = Array.from({ length: 150 }, () => makeUser('daily', 2));
+    const hourly = makeUser('hourly', 3);
+    users.push(hourly);
+
+    await notificationSummaryService.sendDue();
+
+    expect(summarized).toEqual([hourly]);
+  });
+
+  test('picks daily users once a day has passed', async () => {
+    const due = makeUser('daily', 25);
+    users = [makeUser('daily', 23), due];
+
+    await notificationSummaryService.sendDue();
+
+    expect(summarized).toEqual([due]);
+  });
+
+  test('picks users who never had a summary first, then the longest waiting', async () => {
+    const never = makeUser('hourly');
+    const dailyDue = makeUser('daily', 30);
+    const hourlyDue = makeUser('hourly', 5);
+    users = [hourlyDue, makeUser('hourly', 0.5), dailyDue, never];
+
+    await notificationSummaryService.sendDue();
+
+    expect(summarized).toEqual([never, dailyDue, hourlyDue]);
+  });
+
+  test('leaves out users without a summary preference', async () => {
+    users = [makeUser('off', 48), makeUser(undefined, 48)];
+
+    await notificationSummaryService.sendDue();
+
+    expect(summarized).toEqual([]);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for Permissions
+ * Feature: roles-and-permissions
+ *
+ * These tests verify that a user's permissions follow from their roles,
+ * that permissions of a role limited to some categories only hold in those
+ * categories, and that admin always has every permission
+ */
+
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import Role, { PERMISSIONS } from '../models/Role.js';
+import User from '../models/User.js';
+import permissionService from '../services/permissionService.js';
+
+const roles = [
+  // Stored with fewer permissions than it has
+  { name: 'admin', permissions: ['post.create'], categories: [] },
+  { name: 'moderator', permissions: ['post.approve', 'comment.hide', 'report.manage'], categories: [] },
+  { name: 'author', permissions: ['post.create', 'analytics.own'], categories: [] },
+  { name: 'reader', permissions: [], categories: [] },
+  // Scoped permissions only for these categories; report.manage everywhere
+  { name: 'tech-desk', permissions: ['post.approve', 'comment.hide', 'report.manage'], categories: ['Technology', 'Science'] },
+  { name: 'sports-desk', permissions: ['post.approve'], categories: ['Sports'] }
+];
+
+const user = (...names) => ({ _id: new mongoose.Types.ObjectId(), roles: names });
+
+beforeEach(() => {
+  permissionService.clearCache();
+  jest.spyOn(Role, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(Role, 'find').mockReturnValue({
+    sort: () => ({ lean: async () => roles.map(role => ({ ...role })) })
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Permission Resolution', () => {
+  test('combines the permissions of all the user\'s roles', async () => {
+    const { global, scoped } = await permissionService.resolve(user('author', 'moderator'));
+
+    expect([...global].sort()).toEqual(['analytics.own', 'comment.hide', 'post.approve', 'post.create', 'report.manage']);
+    expect(scoped.size).toBe(0);
+  });
+
+  test('gives admin every permission, whatever is stored for it', async () => {
+    const { global } = await permissionService.resolve(user('admin'));
+
+    expect([...global].sort()).toEqual(Object.keys(PERMISSIONS).sort());
+  });
+
+  test('limits scoped permissions of a category role to its categories', async () => {
+    const { global, scoped } = await permissionService.resolve(user('tech-desk', 'sports-desk'));
+
+    expect([...global]).toEqual(['report.manage']);
+    expect([...scoped.get('post.approve')].sort()).toEqual(['Science', 'Sports', 'Technology']);
+    expect([...scoped.get('comment.hide')].sort()).toEqual(['Science', 'Technology']);
+  });
+
+  test('drops category limits when another role grants the permission everywhere', async () => {
+    const { global, scoped } = await permissionService.resolve(user('tech-desk', 'moderator'));
+
+    expect(global.has('post.approve')).toBe(true);
+    expect(scoped.has('post.approve')).toBe(false);
+  });
+
+  test('falls back to the role field when the roles array is empty', async () => {
+    const { global } = await permissionService.resolve({ role: 'author', roles: [] });
+
+    expect(global.has('post.create')).toBe(true);
+  });
+
+  test('ignores roles that no longer exist', async () => {
+    const { global, scoped } = await permissionService.resolve(user('retired-role'));
+
+    expect(global.size).toBe(0);
+    expect(scoped.size).toBe(0);
+  });
+});
+
+describe('Permission Checks', () => {
+  test('has() counts a permission held in any category', async () => {
+    expect(await permissionService.has(user('tech-desk'), 'post.approve')).toBe(true);
+    expect(await permissionService.has(user('author'), 'post.approve', 'user.view')).toBe(false);
+    expect(await permissionService.has(user('author'), 'post.approve', 'post.create')).toBe(true);
+    expect(await permissionService.has(null, 'post.create')).toBe(false);
+  });
+
+  test('can() checks scoped permissions against the post\'s category', async () => {
+    const desk = user('tech-desk');
+
+    expect(await permissionService.can(desk, 'post.approve', 'Technology')).toBe(true);
+    expect(await permissionService.can(desk, 'post.approve', 'Sports')).toBe(false);
+    expect(await permissionService.can(desk, 'post.approve')).toBe(false);
+    expect(await permissionService.can(desk, 'report.manage')).toBe(true);
+    expect(await permissionService.can(user('moderator'), 'post.approve', 'Sports')).toBe(true);
+    expect(await permissionService.can(null, 'post.approve', 'Technology')).toBe(false);
+  });
+
+  test('categoriesFor() lists the categories, or null for a site-wide grant', async () => {
+    expect((await permissionService.categoriesFor(user('tech-desk'), 'comment.hide')).sort())
+      .toEqual(['Science', 'Technology']);
+    expect(await permissionService.categoriesFor(user('moderator'), 'comment.hide')).toBeNull();
+    expect(await permissionService.categoriesFor(user('author'), 'comment.hide')).toEqual([]);
+  });
+
+  test('only passes on permissions held site-wide', async () => {
+    expect(await permissionService.canAssign(user('moderator'), ['tech-desk'])).toBe(true);
+    expect(await permissionService.canAssign(user('tech-desk'), ['sports-desk'])).toBe(false);
+    expect(await permissionService.canAssign(user('moderator'), ['author'])).toBe(false);
+  });
+});
+
+describe('Users With a Permission', () => {
+  const ids = [new mongoose.Types.ObjectId()];
+
+  beforeEach(() => {
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: () => ({ lean: async () => ids.map(_id => ({ _id })) })
+    });
+  });
+
+  const rolesQueried = () => User.find.mock.calls[0][0].$or[0].roles.$in;
+
+  test('finds users of every role that grants it', async () => {
+    expect(await permissionService.usersWith('report.manage')).toEqual(ids);
+    expect(rolesQueried().sort()).toEqual(['admin', 'moderator', 'tech-desk']);
+  });
+
+  test('counts category roles for scoped permissions only in their categories', async () => {
+    await permissionService.usersWith('post.approve', 'Sports');
+    expect(rolesQueried().sort()).toEqual(['admin', 'moderator', 'sports-desk']);
+  });
+
+  test('includes active accounts that only have the role field', async () => {
+    await permissionService.usersWith('report.manage');
+
+    const [filter] = User.find.mock.calls[0];
+    expect(filter.$or[1].role.$in.sort()).toEqual(['admin', 'moderator', 'tech-desk']);
+    expect(filter.isActive).toBe(true);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for Report Deduplication
+ * Feature: report-management
+ *
+ * These tests verify that reports on the same target are folded into one
+ * active case, including when two first reports race to open it
+ */
+
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import Report from '../models/Report.js';
+import reportService from '../services/reportService.js';
+
+const targetId = new mongoose.Types.ObjectId();
+const reporterId = new mongoose.Types.ObjectId();
+
+const fileReport = () => reportService.fileReport({
+  targetType: 'comment',
+  targetId,
+  reporterId,
+  reasonCategory: 'spam'
+});
+
+const activeCase = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  severity: 'low',
+  reportCount: 2,
+  save: jest.fn(),
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.spyOn(reportService, 'describeTarget').mockResolvedValue({
+    author: new mongoose.Types.ObjectId(),
+    summary: 'A comment'
+  });
+  jest.spyOn(reportService, 'notifyModerators').mockResolvedValue();
+  jest.spyOn(Report, 'findOneAndUpdate').mockResolvedValue(null);
+  jest.spyOn(Report, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Report, 'create');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Report Deduplication', () => {
+  test('opens a case for the first report and notifies moderators', async () => {
+    const created = activeCase({ reportCount: 1 });
+    Report.create.mockResolvedValue(created);
+
+    const result = await fileReport();
+
+    expect(result).toEqual({ report: created, created: true, duplicate: false });
+    expect(reportService.notifyModerators).toHaveBeenCalledTimes(1);
+  });
+
+  test('joins the active case on the target', async () => {
+    const existing = activeCase();
+    Report.findOneAndUpdate.mockResolvedValue(existing);
+
+    const result = await fileReport();
+
+    expect(result).toEqual({ report: existing, created: false, duplicate: false });
+    const [filter, update] = Report.findOneAndUpdate.mock.calls[0];
+    expect(filter['reporters.user']).toEqual({ $ne: reporterId });
+    expect(update.$inc).toEqual({ reportCount: 1 });
+    expect(Report.create).not.toHaveBeenCalled();
+  });
+
+  test('counts a repeat report from the same user as a duplicate', async () => {
+    const existing = activeCase();
+    Report.findOne.mockResolvedValue(existing);
+
+    const result = await fileReport();
+
+    expect(result).toEqual({ report: existing, created: false, duplicate: true });
+    expect(Report.create).not.toHaveBeenCalled();
+  });
+
+  test('joins the case another report opened at the same time', async () => {
+    const opened = activeCase({ reportCount: 2 });
+    Report.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    Report.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce(opened);
+
+    const result = await fileReport();
+
+    expect(result).toEqual({ report: opened, created: false, duplicate: false });
+    expect(reportService.notifyModerators).not.toHaveBeenCalled();
+  });
+
+  test('passes on other errors from opening the case', async () => {
+    Report.create.mockRejectedValue(new Error('connection lost'));
+
+    await expect(fileReport()).rejects.toThrow('connection lost');
+    expect(Report.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Active Case Flag', () => {
+  test('is cleared when a case is closed', async () => {
+    const report = new Report({ status: 'triaged' });
+    expect(report.active).toBe(true);
+
+    const query = Report.updateMany({ target: targetId }, { $set: { status: 'dismissed' } });
+    await new Promise((resolve, reject) =>
+      Report.schema.s.hooks.execPre('updateMany', query, [], error => error ? reject(error) : resolve())
+    );
+
+    expect(query.getUpdate().$set.active).toBe(false);
+  });
+});
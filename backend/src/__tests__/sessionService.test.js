@@ -0,0 +1,208 @@
+/**
+ * Unit Tests for Refresh Token Rotation
+ * Feature: session-management
+ *
+ * These tests verify that a refresh replaces the token, that a concurrent
+ * refresh with the replaced token is let through only within the grace
+ * window, and that any other reuse of a replaced token revokes the session.
+ * They also verify that a session unused for the session timeout ends, and
+ * that access tokens don't outlive it
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+
+const Session = {
+  findOneAndUpdate: jest.fn(),
+  findById: jest.fn(),
+  updateOne: jest.fn()
+};
+const AuditLogService = { logRefreshTokenReuse: jest.fn() };
+const settings = { security: { sessionTimeout: 24 } };
+
+jest.unstable_mockModule('../models/Session.js', () => ({ default: Session }));
+jest.unstable_mockModule('../services/auditLogService.js', () => ({ default: AuditLogService }));
+jest.unstable_mockModule('../middleware/settingsMiddleware.js', () => ({
+  getSettings: async () => settings
+}));
+
+const { default: sessionService } = await import('../services/sessionService.js');
+const { generateRefreshToken, verifyAccessToken } = await import('../utils/tokens.js');
+
+const HOUR = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const req = { ip: '127.0.0.1', get: () => 'jest' };
+
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+
+// The session as stored after `token` was replaced `rotatedMsAgo` ago
+const rotatedSession = (token, rotatedMsAgo) => ({
+  _id: sessionId,
+  user: userId,
+  tokenHash: 'hash-of-the-new-token',
+  previousTokenHash: hashToken(token),
+  rotatedAt: new Date(Date.now() - rotatedMsAgo),
+  lastSeenAt: new Date(),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  revokedAt: null,
+  save: jest.fn()
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  settings.security.sessionTimeout = 24;
+  delete process.env.ACCESS_TOKEN_EXPIRES_IN;
+});
+
+const lifetimeOf = (accessToken) => {
+  const { iat, exp } = verifyAccessToken(accessToken);
+  return exp - iat;
+};
+
+describe('Refresh Token Rotation', () => {
+  test('replaces the current token with a new one', async () => {
+    const token = generateRefreshToken(userId, sessionId);
+    Session.findOneAndUpdate.mockImplementation(async (filter, update) => ({
+      _id: sessionId,
+      user: userId,
+      expiresAt: update.$set.expiresAt
+    }));
+
+    const result = await sessionService.rotate(token, req);
+
+    const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+    expect(filter.tokenHash).toBe(hashToken(token));
+    expect(update.$set.previousTokenHash).toBe(hashToken(token));
+    expect(update.$set.tokenHash).toBe(hashToken(result.refreshToken));
+    expect(result.refreshToken).not.toBe(token);
+    expect(verifyAccessToken(result.accessToken).sid).toBe(String(sessionId));
+  });
+
+  test('gives a concurrent refresh an access token within the grace window', async () => {
+    const token = generateRefreshToken(userId, sessionId);
+    const session = rotatedSession(token, 2000);
+    Session.findOneAndUpdate.mockResolvedValue(null);
+    Session.findById.mockResolvedValue(session);
+
+    const result = await sessionService.rotate(token, req);
+
+    expect(result.refreshToken).toBeNull();
+    expect(verifyAccessToken(result.accessToken).sid).toBe(String(sessionId));
+    expect(session.revokedAt).toBeNull();
+    expect(session.save).not.toHaveBeenCalled();
+  });
+
+  test('revokes the session when a replaced token comes back after the grace window', async () => {
+    const token = generateRefreshToken(userId, sessionId);
+    const session = rotatedSession(token, 60 * 1000);
+    Session.findOneAndUpdate.mockResolvedValue(null);
+    Session.findById.mockResolvedValue(session);
+
+    await expect(sessionService.rotate(token, req)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(session.revokedAt).toBeInstanceOf(Date);
+    expect(session.revokedReason).toBe('token_reuse');
+    expect(session.save).toHaveBeenCalled();
+    expect(AuditLogService.logRefreshTokenReuse).toHaveBeenCalledWith(userId, sessionId, req);
+  });
+
+  test('revokes the session when an older token is reused, even within the grace window', async () => {
+    const older = generateRefreshToken(userId, sessionId);
+    const replaced = generateRefreshToken(userId, sessionId);
+    const session = rotatedSession(replaced, 2000);
+    Session.findOneAndUpdate.mockResolvedValue(null);
+    Session.findById.mockResolvedValue(session);
+
+    await expect(sessionService.rotate(older, req)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(session.revokedReason).toBe('token_reuse');
+  });
+
+  test('rejects tokens of a revoked session without logging reuse', async () => {
+    const token = generateRefreshToken(userId, sessionId);
+    Session.findOneAndUpdate.mockResolvedValue(null);
+    Session.findById.mockResolvedValue({ ...rotatedSession(token, 2000), revokedAt: new Date() });
+
+    await expect(sessionService.rotate(token, req)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(AuditLogService.logRefreshTokenReuse).not.toHaveBeenCalled();
+  });
+
+  test('rejects tokens that are not valid refresh tokens', async () => {
+    await expect(sessionService.rotate('not-a-token', req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('Session Timeout', () => {
+  test('revokes a session that went unused for the session timeout', async () => {
+    const token = generateRefreshToken(userId, sessionId);
+    Session.findOneAndUpdate.mockResolvedValue(null);
+    Session.findById.mockResolvedValue({
+      ...rotatedSession(token, 25 * HOUR),
+      tokenHash: hashToken(token),
+      lastSeenAt: new Date(Date.now() - 25 * HOUR)
+    });
+    Session.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(sessionService.rotate(token, req)).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringContaining('inactivity')
+    });
+
+    const [filter, update] = Session.updateOne.mock.calls[0];
+    expect(filter._id).toBe(sessionId);
+    expect(update.$set.revokedReason).toBe('idle_timeout');
+  });
+
+  test('only rotates sessions used within the session timeout', async () => {
+    settings.security.sessionTimeout = 2;
+    const token = generateRefreshToken(userId, sessionId);
+    Session.findOneAndUpdate.mockResolvedValue(null);
+    Session.findById.mockResolvedValue(null);
+
+    await expect(sessionService.rotate(token, req)).rejects.toMatchObject({ statusCode: 401 });
+
+    const [filter] = Session.findOneAndUpdate.mock.calls[0];
+    const idleFor = Date.now() - filter.lastSeenAt.$gt.getTime();
+    expect(Math.abs(idleFor - 2 * HOUR)).toBeLessThan(1000);
+  });
+
+  test('keeps the configured access token lifetime when it is shorter', async () => {
+    const token = generateRefreshToken(userId, sessionId);
+    Session.findOneAndUpdate.mockResolvedValue({ _id: sessionId, user: userId });
+
+    const result = await sessionService.rotate(token, req);
+
+    expect(lifetimeOf(result.accessToken)).toBe(15 * 60);
+  });
+
+  test('does not issue access tokens that outlive the session timeout', async () => {
+    process.env.ACCESS_TOKEN_EXPIRES_IN = '7d';
+    settings.security.sessionTimeout = 1;
+    const token = generateRefreshToken(userId, sessionId);
+    Session.findOneAndUpdate.mockResolvedValue({ _id: sessionId, user: userId });
+
+    const result = await sessionService.rotate(token, req);
+
+    expect(lifetimeOf(result.accessToken)).toBe(60 * 60);
+  });
+
+  test('limits the grace-window access token to the time the session has left', async () => {
+    process.env.ACCESS_TOKEN_EXPIRES_IN = '7d';
+    settings.security.sessionTimeout = 1;
+    const token = generateRefreshToken(userId, sessionId);
+    Session.findOneAndUpdate.mockResolvedValue(null);
+    Session.findById.mockResolvedValue({
+      ...rotatedSession(token, 2000),
+      lastSeenAt: new Date(Date.now() - 50 * 60 * 1000)
+    });
+
+    const result = await sessionService.rotate(token, req);
+
+    expect(Math.abs(lifetimeOf(result.accessToken) - 10 * 60)).toBeLessThanOrEqual(1);
+  });
+});
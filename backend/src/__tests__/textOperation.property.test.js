@@ -0,0 +1,115 @@
+/**
+ * Property-Based Tests for Text Operations
+ * Feature: collaborative-editing
+ *
+ * These tests verify that concurrent edits converge no matter how they
+ * interleave, using fast-check for property-based testing with 100+ iterations
+ */
+
+import fc from 'fast-check';
+import {
+  apply,
+  compose,
+  transform,
+  fromDiff,
+  baseLength,
+  targetLength
+} from '../utils/textOperation.js';
+
+// ==================== GENERATORS ====================
+
+/**
+ * Generate a document (HTML-ish so tags and entities show up)
+ */
+const documentArbitrary = () => fc.stringOf(
+  fc.constantFrom('a', 'b', 'c', ' ', '<p>', '</p>', '&amp;', 'é', '\n'),
+  { maxLength: 40 }
+);
+
+/**
+ * Generate a random operation that applies to a document of the given length
+ */
+const operationArbitrary = (length) => fc.array(
+  fc.record({
+    type: fc.constantFrom('retain', 'delete', 'insert'),
+    size: fc.integer({ min: 1, max: 6 }),
+    text: fc.string({ minLength: 1, maxLength: 4 })
+  }),
+  { maxLength: 8 }
+).map(steps => {
+  const op = [];
+  let remaining = length;
+
+  for (const step of steps) {
+    if (step.type === 'insert') {
+      op.push(step.text);
+    } else if (remaining > 0) {
+      const n = Math.min(step.size, remaining);
+      op.push(step.type === 'retain' ? n : -n);
+      remaining -= n;
+    }
+  }
+  if (remaining > 0) op.push(remaining);
+
+  return op;
+});
+
+/**
+ * Generate a document with two concurrent operations on it
+ */
+const concurrentArbitrary = () => documentArbitrary().chain(doc => fc.tuple(
+  fc.constant(doc),
+  operationArbitrary(doc.length),
+  operationArbitrary(doc.length)
+));
+
+// ==================== PROPERTY TESTS ====================
+
+describe('Text Operation Property Tests', () => {
+
+  /**
+   * **Feature: collaborative-editing, Property 1: fromDiff reproduces the edit**
+   */
+  test('Property 1: applying fromDiff(a, b) to a yields b', () => {
+    fc.assert(
+      fc.property(documentArbitrary(), documentArbitrary(), (a, b) => {
+        const op = fromDiff(a, b);
+        expect(baseLength(op)).toBe(a.length);
+        expect(targetLength(op)).toBe(b.length);
+        expect(apply(a, op)).toBe(b);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * **Feature: collaborative-editing, Property 2: Transformed operations converge**
+   */
+  test('Property 2: transform makes concurrent operations converge', () => {
+    fc.assert(
+      fc.property(concurrentArbitrary(), ([doc, a, b]) => {
+        const [aPrime, bPrime] = transform(a, b);
+        expect(apply(apply(doc, a), bPrime)).toBe(apply(apply(doc, b), aPrime));
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * **Feature: collaborative-editing, Property 3: Composition matches sequential application**
+   */
+  test('Property 3: compose(a, b) equals applying a then b', () => {
+    fc.assert(
+      fc.property(
+        documentArbitrary().chain(doc => operationArbitrary(doc.length).chain(a => {
+          const afterA = apply(doc, a);
+          return fc.tuple(fc.constant(doc), fc.constant(a), operationArbitrary(afterA.length));
+        })),
+        ([doc, a, b]) => {
+          expect(apply(doc, compose(a, b))).toBe(apply(apply(doc, a), b));
+        }
+      ),
+      { numRuns: 200 }
+    );
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for TOTP Code Matching
+ * Feature: two-factor-authentication
+ *
+ * These tests verify that codes are matched to their time step within the
+ * allowed clock drift, that a step already used can't be replayed, and that
+ * using up a code only succeeds for one of two requests sent at once
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+
+const User = { updateOne: jest.fn() };
+
+jest.unstable_mockModule('../models/User.js', () => ({ default: User }));
+
+const { default: twoFactorService } = await import('../services/twoFactorService.js');
+
+// RFC 6238 test secret ("12345678901234567890" in base32)
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const NOW = 59 * 1000 * 1000; // a fixed moment, well inside a step
+const step = twoFactorService.currentStep(NOW);
+const codeAt = (offset) => twoFactorService.generateCode(SECRET, step + offset);
+
+describe('Two-Factor Code Matching', () => {
+  test('generates the RFC 6238 reference code', () => {
+    // RFC 6238 appendix B, SHA-1, T = 59s (step 1), last six digits
+    expect(twoFactorService.generateCode(SECRET, 1)).toBe('287082');
+  });
+
+  test('matches the current code to the current step', () => {
+    expect(twoFactorService.matchCode(SECRET, codeAt(0), -1, NOW)).toBe(step);
+  });
+
+  test('accepts codes one step either side for clock drift', () => {
+    expect(twoFactorService.matchCode(SECRET, codeAt(-1), -1, NOW)).toBe(step - 1);
+    expect(twoFactorService.matchCode(SECRET, codeAt(1), -1, NOW)).toBe(step + 1);
+  });
+
+  test('rejects codes further away than the drift window', () => {
+    expect(twoFactorService.matchCode(SECRET, codeAt(-2), -1, NOW)).toBeNull();
+    expect(twoFactorService.matchCode(SECRET, codeAt(2), -1, NOW)).toBeNull();
+  });
+
+  test('ignores spaces but rejects malformed codes', () => {
+    const code = codeAt(0);
+    expect(twoFactorService.matchCode(SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, -1, NOW)).toBe(step);
+    expect(twoFactorService.matchCode(SECRET, code.slice(0, 5), -1, NOW)).toBeNull();
+    expect(twoFactorService.matchCode(SECRET, 'abcdef', -1, NOW)).toBeNull();
+    expect(twoFactorService.matchCode(SECRET, '', -1, NOW)).toBeNull();
+  });
+
+  test('does not accept a code for a step that was already used', () => {
+    expect(twoFactorService.matchCode(SECRET, codeAt(0), step, NOW)).toBeNull();
+    expect(twoFactorService.matchCode(SECRET, codeAt(-1), step, NOW)).toBeNull();
+  });
+
+  test('still accepts a later step after an earlier one was used', () => {
+    expect(twoFactorService.matchCode(SECRET, codeAt(0), step - 1, NOW)).toBe(step);
+    expect(twoFactorService.matchCode(SECRET, codeAt(1), step, NOW)).toBe(step + 1);
+  });
+});
+
+describe('Two-Factor Verification', () => {
+  const hashOf = (code) => crypto.createHash('sha256').update(code).digest('hex');
+  const makeUser = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    twoFactor: {
+      enabled: true,
+      secret: SECRET,
+      recoveryCodes: [hashOf('aaaa1111'), hashOf('bbbb2222')],
+      ...overrides
+    }
+  });
+
+  beforeEach(() => {
+    User.updateOne.mockReset();
+  });
+
+  test('uses up a recovery code only if it is still unused', async () => {
+    const user = makeUser();
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await twoFactorService.verify(user, { recoveryCode: 'AAAA-1111' });
+
+    expect(result).toEqual({ method: 'recovery', remaining: 1 });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: user._id, 'twoFactor.recoveryCodes': hashOf('aaaa1111') },
+      { $pull: { 'twoFactor.recoveryCodes': hashOf('aaaa1111') } }
+    );
+  });
+
+  test('rejects a recovery code another request used up first', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await twoFactorService.verify(makeUser(), { recoveryCode: 'aaaa1111' })).toBeNull();
+  });
+
+  test('records the step of an accepted code only if no later step was used', async () => {
+    const user = makeUser({ lastUsedStep: 5 });
+    const current = twoFactorService.currentStep();
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await twoFactorService.verify(user, {
+      code: twoFactorService.generateCode(SECRET, current)
+    });
+
+    expect(result).toEqual({ method: 'totp', remaining: 2 });
+    const [filter, update] = User.updateOne.mock.calls[0];
+    expect(filter).toEqual({
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: current } },
+        { 'twoFactor.lastUsedStep': null }
+      ]
+    });
+    expect(update).toEqual({ $set: { 'twoFactor.lastUsedStep': current } });
+  });
+
+  test('rejects a code whose step another request used first', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    const code = twoFactorService.generateCode(SECRET, twoFactorService.currentStep());
+
+    expect(await twoFactorService.verify(makeUser(), { code })).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for View Tracking
+ * Feature: view-tracking
+ *
+ * These tests verify that bots are ignored, that a reader's view counts once
+ * per view window while every request counts as a hit, and that a view
+ * becomes a read only once enough time was spent on the post
+ */
+
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+
+const BlogPost = { updateOne: jest.fn() };
+const PostView = { updateOne: jest.fn(), findOne: jest.fn() };
+const postAnalyticsService = {
+  recordHit: jest.fn(),
+  recordQualifiedRead: jest.fn(),
+  recordReadCompletion: jest.fn()
+};
+
+jest.unstable_mockModule('../models/blogpost/index.js', () => ({ default: BlogPost }));
+jest.unstable_mockModule('../models/PostView.js', () => ({ default: PostView }));
+jest.unstable_mockModule('../services/postAnalyticsService.js', () => ({ default: postAnalyticsService }));
+
+const { default: viewTrackingService } = await import('../services/viewTrackingService.js');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+
+const post = { _id: new mongoose.Types.ObjectId(), author: new mongoose.Types.ObjectId() };
+
+const makeReq = ({ user, ip = '10.0.0.1', userAgent = BROWSER, headers = {} } = {}) => ({
+  user,
+  ip,
+  get: (name) => ({ 'User-Agent': userAgent, 'Accept-Language': 'en', ...headers })[name]
+});
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  PostView.updateOne.mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe('View Tracking', () => {
+  test.each([
+    'Googlebot/2.1 (+http://www.google.com/bot.html)',
+    'facebookexternalhit/1.1',
+    'curl/8.4.0',
+    'Mozilla/5.0 HeadlessChrome/126.0',
+    null
+  ])('ignores requests from %s', async (userAgent) => {
+    const result = await viewTrackingService.track(post, makeReq({ userAgent }));
+
+    expect(result).toEqual({ bot: true, unique: false });
+    expect(PostView.updateOne).not.toHaveBeenCalled();
+    expect(BlogPost.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('counts a reader\'s first request as a view and a hit', async () => {
+    const req = makeReq({ headers: { 'X-View-Referrer': 'https://example.com' } });
+
+    const result = await viewTrackingService.track(post, req);
+
+    expect(result).toEqual({ bot: false, unique: true });
+    const [filter, , options] = PostView.updateOne.mock.calls[0];
+    expect(filter.viewer).toMatch(/^anon:[0-9a-f]{32}$/);
+    expect(options).toEqual({ upsert: true });
+    expect(BlogPost.updateOne).toHaveBeenCalledWith({ _id: post._id }, { $inc: { hits: 1, views: 1 } });
+    expect(postAnalyticsService.recordHit).toHaveBeenCalledWith(post, 'https://example.com', true);
+  });
+
+  test('counts only a hit when the reader viewed the post within the window', async () => {
+    PostView.updateOne.mockRejectedValue(duplicateKey());
+
+    const result = await viewTrackingService.track(post, makeReq());
+
+    expect(result).toEqual({ bot: false, unique: false });
+    expect(BlogPost.updateOne).toHaveBeenCalledWith({ _id: post._id }, { $inc: { hits: 1, views: 0 } });
+    expect(postAnalyticsService.recordHit).toHaveBeenCalledWith(post, undefined, false);
+  });
+
+  test('passes on other errors without counting', async () => {
+    PostView.updateOne.mockRejectedValue(new Error('connection lost'));
+
+    await expect(viewTrackingService.track(post, makeReq())).rejects.toThrow('connection lost');
+    expect(BlogPost.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('identifies signed-in readers by user and others by fingerprint', () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    expect(viewTrackingService.viewerKey(makeReq({ user: { _id: userId } }))).toBe(`user:${userId}`);
+    expect(viewTrackingService.viewerKey(makeReq())).toBe(viewTrackingService.viewerKey(makeReq()));
+    expect(viewTrackingService.viewerKey(makeReq({ ip: '10.0.0.2' })))
+      .not.toBe(viewTrackingService.viewerKey(makeReq()));
+  });
+});
+
+describe('Qualified Reads', () => {
+  const viewFrom = (secondsAgo, overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    viewedAt: new Date(Date.now() - secondsAgo * 1000),
+    dwellSeconds: 0,
+    qualified: false,
+    completion: null,
+    ...overrides
+  });
+
+  test('counts a read once the reader spent enough time on the post', async () => {
+    PostView.findOne.mockResolvedValue(viewFrom(60));
+
+    const result = await viewTrackingService.recordRead(post, makeReq(), { dwellSeconds: 45 });
+
+    expect(result).toEqual({ recorded: true, qualified: true });
+    expect(PostView.updateOne.mock.calls[0][1]).toEqual({ $set: { dwellSeconds: 45, qualified: true } });
+    expect(BlogPost.updateOne).toHaveBeenCalledWith({ _id: post._id }, { $inc: { qualifiedReads: 1 } });
+  });
+
+  test('does not believe more time than has passed since the view', async () => {
+    PostView.findOne.mockResolvedValue(viewFrom(10));
+
+    const result = await viewTrackingService.recordRead(post, makeReq(), { dwellSeconds: 600 });
+
+    expect(result.qualified).toBe(false);
+    expect(PostView.updateOne.mock.calls[0][1].$set.dwellSeconds).toBeLessThan(30);
+    expect(BlogPost.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('counts a read once when two reports race', async () => {
+    PostView.findOne.mockResolvedValue(viewFrom(60));
+    PostView.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const result = await viewTrackingService.recordRead(post, makeReq(), { dwellSeconds: 45 });
+
+    expect(result.qualified).toBe(false);
+    expect(BlogPost.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('ignores reports without a live view', async () => {
+    PostView.findOne.mockResolvedValue(null);
+
+    expect(await viewTrackingService.recordRead(post, makeReq(), { dwellSeconds: 45 }))
+      .toEqual({ recorded: false, qualified: false });
+  });
+});
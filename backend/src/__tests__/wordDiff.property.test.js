@@ -0,0 +1,110 @@
+/**
+ * Property-Based Tests for Word Diff
+ * Feature: revision-history
+ *
+ * These tests verify that a word diff can be read back into both texts and
+ * counts the words it changed, using fast-check for property-based testing
+ * with 100+ iterations
+ */
+
+import fc from 'fast-check';
+import { tokenize, diffWords } from '../utils/wordDiff.js';
+
+// ==================== GENERATORS ====================
+
+/**
+ * Generate a text from a small vocabulary so old and new versions share words
+ */
+const textArbitrary = () => fc.array(
+  fc.constantFrom('the', 'cat', 'sat', 'on', 'mat', 'é', ' ', '  ', '\n'),
+  { maxLength: 30 }
+).map(tokens => tokens.join(''));
+
+const join = (parts, ...types) => parts
+  .filter(part => types.includes(part.type))
+  .map(part => part.value)
+  .join('');
+
+const wordCount = (text) => tokenize(text).filter(token => token.trim()).length;
+
+const wordsOf = (parts, type) => parts
+  .filter(part => part.type === type)
+  .reduce((sum, part) => sum + wordCount(part.value), 0);
+
+// ==================== PROPERTY TESTS ====================
+
+describe('Word Diff Property Tests', () => {
+
+  /**
+   * **Feature: revision-history, Property 1: The diff holds both texts**
+   */
+  test('Property 1: unchanged and removed parts give the old text, unchanged and added the new one', () => {
+    fc.assert(
+      fc.property(textArbitrary(), textArbitrary(), (oldText, newText) => {
+        const { parts } = diffWords(oldText, newText);
+        expect(join(parts, 'equal', 'delete')).toBe(oldText);
+        expect(join(parts, 'equal', 'insert')).toBe(newText);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * **Feature: revision-history, Property 2: Parts are merged**
+   */
+  test('Property 2: no two neighbouring parts have the same type', () => {
+    fc.assert(
+      fc.property(textArbitrary(), textArbitrary(), (oldText, newText) => {
+        const { parts } = diffWords(oldText, newText);
+        parts.forEach((part, i) => {
+          expect(part.value).not.toBe('');
+          if (i > 0) expect(part.type).not.toBe(parts[i - 1].type);
+        });
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * **Feature: revision-history, Property 3: Stats count the changed words**
+   */
+  test('Property 3: added and removed counts match the changed parts', () => {
+    fc.assert(
+      fc.property(textArbitrary(), textArbitrary(), (oldText, newText) => {
+        const { parts, stats } = diffWords(oldText, newText);
+        expect(stats.added).toBe(wordsOf(parts, 'insert'));
+        expect(stats.removed).toBe(wordsOf(parts, 'delete'));
+        expect(wordCount(oldText) - stats.removed).toBe(wordCount(newText) - stats.added);
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  /**
+   * **Feature: revision-history, Property 4: Identical texts have no changes**
+   */
+  test('Property 4: diffing a text with itself is all unchanged', () => {
+    fc.assert(
+      fc.property(textArbitrary(), (text) => {
+        const { parts, stats } = diffWords(text, text);
+        expect(parts.every(part => part.type === 'equal')).toBe(true);
+        expect(stats).toEqual({ added: 0, removed: 0 });
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
+
+describe('Word Diff', () => {
+  test('marks a replaced word as removed and added', () => {
+    expect(diffWords('the cat sat', 'the dog sat')).toEqual({
+      parts: [
+        { type: 'equal', value: 'the ' },
+        { type: 'delete', value: 'cat' },
+        { type: 'insert', value: 'dog' },
+        { type: 'equal', value: ' sat' }
+      ],
+      stats: { added: 1, removed: 1 }
+    });
+  });
+});
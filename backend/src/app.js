@@ -28,6 +28,9 @@ import verificationRoutes from './routes/verificationRoutes.js';
 import termsRoutes from './routes/termsRoutes.js';
 import programRoutes from './routes/programRoutes.js';
 import reviewRoutes from './routes/reviewRoutes.js';
+import draftRoutes from './routes/draftRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import tagRoutes from './routes/tagRoutes.js';
 
 // Import middleware
 import { errorHandler, notFound } from './middleware/errorMiddleware.js';
@@ -195,6 +198,9 @@ app.get('/api/docs', (req, res) => {
         'POST /api/users/upload-avatar': 'Upload avatar (Protected)',
         'GET /api/users/posts': 'Get user posts (Protected)',
         'GET /api/users/activity': 'Get user activity (Protected)',
+        'GET /api/users/mentions?q=': 'Suggest users to @mention (Protected)',
+        'GET /api/users/:username': 'Get a public author profile (Public)',
+        'GET /api/users/:username/posts': 'Get an author\'s published posts (Public)',
         'DELETE /api/users/account': 'Delete account (Protected)',
         'POST /api/users/:userId/follow': 'Follow a user (Protected)',
         'DELETE /api/users/:userId/follow': 'Unfollow a user (Protected)',
@@ -211,6 +217,14 @@ app.get('/api/docs', (req, res) => {
         'POST /api/ai/report': 'Report inappropriate content to moderators',
         'POST /api/ai/filter': 'Filter/sanitize harmful content',
         'GET /api/ai/status': 'Check AI service status (Admin only)'
+      },
+      reports: {
+        'POST /api/reports': 'Report a post, comment or user (Protected)',
+        'GET /api/reports': 'List moderation cases (Moderator/Admin)',
+        'GET /api/reports/:id': 'Get a moderation case (Moderator/Admin)',
+        'PUT /api/reports/:id/claim': 'Claim a case (Moderator/Admin)',
+        'PUT /api/reports/:id/resolve': 'Resolve a case as actioned or dismissed (Moderator/Admin)',
+        'POST /api/reports/bulk-dismiss': 'Dismiss several cases (Moderator/Admin)'
       }
     },
     authentication: 'Use JWT Bearer token in Authorization header',
@@ -220,6 +234,7 @@ app.get('/api/docs', (req, res) => {
       posts: '10 posts per hour',
       comments: '30 comments per hour',
       ai: '20 AI requests per hour',
+      reports: '20 reports per hour',
       uploads: '50 uploads per hour',
       password_reset: '3 requests per hour',
       search: '30 searches per minute'
@@ -262,6 +277,9 @@ app.use('/api/admin/verifications', verificationRoutes); // Alumni verification
 app.use('/api/terms', termsRoutes); // Terms of Service, Privacy Policy, Content Guidelines
 app.use('/api/programs', programRoutes); // Academic Programs management
 app.use('/api/reviews', reviewRoutes); // Peer review routes
+app.use('/api/drafts', draftRoutes); // Autosaved editor snapshots
+app.use('/api/reports', reportRoutes); // Content reports and moderation cases
+app.use('/api/tags', tagRoutes); // Trending tags
 
 // Upload error handling
 app.use(handleUploadError);
@@ -3,10 +3,43 @@ import Settings from '../models/Settings.js';
 import { sendEmail } from '../utils/email.js';
 import { formatUserResponse, getPaginationParams, formatPaginatedResponse } from '../utils/helpers.js';
 import AuditLogService from '../services/auditLogService.js';
+import accountLockService from '../services/accountLockService.js';
+import permissionService from '../services/permissionService.js';
+import sessionService from '../services/sessionService.js';
 import { validateUserForApproval } from '../services/userValidationService.js';
 import { asyncHandler } from '../middleware/errorMiddleware.js';
 import { clearSettingsCache } from '../middleware/settingsMiddleware.js';
 
+/**
+ * Check roles an admin is handing out: they must exist, and the admin must
+ * hold every permission they grant, and every permission of the roles the
+ * user had before
+ * @param {Object} admin - User doing the assigning
+ * @param {string[]} roles - Roles being given
+ * @param {string[]} [currentRoles] - Roles the user has now
+ * @returns {Promise<Object|null>} { status, message } to reject with, or null
+ */
+const checkAssignableRoles = async (admin, roles, currentRoles = []) => {
+  const validRoles = await permissionService.getRoleNames();
+  const invalidRoles = roles.filter(role => !validRoles.includes(role));
+
+  if (invalidRoles.length > 0) {
+    return {
+      status: 400,
+      message: `Invalid roles: ${invalidRoles.join(', ')}. Valid roles are: ${validRoles.join(', ')}`
+    };
+  }
+
+  if (!(await permissionService.canAssign(admin, [...roles, ...currentRoles]))) {
+    return {
+      status: 403,
+      message: 'You can only assign roles whose permissions you hold yourself'
+    };
+  }
+
+  return null;
+};
+
 // @desc    Get all pending users
 // @route   GET /api/admin/pending-users
 // @access  Private/Admin
@@ -186,6 +219,14 @@ export const approveUser = asyncHandler(async (req, res) => {
     });
   }
 
+  const rolesError = await checkAssignableRoles(req.user, roles || ['author', 'reader']);
+  if (rolesError) {
+    return res.status(rolesError.status).json({
+      success: false,
+      message: rolesError.message
+    });
+  }
+
   // Update user status and roles
   user.status = 'approved';
   user.roles = roles || ['author', 'reader'];
@@ -291,22 +332,19 @@ export const updateUserRoles = asyncHandler(async (req, res) => {
     });
   }
 
-  // Validate roles
-  const validRoles = ['admin', 'moderator', 'author', 'reader'];
-  const invalidRoles = roles.filter(role => !validRoles.includes(role));
-  
-  if (invalidRoles.length > 0) {
+  // Prevent removing all roles
+  if (!Array.isArray(roles) || roles.length === 0) {
     return res.status(400).json({
       success: false,
-      message: `Invalid roles: ${invalidRoles.join(', ')}. Valid roles are: ${validRoles.join(', ')}`
+      message: 'User must have at least one role'
     });
   }
 
-  // Prevent removing all roles
-  if (roles.length === 0) {
-    return res.status(400).json({
+  const rolesError = await checkAssignableRoles(req.user, roles, user.roles);
+  if (rolesError) {
+    return res.status(rolesError.status).json({
       success: false,
-      message: 'User must have at least one role'
+      message: rolesError.message
     });
   }
 
@@ -457,6 +495,34 @@ export const getUserDetails = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Unlock an account locked by failed logins
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private/Admin
+export const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (!user.lockUntil || user.lockUntil <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'User is not locked'
+    });
+  }
+
+  await accountLockService.unlockByAdmin(user, req.user.id, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'User unlocked successfully'
+  });
+});
+
 // @desc    Bulk approve users
 // @route   POST /api/admin/users/bulk-approve
 // @access  Private/Admin
@@ -470,6 +536,14 @@ export const bulkApproveUsers = asyncHandler(async (req, res) => {
     });
   }
 
+  const rolesError = await checkAssignableRoles(req.user, roles || ['author', 'reader']);
+  if (rolesError) {
+    return res.status(rolesError.status).json({
+      success: false,
+      message: rolesError.message
+    });
+  }
+
   const result = await User.updateMany(
     {
       _id: { $in: userIds },
@@ -637,12 +711,21 @@ export const updateSystemSettings = asyncHandler(async (req, res) => {
     });
   }
 
+  const { sessionTimeout: previousTimeout } = (await Settings.getSettings()).security;
+
   // Update settings in database
   const updatedSettings = await Settings.updateSettings(settings, req.user.id);
   
   // Clear settings cache so changes take effect immediately
   clearSettingsCache();
 
+  // A shorter timeout also ends sessions that have already been unused for
+  // longer than it
+  const { sessionTimeout } = updatedSettings.security;
+  const sessionsExpired = sessionTimeout < previousTimeout
+    ? await sessionService.expireIdle(sessionTimeout)
+    : 0;
+
   // Log settings update
   await AuditLogService.logAction(
     'settings_updated',
@@ -651,7 +734,8 @@ export const updateSystemSettings = asyncHandler(async (req, res) => {
     req.user.id,
     {
       description: 'System settings updated',
-      updatedSettings: Object.keys(settings)
+      updatedSettings: Object.keys(settings),
+      ...(sessionsExpired && { sessionsExpired })
     },
     req
   );
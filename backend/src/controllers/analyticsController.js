@@ -1,31 +1,98 @@
 import BlogPost from '../models/blogpost/index.js';
 import User from '../models/User.js';
 import mongoose from 'mongoose';
+import postAnalyticsService from '../services/postAnalyticsService.js';
+import viewTrackingService from '../services/viewTrackingService.js';
+import analyticsExportService, { EXPORT_FORMATS, TREND_PERIODS, inRange } from '../services/analyticsExportService.js';
+import analyticsReportScheduleService from '../services/analyticsReportScheduleService.js';
+import permissionService from '../services/permissionService.js';
+import cohortAnalysisService, { COHORT_SEGMENTS } from '../services/cohortAnalysisService.js';
+import AnalyticsReportSchedule, { REPORT_FREQUENCIES } from '../models/AnalyticsReportSchedule.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+
+const MAX_REPORT_SCHEDULES = 10; // scheduled reports per admin
+
+/**
+ * Send the error response for a failed analytics request. Errors with a
+ * status code (bad parameters) are reported as-is.
+ */
+const sendError = (res, error, message, handler) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`Error in ${handler}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * The date range a request asks for with from / to, the last `defaultDays`
+ * days otherwise. With compare=previous the period of the same length just
+ * before it is attached as `previous`.
+ */
+const getRange = (query, defaultDays) => {
+  if (query.compare && query.compare !== 'previous') {
+    throw new AppError('compare must be "previous"', 400);
+  }
+
+  const range = analyticsExportService.parseRange(query, defaultDays);
+  return query.compare
+    ? { ...range, previous: analyticsExportService.previousRange(range) }
+    : range;
+};
+
+/**
+ * Totals for a range next to the same totals for the period before it, when
+ * a comparison was asked for
+ * @param {Object} range - From getRange
+ * @param {Function} summarize - async (range) => { metric: number }
+ * @returns {Promise<Object|undefined>}
+ */
+const compareWithPrevious = async (range, summarize) => {
+  if (!range.previous) return undefined;
+
+  const [current, previous] = await Promise.all([
+    summarize(range),
+    summarize(range.previous)
+  ]);
+
+  return {
+    from: range.from,
+    to: range.to,
+    previousFrom: range.previous.from,
+    previousTo: range.previous.to,
+    metrics: analyticsExportService.compare(current, previous)
+  };
+};
 
 /**
  * @desc    Get admin dashboard analytics
- * @route   GET /api/analytics/admin/dashboard
+ * @route   GET /api/analytics/admin/dashboard?from&to&compare=previous
  * @access  Private (Admin only)
  */
 export const getAdminDashboard = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
-
-    // Build date filter if provided
-    const dateFilter = {};
-    if (startDate || endDate) {
-      dateFilter.createdAt = {};
-      if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
-      if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
-    }
+    // Breakdowns cover all time unless from / to narrow them down; trends
+    // and comparisons default to the last 30 days
+    const scoped = analyticsExportService.hasRange(req.query);
+    const range = getRange(req.query);
+    const rangeFilter = (field) => (scoped ? inRange(field, range) : {});
 
     // Get all available categories from the schema enum
     const availableCategories = BlogPost.schema.path('category').enumValues || [];
     
     // Platform Stats
-    const [totalUsers, totalPosts] = await Promise.all([
+    const [totalUsers, totalPosts, postsInRange] = await Promise.all([
       User.countDocuments(),
-      BlogPost.countDocuments()
+      BlogPost.countDocuments(),
+      BlogPost.countDocuments(rangeFilter('createdAt'))
     ]);
     
     // Total categories is the number of predefined categories in the schema
@@ -93,6 +160,9 @@ export const getAdminDashboard = async (req, res) => {
 
     // Post Status Distribution
     const postStatusDistribution = await BlogPost.aggregate([
+      {
+        $match: rangeFilter('createdAt')
+      },
       {
         $group: {
           _id: '$status',
@@ -105,7 +175,7 @@ export const getAdminDashboard = async (req, res) => {
           count: 1,
           percentage: {
             $multiply: [
-              { $divide: ['$count', totalPosts] },
+              { $divide: ['$count', postsInRange || 1] },
               100
             ]
           },
@@ -114,15 +184,12 @@ export const getAdminDashboard = async (req, res) => {
       }
     ]);
 
-    // Engagement Trends (last 30 days)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
+    // Engagement Trends
     const engagementTrends = await BlogPost.aggregate([
       {
         $match: {
           status: 'published',
-          publishedAt: { $gte: thirtyDaysAgo }
+          ...inRange('publishedAt', range)
         }
       },
       {
@@ -154,7 +221,7 @@ export const getAdminDashboard = async (req, res) => {
     // Top Categories
     const topCategories = await BlogPost.aggregate([
       {
-        $match: { status: 'published' }
+        $match: { status: 'published', ...rangeFilter('publishedAt') }
       },
       {
         $group: {
@@ -178,7 +245,7 @@ export const getAdminDashboard = async (req, res) => {
           totalComments: 1,
           percentage: {
             $multiply: [
-              { $divide: ['$count', totalPosts] },
+              { $divide: ['$count', postsInRange || 1] },
               100
             ]
           },
@@ -190,13 +257,17 @@ export const getAdminDashboard = async (req, res) => {
     // Get moderation stats
     const [pendingPosts, approvedPosts, rejectedPosts] = await Promise.all([
       BlogPost.countDocuments({ status: 'pending' }),
-      BlogPost.countDocuments({ status: 'published' }),
-      BlogPost.countDocuments({ status: 'rejected' })
+      BlogPost.countDocuments({ status: 'published', ...rangeFilter('moderatedAt') }),
+      BlogPost.countDocuments({ status: 'rejected', ...rangeFilter('moderatedAt') })
     ]);
     
     const totalModerated = approvedPosts + rejectedPosts;
     const approvalRate = totalModerated > 0 ? Math.round((approvedPosts / totalModerated) * 100) : 0;
 
+    const comparison = await compareWithPrevious(range, (span) =>
+      analyticsExportService.getPlatformSummary(span)
+    );
+
     res.status(200).json({
       success: true,
       data: {
@@ -220,35 +291,28 @@ export const getAdminDashboard = async (req, res) => {
           approved: approvedPosts,
           rejected: rejectedPosts,
           approvalRate
-        }
+        },
+        comparison
       }
     });
   } catch (error) {
-    console.error('Error in getAdminDashboard:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching admin dashboard data',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    sendError(res, error, 'Error fetching admin dashboard data', 'getAdminDashboard');
   }
 };
 
 /**
  * @desc    Get moderator dashboard analytics
- * @route   GET /api/analytics/moderator/dashboard
+ * @route   GET /api/analytics/moderator/dashboard?from&to&compare=previous
  * @access  Private (Moderator/Admin)
  */
 export const getModeratorDashboard = async (req, res) => {
   try {
-    const { startDate, endDate, category } = req.query;
-
-    // Build filters
-    const dateFilter = {};
-    if (startDate || endDate) {
-      dateFilter.moderatedAt = {};
-      if (startDate) dateFilter.moderatedAt.$gte = new Date(startDate);
-      if (endDate) dateFilter.moderatedAt.$lte = new Date(endDate);
-    }
+    const { category } = req.query;
+
+    // Counts cover all time unless from / to narrow them down; trends and
+    // comparisons default to the last 30 days
+    const range = getRange(req.query);
+    const dateFilter = analyticsExportService.hasRange(req.query) ? inRange('moderatedAt', range) : {};
 
     const categoryFilter = category ? { category } : {};
 
@@ -262,15 +326,12 @@ export const getModeratorDashboard = async (req, res) => {
     const totalModerated = approved + rejected;
     const approvalRate = totalModerated > 0 ? Math.round((approved / totalModerated) * 100) : 0;
 
-    // Moderation Trends (last 30 days)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
+    // Moderation Trends
     const moderationTrends = await BlogPost.aggregate([
       {
         $match: {
           status: { $in: ['published', 'rejected'] },
-          moderatedAt: { $gte: thirtyDaysAgo }
+          ...inRange('moderatedAt', range)
         }
       },
       {
@@ -350,6 +411,18 @@ export const getModeratorDashboard = async (req, res) => {
       })
     };
 
+    const comparison = await compareWithPrevious(range, async (span) => {
+      const [approvedInPeriod, rejectedInPeriod] = await Promise.all([
+        BlogPost.countDocuments({ status: 'published', ...inRange('moderatedAt', span), ...categoryFilter }),
+        BlogPost.countDocuments({ status: 'rejected', ...inRange('moderatedAt', span), ...categoryFilter })
+      ]);
+      return {
+        moderated: approvedInPeriod + rejectedInPeriod,
+        approved: approvedInPeriod,
+        rejected: rejectedInPeriod
+      };
+    });
+
     res.status(200).json({
       success: true,
       data: {
@@ -361,36 +434,25 @@ export const getModeratorDashboard = async (req, res) => {
         },
         moderationTrends,
         categoryWorkload,
-        performanceMetrics
+        performanceMetrics,
+        comparison
       }
     });
   } catch (error) {
-    console.error('Error in getModeratorDashboard:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching moderator dashboard data',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    sendError(res, error, 'Error fetching moderator dashboard data', 'getModeratorDashboard');
   }
 };
 
 /**
  * @desc    Get author dashboard analytics
- * @route   GET /api/analytics/author/dashboard
+ * @route   GET /api/analytics/author/dashboard?from&to&compare=previous
  * @access  Private (Author)
  */
 export const getAuthorDashboard = async (req, res) => {
   try {
     const authorId = req.user._id;
-    const { startDate, endDate } = req.query;
-
-    // Build date filter
-    const dateFilter = { author: authorId };
-    if (startDate || endDate) {
-      dateFilter.createdAt = {};
-      if (startDate) dateFilter.createdAt.$gte = new Date(startDate);
-      if (endDate) dateFilter.createdAt.$lte = new Date(endDate);
-    }
+    // Trends and comparisons cover from / to, the last 30 days by default
+    const range = getRange(req.query);
 
     // Author Stats
     const [totalPosts, published, pending, rejected, draft] = await Promise.all([
@@ -410,59 +472,32 @@ export const getAuthorDashboard = async (req, res) => {
         $group: {
           _id: null,
           totalViews: { $sum: '$views' },
+          totalQualifiedReads: { $sum: '$qualifiedReads' },
           totalLikes: { $sum: '$likesCount' },
           totalComments: { $sum: '$commentsCount' }
         }
       }
     ]);
 
-    const { totalViews = 0, totalLikes = 0, totalComments = 0 } = engagementStats[0] || {};
+    const {
+      totalViews = 0,
+      totalQualifiedReads = 0,
+      totalLikes = 0,
+      totalComments = 0
+    } = engagementStats[0] || {};
 
     // Post Performance
     const postPerformance = await BlogPost.find({
       author: authorId,
       status: 'published'
     })
-      .select('title views commentsCount likesCount publishedAt category')
+      .select('title views qualifiedReads commentsCount likesCount publishedAt category')
       .sort({ views: -1 })
       .limit(10)
       .lean();
 
-    // Engagement Trends (last 30 days)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-    const engagementTrends = await BlogPost.aggregate([
-      {
-        $match: {
-          author: new mongoose.Types.ObjectId(authorId),
-          status: 'published',
-          publishedAt: { $gte: thirtyDaysAgo }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$publishedAt' }
-          },
-          views: { $sum: '$views' },
-          likes: { $sum: '$likesCount' },
-          comments: { $sum: '$commentsCount' }
-        }
-      },
-      {
-        $sort: { _id: 1 }
-      },
-      {
-        $project: {
-          date: '$_id',
-          views: 1,
-          likes: 1,
-          comments: 1,
-          _id: 0
-        }
-      }
-    ]);
+    // Engagement Trends, from the daily stats
+    const engagementTrends = await postAnalyticsService.getTimeline({ author: authorId }, range);
 
     // Status Distribution
     const statusDistribution = [
@@ -525,6 +560,20 @@ export const getAuthorDashboard = async (req, res) => {
       }
     ]);
 
+    const comparison = await compareWithPrevious(range, async (span) => {
+      const [postsPublished, engagement] = await Promise.all([
+        BlogPost.countDocuments({ author: authorId, status: 'published', ...inRange('publishedAt', span) }),
+        postAnalyticsService.getTotals({ author: authorId }, span)
+      ]);
+      return {
+        postsPublished,
+        views: engagement.views,
+        qualifiedReads: engagement.qualifiedReads,
+        likes: engagement.likes,
+        comments: engagement.comments
+      };
+    });
+
     res.status(200).json({
       success: true,
       data: {
@@ -535,6 +584,7 @@ export const getAuthorDashboard = async (req, res) => {
           rejected,
           draft,
           totalViews,
+          totalQualifiedReads,
           totalLikes,
           totalComments
         },
@@ -542,14 +592,117 @@ export const getAuthorDashboard = async (req, res) => {
         engagementTrends,
         statusDistribution,
         categoryDistribution,
-        publishingActivity
+        publishingActivity,
+        comparison
       }
     });
   } catch (error) {
-    console.error('Error in getAuthorDashboard:', error);
+    sendError(res, error, 'Error fetching author dashboard data', 'getAuthorDashboard');
+  }
+};
+
+/**
+ * @desc    Get daily views, engagement, referrers and read completion for a post
+ * @route   GET /api/analytics/author/posts/:postId/timeline?days|from&to&compare=previous
+ * @access  Private (Post author or Admin)
+ */
+export const getPostTimeline = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    // from / to, or the last `days` days
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const range = getRange(req.query, days);
+
+    const post = mongoose.Types.ObjectId.isValid(postId)
+      && await BlogPost.findById(postId).select('title author views hits qualifiedReads likesCount commentsCount publishedAt');
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!post.author.equals(req.user._id) && !(await permissionService.has(req.user, 'analytics.site'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view analytics for this post'
+      });
+    }
+
+    const match = { post: post._id };
+    const [timeline, referrers, readCompletion, comparison] = await Promise.all([
+      postAnalyticsService.getTimeline(match, range),
+      postAnalyticsService.getReferrers(match, range),
+      postAnalyticsService.getReadCompletion(match, range),
+      compareWithPrevious(range, async (span) => {
+        const [engagement, completion] = await Promise.all([
+          postAnalyticsService.getTotals(match, span),
+          postAnalyticsService.getReadCompletion(match, span)
+        ]);
+        return {
+          views: engagement.views,
+          hits: engagement.hits,
+          qualifiedReads: engagement.qualifiedReads,
+          likes: engagement.likes,
+          comments: engagement.comments,
+          readCompletion: completion.average
+        };
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        post,
+        days: timeline.length,
+        timeline,
+        referrers,
+        readCompletion,
+        comparison
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching post timeline', 'getPostTimeline');
+  }
+};
+
+/**
+ * @desc    Report time spent on a post and how much of it was read
+ * @route   POST /api/analytics/posts/:postId/read
+ * @access  Public
+ */
+export const recordRead = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { dwellSeconds, completion } = req.body || {};
+
+    const isValid = (value, max) =>
+      value === undefined || (Number.isFinite(value) && value >= 0 && value <= max);
+    if (!isValid(dwellSeconds, Infinity) || !isValid(completion, 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'dwellSeconds must be a positive number and completion between 0 and 100'
+      });
+    }
+
+    const post = mongoose.Types.ObjectId.isValid(postId)
+      && await BlogPost.findById(postId).select('author');
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Only counted views can report, so nothing is recorded otherwise
+    const result = await viewTrackingService.recordRead(post, req, { dwellSeconds, completion });
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error in recordRead:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching author dashboard data',
+      message: 'Error recording read',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -557,209 +710,345 @@ export const getAuthorDashboard = async (req, res) => {
 
 /**
  * @desc    Get post trends
- * @route   GET /api/analytics/posts/trends
+ * @route   GET /api/analytics/posts/trends?from&to&compare=previous
  * @access  Private (Admin/Moderator)
  */
 export const getPostTrends = async (req, res) => {
   try {
     const { period = 'day', limit = 30 } = req.query;
 
-    let dateFormat;
-    let dateSubtract;
-
-    switch (period) {
-      case 'week':
-        dateFormat = '%Y-W%U';
-        dateSubtract = 12 * 7; // 12 weeks
-        break;
-      case 'month':
-        dateFormat = '%Y-%m';
-        dateSubtract = 12 * 30; // 12 months
-        break;
-      default:
-        dateFormat = '%Y-%m-%d';
-        dateSubtract = parseInt(limit);
+    if (!TREND_PERIODS[period]) {
+      return res.status(400).json({
+        success: false,
+        message: `Period must be one of: ${Object.keys(TREND_PERIODS).join(', ')}`
+      });
     }
 
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - dateSubtract);
+    // Without a range: the last 12 weeks or months, or `limit` days
+    const defaultDays = { week: 12 * 7, month: 12 * 30 }[period] || parseInt(limit) || 30;
+    const range = getRange(req.query, defaultDays);
 
-    const trends = await BlogPost.aggregate([
-      {
-        $match: {
-          publishedAt: { $gte: startDate }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            $dateToString: { format: dateFormat, date: '$publishedAt' }
-          },
-          published: { $sum: 1 },
-          views: { $sum: '$views' },
-          comments: { $sum: '$commentsCount' },
-          likes: { $sum: '$likesCount' }
-        }
-      },
-      {
-        $sort: { _id: 1 }
-      },
-      {
-        $project: {
-          date: '$_id',
-          published: 1,
-          views: 1,
-          comments: 1,
-          likes: 1,
-          _id: 0
-        }
-      }
+    const [trends, comparison] = await Promise.all([
+      analyticsExportService.getPostTrends({ ...range, period }),
+      compareWithPrevious(range, async (span) => {
+        const rows = await analyticsExportService.getPostTrends(span);
+        const total = (field) => rows.reduce((sum, row) => sum + row[field], 0);
+        return {
+          published: total('published'),
+          views: total('views'),
+          comments: total('comments'),
+          likes: total('likes')
+        };
+      })
     ]);
 
     res.status(200).json({
       success: true,
-      data: { trends }
+      data: { trends, comparison }
     });
   } catch (error) {
-    console.error('Error in getPostTrends:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching post trends',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    sendError(res, error, 'Error fetching post trends', 'getPostTrends');
   }
 };
 
 /**
  * @desc    Get user activity
- * @route   GET /api/analytics/users/activity
+ * @route   GET /api/analytics/users/activity?from&to&compare=previous
  * @access  Private (Admin)
  */
 export const getUserActivity = async (req, res) => {
   try {
-    // Top active users by post count
-    const userActivity = await BlogPost.aggregate([
-      {
-        $match: { status: 'published' }
-      },
-      {
-        $group: {
-          _id: '$author',
-          postsCount: { $sum: 1 },
-          totalViews: { $sum: '$views' },
-          totalComments: { $sum: '$commentsCount' }
-        }
-      },
-      {
-        $sort: { postsCount: -1 }
-      },
-      {
-        $limit: 20
-      },
-      {
-        $lookup: {
-          from: 'users',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'user'
-        }
-      },
-      {
-        $unwind: '$user'
-      },
-      {
-        $project: {
-          userId: '$_id',
-          name: { $concat: ['$user.firstName', ' ', '$user.lastName'] },
-          postsCount: 1,
-          totalViews: 1,
-          totalComments: 1,
-          lastActive: '$user.lastLogin',
-          _id: 0
-        }
-      }
+    // Top active users by post count, all time unless a range is given
+    const range = analyticsExportService.hasRange(req.query) || req.query.compare
+      ? getRange(req.query)
+      : {};
+    const [userActivity, comparison] = await Promise.all([
+      analyticsExportService.getUserActivity(range),
+      compareWithPrevious(range, (span) => analyticsExportService.getAuthorSummary(span))
     ]);
 
     res.status(200).json({
       success: true,
-      data: { userActivity }
+      data: { userActivity, comparison }
     });
   } catch (error) {
-    console.error('Error in getUserActivity:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching user activity',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    sendError(res, error, 'Error fetching user activity', 'getUserActivity');
   }
 };
 
 /**
  * @desc    Get category statistics
- * @route   GET /api/analytics/categories/stats
+ * @route   GET /api/analytics/categories/stats?from&to&compare=previous
  * @access  Private (Admin/Moderator)
  */
 export const getCategoryStats = async (req, res) => {
   try {
-    const categories = await BlogPost.aggregate([
-      {
-        $group: {
-          _id: '$category',
-          totalPosts: { $sum: 1 },
-          publishedPosts: {
-            $sum: { $cond: [{ $eq: ['$status', 'published'] }, 1, 0] }
-          },
-          pendingPosts: {
-            $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
-          },
-          avgViews: { $avg: '$views' },
-          avgComments: { $avg: '$commentsCount' },
-          avgLikes: { $avg: '$likesCount' }
-        }
-      },
-      {
-        $sort: { totalPosts: -1 }
-      },
-      {
-        $project: {
-          category: '$_id',
-          totalPosts: 1,
-          publishedPosts: 1,
-          pendingPosts: 1,
-          avgViews: { $round: ['$avgViews', 0] },
-          avgComments: { $round: ['$avgComments', 0] },
-          avgLikes: { $round: ['$avgLikes', 0] },
-          _id: 0
-        }
-      }
+    // All posts unless a range is given
+    const range = analyticsExportService.hasRange(req.query) || req.query.compare
+      ? getRange(req.query)
+      : {};
+    const [categories, comparison] = await Promise.all([
+      analyticsExportService.getCategoryStats(range),
+      compareWithPrevious(range, async (span) => {
+        const rows = await analyticsExportService.getCategoryStats(span);
+        const total = (field) => rows.reduce((sum, row) => sum + row[field], 0);
+        return {
+          totalPosts: total('totalPosts'),
+          publishedPosts: total('publishedPosts'),
+          pendingPosts: total('pendingPosts')
+        };
+      })
     ]);
 
     res.status(200).json({
       success: true,
-      data: { categories }
+      data: { categories, comparison }
     });
   } catch (error) {
-    console.error('Error in getCategoryStats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching category statistics',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    sendError(res, error, 'Error fetching category statistics', 'getCategoryStats');
+  }
+};
+
+/**
+ * @desc    Download an analytics report as CSV or XLSX
+ * @route   GET /api/analytics/export/:report?format=csv|xlsx&from&to&compare=previous
+ * @access  Private (Admin; Moderator for categories and trends)
+ */
+export const exportReport = async (req, res) => {
+  try {
+    const { report } = req.params;
+    const { format = 'csv', period, compare } = req.query;
+
+    if (!analyticsExportService.reports[report]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!(await analyticsExportService.canExport(req.user, report))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export this report'
+      });
+    }
+
+    if (period && !TREND_PERIODS[period]) {
+      return res.status(400).json({
+        success: false,
+        message: `Period must be one of: ${Object.keys(TREND_PERIODS).join(', ')}`
+      });
+    }
+
+    const range = getRange(req.query);
+    const file = await analyticsExportService.generate(report, format, range, { period, compare });
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.status(200).send(file.content);
+  } catch (error) {
+    sendError(res, error, 'Error exporting report', 'exportReport');
+  }
+};
+
+/**
+ * @desc    List the current admin's scheduled reports and the reports available
+ * @route   GET /api/analytics/reports/schedules
+ * @access  Private (Admin)
+ */
+export const getReportSchedules = async (req, res) => {
+  try {
+    const schedules = await AnalyticsReportSchedule.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+    const entries = Object.entries(analyticsExportService.reports);
+    const allowed = await Promise.all(entries.map(([key]) => analyticsExportService.canExport(req.user, key)));
+    const reports = entries
+      .filter((_, i) => allowed[i])
+      .map(([key, report]) => ({ key, title: report.title }));
+
+    res.status(200).json({
+      success: true,
+      data: { schedules, reports, frequencies: REPORT_FREQUENCIES }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching scheduled reports', 'getReportSchedules');
+  }
+};
+
+/**
+ * @desc    Schedule a weekly or monthly report emailed to the current admin
+ * @route   POST /api/analytics/reports/schedules
+ * @access  Private (Admin)
+ */
+export const createReportSchedule = async (req, res) => {
+  try {
+    const { report, format = 'xlsx', frequency } = req.body;
+
+    if (!(await analyticsExportService.canExport(req.user, report))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown report'
+      });
+    }
+    if (!EXPORT_FORMATS[format] || !REPORT_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be csv or xlsx and frequency one of: ${REPORT_FREQUENCIES.join(', ')}`
+      });
+    }
+
+    const count = await AnalyticsReportSchedule.countDocuments({ owner: req.user._id });
+    if (count >= MAX_REPORT_SCHEDULES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_REPORT_SCHEDULES} scheduled reports`
+      });
+    }
+
+    const schedule = await AnalyticsReportSchedule.create({
+      owner: req.user._id,
+      report,
+      format,
+      frequency,
+      nextRunAt: analyticsReportScheduleService.nextRunAfter(frequency)
     });
+
+    res.status(201).json({
+      success: true,
+      message: 'Report scheduled',
+      data: { schedule }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error scheduling report', 'createReportSchedule');
+  }
+};
+
+/**
+ * @desc    Change the format or frequency of a scheduled report, or pause it
+ * @route   PATCH /api/analytics/reports/schedules/:id
+ * @access  Private (Admin, owner)
+ */
+export const updateReportSchedule = async (req, res) => {
+  try {
+    const { format, frequency, active } = req.body;
+
+    const schedule = mongoose.Types.ObjectId.isValid(req.params.id)
+      && await AnalyticsReportSchedule.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled report not found'
+      });
+    }
+
+    if ((format !== undefined && !EXPORT_FORMATS[format]) ||
+        (frequency !== undefined && !REPORT_FREQUENCIES.includes(frequency)) ||
+        (active !== undefined && typeof active !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid format, frequency or active value'
+      });
+    }
+
+    if (format !== undefined) schedule.format = format;
+    if (active !== undefined) schedule.active = active;
+    if (frequency !== undefined) schedule.frequency = frequency;
+
+    // A new frequency, or resuming, starts from the next regular send
+    if (schedule.isModified('frequency') || (schedule.isModified('active') && schedule.active)) {
+      schedule.nextRunAt = analyticsReportScheduleService.nextRunAfter(schedule.frequency);
+    }
+
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled report updated',
+      data: { schedule }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating scheduled report', 'updateReportSchedule');
+  }
+};
+
+/**
+ * @desc    Delete a scheduled report
+ * @route   DELETE /api/analytics/reports/schedules/:id
+ * @access  Private (Admin, owner)
+ */
+export const deleteReportSchedule = async (req, res) => {
+  try {
+    const deleted = mongoose.Types.ObjectId.isValid(req.params.id)
+      && await AnalyticsReportSchedule.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled report not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled report deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Error deleting scheduled report', 'deleteReportSchedule');
+  }
+};
+
+/**
+ * @desc    Email a scheduled report now, for the last full week or month
+ * @route   POST /api/analytics/reports/schedules/:id/send
+ * @access  Private (Admin, owner)
+ */
+export const sendReportScheduleNow = async (req, res) => {
+  try {
+    const schedule = mongoose.Types.ObjectId.isValid(req.params.id)
+      && await AnalyticsReportSchedule.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled report not found'
+      });
+    }
+
+    const result = await analyticsReportScheduleService.send(schedule);
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: `The report could not be sent: ${result.error}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Report sent to ${req.user.email}`
+    });
+  } catch (error) {
+    sendError(res, error, 'Error sending report', 'sendReportScheduleNow');
   }
 };
 
 /**
  * @desc    Get network interactions (for D3 visualizations)
- * @route   GET /api/analytics/network/interactions
+ * @route   GET /api/analytics/network/interactions?from&to&compare=previous
  * @access  Private (Admin)
  */
 export const getNetworkInteractions = async (req, res) => {
   try {
+    // All published posts unless a range is given
+    const range = analyticsExportService.hasRange(req.query) || req.query.compare
+      ? getRange(req.query)
+      : {};
+
     // This is a simplified version - can be expanded based on needs
     // Get authors and their post counts
     const authorNodes = await BlogPost.aggregate([
       {
-        $match: { status: 'published' }
+        $match: { status: 'published', ...(range.from && inRange('publishedAt', range)) }
       },
       {
         $group: {
@@ -798,20 +1087,75 @@ export const getNetworkInteractions = async (req, res) => {
     const links = [];
     // This is a placeholder - implement actual link logic based on your needs
 
+    const comparison = await compareWithPrevious(range, (span) =>
+      analyticsExportService.getAuthorSummary(span)
+    );
+
     res.status(200).json({
       success: true,
       data: {
         nodes: authorNodes,
-        links
+        links,
+        comparison
       }
     });
   } catch (error) {
-    console.error('Error in getNetworkInteractions:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching network interactions',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    sendError(res, error, 'Error fetching network interactions', 'getNetworkInteractions');
+  }
+};
+
+/**
+ * @desc    Signup-month cohorts and how many of them go on to post and comment
+ * @route   GET /api/analytics/cohorts?from&to&segment=roleApplication|department&months
+ * @access  Private (Admin)
+ */
+export const getCohorts = async (req, res) => {
+  try {
+    const { segment, roleApplication, department, months } = req.query;
+
+    if (segment && !COHORT_SEGMENTS.includes(segment)) {
+      return res.status(400).json({
+        success: false,
+        message: `Segment must be one of: ${COHORT_SEGMENTS.join(', ')}`
+      });
+    }
+
+    const affiliations = User.schema.path('roleApplication').enumValues;
+    if (roleApplication && !affiliations.includes(roleApplication)) {
+      return res.status(400).json({
+        success: false,
+        message: `roleApplication must be one of: ${affiliations.join(', ')}`
+      });
+    }
+
+    // Departments are free text, but only ever a plain string - never a query operator
+    if (department !== undefined && typeof department !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'department must be a single department name'
+      });
+    }
+
+    // Signups over the last six months unless a range is given
+    const range = analyticsExportService.parseRange(req.query, 180);
+    const filters = {
+      ...(roleApplication && { roleApplication }),
+      ...(department && { department })
+    };
+
+    const cohorts = await cohortAnalysisService.getCohorts({ range, segment, filters, months });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: range.from,
+        to: range.to,
+        segment: segment || null,
+        ...cohorts
+      }
     });
+  } catch (error) {
+    sendError(res, error, 'Error fetching cohort analysis', 'getCohorts');
   }
 };
 
@@ -819,8 +1163,17 @@ export default {
   getAdminDashboard,
   getModeratorDashboard,
   getAuthorDashboard,
+  getPostTimeline,
+  recordRead,
   getPostTrends,
   getUserActivity,
   getCategoryStats,
-  getNetworkInteractions
+  exportReport,
+  getReportSchedules,
+  createReportSchedule,
+  updateReportSchedule,
+  deleteReportSchedule,
+  sendReportScheduleNow,
+  getNetworkInteractions,
+  getCohorts
 };
@@ -1,37 +1,100 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import Terms from '../models/Terms.js';
 import { sendEmail } from '../utils/email.js';
-import { generateAccessToken, generateRefreshToken } from '../utils/tokens.js';
+import { verifyChallengeToken } from '../utils/tokens.js';
 import { formatUserResponse } from '../utils/helpers.js';
 import AuditLogService from '../services/auditLogService.js';
 import NotificationService from '../services/notificationService.js';
-import { asyncHandler } from '../middleware/errorMiddleware.js';
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
 import { generateId } from '../services/idService.js';
 import { getInitialVerificationStatus, VERIFICATION_STATUS } from '../services/verificationService.js';
+import twoFactorService, { TWO_FACTOR_FIELDS } from '../services/twoFactorService.js';
+import sessionService from '../services/sessionService.js';
+import accountLockService from '../services/accountLockService.js';
+import permissionService from '../services/permissionService.js';
 
 /**
- * Send token response with cookies
+ * Refuse a sign-in attempt while the account is locked or throttled
+ * @returns {boolean} True if a response was sent
  */
-const sendTokenResponse = (user, statusCode, res) => {
-  const accessToken = generateAccessToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+const rejectIfLocked = (user, res) => {
+  const lock = accountLockService.check(user);
+  if (!lock) return false;
 
-  // Cookie options
-  const cookieOptions = {
-    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict'
-  };
+  res.set('Retry-After', String(lock.retryAfter))
+    .status(lock.reason === 'locked' ? 423 : 429)
+    .json({
+      success: false,
+      locked: lock.reason === 'locked',
+      retryAfter: lock.retryAfter,
+      message: lock.message
+    });
+  return true;
+};
+
+/**
+ * Count a wrong password or code and send the matching error
+ */
+const rejectFailedAttempt = async (user, req, res, message, statusCode = 401) => {
+  const { locked } = await accountLockService.recordFailure(user, req);
+  if (locked) {
+    // Re-read so the response has the lock's end time
+    const lockedUser = await User.findById(user._id);
+    return rejectIfLocked(lockedUser, res);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    message
+  });
+};
+
+/**
+ * Load the user a two-factor login challenge was issued to
+ * @param {string} challengeToken - Token from the first login step
+ * @param {string} purpose - 'verify' or 'enroll'
+ */
+const getChallengedUser = async (challengeToken, purpose) => {
+  if (!challengeToken) {
+    throw new AppError('Challenge token is required', 400);
+  }
+
+  const decoded = verifyChallengeToken(challengeToken);
+  if (decoded.purpose !== purpose) {
+    throw new AppError('Invalid sign-in challenge. Please log in again.', 401);
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+  if (!user || user.isActive === false) {
+    throw new AppError('Invalid sign-in challenge. Please log in again.', 401);
+  }
+
+  return user;
+};
+
+// The cookie lasts as long as the session would if left unused
+const refreshCookieOptions = (expiresAt) => ({
+  expires: expiresAt,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict'
+});
+
+/**
+ * Start a session for the device and send its tokens, with cookies
+ * @param {Object} [extra] - Additional fields for the response body
+ */
+const sendTokenResponse = async (user, statusCode, req, res, extra = {}) => {
+  const { accessToken, refreshToken, expiresAt } = await sessionService.create(user, req);
 
   res.status(statusCode)
-    .cookie('refreshToken', refreshToken, cookieOptions)
+    .cookie('refreshToken', refreshToken, refreshCookieOptions(expiresAt))
     .json({
       success: true,
       accessToken,
       refreshToken,
-      user: formatUserResponse(user)
+      user: formatUserResponse(user),
+      ...extra
     });
 };
 
@@ -209,15 +272,9 @@ export const register = asyncHandler(async (req, res) => {
 
     // Notify admins about new user registration (especially for alumni)
     try {
-      const admins = await User.find({
-        $or: [
-          { role: 'admin' },
-          { roles: { $in: ['admin'] } }
-        ]
-      }).select('_id');
-
-      if (admins.length > 0) {
-        const adminIds = admins.map(a => a._id);
+      const adminIds = await permissionService.usersWith('user.approve');
+
+      if (adminIds.length > 0) {
         await NotificationService.notifyAdminNewUser(adminIds, user);
       }
     } catch (notifError) {
@@ -300,15 +357,9 @@ export const verifyEmail = asyncHandler(async (req, res) => {
   } else if (user.authorApplicationStatus === 'pending') {
     // Notify admin about new author request (after email verification)
     try {
-      const admins = await User.find({
-        $or: [
-          { role: 'admin' },
-          { roles: { $in: ['admin'] } }
-        ]
-      }).select('_id');
-
-      if (admins.length > 0) {
-        const adminIds = admins.map(a => a._id);
+      const adminIds = await permissionService.usersWith('user.approve');
+
+      if (adminIds.length > 0) {
         await NotificationService.notifyAdminAuthorRequest(adminIds, user);
       }
     } catch (err) {
@@ -349,14 +400,13 @@ export const login = asyncHandler(async (req, res) => {
     });
   }
 
+  if (rejectIfLocked(user, res)) return;
+
   // Check if password matches
   const isMatch = await user.correctPassword(password);
 
   if (!isMatch) {
-    return res.status(401).json({
-      success: false,
-      message: 'Incorrect password. Please try again.'
-    });
+    return rejectFailedAttempt(user, req, res, 'Incorrect password. Please try again.');
   }
 
   // Check if user is active (support both old status field and new isActive field)
@@ -387,16 +437,105 @@ export const login = asyncHandler(async (req, res) => {
     });
   }
 
+  // With two-factor authentication on (or required for the user's role)
+  // the password only earns a challenge token for the second step
+  const challenge = await twoFactorService.getLoginChallenge(user);
+  if (challenge) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      ...challenge
+    });
+  }
+
+  await accountLockService.reset(user);
+
   // Log successful login
   await AuditLogService.logUserLogin(user._id, req);
 
-  sendTokenResponse(user, 200, res);
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Complete login with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token)
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide an authentication code or a recovery code'
+    });
+  }
+
+  const user = await getChallengedUser(challengeToken, 'verify');
+  if (rejectIfLocked(user, res)) return;
+
+  const result = await twoFactorService.verify(user, { code, recoveryCode });
+
+  if (!result) {
+    return rejectFailedAttempt(
+      user,
+      req,
+      res,
+      recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code',
+      400
+    );
+  }
+
+  await accountLockService.reset(user);
+
+  if (result.method === 'recovery') {
+    await AuditLogService.logRecoveryCodeUsed(user._id, result.remaining, req);
+  }
+  await AuditLogService.logUserLogin(user._id, req);
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Start the two-factor setup a user's role requires before login
+// @route   POST /api/auth/login/2fa/setup
+// @access  Public (challenge token)
+export const beginTwoFactorEnrollment = asyncHandler(async (req, res) => {
+  const user = await getChallengedUser(req.body.challengeToken, 'enroll');
+  const setup = await twoFactorService.beginSetup(user);
+
+  res.status(200).json({
+    success: true,
+    data: setup
+  });
+});
+
+// @desc    Finish the required two-factor setup and log in
+// @route   POST /api/auth/login/2fa/enable
+// @access  Public (challenge token)
+export const completeTwoFactorEnrollment = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const user = await getChallengedUser(challengeToken, 'enroll');
+  const recoveryCodes = await twoFactorService.enable(user, code);
+
+  await accountLockService.reset(user);
+  await AuditLogService.logTwoFactorEnabled(user._id, req);
+  await AuditLogService.logUserLogin(user._id, req);
+
+  // The recovery codes are shown once, so they come back with the tokens
+  await sendTokenResponse(user, 200, req, res, { recoveryCodes });
 });
 
 // @desc    Log user out / clear cookie
 // @route   GET /api/auth/logout
 // @access  Private
 export const logout = asyncHandler(async (req, res) => {
+  // End this device's session so its refresh token stops working
+  if (req.sessionId) {
+    await sessionService.revoke(req.user._id, req.sessionId, 'logout');
+  } else {
+    const token = req.cookies?.refreshToken || req.body?.refreshToken;
+    if (token) await sessionService.revokeByToken(token);
+  }
+
   // Log logout action
   if (req.user) {
     await AuditLogService.logUserLogout(req.user._id, req);
@@ -511,6 +650,11 @@ export const resetPassword = asyncHandler(async (req, res) => {
   user.passwordChangedAt = Date.now();
   await user.save();
 
+  // Whoever knew the old password may still be signed in somewhere
+  await sessionService.revokeAll(user._id, { reason: 'password_changed' });
+  // Resetting by email proves ownership, so it also lifts a lockout
+  await accountLockService.reset(user);
+
   // Log password reset
   await AuditLogService.logPasswordReset(user._id, req);
 
@@ -524,7 +668,7 @@ export const resetPassword = asyncHandler(async (req, res) => {
 // @route   POST /api/auth/refresh-token
 // @access  Public
 export const refreshToken = asyncHandler(async (req, res) => {
-  const { refreshToken } = req.cookies;
+  const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
 
   if (!refreshToken) {
     return res.status(401).json({
@@ -533,32 +677,38 @@ export const refreshToken = asyncHandler(async (req, res) => {
     });
   }
 
-  try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const user = await User.findById(decoded.id);
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(403).json({
-        success: false,
-        message: 'Account not eligible for token refresh'
-      });
-    }
+  // Rotates the token; a reused one revokes its session and throws
+  const session = await sessionService.rotate(refreshToken, req);
+  const user = await User.findById(session.userId);
 
-    sendTokenResponse(user, 200, res);
-  } catch (error) {
+  if (!user) {
     return res.status(401).json({
       success: false,
-      message: 'Invalid refresh token'
+      message: 'User not found'
+    });
+  }
+
+  // Check if user is active
+  if (!user.isActive) {
+    await sessionService.revoke(user._id, session.sessionId);
+    return res.status(403).json({
+      success: false,
+      message: 'Account not eligible for token refresh'
     });
   }
+
+  // Without a new refresh token (a concurrent refresh rotated it) the
+  // device keeps the one it has
+  if (session.refreshToken) {
+    res.cookie('refreshToken', session.refreshToken, refreshCookieOptions(session.expiresAt));
+  }
+
+  res.status(200).json({
+    success: true,
+    accessToken: session.accessToken,
+    refreshToken: session.refreshToken,
+    user: formatUserResponse(user)
+  });
 });
 
 // @desc    Update user profile
@@ -676,12 +826,34 @@ export const changePassword = asyncHandler(async (req, res) => {
   user.passwordHash = newPassword;
   await user.save();
 
+  // Sign out every other device
+  await sessionService.revokeAll(user._id, { except: req.sessionId, reason: 'password_changed' });
+
   res.status(200).json({
     success: true,
     message: 'Password changed successfully'
   });
 });
 
+// @desc    Unlock an account from the link in the lockout email
+// @route   POST /api/auth/unlock-account
+// @access  Public
+export const unlockAccount = asyncHandler(async (req, res) => {
+  const user = await accountLockService.unlockWithToken(req.body.token, req);
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'This unlock link is invalid or has expired.'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Your account is unlocked. You can log in now.'
+  });
+});
+
 // @desc    Resend verification email
 // @route   POST /api/auth/resend-verification
 // @access  Public
@@ -7,8 +7,23 @@
 
 import BlogPost from '../models/blogpost/index.js';
 import User from '../models/User.js';
-import Notification from '../models/Notification.js';
 import AuditLogService from '../services/auditLogService.js';
+import permissionService from '../services/permissionService.js';
+import NotificationService from '../services/notificationService.js';
+import collaborativeEditingService from '../services/collaborativeEditingService.js';
+import socketService from '../services/socketService.js';
+import { diffWords } from '../utils/wordDiff.js';
+import { htmlToText } from '../utils/helpers.js';
+
+/**
+ * Check whether the user may see a post's revision history: its authors and
+ * anyone who may edit or review posts in its category
+ */
+const canViewRevisions = async (post, user) => {
+  if (post.canViewHistory(user._id)) return true;
+  return await permissionService.can(user, 'post.edit.any', post.category) ||
+    permissionService.can(user, 'post.approve', post.category);
+};
 
 /**
  * @desc    Invite a user to collaborate on a post
@@ -86,12 +101,13 @@ export const inviteCollaborator = async (req, res) => {
     await post.save();
 
     // Send notification to invited user
-    await Notification.create({
+    await NotificationService.createNotification({
       recipient: userId,
       sender: req.user._id,
       type: 'collaboration_invite',
       title: 'Collaboration Invitation',
       message: `${req.user.firstName || req.user.email} invited you to collaborate on "${post.title}"`,
+      relatedPost: post._id,
       link: `/posts/${post.slug || post._id}`,
       metadata: {
         postId: post._id,
@@ -151,24 +167,26 @@ export const respondToInvitation = async (req, res) => {
       invite.status = 'accepted';
 
       // Notify the author
-      await Notification.create({
+      await NotificationService.createNotification({
         recipient: post.author,
         sender: req.user._id,
         type: 'collaboration_accepted',
         title: 'Collaboration Accepted',
         message: `${req.user.firstName || req.user.email} accepted your invitation to collaborate on "${post.title}"`,
+        relatedPost: post._id,
         link: `/posts/${post.slug || post._id}`
       });
     } else {
       invite.status = 'declined';
 
       // Notify the author
-      await Notification.create({
+      await NotificationService.createNotification({
         recipient: post.author,
         sender: req.user._id,
         type: 'collaboration_declined',
         title: 'Collaboration Declined',
         message: `${req.user.firstName || req.user.email} declined your invitation to collaborate on "${post.title}"`,
+        relatedPost: post._id,
         link: `/posts/${post.slug || post._id}`
       });
     }
@@ -212,12 +230,13 @@ export const removeCollaborator = async (req, res) => {
     await post.save();
 
     // Notify removed user
-    await Notification.create({
+    await NotificationService.createNotification({
       recipient: userId,
       sender: req.user._id,
       type: 'collaboration_removed',
       title: 'Removed from Collaboration',
       message: `You have been removed from collaborating on "${post.title}"`,
+      relatedPost: post._id,
       link: `/posts/${post.slug || post._id}`
     });
 
@@ -367,12 +386,13 @@ export const leaveCollaboration = async (req, res) => {
     await post.save();
 
     // Notify the author
-    await Notification.create({
+    await NotificationService.createNotification({
       recipient: post.author,
       sender: req.user._id,
       type: 'collaboration_left',
       title: 'Collaborator Left',
       message: `${req.user.firstName || req.user.email} left the collaboration on "${post.title}"`,
+      relatedPost: post._id,
       link: `/posts/${post.slug || post._id}`
     });
 
@@ -457,3 +477,178 @@ export const searchUsersToInvite = async (req, res) => {
     res.status(500).json({ success: false, message: 'Error searching users', error: error.message });
   }
 };
+
+/**
+ * @desc    Get revision history of a post
+ * @route   GET /api/posts/:id/revisions
+ * @access  Private (Author, co-authors, moderators, admins)
+ */
+export const getRevisions = async (req, res) => {
+  try {
+    const post = await BlogPost.findById(req.params.id)
+      .setOptions({ skipPopulate: true })
+      .select('author coAuthors category title revisions')
+      .populate('revisions.editedBy', 'firstName lastName profile.avatar');
+
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    if (!(await canViewRevisions(post, req.user))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view revision history' });
+    }
+
+    // Newest first, without the full content; each entry carries its change
+    // against the previous one, counted when the revision was recorded
+    const revisions = post.revisions.map((revision, index) => {
+      const previous = post.revisions[index - 1];
+
+      return {
+        _id: revision._id,
+        title: revision.title,
+        editedBy: revision.editedBy,
+        editedAt: revision.editedAt,
+        changeNote: revision.changeNote,
+        restoredFrom: revision.restoredFrom,
+        titleChanged: previous ? previous.title !== revision.title : false,
+        stats: revision.stats?.added === undefined ? null : revision.stats
+      };
+    }).reverse();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        postId: post._id,
+        revisions
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({ success: false, message: 'Error fetching revisions' });
+  }
+};
+
+/**
+ * @desc    Word-level diff between two revisions
+ * @route   GET /api/posts/:id/revisions/diff?from=:revId&to=:revId|current
+ * @access  Private (Author, co-authors, moderators, admins)
+ */
+export const getRevisionDiff = async (req, res) => {
+  try {
+    const { from, to = 'current' } = req.query;
+
+    const post = await BlogPost.findById(req.params.id)
+      .setOptions({ skipPopulate: true })
+      .select('author coAuthors category title content revisions updatedAt')
+      .populate('revisions.editedBy', 'firstName lastName');
+
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    if (!(await canViewRevisions(post, req.user))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view revision history' });
+    }
+
+    const current = {
+      _id: 'current',
+      title: post.title,
+      content: post.content,
+      editedAt: post.updatedAt
+    };
+
+    const target = to === 'current' ? current : post.revisions.id(to);
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    // Without `from`, compare against the revision just before `to`
+    let base;
+    if (from) {
+      base = from === 'current' ? current : post.revisions.id(from);
+    } else if (to === 'current') {
+      base = post.revisions[post.revisions.length - 1];
+    } else {
+      const index = post.revisions.findIndex(r => r._id.toString() === to);
+      base = post.revisions[index - 1];
+    }
+
+    if (from && !base) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    const summarize = (revision) => revision && {
+      _id: revision._id,
+      title: revision.title,
+      editedBy: revision.editedBy,
+      editedAt: revision.editedAt,
+      changeNote: revision.changeNote
+    };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: summarize(base) || null,
+        to: summarize(target),
+        title: diffWords(base?.title || '', target.title || ''),
+        content: diffWords(htmlToText(base?.content || ''), htmlToText(target.content || ''))
+      }
+    });
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    res.status(500).json({ success: false, message: 'Error comparing revisions' });
+  }
+};
+
+/**
+ * @desc    Restore a post to an earlier revision
+ * @route   POST /api/posts/:id/revisions/:revId/restore
+ * @access  Private (Author, editor co-authors, admins)
+ */
+export const restoreRevision = async (req, res) => {
+  try {
+    const { id, revId } = req.params;
+
+    const post = await BlogPost.findById(id);
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    if (!post.canEdit(req.user._id) &&
+        !(await permissionService.can(req.user, 'post.edit.any', post.category))) {
+      return res.status(403).json({ success: false, message: 'Not authorized to restore revisions of this post' });
+    }
+
+    const revision = post.revisions.id(revId);
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    const previous = { title: post.title, content: post.content };
+    post.title = revision.title || post.title;
+    post.content = revision.content || post.content;
+
+    const changeNote = req.body.changeNote ||
+      `Restored version from ${new Date(revision.editedAt).toLocaleString()}`;
+    post.recordRevision(req.user._id, changeNote, previous, revision._id);
+
+    await post.save();
+
+    // Push the restored document to anyone co-editing right now
+    const snapshot = collaborativeEditingService.resetDocument(post._id.toString(), post.content);
+    if (snapshot) {
+      socketService.broadcastDocumentReset(post._id.toString(), snapshot);
+    }
+
+    await AuditLogService.logRevisionRestore(post._id, req.user._id, revision, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Revision restored successfully',
+      post
+    });
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    res.status(500).json({ success: false, message: 'Error restoring revision' });
+  }
+};
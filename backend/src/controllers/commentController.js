@@ -1,6 +1,121 @@
-import Comment from '../models/Comment.js';
+import Comment, { COMMENT_SORTS } from '../models/Comment.js';
 import BlogPost from '../models/blogpost/index.js';
 import mongoose from 'mongoose';
+import violationDetectionService from '../services/violationDetectionService.js';
+import reportService from '../services/reportService.js';
+import mentionService from '../services/mentionService.js';
+import postAnalyticsService from '../services/postAnalyticsService.js';
+import NotificationService from '../services/notificationService.js';
+import AuditLogService from '../services/auditLogService.js';
+import permissionService from '../services/permissionService.js';
+import { getSettings } from '../middleware/settingsMiddleware.js';
+
+const MODERATION_ACTIONS = ['hide', 'unhide', 'delete'];
+const MAX_BULK_COMMENTS = 100;
+const MAX_THREAD_PAGE = 50;
+
+// Read page/limit/sort for a thread listing, falling back to the defaults
+const parseThreadQuery = (query, defaults) => ({
+  sort: COMMENT_SORTS[query.sort] ? query.sort : defaults.sort,
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || defaults.limit, 1), MAX_THREAD_PAGE),
+});
+
+// Set isLiked on loaded comments and the replies nested under them
+const markLiked = (comments, userId) =>
+  comments.map(comment => ({
+    ...comment,
+    isLiked: userId
+      ? comment.likes?.some(like => like.toString() === userId.toString()) || false
+      : false,
+    replies: markLiked(comment.replies || [], userId),
+  }));
+
+/**
+ * Post filter limiting comments to posts in the categories the user holds a
+ * moderation permission for
+ * @returns {Promise<Object|null>} Filter, or null if every category is covered
+ */
+const moderationScope = async (user, permission) => {
+  const categories = await permissionService.categoriesFor(user, permission);
+  if (!categories) return null;
+  return { post: { $in: await BlogPost.distinct('_id', { category: { $in: categories } }) } };
+};
+
+/**
+ * The comments the user may moderate with the permission
+ * @returns {Promise<Array>}
+ */
+const withinScope = async (user, permission, comments) => {
+  const scope = await moderationScope(user, permission);
+  if (!scope) return comments;
+
+  const allowed = new Set(scope.post.$in.map(id => id.toString()));
+  return comments.filter(comment => allowed.has(comment.post.toString()));
+};
+
+/**
+ * Hide, unhide or delete comments on behalf of a moderator. Closes any open
+ * reports on hidden or deleted comments, tells their authors and writes an
+ * audit entry for each comment.
+ * @returns {Array} IDs of the comments that were changed
+ */
+const applyModerationAction = async (comments, action, reason, req) => {
+  const moderatorId = req.user._id;
+  const ids = comments.map(c => c._id);
+  const now = new Date();
+
+  if (action === 'hide') {
+    await Comment.updateMany(
+      { _id: { $in: ids } },
+      { $set: { isHidden: true, hiddenBy: moderatorId, hiddenAt: now, hiddenReason: reason } }
+    );
+  } else if (action === 'unhide') {
+    await Comment.updateMany(
+      { _id: { $in: ids } },
+      { $set: { isHidden: false }, $unset: { hiddenBy: 1, hiddenAt: 1, hiddenReason: 1 } }
+    );
+  } else {
+    // The whole thread beneath a comment goes with it
+    await Comment.deleteMany(Comment.subtreeFilter(ids));
+  }
+
+  // Bulk updates skip the document hooks, so recount each affected post
+  const postIds = [...new Set(comments.map(c => c.post.toString()))];
+  await Promise.all(postIds.map(postId => Comment.updatePostCommentCount(postId)));
+
+  if (action !== 'unhide') {
+    await reportService.resolveForTargets('comment', ids, moderatorId, {
+      actionTaken: action === 'delete' ? 'content_removed' : 'content_hidden',
+      resolutionNotes: reason
+    });
+  }
+
+  const auditAction = {
+    hide: 'comment_hidden',
+    unhide: 'comment_unhidden',
+    delete: 'comment_deleted'
+  }[action];
+
+  await Promise.all(comments.map(async (comment) => {
+    await AuditLogService.logCommentModerated(comment._id, moderatorId, auditAction, reason, req);
+
+    if (action !== 'unhide' && comment.author.toString() !== moderatorId.toString()) {
+      try {
+        await NotificationService.notifyCommentModerated(
+          comment,
+          action === 'delete' ? 'deleted' : 'hidden',
+          moderatorId,
+          reason
+        );
+      } catch (error) {
+        console.error('Error notifying comment author:', error);
+      }
+    }
+  }));
+
+  return ids;
+};
 
 // @desc    Get all comments for a post
 // @route   GET /api/posts/:postId/comments
@@ -27,36 +142,24 @@ export const getComments = async (req, res) => {
       });
     }
 
-    // Get comments with replies using the actual post _id
-    const comments = await Comment.getCommentsWithReplies(post._id);
+    const { sort, page, limit } = parseThreadQuery(req.query, { sort: 'newest', limit: 10 });
 
-    // Add isLiked flag for authenticated users
-    const commentsWithLikeStatus = comments.map(comment => {
-      const commentObj = { ...comment };
-      if (req.user) {
-        commentObj.isLiked = comment.likes?.some(
-          like => like.toString() === req.user._id.toString()
-        );
-      }
-      
-      // Process replies
-      if (commentObj.replies) {
-        commentObj.replies = commentObj.replies.map(reply => ({
-          ...reply,
-          isLiked: req.user ? reply.likes?.some(
-            like => like.toString() === req.user._id.toString()
-          ) : false,
-        }));
-      }
-      
-      return commentObj;
-    });
+    // Get a page of top-level comments with their first replies
+    const { comments, total } = await Comment.getCommentsWithReplies(post._id, { sort, page, limit });
 
     res.status(200).json({
       success: true,
       data: {
-        comments: commentsWithLikeStatus,
-        count: comments.length,
+        comments: markLiked(comments, req.user?._id),
+        count: post.commentsCount,
+        topLevelCount: total,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+          hasMore: page * limit < total,
+        },
       },
     });
   } catch (error) {
@@ -69,6 +172,54 @@ export const getComments = async (req, res) => {
   }
 };
 
+// @desc    Get replies to a comment
+// @route   GET /api/comments/:id/replies
+// @access  Public
+export const getCommentReplies = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID',
+      });
+    }
+
+    const parent = await Comment.findById(id).select('isHidden');
+    if (!parent || parent.isHidden) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    const { sort, page, limit } = parseThreadQuery(req.query, { sort: 'oldest', limit: 5 });
+    const { replies, total } = await Comment.getReplies(id, { sort, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        replies: markLiked(replies, req.user?._id),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+          hasMore: page * limit < total,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching replies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching replies',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+};
+
 // @desc    Create a comment
 // @route   POST /api/posts/:postId/comments
 // @access  Private
@@ -105,8 +256,9 @@ export const createComment = async (req, res) => {
 
     // If replying, verify parent comment exists
     if (parentCommentId) {
-      const parentComment = await Comment.findById(parentCommentId);
-      if (!parentComment) {
+      const parentComment = mongoose.Types.ObjectId.isValid(parentCommentId)
+        && await Comment.findById(parentCommentId).select('post isHidden');
+      if (!parentComment || parentComment.isHidden || !parentComment.post.equals(post._id)) {
         return res.status(404).json({
           success: false,
           message: 'Parent comment not found',
@@ -114,16 +266,58 @@ export const createComment = async (req, res) => {
       }
     }
 
+    // Screen the comment the same way posts are screened
+    let violationReport = null;
+    const settings = await getSettings();
+    if (settings?.moderation?.enableAIModeration ?? true) {
+      try {
+        violationReport = await violationDetectionService.analyzeForViolations('', content.trim());
+      } catch (error) {
+        console.error('Error analyzing comment for violations:', error);
+      }
+
+      if (violationReport?.severity === 'critical') {
+        return res.status(400).json({
+          success: false,
+          message: 'Your comment has been flagged for policy violations and cannot be posted.',
+          moderation: {
+            flags: violationReport.violations,
+            severity: violationReport.severity,
+          },
+        });
+      }
+    }
+
     // Create comment using the actual post _id
     const comment = await Comment.create({
       content: content.trim(),
       author: req.user._id,
       post: post._id,
       parentComment: parentCommentId || null,
+      ...(violationReport && {
+        violationReport: {
+          hasViolations: violationReport.hasViolations,
+          severity: violationReport.severity,
+          violations: violationReport.violations.map(v => ({
+            type: v.type,
+            description: v.description,
+            excerpt: v.excerpt,
+          })),
+          analyzedAt: violationReport.analyzedAt,
+        },
+      }),
     });
 
+    postAnalyticsService.recordComment(post);
+
+    try {
+      await mentionService.processCommentMentions(comment);
+    } catch (error) {
+      console.error('Error processing comment mentions:', error);
+    }
+
     // Populate author info
-    await comment.populate('author', 'firstName lastName email profile');
+    await comment.populate('author', 'firstName lastName username email profile');
 
     res.status(201).json({
       success: true,
@@ -133,6 +327,7 @@ export const createComment = async (req, res) => {
           ...comment.toObject(),
           isLiked: false,
           replies: [],
+          repliesCount: 0,
         },
       },
     });
@@ -185,7 +380,13 @@ export const updateComment = async (req, res) => {
     comment.editedAt = new Date();
     await comment.save();
 
-    await comment.populate('author', 'firstName lastName email profile');
+    try {
+      await mentionService.processCommentMentions(comment);
+    } catch (error) {
+      console.error('Error processing comment mentions:', error);
+    }
+
+    await comment.populate('author', 'firstName lastName username email profile');
 
     res.status(200).json({
       success: true,
@@ -220,19 +421,31 @@ export const deleteComment = async (req, res) => {
       });
     }
 
-    // Check if user is the author or admin
+    // Check if user is the author or may delete comments on this post
     const isAuthor = comment.author.toString() === req.user._id.toString();
-    const isAdmin = req.user.roles?.includes('admin') || req.user.roles?.includes('moderator');
+    const canDeleteAny = !isAuthor &&
+      (await withinScope(req.user, 'comment.delete.any', [comment])).length > 0;
 
-    if (!isAuthor && !isAdmin) {
+    if (!isAuthor && !canDeleteAny) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this comment',
       });
     }
 
-    // Delete all replies first
-    await Comment.deleteMany({ parentComment: id });
+    // A moderator removing someone else's comment goes through moderation
+    if (!isAuthor) {
+      const reason = String(req.body?.reason || '').trim().slice(0, 500);
+      await applyModerationAction([comment], 'delete', reason, req);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Comment deleted successfully',
+      });
+    }
+
+    // Delete every reply in the thread beneath it
+    await Comment.deleteMany({ ...Comment.subtreeFilter([comment._id]), _id: { $ne: comment._id } });
 
     // Delete the comment
     await comment.deleteOne();
@@ -322,3 +535,287 @@ export const unlikeComment = async (req, res) => {
     });
   }
 };
+
+// @desc    List comments for moderation
+// @route   GET /api/comments/moderation
+// @access  Private (Moderator/Admin)
+export const getModerationComments = async (req, res) => {
+  try {
+    const {
+      filter = 'all',
+      author,
+      post,
+      from,
+      to,
+      search,
+      sort = 'newest',
+      page = 1,
+      limit = 15,
+    } = req.query;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 15, 1), 100);
+
+    // Category moderators only see comments on posts in their categories
+    const scope = await moderationScope(req.user, 'comment.hide');
+    const query = scope ? { $and: [scope] } : {};
+    const reportedIds = await reportService.activeTargetIds('comment');
+
+    if (filter === 'flagged') {
+      query['violationReport.hasViolations'] = true;
+    } else if (filter === 'reported') {
+      query._id = { $in: reportedIds };
+    } else if (filter === 'hidden') {
+      query.isHidden = true;
+    } else if (filter === 'visible') {
+      query.isHidden = { $ne: true };
+    }
+
+    if (author) {
+      if (!mongoose.Types.ObjectId.isValid(author)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid author ID',
+        });
+      }
+      query.author = author;
+    }
+
+    if (post) {
+      if (!mongoose.Types.ObjectId.isValid(post)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid post ID',
+        });
+      }
+      query.post = post;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from && !isNaN(Date.parse(from))) query.createdAt.$gte = new Date(from);
+      if (to && !isNaN(Date.parse(to))) query.createdAt.$lte = new Date(to);
+    }
+
+    if (search && search.trim()) {
+      const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.content = { $regex: escaped, $options: 'i' };
+    }
+
+    const sortOptions = {
+      newest: { createdAt: -1 },
+      oldest: { createdAt: 1 },
+      mostLiked: { likesCount: -1, createdAt: -1 },
+    };
+
+    const [comments, total, flagged, hidden, reported, all] = await Promise.all([
+      Comment.find(query)
+        .populate('author', 'firstName lastName email profile')
+        .populate({
+          path: 'post',
+          select: 'title slug',
+          options: { skipPopulate: true },
+        })
+        .populate('hiddenBy', 'firstName lastName')
+        .sort(sortOptions[sort] || sortOptions.newest)
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Comment.countDocuments(query),
+      Comment.countDocuments({ ...scope, 'violationReport.hasViolations': true }),
+      Comment.countDocuments({ ...scope, isHidden: true }),
+      scope
+        ? Comment.countDocuments({ ...scope, _id: { $in: reportedIds } })
+        : reportedIds.length,
+      scope ? Comment.countDocuments(scope) : Comment.estimatedDocumentCount(),
+    ]);
+
+    const reportedSet = new Set(reportedIds.map(id => id.toString()));
+    const pages = Math.ceil(total / pageSize) || 1;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        comments: comments.map(comment => ({
+          ...comment,
+          isReported: reportedSet.has(comment._id.toString()),
+        })),
+        stats: {
+          total: all,
+          flagged,
+          reported,
+          hidden,
+        },
+        pagination: {
+          current: pageNumber,
+          pages,
+          total,
+          hasNext: pageNumber < pages,
+          hasPrev: pageNumber > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching comments for moderation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+};
+
+// @desc    Hide a comment from readers
+// @route   PUT /api/comments/:id/hide
+// @access  Private (Moderator/Admin)
+export const hideComment = async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    if ((await withinScope(req.user, 'comment.hide', [comment])).length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to moderate comments on this post',
+      });
+    }
+
+    if (comment.isHidden) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment is already hidden',
+      });
+    }
+
+    const reason = String(req.body?.reason || '').trim().slice(0, 500);
+    await applyModerationAction([comment], 'hide', reason, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment hidden',
+    });
+  } catch (error) {
+    console.error('Error hiding comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error hiding comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+};
+
+// @desc    Show a hidden comment again
+// @route   PUT /api/comments/:id/unhide
+// @access  Private (Moderator/Admin)
+export const unhideComment = async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    if ((await withinScope(req.user, 'comment.hide', [comment])).length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to moderate comments on this post',
+      });
+    }
+
+    if (!comment.isHidden) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment is not hidden',
+      });
+    }
+
+    await applyModerationAction([comment], 'unhide', '', req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment is visible again',
+    });
+  } catch (error) {
+    console.error('Error unhiding comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unhiding comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+};
+
+// @desc    Hide, unhide or delete several comments at once
+// @route   POST /api/comments/moderation/bulk
+// @access  Private (Moderator/Admin)
+export const bulkModerateComments = async (req, res) => {
+  try {
+    const { ids, action } = req.body;
+    const reason = String(req.body.reason || '').trim().slice(0, 500);
+
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${MODERATION_ACTIONS.join(', ')}`,
+      });
+    }
+
+    const permission = action === 'delete' ? 'comment.delete.any' : 'comment.hide';
+    if (!(await permissionService.has(req.user, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to ${action} comments`,
+      });
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment IDs are required',
+      });
+    }
+
+    if (ids.length > MAX_BULK_COMMENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot moderate more than ${MAX_BULK_COMMENTS} comments at once`,
+      });
+    }
+
+    const query = { _id: { $in: ids.filter(id => mongoose.Types.ObjectId.isValid(id)) } };
+    // Skip comments already in the requested state
+    if (action === 'hide') query.isHidden = { $ne: true };
+    if (action === 'unhide') query.isHidden = true;
+
+    // Comments outside the user's categories are skipped
+    const comments = await withinScope(req.user, permission, await Comment.find(query));
+    const changed = comments.length > 0
+      ? await applyModerationAction(comments, action, reason, req)
+      : [];
+
+    const verb = { hide: 'hidden', unhide: 'unhidden', delete: 'deleted' }[action];
+
+    res.status(200).json({
+      success: true,
+      message: `${changed.length} comment${changed.length === 1 ? '' : 's'} ${verb}`,
+      data: {
+        updated: changed,
+        skipped: ids.length - changed.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error moderating comments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating comments',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    });
+  }
+};
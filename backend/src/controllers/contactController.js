@@ -1,6 +1,6 @@
 import Contact from '../models/Contact.js';
-import User from '../models/User.js';
-import Notification from '../models/Notification.js';
+import NotificationService from '../services/notificationService.js';
+import permissionService from '../services/permissionService.js';
 import { sendEmail } from '../utils/email.js';
 import { asyncHandler } from '../middleware/errorMiddleware.js';
 
@@ -59,12 +59,12 @@ export const submitContactForm = asyncHandler(async (req, res) => {
     console.error('Failed to send admin notification email:', emailError);
   }
 
-  // Create in-app notifications for all admin users
+  // Create in-app notifications for everyone who answers contact messages
   try {
-    const adminUsers = await User.find({ role: 'admin' }).select('_id');
+    const recipientIds = await permissionService.usersWith('contact.manage');
     
-    const notifications = adminUsers.map(admin => ({
-      recipient: admin._id,
+    const notifications = recipientIds.map(recipientId => ({
+      recipient: recipientId,
       type: 'contact_message',
       title: '📬 New Contact Message',
       message: `${firstName} ${lastName} sent a message: "${subject}"`,
@@ -78,9 +78,7 @@ export const submitContactForm = asyncHandler(async (req, res) => {
       }
     }));
 
-    if (notifications.length > 0) {
-      await Notification.insertMany(notifications);
-    }
+    await NotificationService.deliverMany(notifications);
   } catch (notifyError) {
     console.error('Failed to create admin notifications:', notifyError);
   }
@@ -0,0 +1,190 @@
+import mongoose from 'mongoose';
+import DraftSnapshot from '../models/DraftSnapshot.js';
+import BlogPost from '../models/blogpost/index.js';
+import permissionService from '../services/permissionService.js';
+
+const NEW_POST_KEY = 'new';
+const SNAPSHOT_FIELDS = ['title', 'content', 'excerpt', 'category', 'tags', 'featuredImage', 'metaDescription'];
+const MAX_CONTENT_LENGTH = 500000; // characters of HTML
+
+/**
+ * Resolve the :key route param to a post ID (null for a new post) and check
+ * the user may edit that post. Sends the error response and returns undefined
+ * when the request cannot go ahead.
+ */
+const resolvePost = async (req, res) => {
+  const { key } = req.params;
+  if (key === NEW_POST_KEY) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(key)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid draft key'
+    });
+    return undefined;
+  }
+
+  const post = await BlogPost.findById(key)
+    .setOptions({ skipPopulate: true })
+    .select('author coAuthors category');
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+    return undefined;
+  }
+
+  // Same people who can save the post itself: author, editor co-authors and
+  // anyone who may edit any post in its category
+  const userId = req.user._id.toString();
+  const isAuthor = post.author.toString() === userId;
+  const isEditor = post.coAuthors?.some(
+    ca => ca.user.toString() === userId && ca.role === 'editor'
+  );
+
+  if (!isAuthor && !isEditor &&
+      !(await permissionService.can(req.user, 'post.edit.any', post.category))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to edit this post'
+    });
+    return undefined;
+  }
+
+  return post._id;
+};
+
+/**
+ * @desc    Get the autosaved snapshot for a post (or for a new post)
+ * @route   GET /api/drafts/:key
+ * @access  Private
+ */
+export const getSnapshot = async (req, res) => {
+  try {
+    const postId = await resolvePost(req, res);
+    if (postId === undefined) return;
+
+    const snapshot = await DraftSnapshot.findOne({
+      user: req.user._id,
+      post: postId
+    }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: { snapshot }
+    });
+  } catch (error) {
+    console.error('Error fetching draft snapshot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching draft snapshot'
+    });
+  }
+};
+
+/**
+ * @desc    Autosave the editor state
+ * @route   PUT /api/drafts/:key
+ * @access  Private
+ *
+ * `baseVersion` is the snapshot version the client last saw. If another
+ * device has saved since then the save is refused with 409 and the newer
+ * snapshot, unless `force` is set.
+ */
+export const saveSnapshot = async (req, res) => {
+  try {
+    const postId = await resolvePost(req, res);
+    if (postId === undefined) return;
+
+    const { deviceId, baseVersion = 0, force = false } = req.body;
+
+    if (!deviceId || typeof deviceId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Device ID is required'
+      });
+    }
+
+    if (typeof req.body.content === 'string' && req.body.content.length > MAX_CONTENT_LENGTH) {
+      return res.status(413).json({
+        success: false,
+        message: 'Draft is too large to autosave'
+      });
+    }
+
+    const filter = { user: req.user._id, post: postId };
+    const existing = await DraftSnapshot.findOne(filter).lean();
+
+    if (
+      existing &&
+      !force &&
+      existing.deviceId !== deviceId &&
+      existing.version > Number(baseVersion)
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: 'A newer draft was saved from another device',
+        data: { snapshot: existing }
+      });
+    }
+
+    const update = { deviceId };
+    for (const field of SNAPSHOT_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      update[field] = field === 'tags'
+        ? [].concat(req.body.tags).map(String).slice(0, 20)
+        : String(req.body[field] ?? '');
+    }
+
+    const snapshot = await DraftSnapshot.findOneAndUpdate(
+      filter,
+      { $set: update, $inc: { version: 1 } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        snapshot: {
+          _id: snapshot._id,
+          version: snapshot.version,
+          deviceId: snapshot.deviceId,
+          updatedAt: snapshot.updatedAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error saving draft snapshot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving draft snapshot'
+    });
+  }
+};
+
+/**
+ * @desc    Discard the autosaved snapshot (after saving or declining recovery)
+ * @route   DELETE /api/drafts/:key
+ * @access  Private
+ */
+export const discardSnapshot = async (req, res) => {
+  try {
+    const postId = await resolvePost(req, res);
+    if (postId === undefined) return;
+
+    await DraftSnapshot.deleteOne({ user: req.user._id, post: postId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft snapshot discarded'
+    });
+  } catch (error) {
+    console.error('Error discarding draft snapshot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error discarding draft snapshot'
+    });
+  }
+};
@@ -1,21 +1,22 @@
 import admin from 'firebase-admin';
 import User from '../models/User.js';
 import { sendEmail } from '../utils/email.js';
-import { generateAccessToken, generateRefreshToken } from '../utils/tokens.js';
 import { formatUserResponse } from '../utils/helpers.js';
 import AuditLogService from '../services/auditLogService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import sessionService from '../services/sessionService.js';
+import permissionService from '../services/permissionService.js';
 import { asyncHandler } from '../middleware/errorMiddleware.js';
 
 /**
- * Send token response with cookies
+ * Start a session for the device and send its tokens, with cookies
  */
-const sendTokenResponse = (user, statusCode, res) => {
-  const accessToken = generateAccessToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { accessToken, refreshToken, expiresAt } = await sessionService.create(user, req);
 
   // Cookie options
   const cookieOptions = {
-    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+    expires: expiresAt,
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production',
     sameSite: 'strict'
@@ -84,10 +85,20 @@ export const googleLogin = asyncHandler(async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
+    // Google sign-in stands in for the password, not the second factor
+    const challenge = await twoFactorService.getLoginChallenge(user);
+    if (challenge) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        ...challenge
+      });
+    }
+
     // Log successful login
     await AuditLogService.logUserLogin(user._id, req);
 
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     console.error('Firebase token verification error:', error);
     return res.status(401).json({
@@ -221,15 +232,9 @@ export const googleRegister = asyncHandler(async (req, res) => {
       });
 
       // 2. Send In-App Notification (Socket + DB)
-      const admins = await User.find({
-        $or: [
-          { role: 'admin' },
-          { roles: { $in: ['admin'] } }
-        ]
-      }).select('_id');
-
-      if (admins.length > 0) {
-        const adminIds = admins.map(a => a._id);
+      const adminIds = await permissionService.usersWith('user.approve');
+
+      if (adminIds.length > 0) {
         await NotificationService.notifyAdminNewUser(adminIds, user);
       }
 
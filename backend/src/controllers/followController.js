@@ -1,6 +1,40 @@
+import mongoose from 'mongoose';
 import Follow from '../models/Follow.js';
 import User from '../models/User.js';
 import NotificationService from '../services/notificationService.js';
+import profileVisibilityService from '../services/profileVisibilityService.js';
+
+/**
+ * Check the viewer may see who a user follows and is followed by, following
+ * the user's profileVisibility and showFollowers preferences. Sends the
+ * error response and returns false when they may not.
+ */
+const canSeeFollows = async (req, res) => {
+  const { userId } = req.params;
+  const resolved = mongoose.isValidObjectId(userId)
+    ? await profileVisibilityService.resolve({ _id: userId }, req.user)
+    : null;
+
+  if (!resolved) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return false;
+  }
+
+  if (!resolved.showFollowers) {
+    res.status(403).json({
+      success: false,
+      message: resolved.canView
+        ? 'This user keeps their followers private'
+        : 'This profile is not visible to you'
+    });
+    return false;
+  }
+
+  return true;
+};
 
 /**
  * @desc    Follow a user
@@ -132,10 +166,12 @@ export const unfollowUser = async (req, res) => {
 /**
  * @desc    Get followers of a user
  * @route   GET /api/users/:userId/followers
- * @access  Public
+ * @access  Public (subject to the user's profile visibility)
  */
 export const getFollowers = async (req, res) => {
   try {
+    if (!(await canSeeFollows(req, res))) return;
+
     const { userId } = req.params;
     const { page = 1, limit = 20 } = req.query;
 
@@ -158,10 +194,12 @@ export const getFollowers = async (req, res) => {
 /**
  * @desc    Get users that a user is following
  * @route   GET /api/users/:userId/following
- * @access  Public
+ * @access  Public (subject to the user's profile visibility)
  */
 export const getFollowing = async (req, res) => {
   try {
+    if (!(await canSeeFollows(req, res))) return;
+
     const { userId } = req.params;
     const { page = 1, limit = 20 } = req.query;
 
@@ -1,6 +1,9 @@
-import Newsletter from '../models/Newsletter.js';
+import Newsletter, { NEWSLETTER_SOURCES, NEWSLETTER_PREFERENCES } from '../models/Newsletter.js';
+import NewsletterCampaign, { CAMPAIGN_STATUSES } from '../models/NewsletterCampaign.js';
+import NewsletterDelivery from '../models/NewsletterDelivery.js';
 import crypto from 'crypto';
 import emailService from '../services/emailService.js';
+import campaignService from '../services/campaignService.js';
 
 /**
  * Newsletter Controller
@@ -263,10 +266,488 @@ export const getAllSubscribers = async (req, res) => {
   }
 };
 
+// ============================================================================
+// CAMPAIGNS (admin only)
+// ============================================================================
+
+const MAX_TEST_RECIPIENTS = 5;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepts an array or a comma-separated string, keeping only known values
+const parseList = (value, allowed) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(items.map((item) => String(item).trim()))].filter((item) =>
+    allowed.includes(item)
+  );
+};
+
+const parseAudience = (audience = {}) => ({
+  sources: parseList(audience.sources, NEWSLETTER_SOURCES),
+  preferences: parseList(audience.preferences, NEWSLETTER_PREFERENCES)
+});
+
+const findCampaign = (id) =>
+  NewsletterCampaign.findById(id)
+    .populate('createdBy', 'firstName lastName email')
+    .populate('scheduledBy', 'firstName lastName email');
+
+/**
+ * Get campaigns
+ * GET /api/newsletter/campaigns
+ */
+export const getCampaigns = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = {};
+    if (CAMPAIGN_STATUSES.includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+
+    const [campaigns, total] = await Promise.all([
+      NewsletterCampaign.find(query)
+        .select('-content')
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      NewsletterCampaign.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        campaigns,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get campaigns'
+    });
+  }
+};
+
+/**
+ * Get the number of subscribers an audience reaches
+ * GET /api/newsletter/campaigns/audience?sources=homepage,footer&preferences=events
+ */
+export const getAudienceSize = async (req, res) => {
+  try {
+    const audience = parseAudience(req.query);
+    const count = await campaignService.countAudience(audience);
+
+    res.status(200).json({
+      success: true,
+      data: { audience, count }
+    });
+  } catch (error) {
+    console.error('Get audience size error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to count audience'
+    });
+  }
+};
+
+/**
+ * Create a draft campaign
+ * POST /api/newsletter/campaigns
+ */
+export const createCampaign = async (req, res) => {
+  try {
+    const { name, subject, previewText, content, audience } = req.body;
+
+    const campaign = await NewsletterCampaign.create({
+      name,
+      subject,
+      previewText,
+      content,
+      audience: parseAudience(audience),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign saved as draft',
+      data: { campaign }
+    });
+  } catch (error) {
+    console.error('Create campaign error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create campaign'
+    });
+  }
+};
+
+/**
+ * Get a campaign with its delivery stats
+ * GET /api/newsletter/campaigns/:id
+ */
+export const getCampaign = async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    // Live counts while sending; stored counts once sent
+    let stats = null;
+    if (campaign.status === 'sending' || campaign.status === 'sent') {
+      stats = await NewsletterDelivery.summarize({ campaign: campaign._id });
+    }
+
+    const audienceSize = campaign.isEditable() || campaign.status === 'scheduled'
+      ? await campaignService.countAudience(campaign.audience)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: { campaign, stats, audienceSize }
+    });
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get campaign'
+    });
+  }
+};
+
+/**
+ * Update a draft campaign
+ * PUT /api/newsletter/campaigns/:id
+ */
+export const updateCampaign = async (req, res) => {
+  try {
+    const campaign = await NewsletterCampaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (!campaign.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${campaign.status} campaign cannot be edited`
+      });
+    }
+
+    const { name, subject, previewText, content, audience } = req.body;
+    if (name !== undefined) campaign.name = name;
+    if (subject !== undefined) campaign.subject = subject;
+    if (previewText !== undefined) campaign.previewText = previewText;
+    if (content !== undefined) campaign.content = content;
+    if (audience !== undefined) campaign.audience = parseAudience(audience);
+    campaign.updatedBy = req.user._id;
+
+    // The test email no longer matches what would be sent
+    if (campaign.isModified('subject') || campaign.isModified('previewText') || campaign.isModified('content')) {
+      campaign.status = 'draft';
+    }
+
+    await campaign.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Campaign updated',
+      data: { campaign }
+    });
+  } catch (error) {
+    console.error('Update campaign error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update campaign'
+    });
+  }
+};
+
+/**
+ * Delete a campaign that has not been scheduled
+ * DELETE /api/newsletter/campaigns/:id
+ */
+export const deleteCampaign = async (req, res) => {
+  try {
+    const campaign = await NewsletterCampaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (!campaign.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${campaign.status} campaign cannot be deleted`
+      });
+    }
+
+    await campaign.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Campaign deleted'
+    });
+  } catch (error) {
+    console.error('Delete campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete campaign'
+    });
+  }
+};
+
+/**
+ * Render a campaign as subscribers will see it
+ * GET /api/newsletter/campaigns/:id/preview
+ */
+export const previewCampaign = async (req, res) => {
+  try {
+    const campaign = await NewsletterCampaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const { subject, html } = campaignService.render(campaign, '#');
+
+    res.status(200).json({
+      success: true,
+      data: { subject, previewText: campaign.previewText, html }
+    });
+  } catch (error) {
+    console.error('Preview campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview campaign'
+    });
+  }
+};
+
+/**
+ * Send a test email of a campaign
+ * POST /api/newsletter/campaigns/:id/test
+ * Body: { emails: ['a@example.com'] } - defaults to the admin's own address
+ */
+export const sendTestCampaign = async (req, res) => {
+  try {
+    const campaign = await NewsletterCampaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (!campaign.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${campaign.status} campaign cannot be tested`
+      });
+    }
+
+    const requested = Array.isArray(req.body.emails) ? req.body.emails : [];
+    const recipients = [...new Set(requested.map((email) => String(email).trim().toLowerCase()))]
+      .filter(Boolean);
+    if (recipients.length === 0) recipients.push(req.user.email);
+
+    if (recipients.length > MAX_TEST_RECIPIENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `Test emails can go to at most ${MAX_TEST_RECIPIENTS} addresses`
+      });
+    }
+
+    const invalid = recipients.find((email) => !EMAIL_PATTERN.test(email));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid email address: ${invalid}`
+      });
+    }
+
+    const results = await campaignService.sendTest(campaign, recipients);
+    const delivered = results.filter((result) => result.success).map((result) => result.email);
+
+    if (delivered.length === 0) {
+      return res.status(502).json({
+        success: false,
+        message: 'The test email could not be sent',
+        data: { results }
+      });
+    }
+
+    campaign.status = 'tested';
+    campaign.testSentAt = new Date();
+    campaign.testRecipients = delivered;
+    await campaign.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Test email sent to ${delivered.join(', ')}`,
+      data: { campaign, results }
+    });
+  } catch (error) {
+    console.error('Send test campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send test email'
+    });
+  }
+};
+
+/**
+ * Schedule a tested campaign, or send it right away
+ * POST /api/newsletter/campaigns/:id/schedule
+ * Body: { scheduledFor } - omit to send now
+ */
+export const scheduleCampaign = async (req, res) => {
+  try {
+    const campaign = await NewsletterCampaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (campaign.status !== 'tested') {
+      return res.status(400).json({
+        success: false,
+        message: campaign.status === 'draft'
+          ? 'Send a test email of the latest version before scheduling'
+          : `A ${campaign.status} campaign cannot be scheduled`
+      });
+    }
+
+    let scheduledFor = new Date();
+    if (req.body.scheduledFor) {
+      scheduledFor = new Date(req.body.scheduledFor);
+      if (isNaN(scheduledFor.getTime()) || scheduledFor <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Scheduled time must be a valid date in the future'
+        });
+      }
+    }
+
+    if ((await campaignService.countAudience(campaign.audience)) === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No subscribers match this audience'
+      });
+    }
+
+    campaign.status = 'scheduled';
+    campaign.scheduledFor = scheduledFor;
+    campaign.scheduledBy = req.user._id;
+    await campaign.save();
+
+    res.status(200).json({
+      success: true,
+      message: req.body.scheduledFor ? 'Campaign scheduled' : 'Campaign is being sent',
+      data: { campaign }
+    });
+  } catch (error) {
+    console.error('Schedule campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule campaign'
+    });
+  }
+};
+
+/**
+ * Cancel a scheduled campaign before it starts sending
+ * POST /api/newsletter/campaigns/:id/unschedule
+ */
+export const unscheduleCampaign = async (req, res) => {
+  try {
+    // Conditional so a campaign that just started sending is left alone
+    const campaign = await NewsletterCampaign.findOneAndUpdate(
+      { _id: req.params.id, status: 'scheduled' },
+      {
+        $set: { status: 'tested', updatedBy: req.user._id },
+        $unset: { scheduledFor: 1, scheduledBy: 1 }
+      },
+      { new: true }
+    );
+
+    if (!campaign) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only a scheduled campaign that has not started sending can be cancelled'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Campaign unscheduled',
+      data: { campaign }
+    });
+  } catch (error) {
+    console.error('Unschedule campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unschedule campaign'
+    });
+  }
+};
+
 export default {
   subscribe,
   unsubscribe,
   updatePreferences,
   getStats,
-  getAllSubscribers
+  getAllSubscribers,
+  getCampaigns,
+  getAudienceSize,
+  createCampaign,
+  getCampaign,
+  updateCampaign,
+  deleteCampaign,
+  previewCampaign,
+  sendTestCampaign,
+  scheduleCampaign,
+  unscheduleCampaign
 };
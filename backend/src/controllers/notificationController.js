@@ -1,4 +1,5 @@
 import Notification from '../models/Notification.js';
+import NotificationService from '../services/notificationService.js';
 import { asyncHandler } from '../middleware/errorMiddleware.js';
 
 // @desc    Get user notifications
@@ -135,7 +136,7 @@ export const deleteAllNotifications = asyncHandler(async (req, res) => {
 export const createNotification = asyncHandler(async (req, res) => {
   const { recipientId, type, title, message, link, priority } = req.body;
   
-  const notification = await Notification.createNotification({
+  const notification = await NotificationService.createNotification({
     recipient: recipientId,
     sender: req.user._id,
     type,
@@ -144,6 +145,15 @@ export const createNotification = asyncHandler(async (req, res) => {
     link,
     priority
   });
+
+  // Turned off or muted by the recipient
+  if (!notification) {
+    return res.status(200).json({
+      success: true,
+      message: "Not delivered: the recipient's notification preferences exclude it",
+      data: null
+    });
+  }
   
   res.status(201).json({
     success: true,
@@ -3,12 +3,19 @@ import { body, validationResult } from 'express-validator';
 import multer from 'multer';
 import cloudinary from '../config/cloudinary.js';
 import NotificationService from '../services/notificationService.js';
-import Follow from '../models/Follow.js';
 import User from '../models/User.js';
 import mongoose from 'mongoose';
 import socketService from '../services/socketService.js';
 import cacheService, { CacheService } from '../services/cacheService.js';
+import trendingService from '../services/trendingService.js';
+import relatedPostsService from '../services/relatedPostsService.js';
 import { getSettings } from '../middleware/settingsMiddleware.js';
+import searchService from '../services/searchService.js';
+import publishSchedulerService from '../services/publishSchedulerService.js';
+import AuditLogService from '../services/auditLogService.js';
+import permissionService from '../services/permissionService.js';
+import postAnalyticsService from '../services/postAnalyticsService.js';
+import viewTrackingService from '../services/viewTrackingService.js';
 
 // Configure multer for memory storage (Cloudinary upload)
 const storage = multer.memoryStorage();
@@ -40,20 +47,24 @@ export const getAllPosts = async (req, res) => {
       status, 
       category, 
       tag,
-      sort = 'recent', // recent, popular, views
+      sort = 'recent', // recent, popular, trending, views
       adminView = false // Flag for admin access
     } = req.query;
     
-    // Check if user is admin or moderator
-    const isAdmin = req.user && req.user.roles && 
-      (req.user.roles.includes('admin') || req.user.roles.includes('moderator'));
+    // Check if user may review posts
+    const isAdmin = await permissionService.has(req.user, 'post.approve');
     
     // Check if admin view is requested
     const isAdminRequest = adminView === 'true' && isAdmin;
+
+    // Only the categories the user reviews (null means every category)
+    const reviewCategories = isAdminRequest
+      ? await permissionService.categoriesFor(req.user, 'post.approve')
+      : null;
     
     // Try cache for public requests (non-admin, published posts only)
     if (!isAdminRequest && !status) {
-      const cacheKey = CacheService.keys.posts(page, limit, category);
+      const cacheKey = CacheService.keys.posts(page, limit, category, sort, tag);
       const cached = await cacheService.get(cacheKey);
       if (cached) {
         return res.status(200).json(cached);
@@ -76,14 +87,22 @@ export const getAllPosts = async (req, res) => {
       query.status = 'published';
     }
     
-    if (category && category !== 'all') query.category = category;
+    if (reviewCategories) {
+      query.category = {
+        $in: category && category !== 'all'
+          ? reviewCategories.filter(name => name === category)
+          : reviewCategories
+      };
+    } else if (category && category !== 'all') {
+      query.category = category;
+    }
     if (tag) query.tags = tag;
 
     // Build sort criteria
     let sortCriteria = { publishedAt: -1, createdAt: -1 };
-    if (sort === 'popular') {
-      // Popular = combination of likes and views
-      sortCriteria = { likesCount: -1, views: -1, publishedAt: -1 };
+    if (sort === 'popular' || sort === 'trending') {
+      // Popular = recent engagement first, then all-time likes and views
+      sortCriteria = { 'trending.week': -1, likesCount: -1, views: -1, publishedAt: -1 };
     } else if (sort === 'views' || sort === 'mostViewed') {
       sortCriteria = { views: -1, publishedAt: -1 };
     } else if (sort === 'likes' || sort === 'mostLiked') {
@@ -124,7 +143,7 @@ export const getAllPosts = async (req, res) => {
 
     // Cache public responses
     if (!isAdminRequest && !status) {
-      const cacheKey = CacheService.keys.posts(page, limit, category);
+      const cacheKey = CacheService.keys.posts(page, limit, category, sort, tag);
       await cacheService.set(cacheKey, response, CacheService.ttl.posts);
     }
 
@@ -170,38 +189,17 @@ export const getPost = async (req, res) => {
       });
     }
 
-    // Only increment views if:
-    // 1. User is not the author of the post
-    // 2. This is a unique view (tracked via cookie)
-    // 3. The request has the 'track-view' header (to prevent double counting from React StrictMode)
+    // Count the view unless the reader is the author. The 'track-view'
+    // header keeps incidental fetches (e.g. the editor loading a post) out
+    // of the counts; repeat views and bots are handled by viewTrackingService.
     const shouldTrackView = req.headers['x-track-view'] === 'true';
-    
-    if (shouldTrackView) {
-      const userId = req.user?.id;
-      const isAuthor = userId && post.author._id.toString() === userId;
-      
-      // Create a unique cookie key for this specific post (use actual post ID)
-      const viewCookieKey = `viewed_${post._id.toString()}`;
-      const hasViewedBefore = req.cookies?.[viewCookieKey] === 'true';
-      
-      // Only increment if: not author AND not viewed before
-      if (!isAuthor && !hasViewedBefore) {
-        // Use findByIdAndUpdate with $inc to ensure atomic increment
-        // This prevents race conditions from double-counting
-        await BlogPost.findByIdAndUpdate(
-          post._id,
-          { $inc: { views: 1 } },
-          { new: false } // Don't return the updated document
-        );
-        
-        // Set a cookie for this specific post (expires in 24 hours)
-        res.cookie(viewCookieKey, 'true', {
-          maxAge: 24 * 60 * 60 * 1000, // 24 hours
-          httpOnly: true,
-          sameSite: 'lax'
-        });
-        
-        // Update the post object for the response
+    const isAuthor = req.user && post.author?._id?.equals(req.user._id);
+
+    if (shouldTrackView && !isAuthor) {
+      const { unique } = await viewTrackingService.track(post, req);
+
+      // Update the post object for the response
+      if (unique) {
         post.views = (post.views || 0) + 1;
       }
     }
@@ -224,7 +222,7 @@ export const getPost = async (req, res) => {
 // @access  Private
 export const createPost = async (req, res) => {
   try {
-    const { title, content, excerpt, category, tags, featuredImage, status, skipModeration } = req.body;
+    const { title, content, excerpt, category, tags, featuredImage, status, skipModeration, scheduledFor } = req.body;
 
     // Get system settings
     const settings = await getSettings();
@@ -238,8 +236,8 @@ export const createPost = async (req, res) => {
     // Run content moderation before creating post (unless explicitly skipped by admin)
     let moderationResult = null;
     let violationReport = null;
-    const userRoles = req.user.roles || [req.user.role];
-    const isAdmin = userRoles.includes('admin');
+    // Reviewers can publish straight away in categories they review
+    const isAdmin = await permissionService.can(req.user, 'post.approve', category);
     
     // Only run AI moderation if enabled in settings
     if (enableAIModeration && (!skipModeration || !isAdmin)) {
@@ -286,6 +284,13 @@ export const createPost = async (req, res) => {
       finalStatus = 'pending';
     }
 
+    // A requested publication time is kept for the moderator; posts that
+    // skip review are approved straight away and wait for the scheduler
+    const publishAt = scheduledFor ? new Date(scheduledFor) : undefined;
+    if (publishAt && finalStatus === 'published') {
+      finalStatus = 'approved';
+    }
+
     const post = await BlogPost.create({
       title,
       content,
@@ -294,6 +299,8 @@ export const createPost = async (req, res) => {
       tags,
       featuredImage,
       status: finalStatus,
+      scheduledFor: publishAt,
+      scheduledBy: finalStatus === 'approved' ? req.user._id : undefined,
       author: req.user._id,
       // Attach violation report (Feature: ai-content-assistant, Requirements: 3.3)
       violationReport: violationReport || {
@@ -311,17 +318,10 @@ export const createPost = async (req, res) => {
     // If post is submitted for review (pending) or flagged by moderation, notify moderators and admins
     if (status === 'pending' || moderationResult?.recommendation === 'review' || violationReport?.hasViolations) {
       try {
-        // Find all admins and moderators - check both 'role' (singular) and 'roles' (array) fields
-        const moderators = await User.find({ 
-          $or: [
-            { role: { $in: ['admin', 'moderator'] } },
-            { roles: { $in: ['admin', 'moderator'] } }
-          ],
-          isActive: true 
-        }).select('_id');
+        // Everyone who reviews posts in this category
+        const moderatorIds = await permissionService.usersWith('post.approve', post.category);
         
-        if (moderators.length > 0) {
-          const moderatorIds = moderators.map(m => m._id);
+        if (moderatorIds.length > 0) {
           const authorName = `${req.user.firstName} ${req.user.lastName}`;
           const result = await NotificationService.notifyModeratorsNewPost(post, authorName, moderatorIds);
           console.log(`Notified ${moderatorIds.length} moderators/admins about new pending post`);
@@ -375,14 +375,14 @@ export const updatePost = async (req, res) => {
       });
     }
 
-    // Check if user is the author, co-author (editor), admin, or moderator
+    // Check if user is the author, co-author (editor), or may edit or
+    // moderate posts in this category
     const userId = req.user._id || req.user.id;
     const postAuthorId = post.author._id || post.author;
     
     const isAuthor = postAuthorId.toString() === userId.toString();
-    const userRoles = req.user.roles || [];
-    const isAdmin = userRoles.includes('admin');
-    const isModerator = userRoles.includes('moderator');
+    const canEditAny = await permissionService.can(req.user, 'post.edit.any', post.category);
+    const canModerate = await permissionService.can(req.user, 'post.approve', post.category);
     
     // Check if user is a co-author with editor role
     const coAuthorEntry = post.coAuthors?.find(
@@ -398,16 +398,15 @@ export const updatePost = async (req, res) => {
       isCoAuthor,
       isEditor,
       isContributor,
-      isAdmin,
-      isModerator,
+      canEditAny,
+      canModerate,
       postAuthor: postAuthorId.toString(),
       userId: userId.toString(),
-      userRoles,
       reqUserKeys: Object.keys(req.user)
     });
     
     // Moderators can only change status, not other fields
-    if (!isAuthor && !isAdmin && !isModerator && !isEditor && !isContributor) {
+    if (!isAuthor && !canEditAny && !canModerate && !isEditor && !isContributor) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this post. You must be the author, editor, admin, or moderator.',
@@ -415,34 +414,33 @@ export const updatePost = async (req, res) => {
           isAuthor,
           isCoAuthor,
           isEditor,
-          isAdmin,
-          isModerator,
+          canEditAny,
+          canModerate,
           postAuthor: postAuthorId.toString(),
-          userId: userId.toString(),
-          userRoles: userRoles
+          userId: userId.toString()
         }
       });
     }
     
     // If moderator, only allow status changes
-    if (isModerator && !isAdmin && !isAuthor && !isEditor) {
-      if (Object.keys(req.body).some(key => key !== 'status' && key !== 'moderationNotes')) {
+    if (canModerate && !canEditAny && !isAuthor && !isEditor) {
+      if (Object.keys(req.body).some(key => !['status', 'moderationNotes', 'scheduledFor'].includes(key))) {
         return res.status(403).json({
           success: false,
-          message: 'Moderators can only change post status and add moderation notes'
+          message: 'Moderators can only change post status, publication time and moderation notes'
         });
       }
     }
     
     // Contributors can only suggest changes (future feature), not directly edit
-    if (isContributor && !isAuthor && !isAdmin && !isEditor) {
+    if (isContributor && !isAuthor && !canEditAny && !isEditor) {
       return res.status(403).json({
         success: false,
         message: 'Contributors cannot directly edit posts. Please contact the author.'
       });
     }
 
-    const { title, content, excerpt, category, tags, featuredImage, status, moderationNotes } = req.body;
+    const { title, content, excerpt, category, tags, featuredImage, status, moderationNotes, scheduledFor } = req.body;
 
     console.log('Update request body:', {
       hasTitle: !!title,
@@ -453,8 +451,19 @@ export const updatePost = async (req, res) => {
       tagsIsArray: Array.isArray(tags)
     });
 
+    // Someone editing by category can't move a post out of their categories
+    if (category && category !== post.category && !isAuthor && !isEditor &&
+      !(await permissionService.can(req.user, 'post.edit.any', category))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to move posts to this category'
+      });
+    }
+
     // Update fields based on permissions
-    if (isAuthor || isAdmin || isEditor) {
+    if (isAuthor || canEditAny || isEditor) {
+      const previous = { title: post.title, content: post.content };
+
       if (title) post.title = title;
       if (content) post.content = content;
       if (excerpt !== undefined) post.excerpt = excerpt;
@@ -462,36 +471,47 @@ export const updatePost = async (req, res) => {
       if (tags !== undefined) post.tags = tags;
       if (featuredImage !== undefined) post.featuredImage = featuredImage;
       
-      // Track revision if co-author is editing
-      if (isEditor && !isAuthor) {
-        if (!post.revisions) post.revisions = [];
-        post.revisions.push({
-          content: post.content,
-          title: post.title,
-          editedBy: userId,
-          changeNote: req.body.changeNote || 'Content updated by co-author'
+      // Track a revision whenever the title or content actually changed
+      if (post.title !== previous.title || post.content !== previous.content) {
+        const defaultNote = isEditor && !isAuthor ? 'Content updated by co-author' : 'Content updated';
+        post.recordRevision(userId, req.body.changeNote || defaultNote, previous);
+      }
+    }
+
+    // Requested publication time (null clears it). Once a post is approved
+    // its schedule is managed through the schedule endpoints instead.
+    if (scheduledFor !== undefined && (isAuthor || canEditAny || canModerate || isEditor)) {
+      if (!['draft', 'pending', 'rejected'].includes(post.status)) {
+        return res.status(400).json({
+          success: false,
+          message: post.status === 'approved'
+            ? 'Use the schedule actions to change the publication time of an approved post'
+            : 'Only unpublished posts can be scheduled'
         });
       }
+      post.scheduledFor = scheduledFor ? new Date(scheduledFor) : undefined;
     }
     
     // Handle status changes (author, admin, or moderator)
     const previousStatus = post.status;
+    let publishedNow = false;
+    let scheduledNow = false;
     if (status && status !== post.status) {
-      post.status = status;
+      // Approving a post with a future publication time schedules it instead
+      if (status === 'published' && canModerate && post.scheduledFor > new Date()) {
+        post.status = 'approved';
+        post.scheduledBy = req.user._id;
+        scheduledNow = true;
+      } else {
+        post.status = status;
+      }
       
       // If submitting for review (pending), notify moderators
       if (status === 'pending' && previousStatus !== 'pending') {
         try {
-          const moderators = await User.find({ 
-            $or: [
-              { role: { $in: ['admin', 'moderator'] } },
-              { roles: { $in: ['admin', 'moderator'] } }
-            ],
-            isActive: true 
-          }).select('_id');
+          const moderatorIds = await permissionService.usersWith('post.approve', post.category);
           
-          if (moderators.length > 0) {
-            const moderatorIds = moderators.map(m => m._id);
+          if (moderatorIds.length > 0) {
             const authorName = `${req.user.firstName} ${req.user.lastName}`;
             await NotificationService.notifyModeratorsNewPost(post, authorName, moderatorIds);
             console.log(`Notified ${moderatorIds.length} moderators/admins about post submitted for review`);
@@ -502,31 +522,27 @@ export const updatePost = async (req, res) => {
       }
       
       // If approving (publishing), set moderation fields and notify
-      if (status === 'published' && (isAdmin || isModerator)) {
+      if (status === 'published' && canModerate) {
         post.moderatedBy = req.user._id;
         post.moderatedAt = new Date();
-        post.publishedAt = new Date();
+        if (!scheduledNow) {
+          post.publishedAt = new Date();
+          post.scheduledFor = undefined;
+          post.scheduledBy = undefined;
+          publishedNow = true;
+        }
         
         // Notify the author that their post was approved
         try {
           await NotificationService.notifyPostApproved(post, req.user._id);
           console.log('Notified author about post approval');
-          
-          // Notify followers about the new published post
-          const followerIds = await Follow.getFollowerIds(post.author);
-          if (followerIds.length > 0) {
-            const author = await User.findById(post.author).select('firstName lastName');
-            const authorName = author ? `${author.firstName} ${author.lastName}` : 'An author';
-            await NotificationService.notifyFollowersNewPost(post.author, authorName, post, followerIds);
-            console.log(`Notified ${followerIds.length} followers about new published post`);
-          }
         } catch (notifError) {
           console.error('Error sending approval notifications:', notifError);
         }
       }
       
       // If rejecting, set moderation fields and notify
-      if (status === 'rejected' && (isAdmin || isModerator)) {
+      if (status === 'rejected' && canModerate) {
         post.moderatedBy = req.user._id;
         post.moderatedAt = new Date();
         if (moderationNotes) {
@@ -544,18 +560,26 @@ export const updatePost = async (req, res) => {
     }
     
     // Add moderation notes if provided
-    if (moderationNotes && (isAdmin || isModerator)) {
+    if (moderationNotes && canModerate) {
       post.moderationNotes = moderationNotes;
     }
 
     await post.save();
 
+    // Followers hear about the post once it actually goes live
+    if (publishedNow) {
+      await publishSchedulerService.announce(post);
+    }
+    if (scheduledNow) {
+      await AuditLogService.logPostScheduled(post._id, req.user._id, post.scheduledFor, req);
+    }
+
     const updatedPost = await BlogPost.findById(post._id)
       .populate('author', 'firstName lastName email profile');
 
     res.status(200).json({
       success: true,
-      message: 'Post updated successfully',
+      message: scheduledNow ? 'Post approved and scheduled for publication' : 'Post updated successfully',
       post: updatedPost
     });
   } catch (error) {
@@ -590,12 +614,10 @@ export const deletePost = async (req, res) => {
     const userId = req.user._id || req.user.id;
     const postAuthorId = post.author._id || post.author;
     const isAuthor = postAuthorId.toString() === userId.toString();
-    const userRoles = req.user.roles || [req.user.role] || [];
-    const isAdmin = userRoles.includes('admin');
-    const isModerator = userRoles.includes('moderator');
+    const canDeleteAny = await permissionService.can(req.user, 'post.delete.any', post.category);
 
-    // Authors can delete their own posts, admins and moderators can delete any post
-    if (!isAuthor && !isAdmin && !isModerator) {
+    // Authors can delete their own posts, others need post.delete.any for the category
+    if (!isAuthor && !canDeleteAny) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this post'
@@ -644,6 +666,7 @@ export const likePost = async (req, res) => {
 
     // Send notification only if this is a new like
     if (!alreadyLiked) {
+      postAnalyticsService.recordLike(post);
       try {
         const likerName = `${req.user.firstName} ${req.user.lastName}`;
         await NotificationService.notifyPostLike(post, req.user._id, likerName);
@@ -719,6 +742,7 @@ export const dislikePost = async (req, res) => {
 
     // Send notification only if this is a new dislike
     if (!alreadyDisliked) {
+      postAnalyticsService.recordDislike(post);
       try {
         const dislikerName = `${req.user.firstName} ${req.user.lastName}`;
         await NotificationService.notifyPostDislike(post, req.user._id, dislikerName);
@@ -837,12 +861,25 @@ export const getPostsByCategory = async (req, res) => {
   }
 };
 
-// @desc    Search posts with enhanced functionality
+// @desc    Search posts ranked by relevance, with highlights and facets
 // @route   GET /api/posts/search
 // @access  Public
 export const searchPosts = async (req, res) => {
   try {
-    const { q, page = 1, limit = 10, category, tag, sort = 'recent', status } = req.query;
+    const {
+      q,
+      page = 1,
+      limit = 10,
+      category,
+      tag,
+      tags,
+      author,
+      date,
+      from,
+      to,
+      sort = 'relevance',
+      status
+    } = req.query;
 
     // Validate search query
     if (!q || q.trim().length === 0) {
@@ -853,110 +890,79 @@ export const searchPosts = async (req, res) => {
       });
     }
 
-    // Check if user is admin or moderator
-    const isAdmin = req.user && req.user.roles && 
-      (req.user.roles.includes('admin') || req.user.roles.includes('moderator'));
-
-    // Build search query
-    const searchQuery = {
-      $or: [
-        { title: { $regex: q.trim(), $options: 'i' } },
-        { content: { $regex: q.trim(), $options: 'i' } },
-        { tags: { $regex: q.trim(), $options: 'i' } },
-        { category: { $regex: q.trim(), $options: 'i' } }
-      ]
-    };
+    // Check if user may review posts
+    const isAdmin = await permissionService.has(req.user, 'post.approve');
 
     // For non-admin users, only show published posts
     // For admin users, show posts based on status filter or all if no status specified
+    const scope = {};
     if (!isAdmin) {
-      searchQuery.status = 'published';
+      scope.status = 'published';
     } else if (status && status !== 'all') {
-      searchQuery.status = status;
-    }
-
-    // Add additional filters
-    if (category && category !== 'all') searchQuery.category = category;
-    if (tag) searchQuery.tags = tag;
-
-    // Build sort criteria (same as getAllPosts)
-    let sortCriteria = { publishedAt: -1, createdAt: -1 };
-    if (sort === 'popular') {
-      sortCriteria = { likesCount: -1, views: -1, publishedAt: -1 };
-    } else if (sort === 'views' || sort === 'mostViewed') {
-      sortCriteria = { views: -1, publishedAt: -1 };
-    } else if (sort === 'likes' || sort === 'mostLiked') {
-      sortCriteria = { likesCount: -1, publishedAt: -1 };
-    } else if (sort === 'latest' || sort === 'recent') {
-      sortCriteria = { publishedAt: -1, createdAt: -1 };
+      scope.status = status;
     }
 
-    let searchQueryBuilder = BlogPost.find(searchQuery);
-    
-    // Skip population in test environment
-    if (process.env.NODE_ENV !== 'test') {
-      searchQueryBuilder = searchQueryBuilder.populate('author', 'firstName lastName email profile');
+    // Reviewers limited to some categories only find unpublished posts in those
+    const reviewCategories = isAdmin
+      ? await permissionService.categoriesFor(req.user, 'post.approve')
+      : null;
+    if (reviewCategories && scope.status !== 'published') {
+      scope.$or = [{ status: 'published' }, { category: { $in: reviewCategories } }];
     }
-    
-    let posts = await searchQueryBuilder
-      .sort(sortCriteria)
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit))
-      .lean()
-      .exec();
 
-    // Also search by author name (firstName, lastName) for admin users
-    if (isAdmin && posts.length < parseInt(limit)) {
-      // Find users matching the search query
+    // Admins can also find posts by author name or email
+    let authorIds = [];
+    if (isAdmin) {
+      const pattern = q.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
       const matchingUsers = await User.find({
         $or: [
-          { firstName: { $regex: q.trim(), $options: 'i' } },
-          { lastName: { $regex: q.trim(), $options: 'i' } },
-          { email: { $regex: q.trim(), $options: 'i' } }
+          { firstName: { $regex: pattern, $options: 'i' } },
+          { lastName: { $regex: pattern, $options: 'i' } },
+          { email: { $regex: pattern, $options: 'i' } }
         ]
       }).select('_id').lean();
-
-      if (matchingUsers.length > 0) {
-        const userIds = matchingUsers.map(u => u._id);
-        const authorQuery = {
-          author: { $in: userIds },
-          _id: { $nin: posts.map(p => p._id) } // Exclude already found posts
-        };
-        
-        if (!isAdmin) {
-          authorQuery.status = 'published';
-        } else if (status && status !== 'all') {
-          authorQuery.status = status;
-        }
-
-        let authorPostsQuery = BlogPost.find(authorQuery);
-        if (process.env.NODE_ENV !== 'test') {
-          authorPostsQuery = authorPostsQuery.populate('author', 'firstName lastName email profile');
-        }
-
-        const authorPosts = await authorPostsQuery
-          .sort(sortCriteria)
-          .limit(parseInt(limit) - posts.length)
-          .lean()
-          .exec();
-
-        posts = [...posts, ...authorPosts];
-      }
+      authorIds = matchingUsers.map(u => u._id);
     }
 
-    const count = await BlogPost.countDocuments(searchQuery);
+    // Tags can be given once (?tag=) or as a comma separated list (?tags=)
+    const tagList = [tag, tags]
+      .filter(Boolean)
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+
+    const { posts, facets, total } = await searchService.search({
+      q: q.trim(),
+      scope,
+      category: category && category !== 'all' ? category : undefined,
+      tags: [...new Set(tagList)],
+      author,
+      date,
+      from,
+      to,
+      sort,
+      authorIds,
+      page: pageNumber,
+      limit: pageSize
+    });
+
+    const pages = Math.ceil(total / pageSize);
 
     res.status(200).json({
       success: true,
       data: {
         posts,
         query: q.trim(),
+        facets,
         pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(count / limit),
-          total: count,
-          hasNext: parseInt(page) < Math.ceil(count / limit),
-          hasPrev: parseInt(page) > 1
+          current: pageNumber,
+          pages,
+          total,
+          hasNext: pageNumber < pages,
+          hasPrev: pageNumber > 1
         }
       }
     });
@@ -1120,6 +1126,74 @@ export const getTags = async (req, res) => {
   }
 };
 
+// @desc    Get trending posts
+// @route   GET /api/posts/trending?window=day|week|month&limit=&category=
+// @access  Public
+export const getTrendingPosts = async (req, res) => {
+  try {
+    const { window = 'week', limit = 10, category } = req.query;
+    const categoryFilter = category && category !== 'all' ? category : undefined;
+
+    const cacheKey = CacheService.keys.trendingPosts(window, limit, categoryFilter);
+    const cached = await cacheService.get(cacheKey);
+    if (cached) {
+      return res.status(200).json(cached);
+    }
+
+    const posts = await trendingService.getTrendingPosts(window, {
+      limit: parseInt(limit),
+      category: categoryFilter
+    });
+
+    const response = {
+      success: true,
+      data: { window, posts }
+    };
+
+    await cacheService.set(cacheKey, response, CacheService.ttl.trending);
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Error fetching trending posts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trending posts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get posts related to a post (shared tags, category, authors and content)
+// @route   GET /api/posts/:id/related?limit=
+// @access  Public
+export const getRelatedPosts = async (req, res) => {
+  try {
+    const { limit = 5 } = req.query;
+
+    const posts = await relatedPostsService.getRelated(req.params.id, {
+      limit: parseInt(limit)
+    });
+
+    if (!posts) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { posts }
+    });
+  } catch (error) {
+    console.error('Error fetching related posts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching related posts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
 
 // @desc    Get flagged posts (posts with violations)
 // @route   GET /api/posts/moderation/flagged
@@ -1133,21 +1207,14 @@ export const getFlaggedPosts = async (req, res) => {
       status = 'pending' // filter by post status
     } = req.query;
 
-    // Check if user is admin or moderator
-    // Support both 'role' (singular) and 'roles' (array) formats
-    const userRoles = Array.isArray(req.user.roles) ? req.user.roles : [req.user.role];
-    const isAuthorized = userRoles.some(role => ['admin', 'moderator'].includes(role));
-    
-    if (!isAuthorized) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to view flagged posts'
-      });
-    }
+    // Only the categories the user reviews (null means every category)
+    const categories = await permissionService.categoriesFor(req.user, 'post.approve');
 
     // Build query for posts with violations
+    const inScope = categories ? { category: { $in: categories } } : {};
     const query = {
-      'violationReport.hasViolations': true
+      'violationReport.hasViolations': true,
+      ...inScope
     };
 
     // Filter by severity if specified
@@ -1186,7 +1253,7 @@ export const getFlaggedPosts = async (req, res) => {
 
     // Get severity breakdown
     const severityStats = await BlogPost.aggregate([
-      { $match: { 'violationReport.hasViolations': true } },
+      { $match: { 'violationReport.hasViolations': true, ...inScope } },
       { $group: { 
         _id: '$violationReport.severity', 
         count: { $sum: 1 } 
@@ -1238,25 +1305,34 @@ export const approvePost = async (req, res) => {
       });
     }
 
-    // Check if user is admin or moderator
-    if (!req.user.roles.includes('admin') && !req.user.roles.includes('moderator')) {
+    if (!(await permissionService.can(req.user, 'post.approve', post.category))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to approve posts'
       });
     }
 
+    // Moderator's choice of time wins over the one the author asked for
+    const scheduledFor = req.body.scheduledFor ? new Date(req.body.scheduledFor) : post.scheduledFor;
+    const isScheduling = scheduledFor > new Date();
+
     // Update post status
-    post.status = 'published';
     post.moderatedBy = req.user._id;
     post.moderatedAt = new Date();
-    post.publishedAt = new Date();
     
     if (req.body.moderationNotes) {
       post.moderationNotes = req.body.moderationNotes;
     }
 
-    await post.save();
+    if (isScheduling) {
+      await post.schedule(scheduledFor, req.user._id);
+    } else {
+      post.status = 'published';
+      post.publishedAt = new Date();
+      post.scheduledFor = undefined;
+      post.scheduledBy = undefined;
+      await post.save();
+    }
 
     // Send notification to author
     try {
@@ -1265,16 +1341,11 @@ export const approvePost = async (req, res) => {
       console.error('Error sending approval notification:', notifError);
     }
 
-    // Notify followers about the new published post
-    try {
-      const followerIds = await Follow.getFollowerIds(post.author);
-      if (followerIds.length > 0) {
-        const author = await User.findById(post.author).select('firstName lastName');
-        const authorName = author ? `${author.firstName} ${author.lastName}` : 'An author';
-        await NotificationService.notifyFollowersNewPost(post.author, authorName, post, followerIds);
-      }
-    } catch (followerNotifError) {
-      console.error('Error notifying followers:', followerNotifError);
+    // Followers are notified now, or by the scheduler when the time comes
+    if (isScheduling) {
+      await AuditLogService.logPostScheduled(post._id, req.user._id, scheduledFor, req);
+    } else {
+      await publishSchedulerService.announce(post);
     }
 
     // Populate with error handling
@@ -1291,7 +1362,9 @@ export const approvePost = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Post approved and published successfully',
+      message: isScheduling
+        ? 'Post approved and scheduled for publication'
+        : 'Post approved and published successfully',
       data: { post: updatedPost }
     });
   } catch (error) {
@@ -1318,8 +1391,7 @@ export const rejectPost = async (req, res) => {
       });
     }
 
-    // Check if user is admin or moderator
-    if (!req.user.roles.includes('admin') && !req.user.roles.includes('moderator')) {
+    if (!(await permissionService.can(req.user, 'post.approve', post.category))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to reject posts'
@@ -1373,6 +1445,167 @@ export const rejectPost = async (req, res) => {
   }
 };
 
+// @desc    Get approved posts waiting for their scheduled publication time
+// @route   GET /api/posts/moderation/scheduled
+// @access  Private (Moderator/Admin)
+export const getScheduledPosts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    // Only the categories the user reviews (null means every category)
+    const categories = await permissionService.categoriesFor(req.user, 'post.approve');
+
+    const query = {
+      status: 'approved',
+      scheduledFor: { $ne: null },
+      ...(categories && { category: { $in: categories } })
+    };
+
+    const posts = await BlogPost.find(query)
+      .populate('author', 'firstName lastName email profile')
+      .populate('scheduledBy', 'firstName lastName email')
+      .sort({ scheduledFor: 1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .lean();
+
+    const count = await BlogPost.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        posts,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(count / limit),
+          total: count,
+          hasNext: parseInt(page) < Math.ceil(count / limit),
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching scheduled posts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scheduled posts',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change the publication time of a scheduled post
+// @route   PUT /api/posts/:id/schedule
+// @access  Private (Moderator/Admin)
+export const reschedulePost = async (req, res) => {
+  try {
+    const post = await BlogPost.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!(await permissionService.can(req.user, 'post.approve', post.category))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to schedule posts'
+      });
+    }
+
+    if (!post.isScheduled()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Post is not scheduled for publication'
+      });
+    }
+
+    const scheduledFor = new Date(req.body.scheduledFor);
+    await post.schedule(scheduledFor, req.user._id);
+
+    try {
+      await NotificationService.notifyPostScheduleChanged(post, req.user._id);
+    } catch (notifError) {
+      console.error('Error sending schedule notification:', notifError);
+    }
+
+    await AuditLogService.logPostScheduled(post._id, req.user._id, scheduledFor, req);
+
+    const updatedPost = await BlogPost.findById(post._id)
+      .populate('author', 'firstName lastName email profile')
+      .populate('scheduledBy', 'firstName lastName email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Post rescheduled successfully',
+      data: { post: updatedPost }
+    });
+  } catch (error) {
+    console.error('Error rescheduling post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rescheduling post',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel a scheduled publication (post goes back to review)
+// @route   DELETE /api/posts/:id/schedule
+// @access  Private (Moderator/Admin)
+export const cancelScheduledPost = async (req, res) => {
+  try {
+    const post = await BlogPost.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!(await permissionService.can(req.user, 'post.approve', post.category))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to schedule posts'
+      });
+    }
+
+    if (!post.isScheduled()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Post is not scheduled for publication'
+      });
+    }
+
+    const previousSchedule = post.scheduledFor;
+    await post.cancelSchedule();
+
+    try {
+      await NotificationService.notifyPostScheduleChanged(post, req.user._id);
+    } catch (notifError) {
+      console.error('Error sending schedule notification:', notifError);
+    }
+
+    await AuditLogService.logPostScheduleCancelled(post._id, req.user._id, previousSchedule, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled publication cancelled',
+      data: { post }
+    });
+  } catch (error) {
+    console.error('Error cancelling scheduled post:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling scheduled post',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Upload featured image to Cloudinary
 // @route   POST /api/posts/upload-featured-image
 // @access  Private
@@ -0,0 +1,368 @@
+import mongoose from 'mongoose';
+import Report, { REPORT_STATUSES, REPORT_TARGET_TYPES, REPORT_REASONS } from '../models/Report.js';
+import reportService from '../services/reportService.js';
+import AuditLogService from '../services/auditLogService.js';
+import permissionService from '../services/permissionService.js';
+
+const REPORT_POPULATE = [
+  { path: 'reporters.user', select: 'firstName lastName username email profileImage' },
+  { path: 'targetAuthor', select: 'firstName lastName username email profileImage' },
+  { path: 'assignee', select: 'firstName lastName username email' },
+  { path: 'resolvedBy', select: 'firstName lastName username email' }
+];
+
+// Whether the user may take over reports claimed by someone else
+const canReassign = (user) => permissionService.has(user, 'report.reassign');
+
+/**
+ * Send the error response for a failed report operation
+ */
+const sendError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallback
+  });
+};
+
+// @desc    Report a post, comment or user
+// @route   POST /api/reports
+// @access  Private
+export const createReport = async (req, res) => {
+  try {
+    const { targetType, targetId, reasonCategory, details } = req.body;
+
+    if (!targetType || !targetId || !reasonCategory) {
+      return res.status(400).json({
+        success: false,
+        message: 'Target type, target ID and reason are required'
+      });
+    }
+
+    const { report, created, duplicate } = await reportService.fileReport({
+      targetType,
+      targetId,
+      reporterId: req.user._id,
+      reasonCategory,
+      details
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: duplicate
+        ? 'You have already reported this. Our moderators are reviewing it.'
+        : 'Thank you for your report. Our moderators will review it.',
+      data: {
+        report: {
+          _id: report._id,
+          status: report.status,
+          targetType: report.targetType
+        }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error submitting report');
+  }
+};
+
+// @desc    List moderation cases
+// @route   GET /api/reports
+// @access  Private (Moderator/Admin)
+export const getReports = async (req, res) => {
+  try {
+    const {
+      status = 'active',
+      targetType,
+      reasonCategory,
+      severity,
+      assignee,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const query = {};
+    if (status === 'active') {
+      query.status = { $in: ['open', 'triaged'] };
+    } else if (REPORT_STATUSES.includes(status)) {
+      query.status = status;
+    }
+    if (REPORT_TARGET_TYPES.includes(targetType)) query.targetType = targetType;
+    if (REPORT_REASONS.includes(reasonCategory)) query.reasonCategory = reasonCategory;
+    if (severity) query.severity = severity;
+    if (assignee === 'me') {
+      query.assignee = req.user._id;
+    } else if (assignee === 'unassigned') {
+      query.assignee = null;
+    }
+
+    const [reports, total, statusCounts] = await Promise.all([
+      Report.find(query)
+        .populate(REPORT_POPULATE)
+        .sort({ reportCount: -1, updatedAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Report.countDocuments(query),
+      Report.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const counts = Object.fromEntries(REPORT_STATUSES.map(s => [s, 0]));
+    statusCounts.forEach(({ _id, count }) => {
+      counts[_id] = count;
+    });
+
+    const pages = Math.ceil(total / pageSize) || 1;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reports,
+        counts,
+        pagination: {
+          current: pageNumber,
+          pages,
+          total,
+          hasNext: pageNumber < pages,
+          hasPrev: pageNumber > 1
+        }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching reports');
+  }
+};
+
+// @desc    Get a single moderation case
+// @route   GET /api/reports/:id
+// @access  Private (Moderator/Admin)
+export const getReport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+
+    const report = await Report.findById(req.params.id).populate(REPORT_POPULATE).lean();
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { report }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching report');
+  }
+};
+
+// @desc    Claim a case (assign it to yourself and mark it triaged)
+// @route   PUT /api/reports/:id/claim
+// @access  Private (Moderator/Admin)
+export const claimReport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!report.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: `This report has already been ${report.status}`
+      });
+    }
+
+    // Taking over a case someone else has claimed needs report.reassign
+    const claimedByOther = report.assignee &&
+      report.assignee.toString() !== req.user._id.toString();
+    if (claimedByOther && !(await canReassign(req.user))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This report has already been claimed by another moderator'
+      });
+    }
+
+    await report.claim(req.user._id);
+    await report.populate(REPORT_POPULATE);
+
+    await AuditLogService.logReportClaimed(report._id, req.user._id, report.targetType, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Report claimed',
+      data: { report }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error claiming report');
+  }
+};
+
+// @desc    Resolve a case as actioned or dismissed
+// @route   PUT /api/reports/:id/resolve
+// @access  Private (Moderator/Admin)
+export const resolveReport = async (req, res) => {
+  try {
+    const { status, resolutionNotes = '', actionTaken = '' } = req.body;
+
+    if (!['actioned', 'dismissed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be actioned or dismissed'
+      });
+    }
+
+    if (status === 'actioned' && !String(resolutionNotes).trim() && !actionTaken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Describe the action taken'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report ID'
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!report.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: `This report has already been ${report.status}`
+      });
+    }
+
+    const claimedByOther = report.assignee &&
+      report.assignee.toString() !== req.user._id.toString();
+    if (claimedByOther && !(await canReassign(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This report is assigned to another moderator'
+      });
+    }
+
+    await report.resolve(req.user._id, {
+      status,
+      resolutionNotes: String(resolutionNotes).trim(),
+      actionTaken: String(actionTaken)
+    });
+    await report.populate(REPORT_POPULATE);
+
+    await AuditLogService.logReportResolved(report, req.user._id, req);
+
+    res.status(200).json({
+      success: true,
+      message: status === 'actioned' ? 'Report resolved' : 'Report dismissed',
+      data: { report }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error resolving report');
+  }
+};
+
+// @desc    Dismiss several open cases at once
+// @route   POST /api/reports/bulk-dismiss
+// @access  Private (Moderator/Admin)
+export const bulkDismissReports = async (req, res) => {
+  try {
+    const { ids, resolutionNotes = '' } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report IDs are required'
+      });
+    }
+
+    if (ids.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot dismiss more than 100 reports at once'
+      });
+    }
+
+    const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    // Skip closed cases, and cases claimed by someone else unless the user may reassign them
+    const query = {
+      _id: { $in: validIds },
+      status: { $in: ['open', 'triaged'] }
+    };
+    if (!(await canReassign(req.user))) {
+      query.$or = [{ assignee: null }, { assignee: req.user._id }];
+    }
+
+    const reports = await Report.find(query).select('_id targetType');
+    const dismissedIds = reports.map(r => r._id);
+
+    if (dismissedIds.length > 0) {
+      const now = new Date();
+      await Report.updateMany(
+        { _id: { $in: dismissedIds } },
+        {
+          $set: {
+            status: 'dismissed',
+            resolutionNotes: String(resolutionNotes).trim(),
+            actionTaken: '',
+            resolvedBy: req.user._id,
+            resolvedAt: now
+          }
+        }
+      );
+      await Report.updateMany(
+        { _id: { $in: dismissedIds }, assignee: null },
+        { $set: { assignee: req.user._id } }
+      );
+
+      await AuditLogService.logReportsBulkDismissed(dismissedIds, req.user._id, req);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${dismissedIds.length} report${dismissedIds.length === 1 ? '' : 's'} dismissed`,
+      data: {
+        dismissed: dismissedIds,
+        skipped: ids.length - dismissedIds.length
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error dismissing reports');
+  }
+};
@@ -1,6 +1,7 @@
 import BlogPost from '../models/blogpost/index.js';
-import Notification from '../models/Notification.js';
 import AuditLogService from '../services/auditLogService.js';
+import permissionService from '../services/permissionService.js';
+import NotificationService from '../services/notificationService.js';
 
 /**
  * @desc    Submit a peer review for a post
@@ -26,7 +27,8 @@ export const submitReview = async (req, res) => {
         const isAuthor = post.author.toString() === userId;
         const isCoAuthor = post.coAuthors?.some(ca => ca.user.toString() === userId);
 
-        if (!isAuthor && !isCoAuthor && req.user.role !== 'admin' && !req.user.roles?.includes('admin')) {
+        if (!isAuthor && !isCoAuthor &&
+            !(await permissionService.can(req.user, 'post.approve', post.category))) {
             return res.status(403).json({ success: false, message: 'Only collaborators can review this post' });
         }
 
@@ -49,12 +51,13 @@ export const submitReview = async (req, res) => {
 
         // Notify the author
         if (!isAuthor) {
-            await Notification.create({
+            await NotificationService.createNotification({
                 recipient: post.author,
                 sender: req.user._id,
                 type: 'post_reviewed',
                 title: 'New Peer Review',
                 message: `${req.user.firstName || req.user.email} submitted a review for "${post.title}": ${status}`,
+                relatedPost: post._id,
                 link: `/posts/${post.slug || post._id}/edit`
             });
         }
@@ -124,12 +127,13 @@ export const requestReview = async (req, res) => {
         const collaborators = post.coAuthors?.filter(ca => ca.role === 'reviewer' || ca.role === 'editor') || [];
 
         for (const ca of collaborators) {
-            await Notification.create({
+            await NotificationService.createNotification({
                 recipient: ca.user,
                 sender: req.user._id,
                 type: 'review_requested',
                 title: 'Review Requested',
                 message: `${req.user.firstName || req.user.email} requested a review for "${post.title}"`,
+                relatedPost: post._id,
                 link: `/posts/${post.slug || post._id}/edit`
             });
         }
@@ -0,0 +1,198 @@
+/**
+ * Role Controller - Roles and the permissions they grant
+ */
+import Role, { PERMISSIONS, PERMISSION_GROUPS } from '../models/Role.js';
+import User from '../models/User.js';
+import BlogPost from '../models/blogpost/index.js';
+import AuditLogService from '../services/auditLogService.js';
+import permissionService from '../services/permissionService.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+
+const EDITABLE_FIELDS = ['displayName', 'description', 'color', 'permissions', 'categories'];
+
+/**
+ * Check the categories a role is limited to against the post categories
+ * @returns {string|null} Error message, or null if they are all valid
+ */
+const invalidCategories = (categories) => {
+  if (categories === undefined) return null;
+  if (!Array.isArray(categories)) return 'Categories must be an array';
+
+  const known = BlogPost.schema.path('category').enumValues;
+  const unknown = categories.filter(category => !known.includes(category));
+  return unknown.length ? `Unknown categories: ${unknown.join(', ')}` : null;
+};
+
+/**
+ * Check a role's permissions against the catalog
+ * @returns {string|null} Error message, or null if they are all valid
+ */
+const invalidPermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return 'Permissions must be an array';
+
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  return unknown.length ? `Unknown permissions: ${unknown.join(', ')}` : null;
+};
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'You can only manage roles whose permissions you hold yourself'
+});
+
+// @desc    List roles, with the permission catalog and post categories
+// @route   GET /api/admin/roles
+// @access  Private (role.manage or user.roles)
+export const getRoles = asyncHandler(async (req, res) => {
+  const [roles, counts] = await Promise.all([
+    permissionService.getRoles(),
+    User.aggregate([
+      { $unwind: '$roles' },
+      { $group: { _id: '$roles', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const userCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      roles: roles.map(role => ({ ...role, userCount: userCounts[role.name] || 0 })),
+      permissions: Object.entries(PERMISSIONS).map(([key, permission]) => ({ key, ...permission })),
+      groups: PERMISSION_GROUPS,
+      categories: BlogPost.schema.path('category').enumValues
+    }
+  });
+});
+
+// @desc    Create a custom role
+// @route   POST /api/admin/roles
+// @access  Private (role.manage)
+export const createRole = asyncHandler(async (req, res) => {
+  const { name, displayName, description, color, permissions = [], categories = [] } = req.body;
+
+  const inputError = invalidPermissions(permissions) || invalidCategories(categories);
+  if (inputError) {
+    return res.status(400).json({ success: false, message: inputError });
+  }
+
+  if (!(await permissionService.canGrant(req.user, permissions))) {
+    return forbidden(res);
+  }
+
+  const role = await Role.create({
+    name,
+    displayName,
+    description,
+    color,
+    permissions: [...new Set(permissions)],
+    categories: [...new Set(categories)]
+  });
+
+  permissionService.clearCache();
+  await AuditLogService.logRoleCreated(role._id, req.user._id, role.name, role.permissions, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created',
+    data: { role: { ...role.toObject(), userCount: 0 } }
+  });
+});
+
+// @desc    Change a role's details, permissions or categories
+// @route   PUT /api/admin/roles/:id
+// @access  Private (role.manage)
+export const updateRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  if (role.name === 'admin') {
+    return res.status(400).json({
+      success: false,
+      message: 'The administrator role always has every permission and can\'t be changed'
+    });
+  }
+
+  const permissions = req.body.permissions ?? role.permissions;
+  const inputError = invalidPermissions(permissions) || invalidCategories(req.body.categories);
+  if (inputError) {
+    return res.status(400).json({ success: false, message: inputError });
+  }
+
+  // Both what the role had and what it will have must be within the
+  // editor's own permissions
+  if (!(await permissionService.canGrant(req.user, [...role.permissions, ...permissions]))) {
+    return forbidden(res);
+  }
+
+  const changes = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] === undefined) continue;
+
+    const value = Array.isArray(req.body[field]) ? [...new Set(req.body[field])] : req.body[field];
+    const previous = Array.isArray(role[field]) ? [...role[field]] : role[field];
+    if (JSON.stringify(previous) === JSON.stringify(value)) continue;
+
+    changes[field] = { from: previous, to: value };
+    role[field] = value;
+  }
+
+  if (Object.keys(changes).length > 0) {
+    await role.save();
+    permissionService.clearCache();
+    await AuditLogService.logRoleChanged(role._id, req.user._id, role.name, changes, req);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Role updated',
+    data: { role }
+  });
+});
+
+// @desc    Delete a custom role
+// @route   DELETE /api/admin/roles/:id
+// @access  Private (role.manage)
+export const deleteRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  if (role.isSystem) {
+    return res.status(400).json({
+      success: false,
+      message: 'Built-in roles can\'t be deleted'
+    });
+  }
+
+  if (!(await permissionService.canGrant(req.user, role.permissions))) {
+    return forbidden(res);
+  }
+
+  const assigned = await User.countDocuments({ roles: role.name });
+  if (assigned > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `This role is assigned to ${assigned} user${assigned === 1 ? '' : 's'}. Assign them another role first.`
+    });
+  }
+
+  await role.deleteOne();
+  permissionService.clearCache();
+  await AuditLogService.logRoleDeleted(role._id, req.user._id, role.name, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Role deleted'
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Session Controller - The devices a user is signed in on
+ */
+import AuditLogService from '../services/auditLogService.js';
+import sessionService from '../services/sessionService.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+
+// @desc    List active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.list(req.user._id, req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    data: { sessions }
+  });
+});
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSession = asyncHandler(async (req, res) => {
+  const revoked = await sessionService.revoke(req.user._id, req.params.id);
+
+  if (!revoked) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  await AuditLogService.logSessionsRevoked(req.user._id, 1, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked'
+  });
+});
+
+// @desc    Sign out every other device
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const count = await sessionService.revokeAll(req.user._id, { except: req.sessionId });
+
+  if (count > 0) {
+    await AuditLogService.logSessionsRevoked(req.user._id, count, req);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: count === 1 ? '1 session revoked' : `${count} sessions revoked`,
+    data: { revoked: count }
+  });
+});
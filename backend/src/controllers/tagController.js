@@ -0,0 +1,38 @@
+/**
+ * Tag Controller - Tag rankings across published posts
+ */
+import cacheService, { CacheService } from '../services/cacheService.js';
+import trendingService from '../services/trendingService.js';
+
+/**
+ * Get trending tags, ranked by the trending scores of their posts
+ * GET /api/tags/trending?window=day|week|month&limit=
+ */
+export const getTrendingTags = async (req, res) => {
+  try {
+    const { window = 'week', limit = 10 } = req.query;
+
+    const cacheKey = CacheService.keys.trendingTags(window, limit);
+    const cached = await cacheService.get(cacheKey);
+    if (cached) {
+      return res.json(cached);
+    }
+
+    const tags = await trendingService.getTrendingTags(window, { limit: parseInt(limit) });
+
+    const response = {
+      success: true,
+      data: { window, tags }
+    };
+
+    await cacheService.set(cacheKey, response, CacheService.ttl.trending);
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error getting trending tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get trending tags'
+    });
+  }
+};
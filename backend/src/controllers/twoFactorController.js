@@ -0,0 +1,114 @@
+/**
+ * Two-Factor Controller - A signed-in user's own two-factor authentication
+ */
+import User from '../models/User.js';
+import AuditLogService from '../services/auditLogService.js';
+import twoFactorService, { TWO_FACTOR_FIELDS } from '../services/twoFactorService.js';
+import { asyncHandler, AppError } from '../middleware/errorMiddleware.js';
+
+const findUser = async (userId, select = TWO_FACTOR_FIELDS) => {
+  const user = await User.findById(userId).select(select);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  return user;
+};
+
+// @desc    Get two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await findUser(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: await twoFactorService.getStatus(user)
+  });
+});
+
+// @desc    Start setting up two-factor authentication
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findUser(req.user.id);
+  const setup = await twoFactorService.beginSetup(user);
+
+  res.status(200).json({
+    success: true,
+    data: setup
+  });
+});
+
+// @desc    Confirm a code from the authenticator app and turn 2FA on
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findUser(req.user.id);
+  const recoveryCodes = await twoFactorService.enable(user, req.body.code);
+
+  await AuditLogService.logTwoFactorEnabled(user._id, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    data: { recoveryCodes }
+  });
+});
+
+// @desc    Turn 2FA off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const user = await findUser(req.user.id, `${TWO_FACTOR_FIELDS} +passwordHash +password`);
+
+  // Accounts created with Google have no password to confirm
+  if (user.passwordHash || user.password) {
+    if (!password || !await user.correctPassword(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+  }
+
+  const result = await twoFactorService.verify(user, { code, recoveryCode });
+  if (!result) {
+    return res.status(400).json({
+      success: false,
+      message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code'
+    });
+  }
+
+  await twoFactorService.disable(user);
+  await AuditLogService.logTwoFactorDisabled(user._id, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Replace recovery codes with a new set
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await findUser(req.user.id);
+
+  const result = await twoFactorService.verify(user, { code: req.body.code });
+  if (!result) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code'
+    });
+  }
+
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+  await AuditLogService.logRecoveryCodesRegenerated(user._id, req);
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes }
+  });
+});
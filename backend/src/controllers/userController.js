@@ -1,8 +1,13 @@
 import mongoose from 'mongoose';
 import User from '../models/User.js';
+import { NOTIFICATION_CATEGORIES, NOTIFICATION_CHANNELS } from '../models/Notification.js';
+import Follow from '../models/Follow.js';
 import BlogPost from '../models/BlogPost.js';
 import { formatUserResponse } from '../utils/helpers.js';
 import AuditLogService from '../services/auditLogService.js';
+import mentionService from '../services/mentionService.js';
+import profileVisibilityService from '../services/profileVisibilityService.js';
+import notificationPolicyService, { isValidTimezone } from '../services/notificationPolicyService.js';
 import { asyncHandler } from '../middleware/errorMiddleware.js';
 import { uploadFile } from '../utils/uploadHelpers.js';
 
@@ -222,6 +227,52 @@ export const deleteAccount = asyncHandler(async (req, res) => {
   res.status(200).json({ success: true, message: 'Account deleted successfully' });
 });
 
+// =====================================
+// Notification preference helpers
+// =====================================
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const NOTIFICATION_SUMMARIES = ['off', 'hourly', 'daily'];
+
+/**
+ * Check a { category: channel } map from the settings page
+ * @returns {string|null} Error message, or null if it is valid
+ */
+const validateNotificationChannels = (channels) => {
+  if (channels === undefined) return null;
+  if (!channels || typeof channels !== 'object') return 'Invalid notification channels';
+
+  for (const [category, channel] of Object.entries(channels)) {
+    const definition = NOTIFICATION_CATEGORIES[category];
+    if (!definition) return `Unknown notification category: ${category}`;
+    if (!NOTIFICATION_CHANNELS.includes(channel)) return `Invalid channel for ${category}`;
+    if (definition.required && channel === 'none') {
+      return `${category} notifications can't be turned off`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Apply chosen channels and keep them in step with the older on/off flags,
+ * which may still be sent on their own
+ */
+const syncNotificationChannels = (preferences, channels = {}) => {
+  if (!preferences.notificationChannels) preferences.notificationChannels = {};
+
+  for (const [category, { legacyPreference }] of Object.entries(NOTIFICATION_CATEGORIES)) {
+    const chosen = channels[category];
+    if (chosen) {
+      preferences.notificationChannels[category] = chosen;
+      if (legacyPreference) preferences[legacyPreference] = chosen !== 'none';
+    } else if (legacyPreference && preferences.notificationChannels[category]) {
+      const enabled = preferences[legacyPreference] !== false;
+      const current = preferences.notificationChannels[category];
+      if (!enabled) preferences.notificationChannels[category] = 'none';
+      else if (current === 'none') preferences.notificationChannels[category] = 'in_app';
+    }
+  }
+};
+
 // =====================================
 // Get Preferences
 // =====================================
@@ -250,6 +301,14 @@ export const getPreferences = asyncHandler(async (req, res) => {
     likeNotifications: user.preferences?.likeNotifications !== false,
     followNotifications: user.preferences?.followNotifications !== false,
     collaborationNotifications: user.preferences?.collaborationNotifications !== false,
+    mentionNotifications: user.preferences?.mentionNotifications !== false,
+    notificationChannels: notificationPolicyService.resolveChannels(user.preferences),
+    notificationSummary: user.preferences?.notificationSummary || 'off',
+    quietHours: {
+      enabled: user.preferences?.quietHours?.enabled || false,
+      start: user.preferences?.quietHours?.start || '22:00',
+      end: user.preferences?.quietHours?.end || '07:00'
+    },
     
     // Writing preferences
     defaultPostStatus: user.preferences?.defaultPostStatus || 'draft',
@@ -307,6 +366,10 @@ export const updatePreferences = asyncHandler(async (req, res) => {
     likeNotifications,
     followNotifications,
     collaborationNotifications,
+    mentionNotifications,
+    notificationChannels,
+    notificationSummary,
+    quietHours,
     
     // Writing preferences
     defaultPostStatus,
@@ -323,6 +386,24 @@ export const updatePreferences = asyncHandler(async (req, res) => {
     socialLinks
   } = req.body;
 
+  const channelError = validateNotificationChannels(notificationChannels);
+  if (channelError) return res.status(400).json({ success: false, message: channelError });
+
+  if (quietHours !== undefined) {
+    const { start, end } = quietHours || {};
+    if ([start, end].some(time => time !== undefined && !TIME_PATTERN.test(time))) {
+      return res.status(400).json({ success: false, message: 'Quiet hours must be given as HH:mm' });
+    }
+  }
+
+  if (notificationSummary !== undefined && !NOTIFICATION_SUMMARIES.includes(notificationSummary)) {
+    return res.status(400).json({ success: false, message: 'Summary must be off, hourly or daily' });
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return res.status(400).json({ success: false, message: 'Unknown timezone' });
+  }
+
   // Update account info
   if (firstName !== undefined) user.firstName = firstName;
   if (lastName !== undefined) user.lastName = lastName;
@@ -341,6 +422,16 @@ export const updatePreferences = asyncHandler(async (req, res) => {
   if (likeNotifications !== undefined) user.preferences.likeNotifications = likeNotifications;
   if (followNotifications !== undefined) user.preferences.followNotifications = followNotifications;
   if (collaborationNotifications !== undefined) user.preferences.collaborationNotifications = collaborationNotifications;
+  if (mentionNotifications !== undefined) user.preferences.mentionNotifications = mentionNotifications;
+  syncNotificationChannels(user.preferences, notificationChannels);
+  if (notificationSummary !== undefined) user.preferences.notificationSummary = notificationSummary;
+
+  if (quietHours) {
+    if (!user.preferences.quietHours) user.preferences.quietHours = {};
+    if (quietHours.enabled !== undefined) user.preferences.quietHours.enabled = !!quietHours.enabled;
+    if (quietHours.start !== undefined) user.preferences.quietHours.start = quietHours.start;
+    if (quietHours.end !== undefined) user.preferences.quietHours.end = quietHours.end;
+  }
 
   // Update writing preferences
   if (defaultPostStatus !== undefined) user.preferences.defaultPostStatus = defaultPostStatus;
@@ -379,6 +470,190 @@ export const updatePreferences = asyncHandler(async (req, res) => {
   });
 });
 
+// =====================================
+// Notification Mutes
+// =====================================
+const MUTE_FIELDS = { post: 'mutedPosts', user: 'mutedUsers' };
+
+export const getMutes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id)
+    .select('preferences.mutedPosts preferences.mutedUsers')
+    .populate('preferences.mutedPosts', 'title slug')
+    .populate('preferences.mutedUsers', 'firstName lastName username profile.avatar');
+  if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      // Deleted posts and accounts drop out of the populated lists
+      posts: (user.preferences?.mutedPosts || []).filter(Boolean),
+      users: (user.preferences?.mutedUsers || []).filter(Boolean),
+    },
+  });
+});
+
+export const addMute = asyncHandler(async (req, res) => {
+  const { type, id } = req.body;
+  const field = MUTE_FIELDS[type];
+
+  if (!field || !mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ success: false, message: 'Give a type of post or user and a valid id' });
+  }
+  if (type === 'user' && id === req.user.id.toString()) {
+    return res.status(400).json({ success: false, message: 'You cannot mute yourself' });
+  }
+
+  const exists = type === 'post'
+    ? await BlogPost.exists({ _id: id })
+    : await User.exists({ _id: id });
+  if (!exists) {
+    return res.status(404).json({ success: false, message: `${type === 'post' ? 'Post' : 'User'} not found` });
+  }
+
+  await User.updateOne({ _id: req.user.id }, { $addToSet: { [`preferences.${field}`]: id } });
+
+  res.status(200).json({
+    success: true,
+    message: type === 'post'
+      ? "You won't be notified about this post"
+      : "You won't be notified about this person",
+  });
+});
+
+export const removeMute = asyncHandler(async (req, res) => {
+  const { type, id } = req.params;
+  const field = MUTE_FIELDS[type];
+
+  if (!field || !mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ success: false, message: 'Give a type of post or user and a valid id' });
+  }
+
+  await User.updateOne({ _id: req.user.id }, { $pull: { [`preferences.${field}`]: id } });
+
+  res.status(200).json({ success: true, message: 'Unmuted' });
+});
+
+// =====================================
+// Public Profiles
+// =====================================
+
+/**
+ * Look up an active user by username and work out what the viewer may see
+ * (see profileVisibilityService)
+ */
+const resolvePublicProfile = (username, viewer) =>
+  profileVisibilityService.resolve({ username: String(username || '').toLowerCase() }, viewer);
+
+export const getPublicProfile = asyncHandler(async (req, res) => {
+  const resolved = await resolvePublicProfile(req.params.username, req.user);
+  if (!resolved) {
+    return res.status(404).json({ success: false, message: 'User not found' });
+  }
+
+  const { user, visibility, isOwnProfile, isFollowing, canView, showFollowers } = resolved;
+
+  // Enough to recognise who the profile belongs to
+  const profile = {
+    _id: user._id,
+    username: user.username,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    fullName: user.fullName,
+    avatar: user.profile?.avatar || '',
+    visibility,
+    isOwnProfile,
+    isFollowing,
+  };
+
+  if (!canView) {
+    return res.status(200).json({
+      success: true,
+      data: { profile, restricted: true },
+    });
+  }
+
+  const [postsCount, followCounts] = await Promise.all([
+    BlogPost.countDocuments({ author: user._id, status: 'published' }),
+    showFollowers ? Follow.getCounts(user._id) : null,
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      restricted: false,
+      profile: {
+        ...profile,
+        bio: user.profile?.bio || '',
+        website: user.profile?.contactInfo?.website || '',
+        socialLinks: {
+          twitter: user.profile?.socialMedia?.twitter || '',
+          linkedin: user.profile?.socialMedia?.linkedin || '',
+          github: user.profile?.socialMedia?.github || '',
+          website: user.profile?.socialMedia?.website || '',
+        },
+        email: user.preferences?.showEmail ? user.email : undefined,
+        role: user.role,
+        joinedAt: user.createdAt,
+        postsCount,
+        showFollowers,
+        ...(followCounts && {
+          followersCount: followCounts.followersCount,
+          followingCount: followCounts.followingCount,
+        }),
+      },
+    },
+  });
+});
+
+export const getPublicProfilePosts = asyncHandler(async (req, res) => {
+  const resolved = await resolvePublicProfile(req.params.username, req.user);
+  if (!resolved) {
+    return res.status(404).json({ success: false, message: 'User not found' });
+  }
+  if (!resolved.canView) {
+    return res.status(403).json({ success: false, message: 'This profile is not visible to you' });
+  }
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 9, 1), 50);
+  const filter = { author: resolved.user._id, status: 'published' };
+
+  const [posts, total] = await Promise.all([
+    BlogPost.find(filter)
+      .select('title slug excerpt featuredImage category tags publishedAt views likesCount commentsCount')
+      .setOptions({ skipPopulate: true })
+      .sort({ publishedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    BlogPost.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      posts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// =====================================
+// Mention Suggestions
+// =====================================
+export const getMentionSuggestions = asyncHandler(async (req, res) => {
+  const users = await mentionService.suggest(req.query.q, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: { users },
+  });
+});
+
 // =====================================
 // Dashboard Stats
 // =====================================
@@ -5,67 +5,10 @@
 
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import permissionService from '../services/permissionService.js';
+import sessionService from '../services/sessionService.js';
 import { extractTokenFromHeader } from '../utils/tokens.js';
 
-// ==================== LOGIN ATTEMPT TRACKING ====================
-
-/**
- * Track failed login attempts
- * Stores attempts in memory (consider Redis for production)
- */
-const loginAttempts = new Map();
-const LOCK_TIME = 2 * 60 * 60 * 1000; // 2 hours
-const MAX_ATTEMPTS = 5;
-
-/**
- * Check if account is locked due to failed login attempts
- */
-export const checkAccountLock = (req, res, next) => {
-  const { email } = req.body;
-  
-  if (!email) return next();
-  
-  const attempts = loginAttempts.get(email);
-  
-  if (attempts && attempts.count >= MAX_ATTEMPTS) {
-    const lockExpiry = attempts.lockedUntil;
-    
-    if (lockExpiry && lockExpiry > Date.now()) {
-      const remainingTime = Math.ceil((lockExpiry - Date.now()) / 1000 / 60);
-      return res.status(423).json({
-        success: false,
-        message: `Account locked due to too many failed login attempts. Try again in ${remainingTime} minutes.`
-      });
-    } else {
-      // Lock expired, reset attempts
-      loginAttempts.delete(email);
-    }
-  }
-  
-  next();
-};
-
-/**
- * Increment login attempts on failed login
- */
-export const incrementLoginAttempts = (email) => {
-  const attempts = loginAttempts.get(email) || { count: 0, lockedUntil: null };
-  attempts.count += 1;
-  
-  if (attempts.count >= MAX_ATTEMPTS) {
-    attempts.lockedUntil = Date.now() + LOCK_TIME;
-  }
-  
-  loginAttempts.set(email, attempts);
-};
-
-/**
- * Reset login attempts on successful login
- */
-export const resetLoginAttempts = (email) => {
-  loginAttempts.delete(email);
-};
-
 // ==================== JWT AUTHENTICATION ====================
 
 /**
@@ -131,8 +74,18 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      // The session must still be active; this also counts as activity for
+      // the session timeout
+      if (decoded.sid && !(await sessionService.touch(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Your session has expired. Please log in again.'
+        });
+      }
+
       // Attach user to request object
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (jwtError) {
       if (jwtError.name === 'TokenExpiredError') {
@@ -185,8 +138,9 @@ export const optionalAuth = async (req, res, next) => {
           const emailVerified = user.isEmailVerified === undefined || user.isEmailVerified;
           // Check password change if method exists
           const passwordNotChanged = !user.changedPasswordAfter || !user.changedPasswordAfter(decoded.iat);
+          const sessionActive = !decoded.sid || await sessionService.touch(decoded.sid);
           
-          if (emailVerified && passwordNotChanged) {
+          if (emailVerified && passwordNotChanged && sessionActive) {
             req.user = user;
           }
         }
@@ -203,14 +157,16 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
-// ==================== ROLE-BASED AUTHORIZATION ====================
+// ==================== PERMISSION-BASED AUTHORIZATION ====================
 
 /**
- * Grant access to specific roles
- * @param {...string} roles - Allowed roles
+ * Grant access to users holding any of the permissions (see models/Role.js)
+ * A permission limited to some post categories is enough to get through;
+ * the controller then checks the post's category.
+ * @param {...string} permissions - Accepted permissions
  */
-export const authorize = (...roles) => {
-  return (req, res, next) => {
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -218,128 +174,18 @@ export const authorize = (...roles) => {
       });
     }
 
-    // Check if user has roles array (old schema) or single role (new schema)
-    const userRoles = Array.isArray(req.user.roles) ? req.user.roles : [req.user.role];
-    const hasRequiredRole = roles.some(role => userRoles.includes(role));
-    
-    if (!hasRequiredRole) {
-      return res.status(403).json({
-        success: false,
-        message: `User role ${userRoles.join(', ')} is not authorized to access this route. Required roles: ${roles.join(', ')}`
-      });
-    }
-    
-    next();
-  };
-};
-
-/**
- * Restrict access to specific roles (alias for authorize)
- */
-export const restrictTo = (...roles) => authorize(...roles);
-
-/**
- * Check if user is admin
- */
-export const isAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authorized to access this route'
-    });
-  }
-
-  const userRoles = Array.isArray(req.user.roles) ? req.user.roles : [req.user.role];
-  
-  if (!userRoles.includes('admin')) {
-    return res.status(403).json({
-      success: false,
-      message: 'Admin access required.'
-    });
-  }
-  
-  next();
-};
-
-/**
- * Check if user is moderator or admin
- */
-export const isModerator = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authorized to access this route'
-    });
-  }
-
-  const userRoles = Array.isArray(req.user.roles) ? req.user.roles : [req.user.role];
-  
-  if (!userRoles.includes('admin') && !userRoles.includes('moderator')) {
-    return res.status(403).json({
-      success: false,
-      message: 'Moderator access required.'
-    });
-  }
-  
-  next();
-};
-
-/**
- * Check if user is author, moderator, or admin
- */
-export const isAuthor = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authorized to access this route'
-    });
-  }
-
-  const userRoles = Array.isArray(req.user.roles) ? req.user.roles : [req.user.role];
-  
-  if (!['admin', 'moderator', 'author'].some(role => userRoles.includes(role))) {
-    return res.status(403).json({
-      success: false,
-      message: 'Author access required.'
-    });
-  }
-  
-  next();
-};
-
-// ==================== RESOURCE OWNERSHIP ====================
-
-/**
- * Check if user is the owner of the resource or has admin role
- * @param {string} resourceOwnerField - Field name containing owner ID (default: 'user')
- */
-export const isOwnerOrAdmin = (resourceOwnerField = 'user') => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route'
-      });
-    }
-
-    const userRoles = Array.isArray(req.user.roles) ? req.user.roles : [req.user.role];
-
-    // Allow if user is admin
-    if (userRoles.includes('admin')) {
-      return next();
-    }
+    try {
+      if (!(await permissionService.has(req.user, ...permissions))) {
+        return res.status(403).json({
+          success: false,
+          message: `You don't have permission to do this. Required permission: ${permissions.join(' or ')}`
+        });
+      }
 
-    // Allow if user is the owner of the resource
-    const resourceOwnerId = req.params[resourceOwnerField] || req.body[resourceOwnerField];
-    
-    if (resourceOwnerId && resourceOwnerId.toString() === req.user._id.toString()) {
-      return next();
+      next();
+    } catch (error) {
+      next(error);
     }
-
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized to access this resource'
-    });
   };
 };
 
@@ -6,6 +6,7 @@
 
 import { body, query, param, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
+import { TRENDING_WINDOWS } from '../services/trendingService.js';
 
 /**
  * Handle validation errors
@@ -41,6 +42,20 @@ const VALID_CATEGORIES = [
   'career', 'internships', 'opinion', 'news', 'culture', 'programs'
 ];
 
+/**
+ * Scheduled publication time - must be a date in the future
+ */
+const scheduledForRule = () => body('scheduledFor')
+  .optional({ nullable: true, checkFalsy: true })
+  .isISO8601()
+  .withMessage('Scheduled time must be a valid date')
+  .custom((value) => {
+    if (new Date(value) <= new Date()) {
+      throw new Error('Scheduled time must be in the future');
+    }
+    return true;
+  });
+
 /**
  * Validate post creation/update data
  */
@@ -133,6 +148,8 @@ export const validatePostData = [
     .isIn(['draft', 'pending', 'under_review', 'approved', 'published', 'rejected', 'archived'])
     .withMessage('Invalid status'),
 
+  scheduledForRule(),
+
   handleValidationErrors
 ];
 
@@ -222,6 +239,30 @@ export const validatePostUpdateData = [
     .isIn(['draft', 'pending', 'under_review', 'approved', 'published', 'rejected', 'archived'])
     .withMessage('Invalid status'),
 
+  scheduledForRule(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validate post approval (optional publication time)
+ */
+export const validateApprovalData = [
+  scheduledForRule(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validate a publication schedule change
+ */
+export const validateScheduleData = [
+  body('scheduledFor')
+    .notEmpty()
+    .withMessage('Scheduled time is required'),
+
+  scheduledForRule(),
+
   handleValidationErrors
 ];
 
@@ -259,6 +300,21 @@ export const validateSearchParams = [
     .isIn(['relevance', 'newest', 'oldest', 'popular', 'views', 'likes', 'comments', 'recent', 'latest', 'mostViewed', 'mostLiked'])
     .withMessage('Invalid sort option'),
 
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid author ID'),
+
+  query('date')
+    .optional()
+    .isIn(['week', 'month', 'year'])
+    .withMessage('Date must be week, month or year'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be in ISO 8601 format'),
+
   handleValidationErrors
 ];
 
@@ -326,7 +382,7 @@ export const validateFilterParams = [
 
   query('sort')
     .optional()
-    .isIn(['newest', 'oldest', 'popular', 'views', 'likes', 'comments', 'title', 'updated', 'recent', 'latest', 'mostViewed', 'mostLiked'])
+    .isIn(['newest', 'oldest', 'popular', 'trending', 'views', 'likes', 'comments', 'title', 'updated', 'recent', 'latest', 'mostViewed', 'mostLiked'])
     .withMessage('Invalid sort option'),
 
   query('startDate')
@@ -354,16 +410,20 @@ export const validateFilterParams = [
 
 /**
  * Validate MongoDB ObjectId or slug parameter
+ * @param {string} paramName - Route parameter
+ * @param {Object} [options] - { allowSlug: false for resources without slugs }
  */
-export const validateObjectId = (paramName = 'id') => [
+export const validateObjectId = (paramName = 'id', { allowSlug = true } = {}) => [
   param(paramName)
     .custom((value) => {
       // Allow both ObjectId and slug formats
       const isValidObjectId = mongoose.Types.ObjectId.isValid(value);
-      const isSlug = /^[a-z0-9-]+$/.test(value);
+      const isSlug = allowSlug && /^[a-z0-9-]+$/.test(value);
 
       if (!isValidObjectId && !isSlug) {
-        throw new Error(`Invalid ${paramName} format - must be ObjectId or slug`);
+        throw new Error(allowSlug
+          ? `Invalid ${paramName} format - must be ObjectId or slug`
+          : `Invalid ${paramName} format`);
       }
       return true;
     }),
@@ -423,6 +483,44 @@ export const validateTagsParams = [
   handleValidationErrors
 ];
 
+/**
+ * Validate related posts query parameters
+ */
+export const validateRelatedParams = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validate trending posts / tags query parameters
+ */
+export const validateTrendingParams = [
+  query('window')
+    .optional()
+    .isIn(Object.keys(TRENDING_WINDOWS))
+    .withMessage(`Window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}`),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+
+  query('category')
+    .optional()
+    .custom((value) => {
+      if (value === 'all' || VALID_CATEGORIES.includes(value)) {
+        return true;
+      }
+      throw new Error('Invalid category');
+    }),
+
+  handleValidationErrors
+];
+
 /**
  * Validate peer review data
  */
@@ -107,6 +107,26 @@ export const commentRateLimiter = rateLimit({
     message: 'You have reached the comment limit. Please try again later.',
     retryAfter: 60 * 60
   },
+  // Mounted on /api/comments; reading threads and moderator tools are not
+  // comment activity
+  skip: (req) => req.method === 'GET' ||
+    req.path.startsWith('/moderation') ||
+    /^\/[^/]+\/(hide|unhide)$/.test(req.path),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Content report rate limiter
+ */
+export const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // 20 reports per hour
+  message: {
+    success: false,
+    message: 'You have submitted too many reports. Please try again later.',
+    retryAfter: 60 * 60
+  },
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -348,6 +368,7 @@ export default {
   strictAuthLimiter,
   postLimiter,
   commentRateLimiter,
+  reportLimiter,
   aiFeatureLimiter,
   uploadLimiter,
   passwordResetLimiter,
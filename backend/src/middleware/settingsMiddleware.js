@@ -1,6 +1,7 @@
 import Settings from '../models/Settings.js';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import permissionService from '../services/permissionService.js';
 
 // Cache settings to avoid DB calls on every request
 let cachedSettings = null;
@@ -40,9 +41,9 @@ export const clearSettingsCache = () => {
 };
 
 /**
- * Helper to extract user ID from token and get role from database
+ * Helper to extract user ID from token and get their roles from database
  */
-const getUserRoleFromToken = async (req) => {
+const getUserRolesFromToken = async (req) => {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -63,22 +64,19 @@ const getUserRoleFromToken = async (req) => {
     const now = Date.now();
     const cached = userRoleCache.get(decoded.id);
     if (cached && (now - cached.timestamp) < USER_ROLE_CACHE_TTL) {
-      return cached.role;
+      return cached.user;
     }
     
-    // Look up user role from database
+    // Look up user roles from database
     const user = await User.findById(decoded.id).select('role roles').lean();
     if (!user) {
       return null;
     }
     
-    // Get role - prefer single 'role' field, fallback to first in 'roles' array
-    const role = user.role || (user.roles && user.roles[0]) || 'reader';
-    
     // Cache the result
-    userRoleCache.set(decoded.id, { role, timestamp: now });
+    userRoleCache.set(decoded.id, { user, timestamp: now });
     
-    return role;
+    return user;
   } catch (error) {
     // Token verification failed - that's okay, user might not be logged in
     return null;
@@ -95,17 +93,14 @@ export const checkMaintenanceMode = async (req, res, next) => {
     const settings = await getSettings();
     
     if (settings?.general?.maintenanceMode) {
-      // Check if user is admin/moderator from req.user (if auth middleware ran)
+      // Take the user from req.user (if auth middleware ran)
       // OR look up from database using token
-      let userRole = req.user?.role;
-      
-      if (!userRole) {
-        userRole = await getUserRoleFromToken(req);
-      }
+      const user = req.user || await getUserRolesFromToken(req);
       
-      // Admins and moderators bypass maintenance mode completely
+      // Staff (admins and moderators, or anyone who may see the settings or
+      // review posts) bypass maintenance mode completely
       // They have full control and need access to everything
-      if (userRole === 'admin' || userRole === 'moderator') {
+      if (user && await permissionService.has(user, 'settings.read', 'post.approve')) {
         return next();
       }
       
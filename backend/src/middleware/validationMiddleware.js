@@ -1,5 +1,6 @@
 import { body, param, query } from 'express-validator';
 import { formatValidationErrors } from '../utils/helpers.js';
+import permissionService from '../services/permissionService.js';
 
 // User registration validation
 export const validateRegistration = [
@@ -313,11 +314,13 @@ export const validateUserApproval = [
     .optional()
     .isArray()
     .withMessage('Roles must be an array')
-    .custom((roles) => {
-      const validRoles = ['admin', 'moderator', 'author', 'reader'];
-      return roles.every(role => validRoles.includes(role));
-    })
-    .withMessage('Invalid role provided'),
+    .custom(async (roles) => {
+      const validRoles = await permissionService.getRoleNames();
+      if (!roles.every(role => validRoles.includes(role))) {
+        throw new Error('Invalid role provided');
+      }
+      return true;
+    }),
 
   body('reviewNotes')
     .optional()
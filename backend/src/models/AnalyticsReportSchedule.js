@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * Analytics Report Schedule Model
+ * An analytics report an admin has asked to be emailed to them every week
+ * or month. See analyticsReportScheduleService.
+ */
+
+export const REPORT_FREQUENCIES = ['weekly', 'monthly'];
+
+const analyticsReportScheduleSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // Key of analyticsExportService.reports
+    report: {
+      type: String,
+      required: true
+    },
+
+    format: {
+      type: String,
+      enum: ['csv', 'xlsx'],
+      default: 'xlsx'
+    },
+
+    frequency: {
+      type: String,
+      enum: REPORT_FREQUENCIES,
+      required: true
+    },
+
+    active: {
+      type: Boolean,
+      default: true
+    },
+
+    nextRunAt: {
+      type: Date,
+      required: true
+    },
+
+    lastRunAt: Date,
+
+    lastStatus: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+
+    lastError: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+analyticsReportScheduleSchema.index({ active: 1, nextRunAt: 1 });
+analyticsReportScheduleSchema.index({ owner: 1 });
+
+const AnalyticsReportSchedule = mongoose.model('AnalyticsReportSchedule', analyticsReportScheduleSchema);
+
+export default AnalyticsReportSchedule;
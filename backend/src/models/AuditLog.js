@@ -13,9 +13,20 @@ const auditLogSchema = new mongoose.Schema({
       'user_activated',
       'user_deleted',
       'role_updated',
+      'role_created',
+      'role_changed',
+      'role_deleted',
       'login',
       'logout',
       'password_changed',
+      'two_factor_enabled',
+      'two_factor_disabled',
+      'two_factor_recovery_code_used',
+      'two_factor_recovery_codes_regenerated',
+      'session_revoked',
+      'refresh_token_reused',
+      'account_locked',
+      'account_unlocked',
       'email_verified',
       'password_reset_requested',
       'password_reset',
@@ -29,6 +40,12 @@ const auditLogSchema = new mongoose.Schema({
       'post_approved',
       'post_rejected',
       'post_reviewed',
+      'post_revision_restored',
+      'post_scheduled',
+      'post_schedule_cancelled',
+      'report_claimed',
+      'report_actioned',
+      'report_dismissed',
       'review_requested',
       'ai_suggestion_requested',
       'ai_grammar_check',
@@ -41,6 +58,8 @@ const auditLogSchema = new mongoose.Schema({
       'collaboration_left',
       'comment_created',
       'comment_deleted',
+      'comment_hidden',
+      'comment_unhidden',
       'program_created',
       'program_updated',
       'program_deleted',
@@ -52,7 +71,7 @@ const auditLogSchema = new mongoose.Schema({
   resourceType: {
     type: String,
     required: true,
-    enum: ['user', 'auth', 'system', 'profile', 'post', 'comment', 'settings', 'ai', 'review', 'collaboration', 'program']
+    enum: ['user', 'auth', 'system', 'profile', 'post', 'comment', 'settings', 'ai', 'review', 'collaboration', 'program', 'report', 'role']
   },
 
   resourceId: {
@@ -148,6 +167,12 @@ auditLogSchema.virtual('formattedAction').get(function () {
     'post_approved': 'Post Approved',
     'post_rejected': 'Post Rejected',
     'post_reviewed': 'Post Reviewed',
+    'post_revision_restored': 'Post Revision Restored',
+    'post_scheduled': 'Post Scheduled',
+    'post_schedule_cancelled': 'Post Schedule Cancelled',
+    'report_claimed': 'Report Claimed',
+    'report_actioned': 'Report Actioned',
+    'report_dismissed': 'Report Dismissed',
     'review_requested': 'Review Requested',
     'ai_suggestion_requested': 'AI Content Suggestion',
     'ai_grammar_check': 'AI Grammar Check',
@@ -160,6 +185,8 @@ auditLogSchema.virtual('formattedAction').get(function () {
     'collaboration_left': 'Collaboration Left',
     'comment_created': 'Comment Created',
     'comment_deleted': 'Comment Deleted',
+    'comment_hidden': 'Comment Hidden',
+    'comment_unhidden': 'Comment Unhidden',
     'program_created': 'Program Created',
     'program_updated': 'Program Updated',
     'program_deleted': 'Program Deleted',
@@ -24,6 +24,20 @@ const commentSchema = new mongoose.Schema(
       ref: 'Comment',
       default: null,
     },
+    // Materialized path: every comment above this one, root first
+    ancestors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+    }],
+    depth: {
+      type: Number,
+      default: 0,
+    },
+    // Users already notified of being @mentioned in the comment
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
     likes: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -39,6 +53,45 @@ const commentSchema = new mongoose.Schema(
     editedAt: {
       type: Date,
     },
+
+    // Moderation - hidden comments stay in the database but are not listed
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    hiddenAt: {
+      type: Date,
+    },
+    hiddenReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+
+    // Result of violationDetectionService.analyzeForViolations at creation
+    violationReport: {
+      hasViolations: {
+        type: Boolean,
+        default: false,
+      },
+      severity: {
+        type: String,
+        enum: ['none', 'low', 'medium', 'high', 'critical'],
+        default: 'none',
+      },
+      violations: [{
+        type: {
+          type: String,
+        },
+        description: String,
+        excerpt: String,
+      }],
+      analyzedAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -50,7 +103,11 @@ const commentSchema = new mongoose.Schema(
 // Indexes for performance
 commentSchema.index({ post: 1, createdAt: -1 });
 commentSchema.index({ author: 1 });
-commentSchema.index({ parentComment: 1 });
+commentSchema.index({ parentComment: 1, createdAt: 1 });
+commentSchema.index({ post: 1, parentComment: 1, likesCount: -1 });
+commentSchema.index({ ancestors: 1 });
+commentSchema.index({ 'violationReport.hasViolations': 1, createdAt: -1 });
+commentSchema.index({ isHidden: 1, createdAt: -1 });
 
 // Virtual for replies
 commentSchema.virtual('replies', {
@@ -77,34 +134,140 @@ commentSchema.methods.removeLike = async function (userId) {
   return this;
 };
 
-// Static method to get comments with replies
-commentSchema.statics.getCommentsWithReplies = async function (postId) {
-  const comments = await this.find({ post: postId, parentComment: null })
-    .populate('author', 'firstName lastName email profile')
-    .populate({
-      path: 'replies',
-      populate: {
-        path: 'author',
-        select: 'firstName lastName email profile',
-      },
-    })
-    .sort({ createdAt: -1 })
-    .lean();
+export const COMMENT_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  top: { likesCount: -1, createdAt: -1 },
+};
 
+const AUTHOR_FIELDS = 'firstName lastName username email profile';
+
+// Fill in the path of a new reply from its parent
+commentSchema.pre('save', async function (next) {
+  if (!this.isNew || !this.parentComment || this.ancestors.length) return next();
+
+  try {
+    // Replies written before paths existed have no ancestors, so walk up
+    const path = [];
+    let parent = await this.constructor.findById(this.parentComment).select('parentComment ancestors');
+    while (parent) {
+      path.unshift(parent._id);
+      if (parent.ancestors.length || !parent.parentComment) {
+        path.unshift(...parent.ancestors);
+        break;
+      }
+      parent = await this.constructor.findById(parent.parentComment).select('parentComment ancestors');
+    }
+
+    this.ancestors = path;
+    this.depth = path.length;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Filter matching comments and every reply beneath them
+commentSchema.statics.subtreeFilter = function (ids) {
+  return {
+    $or: [
+      { _id: { $in: ids } },
+      { ancestors: { $in: ids } },
+      { parentComment: { $in: ids } },
+    ],
+  };
+};
+
+// Static method to set repliesCount (visible direct replies) on loaded comments
+commentSchema.statics.attachReplyCounts = async function (comments) {
+  if (!comments.length) return comments;
+
+  const counts = await this.aggregate([
+    { $match: { parentComment: { $in: comments.map(c => c._id) }, isHidden: { $ne: true } } },
+    { $group: { _id: '$parentComment', count: { $sum: 1 } } },
+  ]);
+  const countById = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+  comments.forEach(comment => {
+    comment.repliesCount = countById.get(comment._id.toString()) || 0;
+  });
   return comments;
 };
 
+// Static method to get a page of direct replies to a comment
+commentSchema.statics.getReplies = async function (parentId, { sort = 'oldest', page = 1, limit = 5 } = {}) {
+  const filter = { parentComment: parentId, isHidden: { $ne: true } };
+
+  const [replies, total] = await Promise.all([
+    this.find(filter)
+      .populate('author', AUTHOR_FIELDS)
+      .sort(COMMENT_SORTS[sort] || COMMENT_SORTS.oldest)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(filter),
+  ]);
+
+  await this.attachReplyCounts(replies);
+  replies.forEach(reply => { reply.replies = []; });
+
+  return { replies, total };
+};
+
+// Static method to get a page of top-level comments, each with its first
+// few replies (hidden comments left out)
+commentSchema.statics.getCommentsWithReplies = async function (
+  postId,
+  { sort = 'newest', page = 1, limit = 10, replyLimit = 3 } = {}
+) {
+  const filter = { post: postId, parentComment: null, isHidden: { $ne: true } };
+
+  const [comments, total] = await Promise.all([
+    this.find(filter)
+      .populate('author', AUTHOR_FIELDS)
+      .sort(COMMENT_SORTS[sort] || COMMENT_SORTS.newest)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(filter),
+  ]);
+
+  await this.attachReplyCounts(comments);
+  await Promise.all(comments.map(async (comment) => {
+    comment.replies = comment.repliesCount
+      ? (await this.getReplies(comment._id, { limit: replyLimit })).replies
+      : [];
+  }));
+
+  return { comments, total };
+};
+
+// Static method to recount a post's visible comments. Replies under a
+// hidden comment can't be reached, so they don't count either.
+commentSchema.statics.updatePostCommentCount = async function (postId) {
+  const BlogPost = mongoose.model('BlogPost');
+  const hiddenIds = await this.distinct('_id', { post: postId, isHidden: true });
+  const visible = {
+    post: postId,
+    isHidden: { $ne: true },
+    ancestors: { $nin: hiddenIds },
+    parentComment: { $nin: hiddenIds },
+  };
+
+  const [commentsCount, topLevelCommentsCount] = await Promise.all([
+    this.countDocuments(visible),
+    this.countDocuments({ ...visible, parentComment: null }),
+  ]);
+  await BlogPost.findByIdAndUpdate(postId, { commentsCount, topLevelCommentsCount });
+};
+
 // Middleware to update post comment count
 commentSchema.post('save', async function () {
-  const BlogPost = mongoose.model('BlogPost');
-  const count = await this.constructor.countDocuments({ post: this.post, parentComment: null });
-  await BlogPost.findByIdAndUpdate(this.post, { commentsCount: count });
+  await this.constructor.updatePostCommentCount(this.post);
 });
 
-commentSchema.post('remove', async function () {
-  const BlogPost = mongoose.model('BlogPost');
-  const count = await this.constructor.countDocuments({ post: this.post, parentComment: null });
-  await BlogPost.findByIdAndUpdate(this.post, { commentsCount: count });
+commentSchema.post('deleteOne', { document: true, query: false }, async function () {
+  await this.constructor.updatePostCommentCount(this.post);
 });
 
 const Comment = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+/**
+ * Digest Run Model
+ * One weekly digest: the posts it covers and how far its delivery has got.
+ *
+ * The posts are captured when the run is created, so a run that is resumed
+ * after a crash sends the same digest to everyone.
+ */
+
+const digestPostSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BlogPost'
+    },
+    title: String,
+    excerpt: String,
+    featuredImage: String,
+    authorName: String,
+    publishedAt: Date
+  },
+  { _id: false }
+);
+
+const digestRunSchema = new mongoose.Schema(
+  {
+    // Monday 00:00 UTC of the week the digest covers
+    weekStart: {
+      type: Date,
+      required: true,
+      unique: true
+    },
+
+    weekEnd: {
+      type: Date,
+      required: true
+    },
+
+    // Top posts of the week, grouped by category
+    categories: [
+      {
+        _id: false,
+        category: String,
+        posts: [digestPostSchema]
+      }
+    ],
+
+    status: {
+      type: String,
+      enum: ['queued', 'sending', 'completed'],
+      default: 'queued'
+    },
+
+    // Set once every subscriber has a delivery record; a run without it
+    // crashed while queueing and is queued again
+    queuedAt: Date,
+
+    completedAt: Date,
+
+    // Delivery counts, filled in when the run completes
+    stats: {
+      total: { type: Number, default: 0 },
+      sent: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      bounced: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+digestRunSchema.index({ status: 1, weekStart: -1 });
+
+// Virtual for the number of posts in the digest
+digestRunSchema.virtual('postsCount').get(function () {
+  return (this.categories || []).reduce((sum, group) => sum + group.posts.length, 0);
+});
+
+const DigestRun = mongoose.model('DigestRun', digestRunSchema);
+
+export default DigestRun;
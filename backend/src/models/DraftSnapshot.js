@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const SNAPSHOT_TTL = 30 * 24 * 60 * 60; // seconds an untouched snapshot is kept
+
+/**
+ * Autosaved editor state for a post
+ * Kept apart from BlogPost so autosaving never touches the saved or published
+ * content. There is one snapshot per user and post; `post` is null for a new
+ * post that has not been created yet.
+ */
+const draftSnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    default: null
+  },
+
+  // Editor fields
+  title: {
+    type: String,
+    default: ''
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  category: {
+    type: String,
+    default: ''
+  },
+  tags: [{
+    type: String
+  }],
+  featuredImage: {
+    type: String,
+    default: ''
+  },
+  metaDescription: {
+    type: String,
+    default: ''
+  },
+
+  // Browser/tab that saved the snapshot last
+  deviceId: {
+    type: String,
+    required: true
+  },
+  // Incremented on every save so a client can tell it is behind
+  version: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+draftSnapshotSchema.index({ user: 1, post: 1 }, { unique: true });
+draftSnapshotSchema.index({ post: 1 });
+draftSnapshotSchema.index({ updatedAt: 1 }, { expireAfterSeconds: SNAPSHOT_TTL });
+
+const DraftSnapshot = mongoose.model('DraftSnapshot', draftSnapshotSchema);
+
+export default DraftSnapshot;
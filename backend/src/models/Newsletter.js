@@ -1,10 +1,14 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 
 /**
  * Newsletter Subscriber Model
  * Stores email subscriptions for newsletter updates
  */
 
+export const NEWSLETTER_SOURCES = ['homepage', 'footer', 'popup', 'blog', 'other'];
+export const NEWSLETTER_PREFERENCES = ['newPosts', 'weeklyDigest', 'announcements', 'events'];
+
 const newsletterSchema = new mongoose.Schema(
   {
     email: {
@@ -34,7 +38,7 @@ const newsletterSchema = new mongoose.Schema(
     // Track subscription source
     source: {
       type: String,
-      enum: ['homepage', 'footer', 'popup', 'blog', 'other'],
+      enum: NEWSLETTER_SOURCES,
       default: 'homepage'
     },
     
@@ -68,6 +72,20 @@ newsletterSchema.statics.findActiveSubscribers = function () {
   return this.find({ isActive: true });
 };
 
+// Static method to build the query for a campaign audience: active
+// subscribers from any of the given sources who opted in to any of the given
+// kinds of email. An empty list means no restriction.
+newsletterSchema.statics.audienceQuery = function ({ sources = [], preferences = [] } = {}) {
+  const query = { isActive: true };
+  if (sources.length > 0) {
+    query.source = { $in: sources };
+  }
+  if (preferences.length > 0) {
+    query.$or = preferences.map((preference) => ({ [`preferences.${preference}`]: true }));
+  }
+  return query;
+};
+
 // Instance method to unsubscribe
 newsletterSchema.methods.unsubscribe = function () {
   this.isActive = false;
@@ -75,6 +93,22 @@ newsletterSchema.methods.unsubscribe = function () {
   return this.save();
 };
 
+// Instance method to make sure the subscriber has an unsubscribe token
+// (older subscribers were created without one)
+newsletterSchema.methods.ensureUnsubscribeToken = async function () {
+  if (!this.unsubscribeToken) {
+    this.unsubscribeToken = crypto.randomBytes(32).toString('hex');
+    await this.save();
+  }
+  return this.unsubscribeToken;
+};
+
+// Instance method to get the subscriber's one-click unsubscribe link
+newsletterSchema.methods.getUnsubscribeUrl = async function () {
+  const token = await this.ensureUnsubscribeToken();
+  return `${process.env.CLIENT_URL}/unsubscribe?token=${token}`;
+};
+
 // Instance method to resubscribe
 newsletterSchema.methods.resubscribe = function () {
   this.isActive = true;
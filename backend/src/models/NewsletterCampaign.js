@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import { NEWSLETTER_SOURCES, NEWSLETTER_PREFERENCES } from './Newsletter.js';
+
+/**
+ * Newsletter Campaign Model
+ * A one-off email composed by an admin and sent to a segment of subscribers.
+ *
+ * Lifecycle:
+ *   draft     - being written
+ *   tested    - a test email went out for the current content; required
+ *               before scheduling, and editing the content goes back to draft
+ *   scheduled - waiting for scheduledFor
+ *   sending   - deliveries queued and going out in batches
+ *   sent      - every delivery has a final status
+ */
+
+export const CAMPAIGN_STATUSES = ['draft', 'tested', 'scheduled', 'sending', 'sent'];
+
+const newsletterCampaignSchema = new mongoose.Schema(
+  {
+    // Internal name, never shown to subscribers
+    name: {
+      type: String,
+      required: [true, 'Campaign name is required'],
+      trim: true,
+      maxlength: [120, 'Name cannot exceed 120 characters']
+    },
+
+    subject: {
+      type: String,
+      required: [true, 'Subject is required'],
+      trim: true,
+      maxlength: [150, 'Subject cannot exceed 150 characters']
+    },
+
+    // Short line shown after the subject in most inboxes
+    previewText: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Preview text cannot exceed 200 characters']
+    },
+
+    // HTML body
+    content: {
+      type: String,
+      required: [true, 'Content is required']
+    },
+
+    // Who receives it; see Newsletter.audienceQuery
+    audience: {
+      sources: [{ type: String, enum: NEWSLETTER_SOURCES }],
+      preferences: [{ type: String, enum: NEWSLETTER_PREFERENCES }]
+    },
+
+    status: {
+      type: String,
+      enum: CAMPAIGN_STATUSES,
+      default: 'draft'
+    },
+
+    testSentAt: Date,
+    testRecipients: [String],
+
+    scheduledFor: Date,
+    scheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    startedAt: Date,
+    // Set once every subscriber in the audience has a delivery record
+    queuedAt: Date,
+    sentAt: Date,
+
+    // Delivery counts, filled in when the campaign finishes sending
+    stats: {
+      total: { type: Number, default: 0 },
+      sent: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      bounced: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 }
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+newsletterCampaignSchema.index({ status: 1, scheduledFor: 1 });
+newsletterCampaignSchema.index({ createdAt: -1 });
+
+// Instance method to check if the campaign can still be edited
+newsletterCampaignSchema.methods.isEditable = function () {
+  return this.status === 'draft' || this.status === 'tested';
+};
+
+const NewsletterCampaign = mongoose.model('NewsletterCampaign', newsletterCampaignSchema);
+
+export default NewsletterCampaign;
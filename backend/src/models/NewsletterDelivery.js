@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+
+/**
+ * Newsletter Delivery Model
+ * One email to one subscriber and what became of it.
+ *
+ * A delivery belongs to either a weekly digest run or a campaign. Deliveries
+ * are created as 'pending' before anything is sent, so a send that stops part
+ * way can pick up where it left off without emailing anyone twice.
+ *
+ * The queue helpers below take an owner filter - { digest: id } or
+ * { campaign: id } - so digests and campaigns share one delivery pipeline.
+ */
+
+export const DELIVERY_STATUSES = ['pending', 'sending', 'sent', 'failed', 'bounced', 'skipped'];
+
+const MAX_ATTEMPTS = 3; // sends tried before a delivery stays failed
+const RETRY_DELAY = 15 * 60 * 1000; // ms before a failed delivery is retried
+const STALE_SENDING = 10 * 60 * 1000; // ms before an unfinished send is retried
+const QUEUE_CHUNK = 500; // deliveries inserted at a time
+
+const newsletterDeliverySchema = new mongoose.Schema(
+  {
+    digest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DigestRun'
+    },
+
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NewsletterCampaign'
+    },
+
+    subscriber: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Newsletter',
+      required: true
+    },
+
+    // Address at the time the delivery was queued
+    email: {
+      type: String,
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'pending'
+    },
+
+    attempts: {
+      type: Number,
+      default: 0
+    },
+
+    lastAttemptAt: Date,
+
+    sentAt: Date,
+
+    // Last error from the mail server
+    error: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One delivery per subscriber per digest or campaign
+newsletterDeliverySchema.index(
+  { digest: 1, subscriber: 1 },
+  { unique: true, partialFilterExpression: { digest: { $exists: true } } }
+);
+newsletterDeliverySchema.index(
+  { campaign: 1, subscriber: 1 },
+  { unique: true, partialFilterExpression: { campaign: { $exists: true } } }
+);
+newsletterDeliverySchema.index({ digest: 1, status: 1 });
+newsletterDeliverySchema.index({ campaign: 1, status: 1 });
+
+// Static method to record a pending delivery for every matching subscriber.
+// Deliveries left by an earlier, interrupted attempt are kept as they are.
+newsletterDeliverySchema.statics.queue = async function (owner, subscriberQuery) {
+  const Newsletter = mongoose.model('Newsletter');
+  const subscribers = Newsletter.find(subscriberQuery).select('_id email').lean().cursor();
+
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    try {
+      await this.insertMany(batch, { ordered: false });
+    } catch (error) {
+      if (error.code !== 11000 && !error.writeErrors) throw error;
+    }
+    batch = [];
+  };
+
+  for await (const subscriber of subscribers) {
+    batch.push({ ...owner, subscriber: subscriber._id, email: subscriber.email });
+    if (batch.length >= QUEUE_CHUNK) await flush();
+  }
+  await flush();
+};
+
+// Static method to get the next deliveries to send: pending ones, failed ones
+// due a retry, and sends that never finished because the process died
+newsletterDeliverySchema.statics.findDue = async function (owner, limit) {
+  const now = Date.now();
+
+  await this.updateMany(
+    { ...owner, status: 'sending', lastAttemptAt: { $lt: new Date(now - STALE_SENDING) } },
+    { $set: { status: 'pending' } }
+  );
+
+  return this.find({
+    ...owner,
+    $or: [
+      { status: 'pending' },
+      {
+        status: 'failed',
+        attempts: { $lt: MAX_ATTEMPTS },
+        lastAttemptAt: { $lt: new Date(now - RETRY_DELAY) }
+      }
+    ]
+  })
+    .sort({ _id: 1 })
+    .limit(limit);
+};
+
+// Static method to count deliveries still waiting to be sent or retried
+newsletterDeliverySchema.statics.countRemaining = function (owner) {
+  return this.countDocuments({
+    ...owner,
+    $or: [
+      { status: { $in: ['pending', 'sending'] } },
+      { status: 'failed', attempts: { $lt: MAX_ATTEMPTS } }
+    ]
+  });
+};
+
+// Static method to claim a delivery before sending it, so two instances
+// never send the same email. Resolves to null if someone else got it first.
+newsletterDeliverySchema.statics.claim = function (delivery) {
+  return this.findOneAndUpdate(
+    { _id: delivery._id, status: delivery.status },
+    { $set: { status: 'sending', lastAttemptAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to count deliveries by status
+newsletterDeliverySchema.statics.summarize = async function (owner) {
+  const counts = await this.aggregate([
+    { $match: owner },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const stats = { total: 0, pending: 0, sent: 0, failed: 0, bounced: 0, skipped: 0 };
+  for (const { _id: status, count } of counts) {
+    stats.total += count;
+    // A send in progress still counts as waiting
+    const key = status === 'sending' ? 'pending' : status;
+    stats[key] += count;
+  }
+  return stats;
+};
+
+// Instance method to record the result of emailService.sendEmail
+newsletterDeliverySchema.methods.recordResult = function (result) {
+  if (result.success) {
+    this.status = 'sent';
+    this.sentAt = new Date();
+    this.error = undefined;
+  } else {
+    this.status = result.bounced ? 'bounced' : 'failed';
+    this.error = result.error;
+  }
+  return this.save();
+};
+
+const NewsletterDelivery = mongoose.model('NewsletterDelivery', newsletterDeliverySchema);
+
+export default NewsletterDelivery;
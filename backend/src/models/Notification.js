@@ -1,5 +1,64 @@
 import mongoose from 'mongoose';
 
+/**
+ * Notification categories users choose a channel for in their settings.
+ *
+ *   types            - notification types in the category
+ *   legacyPreference - older on/off preference used until a channel is chosen
+ *   required         - can't be switched off, only moved between in-app and email
+ *   staff            - only shown to moderators and admins
+ *
+ * post_published and system are used for more than one purpose, so callers
+ * that know better pass the category explicitly; the lists below give the
+ * default for a bare type.
+ */
+export const NOTIFICATION_CATEGORIES = {
+  likes: { types: ['like', 'dislike'], legacyPreference: 'likeNotifications' },
+  comments: { types: ['comment', 'reply'], legacyPreference: 'commentNotifications' },
+  mentions: { types: ['mention'], legacyPreference: 'mentionNotifications' },
+  follows: { types: ['follow'], legacyPreference: 'followNotifications' },
+  followedPosts: { types: ['post_published'] },
+  collaboration: {
+    types: [
+      'collaboration_invite',
+      'collaboration_accepted',
+      'collaboration_declined',
+      'collaboration_removed',
+      'collaboration_left',
+      'post_reviewed',
+      'review_requested'
+    ],
+    legacyPreference: 'collaborationNotifications'
+  },
+  myPosts: { types: ['post_approved', 'post_rejected'], required: true },
+  moderation: {
+    types: [
+      'pending_review',
+      'new_user',
+      'author_request',
+      'content_report',
+      'content_flagged',
+      'violation_alert',
+      'contact_message'
+    ],
+    staff: true
+  },
+  account: {
+    types: ['account_approved', 'account_rejected', 'author_approved', 'author_rejected', 'welcome', 'system'],
+    required: true
+  }
+};
+
+export const NOTIFICATION_CHANNELS = ['in_app', 'email', 'none'];
+
+/**
+ * Default category for a notification type
+ * @param {string} type - Notification type
+ * @returns {string} Category key
+ */
+export const categoryForType = (type) =>
+  Object.keys(NOTIFICATION_CATEGORIES).find(key => NOTIFICATION_CATEGORIES[key].types.includes(type)) || 'account';
+
 const notificationSchema = new mongoose.Schema({
   // Recipient of the notification
   recipient: {
@@ -29,11 +88,18 @@ const notificationSchema = new mongoose.Schema({
       'post_approved',    // Your post was approved
       'post_rejected',    // Your post was rejected
       'post_published',   // A followed author published a new post
+      'post_reviewed',    // A collaborator reviewed your post
+      'review_requested', // Asked to review a post you collaborate on
       'pending_review',   // New post needs moderator review
       'new_user',         // New user registration (for admins)
+      'author_request',   // User asked for author access (for admins)
       'account_approved', // User account approved
       'account_rejected', // User account rejected
+      'author_approved',  // Author application approved
+      'author_rejected',  // Author application rejected
       'content_report',   // Content reported (for moderators)
+      'content_flagged',  // Content flagged by automatic moderation
+      'violation_alert',  // Possible violation spotted while writing
       'contact_message',  // New contact form submission (for admins)
       'collaboration_invite',   // Invited to collaborate on a post
       'collaboration_accepted', // Collaboration invitation accepted
@@ -75,6 +141,24 @@ const notificationSchema = new mongoose.Schema({
     type: String
   },
   
+  // Repeated events of one kind on one thing (likes on a post, new
+  // followers, ...) share a notification while it is unread; see
+  // NotificationService.addToGroup
+  groupKey: {
+    type: String
+  },
+
+  // Everyone who triggered a grouped notification, most recent first
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  actorCount: {
+    type: Number,
+    default: 1
+  },
+
   // Read status
   read: {
     type: Boolean,
@@ -86,6 +170,17 @@ const notificationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  // When the email copy is due, for recipients who get this category by
+  // email; pushed back to the end of their quiet hours
+  emailScheduledFor: {
+    type: Date
+  },
+
+  emailAttempts: {
+    type: Number,
+    default: 0
+  },
   
   // Priority level
   priority: {
@@ -106,6 +201,8 @@ const notificationSchema = new mongoose.Schema({
 notificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
 notificationSchema.index({ recipient: 1, createdAt: -1 });
 notificationSchema.index({ createdAt: -1 });
+notificationSchema.index({ emailScheduledFor: 1 }, { sparse: true });
+notificationSchema.index({ recipient: 1, groupKey: 1, read: 1 }, { sparse: true });
 
 // Static method to create notification
 notificationSchema.statics.createNotification = async function(data) {
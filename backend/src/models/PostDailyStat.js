@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+/**
+ * Post Daily Stat Model
+ * Engagement on one post during one UTC day.
+ *
+ * BlogPost only keeps running totals; these rows are the history behind
+ * them, one per post per day that saw any activity. Author-level figures are
+ * the same rows grouped by author. See postAnalyticsService.
+ */
+
+export const REFERRER_SOURCES = ['direct', 'internal', 'search', 'social', 'email', 'other'];
+
+const postDailyStatSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BlogPost',
+      required: true
+    },
+
+    // Copied from the post so author totals don't need a join
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // Midnight UTC at the start of the day
+    day: {
+      type: Date,
+      required: true
+    },
+
+    // Every non-bot request for the post, repeats included
+    hits: { type: Number, default: 0 },
+    // Distinct readers within the view window
+    views: { type: Number, default: 0 },
+    // Views where the reader stayed long enough to read
+    qualifiedReads: { type: Number, default: 0 },
+    likes: { type: Number, default: 0 },
+    dislikes: { type: Number, default: 0 },
+    comments: { type: Number, default: 0 },
+
+    // Where the day's (distinct) views came from
+    referrers: Object.fromEntries(
+      REFERRER_SOURCES.map(source => [source, { type: Number, default: 0 }])
+    ),
+
+    // Read completion reported by readers, as a sum of percentages so
+    // averages over any range are readCompletionSum / reads
+    readCompletionSum: { type: Number, default: 0 },
+    reads: { type: Number, default: 0 }
+  },
+  {
+    timestamps: true
+  }
+);
+
+postDailyStatSchema.index({ post: 1, day: 1 }, { unique: true });
+postDailyStatSchema.index({ author: 1, day: 1 });
+
+const PostDailyStat = mongoose.model('PostDailyStat', postDailyStatSchema);
+
+export default PostDailyStat;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+/**
+ * Post View Model
+ * One reader's counted view of a post, kept for the length of the view
+ * window so repeat requests in that window aren't counted again.
+ *
+ * The reader is a user id for signed-in readers and a hashed fingerprint for
+ * everyone else. Rows are removed by a TTL index once they expire. See
+ * viewTrackingService.
+ */
+
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    required: true
+  },
+
+  // 'user:<id>' or 'anon:<fingerprint>'
+  viewer: {
+    type: String,
+    required: true
+  },
+
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // End of the view window
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Longest time on the page the reader has reported, in seconds
+  dwellSeconds: {
+    type: Number,
+    default: 0
+  },
+
+  // Reader stayed long enough for the view to count as a read
+  qualified: {
+    type: Boolean,
+    default: false
+  },
+
+  // Furthest read completion reported (percentage), null until reported
+  completion: {
+    type: Number,
+    default: null
+  }
+});
+
+postViewSchema.index({ post: 1, viewer: 1 }, { unique: true });
+postViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PostView = mongoose.model('PostView', postViewSchema);
+
+export default PostView;
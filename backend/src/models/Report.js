@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+
+export const REPORT_TARGET_TYPES = ['post', 'comment', 'user'];
+export const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'misinformation',
+  'plagiarism',
+  'inappropriate',
+  'other'
+];
+export const REPORT_STATUSES = ['open', 'triaged', 'actioned', 'dismissed'];
+// Statuses of a case that is still being worked on; new reports join it
+export const ACTIVE_REPORT_STATUSES = ['open', 'triaged'];
+
+const TARGET_MODELS = {
+  post: 'BlogPost',
+  comment: 'Comment',
+  user: 'User'
+};
+
+/**
+ * A moderation case for a reported post, comment or user
+ * Repeated reports on the same target are folded into the active case for
+ * that target: each reporter is listed once in `reporters` and `reportCount`
+ * goes up. Once a case is actioned or dismissed, a new report opens a new case.
+ * A unique index on active cases keeps two first reports sent at the same
+ * time from opening two cases.
+ */
+const reporterSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reasonCategory: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters'],
+    default: ''
+  },
+  reportedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const reportSchema = new mongoose.Schema({
+  // What was reported
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true
+  },
+  targetModel: {
+    type: String,
+    enum: Object.values(TARGET_MODELS),
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    required: true
+  },
+  // Owner of the reported content (the user themselves for a user report)
+  targetAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Title, comment text or name as it was when first reported
+  targetSummary: {
+    type: String,
+    default: ''
+  },
+  // Post a reported comment belongs to, for linking
+  targetPost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost'
+  },
+
+  // Reason given by the first reporter
+  reasonCategory: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  reporters: [reporterSchema],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'low'
+  },
+  // Automated moderation flags found in the reported content, if any
+  flags: [{
+    type: mongoose.Schema.Types.Mixed
+  }],
+
+  // Case handling
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  // Whether status is one of ACTIVE_REPORT_STATUSES, kept in step by the
+  // hooks below so the unique index can cover active cases only
+  active: {
+    type: Boolean,
+    default: true
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  claimedAt: Date,
+  resolutionNotes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Resolution notes cannot exceed 2000 characters'],
+    default: ''
+  },
+  // What the moderator did about it, e.g. 'content_removed'
+  actionTaken: {
+    type: String,
+    default: ''
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index(
+  { targetType: 1, target: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+reportSchema.index({ status: 1, severity: 1, updatedAt: -1 });
+reportSchema.index({ assignee: 1, status: 1 });
+
+reportSchema.pre('save', function (next) {
+  this.active = ACTIVE_REPORT_STATUSES.includes(this.status);
+  next();
+});
+
+reportSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function (next) {
+  const status = this.getUpdate()?.$set?.status;
+  if (status) {
+    this.set('active', ACTIVE_REPORT_STATUSES.includes(status));
+  }
+  next();
+});
+
+reportSchema.virtual('isActive').get(function () {
+  return ACTIVE_REPORT_STATUSES.includes(this.status);
+});
+
+/**
+ * Mongoose model name for a target type
+ */
+reportSchema.statics.modelFor = function (targetType) {
+  return TARGET_MODELS[targetType];
+};
+
+/**
+ * Check whether a user has already reported this case
+ */
+reportSchema.methods.hasReporter = function (userId) {
+  return this.reporters.some(r => r.user.toString() === userId.toString());
+};
+
+/**
+ * Assign the case to a moderator and mark it triaged
+ */
+reportSchema.methods.claim = function (userId) {
+  this.assignee = userId;
+  this.claimedAt = new Date();
+  if (this.status === 'open') {
+    this.status = 'triaged';
+  }
+  return this.save();
+};
+
+/**
+ * Close the case as actioned or dismissed
+ */
+reportSchema.methods.resolve = function (userId, { status, resolutionNotes = '', actionTaken = '' }) {
+  this.status = status;
+  this.resolutionNotes = resolutionNotes;
+  this.actionTaken = status === 'actioned' ? actionTaken : '';
+  this.resolvedBy = userId;
+  this.resolvedAt = new Date();
+  if (!this.assignee) {
+    this.assignee = userId;
+  }
+  return this.save();
+};
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
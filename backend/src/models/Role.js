@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+
+/**
+ * Permission catalog. Routes ask for one of these by name through
+ * requirePermission; roles are sets of them.
+ *
+ *   group  - heading the permission is listed under in the admin panel
+ *   label  - what it allows, as shown in the admin panel
+ *   scoped - limited to the role's categories when the role has any
+ *            (see permissionService); other permissions always apply
+ *            site-wide
+ */
+export const PERMISSIONS = {
+  'post.create': { group: 'posts', label: 'Write posts' },
+  'post.edit.any': { group: 'posts', label: 'Edit anyone\'s posts', scoped: true },
+  'post.delete.any': { group: 'posts', label: 'Delete anyone\'s posts', scoped: true },
+  'post.approve': { group: 'posts', label: 'Approve, reject and schedule posts', scoped: true },
+  'comment.hide': { group: 'comments', label: 'Hide and unhide comments', scoped: true },
+  'comment.delete.any': { group: 'comments', label: 'Delete anyone\'s comments', scoped: true },
+  'report.manage': { group: 'comments', label: 'Review and resolve reports' },
+  'report.reassign': { group: 'comments', label: 'Take over reports claimed by someone else' },
+  'user.view': { group: 'users', label: 'View users' },
+  'user.approve': { group: 'users', label: 'Approve registrations, author requests and verifications' },
+  'user.suspend': { group: 'users', label: 'Suspend, reactivate and unlock accounts' },
+  'user.delete': { group: 'users', label: 'Delete users' },
+  'user.roles': { group: 'users', label: 'Assign roles to users' },
+  'role.manage': { group: 'users', label: 'Create and edit roles' },
+  'document.manage': { group: 'users', label: 'View and delete verification documents' },
+  'analytics.own': { group: 'analytics', label: 'Analytics for own posts' },
+  'analytics.content': { group: 'analytics', label: 'Post trends and category statistics' },
+  'analytics.site': { group: 'analytics', label: 'Site-wide analytics and scheduled reports' },
+  'settings.read': { group: 'system', label: 'View system settings' },
+  'settings.write': { group: 'system', label: 'Change system settings' },
+  'audit.view': { group: 'system', label: 'View audit logs' },
+  'notification.broadcast': { group: 'system', label: 'Send notifications to users' },
+  'newsletter.manage': { group: 'site', label: 'Manage newsletter subscribers and campaigns' },
+  'contact.manage': { group: 'site', label: 'Read and answer contact messages' },
+  'program.manage': { group: 'site', label: 'Manage academic programs' },
+  'terms.manage': { group: 'site', label: 'Publish terms and policies' }
+};
+
+export const PERMISSION_GROUPS = {
+  posts: 'Posts',
+  comments: 'Comments & Reports',
+  users: 'Users',
+  analytics: 'Analytics',
+  system: 'System',
+  site: 'Site Content'
+};
+
+/**
+ * Roles every installation has. Their permissions can be changed, except
+ * admin's, which always has all of them; they can't be renamed or deleted.
+ */
+export const BUILT_IN_ROLES = [
+  {
+    name: 'admin',
+    displayName: 'Administrator',
+    description: 'Full system access with all permissions',
+    color: '#EF4444',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  {
+    name: 'moderator',
+    displayName: 'Moderator',
+    description: 'Reviews posts, comments and reports',
+    color: '#8B5CF6',
+    permissions: [
+      'post.create',
+      'post.delete.any',
+      'post.approve',
+      'comment.hide',
+      'comment.delete.any',
+      'report.manage',
+      'analytics.own',
+      'analytics.content'
+    ]
+  },
+  {
+    name: 'author',
+    displayName: 'Author',
+    description: 'Writes and manages their own posts',
+    color: '#3B82F6',
+    permissions: ['post.create', 'analytics.own']
+  },
+  {
+    name: 'reader',
+    displayName: 'Reader',
+    description: 'Reads, likes and comments on posts',
+    color: '#10B981',
+    permissions: []
+  }
+];
+
+const roleSchema = new mongoose.Schema({
+  // Stored in User.roles
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role name must be 2-30 lowercase letters, numbers or dashes']
+  },
+
+  displayName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color such as #6B7280'],
+    default: '#6B7280'
+  },
+
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (permissions) => permissions.every(permission => PERMISSIONS[permission]),
+      message: 'Unknown permission'
+    }
+  },
+
+  // Post categories the role's scoped permissions are limited to; empty
+  // means every category
+  categories: {
+    type: [String],
+    default: []
+  },
+
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
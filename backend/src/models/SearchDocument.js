@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * Search index entry for a blog post
+ * Kept in sync with BlogPost by the post middleware (see services/searchService.js).
+ * Holds the weighted, stemmed terms used for ranking plus the plain text
+ * needed to build highlighted snippets and the fields used for facets.
+ */
+const searchDocumentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    required: true,
+    unique: true
+  },
+
+  // Facet / filter fields copied from the post
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String
+  },
+  category: {
+    type: String
+  },
+  tags: [{
+    type: String
+  }],
+  publishedAt: Date,
+  postCreatedAt: Date,
+
+  // Plain text for highlighting
+  title: {
+    type: String,
+    default: ''
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+
+  // Stemmed terms with their field-weighted frequency
+  terms: [{
+    _id: false,
+    term: String,
+    weight: Number
+  }],
+
+  // Sum of all term weights (document length for ranking)
+  length: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+searchDocumentSchema.index({ 'terms.term': 1 });
+searchDocumentSchema.index({ status: 1 });
+searchDocumentSchema.index({ author: 1 });
+
+const SearchDocument = mongoose.model('SearchDocument', searchDocumentSchema);
+
+export default SearchDocument;
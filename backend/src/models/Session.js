@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+/**
+ * Session Model
+ * One signed-in device. The device holds a refresh token; only its SHA-256
+ * hash is stored here, and it is replaced every time the token is used.
+ *
+ * A session is a token family: every token it ever issued belongs to it, so
+ * when an already-replaced token comes back (a sign it was stolen) the whole
+ * session is revoked. Revoked sessions are kept until they would have
+ * expired so a late reuse is still recognised, then removed by a TTL index.
+ * See sessionService.
+ */
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Hash of the refresh token the device currently holds
+  tokenHash: {
+    type: String,
+    required: true
+  },
+
+  // Hash of the token it replaced, accepted briefly for concurrent refreshes
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+
+  device: {
+    userAgent: { type: String, default: '' },
+    browser: { type: String, default: 'Unknown browser' },
+    os: { type: String, default: 'Unknown OS' }
+  },
+
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+
+  // Last request or refresh; the session ends once it has gone unused for
+  // the session timeout in the site settings
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // 'logout', 'revoked', 'revoked_all', 'password_changed', 'token_reuse'
+  // or 'idle_timeout'
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -114,9 +114,15 @@ const settingsSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Let users turn on two-factor authentication for their account
     enableTwoFactor: {
       type: Boolean,
       default: false
+    },
+    // Roles that must use two-factor authentication to sign in
+    requireTwoFactorRoles: {
+      type: [{ type: String, enum: ['admin', 'moderator'] }],
+      default: []
     }
   },
   
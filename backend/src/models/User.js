@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { NOTIFICATION_CATEGORIES, NOTIFICATION_CHANNELS } from './Notification.js';
 
 /**
  * User Model - Clean Version
@@ -7,6 +8,9 @@ import bcrypt from 'bcryptjs';
  * Business logic moved to middleware and controllers
  */
 
+// Paths under /api/users that a username would otherwise shadow
+export const RESERVED_USERNAMES = ['profile', 'posts', 'activity', 'preferences', 'dashboard-stats', 'mentions'];
+
 const userSchema = new mongoose.Schema(
   {
     // Username is optional - can be added later when editing profile
@@ -18,7 +22,11 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       minlength: [3, 'Username must be at least 3 characters'],
       maxlength: [30, 'Username cannot exceed 30 characters'],
-      match: [/^[a-zA-Z0-9_-]+$/, 'Username can only contain letters, numbers, underscores, and hyphens']
+      match: [/^[a-zA-Z0-9_-]+$/, 'Username can only contain letters, numbers, underscores, and hyphens'],
+      validate: {
+        validator: (value) => !RESERVED_USERNAMES.includes(value),
+        message: 'This username is reserved'
+      }
     },
 
     email: {
@@ -145,6 +153,29 @@ const userSchema = new mongoose.Schema(
         likeNotifications: { type: Boolean, default: true },
         followNotifications: { type: Boolean, default: true },
         collaborationNotifications: { type: Boolean, default: true },
+        mentionNotifications: { type: Boolean, default: true },
+
+        // Channel per notification category: 'in_app', 'email' (in-app and
+        // email) or 'none'. Unset categories follow the older on/off flags
+        // above; see notificationPolicyService.
+        notificationChannels: Object.fromEntries(
+          Object.keys(NOTIFICATION_CATEGORIES).map(key => [key, { type: String, enum: NOTIFICATION_CHANNELS }])
+        ),
+
+        // No live alerts during these hours in the user's timezone; emails
+        // wait until they end
+        quietHours: {
+          enabled: { type: Boolean, default: false },
+          start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: '22:00' },
+          end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: '07:00' }
+        },
+
+        // Email roundup of unread notifications
+        notificationSummary: { type: String, enum: ['off', 'hourly', 'daily'], default: 'off' },
+
+        // Posts and people the user no longer wants to hear about
+        mutedPosts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'BlogPost' }],
+        mutedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
 
         // Writing preferences
         defaultPostStatus: { type: String, enum: ['draft', 'pending', 'published'], default: 'draft' },
@@ -168,6 +199,7 @@ const userSchema = new mongoose.Schema(
         likeNotifications: true,
         followNotifications: true,
         collaborationNotifications: true,
+        mentionNotifications: true,
         defaultPostStatus: 'draft',
         autoSave: true,
         editorTheme: 'light',
@@ -178,11 +210,32 @@ const userSchema = new mongoose.Schema(
       })
     },
 
+    // Last notification summary email, see notificationSummaryService
+    notificationSummarySentAt: Date,
+
     // Security fields (old schema)
     lastLogin: Date,
     passwordChangedAt: Date,
     loginAttempts: { type: Number, default: 0 },
     lockUntil: Date,
+    // Failed sign-in lockout, see accountLockService
+    lastFailedLoginAt: Date,
+    // SHA-256 hash of the token in the "account locked" email's unlock link
+    unlockToken: { type: String, select: false },
+    unlockTokenExpires: { type: Date, select: false },
+
+    // TOTP two-factor authentication, see twoFactorService
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: Date,
+      secret: { type: String, select: false },
+      // Secret shown during setup, until a code from it is confirmed
+      pendingSecret: { type: String, select: false },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: { type: [String], select: false },
+      // Time step of the last accepted code, so a code works only once
+      lastUsedStep: { type: Number, select: false }
+    },
 
     role: {
       type: String,
@@ -3,6 +3,9 @@
  * Methods available on individual blog post documents
  */
 
+import { diffWords } from '../../utils/wordDiff.js';
+import { htmlToText } from '../../utils/helpers.js';
+
 export const addInstanceMethods = (schema) => {
   // ==================== ENGAGEMENT METHODS ====================
 
@@ -112,10 +115,72 @@ export const addInstanceMethods = (schema) => {
   /**
    * Check if a user can edit this post
    * @param {ObjectId} userId - User ID to check
-   * @returns {boolean} True if user is the author
+   * @returns {boolean} True if user is the author or a co-author with the editor role
    */
   schema.methods.canEdit = function(userId) {
-    return this.author.toString() === userId.toString();
+    const authorId = this.author._id || this.author;
+    if (authorId.toString() === userId.toString()) return true;
+
+    return (this.coAuthors || []).some(ca => {
+      const coAuthorId = ca.user?._id || ca.user;
+      return coAuthorId?.toString() === userId.toString() && ca.role === 'editor';
+    });
+  };
+
+  /**
+   * Check if a user can browse this post's revision history
+   * @param {ObjectId} userId - User ID to check
+   * @returns {boolean} True if user is the author or any co-author
+   */
+  schema.methods.canViewHistory = function(userId) {
+    const authorId = this.author._id || this.author;
+    if (authorId.toString() === userId.toString()) return true;
+
+    return (this.coAuthors || []).some(ca => {
+      const coAuthorId = ca.user?._id || ca.user;
+      return coAuthorId?.toString() === userId.toString();
+    });
+  };
+
+  // ==================== REVISION METHODS ====================
+
+  /**
+   * Record a revision snapshot of the current title and content
+   * The first revision also stores the version it replaced so it can be diffed and restored.
+   * Words added and removed against the previous revision are counted here,
+   * once, so the history list doesn't have to diff every revision.
+   * Does not save the document.
+   * @param {ObjectId} userId - User who made the change
+   * @param {string} changeNote - Description of the change
+   * @param {Object} previous - { title, content } before the change
+   * @param {ObjectId} restoredFrom - Revision this change restored, if any
+   */
+  schema.methods.recordRevision = function(userId, changeNote, previous, restoredFrom = null) {
+    if (!this.revisions) this.revisions = [];
+
+    if (this.revisions.length === 0 && previous) {
+      this.revisions.push({
+        title: previous.title,
+        content: previous.content,
+        editedBy: this.author._id || this.author,
+        editedAt: this.updatedAt || this.createdAt || new Date(),
+        changeNote: 'Earlier version'
+      });
+    }
+
+    const last = this.revisions[this.revisions.length - 1];
+    const stats = last
+      ? diffWords(htmlToText(last.content || ''), htmlToText(this.content || '')).stats
+      : undefined;
+
+    this.revisions.push({
+      title: this.title,
+      content: this.content,
+      editedBy: userId,
+      changeNote,
+      stats,
+      ...(restoredFrom && { restoredFrom })
+    });
   };
 
   // ==================== STATUS METHODS ====================
@@ -165,6 +230,31 @@ export const addInstanceMethods = (schema) => {
     return this.save();
   };
 
+  /**
+   * Approve the post for publication at a later time
+   * The publishing scheduler picks it up once scheduledFor has passed.
+   * @param {Date} scheduledFor - When to publish
+   * @param {ObjectId} userId - User who set the schedule
+   * @returns {Promise<BlogPost>} Updated blog post document
+   */
+  schema.methods.schedule = function(scheduledFor, userId) {
+    this.status = 'approved';
+    this.scheduledFor = scheduledFor;
+    this.scheduledBy = userId;
+    return this.save();
+  };
+
+  /**
+   * Cancel a scheduled publication and send the post back to review
+   * @returns {Promise<BlogPost>} Updated blog post document
+   */
+  schema.methods.cancelSchedule = function() {
+    this.status = 'pending';
+    this.scheduledFor = undefined;
+    this.scheduledBy = undefined;
+    return this.save();
+  };
+
   /**
    * Reject the post (for moderators)
    * @param {ObjectId} moderatorId - Moderator user ID
@@ -189,6 +279,14 @@ export const addInstanceMethods = (schema) => {
     return this.status === 'published';
   };
 
+  /**
+   * Check if post is approved and waiting for its scheduled time
+   * @returns {boolean} True if post is scheduled
+   */
+  schema.methods.isScheduled = function() {
+    return this.status === 'approved' && !!this.scheduledFor;
+  };
+
   /**
    * Check if post is draft
    * @returns {boolean} True if post is draft
@@ -3,6 +3,13 @@
  * Pre and post hooks for various operations
  */
 
+import searchService from '../../services/searchService.js';
+import mentionService from '../../services/mentionService.js';
+import relatedPostsService from '../../services/relatedPostsService.js';
+
+const SEARCHABLE_FIELDS = ['title', 'content', 'tags', 'category', 'status', 'author', 'publishedAt'];
+const RELATED_FIELDS = [...SEARCHABLE_FIELDS, 'coAuthors'];
+
 export const addMiddleware = (schema) => {
   // ==================== PRE SAVE HOOKS ====================
 
@@ -56,7 +63,8 @@ export const addMiddleware = (schema) => {
 
     const validTransitions = {
       'draft': ['pending', 'archived'],
-      'pending': ['published', 'rejected', 'draft'],
+      'pending': ['published', 'approved', 'rejected', 'draft'],
+      'approved': ['published', 'pending', 'rejected', 'draft'],
       'published': ['archived'],
       'rejected': ['draft', 'pending'],
       'archived': ['draft']
@@ -95,6 +103,74 @@ export const addMiddleware = (schema) => {
     }
   });
 
+  /**
+   * Pre-save hook to note whether the search index needs refreshing
+   */
+  schema.pre('save', function(next) {
+    this.$locals.reindex = this.isNew || this.isModified(SEARCHABLE_FIELDS);
+    next();
+  });
+
+  /**
+   * Post-save hook to keep the search index in sync
+   */
+  schema.post('save', function(doc) {
+    if (!doc.$locals.reindex) return;
+
+    searchService.indexPost(doc).catch(error => {
+      console.error(`Failed to index post ${doc._id} for search:`, error.message);
+    });
+  });
+
+  /**
+   * Post-init hook to remember whether the loaded post was published
+   */
+  schema.post('init', function(doc) {
+    doc.$locals.wasPublished = doc.status === 'published';
+  });
+
+  /**
+   * Pre-save hook to note whether cached related posts are out of date
+   * Only published posts appear in related posts, so changes to a post that
+   * neither was nor is published can't affect them.
+   */
+  schema.pre('save', function(next) {
+    const published = this.status === 'published' || this.$locals.wasPublished;
+    this.$locals.refreshRelated = published && (this.isNew || this.isModified(RELATED_FIELDS));
+    this.$locals.wasPublished = this.status === 'published';
+    next();
+  });
+
+  /**
+   * Post-save hook to drop related posts computed from the old version
+   */
+  schema.post('save', function(doc) {
+    if (!doc.$locals.refreshRelated) return;
+
+    relatedPostsService.invalidate().catch(error => {
+      console.error(`Failed to clear related posts after saving ${doc._id}:`, error.message);
+    });
+  });
+
+  /**
+   * Pre-save hook to note whether mentions need checking
+   */
+  schema.pre('save', function(next) {
+    this.$locals.checkMentions = this.isNew || this.isModified(['content', 'status']);
+    next();
+  });
+
+  /**
+   * Post-save hook to notify users @mentioned in a published post
+   */
+  schema.post('save', function(doc) {
+    if (!doc.$locals.checkMentions) return;
+
+    mentionService.processPostMentions(doc).catch(error => {
+      console.error(`Failed to process mentions in post ${doc._id}:`, error.message);
+    });
+  });
+
   // ==================== PRE REMOVE HOOKS ====================
 
   /**
@@ -119,12 +195,28 @@ export const addMiddleware = (schema) => {
       // Remove all comments associated with this post
       await this.model('Comment').deleteMany({ post: this._id });
       console.log(`🗑️  Removed comments for post: ${this.title}`);
+      // Autosaved editor snapshots are of no use once the post is gone
+      await this.model('DraftSnapshot').deleteMany({ post: this._id });
       next();
     } catch (error) {
       next(error);
     }
   });
 
+  /**
+   * Post-deleteOne hook to drop the post from the search index
+   */
+  schema.post('deleteOne', { document: true, query: false }, function(doc) {
+    searchService.removePost(doc._id).catch(error => {
+      console.error(`Failed to remove post ${doc._id} from search:`, error.message);
+    });
+    if (doc.status !== 'published') return;
+
+    relatedPostsService.invalidate().catch(error => {
+      console.error(`Failed to clear related posts after deleting ${doc._id}:`, error.message);
+    });
+  });
+
   // ==================== PRE FIND HOOKS ====================
 
   /**
@@ -139,7 +231,7 @@ export const addMiddleware = (schema) => {
     // Only populate if not already specified
     this.populate({
       path: 'author',
-      select: 'firstName lastName email profile'
+      select: 'firstName lastName username email profile'
     });
     next();
   });
@@ -56,6 +56,14 @@ export const addQueryHelpers = (schema) => {
     return this.sort({ likesCount: -1, views: -1 });
   };
 
+  /**
+   * Sort by trending score (see trendingService)
+   * @param {string} [window] - 'day', 'week' or 'month'
+   */
+  schema.query.trending = function(window = 'week') {
+    return this.sort({ [`trending.${window}`]: -1, publishedAt: -1 });
+  };
+
   /**
    * Sort by most recent
    */
@@ -101,9 +101,27 @@ export const blogPostSchemaFields = {
       type: Date,
       default: Date.now
     },
-    changeNote: String
+    changeNote: String,
+    // Set when this revision was created by restoring an earlier one
+    restoredFrom: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // Words added and removed against the previous revision
+    stats: {
+      type: { added: Number, removed: Number, _id: false },
+      default: undefined
+    }
   }],
 
+  /**
+   * Version of the live co-editing document last written to `content`
+   * Incremented by the collaborative editing service on every merged operation
+   */
+  collabVersion: {
+    type: Number,
+    default: 0
+  },
+
   // ==================== CATEGORIZATION ====================
   /**
    * Blog Post Categories - University-focused topics
@@ -244,6 +262,17 @@ export const blogPostSchemaFields = {
   // ==================== PUBLISHING ====================
   publishedAt: Date,
 
+  /**
+   * When the post should go live
+   * Authors may request a time while the post is pending; once approved the
+   * post waits in 'approved' until the scheduler publishes it.
+   */
+  scheduledFor: Date,
+  scheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
   // ==================== SEO AND VISIBILITY ====================
   slug: {
     type: String,
@@ -257,11 +286,24 @@ export const blogPostSchemaFields = {
   },
 
   // ==================== ENGAGEMENT METRICS ====================
+  // Distinct readers per view window (see viewTrackingService)
   views: {
     type: Number,
     default: 0
   },
 
+  // Every non-bot request, repeats included
+  hits: {
+    type: Number,
+    default: 0
+  },
+
+  // Views where the reader stayed on the post long enough to read it
+  qualifiedReads: {
+    type: Number,
+    default: 0
+  },
+
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -282,11 +324,32 @@ export const blogPostSchemaFields = {
     default: 0
   },
 
+  // All visible comments including replies
   commentsCount: {
     type: Number,
     default: 0
   },
 
+  // Visible comments that are not replies
+  topLevelCommentsCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Recent engagement decayed by age, per window (see trendingService)
+  trending: {
+    day: { type: Number, default: 0 },
+    week: { type: Number, default: 0 },
+    month: { type: Number, default: 0 },
+    updatedAt: Date
+  },
+
+  // Users already notified of being @mentioned in the post
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
   // ==================== TIMESTAMPS ====================
   createdAt: {
     type: Date,
@@ -330,5 +393,9 @@ export const schemaIndexes = [
   { fields: { moderatedBy: 1, moderatedAt: -1 } }, // For moderator performance
   { fields: { publishedAt: -1, status: 1 } }, // For engagement trends
   { fields: { category: 1, status: 1, publishedAt: -1 } }, // For category stats
-  { fields: { createdAt: -1 } } // For general time-based queries
+  { fields: { createdAt: -1 } }, // For general time-based queries
+  { fields: { status: 1, scheduledFor: 1 } }, // For the publishing scheduler
+  { fields: { status: 1, 'trending.day': -1 } }, // For trending posts and tags
+  { fields: { status: 1, 'trending.week': -1 } },
+  { fields: { status: 1, 'trending.month': -1 } }
 ];
@@ -129,19 +129,17 @@ export const addStaticMethods = (schema) => {
   };
 
   /**
-   * Get trending posts (most viewed in last 7 days)
+   * Get trending posts (highest trending score, see trendingService)
    * @param {number} limit - Maximum number of posts to return
+   * @param {string} [window] - 'day', 'week' or 'month'
    * @returns {Promise<BlogPost[]>} Array of trending blog posts
    */
-  schema.statics.findTrending = function(limit = 10) {
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
+  schema.statics.findTrending = function(limit = 10, window = 'week') {
     return this.find({
       status: 'published',
-      publishedAt: { $gte: sevenDaysAgo }
+      [`trending.${window}`]: { $gt: 0 }
     })
-      .sort({ views: -1, likesCount: -1 })
+      .trending(window)
       .limit(limit);
   };
 };
@@ -8,6 +8,7 @@ import {
   updateUserRoles,
   suspendUser,
   activateUser,
+  unlockUser,
   getUserDetails,
   bulkApproveUsers,
   deleteUser,
@@ -21,44 +22,56 @@ import {
   approveAuthor,
   rejectAuthor
 } from '../controllers/adminAuthorController.js';
+import {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controllers/roleController.js';
 import {
   validateUserApproval,
   validateIdParam,
   validatePagination,
   handleValidationErrors
 } from '../middleware/validationMiddleware.js';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// All routes protected and require admin role
+// All routes need a signed-in user; each needs its own permission
 router.use(protect);
-router.use(authorize('admin'));
 
 // User management routes
-router.get('/pending-users', validatePagination, handleValidationErrors, getPendingUsers);
-router.get('/users', validatePagination, handleValidationErrors, getAllUsers);
-router.get('/stats', getUserStats);
-router.get('/users/:id', validateIdParam, handleValidationErrors, getUserDetails);
-router.put('/users/:id/approve', validateIdParam, validateUserApproval, handleValidationErrors, approveUser);
-router.put('/users/:id/reject', validateIdParam, handleValidationErrors, rejectUser);
-router.put('/users/:id/roles', validateIdParam, validateUserApproval, handleValidationErrors, updateUserRoles);
-router.put('/users/:id/suspend', validateIdParam, handleValidationErrors, suspendUser);
-router.put('/users/:id/activate', validateIdParam, handleValidationErrors, activateUser);
-router.delete('/users/:id', validateIdParam, handleValidationErrors, deleteUser);
-router.post('/users/bulk-approve', bulkApproveUsers);
+router.get('/pending-users', requirePermission('user.approve'), validatePagination, handleValidationErrors, getPendingUsers);
+router.get('/users', requirePermission('user.view'), validatePagination, handleValidationErrors, getAllUsers);
+router.get('/stats', requirePermission('user.view'), getUserStats);
+router.get('/users/:id', requirePermission('user.view'), validateIdParam, handleValidationErrors, getUserDetails);
+router.put('/users/:id/approve', requirePermission('user.approve'), validateIdParam, validateUserApproval, handleValidationErrors, approveUser);
+router.put('/users/:id/reject', requirePermission('user.approve'), validateIdParam, handleValidationErrors, rejectUser);
+router.put('/users/:id/roles', requirePermission('user.roles'), validateIdParam, validateUserApproval, handleValidationErrors, updateUserRoles);
+router.put('/users/:id/suspend', requirePermission('user.suspend'), validateIdParam, handleValidationErrors, suspendUser);
+router.put('/users/:id/activate', requirePermission('user.suspend'), validateIdParam, handleValidationErrors, activateUser);
+router.put('/users/:id/unlock', requirePermission('user.suspend'), validateIdParam, handleValidationErrors, unlockUser);
+router.delete('/users/:id', requirePermission('user.delete'), validateIdParam, handleValidationErrors, deleteUser);
+router.post('/users/bulk-approve', requirePermission('user.approve'), bulkApproveUsers);
 
 // Author Application Routes
-router.get('/pending-authors', getPendingAuthors);
-router.put('/authors/:id/approve', validateIdParam, handleValidationErrors, approveAuthor);
-router.put('/authors/:id/reject', validateIdParam, handleValidationErrors, rejectAuthor);
+router.get('/pending-authors', requirePermission('user.approve'), getPendingAuthors);
+router.put('/authors/:id/approve', requirePermission('user.approve'), validateIdParam, handleValidationErrors, approveAuthor);
+router.put('/authors/:id/reject', requirePermission('user.approve'), validateIdParam, handleValidationErrors, rejectAuthor);
+
+// Role routes
+router.get('/roles', requirePermission('role.manage', 'user.roles'), getRoles);
+router.post('/roles', requirePermission('role.manage'), createRole);
+router.put('/roles/:id', requirePermission('role.manage'), updateRole);
+router.delete('/roles/:id', requirePermission('role.manage'), deleteRole);
 
 // Audit log routes
-router.get('/audit-logs', validatePagination, handleValidationErrors, getAuditLogs);
-router.get('/audit-logs/stats', getAuditLogStats);
+router.get('/audit-logs', requirePermission('audit.view'), validatePagination, handleValidationErrors, getAuditLogs);
+router.get('/audit-logs/stats', requirePermission('audit.view'), getAuditLogStats);
 
 // System settings routes
-router.get('/settings', getSystemSettings);
-router.put('/settings', updateSystemSettings);
+router.get('/settings', requirePermission('settings.read'), getSystemSettings);
+router.put('/settings', requirePermission('settings.write'), updateSystemSettings);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -11,11 +11,13 @@
  */
 
 import express from 'express';
-import { protect, authorize } from '../middleware/authMiddleware.js';
-import { advancedAILimiter, aiFeatureLimiter } from '../middleware/rateLimitMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { advancedAILimiter, aiFeatureLimiter, reportLimiter } from '../middleware/rateLimitMiddleware.js';
 import aiService from '../services/aiService.js';
 import contentModerationService from '../services/contentModerationService.js';
 import violationDetectionService from '../services/violationDetectionService.js';
+import reportService from '../services/reportService.js';
+import permissionService from '../services/permissionService.js';
 import AuditLogService from '../services/auditLogService.js';
 
 const router = express.Router();
@@ -96,14 +98,8 @@ router.post('/check-violations', protect, aiFeatureLimiter, advancedAILimiter, a
     if (notifyModerators && violationReport.hasViolations &&
       (violationReport.severity === 'high' || violationReport.severity === 'critical')) {
       try {
-        // Import User model to get moderator IDs
-        const User = (await import('../models/User.js')).default;
-        const moderators = await User.find({
-          roles: { $in: ['moderator', 'admin'] },
-          status: 'active'
-        }).select('_id');
-
-        const moderatorIds = moderators.map(m => m._id);
+        // Not yet in a category, so only those who review every category
+        const moderatorIds = await permissionService.usersWith('post.approve');
 
         if (moderatorIds.length > 0) {
           const NotificationService = (await import('../services/notificationService.js')).default;
@@ -309,10 +305,12 @@ router.post('/spam-check', protect, aiFeatureLimiter, advancedAILimiter, async (
  * @route   POST /api/ai/report
  * @desc    Report inappropriate content to moderators
  * @access  Private
+ * Files the report as a moderation case (see POST /api/reports); the reason
+ * is screened first so the case starts at the right severity.
  */
-router.post('/report', protect, async (req, res) => {
+router.post('/report', protect, reportLimiter, async (req, res) => {
   try {
-    const { postId, postTitle, authorId, reason } = req.body;
+    const { postId, postTitle, reason, reasonCategory = 'other' } = req.body;
 
     if (!postId || !reason) {
       return res.status(400).json({
@@ -324,23 +322,32 @@ router.post('/report', protect, async (req, res) => {
     // First, analyze the content
     const moderationResult = await contentModerationService.moderateContent(reason, postTitle || '');
 
-    // Report to moderators
-    const reportResult = await contentModerationService.reportToModerators({
-      postId,
-      postTitle: postTitle || 'Unknown',
-      authorId,
-      reason,
-      flags: moderationResult.flags,
+    const { report, created, duplicate } = await reportService.fileReport({
+      targetType: 'post',
+      targetId: postId,
+      reporterId: req.user._id,
+      reasonCategory,
+      details: reason,
       severity: moderationResult.severity,
-      reportedBy: req.user._id
+      flags: moderationResult.flags
     });
 
     res.json({
       success: true,
-      message: 'Content reported successfully',
-      data: reportResult
+      message: duplicate ? 'You have already reported this content' : 'Content reported successfully',
+      data: {
+        reportId: report._id,
+        created,
+        severity: report.severity
+      }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Report error:', error);
     res.status(500).json({
       success: false,
@@ -355,7 +362,7 @@ router.post('/report', protect, async (req, res) => {
  * @desc    Check AI service status
  * @access  Private (Admin)
  */
-router.get('/status', protect, authorize('admin'), async (_req, res) => {
+router.get('/status', protect, requirePermission('settings.read'), async (_req, res) => {
   try {
     const status = aiService.getStatus();
 
@@ -3,12 +3,21 @@ import {
   getAdminDashboard,
   getModeratorDashboard,
   getAuthorDashboard,
+  getPostTimeline,
+  recordRead,
   getPostTrends,
   getUserActivity,
   getCategoryStats,
-  getNetworkInteractions
+  exportReport,
+  getReportSchedules,
+  createReportSchedule,
+  updateReportSchedule,
+  deleteReportSchedule,
+  sendReportScheduleNow,
+  getNetworkInteractions,
+  getCohorts
 } from '../controllers/analyticsController.js';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import { protect, requirePermission, optionalAuth } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -16,52 +25,119 @@ const router = express.Router();
 router.get(
   '/admin/dashboard',
   protect,
-  authorize('admin'),
+  requirePermission('analytics.site'),
   getAdminDashboard
 );
 
 router.get(
   '/users/activity',
   protect,
-  authorize('admin'),
+  requirePermission('analytics.site'),
   getUserActivity
 );
 
 router.get(
   '/network/interactions',
   protect,
-  authorize('admin'),
+  requirePermission('analytics.site'),
   getNetworkInteractions
 );
 
+// Signup cohorts and their posting / commenting retention
+router.get(
+  '/cohorts',
+  protect,
+  requirePermission('analytics.site'),
+  getCohorts
+);
+
+// Scheduled reports, emailed to the admin who set them up
+router.get(
+  '/reports/schedules',
+  protect,
+  requirePermission('analytics.site'),
+  getReportSchedules
+);
+
+router.post(
+  '/reports/schedules',
+  protect,
+  requirePermission('analytics.site'),
+  createReportSchedule
+);
+
+router.patch(
+  '/reports/schedules/:id',
+  protect,
+  requirePermission('analytics.site'),
+  updateReportSchedule
+);
+
+router.delete(
+  '/reports/schedules/:id',
+  protect,
+  requirePermission('analytics.site'),
+  deleteReportSchedule
+);
+
+router.post(
+  '/reports/schedules/:id/send',
+  protect,
+  requirePermission('analytics.site'),
+  sendReportScheduleNow
+);
+
 // Moderator Analytics Routes
 router.get(
   '/moderator/dashboard',
   protect,
-  authorize('admin', 'moderator'),
+  requirePermission('analytics.content'),
   getModeratorDashboard
 );
 
 router.get(
   '/posts/trends',
   protect,
-  authorize('admin', 'moderator'),
+  requirePermission('analytics.content'),
   getPostTrends
 );
 
 router.get(
   '/categories/stats',
   protect,
-  authorize('admin', 'moderator'),
+  requirePermission('analytics.content'),
   getCategoryStats
 );
 
+// CSV / XLSX downloads; the permission each report needs is checked per
+// report
+router.get(
+  '/export/:report',
+  protect,
+  requirePermission('analytics.content', 'analytics.site'),
+  exportReport
+);
+
 // Author Analytics Routes
 router.get(
   '/author/dashboard',
   protect,
-  authorize('admin', 'moderator', 'author'),
+  requirePermission('analytics.own'),
   getAuthorDashboard
 );
 
+router.get(
+  '/author/posts/:postId/timeline',
+  protect,
+  requirePermission('analytics.own'),
+  getPostTimeline
+);
+
+// Reader Analytics Routes
+router.post(
+  '/posts/:postId/read',
+  optionalAuth,
+  recordRead
+);
+
 export default router;
@@ -10,8 +10,24 @@ import {
   refreshToken,
   updateProfile,
   changePassword,
-  resendVerification
+  resendVerification,
+  unlockAccount,
+  verifyTwoFactorLogin,
+  beginTwoFactorEnrollment,
+  completeTwoFactorEnrollment
 } from '../controllers/authController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/twoFactorController.js';
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+} from '../controllers/sessionController.js';
 import {
   validateRegistration,
   validateLogin,
@@ -31,11 +47,15 @@ import { googleLogin, googleRegister } from '../controllers/firebaseAuthControll
 // Public routes
 router.post('/register', checkRegistrationAllowed, validateRegistration, handleValidationErrors, register);
 router.post('/login', validateLogin, handleValidationErrors, login);
+router.post('/login/2fa', verifyTwoFactorLogin);
+router.post('/login/2fa/setup', beginTwoFactorEnrollment);
+router.post('/login/2fa/enable', completeTwoFactorEnrollment);
 router.post('/verify-email', validateEmailVerification, handleValidationErrors, verifyEmail);
 router.post('/forgot-password', validateForgotPassword, handleValidationErrors, forgotPassword);
 router.put('/reset-password', validateResetPassword, handleValidationErrors, resetPassword);
 router.post('/refresh-token', refreshToken);
 router.post('/resend-verification', resendVerification);
+router.post('/unlock-account', unlockAccount);
 
 // Google authentication routes
 router.post('/google-login', googleLogin);
@@ -47,4 +67,16 @@ router.get('/me', protect, getMe);
 router.put('/profile', protect, updateProfile);
 router.put('/change-password', protect, changePassword);
 
+// Two-factor authentication
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+// Signed-in devices
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
 export default router;
\ No newline at end of file
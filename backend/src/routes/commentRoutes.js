@@ -1,13 +1,19 @@
 import express from 'express';
 import {
   getComments,
+  getCommentReplies,
   createComment,
   updateComment,
   deleteComment,
   likeComment,
   unlikeComment,
+  getModerationComments,
+  hideComment,
+  unhideComment,
+  bulkModerateComments,
 } from '../controllers/commentController.js';
-import { protect, optionalAuth } from '../middleware/authMiddleware.js';
+import { protect, optionalAuth, requirePermission } from '../middleware/authMiddleware.js';
+import { validateObjectId } from '../middleware/postValidation.js';
 
 const router = express.Router();
 
@@ -15,7 +21,14 @@ const router = express.Router();
 router.get('/posts/:postId/comments', optionalAuth, getComments);
 router.post('/posts/:postId/comments', protect, createComment);
 
+// Moderation routes (moderators and admins)
+router.get('/comments/moderation', protect, requirePermission('comment.hide'), getModerationComments);
+router.post('/comments/moderation/bulk', protect, requirePermission('comment.hide', 'comment.delete.any'), bulkModerateComments);
+router.put('/comments/:id/hide', protect, requirePermission('comment.hide'), validateObjectId('id', { allowSlug: false }), hideComment);
+router.put('/comments/:id/unhide', protect, requirePermission('comment.hide'), validateObjectId('id', { allowSlug: false }), unhideComment);
+
 // Comment-specific routes
+router.get('/comments/:id/replies', optionalAuth, getCommentReplies);
 router.put('/comments/:id', protect, updateComment);
 router.delete('/comments/:id', protect, deleteComment);
 router.post('/comments/:id/like', protect, likeComment);
@@ -7,16 +7,16 @@ import {
   replyToContact,
   deleteContactMessage
 } from '../controllers/contactController.js';
-import { protect, isAdmin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Public route - submit contact form
 router.post('/', submitContactForm);
 
-// Admin routes - require authentication and admin role
+// Admin routes - require authentication and the contact.manage permission
 router.use(protect);
-router.use(isAdmin);
+router.use(requirePermission('contact.manage'));
 
 router.get('/', getContactMessages);
 router.get('/:id', getContactMessage);
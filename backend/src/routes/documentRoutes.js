@@ -2,7 +2,7 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import { asyncHandler } from '../middleware/errorMiddleware.js';
 import documentService from '../services/documentService.js';
 import Document from '../models/Document.js';
@@ -133,7 +133,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
  * @desc    Delete a document (admin only)
  * @access  Private/Admin
  */
-router.delete('/:id', protect, authorize('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', protect, requirePermission('document.manage'), asyncHandler(async (req, res) => {
   await documentService.deleteDocument(req.params.id);
 
   res.status(200).json({
@@ -147,7 +147,7 @@ router.delete('/:id', protect, authorize('admin'), asyncHandler(async (req, res)
  * @desc    Get all documents for a user (admin only)
  * @access  Private/Admin
  */
-router.get('/user/:userId', protect, authorize('admin'), asyncHandler(async (req, res) => {
+router.get('/user/:userId', protect, requirePermission('document.manage'), asyncHandler(async (req, res) => {
   const documents = await Document.findByUserId(req.params.userId);
 
   res.status(200).json({
@@ -0,0 +1,16 @@
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  getSnapshot,
+  saveSnapshot,
+  discardSnapshot
+} from '../controllers/draftController.js';
+
+const router = express.Router();
+
+// Autosaved editor state - :key is a post ID, or "new" for a post not created yet
+router.get('/:key', protect, getSnapshot);
+router.put('/:key', protect, saveSnapshot);
+router.delete('/:key', protect, discardSnapshot);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, optionalAuth } from '../middleware/authMiddleware.js';
 import {
   followUser,
   unfollowUser,
@@ -17,8 +17,8 @@ router.delete('/:userId/follow', protect, unfollowUser);
 // Get follow status (requires authentication)
 router.get('/:userId/follow/status', protect, getFollowStatus);
 
-// Get followers and following (public)
-router.get('/:userId/followers', getFollowers);
-router.get('/:userId/following', getFollowing);
+// Get followers and following (public, unless the user's profile settings hide them)
+router.get('/:userId/followers', optionalAuth, getFollowers);
+router.get('/:userId/following', optionalAuth, getFollowing);
 
 export default router;
@@ -4,9 +4,20 @@ import {
   unsubscribe,
   updatePreferences,
   getStats,
-  getAllSubscribers
+  getAllSubscribers,
+  getCampaigns,
+  getAudienceSize,
+  createCampaign,
+  getCampaign,
+  updateCampaign,
+  deleteCampaign,
+  previewCampaign,
+  sendTestCampaign,
+  scheduleCampaign,
+  unscheduleCampaign
 } from '../controllers/newsletterController.js';
-import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { validateObjectId } from '../middleware/postValidation.js';
 
 const router = express.Router();
 
@@ -21,6 +32,18 @@ const router = express.Router();
  * Protected routes (admin only):
  * - GET /subscribers - Get all subscribers
  * - PUT /preferences - Update preferences
+ *
+ * Campaigns (admin only):
+ * - GET /campaigns - List campaigns
+ * - GET /campaigns/audience - Count subscribers in an audience
+ * - POST /campaigns - Create a draft
+ * - GET /campaigns/:id - Campaign with delivery stats
+ * - PUT /campaigns/:id - Edit a draft
+ * - DELETE /campaigns/:id - Delete a draft
+ * - GET /campaigns/:id/preview - Rendered email
+ * - POST /campaigns/:id/test - Send a test email
+ * - POST /campaigns/:id/schedule - Schedule, or send now
+ * - POST /campaigns/:id/unschedule - Cancel a scheduled send
  */
 
 // Public routes
@@ -30,6 +53,18 @@ router.get('/stats', getStats);
 
 // Protected routes
 router.put('/preferences', protect, updatePreferences);
-router.get('/subscribers', protect, restrictTo('admin'), getAllSubscribers);
+router.get('/subscribers', protect, requirePermission('newsletter.manage'), getAllSubscribers);
+
+// Campaigns
+router.get('/campaigns', protect, requirePermission('newsletter.manage'), getCampaigns);
+router.get('/campaigns/audience', protect, requirePermission('newsletter.manage'), getAudienceSize);
+router.post('/campaigns', protect, requirePermission('newsletter.manage'), createCampaign);
+router.get('/campaigns/:id', protect, requirePermission('newsletter.manage'), validateObjectId('id', { allowSlug: false }), getCampaign);
+router.put('/campaigns/:id', protect, requirePermission('newsletter.manage'), validateObjectId('id', { allowSlug: false }), updateCampaign);
+router.delete('/campaigns/:id', protect, requirePermission('newsletter.manage'), validateObjectId('id', { allowSlug: false }), deleteCampaign);
+router.get('/campaigns/:id/preview', protect, requirePermission('newsletter.manage'), validateObjectId('id', { allowSlug: false }), previewCampaign);
+router.post('/campaigns/:id/test', protect, requirePermission('newsletter.manage'), validateObjectId('id', { allowSlug: false }), sendTestCampaign);
+router.post('/campaigns/:id/schedule', protect, requirePermission('newsletter.manage'), validateObjectId('id', { allowSlug: false }), scheduleCampaign);
+router.post('/campaigns/:id/unschedule', protect, requirePermission('newsletter.manage'), validateObjectId('id', { allowSlug: false }), unscheduleCampaign);
 
 export default router;
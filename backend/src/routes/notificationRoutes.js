@@ -8,7 +8,7 @@ import {
   deleteAllNotifications,
   createNotification
 } from '../controllers/notificationController.js';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -33,7 +33,7 @@ router.put('/:id/read', markAsRead);
 // Delete single notification
 router.delete('/:id', deleteNotification);
 
-// Create notification (admin only)
-router.post('/', authorize('admin'), createNotification);
+// Send a notification to users
+router.post('/', requirePermission('notification.broadcast'), createNotification);
 
 export default router;
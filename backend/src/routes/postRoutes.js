@@ -14,23 +14,37 @@ import {
   searchPosts,
   getCategories,
   getTags,
+  getTrendingPosts,
+  getRelatedPosts,
   approvePost,
   rejectPost,
   uploadFeaturedImage,
   upload,
-  getFlaggedPosts
+  getFlaggedPosts,
+  getScheduledPosts,
+  reschedulePost,
+  cancelScheduledPost
 } from '../controllers/postController.js';
-import { protect, optionalAuth, isAuthor } from '../middleware/authMiddleware.js';
+import {
+  getRevisions,
+  getRevisionDiff,
+  restoreRevision
+} from '../controllers/collaborationController.js';
+import { protect, optionalAuth, requirePermission } from '../middleware/authMiddleware.js';
 import {
   validatePostData,
   validatePostUpdateData,
+  validateScheduleData,
+  validateApprovalData,
   validateSearchParams,
   validatePaginationParams,
   validateFilterParams,
   validateObjectId,
   validateCategoryParam,
   validateUserPostsParams,
-  validateTagsParams
+  validateTagsParams,
+  validateTrendingParams,
+  validateRelatedParams
 } from '../middleware/postValidation.js';
 
 const router = express.Router();
@@ -42,6 +56,7 @@ router.get('/', optionalAuth, validatePaginationParams, validateFilterParams, ge
 router.get('/search', optionalAuth, validateSearchParams, searchPosts);
 router.get('/categories', getCategories);
 router.get('/tags', validateTagsParams, getTags);
+router.get('/trending', validateTrendingParams, getTrendingPosts);
 router.get('/category/:category', validateCategoryParam, validatePaginationParams, getPostsByCategory);
 
 // ============================================
@@ -49,20 +64,25 @@ router.get('/category/:category', validateCategoryParam, validatePaginationParam
 // ============================================
 
 // Moderation routes - MUST come before /:id to avoid route conflicts
-router.get('/moderation/flagged', protect, getFlaggedPosts);
+router.get('/moderation/flagged', protect, requirePermission('post.approve'), getFlaggedPosts);
+router.get('/moderation/scheduled', protect, requirePermission('post.approve'), validatePaginationParams, getScheduledPosts);
 
 // Featured image upload
 router.post('/upload-featured-image', protect, upload.single('featuredImage'), uploadFeaturedImage);
 
 // Approve/Reject routes
-router.put('/:id/approve', protect, validateObjectId('id'), approvePost);
-router.put('/:id/reject', protect, validateObjectId('id'), rejectPost);
+router.put('/:id/approve', protect, requirePermission('post.approve'), validateObjectId('id'), validateApprovalData, approvePost);
+router.put('/:id/reject', protect, requirePermission('post.approve'), validateObjectId('id'), rejectPost);
+
+// Scheduled publication
+router.put('/:id/schedule', protect, requirePermission('post.approve'), validateObjectId('id'), validateScheduleData, reschedulePost);
+router.delete('/:id/schedule', protect, requirePermission('post.approve'), validateObjectId('id'), cancelScheduledPost);
 
 // User posts route
 router.get('/user/:userId', protect, validateUserPostsParams, getUserPosts);
 
 // Post CRUD operations
-router.post('/', protect, isAuthor, validatePostData, createPost);
+router.post('/', protect, requirePermission('post.create'), validatePostData, createPost);
 router.put('/:id', protect, validateObjectId('id'), validatePostUpdateData, updatePost);
 router.delete('/:id', protect, validateObjectId('id'), deletePost);
 router.post('/:id/like', protect, validateObjectId('id'), likePost);
@@ -70,9 +90,15 @@ router.delete('/:id/like', protect, validateObjectId('id'), unlikePost);
 router.post('/:id/dislike', protect, validateObjectId('id'), dislikePost);
 router.delete('/:id/dislike', protect, validateObjectId('id'), undislikePost);
 
+// Revision history
+router.get('/:id/revisions', protect, validateObjectId('id'), getRevisions);
+router.get('/:id/revisions/diff', protect, validateObjectId('id'), getRevisionDiff);
+router.post('/:id/revisions/:revId/restore', protect, validateObjectId('id'), restoreRevision);
+
 // ============================================
 // SINGLE POST ROUTE - PUBLIC (must be LAST to avoid conflicts)
 // ============================================
-router.get('/:id', validateObjectId('id'), getPost);
+router.get('/:id/related', validateObjectId('id'), validateRelatedParams, getRelatedPosts);
+router.get('/:id', optionalAuth, validateObjectId('id'), getPost);
 
 export default router;
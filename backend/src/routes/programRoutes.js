@@ -7,7 +7,7 @@ import {
     deleteProgram,
     reorderPrograms
 } from '../controllers/programController.js';
-import { protect, isAdmin as admin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -16,9 +16,9 @@ router.get('/', getPrograms);
 router.get('/:id', getProgramById);
 
 // Protected Admin routes
-router.post('/', protect, admin, createProgram);
-router.put('/reorder', protect, admin, reorderPrograms);
-router.put('/:id', protect, admin, updateProgram);
-router.delete('/:id', protect, admin, deleteProgram);
+router.post('/', protect, requirePermission('program.manage'), createProgram);
+router.put('/reorder', protect, requirePermission('program.manage'), reorderPrograms);
+router.put('/:id', protect, requirePermission('program.manage'), updateProgram);
+router.delete('/:id', protect, requirePermission('program.manage'), deleteProgram);
 
 export default router;
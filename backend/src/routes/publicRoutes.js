@@ -44,6 +44,8 @@ router.get('/site-settings', async (req, res) => {
         siteDescription: settings?.general?.siteDescription || 'A collaborative blogging platform for Admas University',
         contactEmail: settings?.general?.contactEmail || 'support@admas.edu.et',
         maintenanceMode: settings?.general?.maintenanceMode || false,
+        // Hours of inactivity before a user is signed out
+        sessionTimeout: settings?.security?.sessionTimeout || 24,
       }
     });
   } catch (error) {
@@ -55,6 +57,7 @@ router.get('/site-settings', async (req, res) => {
         siteDescription: 'A collaborative blogging platform for Admas University',
         contactEmail: 'support@admas.edu.et',
         maintenanceMode: false,
+        sessionTimeout: 24,
       }
     });
   }
@@ -208,8 +211,9 @@ router.get('/featured', async (req, res) => {
       return res.status(200).json(cached);
     }
 
+    // Trending this week first, then the all-time most read
     const featuredPosts = await BlogPost.find({ status: 'published' })
-      .sort({ views: -1, likesCount: -1 })
+      .sort({ 'trending.week': -1, views: -1, likesCount: -1 })
       .limit(6)
       .select('title excerpt featuredImage author category createdAt likesCount commentsCount views slug')
       .populate('author', 'username firstName lastName profile bio')
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  createReport,
+  getReports,
+  getReport,
+  claimReport,
+  resolveReport,
+  bulkDismissReports
+} from '../controllers/reportController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { reportLimiter } from '../middleware/rateLimitMiddleware.js';
+
+const router = express.Router();
+
+// Any signed-in user can report
+router.post('/', protect, reportLimiter, createReport);
+
+// Moderation queue (moderators and admins)
+router.get('/', protect, requirePermission('report.manage'), getReports);
+router.post('/bulk-dismiss', protect, requirePermission('report.manage'), bulkDismissReports);
+router.get('/:id', protect, requirePermission('report.manage'), getReport);
+router.put('/:id/claim', protect, requirePermission('report.manage'), claimReport);
+router.put('/:id/resolve', protect, requirePermission('report.manage'), resolveReport);
+
+export default router;
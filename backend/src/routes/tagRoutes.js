@@ -0,0 +1,13 @@
+/**
+ * Tag Routes - Trending tags
+ */
+import express from 'express';
+import { getTrendingTags } from '../controllers/tagController.js';
+import { validateTrendingParams } from '../middleware/postValidation.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/trending', validateTrendingParams, getTrendingTags);
+
+export default router;
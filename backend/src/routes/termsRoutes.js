@@ -9,7 +9,7 @@ import {
   getAcceptanceStatus,
   createTerms
 } from '../controllers/termsController.js';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -21,7 +21,7 @@ router.get('/:type/versions', getTermsVersions);
 router.post('/accept', protect, recordAcceptance);
 router.get('/user/status', protect, getAcceptanceStatus);
 
-// Admin routes - require admin role
-router.post('/', protect, authorize('admin'), createTerms);
+// Admin routes - require the terms.manage permission
+router.post('/', protect, requirePermission('terms.manage'), createTerms);
 
 export default router;
@@ -9,7 +9,13 @@ import {
   deleteAccount,
   getPreferences,
   updatePreferences,
+  getMutes,
+  addMute,
+  removeMute,
   getDashboardStats,
+  getMentionSuggestions,
+  getPublicProfile,
+  getPublicProfilePosts,
   resendEmailVerification,
   updateRoleApplication
 } from '../controllers/userController.js';
@@ -18,12 +24,21 @@ import {
   validateChangePassword,
   handleValidationErrors
 } from '../middleware/validationMiddleware.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, optionalAuth } from '../middleware/authMiddleware.js';
+import { RESERVED_USERNAMES } from '../models/User.js';
 import upload from '../config/upload.js';
 
 const router = express.Router();
 
-// All routes protected
+// Leave the account routes below to handle their own paths
+const skipReservedPaths = (req, res, next) =>
+  RESERVED_USERNAMES.includes(req.params.username) ? next('route') : next();
+
+// Public author profiles
+router.get('/:username', skipReservedPaths, optionalAuth, getPublicProfile);
+router.get('/:username/posts', optionalAuth, getPublicProfilePosts);
+
+// All routes below protected
 router.use(protect);
 
 // User profile routes
@@ -40,7 +55,11 @@ router.get('/activity', getUserActivity);
 // Additional user routes
 router.get('/preferences', getPreferences);
 router.put('/preferences', updatePreferences);
+router.get('/preferences/mutes', getMutes);
+router.post('/preferences/mutes', addMute);
+router.delete('/preferences/mutes/:type/:id', removeMute);
 router.get('/dashboard-stats', getDashboardStats);
+router.get('/mentions', getMentionSuggestions);
 router.post('/resend-verification', resendEmailVerification);
 router.put('/role-application', updateRoleApplication);
 
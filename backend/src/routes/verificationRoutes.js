@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect, authorize } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 import { asyncHandler } from '../middleware/errorMiddleware.js';
 import verificationService from '../services/verificationService.js';
 
@@ -10,7 +10,7 @@ const router = express.Router();
  * @desc    Get all pending alumni verifications
  * @access  Private/Admin
  */
-router.get('/pending', protect, authorize('admin'), asyncHandler(async (req, res) => {
+router.get('/pending', protect, requirePermission('user.approve'), asyncHandler(async (req, res) => {
   const pendingVerifications = await verificationService.getPendingVerifications();
 
   res.status(200).json({
@@ -25,7 +25,7 @@ router.get('/pending', protect, authorize('admin'), asyncHandler(async (req, res
  * @desc    Get count of pending verifications
  * @access  Private/Admin
  */
-router.get('/count', protect, authorize('admin'), asyncHandler(async (req, res) => {
+router.get('/count', protect, requirePermission('user.approve'), asyncHandler(async (req, res) => {
   const count = await verificationService.getPendingCount();
 
   res.status(200).json({
@@ -39,7 +39,7 @@ router.get('/count', protect, authorize('admin'), asyncHandler(async (req, res)
  * @desc    Get verification status for a specific user
  * @access  Private/Admin
  */
-router.get('/:userId', protect, authorize('admin'), asyncHandler(async (req, res) => {
+router.get('/:userId', protect, requirePermission('user.approve'), asyncHandler(async (req, res) => {
   try {
     const status = await verificationService.getVerificationStatus(req.params.userId);
 
@@ -63,7 +63,7 @@ router.get('/:userId', protect, authorize('admin'), asyncHandler(async (req, res
  * @desc    Approve an alumni verification
  * @access  Private/Admin
  */
-router.put('/:userId/approve', protect, authorize('admin'), asyncHandler(async (req, res) => {
+router.put('/:userId/approve', protect, requirePermission('user.approve'), asyncHandler(async (req, res) => {
   try {
     const user = await verificationService.approveVerification(
       req.params.userId,
@@ -104,7 +104,7 @@ router.put('/:userId/approve', protect, authorize('admin'), asyncHandler(async (
  * @desc    Reject an alumni verification
  * @access  Private/Admin
  */
-router.put('/:userId/reject', protect, authorize('admin'), asyncHandler(async (req, res) => {
+router.put('/:userId/reject', protect, requirePermission('user.approve'), asyncHandler(async (req, res) => {
   const { reason } = req.body;
 
   if (!reason || reason.trim().length === 0) {
@@ -0,0 +1,188 @@
+/**
+ * Account Lock Service
+ * Slows down and then locks out repeated failed sign-ins, with the state
+ * kept on the user (loginAttempts, lastFailedLoginAt, lockUntil) so it
+ * survives restarts and is shared by every instance.
+ *
+ * After FREE_ATTEMPTS failures each further attempt has to wait longer
+ * than the last (2s, 4s, 8s ... up to MAX_DELAY_SECONDS). Reaching
+ * Settings.security.maxLoginAttempts locks the account for
+ * Settings.security.lockoutDuration minutes and emails the owner a link
+ * that unlocks it straight away. Admins can unlock an account too.
+ *
+ * A successful sign-in clears the count. Failed two-factor codes count the
+ * same as wrong passwords.
+ */
+
+import crypto from 'crypto';
+import User from '../models/User.js';
+import AuditLogService from './auditLogService.js';
+import emailService from './emailService.js';
+import { getSettings } from '../middleware/settingsMiddleware.js';
+
+const FREE_ATTEMPTS = 2; // failures before attempts are delayed
+const MAX_DELAY_SECONDS = 60;
+
+// Far enough ahead to stand in for "no lock" when comparing in a pipeline
+const NEVER = new Date(8.64e15);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class AccountLockService {
+  /**
+   * Attempts allowed and lock length, from the site settings
+   * @returns {Promise<Object>} { maxAttempts, lockoutMinutes }
+   */
+  async getPolicy() {
+    const settings = await getSettings();
+    return {
+      maxAttempts: settings?.security?.maxLoginAttempts || 5,
+      lockoutMinutes: settings?.security?.lockoutDuration || 30
+    };
+  }
+
+  /**
+   * Seconds to wait before the next attempt after `attempts` failures
+   */
+  delayAfter(attempts) {
+    if (attempts < FREE_ATTEMPTS) return 0;
+    return Math.min(2 ** (attempts - FREE_ATTEMPTS + 1), MAX_DELAY_SECONDS);
+  }
+
+  /**
+   * Whether the user may try to sign in right now
+   * @param {Object} user - User document
+   * @returns {Object|null} { reason: 'locked' | 'throttled', retryAfter (seconds),
+   *   message }, or null if an attempt is allowed
+   */
+  check(user, now = new Date()) {
+    if (user.lockUntil && user.lockUntil > now) {
+      const minutes = Math.ceil((user.lockUntil - now) / 60000);
+      return {
+        reason: 'locked',
+        retryAfter: Math.ceil((user.lockUntil - now) / 1000),
+        message: `Account locked due to too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}, or use the unlock link we emailed you.`
+      };
+    }
+
+    // A lock that has run out starts the count again
+    if (user.lockUntil || !user.lastFailedLoginAt) return null;
+
+    const readyAt = user.lastFailedLoginAt.getTime() + this.delayAfter(user.loginAttempts || 0) * 1000;
+    if (readyAt > now.getTime()) {
+      const seconds = Math.ceil((readyAt - now.getTime()) / 1000);
+      return {
+        reason: 'throttled',
+        retryAfter: seconds,
+        message: `Too many failed attempts. Please wait ${seconds} second${seconds === 1 ? '' : 's'} before trying again.`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a failed sign-in, locking the account when it reaches the limit
+   * @param {Object} user - User document
+   * @param {Object} [req] - Express request, for the audit log
+   * @returns {Promise<Object>} { locked, attemptsRemaining }
+   */
+  async recordFailure(user, req = null) {
+    const { maxAttempts, lockoutMinutes } = await this.getPolicy();
+    const now = new Date();
+
+    // One atomic update, so concurrent attempts can't undercount; an
+    // expired lock is cleared and counting starts over
+    const expired = { $lte: [{ $ifNull: ['$lockUntil', NEVER] }, now] };
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      [{
+        $set: {
+          loginAttempts: {
+            $cond: [expired, 1, { $add: [{ $ifNull: ['$loginAttempts', 0] }, 1] }]
+          },
+          lockUntil: { $cond: [expired, '$$REMOVE', '$lockUntil'] },
+          lastFailedLoginAt: now
+        }
+      }],
+      { new: true }
+    ).select('loginAttempts lockUntil email firstName lastName');
+
+    if (!updated) return { locked: false, attemptsRemaining: 0 };
+    if (updated.loginAttempts < maxAttempts) {
+      return { locked: false, attemptsRemaining: maxAttempts - updated.loginAttempts };
+    }
+
+    const lockUntil = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+    const unlockToken = crypto.randomBytes(32).toString('hex');
+
+    // Only the request that sets the lock sends the email
+    const result = await User.updateOne(
+      { _id: user._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+      {
+        $set: {
+          lockUntil,
+          unlockToken: hashToken(unlockToken),
+          unlockTokenExpires: lockUntil
+        }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      const unlockUrl = `${process.env.CLIENT_URL}/unlock-account?token=${unlockToken}`;
+      await emailService.sendAccountLockedEmail(updated, unlockUrl, lockoutMinutes);
+      await AuditLogService.logAccountLocked(user._id, updated.loginAttempts, req);
+    }
+
+    return { locked: true, attemptsRemaining: 0 };
+  }
+
+  /**
+   * Clear failed attempts and any lock, e.g. after a successful sign-in
+   * @param {Object} user - User document
+   */
+  async reset(user) {
+    if (!user.loginAttempts && !user.lockUntil && !user.lastFailedLoginAt) return;
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { loginAttempts: 0 },
+        $unset: { lockUntil: 1, lastFailedLoginAt: 1, unlockToken: 1, unlockTokenExpires: 1 }
+      }
+    );
+  }
+
+  /**
+   * Unlock an account from the link in the lockout email
+   * @param {string} token - Token from the link
+   * @returns {Promise<Object|null>} The user, or null if the link is invalid
+   *   or the lock already ended
+   */
+  async unlockWithToken(token, req = null) {
+    if (!token) return null;
+
+    const user = await User.findOne({
+      unlockToken: hashToken(token),
+      unlockTokenExpires: { $gt: new Date() }
+    });
+    if (!user) return null;
+
+    await this.reset(user);
+    await AuditLogService.logAccountUnlocked(user._id, user._id, 'email_link', req);
+    return user;
+  }
+
+  /**
+   * Unlock an account as an admin
+   * @param {Object} user - User document
+   * @param {string} adminId - Admin performing the unlock
+   */
+  async unlockByAdmin(user, adminId, req = null) {
+    await this.reset(user);
+    await AuditLogService.logAccountUnlocked(user._id, adminId, 'admin', req);
+  }
+}
+
+const accountLockService = new AccountLockService();
+export default accountLockService;
@@ -0,0 +1,569 @@
+/**
+ * Analytics Export Service
+ * Builds the analytics reports for a date range and renders them as CSV or
+ * XLSX files.
+ *
+ * A report is one or more tables ("sheets"). In XLSX each table is its own
+ * worksheet; in CSV a single table is written as-is and several are written
+ * one after another under their names. The on-screen analytics handlers use
+ * the same queries, so a download always matches what the dashboard shows.
+ */
+
+import ExcelJS from 'exceljs';
+import BlogPost from '../models/blogpost/index.js';
+import User from '../models/User.js';
+import postAnalyticsService from './postAnalyticsService.js';
+import permissionService from './permissionService.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30; // range used when none is given
+const MAX_DAYS = 731; // longest range that can be reported on
+const EXPORT_USER_LIMIT = 100; // authors listed in an exported activity report
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: {
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  }
+};
+
+export const TREND_PERIODS = {
+  day: '%Y-%m-%d',
+  week: '%Y-W%U',
+  month: '%Y-%m'
+};
+
+// Metrics of getPlatformSummary, as labelled in the overview report
+const SUMMARY_METRICS = [
+  ['newUsers', 'New users'],
+  ['postsCreated', 'Posts created'],
+  ['postsPublished', 'Posts published'],
+  ['views', 'Unique views'],
+  ['hits', 'Page hits'],
+  ['qualifiedReads', 'Qualified reads'],
+  ['likes', 'Likes'],
+  ['comments', 'Comments']
+];
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+const startOfDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// { field: { $gte, $lt } } for a range, or nothing when there is no range
+export const inRange = (field, range) =>
+  range ? { [field]: { $gte: range.from, $lt: range.to } } : {};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvTable = ({ columns, rows }) =>
+  [
+    columns.map(column => csvCell(column.header)).join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column.key])).join(','))
+  ].join('\r\n');
+
+class AnalyticsExportService {
+  constructor() {
+    // The permission needed to export each report, and how it is built
+    this.reports = {
+      overview: {
+        title: 'Platform Overview',
+        permission: 'analytics.site',
+        build: (range, options) => this.buildOverview(range, options)
+      },
+      categories: {
+        title: 'Category Statistics',
+        permission: 'analytics.content',
+        build: async (range) => [{
+          name: 'Categories',
+          columns: [
+            { header: 'Category', key: 'category', width: 24 },
+            { header: 'Total Posts', key: 'totalPosts' },
+            { header: 'Published', key: 'publishedPosts' },
+            { header: 'Pending', key: 'pendingPosts' },
+            { header: 'Avg. Views', key: 'avgViews' },
+            { header: 'Avg. Comments', key: 'avgComments' },
+            { header: 'Avg. Likes', key: 'avgLikes' }
+          ],
+          rows: await this.getCategoryStats(range)
+        }]
+      },
+      trends: {
+        title: 'Post Trends',
+        permission: 'analytics.content',
+        build: async (range, { period = 'day' } = {}) => [{
+          name: 'Trends',
+          columns: [
+            { header: period === 'day' ? 'Date' : period === 'week' ? 'Week' : 'Month', key: 'date', width: 14 },
+            { header: 'Posts Published', key: 'published' },
+            { header: 'Views', key: 'views' },
+            { header: 'Comments', key: 'comments' },
+            { header: 'Likes', key: 'likes' }
+          ],
+          rows: await this.getPostTrends({ ...range, period })
+        }]
+      },
+      users: {
+        title: 'User Activity',
+        permission: 'analytics.site',
+        build: async (range) => [{
+          name: 'User Activity',
+          columns: [
+            { header: 'Name', key: 'name', width: 28 },
+            { header: 'Email', key: 'email', width: 32 },
+            { header: 'Posts Published', key: 'postsCount' },
+            { header: 'Views', key: 'totalViews' },
+            { header: 'Comments', key: 'totalComments' },
+            { header: 'Last Active', key: 'lastActive', width: 22 }
+          ],
+          rows: (await this.getUserActivity({ ...range, limit: EXPORT_USER_LIMIT })).map(user => ({
+            ...user,
+            lastActive: user.lastActive ? user.lastActive.toISOString() : ''
+          }))
+        }]
+      }
+    };
+  }
+
+  /**
+   * Whether a user may export a report
+   * @param {Object} user - User with role / roles
+   * @param {string} reportKey - Key of this.reports
+   * @returns {Promise<boolean>}
+   */
+  async canExport(user, reportKey) {
+    const report = this.reports[reportKey];
+    return Boolean(report) && permissionService.has(user, report.permission);
+  }
+
+  /**
+   * Turn from / to parameters into a range of whole UTC days. startDate /
+   * endDate are accepted as older names for the same parameters.
+   * @param {Object} params - { from, to } or { startDate, endDate }, e.g. from req.query
+   * @param {number} [defaultDays] - Days covered when from is missing
+   * @returns {{ from: Date, to: Date }} from inclusive, to exclusive
+   */
+  parseRange({ from, to, startDate, endDate } = {}, defaultDays = DEFAULT_DAYS) {
+    const end = to || endDate ? new Date(to || endDate) : new Date();
+    const start = from || startDate ? new Date(from || startDate) : null;
+    if (Number.isNaN(end.getTime()) || (start && Number.isNaN(start.getTime()))) {
+      throw new AppError('from and to must be valid dates', 400);
+    }
+
+    const rangeTo = new Date(startOfDay(end).getTime() + DAY);
+    const rangeFrom = start ? startOfDay(start) : new Date(rangeTo.getTime() - defaultDays * DAY);
+
+    if (rangeFrom >= rangeTo) {
+      throw new AppError('from must not be after to', 400);
+    }
+    if (rangeTo - rangeFrom > MAX_DAYS * DAY) {
+      throw new AppError(`Ranges can cover at most ${MAX_DAYS} days`, 400);
+    }
+
+    return { from: rangeFrom, to: rangeTo };
+  }
+
+  /**
+   * Whether request parameters ask for a date range
+   * @param {Object} params - e.g. req.query
+   * @returns {boolean}
+   */
+  hasRange({ from, to, startDate, endDate } = {}) {
+    return Boolean(from || to || startDate || endDate);
+  }
+
+  /**
+   * The period of the same length that ends where a range starts
+   * @param {{ from: Date, to: Date }} range
+   * @returns {{ from: Date, to: Date }}
+   */
+  previousRange({ from, to }) {
+    return { from: new Date(from.getTime() - (to - from)), to: from };
+  }
+
+  /**
+   * Compare two sets of totals, metric by metric
+   * @param {Object} current - { metric: number } for the range
+   * @param {Object} previous - The same metrics for the previous period
+   * @returns {Object} { metric: { current, previous, change } }, change being
+   *   the percentage change, or null when the previous value was 0
+   */
+  compare(current, previous) {
+    return Object.fromEntries(Object.keys(current).map(metric => {
+      const now = current[metric] || 0;
+      const before = previous[metric] || 0;
+      return [metric, {
+        current: now,
+        previous: before,
+        change: before ? Math.round(((now - before) / before) * 1000) / 10 : null
+      }];
+    }));
+  }
+
+  /**
+   * Posts published per day, week or month, with their engagement
+   * @param {Object} options - { from, to, period }
+   * @returns {Promise<Array>} [{ date, published, views, comments, likes }]
+   */
+  getPostTrends({ from, to, period = 'day' }) {
+    return BlogPost.aggregate([
+      {
+        $match: inRange('publishedAt', { from, to })
+      },
+      {
+        $group: {
+          _id: {
+            $dateToString: { format: TREND_PERIODS[period] || TREND_PERIODS.day, date: '$publishedAt' }
+          },
+          published: { $sum: 1 },
+          views: { $sum: '$views' },
+          comments: { $sum: '$commentsCount' },
+          likes: { $sum: '$likesCount' }
+        }
+      },
+      {
+        $sort: { _id: 1 }
+      },
+      {
+        $project: {
+          date: '$_id',
+          published: 1,
+          views: 1,
+          comments: 1,
+          likes: 1,
+          _id: 0
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Most active authors by posts published
+   * @param {Object} [options] - { from, to } to count only posts published
+   *   in a range, and limit
+   * @returns {Promise<Array>} [{ userId, name, email, postsCount, totalViews, totalComments, lastActive }]
+   */
+  getUserActivity({ from, to, limit = 20 } = {}) {
+    return BlogPost.aggregate([
+      {
+        $match: { status: 'published', ...(from && inRange('publishedAt', { from, to })) }
+      },
+      {
+        $group: {
+          _id: '$author',
+          postsCount: { $sum: 1 },
+          totalViews: { $sum: '$views' },
+          totalComments: { $sum: '$commentsCount' }
+        }
+      },
+      {
+        $sort: { postsCount: -1 }
+      },
+      {
+        $limit: limit
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      {
+        $unwind: '$user'
+      },
+      {
+        $project: {
+          userId: '$_id',
+          name: { $concat: ['$user.firstName', ' ', '$user.lastName'] },
+          email: '$user.email',
+          postsCount: 1,
+          totalViews: 1,
+          totalComments: 1,
+          lastActive: '$user.lastLogin',
+          _id: 0
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Post counts and average engagement per category
+   * @param {Object} [range] - { from, to } to count only posts created in it
+   * @returns {Promise<Array>}
+   */
+  getCategoryStats(range) {
+    return BlogPost.aggregate([
+      {
+        $match: range?.from ? inRange('createdAt', range) : {}
+      },
+      {
+        $group: {
+          _id: '$category',
+          totalPosts: { $sum: 1 },
+          publishedPosts: {
+            $sum: { $cond: [{ $eq: ['$status', 'published'] }, 1, 0] }
+          },
+          pendingPosts: {
+            $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
+          },
+          avgViews: { $avg: '$views' },
+          avgComments: { $avg: '$commentsCount' },
+          avgLikes: { $avg: '$likesCount' }
+        }
+      },
+      {
+        $sort: { totalPosts: -1 }
+      },
+      {
+        $project: {
+          category: '$_id',
+          totalPosts: 1,
+          publishedPosts: 1,
+          pendingPosts: 1,
+          avgViews: { $round: ['$avgViews', 0] },
+          avgComments: { $round: ['$avgComments', 0] },
+          avgLikes: { $round: ['$avgLikes', 0] },
+          _id: 0
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Platform-wide activity over a range
+   * @param {{ from: Date, to: Date }} range
+   * @returns {Promise<Object>} { newUsers, postsCreated, postsPublished, views, hits, qualifiedReads, likes, comments }
+   */
+  async getPlatformSummary(range) {
+    const [newUsers, postsCreated, postsPublished, engagement] = await Promise.all([
+      User.countDocuments(inRange('createdAt', range)),
+      BlogPost.countDocuments(inRange('createdAt', range)),
+      BlogPost.countDocuments({ status: 'published', ...inRange('publishedAt', range) }),
+      postAnalyticsService.getTotals({}, range)
+    ]);
+
+    return {
+      newUsers,
+      postsCreated,
+      postsPublished,
+      views: engagement.views,
+      hits: engagement.hits,
+      qualifiedReads: engagement.qualifiedReads,
+      likes: engagement.likes,
+      comments: engagement.comments
+    };
+  }
+
+  /**
+   * How many authors published over a range, and how much
+   * @param {{ from: Date, to: Date }} range
+   * @returns {Promise<Object>} { activeAuthors, postsPublished }
+   */
+  async getAuthorSummary(range) {
+    const [totals] = await BlogPost.aggregate([
+      { $match: { status: 'published', ...inRange('publishedAt', range) } },
+      { $group: { _id: '$author', posts: { $sum: 1 } } },
+      { $group: { _id: null, activeAuthors: { $sum: 1 }, postsPublished: { $sum: '$posts' } } }
+    ]);
+
+    return {
+      activeAuthors: totals?.activeAuthors || 0,
+      postsPublished: totals?.postsPublished || 0
+    };
+  }
+
+  /**
+   * Sheets of the platform overview report
+   * @param {{ from: Date, to: Date }} range
+   * @param {Object} [options] - { compare: 'previous' } adds the previous
+   *   period to the summary
+   */
+  async buildOverview(range, { compare } = {}) {
+    const [
+      totalUsers,
+      summary,
+      previous,
+      pendingPosts,
+      usersByRole,
+      postStatus,
+      topCategories,
+      daily
+    ] = await Promise.all([
+      User.countDocuments(),
+      this.getPlatformSummary(range),
+      compare && this.getPlatformSummary(this.previousRange(range)),
+      BlogPost.countDocuments({ status: 'pending' }),
+      User.aggregate([
+        { $group: { _id: { $ifNull: ['$role', 'reader'] }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $project: { role: '$_id', count: 1, _id: 0 } }
+      ]),
+      BlogPost.aggregate([
+        { $match: inRange('createdAt', range) },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $project: { status: '$_id', count: 1, _id: 0 } }
+      ]),
+      BlogPost.aggregate([
+        { $match: { status: 'published', ...inRange('publishedAt', range) } },
+        {
+          $group: {
+            _id: '$category',
+            posts: { $sum: 1 },
+            views: { $sum: '$views' },
+            comments: { $sum: '$commentsCount' }
+          }
+        },
+        { $sort: { posts: -1 } },
+        { $limit: 10 },
+        { $project: { category: '$_id', posts: 1, views: 1, comments: 1, _id: 0 } }
+      ]),
+      postAnalyticsService.getTimeline({}, range)
+    ]);
+
+    const changes = previous && this.compare(summary, previous);
+
+    return [
+      {
+        name: 'Summary',
+        columns: [
+          { header: 'Metric', key: 'metric', width: 30 },
+          { header: 'Value', key: 'value', width: 14 },
+          ...(changes
+            ? [
+              { header: 'Previous Period', key: 'previous', width: 16 },
+              { header: 'Change (%)', key: 'change', width: 12 }
+            ]
+            : [])
+        ],
+        rows: [
+          { metric: 'Total users (now)', value: totalUsers },
+          ...SUMMARY_METRICS.map(([key, metric]) => ({
+            metric,
+            value: summary[key],
+            ...(changes && { previous: changes[key].previous, change: changes[key].change ?? '' })
+          })),
+          { metric: 'Posts pending review (now)', value: pendingPosts }
+        ]
+      },
+      {
+        name: 'Daily Engagement',
+        columns: [
+          { header: 'Date', key: 'date', width: 12 },
+          { header: 'Unique Views', key: 'views' },
+          { header: 'Page Hits', key: 'hits' },
+          { header: 'Qualified Reads', key: 'qualifiedReads' },
+          { header: 'Likes', key: 'likes' },
+          { header: 'Dislikes', key: 'dislikes' },
+          { header: 'Comments', key: 'comments' }
+        ],
+        rows: daily
+      },
+      {
+        name: 'Users by Role',
+        columns: [
+          { header: 'Role', key: 'role', width: 14 },
+          { header: 'Users', key: 'count' }
+        ],
+        rows: usersByRole
+      },
+      {
+        name: 'Post Status',
+        columns: [
+          { header: 'Status', key: 'status', width: 14 },
+          { header: 'Posts Created', key: 'count' }
+        ],
+        rows: postStatus
+      },
+      {
+        name: 'Top Categories',
+        columns: [
+          { header: 'Category', key: 'category', width: 24 },
+          { header: 'Posts Published', key: 'posts' },
+          { header: 'Views', key: 'views' },
+          { header: 'Comments', key: 'comments' }
+        ],
+        rows: topCategories
+      }
+    ];
+  }
+
+  /**
+   * Build a report and render it as a file
+   * @param {string} reportKey - Key of this.reports
+   * @param {string} format - Key of EXPORT_FORMATS
+   * @param {{ from: Date, to: Date }} range
+   * @param {Object} [options] - Report options: { period } for trends,
+   *   { compare: 'previous' } for the overview
+   * @returns {Promise<{ filename: string, contentType: string, content: Buffer }>}
+   */
+  async generate(reportKey, format, range, options = {}) {
+    const report = this.reports[reportKey];
+    if (!report) throw new AppError(`Unknown report: ${reportKey}`, 400);
+    if (!EXPORT_FORMATS[format]) throw new AppError(`Unknown format: ${format}`, 400);
+
+    const sheets = await report.build(range, options);
+    const period = `${toDay(range.from)} to ${toDay(new Date(range.to.getTime() - DAY))}`;
+    const content = format === 'xlsx'
+      ? await this.toXlsx(report.title, period, sheets)
+      : this.toCsv(report.title, period, sheets);
+
+    return {
+      filename: `${reportKey}-report_${period.replace(' to ', '_')}.${EXPORT_FORMATS[format].extension}`,
+      contentType: EXPORT_FORMATS[format].contentType,
+      content
+    };
+  }
+
+  toCsv(title, period, sheets) {
+    const body = sheets.length === 1
+      ? csvTable(sheets[0])
+      : [
+        [csvCell(title), csvCell(period)].join(','),
+        ...sheets.map(sheet => `${csvCell(sheet.name)}\r\n${csvTable(sheet)}`)
+      ].join('\r\n\r\n');
+
+    // The byte order mark makes Excel read the file as UTF-8
+    return Buffer.from(`\uFEFF${body}\r\n`, 'utf8');
+  }
+
+  async toXlsx(title, period, sheets) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Admas University Blog';
+    workbook.title = title;
+    workbook.subject = period;
+    workbook.created = new Date();
+
+    for (const sheet of sheets) {
+      const worksheet = workbook.addWorksheet(sheet.name.slice(0, 31), {
+        views: [{ state: 'frozen', ySplit: 1 }]
+      });
+      worksheet.columns = sheet.columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: column.width || Math.max(column.header.length + 2, 10)
+      }));
+      worksheet.addRows(sheet.rows);
+      worksheet.getRow(1).font = { bold: true };
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+const analyticsExportService = new AnalyticsExportService();
+export default analyticsExportService;
@@ -0,0 +1,188 @@
+/**
+ * Analytics Report Schedule Service
+ * Emails scheduled analytics reports to the admins who asked for them.
+ *
+ * Weekly reports cover the previous Monday-Sunday and go out on Monday
+ * morning; monthly reports cover the previous calendar month and go out on
+ * the 1st (UTC). Each due schedule is claimed by moving nextRunAt on before
+ * the report is built, so it is sent once even with several instances
+ * running. A report that fails to send is recorded on the schedule and the
+ * next one goes out as usual.
+ */
+
+import AnalyticsReportSchedule from '../models/AnalyticsReportSchedule.js';
+import analyticsExportService from './analyticsExportService.js';
+import emailService from './emailService.js';
+import { emailTemplates } from '../utils/emailTemplates.js';
+
+const CHECK_INTERVAL = 5 * 60 * 1000; // ms between checks
+const BATCH_SIZE = 20; // reports sent per check
+const SEND_HOUR = 6; // UTC hour reports go out
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Monday 00:00 UTC of the week containing a date
+const startOfWeek = (date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY);
+};
+
+// The 1st, 00:00 UTC, of the month containing a date
+const startOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+class AnalyticsReportScheduleService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start checking for reports to send
+   * @param {number} [interval] - Milliseconds between checks
+   */
+  start(interval = CHECK_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runSafely(), interval);
+    this.timer.unref?.();
+    this.runSafely();
+  }
+
+  /**
+   * Stop checking for reports to send
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runSafely() {
+    try {
+      await this.sendDue();
+    } catch (error) {
+      console.error('Error sending scheduled analytics reports:', error);
+    }
+  }
+
+  /**
+   * When a schedule next sends, after a given time
+   * @param {string} frequency - 'weekly' or 'monthly'
+   * @param {Date} [after]
+   * @returns {Date}
+   */
+  nextRunAfter(frequency, after = new Date()) {
+    const hour = SEND_HOUR * 60 * 60 * 1000;
+
+    if (frequency === 'weekly') {
+      let runAt = new Date(startOfWeek(after).getTime() + hour);
+      if (runAt <= after) runAt = new Date(runAt.getTime() + 7 * DAY);
+      return runAt;
+    }
+
+    let runAt = new Date(startOfMonth(after).getTime() + hour);
+    if (runAt <= after) {
+      runAt = new Date(Date.UTC(after.getUTCFullYear(), after.getUTCMonth() + 1, 1) + hour);
+    }
+    return runAt;
+  }
+
+  /**
+   * The last full week or month before a time
+   * @param {string} frequency - 'weekly' or 'monthly'
+   * @param {Date} [at]
+   * @returns {{ from: Date, to: Date }} from inclusive, to exclusive
+   */
+  periodBefore(frequency, at = new Date()) {
+    if (frequency === 'weekly') {
+      const to = startOfWeek(at);
+      return { from: new Date(to.getTime() - 7 * DAY), to };
+    }
+
+    const to = startOfMonth(at);
+    return { from: new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - 1, 1)), to };
+  }
+
+  /**
+   * Send every report that is due
+   */
+  async sendDue() {
+    // A slow batch must not overlap with the next tick
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const now = new Date();
+      const due = await AnalyticsReportSchedule.find({ active: true, nextRunAt: { $lte: now } })
+        .sort({ nextRunAt: 1 })
+        .limit(BATCH_SIZE);
+
+      for (const schedule of due) {
+        const claimed = await AnalyticsReportSchedule.updateOne(
+          { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+          { $set: { nextRunAt: this.nextRunAfter(schedule.frequency, now) } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        await this.send(schedule, now);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Build a schedule's report for the last full period and email it
+   * @param {Object} schedule - AnalyticsReportSchedule document
+   * @param {Date} [at] - Time the report is for
+   * @returns {Promise<Object>} { success, error }
+   */
+  async send(schedule, at = new Date()) {
+    await schedule.populate('owner', 'email firstName role roles isActive');
+    const owner = schedule.owner;
+
+    // Admins who left, or lost access to the report, stop receiving it
+    if (!owner?.isActive || !(await analyticsExportService.canExport(owner, schedule.report))) {
+      await AnalyticsReportSchedule.updateOne(
+        { _id: schedule._id },
+        { $set: { active: false, lastRunAt: at, lastStatus: 'failed', lastError: 'Owner can no longer receive this report' } }
+      );
+      return { success: false, error: 'Owner can no longer receive this report' };
+    }
+
+    let result;
+    try {
+      const range = this.periodBefore(schedule.frequency, at);
+      const file = await analyticsExportService.generate(schedule.report, schedule.format, range);
+      const { title } = analyticsExportService.reports[schedule.report];
+
+      const { subject, html } = emailTemplates['analytics-report']({
+        firstName: owner.firstName,
+        title,
+        frequency: schedule.frequency,
+        periodLabel: `${toDay(range.from)} to ${toDay(new Date(range.to.getTime() - DAY))}`,
+        format: schedule.format.toUpperCase(),
+        manageUrl: `${process.env.CLIENT_URL}/admin/analytics`
+      });
+
+      result = await emailService.sendEmail(owner.email, subject, html, {
+        attachments: [{ filename: file.filename, content: file.content, contentType: file.contentType }]
+      });
+    } catch (error) {
+      console.error(`Error building scheduled report ${schedule._id}:`, error);
+      result = { success: false, error: error.message };
+    }
+
+    await AnalyticsReportSchedule.updateOne(
+      { _id: schedule._id },
+      result.success
+        ? { $set: { lastRunAt: at, lastStatus: 'sent' }, $unset: { lastError: 1 } }
+        : { $set: { lastRunAt: at, lastStatus: 'failed', lastError: result.error } }
+    );
+    return result;
+  }
+}
+
+const analyticsReportScheduleService = new AnalyticsReportScheduleService();
+export default analyticsReportScheduleService;
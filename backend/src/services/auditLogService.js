@@ -197,6 +197,138 @@ class AuditLogService {
     );
   }
 
+  /**
+   * Log two-factor authentication being turned on
+   */
+  static async logTwoFactorEnabled(userId, req = null) {
+    return await this.logAction(
+      'two_factor_enabled',
+      'auth',
+      userId,
+      userId,
+      { description: 'User enabled two-factor authentication' },
+      req
+    );
+  }
+
+  /**
+   * Log two-factor authentication being turned off
+   */
+  static async logTwoFactorDisabled(userId, req = null) {
+    return await this.logAction(
+      'two_factor_disabled',
+      'auth',
+      userId,
+      userId,
+      { description: 'User disabled two-factor authentication' },
+      req
+    );
+  }
+
+  /**
+   * Log a recovery code being used in place of an authenticator code
+   */
+  static async logRecoveryCodeUsed(userId, remaining, req = null) {
+    return await this.logAction(
+      'two_factor_recovery_code_used',
+      'auth',
+      userId,
+      userId,
+      {
+        description: 'User signed in with a two-factor recovery code',
+        remainingCodes: remaining
+      },
+      req
+    );
+  }
+
+  /**
+   * Log a new set of recovery codes replacing the old ones
+   */
+  static async logRecoveryCodesRegenerated(userId, req = null) {
+    return await this.logAction(
+      'two_factor_recovery_codes_regenerated',
+      'auth',
+      userId,
+      userId,
+      { description: 'User generated new two-factor recovery codes' },
+      req
+    );
+  }
+
+  /**
+   * Log an account being locked after too many failed sign-ins
+   */
+  static async logAccountLocked(userId, attempts, req = null) {
+    return await this.logAction(
+      'account_locked',
+      'auth',
+      userId,
+      userId,
+      {
+        description: `Account locked after ${attempts} failed login attempts`,
+        attempts
+      },
+      req
+    );
+  }
+
+  /**
+   * Log an account being unlocked
+   * @param {string} method - 'email_link' or 'admin'
+   */
+  static async logAccountUnlocked(userId, performedBy, method, req = null) {
+    return await this.logAction(
+      'account_unlocked',
+      method === 'admin' ? 'user' : 'auth',
+      userId,
+      performedBy,
+      {
+        description: method === 'admin'
+          ? 'Account unlocked by an administrator'
+          : 'Account unlocked from the emailed link',
+        method
+      },
+      req
+    );
+  }
+
+  /**
+   * Log a user signing out other devices
+   * @param {number} count - Sessions revoked
+   */
+  static async logSessionsRevoked(userId, count, req = null) {
+    return await this.logAction(
+      'session_revoked',
+      'auth',
+      userId,
+      userId,
+      {
+        description: count === 1 ? 'User signed out a device' : `User signed out ${count} devices`,
+        count
+      },
+      req
+    );
+  }
+
+  /**
+   * Log an already-rotated refresh token being presented again, which
+   * revokes its session
+   */
+  static async logRefreshTokenReuse(userId, sessionId, req = null) {
+    return await this.logAction(
+      'refresh_token_reused',
+      'auth',
+      userId,
+      userId,
+      {
+        description: 'A replaced refresh token was reused; the session was revoked',
+        sessionId: String(sessionId)
+      },
+      req
+    );
+  }
+
   /**
    * Log profile update
    */
@@ -420,6 +552,135 @@ class AuditLogService {
     );
   }
 
+  /**
+   * Log Revision Restore
+   */
+  static async logRevisionRestore(postId, userId, revision, req = null) {
+    return await this.logAction(
+      'post_revision_restored',
+      'post',
+      postId,
+      userId,
+      {
+        description: `Restored revision from ${new Date(revision.editedAt).toISOString()}`,
+        revisionId: revision._id.toString(),
+        revisionEditedBy: revision.editedBy?.toString()
+      },
+      req
+    );
+  }
+
+  /**
+   * Log Post Scheduled (approved for later publication or rescheduled)
+   */
+  static async logPostScheduled(postId, userId, scheduledFor, req = null) {
+    return await this.logAction(
+      'post_scheduled',
+      'post',
+      postId,
+      userId,
+      {
+        description: `Scheduled for publication at ${new Date(scheduledFor).toISOString()}`,
+        scheduledFor
+      },
+      req
+    );
+  }
+
+  /**
+   * Log Post Schedule Cancelled
+   */
+  static async logPostScheduleCancelled(postId, userId, scheduledFor, req = null) {
+    return await this.logAction(
+      'post_schedule_cancelled',
+      'post',
+      postId,
+      userId,
+      {
+        description: `Cancelled publication scheduled for ${new Date(scheduledFor).toISOString()}`,
+        scheduledFor
+      },
+      req
+    );
+  }
+
+  /**
+   * Log Comment Moderated (hidden, unhidden or deleted by a moderator)
+   */
+  static async logCommentModerated(commentId, userId, action, reason = '', req = null) {
+    const verbs = {
+      comment_hidden: 'Hid',
+      comment_unhidden: 'Unhid',
+      comment_deleted: 'Deleted'
+    };
+
+    return await this.logAction(
+      action,
+      'comment',
+      commentId,
+      userId,
+      {
+        description: `${verbs[action] || 'Moderated'} comment${reason ? `: ${reason}` : ''}`,
+        reason
+      },
+      req
+    );
+  }
+
+  /**
+   * Log Report Claimed
+   */
+  static async logReportClaimed(reportId, userId, targetType, req = null) {
+    return await this.logAction(
+      'report_claimed',
+      'report',
+      reportId,
+      userId,
+      {
+        description: `Claimed report on a ${targetType}`,
+        targetType
+      },
+      req
+    );
+  }
+
+  /**
+   * Log Report Resolved (actioned or dismissed)
+   */
+  static async logReportResolved(report, userId, req = null) {
+    return await this.logAction(
+      report.status === 'actioned' ? 'report_actioned' : 'report_dismissed',
+      'report',
+      report._id,
+      userId,
+      {
+        description: `${report.status === 'actioned' ? 'Actioned' : 'Dismissed'} report on a ${report.targetType}`,
+        targetType: report.targetType,
+        targetId: report.target?._id || report.target,
+        actionTaken: report.actionTaken,
+        resolutionNotes: report.resolutionNotes
+      },
+      req
+    );
+  }
+
+  /**
+   * Log Reports Bulk Dismissed (one entry per report)
+   */
+  static async logReportsBulkDismissed(reportIds, userId, req = null) {
+    return await Promise.all(reportIds.map(reportId => this.logAction(
+      'report_dismissed',
+      'report',
+      reportId,
+      userId,
+      {
+        description: `Dismissed report in a bulk dismissal of ${reportIds.length}`,
+        bulk: true
+      },
+      req
+    )));
+  }
+
   /**
    * Clean up old logs
    */
@@ -432,6 +693,49 @@ class AuditLogService {
     }
   }
 
+  /**
+   * Log Role Created
+   */
+  static async logRoleCreated(roleId, userId, name, permissions, req = null) {
+    return await this.logAction(
+      'role_created',
+      'role',
+      roleId,
+      userId,
+      { description: `Role created: ${name}`, name, permissions },
+      req
+    );
+  }
+
+  /**
+   * Log Role Changed
+   * @param {Object} changes - Fields changed, with their old and new values
+   */
+  static async logRoleChanged(roleId, userId, name, changes, req = null) {
+    return await this.logAction(
+      'role_changed',
+      'role',
+      roleId,
+      userId,
+      { description: `Role changed: ${name}`, name, changes },
+      req
+    );
+  }
+
+  /**
+   * Log Role Deleted
+   */
+  static async logRoleDeleted(roleId, userId, name, req = null) {
+    return await this.logAction(
+      'role_deleted',
+      'role',
+      roleId,
+      userId,
+      { description: `Role deleted: ${name}`, name },
+      req
+    );
+  }
+
   /**
    * Log Program Created
    */
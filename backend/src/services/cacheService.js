@@ -11,6 +11,7 @@ class CacheService {
     
     // Cleanup expired entries every minute (silent)
     this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
+    this.cleanupInterval.unref?.();
   }
 
   async connect() {
@@ -79,9 +80,13 @@ class CacheService {
 
   static keys = {
     stats: () => 'stats:public',
-    posts: (page, limit, category) => `posts:list:${page}:${limit}:${category || 'all'}`,
+    posts: (page, limit, category, sort, tag) =>
+      `posts:list:${page}:${limit}:${category || 'all'}:${sort || 'recent'}:${tag || ''}`,
     post: (id) => `posts:single:${id}`,
     featured: () => 'posts:featured',
+    trendingPosts: (window, limit, category) => `posts:trending:${window}:${limit}:${category || 'all'}`,
+    trendingTags: (window, limit) => `tags:trending:${window}:${limit}`,
+    related: (id, limit) => `posts:related:${id}:${limit}`,
     categories: () => 'categories:all',
     category: (slug) => `categories:${slug}`,
     user: (id) => `users:${id}`,
@@ -93,7 +98,7 @@ class CacheService {
   static ttl = {
     stats: 60, posts: 120, post: 300, featured: 180,
     categories: 600, terms: 3600, user: 300,
-    topAuthors: 300, activeMembers: 300,
+    topAuthors: 300, activeMembers: 300, trending: 120, related: 600,
   };
 }
 
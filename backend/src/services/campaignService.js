@@ -0,0 +1,196 @@
+/**
+ * Newsletter Campaign Service
+ * Sends admin-composed campaigns to their audience.
+ *
+ * Scheduled campaigns are picked up once scheduledFor has passed: a pending
+ * delivery is recorded for every subscriber in the audience, then deliveries
+ * go out in small batches on each check through the same queue the weekly
+ * digest uses, so a send interrupted by a restart carries on where it was.
+ */
+
+import Newsletter from '../models/Newsletter.js';
+import NewsletterCampaign from '../models/NewsletterCampaign.js';
+import NewsletterDelivery from '../models/NewsletterDelivery.js';
+import emailService from './emailService.js';
+import { emailTemplates } from '../utils/emailTemplates.js';
+
+const CHECK_INTERVAL = 30 * 1000; // ms between checks
+const BATCH_SIZE = 50; // emails sent per check
+const SEND_DELAY = 200; // ms between emails within a batch
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class CampaignService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start checking for campaigns to send
+   * @param {number} [interval] - Milliseconds between checks
+   */
+  start(interval = CHECK_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runSafely(), interval);
+    this.timer.unref?.();
+    this.runSafely();
+  }
+
+  /**
+   * Stop checking for campaigns to send
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runSafely() {
+    try {
+      await this.processDue();
+    } catch (error) {
+      console.error('Error sending newsletter campaigns:', error);
+    }
+  }
+
+  /**
+   * Start campaigns that are due and send the next batch of the oldest one
+   * in progress
+   */
+  async processDue() {
+    // A slow batch must not overlap with the next tick
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const due = await NewsletterCampaign.find({
+        status: 'scheduled',
+        scheduledFor: { $lte: new Date() }
+      }).select('_id scheduledFor');
+
+      for (const { _id, scheduledFor } of due) {
+        // Claimed with a conditional update so only one instance starts it
+        await NewsletterCampaign.updateOne(
+          { _id, status: 'scheduled', scheduledFor },
+          { $set: { status: 'sending', startedAt: new Date() } }
+        );
+      }
+
+      const campaign = await NewsletterCampaign.findOne({ status: 'sending' }).sort({ startedAt: 1 });
+      if (!campaign) return;
+
+      if (!campaign.queuedAt) {
+        await NewsletterDelivery.queue(
+          { campaign: campaign._id },
+          Newsletter.audienceQuery(campaign.audience)
+        );
+        campaign.queuedAt = new Date();
+        await campaign.save();
+      }
+
+      const deliveries = await NewsletterDelivery.findDue({ campaign: campaign._id }, BATCH_SIZE);
+      for (const delivery of deliveries) {
+        await this.deliver(campaign, delivery);
+        await sleep(SEND_DELAY);
+      }
+
+      if ((await NewsletterDelivery.countRemaining({ campaign: campaign._id })) === 0) {
+        await this.complete(campaign);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Send a campaign to one subscriber and record the outcome
+   * @param {Object} campaign - Campaign being sent
+   * @param {Object} delivery - Pending or failed delivery
+   */
+  async deliver(campaign, delivery) {
+    const claimed = await NewsletterDelivery.claim(delivery);
+    if (!claimed) return;
+
+    // Unsubscribed (or changed preferences) since the campaign was queued
+    const subscriber = await Newsletter.findOne({
+      _id: delivery.subscriber,
+      ...Newsletter.audienceQuery(campaign.audience)
+    });
+    if (!subscriber) {
+      claimed.status = 'skipped';
+      await claimed.save();
+      return;
+    }
+
+    const unsubscribeUrl = await subscriber.getUnsubscribeUrl();
+    const { subject, html } = this.render(campaign, unsubscribeUrl);
+
+    const result = await emailService.sendEmail(subscriber.email, subject, html, {
+      headers: { 'List-Unsubscribe': `<${unsubscribeUrl}>` }
+    });
+    await claimed.recordResult(result);
+  }
+
+  /**
+   * Mark a campaign sent and store its delivery counts
+   * @param {Object} campaign - Campaign being sent
+   */
+  async complete(campaign) {
+    const { pending, ...stats } = await NewsletterDelivery.summarize({ campaign: campaign._id });
+
+    campaign.stats = stats;
+    campaign.status = 'sent';
+    campaign.sentAt = new Date();
+    await campaign.save();
+
+    console.log(
+      `📧 Campaign "${campaign.name}": ${stats.sent} sent, ${stats.failed} failed, ` +
+        `${stats.bounced} bounced, ${stats.skipped} skipped`
+    );
+  }
+
+  /**
+   * Render a campaign email
+   * @param {Object} campaign - Campaign
+   * @param {String} unsubscribeUrl - Recipient's unsubscribe link
+   * @returns {{ subject: String, html: String }}
+   */
+  render(campaign, unsubscribeUrl) {
+    return emailTemplates['newsletter-campaign']({
+      subject: campaign.subject,
+      previewText: campaign.previewText,
+      content: campaign.content,
+      unsubscribeUrl
+    });
+  }
+
+  /**
+   * Email the campaign to a few addresses so it can be checked before it goes out
+   * @param {Object} campaign - Campaign
+   * @param {String[]} recipients - Addresses to send the test to
+   * @returns {Promise<Array>} [{ email, success, error }]
+   */
+  async sendTest(campaign, recipients) {
+    const { subject, html } = this.render(campaign, `${process.env.CLIENT_URL}/unsubscribe`);
+
+    const results = [];
+    for (const email of recipients) {
+      const result = await emailService.sendEmail(email, `[Test] ${subject}`, html);
+      results.push({ email, success: result.success, error: result.error });
+    }
+    return results;
+  }
+
+  /**
+   * Number of subscribers an audience currently reaches
+   * @param {Object} audience - { sources, preferences }
+   * @returns {Promise<number>}
+   */
+  countAudience(audience) {
+    return Newsletter.countDocuments(Newsletter.audienceQuery(audience));
+  }
+}
+
+const campaignService = new CampaignService();
+export default campaignService;
@@ -0,0 +1,134 @@
+/**
+ * Cohort Analysis Service
+ * Groups users by the month they signed up and follows how many of each
+ * cohort go on to post and to comment in the months after.
+ *
+ * Month 0 is the signup month. A user counts as posting in a month when
+ * they submitted a post (drafts aside) in it, and as commenting when they
+ * wrote a comment in it. Cohorts can be split by university affiliation
+ * (roleApplication) or by department; users who left the field empty are
+ * grouped under 'unspecified'.
+ */
+
+import BlogPost from '../models/blogpost/index.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+
+export const COHORT_SEGMENTS = ['roleApplication', 'department'];
+
+const DEFAULT_MONTHS = 6; // months after signup followed
+const MAX_MONTHS = 12;
+const UNSPECIFIED = 'unspecified';
+
+const toMonth = (date) => date.toISOString().slice(0, 7);
+
+// Months since year 0, so two months can be subtracted
+const monthNumber = (month) => {
+  const [year, index] = month.split('-').map(Number);
+  return year * 12 + index - 1;
+};
+
+const rate = (count, total) => (total ? Math.round((count / total) * 1000) / 10 : 0);
+
+class CohortAnalysisService {
+  /**
+   * Signup cohorts with their posting and commenting retention
+   * @param {Object} options
+   * @param {{ from: Date, to: Date }} options.range - Signups included; from is
+   *   moved back to the start of its month so no cohort is partial
+   * @param {string} [options.segment] - One of COHORT_SEGMENTS to split by
+   * @param {Object} [options.filters] - { roleApplication, department } to
+   *   only include some users
+   * @param {number} [options.months] - Months after signup followed
+   * @returns {Promise<Object>} { months, cohorts: [{ cohort: 'YYYY-MM', segment,
+   *   users, posting: [{ month, active, rate }], commenting: [...] }] }
+   */
+  async getCohorts({ range, segment, filters = {}, months = DEFAULT_MONTHS }) {
+    const followed = Math.min(Math.max(parseInt(months) || DEFAULT_MONTHS, 1), MAX_MONTHS);
+    const from = new Date(Date.UTC(range.from.getUTCFullYear(), range.from.getUTCMonth(), 1));
+
+    const users = await User.find({ createdAt: { $gte: from, $lt: range.to }, ...filters })
+      .select(`createdAt ${segment || ''}`)
+      .lean();
+
+    // Each user's cohort, and the cohorts in the order they are reported
+    const cohortOf = new Map();
+    const cohorts = new Map();
+    for (const user of users) {
+      const month = toMonth(user.createdAt);
+      const group = segment ? (user[segment]?.trim() || UNSPECIFIED) : null;
+      const key = `${month}|${group}`;
+
+      if (!cohorts.has(key)) {
+        cohorts.set(key, {
+          cohort: month,
+          segment: group,
+          users: 0,
+          posting: new Array(followed + 1).fill(0),
+          commenting: new Array(followed + 1).fill(0)
+        });
+      }
+      cohorts.get(key).users += 1;
+      cohortOf.set(user._id.toString(), key);
+    }
+
+    if (users.length > 0) {
+      const authors = users.map(user => user._id);
+      const [posted, commented] = await Promise.all([
+        this.activeMonths(BlogPost, { author: { $in: authors }, status: { $ne: 'draft' } }, from),
+        this.activeMonths(Comment, { author: { $in: authors } }, from)
+      ]);
+
+      for (const [activity, field] of [[posted, 'posting'], [commented, 'commenting']]) {
+        for (const { _id } of activity) {
+          const cohort = cohorts.get(cohortOf.get(_id.user.toString()));
+          const offset = monthNumber(_id.month) - monthNumber(cohort.cohort);
+          if (offset >= 0 && offset <= followed) cohort[field][offset] += 1;
+        }
+      }
+    }
+
+    // Months that haven't happened yet are left out rather than shown as 0%
+    const currentMonth = monthNumber(toMonth(new Date()));
+    return {
+      months: followed,
+      cohorts: [...cohorts.values()]
+        .sort((a, b) => a.cohort.localeCompare(b.cohort) || b.users - a.users)
+        .map(cohort => {
+          const elapsed = Math.min(currentMonth - monthNumber(cohort.cohort), followed);
+          const retention = (counts) => counts.slice(0, elapsed + 1).map((active, month) => ({
+            month,
+            active,
+            rate: rate(active, cohort.users)
+          }));
+
+          return {
+            ...cohort,
+            posting: retention(cohort.posting),
+            commenting: retention(cohort.commenting)
+          };
+        })
+    };
+  }
+
+  /**
+   * The months in which each user was active, once per user and month
+   * @returns {Promise<Array>} [{ _id: { user, month: 'YYYY-MM' } }]
+   */
+  activeMonths(Model, match, from) {
+    return Model.aggregate([
+      { $match: { ...match, createdAt: { $gte: from } } },
+      {
+        $group: {
+          _id: {
+            user: '$author',
+            month: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }
+          }
+        }
+      }
+    ]);
+  }
+}
+
+const cohortAnalysisService = new CohortAnalysisService();
+export default cohortAnalysisService;
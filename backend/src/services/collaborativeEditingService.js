@@ -0,0 +1,283 @@
+/**
+ * ============================================================================
+ * COLLABORATIVE EDITING SERVICE
+ * ============================================================================
+ * Server-authoritative operational transformation for co-authored posts.
+ *
+ * Each post being edited gets an in-memory session holding the current
+ * document, its version and a bounded history of applied operations.
+ * Clients send operations against the version they last saw; the server
+ * transforms them over everything applied since, bumps the version and
+ * broadcasts the result. The document is persisted back to the post on a
+ * debounce and when the last editor leaves.
+ */
+
+import BlogPost from '../models/blogpost/index.js';
+import searchService from './searchService.js';
+import {
+  apply,
+  transform,
+  isValidOperation,
+  isNoop,
+  baseLength
+} from '../utils/textOperation.js';
+
+const HISTORY_LIMIT = 500; // operations kept for reconnect catch-up
+const PERSIST_DELAY = 2000; // ms of quiet before writing to the database
+
+class CollaborativeEditingService {
+  constructor() {
+    // Map: postId -> session
+    this.sessions = new Map();
+    // Map: postId -> Promise<session> while a session is loading
+    this.loading = new Map();
+  }
+
+  /**
+   * Get or load the editing session for a post
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} Session
+   */
+  async getSession(postId) {
+    if (this.sessions.has(postId)) {
+      return this.sessions.get(postId);
+    }
+    if (this.loading.has(postId)) {
+      return this.loading.get(postId);
+    }
+
+    const load = BlogPost.findById(postId)
+      .setOptions({ skipPopulate: true })
+      .select('content collabVersion')
+      .lean()
+      .then(post => {
+        if (!post) {
+          throw new Error('Post not found');
+        }
+
+        const session = {
+          postId,
+          document: post.content || '',
+          version: post.collabVersion || 0,
+          // history[i] is the operation that produced version (firstVersion + i + 1)
+          history: [],
+          firstVersion: post.collabVersion || 0,
+          // Last sequence number applied per client, to drop resent operations
+          lastSeq: new Map(),
+          participants: new Set(),
+          dirty: false,
+          persistTimer: null
+        };
+
+        this.sessions.set(postId, session);
+        return session;
+      })
+      .finally(() => this.loading.delete(postId));
+
+    this.loading.set(postId, load);
+    return load;
+  }
+
+  /**
+   * Register a socket in a session and return what it needs to catch up
+   * @param {string} postId - Post ID
+   * @param {string} socketId - Socket ID
+   * @param {number|null} knownVersion - Last version the client saw (reconnects)
+   * @returns {Promise<Object>} Either the operations since knownVersion or a snapshot
+   */
+  async join(postId, socketId, knownVersion = null) {
+    const session = await this.getSession(postId);
+    session.participants.add(socketId);
+
+    if (
+      Number.isInteger(knownVersion) &&
+      knownVersion >= session.firstVersion &&
+      knownVersion <= session.version
+    ) {
+      return {
+        version: session.version,
+        operations: session.history.slice(knownVersion - session.firstVersion)
+      };
+    }
+
+    return {
+      version: session.version,
+      document: session.document
+    };
+  }
+
+  /**
+   * Remove a socket from a session, persisting and closing it if it was the last one
+   * @param {string} postId - Post ID
+   * @param {string} socketId - Socket ID
+   */
+  async leave(postId, socketId) {
+    const session = this.sessions.get(postId);
+    if (!session) return;
+
+    session.participants.delete(socketId);
+    if (session.participants.size > 0) return;
+
+    clearTimeout(session.persistTimer);
+    await this.persist(session);
+
+    // Nobody rejoined while we were saving
+    if (session.participants.size === 0) {
+      this.sessions.delete(postId);
+    }
+  }
+
+  /**
+   * Apply a client operation to the session document
+   * @param {string} postId - Post ID
+   * @param {Object} payload - { clientId, seq, version, operation, userId }
+   * @returns {Promise<Object>} { entry, duplicate } where entry is the applied history item
+   */
+  async receiveOperation(postId, { clientId, seq, version, operation, userId }) {
+    const session = this.sessions.get(postId);
+    if (!session) {
+      throw new Error('No active editing session for this post');
+    }
+    if (!isValidOperation(operation)) {
+      throw new Error('Malformed operation');
+    }
+    if (!Number.isInteger(version) || version > session.version) {
+      throw new Error('Operation is based on an unknown version');
+    }
+    if (version < session.firstVersion) {
+      throw new Error('Operation is too old to merge, please resync');
+    }
+
+    // Resent after a reconnect but already applied - just acknowledge it
+    const lastSeq = session.lastSeq.get(clientId);
+    if (lastSeq !== undefined && seq <= lastSeq) {
+      const existing = session.history.find(h => h.clientId === clientId && h.seq === seq);
+      return { entry: existing || { version: session.version, clientId, seq }, duplicate: true };
+    }
+
+    // Transform over every operation the client had not seen yet
+    let transformed = operation;
+    for (const concurrent of session.history.slice(version - session.firstVersion)) {
+      [, transformed] = transform(concurrent.operation, transformed);
+    }
+
+    if (baseLength(transformed) !== session.document.length) {
+      throw new Error('Operation does not match the document, please resync');
+    }
+
+    session.document = apply(session.document, transformed);
+    session.version += 1;
+    session.lastSeq.set(clientId, seq);
+
+    const entry = {
+      version: session.version,
+      operation: transformed,
+      clientId,
+      seq,
+      userId
+    };
+
+    session.history.push(entry);
+    if (session.history.length > HISTORY_LIMIT) {
+      session.history.shift();
+      session.firstVersion += 1;
+    }
+
+    if (!isNoop(transformed)) {
+      this.schedulePersist(session);
+    }
+
+    return { entry, duplicate: false };
+  }
+
+  /**
+   * Debounce writing the session document to the database
+   * @param {Object} session - Session
+   */
+  schedulePersist(session) {
+    session.dirty = true;
+    clearTimeout(session.persistTimer);
+    session.persistTimer = setTimeout(() => {
+      this.persist(session).catch(error => {
+        console.error('Error persisting collaborative document:', error);
+      });
+    }, PERSIST_DELAY);
+  }
+
+  /**
+   * Write the session document back to the post
+   * Uses updateOne so status-transition hooks on save() are not involved
+   * @param {Object} session - Session
+   */
+  async persist(session) {
+    if (!session.dirty) return;
+
+    // Cleared before the write so edits made while it runs mark the session again
+    session.dirty = false;
+    try {
+      await BlogPost.updateOne(
+        { _id: session.postId },
+        {
+          $set: {
+            content: session.document,
+            collabVersion: session.version,
+            updatedAt: new Date()
+          }
+        }
+      );
+    } catch (error) {
+      // Not saved - leave it for the next persist
+      session.dirty = true;
+      throw error;
+    }
+    // updateOne skips the post middleware that keeps search in sync
+    await searchService.reindexPost(session.postId);
+  }
+
+  /**
+   * Persist every open session (used on shutdown)
+   */
+  async flushAll() {
+    const sessions = Array.from(this.sessions.values());
+    for (const session of sessions) {
+      clearTimeout(session.persistTimer);
+    }
+    await Promise.all(sessions.map(session => this.persist(session)));
+  }
+
+  /**
+   * Replace the document of an open session (e.g. after a revision restore)
+   * History is dropped so reconnecting clients fetch a snapshot instead of old operations
+   * @param {string} postId - Post ID
+   * @param {string} content - New document
+   * @returns {Object|null} { version, document } to send to editors, or null if no session
+   */
+  resetDocument(postId, content) {
+    const session = this.sessions.get(postId);
+    if (!session) return null;
+
+    clearTimeout(session.persistTimer);
+    session.document = content || '';
+    session.version += 1;
+    session.history = [];
+    session.firstVersion = session.version;
+    session.lastSeq.clear();
+    this.schedulePersist(session);
+
+    return { version: session.version, document: session.document };
+  }
+
+  /**
+   * Check if a post has an active editing session
+   * @param {string} postId - Post ID
+   * @returns {boolean} True if the session is open
+   */
+  hasSession(postId) {
+    return this.sessions.has(postId);
+  }
+}
+
+// Singleton instance
+const collaborativeEditingService = new CollaborativeEditingService();
+
+export default collaborativeEditingService;
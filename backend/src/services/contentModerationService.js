@@ -6,8 +6,8 @@
  */
 
 import openaiService from './openaiService.js';
-import Notification from '../models/Notification.js';
-import User from '../models/User.js';
+import NotificationService from './notificationService.js';
+import permissionService from './permissionService.js';
 
 // ==================== HARMFUL CONTENT PATTERNS ====================
 
@@ -217,20 +217,14 @@ export const moderateContent = async (content, title = '', options = {}) => {
  * Report content to moderators
  * @param {Object} params - Report parameters
  */
-export const reportToModerators = async ({ postId, postTitle, authorId, reason, flags, severity, reportedBy }) => {
+export const reportToModerators = async ({ postId, postTitle, category, authorId, reason, flags, severity, reportedBy }) => {
   try {
-    // Find all moderators and admins
-    const moderators = await User.find({
-      $or: [
-        { role: { $in: ['admin', 'moderator'] } },
-        { roles: { $in: ['admin', 'moderator'] } }
-      ],
-      isActive: true
-    }).select('_id');
+    // Everyone who reviews posts in the post's category
+    const moderatorIds = await permissionService.usersWith('post.approve', category);
     
     // Create notifications for each moderator
-    const notifications = moderators.map(mod => ({
-      recipient: mod._id,
+    const notifications = moderatorIds.map(moderatorId => ({
+      recipient: moderatorId,
       sender: reportedBy || null,
       type: 'content_flagged',
       title: `Content Flagged: ${severity.toUpperCase()}`,
@@ -247,13 +241,13 @@ export const reportToModerators = async ({ postId, postTitle, authorId, reason,
       priority: severity === 'critical' ? 'high' : 'normal'
     }));
     
-    await Notification.insertMany(notifications);
+    await NotificationService.deliverMany(notifications);
     
-    console.log(`📢 Content flagged: ${postTitle} - Notified ${moderators.length} moderators`);
+    console.log(`📢 Content flagged: ${postTitle} - Notified ${moderatorIds.length} moderators`);
     
     return {
       success: true,
-      notifiedCount: moderators.length
+      notifiedCount: moderatorIds.length
     };
   } catch (error) {
     console.error('Error reporting to moderators:', error);
@@ -283,6 +277,7 @@ export const autoModeratePost = async (post, options = {}) => {
     await reportToModerators({
       postId: post._id,
       postTitle: post.title,
+      category: post.category,
       authorId: post.author,
       reason: result.flags.map(f => f.type || f.issue).join(', '),
       flags: result.flags,
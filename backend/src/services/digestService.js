@@ -0,0 +1,317 @@
+/**
+ * Weekly Digest Service
+ * Emails newsletter subscribers the top published posts of the past week.
+ *
+ * Once the send time has passed (Monday morning, UTC), the previous week's
+ * digest is put together and a pending delivery is recorded for every
+ * subscriber who wants it. Pending deliveries are then sent in small batches
+ * on each check, so the mail server is never flooded. Every delivery ends up
+ * sent, failed, bounced or skipped; because the queue lives in the database, a
+ * run that stops part way (a crash or a restart) carries on from where it was.
+ */
+
+import BlogPost from '../models/blogpost/index.js';
+import User from '../models/User.js';
+import Newsletter from '../models/Newsletter.js';
+import DigestRun from '../models/DigestRun.js';
+import NewsletterDelivery from '../models/NewsletterDelivery.js';
+import emailService from './emailService.js';
+import { emailTemplates } from '../utils/emailTemplates.js';
+
+const CHECK_INTERVAL = 60 * 1000; // ms between checks
+const SEND_DAY = 1; // Monday (0 = Sunday)
+const SEND_HOUR = 8; // UTC hour the digest goes out
+const BATCH_SIZE = 50; // emails sent per check
+const SEND_DELAY = 200; // ms between emails within a batch
+const POSTS_PER_CATEGORY = 3;
+const MAX_CATEGORIES = 6;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 'computer-science' -> 'Computer Science'
+const formatCategory = (category) =>
+  category
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+class DigestService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start checking for a digest to send
+   * @param {number} [interval] - Milliseconds between checks
+   */
+  start(interval = CHECK_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runSafely(), interval);
+    this.timer.unref?.();
+    this.runSafely();
+  }
+
+  /**
+   * Stop checking for a digest to send
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runSafely() {
+    try {
+      await this.processDue();
+    } catch (error) {
+      console.error('Error sending weekly digest:', error);
+    }
+  }
+
+  /**
+   * The most recent week whose digest is due
+   * @param {Date} [now]
+   * @returns {{ weekStart: Date, weekEnd: Date }}
+   */
+  getDueWeek(now = new Date()) {
+    // Start of the current week (Monday 00:00 UTC)
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const daysSinceMonday = (today.getUTCDay() + 6) % 7;
+    let weekEnd = new Date(today.getTime() - daysSinceMonday * DAY);
+
+    // Before this week's send time, last week's digest is still the latest
+    const sendAt = weekEnd.getTime() + ((SEND_DAY + 6) % 7) * DAY + SEND_HOUR * 60 * 60 * 1000;
+    if (now.getTime() < sendAt) {
+      weekEnd = new Date(weekEnd.getTime() - 7 * DAY);
+    }
+
+    return {
+      weekStart: new Date(weekEnd.getTime() - 7 * DAY),
+      weekEnd
+    };
+  }
+
+  /**
+   * Create, queue and send the digest that is due, a batch at a time
+   * @returns {Promise<Object|null>} The run worked on, if any
+   */
+  async processDue() {
+    // A slow batch must not overlap with the next tick
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const run = await this.getOrCreateRun(this.getDueWeek());
+      if (run.status === 'completed') return run;
+
+      if (!run.queuedAt) {
+        await this.queueDeliveries(run);
+      }
+
+      const remaining = await this.sendBatch(run);
+      if (remaining === 0) {
+        await this.completeRun(run);
+      }
+      return run;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Find the run for a week, putting its digest together the first time
+   * @param {{ weekStart: Date, weekEnd: Date }} week
+   */
+  async getOrCreateRun({ weekStart, weekEnd }) {
+    const existing = await DigestRun.findOne({ weekStart });
+    if (existing) return existing;
+
+    const categories = await this.buildDigest(weekStart, weekEnd);
+
+    try {
+      return await DigestRun.create({ weekStart, weekEnd, categories });
+    } catch (error) {
+      // Another instance created it first
+      if (error.code === 11000) return DigestRun.findOne({ weekStart });
+      throw error;
+    }
+  }
+
+  /**
+   * Top published posts of a week, grouped by category
+   *
+   * Posts are ranked by views plus weighted likes and comments. Categories are
+   * ordered by the combined score of their top posts.
+   * @param {Date} weekStart
+   * @param {Date} weekEnd
+   * @returns {Promise<Array>} [{ category, posts }]
+   */
+  async buildDigest(weekStart, weekEnd) {
+    const groups = await BlogPost.aggregate([
+      {
+        $match: {
+          status: 'published',
+          publishedAt: { $gte: weekStart, $lt: weekEnd }
+        }
+      },
+      {
+        $addFields: {
+          score: {
+            $add: [
+              { $ifNull: ['$views', 0] },
+              { $multiply: [{ $ifNull: ['$likesCount', 0] }, 3] },
+              { $multiply: [{ $ifNull: ['$commentsCount', 0] }, 5] }
+            ]
+          }
+        }
+      },
+      { $sort: { score: -1, publishedAt: -1 } },
+      {
+        $group: {
+          _id: '$category',
+          posts: {
+            $push: {
+              post: '$_id',
+              title: '$title',
+              excerpt: '$excerpt',
+              featuredImage: '$featuredImage',
+              author: '$author',
+              publishedAt: '$publishedAt',
+              score: '$score'
+            }
+          }
+        }
+      },
+      { $project: { posts: { $slice: ['$posts', POSTS_PER_CATEGORY] } } },
+      { $addFields: { score: { $sum: '$posts.score' } } },
+      { $sort: { score: -1 } },
+      { $limit: MAX_CATEGORIES }
+    ]);
+
+    const authorIds = groups.flatMap((group) => group.posts.map((post) => post.author));
+    const authors = await User.find({ _id: { $in: authorIds } }).select('firstName lastName').lean();
+    const authorNames = new Map(
+      authors.map((author) => [author._id.toString(), `${author.firstName} ${author.lastName}`])
+    );
+
+    return groups.map((group) => ({
+      category: group._id,
+      posts: group.posts.map(({ author, score, ...post }) => ({
+        ...post,
+        authorName: authorNames.get(author?.toString())
+      }))
+    }));
+  }
+
+  /**
+   * Record a pending delivery for every subscriber who wants the digest
+   * @param {Object} run - Digest run
+   */
+  async queueDeliveries(run) {
+    if (run.categories.length > 0) {
+      await NewsletterDelivery.queue(
+        { digest: run._id },
+        { isActive: true, 'preferences.weeklyDigest': true }
+      );
+    }
+
+    run.queuedAt = new Date();
+    run.status = 'sending';
+    await run.save();
+  }
+
+  /**
+   * Send the next batch of deliveries
+   * @param {Object} run - Digest run
+   * @returns {Promise<number>} Deliveries still waiting to be sent or retried
+   */
+  async sendBatch(run) {
+    const deliveries = await NewsletterDelivery.findDue({ digest: run._id }, BATCH_SIZE);
+
+    for (const delivery of deliveries) {
+      await this.deliver(run, delivery);
+      await sleep(SEND_DELAY);
+    }
+
+    return NewsletterDelivery.countRemaining({ digest: run._id });
+  }
+
+  /**
+   * Send the digest to one subscriber and record the outcome
+   * @param {Object} run - Digest run
+   * @param {Object} delivery - Pending or failed delivery
+   */
+  async deliver(run, delivery) {
+    const claimed = await NewsletterDelivery.claim(delivery);
+    if (!claimed) return;
+
+    const subscriber = await Newsletter.findById(delivery.subscriber);
+
+    // Unsubscribed (or switched the digest off) since the run was queued
+    if (!subscriber || !subscriber.isActive || !subscriber.preferences?.weeklyDigest) {
+      claimed.status = 'skipped';
+      await claimed.save();
+      return;
+    }
+
+    const unsubscribeUrl = await subscriber.getUnsubscribeUrl();
+    const { subject, html } = this.render(run, unsubscribeUrl);
+
+    const result = await emailService.sendEmail(subscriber.email, subject, html, {
+      headers: { 'List-Unsubscribe': `<${unsubscribeUrl}>` }
+    });
+    await claimed.recordResult(result);
+  }
+
+  /**
+   * Render the digest email for one subscriber
+   * @param {Object} run - Digest run
+   * @param {String} unsubscribeUrl - Subscriber's unsubscribe link
+   * @returns {{ subject: String, html: String }}
+   */
+  render(run, unsubscribeUrl) {
+    const lastDay = new Date(run.weekEnd.getTime() - DAY);
+    const formatDay = (date) =>
+      date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+    return emailTemplates['weekly-digest']({
+      weekLabel: `${formatDay(run.weekStart)} - ${formatDay(lastDay)}, ${lastDay.getUTCFullYear()}`,
+      categories: run.categories.map((group) => ({
+        label: formatCategory(group.category),
+        posts: group.posts.map((post) => ({
+          title: post.title,
+          excerpt: post.excerpt,
+          featuredImage: post.featuredImage,
+          authorName: post.authorName,
+          url: `${process.env.CLIENT_URL}/posts/${post.post}`
+        }))
+      })),
+      blogUrl: `${process.env.CLIENT_URL}/blogs`,
+      unsubscribeUrl
+    });
+  }
+
+  /**
+   * Mark a run completed and store its delivery counts
+   * @param {Object} run - Digest run
+   */
+  async completeRun(run) {
+    const { pending, ...stats } = await NewsletterDelivery.summarize({ digest: run._id });
+
+    run.stats = stats;
+    run.status = 'completed';
+    run.completedAt = new Date();
+    await run.save();
+
+    console.log(
+      `📧 Weekly digest for ${run.weekStart.toISOString().slice(0, 10)}: ` +
+        `${stats.sent} sent, ${stats.failed} failed, ${stats.bounced} bounced, ${stats.skipped} skipped`
+    );
+  }
+}
+
+const digestService = new DigestService();
+export default digestService;
@@ -3,6 +3,7 @@ import path from 'path';
 import fs from 'fs/promises';
 import Document from '../models/Document.js';
 import User from '../models/User.js';
+import permissionService from './permissionService.js';
 
 /**
  * Document Service
@@ -129,16 +130,16 @@ export const getDocument = async (documentId, requesterId) => {
     throw new Error('Document not found');
   }
   
-  // Check access control - only admin or document owner can access
+  // Check access control - only document managers or the owner can access
   const requester = await User.findById(requesterId);
   if (!requester) {
     throw new Error('Unauthorized access');
   }
   
-  const isAdmin = requester.role === 'admin' || requester.roles?.includes('admin');
+  const isManager = await permissionService.has(requester, 'document.manage');
   const isOwner = document.userId.toString() === requesterId.toString();
   
-  if (!isAdmin && !isOwner) {
+  if (!isManager && !isOwner) {
     throw new Error('You do not have permission to access this document');
   }
   
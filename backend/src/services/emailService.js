@@ -1,21 +1,43 @@
 import transporter from '../config/email.js';
 
 class EmailService {
-  async sendEmail(to, subject, html) {
+  /**
+   * Send an email
+   * @param {String} to - Recipient address
+   * @param {String} subject - Subject line
+   * @param {String} html - HTML body
+   * @param {Object} [options] - Extra headers, e.g. List-Unsubscribe, and
+   *   attachments as nodemailer takes them ({ filename, content, contentType })
+   * @returns {Promise<Object>} { success, error, bounced } - bounced is set when
+   *   the mail server permanently rejected the recipient
+   */
+  async sendEmail(to, subject, html, { headers, attachments } = {}) {
     try {
       const mailOptions = {
         from: `"Admas University Blog" <${process.env.SMTP_USER}>`,
         to,
         subject,
-        html
+        html,
+        ...(headers && { headers }),
+        ...(attachments && { attachments })
       };
 
-      await transporter.sendMail(mailOptions);
+      const info = await transporter.sendMail(mailOptions);
+      if (info?.rejected?.length > 0) {
+        console.error(`❌ Recipient rejected: ${to}`);
+        return { success: false, error: 'Recipient rejected', bounced: true };
+      }
+
       console.log(`📧 Email sent to ${to}`);
       return { success: true };
     } catch (error) {
       console.error(`❌ Failed to send email to ${to}:`, error.message);
-      return { success: false, error: error.message };
+      // 5xx replies are permanent failures such as an unknown mailbox
+      return {
+        success: false,
+        error: error.message,
+        bounced: error.responseCode >= 500 && error.responseCode < 600
+      };
     }
   }
 
@@ -206,6 +228,48 @@ class EmailService {
     return await this.sendEmail(user.email, subject, html);
   }
 
+  async sendAccountLockedEmail(user, unlockUrl, lockoutMinutes) {
+    const subject = 'Your Account Was Locked - Admas University Blog';
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #b45309, #f59e0b); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { background: #b45309; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: 600; }
+          .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; color: #64748b; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>Account Locked</h1>
+        </div>
+        <div class="content">
+          <p>Hello <strong>${user.firstName} ${user.lastName}</strong>,</p>
+          <p>Your Admas University Blog account was locked after too many failed login attempts. It will unlock automatically in ${lockoutMinutes} minutes.</p>
+
+          <p>If this was you, you can unlock it now:</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${unlockUrl}" class="button">Unlock My Account</a>
+          </div>
+
+          <p><strong>If this wasn't you,</strong> someone may be trying to guess your password. Don't use the link; reset your password with "Forgot password?" on the login page instead.</p>
+
+          <div class="footer">
+            <p>Admas University Blog Platform</p>
+            <p>© 2024 Admas University. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(user.email, subject, html);
+  }
+
   async sendNewsletterWelcome(email, unsubscribeToken) {
     const unsubscribeUrl = `${process.env.CLIENT_URL}/unsubscribe?token=${unsubscribeToken}`;
     const subject = '🎉 Welcome to Admas University Newsletter!';
@@ -0,0 +1,175 @@
+/**
+ * Mention Service
+ * Finds @username mentions in posts and comments and notifies the people
+ * mentioned.
+ *
+ * Only users who can be mentioned by the author are picked up: a private
+ * profile can't be mentioned, and a followers-only profile can be mentioned
+ * by its followers. Everyone picked up is remembered on the post or comment,
+ * so editing it later only notifies people who are newly mentioned. Whether
+ * and how the notification arrives is up to the recipient's notification
+ * preferences, applied by NotificationService.
+ */
+
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import NotificationService from './notificationService.js';
+
+// Matches the username rules in the User model. The preceding character
+// check keeps email addresses from counting as mentions.
+const MENTION_PATTERN = /(^|[^\w@.-])@([a-zA-Z0-9_-]{3,30})/g;
+
+const MAX_MENTIONS = 20;
+const MAX_SUGGESTIONS = 8;
+const PREVIEW_LENGTH = 100;
+
+const USER_FIELDS = 'username firstName lastName profile.avatar preferences.profileVisibility';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toPlainText = (text = '') => text.replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ');
+
+const idOf = (ref) => (ref?._id || ref).toString();
+
+class MentionService {
+  /**
+   * Usernames mentioned in a piece of text (HTML tags are ignored)
+   * @param {string} text
+   * @returns {Array<string>} Lowercased usernames, at most MAX_MENTIONS
+   */
+  extractUsernames(text) {
+    const usernames = new Set();
+    for (const match of toPlainText(text).matchAll(MENTION_PATTERN)) {
+      usernames.add(match[2].toLowerCase());
+      if (usernames.size >= MAX_MENTIONS) break;
+    }
+    return [...usernames];
+  }
+
+  /**
+   * Keep only the users the author is allowed to mention
+   * @param {Array} users - User documents with preferences selected
+   * @param {string} authorId - User writing the mention
+   */
+  async filterMentionable(users, authorId) {
+    const candidates = users.filter(user =>
+      idOf(user) !== idOf(authorId) &&
+      user.preferences?.profileVisibility !== 'private'
+    );
+
+    const followersOnly = candidates
+      .filter(user => user.preferences?.profileVisibility === 'followers')
+      .map(user => user._id);
+    if (!followersOnly.length) return candidates;
+
+    const follows = await Follow.find({
+      follower: authorId,
+      following: { $in: followersOnly }
+    }).select('following');
+    const followed = new Set(follows.map(f => f.following.toString()));
+
+    return candidates.filter(user =>
+      user.preferences?.profileVisibility !== 'followers' || followed.has(user._id.toString())
+    );
+  }
+
+  /**
+   * Users the author can mention whose username starts with a prefix
+   * @param {string} prefix - Text typed after "@"
+   * @param {string} authorId - User typing the mention
+   */
+  async suggest(prefix, authorId) {
+    const query = String(prefix || '').trim().toLowerCase();
+    if (!/^[a-z0-9_-]{1,30}$/.test(query)) return [];
+
+    const users = await User.find({
+      username: { $regex: `^${escapeRegex(query)}` },
+      isActive: true
+    })
+      .select(USER_FIELDS)
+      .sort({ username: 1 })
+      .limit(MAX_SUGGESTIONS * 2);
+
+    const mentionable = await this.filterMentionable(users, authorId);
+
+    return mentionable.slice(0, MAX_SUGGESTIONS).map(user => ({
+      _id: user._id,
+      username: user.username,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      avatar: user.profile?.avatar || ''
+    }));
+  }
+
+  /**
+   * Users mentioned in text that the author is allowed to mention
+   */
+  async resolveMentions(text, authorId) {
+    const usernames = this.extractUsernames(text);
+    if (!usernames.length) return [];
+
+    const users = await User.find({ username: { $in: usernames }, isActive: true })
+      .select(USER_FIELDS);
+    return this.filterMentionable(users, authorId);
+  }
+
+  /**
+   * Notify users newly mentioned in a document and remember them on it
+   * @param {Object} doc - Post or comment document with a `mentions` array
+   * @param {string} text - Text to look for mentions in
+   * @param {string} authorId - User who wrote it
+   * @param {Function} notify - Sends the notification for one recipient
+   * @returns {Array} Newly mentioned users
+   */
+  async processMentions(doc, text, authorId, notify) {
+    const alreadyMentioned = new Set((doc.mentions || []).map(idOf));
+    const mentioned = await this.resolveMentions(text, authorId);
+    const newlyMentioned = mentioned.filter(user => !alreadyMentioned.has(user._id.toString()));
+    if (!newlyMentioned.length) return [];
+
+    // updateOne so saving the mentions doesn't run the save hooks again
+    await doc.constructor.updateOne(
+      { _id: doc._id },
+      { $addToSet: { mentions: { $each: newlyMentioned.map(user => user._id) } } }
+    );
+
+    const author = await User.findById(authorId).select('firstName lastName username email');
+    const authorName = author?.fullName || author?.username || 'Someone';
+
+    await Promise.all(newlyMentioned.map(user =>
+      notify(user._id, authorName).catch(error => {
+        console.error(`Error notifying ${user.username} of mention:`, error);
+      })));
+
+    return newlyMentioned;
+  }
+
+  /**
+   * Handle mentions in a post once it is published
+   */
+  async processPostMentions(post) {
+    if (post.status !== 'published') return [];
+
+    return this.processMentions(post, post.content, idOf(post.author), (recipientId, authorName) =>
+      NotificationService.notifyMention(recipientId, idOf(post.author), authorName, {
+        post,
+        preview: post.title
+      })
+    );
+  }
+
+  /**
+   * Handle mentions in a comment
+   */
+  async processCommentMentions(comment) {
+    return this.processMentions(comment, comment.content, idOf(comment.author), (recipientId, authorName) =>
+      NotificationService.notifyMention(recipientId, idOf(comment.author), authorName, {
+        post: { _id: comment.post },
+        comment,
+        preview: comment.content.slice(0, PREVIEW_LENGTH)
+      })
+    );
+  }
+}
+
+export default new MentionService();
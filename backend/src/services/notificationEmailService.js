@@ -0,0 +1,123 @@
+/**
+ * Notification Email Service
+ * Emails notifications to users who chose email for their category.
+ *
+ * NotificationService sets emailScheduledFor when a notification should also
+ * be emailed - straight away, or at the end of the recipient's quiet hours.
+ * Due notifications are sent in batches on an interval. Each one is claimed
+ * before sending so it is emailed once even with several instances running,
+ * and a failed send is retried a few times before it is given up on.
+ */
+
+import Notification from '../models/Notification.js';
+import emailService from './emailService.js';
+import { emailTemplates } from '../utils/emailTemplates.js';
+
+const CHECK_INTERVAL = 60 * 1000; // ms between checks
+const BATCH_SIZE = 50; // emails sent per check
+const MAX_ATTEMPTS = 3; // sends tried before giving up
+const RETRY_DELAY = 15 * 60 * 1000; // ms before a failed send is retried
+
+class NotificationEmailService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start checking for notification emails to send
+   * @param {number} [interval] - Milliseconds between checks
+   */
+  start(interval = CHECK_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runSafely(), interval);
+    this.timer.unref?.();
+    this.runSafely();
+  }
+
+  /**
+   * Stop checking for notification emails to send
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runSafely() {
+    try {
+      await this.sendDue();
+    } catch (error) {
+      console.error('Error sending notification emails:', error);
+    }
+  }
+
+  /**
+   * Send every notification email that is due
+   */
+  async sendDue() {
+    // A slow batch must not overlap with the next tick
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const due = await Notification.find({
+        emailScheduledFor: { $lte: new Date() },
+        emailSent: false
+      })
+        .sort({ emailScheduledFor: 1 })
+        .limit(BATCH_SIZE)
+        .select('_id emailScheduledFor');
+
+      for (const { _id, emailScheduledFor } of due) {
+        await this.send(_id, emailScheduledFor);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Email one notification and record the outcome
+   * @param {string} id - Notification ID
+   * @param {Date} scheduledFor - emailScheduledFor when it was picked up
+   */
+  async send(id, scheduledFor) {
+    // Claimed by moving emailScheduledFor out of the way while it is sent
+    const notification = await Notification.findOneAndUpdate(
+      { _id: id, emailSent: false, emailScheduledFor: scheduledFor },
+      { $set: { emailScheduledFor: new Date(Date.now() + RETRY_DELAY) }, $inc: { emailAttempts: 1 } },
+      { new: true }
+    ).populate('recipient', 'email firstName preferences.emailNotifications');
+    if (!notification) return;
+
+    const recipient = notification.recipient;
+
+    // Already seen in the app, or email switched off since it was created
+    if (notification.read || !recipient?.email || recipient.preferences?.emailNotifications === false) {
+      await Notification.updateOne({ _id: id }, { $unset: { emailScheduledFor: 1 } });
+      return;
+    }
+
+    const { subject, html } = emailTemplates.notification({
+      firstName: recipient.firstName,
+      title: notification.title,
+      message: notification.message,
+      url: notification.link ? `${process.env.CLIENT_URL}${notification.link}` : null,
+      settingsUrl: `${process.env.CLIENT_URL}/settings`
+    });
+
+    const result = await emailService.sendEmail(recipient.email, subject, html);
+
+    if (result.success) {
+      await Notification.updateOne({ _id: id }, { $set: { emailSent: true }, $unset: { emailScheduledFor: 1 } });
+    } else if (result.bounced || notification.emailAttempts >= MAX_ATTEMPTS) {
+      await Notification.updateOne({ _id: id }, { $unset: { emailScheduledFor: 1 } });
+      console.error(`Gave up emailing notification ${id}: ${result.error}`);
+    }
+    // Otherwise emailScheduledFor already points at the retry
+  }
+}
+
+const notificationEmailService = new NotificationEmailService();
+export default notificationEmailService;
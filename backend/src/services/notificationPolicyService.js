@@ -0,0 +1,161 @@
+/**
+ * Notification Policy Service
+ * Decides whether and how a notification reaches its recipient, from the
+ * recipient's preferences. Every NotificationService method asks here first.
+ *
+ *   - Each category goes to 'in_app', 'email' (in-app and email) or 'none'.
+ *     Categories without a chosen channel follow the older on/off flags.
+ *     Required categories are never dropped.
+ *   - emailNotifications switches every email off; pushNotifications switches
+ *     off live alerts (the notification is still stored and counted).
+ *   - Muted posts and people drop everything about them, except required
+ *     categories.
+ *   - During quiet hours, in the user's timezone, there are no live alerts
+ *     and emails wait until quiet hours end.
+ */
+
+import { NOTIFICATION_CATEGORIES } from '../models/Notification.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check that a timezone name is one Intl understands
+ * @param {string} timezone - IANA timezone, e.g. 'Africa/Addis_Ababa'
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+class NotificationPolicyService {
+  /**
+   * Channel a user gets a category on
+   * @param {Object} preferences - User preferences
+   * @param {string} category - Key of NOTIFICATION_CATEGORIES
+   * @returns {string} 'in_app', 'email' or 'none'
+   */
+  resolveChannel(preferences = {}, category) {
+    const { legacyPreference, required } = NOTIFICATION_CATEGORIES[category] || {};
+
+    let channel = preferences.notificationChannels?.[category];
+    if (!channel) {
+      channel = legacyPreference && preferences[legacyPreference] === false ? 'none' : 'in_app';
+    }
+
+    return required && channel === 'none' ? 'in_app' : channel;
+  }
+
+  /**
+   * Channels for every category, as shown in settings
+   * @param {Object} preferences - User preferences
+   * @returns {Object} { [category]: channel }
+   */
+  resolveChannels(preferences = {}) {
+    return Object.fromEntries(
+      Object.keys(NOTIFICATION_CATEGORIES).map(key => [key, this.resolveChannel(preferences, key)])
+    );
+  }
+
+  /**
+   * Minutes past midnight in a timezone
+   * @param {Date} date - Moment to convert
+   * @param {string} timezone - IANA timezone; falls back to UTC
+   * @returns {number}
+   */
+  localMinutes(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const part = (type) => Number(parts.find(p => p.type === type)?.value || 0);
+    return part('hour') * 60 + part('minute');
+  }
+
+  /**
+   * When the user's current quiet hours end
+   * @param {Object} preferences - User preferences
+   * @param {Date} [now] - Current time
+   * @returns {Date|null} End of quiet hours, or null outside them
+   */
+  quietHoursEnd(preferences = {}, now = new Date()) {
+    const { enabled, start, end } = preferences.quietHours || {};
+    if (!enabled || !start || !end || start === end) return null;
+
+    const current = this.localMinutes(now, preferences.timezone);
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+
+    // Windows like 22:00-07:00 wrap past midnight
+    const inside = from < to
+      ? current >= from && current < to
+      : current >= from || current < to;
+    if (!inside) return null;
+
+    const minutesLeft = (to - current + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    endsAt.setUTCSeconds(0, 0);
+    return endsAt;
+  }
+
+  /**
+   * Whether the notification is about a muted post or person
+   * @param {Object} preferences - User preferences
+   * @param {Object} data - Notification data
+   * @returns {boolean}
+   */
+  isMuted(preferences = {}, data) {
+    const post = idOf(data.relatedPost) || idOf(data.metadata?.postId);
+    const sender = idOf(data.sender);
+
+    return Boolean(
+      (post && preferences.mutedPosts?.some(id => idOf(id) === post)) ||
+      (sender && preferences.mutedUsers?.some(id => idOf(id) === sender))
+    );
+  }
+
+  /**
+   * Decide how a notification reaches its recipient
+   * @param {Object} recipient - User with preferences
+   * @param {Object} data - Notification data
+   * @param {string} category - Key of NOTIFICATION_CATEGORIES
+   * @param {Date} [now] - Current time
+   * @returns {{ deliver: boolean, live: boolean, emailAt: Date|null }}
+   */
+  decide(recipient, data, category, now = new Date()) {
+    const preferences = recipient?.preferences || {};
+    const { required } = NOTIFICATION_CATEGORIES[category] || {};
+    const channel = this.resolveChannel(preferences, category);
+
+    if (channel === 'none' || (!required && this.isMuted(preferences, data))) {
+      return { deliver: false, live: false, emailAt: null };
+    }
+
+    const quietUntil = this.quietHoursEnd(preferences, now);
+    const email = channel === 'email' && preferences.emailNotifications !== false;
+
+    return {
+      deliver: true,
+      live: preferences.pushNotifications !== false && !quietUntil,
+      emailAt: email ? quietUntil || now : null
+    };
+  }
+}
+
+const notificationPolicyService = new NotificationPolicyService();
+export default notificationPolicyService;
@@ -1,21 +1,53 @@
-import Notification from '../models/Notification.js';
+import Notification, { categoryForType } from '../models/Notification.js';
+import User from '../models/User.js';
 import socketService from './socketService.js';
+import notificationPolicyService from './notificationPolicyService.js';
+
+// What the delivery policy needs to know about a recipient
+const POLICY_FIELDS = 'role preferences';
+
+/**
+ * Format a publication time for notification text
+ */
+const formatScheduleTime = (date) => new Date(date).toLocaleString('en-US', {
+  dateStyle: 'medium',
+  timeStyle: 'short',
+  timeZone: 'UTC'
+}) + ' UTC';
+
+/**
+ * "Abebe" / "Abebe and 1 other" / "Abebe and 9 others"
+ */
+const andOthers = (name, others) => {
+  if (others <= 0) return name;
+  return `${name} and ${others} other${others === 1 ? '' : 's'}`;
+};
 
 /**
  * Notification Service
  * Handles creating notifications for various events
  * Now includes real-time socket event emission
+ *
+ * Every notification goes through deliver/deliverMany, which apply the
+ * recipient's preferences via notificationPolicyService: the category's
+ * channel, mutes and quiet hours.
+ *
+ * Likes, comments, replies and follows are grouped: while the recipient
+ * hasn't read the notification, the next one of the same kind on the same
+ * post or comment is folded into it ("Abebe and 9 others liked your post")
+ * and it is sent again as new.
  */
 class NotificationService {
   /**
    * Helper to emit notification and update count
    * @param {string} userId - Recipient user ID
    * @param {Object} notification - Notification object
+   * @param {boolean} [live] - Push the notification itself, not just the new count
    */
-  static async emitNotification(userId, notification) {
+  static async emitNotification(userId, notification, live = true) {
     try {
       // Emit the new notification
-      socketService.sendNotification(userId.toString(), notification);
+      if (live) socketService.sendNotification(userId.toString(), notification);
 
       // Update unread count
       const count = await Notification.countDocuments({
@@ -28,6 +60,133 @@ class NotificationService {
     }
   }
 
+  /**
+   * Store and emit a notification if the recipient's preferences allow it
+   * @param {Object} data - Notification fields
+   * @param {string} [category] - Preference category; defaults from the type
+   * @returns {Promise<Object|null>} Notification, or null if it was dropped
+   */
+  static async deliver(data, category = categoryForType(data.type), group = null) {
+    const recipient = await User.findById(data.recipient).select(POLICY_FIELDS);
+    return this.deliverTo(recipient, data, category, group);
+  }
+
+  /**
+   * Same as deliver, for a recipient already loaded with POLICY_FIELDS
+   * @param {Object} [group] - { key, message(others) } to fold repeats into one notification
+   */
+  static async deliverTo(recipient, data, category = categoryForType(data.type), group = null) {
+    if (!recipient) return null;
+
+    const decision = notificationPolicyService.decide(recipient, data, category);
+    if (!decision.deliver) return null;
+
+    const fields = {
+      ...data,
+      ...(decision.emailAt && { emailScheduledFor: decision.emailAt })
+    };
+    const notification = group
+      ? await this.addToGroup(fields, group)
+      : await Notification.createNotification(fields);
+    if (!notification) return null;
+
+    await this.emitNotification(recipient._id, notification, decision.live);
+
+    return notification;
+  }
+
+  /**
+   * Fold a notification into the recipient's unread one with the same group
+   * key, or start the group
+   * @param {Object} data - Notification fields; sender is the new actor
+   * @param {Object} group - { key, message(others) }
+   * @returns {Promise<Object|null>} Grouped notification, or null if the
+   *   sender was already counted in it
+   */
+  static async addToGroup(data, group) {
+    const filter = { recipient: data.recipient, groupKey: group.key, read: false };
+
+    const existing = await Notification.findOne(filter).select('actors');
+    if (existing?.actors.some(actor => actor.toString() === data.sender.toString())) {
+      return null;
+    }
+
+    if (existing) {
+      // Keeps the email that is already due rather than scheduling another
+      const updated = await Notification.findOneAndUpdate(
+        { ...filter, _id: existing._id, actors: { $ne: data.sender } },
+        {
+          $push: { actors: { $each: [data.sender], $position: 0 } },
+          $inc: { actorCount: 1 },
+          // Moved back to the top of the list
+          $set: { sender: data.sender, createdAt: new Date() }
+        },
+        { new: true, overwriteImmutable: true }
+      );
+
+      if (updated) {
+        updated.message = group.message(updated.actorCount - 1);
+        await updated.save();
+        return updated.populate(['sender', 'relatedPost']);
+      }
+      // Read or changed in the meantime; start a new group below
+    }
+
+    return Notification.createNotification({
+      ...data,
+      groupKey: group.key,
+      actors: [data.sender],
+      actorCount: 1
+    });
+  }
+
+  /**
+   * Deliver one notification to each of many recipients
+   * @param {Array<Object>} items - Notification fields, one per recipient
+   * @param {string} [category] - Preference category; defaults from the type
+   * @returns {Promise<Array>} Notifications that were created
+   */
+  static async deliverMany(items, category) {
+    if (!items?.length) return [];
+
+    const recipients = await User.find({ _id: { $in: items.map(item => item.recipient) } })
+      .select(POLICY_FIELDS);
+    const byId = new Map(recipients.map(user => [user._id.toString(), user]));
+
+    const accepted = [];
+    for (const data of items) {
+      const recipient = byId.get(data.recipient.toString());
+      if (!recipient) continue;
+
+      const decision = notificationPolicyService.decide(recipient, data, category || categoryForType(data.type));
+      if (!decision.deliver) continue;
+
+      accepted.push({
+        data: { ...data, ...(decision.emailAt && { emailScheduledFor: decision.emailAt }) },
+        live: decision.live
+      });
+    }
+    if (accepted.length === 0) return [];
+
+    const result = await Notification.insertMany(accepted.map(item => item.data));
+
+    // insertMany keeps the input order
+    for (let i = 0; i < result.length; i++) {
+      await this.emitNotification(result[i].recipient, result[i], accepted[i].live);
+    }
+
+    return result;
+  }
+
+  /**
+   * Create a notification of any type
+   * @param {Object} data - Notification fields
+   * @param {string} [category] - Preference category; defaults from the type
+   */
+  static async createNotification(data, category) {
+    return this.deliver(data, category);
+  }
+
   /**
    * Create a notification for when someone likes a post
    */
@@ -35,7 +194,7 @@ class NotificationService {
     // Don't notify if user likes their own post
     if (post.author.toString() === likerId.toString()) return null;
 
-    const notification = await Notification.createNotification({
+    return this.deliver({
       recipient: post.author,
       sender: likerId,
       type: 'like',
@@ -43,12 +202,10 @@ class NotificationService {
       message: `${likerName} liked your post "${post.title}"`,
       relatedPost: post._id,
       link: `/posts/${post._id}`
+    }, 'likes', {
+      key: `like:${post._id}`,
+      message: (others) => `${andOthers(likerName, others)} liked your post "${post.title}"`
     });
-
-    // Emit real-time notification
-    await this.emitNotification(post.author, notification);
-
-    return notification;
   }
 
   /**
@@ -58,7 +215,7 @@ class NotificationService {
     // Don't notify if user dislikes their own post
     if (post.author.toString() === dislikerId.toString()) return null;
 
-    const notification = await Notification.createNotification({
+    return this.deliver({
       recipient: post.author,
       sender: dislikerId,
       type: 'dislike',
@@ -66,12 +223,10 @@ class NotificationService {
       message: `${dislikerName} gave feedback on your post "${post.title}"`,
       relatedPost: post._id,
       link: `/posts/${post._id}`
+    }, 'likes', {
+      key: `dislike:${post._id}`,
+      message: (others) => `${andOthers(dislikerName, others)} gave feedback on your post "${post.title}"`
     });
-
-    // Emit real-time notification
-    await this.emitNotification(post.author, notification);
-
-    return notification;
   }
 
   /**
@@ -85,7 +240,7 @@ class NotificationService {
       ? commentPreview.substring(0, 50) + '...'
       : commentPreview;
 
-    const notification = await Notification.createNotification({
+    return this.deliver({
       recipient: post.author,
       sender: commenterId,
       type: 'comment',
@@ -93,12 +248,10 @@ class NotificationService {
       message: `${commenterName} commented on your post: "${preview}"`,
       relatedPost: post._id,
       link: `/posts/${post._id}#comments`
+    }, 'comments', {
+      key: `comment:${post._id}`,
+      message: (others) => `${andOthers(commenterName, others)} commented on your post "${post.title}"`
     });
-
-    // Emit real-time notification
-    await this.emitNotification(post.author, notification);
-
-    return notification;
   }
 
   /**
@@ -112,7 +265,7 @@ class NotificationService {
       ? replyPreview.substring(0, 50) + '...'
       : replyPreview;
 
-    const notification = await Notification.createNotification({
+    return this.deliver({
       recipient: comment.author,
       sender: replierId,
       type: 'reply',
@@ -121,40 +274,97 @@ class NotificationService {
       relatedComment: comment._id,
       relatedPost: comment.post,
       link: `/posts/${comment.post}#comment-${comment._id}`
+    }, 'comments', {
+      key: `reply:${comment._id}`,
+      message: (others) => `${andOthers(replierName, others)} replied to your comment`
     });
+  }
 
-    // Emit real-time notification
-    await this.emitNotification(comment.author, notification);
-
-    return notification;
+  /**
+   * Create a notification for when someone mentions a user in a post or comment
+   * @param {Object} context - { post, comment, preview }; comment is omitted for post mentions
+   */
+  static async notifyMention(recipientId, mentionerId, mentionerName, { post, comment, preview = '' }) {
+    const excerpt = preview.length > 50
+      ? preview.substring(0, 50) + '...'
+      : preview;
+
+    return this.deliver({
+      recipient: recipientId,
+      sender: mentionerId,
+      type: 'mention',
+      title: 'You Were Mentioned',
+      message: comment
+        ? `${mentionerName} mentioned you in a comment: "${excerpt}"`
+        : `${mentionerName} mentioned you in "${excerpt}"`,
+      relatedPost: post._id,
+      ...(comment && { relatedComment: comment._id }),
+      link: comment
+        ? `/posts/${post._id}#comment-${comment._id}`
+        : `/posts/${post._id}`
+    });
   }
 
   /**
    * Create a notification when a post is approved
    */
   static async notifyPostApproved(post, moderatorId) {
-    const notification = await Notification.createNotification({
+    const message = post.status === 'approved' && post.scheduledFor
+      ? `Your post "${post.title}" has been approved and will be published on ${formatScheduleTime(post.scheduledFor)}.`
+      : `Your post "${post.title}" has been approved and is now published.`;
+
+    return this.deliver({
       recipient: post.author,
       sender: moderatorId,
       type: 'post_approved',
       title: 'Post Approved! 🎉',
-      message: `Your post "${post.title}" has been approved and is now published.`,
+      message,
       relatedPost: post._id,
       link: `/posts/${post._id}`,
       priority: 'high'
     });
+  }
 
-    // Emit real-time notification
-    await this.emitNotification(post.author, notification);
+  /**
+   * Let the author know their scheduled post has gone live
+   */
+  static async notifyScheduledPostPublished(post) {
+    const authorId = post.author?._id || post.author;
+    return this.deliver({
+      recipient: authorId,
+      type: 'post_published',
+      title: 'Your Post Is Live 🚀',
+      message: `Your scheduled post "${post.title}" has been published.`,
+      relatedPost: post._id,
+      link: `/posts/${post._id}`
+    }, 'myPosts');
+  }
 
-    return notification;
+  /**
+   * Let the author know their post's publication time was changed or cancelled
+   */
+  static async notifyPostScheduleChanged(post, userId) {
+    const message = post.scheduledFor
+      ? `Your post "${post.title}" will now be published on ${formatScheduleTime(post.scheduledFor)}.`
+      : `The scheduled publication of your post "${post.title}" was cancelled. It is back in the review queue.`;
+
+    const authorId = post.author?._id || post.author;
+    return this.deliver({
+      recipient: authorId,
+      sender: userId,
+      type: 'system',
+      title: 'Publication Schedule Updated',
+      message,
+      relatedPost: post._id,
+      link: `/posts/${post._id}`
+    }, 'myPosts');
   }
 
   /**
    * Create a notification when a post is rejected
    */
   static async notifyPostRejected(post, moderatorId, reason) {
-    const notification = await Notification.createNotification({
+    return this.deliver({
       recipient: post.author,
       sender: moderatorId,
       type: 'post_rejected',
@@ -164,18 +374,13 @@ class NotificationService {
       link: `/posts/${post._id}/edit`,
       priority: 'high'
     });
-
-    // Emit real-time notification
-    await this.emitNotification(post.author, notification);
-
-    return notification;
   }
 
   /**
    * Create a notification for new followers
    */
   static async notifyNewFollower(userId, followerId, followerName) {
-    const notification = await Notification.createNotification({
+    return this.deliver({
       recipient: userId,
       sender: followerId,
       type: 'follow',
@@ -183,19 +388,17 @@ class NotificationService {
       message: `${followerName} started following you`,
       // No link since profile page doesn't exist yet
       link: null
+    }, 'follows', {
+      key: 'follow',
+      message: (others) => `${andOthers(followerName, others)} started following you`
     });
-
-    // Emit real-time notification
-    await this.emitNotification(userId, notification);
-
-    return notification;
   }
 
   /**
    * Create a welcome notification for new users
    */
   static async notifyWelcome(userId, userName) {
-    return Notification.createNotification({
+    return this.deliver({
       recipient: userId,
       type: 'welcome',
       title: 'Welcome to Admas Blog! 🎉',
@@ -209,7 +412,7 @@ class NotificationService {
    * Create a system notification
    */
   static async notifySystem(userId, title, message, link = null) {
-    return Notification.createNotification({
+    return this.deliver({
       recipient: userId,
       type: 'system',
       title,
@@ -218,6 +421,29 @@ class NotificationService {
     });
   }
 
+  /**
+   * Tell a commenter a moderator hid or removed their comment
+   * @param {Object} comment - Comment document
+   * @param {string} action - 'hidden' or 'deleted'
+   * @param {string} moderatorId - Moderator who acted
+   * @param {string} reason - Reason given by the moderator
+   */
+  static async notifyCommentModerated(comment, action, moderatorId, reason) {
+    const preview = comment.content.length > 50
+      ? `${comment.content.substring(0, 50)}...`
+      : comment.content;
+
+    return this.deliver({
+      recipient: comment.author,
+      sender: moderatorId,
+      type: 'system',
+      title: action === 'deleted' ? 'Comment Removed' : 'Comment Hidden',
+      message: `Your comment "${preview}" was ${action === 'deleted' ? 'removed' : 'hidden'} by a moderator.${reason ? ` Reason: ${reason}` : ''}`,
+      relatedPost: comment.post,
+      link: `/posts/${comment.post}`
+    }, 'myPosts');
+  }
+
   /**
    * Notify followers when an author publishes a new post
    */
@@ -234,15 +460,7 @@ class NotificationService {
       link: `/posts/${post._id}`
     }));
 
-    const result = await Notification.insertMany(notifications);
-
-    // Emit real-time notifications to all followers
-    for (const followerId of followerIds) {
-      const notification = result.find(n => n.recipient.toString() === followerId.toString());
-      if (notification) {
-        await this.emitNotification(followerId, notification);
-      }
-    }
+    const result = await this.deliverMany(notifications, 'followedPosts');
 
     return result;
   }
@@ -263,15 +481,7 @@ class NotificationService {
       priority: 'high'
     }));
 
-    const result = await Notification.insertMany(notifications);
-
-    // Emit real-time notifications to all moderators
-    for (const moderatorId of moderatorIds) {
-      const notification = result.find(n => n.recipient.toString() === moderatorId.toString());
-      if (notification) {
-        await this.emitNotification(moderatorId, notification);
-      }
-    }
+    const result = await this.deliverMany(notifications);
 
     // Also emit moderation:new event to moderators room
     socketService.notifyModeratorsNewPost(post, authorName);
@@ -304,17 +514,9 @@ class NotificationService {
     console.log('notifyAdminNewUser: Notification objects:', JSON.stringify(notifications, null, 2));
 
     try {
-      const result = await Notification.insertMany(notifications);
+      const result = await this.deliverMany(notifications);
       console.log(`notifyAdminNewUser: Successfully created ${result.length} notifications`);
 
-      // Emit real-time notifications to all admins
-      for (const adminId of adminIds) {
-        const notification = result.find(n => n.recipient.toString() === adminId.toString());
-        if (notification) {
-          await this.emitNotification(adminId, notification);
-        }
-      }
-
       return result;
     } catch (error) {
       console.error('notifyAdminNewUser: Error creating notifications:', error);
@@ -340,15 +542,7 @@ class NotificationService {
     }));
 
     try {
-      const result = await Notification.insertMany(notifications);
-
-      // Emit real-time notifications to all admins
-      for (const adminId of adminIds) {
-        const notification = result.find(n => n.recipient.toString() === adminId.toString());
-        if (notification) {
-          await this.emitNotification(adminId, notification);
-        }
-      }
+      const result = await this.deliverMany(notifications);
 
       return result;
     } catch (error) {
@@ -361,7 +555,7 @@ class NotificationService {
    * Notify user when their account is approved
    */
   static async notifyAccountApproved(userId) {
-    const notification = await Notification.createNotification({
+    return this.deliver({
       recipient: userId,
       type: 'account_approved',
       title: 'Account Approved! 🎉',
@@ -369,29 +563,19 @@ class NotificationService {
       link: '/posts/create',
       priority: 'high'
     });
-
-    // Emit real-time notification
-    await this.emitNotification(userId, notification);
-
-    return notification;
   }
 
   /**
    * Notify user when their account is rejected
    */
   static async notifyAccountRejected(userId, reason) {
-    const notification = await Notification.createNotification({
+    return this.deliver({
       recipient: userId,
       type: 'account_rejected',
       title: 'Account Application Update',
       message: reason || 'Your account application was not approved. Please contact support for more information.',
       priority: 'high'
     });
-
-    // Emit real-time notification
-    await this.emitNotification(userId, notification);
-
-    return notification;
   }
 
   /**
@@ -406,19 +590,11 @@ class NotificationService {
       type: 'content_report',
       title: 'Content Reported ⚠️',
       message: `A ${reportType} has been reported: "${contentTitle}"`,
-      link: '/admin/reports',
+      link: '/moderator/reported',
       priority: 'high'
     }));
 
-    const result = await Notification.insertMany(notifications);
-
-    // Emit real-time notifications to all moderators
-    for (const moderatorId of moderatorIds) {
-      const notification = result.find(n => n.recipient.toString() === moderatorId.toString());
-      if (notification) {
-        await this.emitNotification(moderatorId, notification);
-      }
-    }
+    const result = await this.deliverMany(notifications);
 
     return result;
   }
@@ -445,15 +621,7 @@ class NotificationService {
       priority: severity === 'critical' || severity === 'high' ? 'high' : 'normal'
     }));
 
-    const result = await Notification.insertMany(notifications);
-
-    // Emit real-time notifications to all moderators
-    for (const moderatorId of moderatorIds) {
-      const notification = result.find(n => n.recipient.toString() === moderatorId.toString());
-      if (notification) {
-        await this.emitNotification(moderatorId, notification);
-      }
-    }
+    const result = await this.deliverMany(notifications);
 
     // Also emit real-time violation alert via socket
     socketService.notifyModeratorsViolation({
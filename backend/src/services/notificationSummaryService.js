@@ -0,0 +1,162 @@
+/**
+ * Notification Summary Service
+ * Emails an hourly or daily roundup of unread notifications to users who
+ * asked for one (preferences.notificationSummary) and have email turned on.
+ *
+ * Users are checked on an interval. A summary covers unread notifications
+ * since the previous one that weren't already emailed on their own, and is
+ * held back during the user's quiet hours. notificationSummarySentAt is
+ * claimed with a conditional update so a summary goes out once even with
+ * several instances running.
+ */
+
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import notificationPolicyService from './notificationPolicyService.js';
+import { emailTemplates } from '../utils/emailTemplates.js';
+
+const CHECK_INTERVAL = 5 * 60 * 1000; // ms between checks
+const BATCH_SIZE = 100; // users summarized per check
+const MAX_ITEMS = 10; // notifications listed in one email
+
+const PERIODS = {
+  hourly: { ms: 60 * 60 * 1000, label: 'the last hour' },
+  daily: { ms: 24 * 60 * 60 * 1000, label: 'the last day' }
+};
+
+class NotificationSummaryService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start checking for summaries to send
+   * @param {number} [interval] - Milliseconds between checks
+   */
+  start(interval = CHECK_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runSafely(), interval);
+    this.timer.unref?.();
+    this.runSafely();
+  }
+
+  /**
+   * Stop checking for summaries to send
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runSafely() {
+    try {
+      await this.sendDue();
+    } catch (error) {
+      console.error('Error sending notification summaries:', error);
+    }
+  }
+
+  /**
+   * Send a summary to every user whose period has passed
+   */
+  async sendDue() {
+    // A slow batch must not overlap with the next tick
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const now = new Date();
+      const users = await User.find({
+        isActive: true,
+        'preferences.notificationSummary': { $in: Object.keys(PERIODS) },
+        'preferences.emailNotifications': { $ne: false },
+        // Only users whose own period has passed, so users who aren't due
+        // can't fill the batch
+        $or: [
+          { notificationSummarySentAt: { $exists: false } },
+          ...Object.entries(PERIODS).map(([name, period]) => ({
+            'preferences.notificationSummary': name,
+            notificationSummarySentAt: { $lte: new Date(now - period.ms) }
+          }))
+        ]
+      })
+        .sort({ notificationSummarySentAt: 1 })
+        .limit(BATCH_SIZE)
+        .select('email firstName preferences notificationSummarySentAt');
+
+      for (const user of users) {
+        await this.summarize(user, now);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Email one user their summary if it is due
+   * @param {Object} user - User with preferences and notificationSummarySentAt
+   * @param {Date} now - Time of this check
+   */
+  async summarize(user, now) {
+    const period = PERIODS[user.preferences.notificationSummary];
+    const lastSentAt = user.notificationSummarySentAt;
+
+    if (lastSentAt && now - lastSentAt < period.ms) return;
+    if (notificationPolicyService.quietHoursEnd(user.preferences, now)) return;
+
+    const claimed = await User.updateOne(
+      { _id: user._id, notificationSummarySentAt: lastSentAt ?? { $exists: false } },
+      { $set: { notificationSummarySentAt: now } }
+    );
+    if (claimed.modifiedCount === 0) return;
+
+    const since = lastSentAt && now - lastSentAt < 2 * period.ms
+      ? lastSentAt
+      : new Date(now - period.ms);
+    const query = {
+      recipient: user._id,
+      read: false,
+      emailSent: false,
+      // Queued to be emailed on their own (e.g. held for quiet hours)
+      emailScheduledFor: { $exists: false },
+      createdAt: { $gt: since, $lte: now }
+    };
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(MAX_ITEMS),
+      Notification.countDocuments(query)
+    ]);
+    if (total === 0) return;
+
+    const { subject, html } = emailTemplates['notification-summary']({
+      firstName: user.firstName,
+      periodLabel: period.label,
+      total,
+      items: notifications.map(notification => ({
+        title: notification.title,
+        message: notification.message,
+        url: notification.link ? `${process.env.CLIENT_URL}${notification.link}` : null
+      })),
+      notificationsUrl: `${process.env.CLIENT_URL}/notifications`,
+      settingsUrl: `${process.env.CLIENT_URL}/settings`
+    });
+
+    const result = await emailService.sendEmail(user.email, subject, html);
+
+    // Try again on the next check, unless the address doesn't exist
+    if (!result.success && !result.bounced) {
+      await User.updateOne(
+        { _id: user._id, notificationSummarySentAt: now },
+        lastSentAt
+          ? { $set: { notificationSummarySentAt: lastSentAt } }
+          : { $unset: { notificationSummarySentAt: 1 } }
+      );
+    }
+  }
+}
+
+const notificationSummaryService = new NotificationSummaryService();
+export default notificationSummaryService;
@@ -0,0 +1,205 @@
+/**
+ * Permission Service
+ * Works out what a user may do from the roles in User.roles.
+ *
+ * Roles come from the Role collection, which is created from
+ * BUILT_IN_ROLES the first time it is read. They are cached for a minute,
+ * and the cache is cleared whenever a role changes on this instance.
+ *
+ * A role limited to some post categories grants its scoped permissions
+ * (post and comment moderation) only for posts in those categories; its
+ * other permissions apply everywhere. The admin role always has every
+ * permission, whatever is stored for it.
+ */
+
+import Role, { PERMISSIONS, BUILT_IN_ROLES } from '../models/Role.js';
+import User from '../models/User.js';
+
+const CACHE_TTL = 60000; // 1 minute
+
+let cachedRoles = null;
+let cacheTimestamp = 0;
+let builtInsEnsured = false;
+
+/**
+ * Role names of a user, falling back to the single role field of accounts
+ * whose roles array was never filled in
+ */
+const rolesOf = (user) =>
+  Array.isArray(user?.roles) && user.roles.length ? user.roles : [user?.role || 'reader'];
+
+class PermissionService {
+  /**
+   * All roles, built-in ones first
+   * @returns {Promise<Object[]>} Lean role documents
+   */
+  async getRoles() {
+    if (cachedRoles && Date.now() - cacheTimestamp < CACHE_TTL) {
+      return cachedRoles;
+    }
+
+    if (!builtInsEnsured) {
+      try {
+        await Role.bulkWrite(BUILT_IN_ROLES.map(role => ({
+          updateOne: {
+            filter: { name: role.name },
+            update: { $setOnInsert: { ...role, isSystem: true } },
+            upsert: true
+          }
+        })));
+      } catch (error) {
+        // Another instance created them at the same time
+        if (error.code !== 11000) throw error;
+      }
+      builtInsEnsured = true;
+    }
+
+    const roles = await Role.find().sort({ isSystem: -1, createdAt: 1 }).lean();
+    cachedRoles = roles.map(role =>
+      role.name === 'admin' ? { ...role, permissions: Object.keys(PERMISSIONS), categories: [] } : role
+    );
+    cacheTimestamp = Date.now();
+    return cachedRoles;
+  }
+
+  /**
+   * Forget the cached roles (call after a role changes)
+   */
+  clearCache() {
+    cachedRoles = null;
+    cacheTimestamp = 0;
+  }
+
+  /**
+   * Names of all roles
+   * @returns {Promise<string[]>}
+   */
+  async getRoleNames() {
+    return (await this.getRoles()).map(role => role.name);
+  }
+
+  /**
+   * A user's permissions
+   * @param {Object} user - User with role / roles
+   * @returns {Promise<Object>} { global: Set of permissions held everywhere,
+   *   scoped: Map of permission to the Set of categories it is held for }
+   */
+  async resolve(user) {
+    const names = rolesOf(user);
+    const roles = (await this.getRoles()).filter(role => names.includes(role.name));
+    const global = new Set();
+    const scoped = new Map();
+
+    for (const role of roles) {
+      for (const permission of role.permissions) {
+        if (!PERMISSIONS[permission]) continue;
+
+        if (!PERMISSIONS[permission].scoped || !role.categories?.length) {
+          global.add(permission);
+          continue;
+        }
+
+        const categories = scoped.get(permission) || new Set();
+        role.categories.forEach(category => categories.add(category));
+        scoped.set(permission, categories);
+      }
+    }
+
+    for (const permission of global) scoped.delete(permission);
+    return { global, scoped };
+  }
+
+  /**
+   * Whether the user holds any of the permissions, in at least one category
+   * for scoped ones. Callers acting on a post check its category with can().
+   * @param {Object} user - User with role / roles
+   * @param {...string} permissions - Permission names
+   * @returns {Promise<boolean>}
+   */
+  async has(user, ...permissions) {
+    if (!user) return false;
+    const { global, scoped } = await this.resolve(user);
+    return permissions.some(permission => global.has(permission) || scoped.has(permission));
+  }
+
+  /**
+   * Whether the user holds a permission for a post in the given category
+   * @param {Object} user - User with role / roles
+   * @param {string} permission - Permission name
+   * @param {string} [category] - Post category; without one only a
+   *   site-wide grant counts
+   * @returns {Promise<boolean>}
+   */
+  async can(user, permission, category) {
+    if (!user) return false;
+    const { global, scoped } = await this.resolve(user);
+    if (global.has(permission)) return true;
+    return !!category && !!scoped.get(permission)?.has(category);
+  }
+
+  /**
+   * Categories a user holds a permission for, to narrow down lists
+   * @param {Object} user - User with role / roles
+   * @param {string} permission - Permission name
+   * @returns {Promise<string[]|null>} null if the user holds it for every
+   *   category, otherwise the categories (empty if none)
+   */
+  async categoriesFor(user, permission) {
+    const { global, scoped } = await this.resolve(user);
+    if (global.has(permission)) return null;
+    return [...(scoped.get(permission) || [])];
+  }
+
+  /**
+   * Active users who hold a permission, e.g. to notify them
+   * @param {string} permission - Permission name
+   * @param {string} [category] - Post category; without one only site-wide
+   *   grants count
+   * @returns {Promise<Array>} User IDs
+   */
+  async usersWith(permission, category) {
+    const scoped = PERMISSIONS[permission]?.scoped;
+    const names = (await this.getRoles())
+      .filter(role => role.permissions.includes(permission) &&
+        (!scoped || !role.categories?.length || (!!category && role.categories.includes(category))))
+      .map(role => role.name);
+    if (!names.length) return [];
+
+    const users = await User.find({
+      $or: [
+        { roles: { $in: names } },
+        // Accounts whose roles array was never filled in (see rolesOf)
+        { 'roles.0': { $exists: false }, role: { $in: names } }
+      ],
+      isActive: true
+    }).select('_id').lean();
+
+    return users.map(user => user._id);
+  }
+
+  /**
+   * Whether the user may hand a role to someone or give it these
+   * permissions: only permissions the user holds site-wide can be passed on
+   * @param {Object} user - User doing the assigning or editing
+   * @param {string[]} permissions - Permissions being passed on
+   * @returns {Promise<boolean>}
+   */
+  async canGrant(user, permissions) {
+    const { global } = await this.resolve(user);
+    return permissions.every(permission => global.has(permission));
+  }
+
+  /**
+   * Whether the user may give someone these roles or take them away
+   * @param {Object} user - User doing the assigning
+   * @param {string[]} roleNames - Roles being given or taken away
+   * @returns {Promise<boolean>}
+   */
+  async canAssign(user, roleNames) {
+    const roles = (await this.getRoles()).filter(role => roleNames.includes(role.name));
+    return this.canGrant(user, roles.flatMap(role => role.permissions));
+  }
+}
+
+const permissionService = new PermissionService();
+export default permissionService;
@@ -0,0 +1,268 @@
+/**
+ * Post Analytics Service
+ * Records daily engagement per post and reads it back for dashboards.
+ *
+ * Each hit, view, qualified read, like, dislike, comment and read-completion
+ * report adds to the post's PostDailyStat row for the current UTC day,
+ * created on first use. Deciding what counts as a view or a qualified read
+ * is viewTrackingService's job.
+ * Recording never fails the request that triggered it - errors are logged
+ * and the event is dropped. BlogPost counters remain the source of totals.
+ */
+
+import mongoose from 'mongoose';
+import PostDailyStat, { REFERRER_SOURCES } from '../models/PostDailyStat.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SEARCH_HOSTS = [/(^|\.)google\./, /(^|\.)bing\.com$/, /(^|\.)duckduckgo\.com$/, /(^|\.)yahoo\./, /(^|\.)yandex\./, /(^|\.)baidu\.com$/, /(^|\.)ecosia\.org$/];
+const SOCIAL_HOSTS = [/(^|\.)facebook\.com$/, /(^|\.)fb\.me$/, /(^|\.)t\.co$/, /(^|\.)twitter\.com$/, /(^|\.)x\.com$/, /(^|\.)linkedin\.com$/, /(^|\.)lnkd\.in$/, /(^|\.)instagram\.com$/, /(^|\.)reddit\.com$/, /(^|\.)t\.me$/, /(^|\.)telegram\.org$/, /(^|\.)whatsapp\.com$/, /(^|\.)tiktok\.com$/, /(^|\.)youtube\.com$/];
+const EMAIL_HOSTS = [/^mail\.google\.com$/, /(^|\.)outlook\.(live|office)\.com$/, /^mail\.yahoo\.com$/];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId((id?._id || id).toString());
+
+/**
+ * Midnight UTC at the start of the day containing a date
+ * @param {Date} [date]
+ * @returns {Date}
+ */
+export const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+};
+
+class PostAnalyticsService {
+  /**
+   * Where a view came from
+   * @param {string} [referrer] - Referring URL, or 'internal' / 'email' as
+   *   reported by the client for in-app navigation and email links
+   * @returns {string} One of REFERRER_SOURCES
+   */
+  classifyReferrer(referrer) {
+    if (!referrer || typeof referrer !== 'string') return 'direct';
+    if (referrer === 'internal' || referrer === 'email') return referrer;
+
+    const host = hostOf(referrer);
+    if (!host) return 'other';
+    if (host === hostOf(process.env.CLIENT_URL)) return 'internal';
+    // Webmail before search, since mail.google.com is also a Google host
+    if (EMAIL_HOSTS.some(pattern => pattern.test(host))) return 'email';
+    if (SEARCH_HOSTS.some(pattern => pattern.test(host))) return 'search';
+    if (SOCIAL_HOSTS.some(pattern => pattern.test(host))) return 'social';
+    return 'other';
+  }
+
+  /**
+   * Add to today's counters for a post
+   * @param {Object} post - Post with _id and author
+   * @param {Object} fields - Counters to increment, e.g. { views: 1 }
+   */
+  async increment(post, fields) {
+    const filter = { post: post._id, day: startOfDay() };
+    const update = {
+      $inc: fields,
+      $setOnInsert: { author: post.author?._id || post.author }
+    };
+
+    try {
+      await PostDailyStat.updateOne(filter, update, { upsert: true });
+    } catch (error) {
+      // Two first events of the day raced to create the row; the loser
+      // can now update it
+      if (error.code === 11000) {
+        await PostDailyStat.updateOne(filter, update).catch(() => {});
+        return;
+      }
+      console.error('Error recording post analytics:', error);
+    }
+  }
+
+  /**
+   * Record a request for a post by a reader
+   * @param {Object} post - Post with _id and author
+   * @param {string} [referrer] - See classifyReferrer
+   * @param {boolean} [unique] - First view by this reader in the view window
+   */
+  recordHit(post, referrer, unique = true) {
+    const fields = { hits: 1 };
+    if (unique) {
+      fields.views = 1;
+      fields[`referrers.${this.classifyReferrer(referrer)}`] = 1;
+    }
+    return this.increment(post, fields);
+  }
+
+  recordQualifiedRead(post) {
+    return this.increment(post, { qualifiedReads: 1 });
+  }
+
+  recordLike(post) {
+    return this.increment(post, { likes: 1 });
+  }
+
+  recordDislike(post) {
+    return this.increment(post, { dislikes: 1 });
+  }
+
+  recordComment(post) {
+    return this.increment(post, { comments: 1 });
+  }
+
+  /**
+   * Record how far a reader got through a post. Readers may report more than
+   * once as they read on; only the increase over their previous report is
+   * added, and they count as one read.
+   * @param {Object} post - Post with _id and author
+   * @param {number} completion - Percentage read, 0-100
+   * @param {number|null} [previous] - The reader's previous report
+   */
+  recordReadCompletion(post, completion, previous = null) {
+    const percent = Math.round(Math.min(Math.max(completion, 0), 100));
+    return this.increment(post, {
+      readCompletionSum: percent - (previous || 0),
+      reads: previous === null ? 1 : 0
+    });
+  }
+
+  /**
+   * Daily counters for a post or an author, one entry per day with no gaps
+   * @param {Object} match - { post } or { author }
+   * @param {{ from: Date, to: Date }} range - Whole days, to exclusive
+   * @returns {Promise<Array>} [{ date: 'YYYY-MM-DD', hits, views, qualifiedReads, likes, dislikes, comments }]
+   */
+  getTimeline(match, { from, to }) {
+    return this.getDailyTotals(match, from, new Date(to.getTime() - DAY_MS));
+  }
+
+  /**
+   * Counters summed over a range
+   * @param {Object} match - { post }, { author }, or {} for every post
+   * @param {{ from: Date, to: Date }} range - Whole days, to exclusive
+   * @returns {Promise<Object>} { hits, views, qualifiedReads, likes, dislikes, comments }
+   */
+  async getTotals(match, { from, to }) {
+    const [totals] = await PostDailyStat.aggregate([
+      { $match: { ...this.toMatch(match), day: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: null,
+          hits: { $sum: '$hits' },
+          views: { $sum: '$views' },
+          qualifiedReads: { $sum: '$qualifiedReads' },
+          likes: { $sum: '$likes' },
+          dislikes: { $sum: '$dislikes' },
+          comments: { $sum: '$comments' }
+        }
+      }
+    ]);
+
+    return {
+      hits: totals?.hits || 0,
+      views: totals?.views || 0,
+      qualifiedReads: totals?.qualifiedReads || 0,
+      likes: totals?.likes || 0,
+      dislikes: totals?.dislikes || 0,
+      comments: totals?.comments || 0
+    };
+  }
+
+  /**
+   * Daily counters between two days, both included, one entry per day
+   * @param {Object} match - { post }, { author }, or {} for every post
+   * @param {Date} from - First day
+   * @param {Date} to - Last day
+   * @returns {Promise<Array>} Same shape as getTimeline
+   */
+  async getDailyTotals(match, from, to) {
+    const start = startOfDay(from);
+    const end = startOfDay(to);
+    const rows = await PostDailyStat.aggregate([
+      { $match: { ...this.toMatch(match), day: { $gte: start, $lte: end } } },
+      {
+        $group: {
+          _id: '$day',
+          hits: { $sum: '$hits' },
+          views: { $sum: '$views' },
+          qualifiedReads: { $sum: '$qualifiedReads' },
+          likes: { $sum: '$likes' },
+          dislikes: { $sum: '$dislikes' },
+          comments: { $sum: '$comments' }
+        }
+      }
+    ]);
+
+    const byDay = new Map(rows.map(row => [row._id.getTime(), row]));
+    const timeline = [];
+    for (let time = start.getTime(); time <= end.getTime(); time += DAY_MS) {
+      const row = byDay.get(time);
+      timeline.push({
+        date: new Date(time).toISOString().slice(0, 10),
+        hits: row?.hits || 0,
+        views: row?.views || 0,
+        qualifiedReads: row?.qualifiedReads || 0,
+        likes: row?.likes || 0,
+        dislikes: row?.dislikes || 0,
+        comments: row?.comments || 0
+      });
+    }
+    return timeline;
+  }
+
+  /**
+   * Views per referrer source over a range
+   * @param {Object} match - { post } or { author }
+   * @param {{ from: Date, to: Date }} range - Whole days, to exclusive
+   * @returns {Promise<Object>} { [source]: views }
+   */
+  async getReferrers(match, { from, to }) {
+    const [totals] = await PostDailyStat.aggregate([
+      { $match: { ...this.toMatch(match), day: { $gte: from, $lt: to } } },
+      {
+        $group: Object.fromEntries([
+          ['_id', null],
+          ...REFERRER_SOURCES.map(source => [source, { $sum: `$referrers.${source}` }])
+        ])
+      }
+    ]);
+
+    return Object.fromEntries(REFERRER_SOURCES.map(source => [source, totals?.[source] || 0]));
+  }
+
+  /**
+   * Average read completion over a range
+   * @param {Object} match - { post } or { author }
+   * @param {{ from: Date, to: Date }} range - Whole days, to exclusive
+   * @returns {Promise<{ average: number|null, reads: number }>}
+   */
+  async getReadCompletion(match, { from, to }) {
+    const [totals] = await PostDailyStat.aggregate([
+      { $match: { ...this.toMatch(match), day: { $gte: from, $lt: to } } },
+      { $group: { _id: null, sum: { $sum: '$readCompletionSum' }, reads: { $sum: '$reads' } } }
+    ]);
+
+    const reads = totals?.reads || 0;
+    return {
+      average: reads ? Math.round(totals.sum / reads) : null,
+      reads
+    };
+  }
+
+  // Aggregation $match doesn't cast, so ids are converted here
+  toMatch({ post, author }) {
+    if (post) return { post: toObjectId(post) };
+    if (author) return { author: toObjectId(author) };
+    return {};
+  }
+}
+
+const postAnalyticsService = new PostAnalyticsService();
+export default postAnalyticsService;
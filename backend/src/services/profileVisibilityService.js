@@ -0,0 +1,43 @@
+/**
+ * Profile Visibility Service
+ * Works out what a viewer may see of someone's profile, following their
+ * profileVisibility and showFollowers preferences.
+ *
+ * A public profile is visible to everyone, a followers-only profile to the
+ * people following it and a private profile to nobody else. Staff (anyone
+ * who may view users) and the user themselves always see the full profile,
+ * followers included.
+ */
+
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import permissionService from './permissionService.js';
+
+class ProfileVisibilityService {
+  /**
+   * Look up an active user and what the viewer may see of them
+   * @param {Object} filter - Finds the user, e.g. { username } or { _id }
+   * @param {Object} [viewer] - Signed-in user, if any
+   * @returns {Promise<Object|null>} { user, visibility, isOwnProfile, isStaff,
+   *   isFollowing, canView, showFollowers }, or null if there is no such user
+   */
+  async resolve(filter, viewer) {
+    const user = await User.findOne({ ...filter, isActive: true });
+    if (!user) return null;
+
+    const isOwnProfile = !!viewer && viewer._id.toString() === user._id.toString();
+    const isStaff = await permissionService.has(viewer, 'user.view');
+    const isFollowing = !!viewer && !isOwnProfile && await Follow.isFollowing(viewer._id, user._id);
+
+    const visibility = user.preferences?.profileVisibility || 'public';
+    const canView = isOwnProfile || isStaff || visibility === 'public' ||
+      (visibility === 'followers' && isFollowing);
+    const showFollowers = canView &&
+      (isOwnProfile || isStaff || user.preferences?.showFollowers !== false);
+
+    return { user, visibility, isOwnProfile, isStaff, isFollowing, canView, showFollowers };
+  }
+}
+
+const profileVisibilityService = new ProfileVisibilityService();
+export default profileVisibilityService;
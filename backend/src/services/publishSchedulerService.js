@@ -0,0 +1,158 @@
+/**
+ * Publish Scheduler Service
+ * Publishes approved posts once their scheduledFor time has passed.
+ *
+ * Due posts are checked on an interval (and once at start-up, so posts that
+ * came due while the server was down go out straight away). Each post is
+ * claimed with a conditional update before anything is announced, so a post
+ * is published and announced once even if several instances are running.
+ */
+
+import BlogPost from '../models/blogpost/index.js';
+import Follow from '../models/Follow.js';
+import User from '../models/User.js';
+import NotificationService from './notificationService.js';
+import socketService from './socketService.js';
+import searchService from './searchService.js';
+import mentionService from './mentionService.js';
+
+const CHECK_INTERVAL = 30 * 1000; // ms between checks for due posts
+const BATCH_SIZE = 50; // posts published per check
+
+class PublishSchedulerService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start checking for due posts
+   * @param {number} [interval] - Milliseconds between checks
+   */
+  start(interval = CHECK_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runSafely(), interval);
+    this.timer.unref?.();
+    this.runSafely();
+  }
+
+  /**
+   * Stop checking for due posts
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runSafely() {
+    try {
+      await this.publishDue();
+    } catch (error) {
+      console.error('Error publishing scheduled posts:', error);
+    }
+  }
+
+  /**
+   * Publish every approved post whose time has come
+   * @returns {Promise<number>} Number of posts published
+   */
+  async publishDue() {
+    // A slow run must not overlap with the next tick
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const due = await BlogPost.find({
+        status: 'approved',
+        scheduledFor: { $lte: new Date() }
+      })
+        .setOptions({ skipPopulate: true })
+        .select('_id scheduledFor')
+        .sort({ scheduledFor: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+
+      let published = 0;
+      for (const { _id, scheduledFor } of due) {
+        try {
+          if (await this.publishScheduled(_id, scheduledFor)) published++;
+        } catch (error) {
+          console.error(`Error publishing scheduled post ${_id}:`, error);
+        }
+      }
+      return published;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Publish one scheduled post and announce it
+   * @param {ObjectId} postId - Post ID
+   * @param {Date} scheduledFor - The schedule that was due (guards against a reschedule in between)
+   * @returns {Promise<boolean>} False if the post was no longer due
+   */
+  async publishScheduled(postId, scheduledFor) {
+    const { modifiedCount } = await BlogPost.updateOne(
+      { _id: postId, status: 'approved', scheduledFor },
+      {
+        $set: { status: 'published', publishedAt: new Date() },
+        $unset: { scheduledFor: 1, scheduledBy: 1 }
+      }
+    );
+    if (modifiedCount === 0) return false;
+
+    // updateOne skips the post middleware that keeps search in sync
+    // and notifies mentioned users
+    await searchService.reindexPost(postId);
+
+    const post = await BlogPost.findById(postId);
+    try {
+      await mentionService.processPostMentions(post);
+    } catch (error) {
+      console.error('Error processing mentions in scheduled post:', error);
+    }
+    try {
+      await NotificationService.notifyScheduledPostPublished(post);
+    } catch (error) {
+      console.error('Error notifying author about scheduled post:', error);
+    }
+    await this.announce(post);
+    return true;
+  }
+
+  /**
+   * Tell followers and live category subscribers about a newly published post
+   * @param {Object} post - Published post
+   */
+  async announce(post) {
+    const authorId = post.author?._id || post.author;
+
+    try {
+      const followerIds = await Follow.getFollowerIds(authorId);
+      if (followerIds.length > 0) {
+        const author = await User.findById(authorId).select('firstName lastName');
+        const authorName = author ? `${author.firstName} ${author.lastName}` : 'An author';
+        await NotificationService.notifyFollowersNewPost(authorId, authorName, post, followerIds);
+      }
+    } catch (error) {
+      console.error('Error notifying followers:', error);
+    }
+
+    socketService.broadcastNewPost(post.category, {
+      _id: post._id,
+      title: post.title,
+      excerpt: post.excerpt,
+      slug: post.slug,
+      category: post.category,
+      tags: post.tags,
+      featuredImage: post.featuredImage,
+      author: post.author,
+      publishedAt: post.publishedAt
+    });
+  }
+}
+
+const publishSchedulerService = new PublishSchedulerService();
+export default publishSchedulerService;
@@ -0,0 +1,255 @@
+/**
+ * Related Posts Service
+ * Ranks published posts by how closely they relate to a given post, for
+ * "read next" suggestions.
+ *
+ * Four signals are combined: tag overlap, same category, shared authors or
+ * co-authors, and content similarity. Content similarity works like a
+ * "more like this" search over the search index (SearchDocument): the
+ * post's most distinctive terms by TF-IDF become a query, other posts are
+ * scored against it with BM25, and the score is divided by the post's own
+ * score so it falls between 0 and 1.
+ *
+ * Results are cached; any change to the posts or the index clears them,
+ * since an edit to one post can change the suggestions shown on others.
+ */
+
+import mongoose from 'mongoose';
+import SearchDocument from '../models/SearchDocument.js';
+import cacheService, { CacheService } from './cacheService.js';
+
+// Share of the final score each signal contributes
+const SIGNAL_WEIGHTS = {
+  tags: 0.35,
+  content: 0.35,
+  category: 0.15,
+  people: 0.15
+};
+
+const K1 = 1.2; // term frequency saturation
+const B = 0.75; // document length normalization
+const SOURCE_TERMS = 100; // heaviest terms of the post considered as keywords
+const KEY_TERMS = 25; // keywords kept after ranking by TF-IDF
+const MAX_CANDIDATES = 300; // per way of finding candidates
+const MIN_SCORE = 0.05; // below this a post is not considered related
+
+const lowerTags = (tags = []) => tags.map(tag => tag.toLowerCase());
+
+class RelatedPostsService {
+  // BlogPost is looked up lazily: its middleware imports this service
+  get BlogPost() {
+    return mongoose.model('BlogPost');
+  }
+
+  /**
+   * Published posts related to a post, most related first
+   * @param {string} postId - Post ID
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array|null>} Posts with a `relatedScore`, or null if
+   *   the post does not exist or is not published
+   */
+  async getRelated(postId, { limit = 5 } = {}) {
+    const cacheKey = CacheService.keys.related(postId, limit);
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    const post = await this.BlogPost.findOne({ _id: postId, status: 'published' })
+      .setOptions({ skipPopulate: true })
+      .select('author coAuthors category tags')
+      .lean();
+    if (!post) return null;
+
+    const ranked = await this.rank(post);
+    const top = ranked.slice(0, limit);
+
+    const posts = await this.BlogPost.find({ _id: { $in: top.map(r => r.id) } })
+      .setOptions({ skipPopulate: true })
+      .select('title slug excerpt featuredImage author category tags views likesCount commentsCount publishedAt createdAt')
+      .populate('author', 'username firstName lastName profile')
+      .lean();
+    const postsById = new Map(posts.map(p => [String(p._id), p]));
+
+    const related = top
+      .filter(({ id }) => postsById.has(id))
+      .map(({ id, score }) => ({ ...postsById.get(id), relatedScore: score }));
+
+    await cacheService.set(cacheKey, related, CacheService.ttl.related);
+    return related;
+  }
+
+  /**
+   * Score every candidate against the post
+   * @param {Object} post - Lean post with author, coAuthors, category, tags
+   * @returns {Promise<Array>} [{ id, score }] sorted by score, then recency
+   */
+  async rank(post) {
+    const people = [post.author, ...(post.coAuthors || []).map(c => c.user)]
+      .filter(Boolean)
+      .map(String);
+    const tags = post.tags || [];
+
+    const keywords = await this.getKeywords(post._id);
+    const candidateIds = await this.findCandidates(post, { people, tags, keywords });
+    if (candidateIds.length === 0) return [];
+
+    const [candidates, documents] = await Promise.all([
+      this.BlogPost.find({ _id: { $in: candidateIds } })
+        .setOptions({ skipPopulate: true })
+        .select('author coAuthors category tags publishedAt')
+        .lean(),
+      SearchDocument.find({ post: { $in: candidateIds } })
+        .select('post terms length')
+        .lean()
+    ]);
+    const documentsByPost = new Map(documents.map(d => [String(d.post), d]));
+
+    const sourceTags = new Set(lowerTags(tags));
+    const selfScore = keywords ? this.contentScore(keywords.source, keywords) : 0;
+
+    return candidates
+      .map(candidate => {
+        const candidateTags = new Set(lowerTags(candidate.tags));
+        const sharedTags = [...candidateTags].filter(tag => sourceTags.has(tag)).length;
+        const allTags = new Set([...sourceTags, ...candidateTags]).size;
+
+        const candidatePeople = [candidate.author, ...(candidate.coAuthors || []).map(c => c.user)]
+          .filter(Boolean)
+          .map(String);
+
+        const document = documentsByPost.get(String(candidate._id));
+        const content = selfScore > 0 && document
+          ? Math.min(this.contentScore(document, keywords) / selfScore, 1)
+          : 0;
+
+        const signals = {
+          tags: allTags ? sharedTags / allTags : 0,
+          content,
+          category: post.category && candidate.category === post.category ? 1 : 0,
+          people: candidatePeople.some(person => people.includes(person)) ? 1 : 0
+        };
+        const score = Object.entries(SIGNAL_WEIGHTS)
+          .reduce((sum, [signal, weight]) => sum + signals[signal] * weight, 0);
+
+        return {
+          id: String(candidate._id),
+          score: Math.round(score * 1000) / 1000,
+          publishedAt: new Date(candidate.publishedAt || 0).getTime()
+        };
+      })
+      .filter(({ score }) => score >= MIN_SCORE)
+      .sort((a, b) => b.score - a.score || b.publishedAt - a.publishedAt)
+      .map(({ id, score }) => ({ id, score }));
+  }
+
+  /**
+   * The post's most distinctive terms, with what BM25 needs to score them
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object|null>} { source, terms: Map(term -> idf), avg },
+   *   or null if the post is not indexed
+   */
+  async getKeywords(postId) {
+    const source = await SearchDocument.findOne({ post: postId })
+      .select('terms length')
+      .lean();
+    if (!source || source.terms.length === 0) return null;
+
+    const heaviest = [...source.terms]
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, SOURCE_TERMS)
+      .map(t => t.term);
+
+    const [frequencies, [stats]] = await Promise.all([
+      SearchDocument.aggregate([
+        { $match: { status: 'published', 'terms.term': { $in: heaviest } } },
+        { $unwind: '$terms' },
+        { $match: { 'terms.term': { $in: heaviest } } },
+        { $group: { _id: '$terms.term', docFreq: { $sum: 1 } } }
+      ]),
+      SearchDocument.aggregate([
+        { $match: { status: 'published' } },
+        { $group: { _id: null, avg: { $avg: '$length' }, total: { $sum: 1 } } }
+      ])
+    ]);
+
+    const total = stats?.total || 1;
+    const docFreq = new Map(frequencies.map(f => [f._id, f.docFreq]));
+    const idf = (term) => {
+      const df = docFreq.get(term) || 0;
+      return Math.log(1 + (total - df + 0.5) / (df + 0.5));
+    };
+
+    // Rank by TF-IDF so words every post uses don't crowd out the rest
+    const weightOf = new Map(source.terms.map(t => [t.term, t.weight]));
+    const terms = new Map(
+      heaviest
+        .map(term => [term, idf(term)])
+        .sort(([a, idfA], [b, idfB]) => weightOf.get(b) * idfB - weightOf.get(a) * idfA)
+        .slice(0, KEY_TERMS)
+    );
+
+    return { source, terms, avg: stats?.avg || 1 };
+  }
+
+  /**
+   * Find posts worth scoring: any that share a tag, category, author or
+   * keyword with the post
+   * @returns {Promise<Array>} Post IDs
+   */
+  async findCandidates(post, { people, tags, keywords }) {
+    const peopleIds = people.map(id => new mongoose.Types.ObjectId(id));
+    const conditions = [
+      tags.length > 0 && { tags: { $in: tags } },
+      post.category && { category: post.category },
+      peopleIds.length > 0 && { author: { $in: peopleIds } },
+      peopleIds.length > 0 && { 'coAuthors.user': { $in: peopleIds } }
+    ].filter(Boolean);
+
+    const [byMetadata, byContent] = await Promise.all([
+      conditions.length > 0
+        ? this.BlogPost.find({ status: 'published', _id: { $ne: post._id }, $or: conditions })
+          .setOptions({ skipPopulate: true })
+          .sort({ publishedAt: -1 })
+          .limit(MAX_CANDIDATES)
+          .select('_id')
+          .lean()
+        : [],
+      keywords
+        ? SearchDocument.find({
+          status: 'published',
+          post: { $ne: post._id },
+          'terms.term': { $in: [...keywords.terms.keys()] }
+        })
+          .sort({ publishedAt: -1 })
+          .limit(MAX_CANDIDATES)
+          .select('post')
+          .lean()
+        : []
+    ]);
+
+    return [...new Set([
+      ...byMetadata.map(p => String(p._id)),
+      ...byContent.map(d => String(d.post))
+    ])];
+  }
+
+  /**
+   * BM25 score of an indexed document against the post's keywords
+   */
+  contentScore(document, { terms, avg }) {
+    const norm = K1 * (1 - B + B * (document.length / avg));
+    return document.terms.reduce((score, { term, weight }) => {
+      const idf = terms.get(term);
+      return idf === undefined ? score : score + idf * (weight * (K1 + 1)) / (weight + norm);
+    }, 0);
+  }
+
+  /**
+   * Forget every cached result
+   */
+  async invalidate() {
+    await cacheService.delByPattern('posts:related:*');
+  }
+}
+
+const relatedPostsService = new RelatedPostsService();
+export default relatedPostsService;
@@ -0,0 +1,265 @@
+/**
+ * Report Service
+ * Files user reports against posts, comments and users as moderation cases.
+ *
+ * A target has at most one active (open or triaged) case. Reporting it again
+ * adds the reporter to that case instead of opening another one, and the same
+ * user reporting twice is a no-op. Moderators are notified when a case opens,
+ * not on every repeat report.
+ */
+
+import mongoose from 'mongoose';
+import Report, { ACTIVE_REPORT_STATUSES, REPORT_REASONS, REPORT_TARGET_TYPES } from '../models/Report.js';
+import BlogPost from '../models/blogpost/index.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import NotificationService from './notificationService.js';
+import permissionService from './permissionService.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+// Starting severity for each reason category
+const REASON_SEVERITY = {
+  spam: 'low',
+  harassment: 'high',
+  hate_speech: 'high',
+  misinformation: 'medium',
+  plagiarism: 'medium',
+  inappropriate: 'medium',
+  other: 'low'
+};
+
+// Distinct reporters needed to raise a case to this severity
+const ESCALATION_THRESHOLDS = [
+  { reporters: 10, severity: 'critical' },
+  { reporters: 5, severity: 'high' },
+  { reporters: 3, severity: 'medium' }
+];
+
+const SUMMARY_LENGTH = 200;
+
+const maxSeverity = (a, b) =>
+  SEVERITY_ORDER.indexOf(a) >= SEVERITY_ORDER.indexOf(b) ? a : b;
+
+class ReportService {
+  /**
+   * Severity a case should have given its reasons and number of reporters
+   * @param {string} current - Severity the case already has
+   * @param {string} reasonCategory - Reason of the newest report
+   * @param {number} reportCount - Distinct reporters so far
+   */
+  severityFor(current, reasonCategory, reportCount) {
+    let severity = maxSeverity(current || 'low', REASON_SEVERITY[reasonCategory] || 'low');
+    const threshold = ESCALATION_THRESHOLDS.find(t => reportCount >= t.reporters);
+    if (threshold) {
+      severity = maxSeverity(severity, threshold.severity);
+    }
+    return severity;
+  }
+
+  /**
+   * Look up the reported item and describe it for the case
+   * @returns {Object|null} { author, summary, post } or null if it doesn't exist
+   */
+  async describeTarget(targetType, targetId) {
+    if (targetType === 'post') {
+      const post = await BlogPost.findById(targetId)
+        .setOptions({ skipPopulate: true })
+        .select('title author');
+      return post && { author: post.author, summary: post.title, post: post._id };
+    }
+
+    if (targetType === 'comment') {
+      const comment = await Comment.findById(targetId).select('content author post');
+      return comment && {
+        author: comment.author,
+        summary: comment.content.slice(0, SUMMARY_LENGTH),
+        post: comment.post
+      };
+    }
+
+    const user = await User.findById(targetId).select('firstName lastName username email');
+    return user && {
+      author: user._id,
+      summary: user.fullName || user.username || user.email,
+      post: null
+    };
+  }
+
+  /**
+   * File a report, folding it into the target's active case if there is one
+   * @param {Object} params
+   * @param {string} params.targetType - 'post', 'comment' or 'user'
+   * @param {string} params.targetId - ID of the reported item
+   * @param {string} params.reporterId - User filing the report
+   * @param {string} params.reasonCategory - One of REPORT_REASONS
+   * @param {string} [params.details] - Free-text explanation
+   * @param {string} [params.severity] - Minimum severity (e.g. from automated checks)
+   * @param {Array} [params.flags] - Automated moderation flags
+   * @returns {Object} { report, created, duplicate }
+   */
+  async fileReport({ targetType, targetId, reporterId, reasonCategory, details = '', severity = 'low', flags = [] }) {
+    if (!REPORT_TARGET_TYPES.includes(targetType)) {
+      throw new AppError('Invalid report target type', 400);
+    }
+    if (!REPORT_REASONS.includes(reasonCategory)) {
+      throw new AppError('Invalid report reason', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw new AppError('Invalid target ID', 400);
+    }
+
+    const target = await this.describeTarget(targetType, targetId);
+    if (!target) {
+      throw new AppError(`Reported ${targetType} not found`, 404);
+    }
+    if (target.author && target.author.toString() === reporterId.toString()) {
+      throw new AppError(
+        targetType === 'user' ? 'You cannot report yourself' : 'You cannot report your own content',
+        400
+      );
+    }
+
+    const entry = {
+      user: reporterId,
+      reasonCategory,
+      details: String(details || '').slice(0, 1000),
+      reportedAt: new Date()
+    };
+    const activeCase = {
+      targetType,
+      target: targetId,
+      status: { $in: ACTIVE_REPORT_STATUSES }
+    };
+
+    const joined = await this.joinActiveCase(activeCase, { entry, reasonCategory, severity, flags });
+    if (joined) return joined;
+
+    let report;
+    try {
+      report = await Report.create({
+        targetType,
+        targetModel: Report.modelFor(targetType),
+        target: targetId,
+        targetAuthor: target.author,
+        targetSummary: target.summary,
+        targetPost: target.post,
+        reasonCategory,
+        reporters: [entry],
+        reportCount: 1,
+        severity: this.severityFor(severity, reasonCategory, 1),
+        flags
+      });
+    } catch (error) {
+      // Someone else opened the case in the meantime: join theirs
+      if (error.code !== 11000) throw error;
+      const retried = await this.joinActiveCase(activeCase, { entry, reasonCategory, severity, flags });
+      if (retried) return retried;
+      throw error;
+    }
+
+    await this.notifyModerators(report, reporterId);
+
+    return { report, created: true, duplicate: false };
+  }
+
+  /**
+   * Add a reporter to the active case on a target, unless they are already on it
+   * @param {Object} activeCase - Filter matching the target's active case
+   * @param {Object} report - { entry (reporter entry), reasonCategory, severity, flags }
+   * @returns {Promise<Object|null>} { report, created, duplicate }, or null if
+   *   the target has no active case
+   */
+  async joinActiveCase(activeCase, { entry, reasonCategory, severity, flags }) {
+    const report = await Report.findOneAndUpdate(
+      { ...activeCase, 'reporters.user': { $ne: entry.user } },
+      {
+        $push: { reporters: entry, ...(flags.length && { flags: { $each: flags } }) },
+        $inc: { reportCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (report) {
+      const escalated = this.severityFor(maxSeverity(report.severity, severity), reasonCategory, report.reportCount);
+      if (escalated !== report.severity) {
+        report.severity = escalated;
+        await report.save();
+      }
+      return { report, created: false, duplicate: false };
+    }
+
+    const existing = await Report.findOne(activeCase);
+    if (existing) {
+      return { report: existing, created: false, duplicate: true };
+    }
+
+    return null;
+  }
+
+  /**
+   * Close the active cases on targets a moderator has already dealt with
+   * elsewhere (e.g. hid or deleted the comment from the Comments page)
+   * @param {string} targetType - 'post', 'comment' or 'user'
+   * @param {Array} targetIds - IDs of the handled items
+   * @param {string} userId - Moderator who acted
+   * @param {Object} resolution - { actionTaken, resolutionNotes }
+   * @returns {number} Number of cases closed
+   */
+  async resolveForTargets(targetType, targetIds, userId, { actionTaken, resolutionNotes = '' }) {
+    const now = new Date();
+    const filter = {
+      targetType,
+      target: { $in: targetIds },
+      status: { $in: ACTIVE_REPORT_STATUSES }
+    };
+
+    await Report.updateMany(
+      { ...filter, assignee: null },
+      { $set: { assignee: userId, claimedAt: now } }
+    );
+    const result = await Report.updateMany(filter, {
+      $set: {
+        status: 'actioned',
+        actionTaken,
+        resolutionNotes,
+        resolvedBy: userId,
+        resolvedAt: now
+      }
+    });
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * IDs of targets of a type that have an active case
+   */
+  async activeTargetIds(targetType) {
+    return Report.distinct('target', {
+      targetType,
+      status: { $in: ACTIVE_REPORT_STATUSES }
+    });
+  }
+
+  /**
+   * Let moderators know a new case has been opened
+   */
+  async notifyModerators(report, reporterId) {
+    try {
+      const moderatorIds = await permissionService.usersWith('report.manage');
+
+      await NotificationService.notifyModeratorsReport(
+        moderatorIds,
+        report.targetType,
+        report.targetSummary,
+        reporterId
+      );
+    } catch (error) {
+      // The case is stored either way; it shows up in the queue
+      console.error('Error notifying moderators of report:', error);
+    }
+  }
+}
+
+export default new ReportService();
@@ -0,0 +1,476 @@
+/**
+ * Search Service
+ * Relevance-ranked full-text search over blog posts.
+ *
+ * Each post has a SearchDocument holding its stemmed terms weighted by field
+ * (title > tags > content). Queries are scored with BM25 over those weights,
+ * favouring posts that match every query word, and results carry highlighted
+ * snippets plus facet counts for category, tag, author and date.
+ */
+
+import mongoose from 'mongoose';
+import SearchDocument from '../models/SearchDocument.js';
+import User from '../models/User.js';
+import cacheService from './cacheService.js';
+import relatedPostsService from './relatedPostsService.js';
+import { htmlToText } from '../utils/helpers.js';
+import {
+  buildTerms,
+  parseQuery,
+  termMatches,
+  prefixMatches,
+  stem,
+  highlight,
+  snippet
+} from '../utils/searchText.js';
+
+const K1 = 1.2; // term frequency saturation
+const B = 0.75; // document length normalization
+const MAX_CANDIDATES = 2000;
+const STATS_TTL = 300; // seconds the average document length is cached
+const AUTHOR_MATCH_SCORE = 0.1; // score for posts found only by author name
+
+const DATE_RANGES = {
+  week: 7,
+  month: 30,
+  year: 365
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Index fields that related posts are worked out from
+const RELATED_FIELDS = ['author', 'status', 'category', 'tags', 'publishedAt', 'title', 'body'];
+
+const CANDIDATE_FIELDS = {
+  post: 1, author: 1, status: 1, category: 1, tags: 1, publishedAt: 1, postCreatedAt: 1, terms: 1, length: 1
+};
+
+class SearchService {
+  // BlogPost is looked up lazily: its middleware imports this service
+  get BlogPost() {
+    return mongoose.model('BlogPost');
+  }
+
+  // ==================== INDEXING ====================
+
+  /**
+   * Add or refresh the index entry for a post
+   * @param {Object} post - BlogPost document or lean object
+   * @returns {Promise<Object>} The indexed fields
+   */
+  async indexPost(post) {
+    const title = post.title || '';
+    const tags = post.tags || [];
+    const body = htmlToText(post.content || '');
+    const { terms, length } = buildTerms({ title, tags, content: body });
+    const entry = {
+      author: post.author?._id || post.author,
+      status: post.status,
+      category: post.category,
+      tags,
+      publishedAt: post.publishedAt,
+      postCreatedAt: post.createdAt,
+      title,
+      body,
+      terms,
+      length
+    };
+
+    await SearchDocument.updateOne({ post: post._id }, { $set: entry }, { upsert: true });
+    return entry;
+  }
+
+  /**
+   * Reload a post and refresh its index entry
+   * For writes that bypass document middleware (e.g. updateOne)
+   * @param {string} postId - Post ID
+   */
+  async reindexPost(postId) {
+    const [post, previous] = await Promise.all([
+      this.BlogPost.findById(postId).setOptions({ skipPopulate: true }).lean(),
+      SearchDocument.findOne({ post: postId }).select(RELATED_FIELDS.join(' ')).lean()
+    ]);
+
+    const entry = post ? await this.indexPost(post) : null;
+    if (!post) await this.removePost(postId);
+
+    // The same writes also skip the middleware that clears related posts.
+    // Only published posts appear there, so only a published post changing,
+    // or a post entering or leaving published, can make them stale.
+    const published = previous?.status === 'published' || entry?.status === 'published';
+    const changed = RELATED_FIELDS.some(field =>
+      JSON.stringify(previous?.[field]) !== JSON.stringify(entry?.[field])
+    );
+    if (published && changed) {
+      await relatedPostsService.invalidate();
+    }
+  }
+
+  /**
+   * Drop a post from the index
+   * @param {string} postId - Post ID
+   */
+  async removePost(postId) {
+    await SearchDocument.deleteOne({ post: postId });
+  }
+
+  /**
+   * Rebuild the whole index from the posts collection
+   * @returns {Promise<number>} Number of posts indexed
+   */
+  async rebuild() {
+    let indexed = 0;
+    const cursor = this.BlogPost.find()
+      .setOptions({ skipPopulate: true })
+      .select('title content tags category status author publishedAt createdAt')
+      .lean()
+      .cursor();
+
+    for await (const post of cursor) {
+      await this.indexPost(post);
+      indexed++;
+    }
+
+    // Clean up entries whose post no longer exists
+    const postIds = await this.BlogPost.distinct('_id');
+    await SearchDocument.deleteMany({ post: { $nin: postIds } });
+    await cacheService.delByPattern('search:*');
+
+    return indexed;
+  }
+
+  /**
+   * Build the index on first start (existing posts predate it)
+   */
+  async ensureIndex() {
+    const [indexed, posts] = await Promise.all([
+      SearchDocument.estimatedDocumentCount(),
+      this.BlogPost.estimatedDocumentCount()
+    ]);
+
+    if (indexed === 0 && posts > 0) {
+      await this.rebuild();
+    }
+  }
+
+  // ==================== SEARCHING ====================
+
+  /**
+   * Average document length within a scope (cached)
+   */
+  async getAverageLength(scope) {
+    const key = `search:avglen:${JSON.stringify(scope)}`;
+    const cached = await cacheService.get(key);
+    if (cached !== null) return cached;
+
+    const [result] = await SearchDocument.aggregate([
+      { $match: scope },
+      { $group: { _id: null, avg: { $avg: '$length' }, total: { $sum: 1 } } }
+    ]);
+    const stats = { avg: result?.avg || 1, total: result?.total || 0 };
+    await cacheService.set(key, stats, STATS_TTL);
+    return stats;
+  }
+
+  /**
+   * Score candidates against the parsed query with BM25
+   * Posts matching more of the query words always rank above posts matching fewer.
+   */
+  scoreCandidates(candidates, query, { avg, total }) {
+    const queryTerms = query.prefix ? [...query.terms, query.prefix] : query.terms;
+    const prefixStem = query.prefix && stem(query.prefix);
+
+    // Completions of the word being typed count half as much as the word itself
+    const matchWeight = (doc, queryTerm) => doc.terms.reduce((sum, { term, weight }) => {
+      if (queryTerm !== query.prefix) {
+        return termMatches(term, queryTerm) ? sum + weight : sum;
+      }
+      if (term === prefixStem) return sum + weight;
+      return prefixMatches(term, queryTerm) ? sum + weight / 2 : sum;
+    }, 0);
+
+    // Per-candidate weight of each query term, then document frequencies
+    const weights = candidates.map(doc => queryTerms.map(queryTerm => matchWeight(doc, queryTerm)));
+    const docFreq = queryTerms.map((_, i) => weights.filter(w => w[i] > 0).length);
+    const docCount = Math.max(total, candidates.length);
+
+    candidates.forEach((doc, index) => {
+      let score = 0;
+      let matchedTerms = 0;
+
+      weights[index].forEach((tf, i) => {
+        if (tf === 0) return;
+        matchedTerms++;
+        const idf = Math.log(1 + (docCount - docFreq[i] + 0.5) / (docFreq[i] + 0.5));
+        const norm = K1 * (1 - B + B * (doc.length / avg));
+        score += idf * (tf * (K1 + 1)) / (tf + norm);
+      });
+
+      doc.matchedTerms = matchedTerms;
+      doc.score = matchedTerms === 0 ? AUTHOR_MATCH_SCORE : matchedTerms * 100 + score;
+    });
+  }
+
+  /**
+   * Rough relevance of an index entry, worked out in the database to pick
+   * which candidates get scored: query words matched first (as in
+   * scoreCandidates), then their total weight
+   * @param {Object} query - Parsed query
+   * @returns {Object} Aggregation expression
+   */
+  candidateRelevance(query) {
+    const prefixPattern = query.prefix && `^${escapeRegex(query.prefix.slice(0, 3))}`;
+    const prefixMatch = (term) => ({ $regexMatch: { input: term, regex: prefixPattern } });
+    const isMatch = (term) => prefixPattern
+      ? { $or: [{ $in: [term, query.terms] }, prefixMatch(term)] }
+      : { $in: [term, query.terms] };
+
+    const matchedWords = [{ $size: { $setIntersection: ['$terms.term', query.terms] } }];
+    if (prefixPattern) {
+      matchedWords.push({
+        $cond: [{ $anyElementTrue: [{ $map: { input: '$terms.term', as: 'term', in: prefixMatch('$$term') } }] }, 1, 0]
+      });
+    }
+
+    const matchedWeight = {
+      $sum: {
+        $map: {
+          input: { $filter: { input: '$terms', as: 't', cond: isMatch('$$t.term') } },
+          as: 't',
+          in: '$$t.weight'
+        }
+      }
+    };
+
+    return { $add: [{ $multiply: [{ $add: matchedWords }, 1e6] }, matchedWeight] };
+  }
+
+  /**
+   * Which filters a candidate passes
+   */
+  buildFilters({ category, tags, author, date, from, to }) {
+    const now = Date.now();
+    const dateOf = doc => new Date(doc.publishedAt || doc.postCreatedAt || 0).getTime();
+
+    return {
+      category: doc => !category || doc.category === category,
+      tags: doc => {
+        const docTags = (doc.tags || []).map(tag => tag.toLowerCase());
+        return tags.every(tag => docTags.includes(tag.toLowerCase()));
+      },
+      author: doc => !author || String(doc.author) === String(author),
+      date: doc => {
+        const time = dateOf(doc);
+        if (DATE_RANGES[date] && time < now - DATE_RANGES[date] * 24 * 60 * 60 * 1000) return false;
+        if (from && time < new Date(from).getTime()) return false;
+        if (to && time > new Date(to).getTime()) return false;
+        return true;
+      }
+    };
+  }
+
+  /**
+   * Facet counts; each facet ignores its own filter so other values stay selectable
+   */
+  async buildFacets(candidates, filters) {
+    const passesAllBut = (skip) => doc => Object.entries(filters)
+      .every(([name, test]) => name === skip || test(doc));
+
+    const countBy = (docs, keysOf) => {
+      const counts = new Map();
+      docs.forEach(doc => keysOf(doc).forEach(key => {
+        if (key) counts.set(String(key), (counts.get(String(key)) || 0) + 1);
+      }));
+      return Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count);
+    };
+
+    const categories = countBy(candidates.filter(passesAllBut('category')), doc => [doc.category]);
+    const tags = countBy(candidates.filter(passesAllBut('tags')), doc => doc.tags || []).slice(0, 15);
+    const authorCounts = countBy(candidates.filter(passesAllBut('author')), doc => [doc.author]).slice(0, 10);
+
+    const authorUsers = await User.find({ _id: { $in: authorCounts.map(a => a.value) } })
+      .select('firstName lastName')
+      .lean();
+    const authors = authorCounts.map(({ value, count }) => {
+      const user = authorUsers.find(u => String(u._id) === value);
+      return {
+        value,
+        label: user ? `${user.firstName} ${user.lastName}` : 'Unknown author',
+        count
+      };
+    });
+
+    const dateDocs = candidates.filter(passesAllBut('date'));
+    const now = Date.now();
+    const dates = Object.entries(DATE_RANGES).map(([value, days]) => ({
+      value,
+      count: dateDocs.filter(doc => {
+        const time = new Date(doc.publishedAt || doc.postCreatedAt || 0).getTime();
+        return time >= now - days * 24 * 60 * 60 * 1000;
+      }).length
+    }));
+
+    return {
+      categories,
+      tags,
+      authors,
+      dates
+    };
+  }
+
+  /**
+   * Sort matching entries
+   * Engagement sorts need the live counters from the posts themselves.
+   */
+  async sortMatches(matches, sort) {
+    const dateOf = doc => new Date(doc.publishedAt || doc.postCreatedAt || 0).getTime();
+
+    if (sort === 'relevance') {
+      return matches.sort((a, b) => b.score - a.score || dateOf(b) - dateOf(a));
+    }
+    if (sort === 'oldest') {
+      return matches.sort((a, b) => dateOf(a) - dateOf(b));
+    }
+    if (!['popular', 'views', 'mostViewed', 'likes', 'mostLiked'].includes(sort)) {
+      return matches.sort((a, b) => dateOf(b) - dateOf(a));
+    }
+
+    const stats = await this.BlogPost.find({ _id: { $in: matches.map(m => m.post) } })
+      .setOptions({ skipPopulate: true })
+      .select('views likesCount')
+      .lean();
+    const statsById = new Map(stats.map(s => [String(s._id), s]));
+    const stat = (doc, field) => statsById.get(String(doc.post))?.[field] || 0;
+
+    return matches.sort((a, b) => {
+      if (sort === 'views' || sort === 'mostViewed') {
+        return stat(b, 'views') - stat(a, 'views') || dateOf(b) - dateOf(a);
+      }
+      if (sort === 'likes' || sort === 'mostLiked') {
+        return stat(b, 'likesCount') - stat(a, 'likesCount') || dateOf(b) - dateOf(a);
+      }
+      return stat(b, 'likesCount') - stat(a, 'likesCount') ||
+        stat(b, 'views') - stat(a, 'views') ||
+        dateOf(b) - dateOf(a);
+    });
+  }
+
+  /**
+   * Search posts
+   * @param {Object} options
+   * @param {string} options.q - Query text
+   * @param {Object} [options.scope] - Index filter limiting what may be found (e.g. { status: 'published' })
+   * @param {string} [options.category] - Category filter
+   * @param {string[]} [options.tags] - Tags the post must all have
+   * @param {string} [options.author] - Author ID filter
+   * @param {string} [options.date] - 'week' | 'month' | 'year'
+   * @param {string} [options.from] - Earliest publish date
+   * @param {string} [options.to] - Latest publish date
+   * @param {string} [options.sort='relevance'] - relevance | recent | oldest | popular | views | likes
+   * @param {Array} [options.authorIds] - Also include posts by these authors (author name matches)
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=10]
+   * @returns {Promise<Object>} { posts, facets, total }
+   */
+  async search({
+    q,
+    scope = {},
+    category,
+    tags = [],
+    author,
+    date,
+    from,
+    to,
+    sort = 'relevance',
+    authorIds = [],
+    page = 1,
+    limit = 10
+  }) {
+    const query = parseQuery(q);
+    const emptyFacets = { categories: [], tags: [], authors: [], dates: [] };
+    if (query.terms.length === 0 && !query.prefix && authorIds.length === 0) {
+      return { posts: [], facets: emptyFacets, total: 0 };
+    }
+
+    // Candidates: anything in scope sharing a term with the query
+    const termConditions = [];
+    if (query.terms.length > 0) termConditions.push({ 'terms.term': { $in: query.terms } });
+    if (query.prefix) {
+      termConditions.push({ 'terms.term': { $regex: `^${escapeRegex(query.prefix.slice(0, 3))}` } });
+    }
+    if (authorIds.length > 0) termConditions.push({ author: { $in: authorIds } });
+
+    const [candidates, stats] = await Promise.all([
+      SearchDocument.aggregate([
+        { $match: { $and: [scope, { $or: termConditions }] } },
+        { $addFields: { relevance: this.candidateRelevance(query) } },
+        // Past MAX_CANDIDATES keep the likeliest matches, not arbitrary ones
+        { $sort: { relevance: -1, _id: 1 } },
+        { $limit: MAX_CANDIDATES },
+        { $project: CANDIDATE_FIELDS }
+      ]),
+      this.getAverageLength(scope)
+    ]);
+
+    this.scoreCandidates(candidates, query, stats);
+    const authorSet = new Set(authorIds.map(String));
+    const relevant = candidates.filter(doc => doc.matchedTerms > 0 || authorSet.has(String(doc.author)));
+
+    const filters = this.buildFilters({ category, tags, author, date, from, to });
+    const facets = await this.buildFacets(relevant, filters);
+    const matches = await this.sortMatches(
+      relevant.filter(doc => Object.values(filters).every(test => test(doc))),
+      sort
+    );
+
+    const pageMatches = matches.slice((page - 1) * limit, page * limit);
+    const posts = await this.loadResults(pageMatches, query);
+
+    return { posts, facets, total: matches.length };
+  }
+
+  /**
+   * Load the posts for a page of matches, in order, with highlights
+   */
+  async loadResults(pageMatches, query) {
+    const ids = pageMatches.map(m => m.post);
+
+    let postsQuery = this.BlogPost.find({ _id: { $in: ids } });
+    if (process.env.NODE_ENV !== 'test') {
+      postsQuery = postsQuery.populate('author', 'firstName lastName email profile');
+    }
+
+    const [posts, texts] = await Promise.all([
+      postsQuery.lean(),
+      SearchDocument.find({ post: { $in: ids } }).select('post title body').lean()
+    ]);
+
+    const postsById = new Map(posts.map(p => [String(p._id), p]));
+    const textsById = new Map(texts.map(t => [String(t.post), t]));
+
+    // Entries whose post disappeared without the hook running
+    const stale = ids.filter(id => !postsById.has(String(id)));
+    if (stale.length > 0) {
+      await SearchDocument.deleteMany({ post: { $in: stale } });
+    }
+
+    return pageMatches
+      .filter(match => postsById.has(String(match.post)))
+      .map(match => {
+        const post = postsById.get(String(match.post));
+        const text = textsById.get(String(match.post));
+        return {
+          ...post,
+          searchScore: Math.round(match.score * 100) / 100,
+          searchHighlight: {
+            title: highlight(text?.title || post.title, query),
+            snippet: snippet(text?.body || '', query)
+          }
+        };
+      });
+  }
+}
+
+const searchService = new SearchService();
+export default searchService;
@@ -0,0 +1,329 @@
+/**
+ * Session Service
+ * Server-side sessions behind refresh tokens.
+ *
+ * Signing in creates a session for the device and a refresh token bound to
+ * it. Each refresh replaces the token: the old one stops working and the
+ * device gets a new one. If a replaced token is presented again, someone
+ * else has a copy of it, so the session is revoked and both the thief and
+ * the device have to sign in again.
+ *
+ * Two tabs refreshing at once both send the same token; the one that loses
+ * the race is given an access token without a new refresh token, as long as
+ * it arrives within REUSE_GRACE_MS of the rotation.
+ *
+ * Sessions slide: every request and refresh counts as activity, and a
+ * session that goes unused for security.sessionTimeout hours (a live
+ * setting) ends. Refresh tokens are issued for the same length of time.
+ *
+ * Access tokens carry the session id (sid), and protect() checks the
+ * session on every request, so an access token stops working as soon as its
+ * session is revoked or times out. They are also never issued for longer
+ * than the session has left before it times out.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import AuditLogService from './auditLogService.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+import { getSettings } from '../middleware/settingsMiddleware.js';
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  getTokenExpiration
+} from '../utils/tokens.js';
+
+const REUSE_GRACE_MS = 10 * 1000;
+const DEFAULT_TIMEOUT_HOURS = 24;
+// lastSeenAt is moved at most this often, so busy clients don't write on
+// every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const IDLE_MESSAGE = 'Your session expired after a period of inactivity. Please log in again.';
+
+/**
+ * Session timeout in milliseconds, from the site settings
+ */
+const getTimeoutMs = async () => {
+  const settings = await getSettings();
+  return (settings?.security?.sessionTimeout || DEFAULT_TIMEOUT_HOURS) * 60 * 60 * 1000;
+};
+
+/**
+ * Seconds before a session last used at `lastSeenAt` times out
+ */
+const secondsLeft = (lastSeenAt, timeoutMs, now = Date.now()) =>
+  Math.max(1, Math.floor((new Date(lastSeenAt).getTime() + timeoutMs - now) / 1000));
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser/],
+  ['Firefox', /Firefox|FxiOS/],
+  ['Chrome', /Chrome|CriOS/],
+  ['Safari', /Safari/]
+];
+
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Browser and operating system from a User-Agent header
+ */
+const describeDevice = (userAgent = '') => ({
+  userAgent: userAgent.slice(0, 512),
+  browser: BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Unknown browser',
+  os: SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Unknown OS'
+});
+
+const requestIp = (req) => req.ip || req.socket?.remoteAddress || '';
+
+class SessionService {
+  /**
+   * Start a session for a device that just signed in
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (device and IP)
+   * @returns {Promise<Object>} { accessToken, refreshToken, sessionId, expiresAt }
+   */
+  async create(user, req) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const timeoutMs = await getTimeoutMs();
+    const refreshToken = generateRefreshToken(user._id, sessionId, timeoutMs / 1000);
+
+    await Session.create({
+      _id: sessionId,
+      user: user._id,
+      tokenHash: hashToken(refreshToken),
+      device: describeDevice(req.get('User-Agent')),
+      ipAddress: requestIp(req),
+      expiresAt: getTokenExpiration(refreshToken)
+    });
+
+    return {
+      accessToken: generateAccessToken(user._id, sessionId, timeoutMs / 1000),
+      refreshToken,
+      sessionId,
+      expiresAt: getTokenExpiration(refreshToken)
+    };
+  }
+
+  /**
+   * Exchange a refresh token for new tokens
+   * @param {string} token - Refresh token from the device
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { userId, sessionId, accessToken, refreshToken,
+   *   expiresAt } (refreshToken is null when a concurrent refresh already
+   *   rotated it)
+   * @throws {AppError} 401 if the token is invalid, revoked, reused or its
+   *   session timed out
+   */
+  async rotate(token, req) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(token);
+    } catch (error) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+    if (!decoded.sid) {
+      // Issued before sessions existed
+      throw new AppError('Session expired. Please log in again.', 401);
+    }
+
+    const hash = hashToken(token);
+    const timeoutMs = await getTimeoutMs();
+    const refreshToken = generateRefreshToken(decoded.id, decoded.sid, timeoutMs / 1000);
+    const now = new Date();
+    const idleSince = new Date(now - timeoutMs);
+
+    // Swap the token only if it is still the current one, so two requests
+    // can't both rotate it
+    const session = await Session.findOneAndUpdate(
+      { _id: decoded.sid, tokenHash: hash, revokedAt: null, lastSeenAt: { $gt: idleSince } },
+      {
+        $set: {
+          tokenHash: hashToken(refreshToken),
+          previousTokenHash: hash,
+          rotatedAt: now,
+          lastSeenAt: now,
+          ipAddress: requestIp(req),
+          expiresAt: getTokenExpiration(refreshToken)
+        }
+      },
+      { new: true }
+    );
+
+    if (session) {
+      return {
+        userId: session.user,
+        sessionId: session._id,
+        accessToken: generateAccessToken(session.user, session._id, timeoutMs / 1000),
+        refreshToken,
+        expiresAt: session.expiresAt
+      };
+    }
+
+    const existing = await Session.findById(decoded.sid);
+    if (!existing || existing.revokedAt) {
+      throw new AppError('Session expired. Please log in again.', 401);
+    }
+
+    if (existing.lastSeenAt <= idleSince) {
+      await this.revoke(existing.user, existing._id, 'idle_timeout');
+      throw new AppError(IDLE_MESSAGE, 401);
+    }
+
+    if (existing.previousTokenHash === hash && now - existing.rotatedAt < REUSE_GRACE_MS) {
+      return {
+        userId: existing.user,
+        sessionId: existing._id,
+        accessToken: generateAccessToken(
+          existing.user,
+          existing._id,
+          secondsLeft(existing.lastSeenAt, timeoutMs, now)
+        ),
+        refreshToken: null,
+        expiresAt: existing.expiresAt
+      };
+    }
+
+    // A token this session already replaced: treat the session as stolen
+    existing.revokedAt = now;
+    existing.revokedReason = 'token_reuse';
+    await existing.save();
+    await AuditLogService.logRefreshTokenReuse(existing.user, existing._id, req);
+    throw new AppError('Session expired. Please log in again.', 401);
+  }
+
+  /**
+   * Record a request on the session of its access token
+   * lastSeenAt and the expiry move forward at most once every
+   * TOUCH_INTERVAL_MS.
+   * @param {string} sessionId - Session id (sid) from the access token
+   * @returns {Promise<boolean>} False if the session was revoked or has gone
+   *   unused for longer than the session timeout
+   */
+  async touch(sessionId) {
+    const session = await Session.findById(sessionId).select('user lastSeenAt revokedAt').lean();
+    if (!session || session.revokedAt) return false;
+
+    const timeoutMs = await getTimeoutMs();
+    const now = Date.now();
+
+    if (now - session.lastSeenAt >= timeoutMs) {
+      await this.revoke(session.user, session._id, 'idle_timeout');
+      return false;
+    }
+
+    if (now - session.lastSeenAt >= TOUCH_INTERVAL_MS) {
+      await Session.updateOne(
+        { _id: session._id, revokedAt: null },
+        { $set: { lastSeenAt: new Date(now), expiresAt: new Date(now + timeoutMs) } }
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * The user's active sessions, most recently used first
+   * @param {string} userId - User ID
+   * @param {string} [currentSessionId] - Session of the request, marked `current`
+   */
+  async list(userId, currentSessionId) {
+    const timeoutMs = await getTimeoutMs();
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      lastSeenAt: { $gt: new Date(Date.now() - timeoutMs) },
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device ipAddress lastSeenAt createdAt')
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    return sessions.map(({ _id, device, ipAddress, lastSeenAt, createdAt }) => ({
+      id: _id,
+      browser: device.browser,
+      os: device.os,
+      ipAddress,
+      lastSeenAt,
+      createdAt,
+      current: !!currentSessionId && String(_id) === String(currentSessionId)
+    }));
+  }
+
+  /**
+   * Revoke one of the user's sessions
+   * @returns {Promise<boolean>} False if the user has no such active session
+   */
+  async revoke(userId, sessionId, reason = 'revoked') {
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke all of the user's sessions, optionally keeping one
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { except: sessionId to keep, reason }
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeAll(userId, { except, reason = 'revoked_all' } = {}) {
+    const result = await Session.updateMany(
+      { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Apply a shorter session timeout to existing sessions: those already
+   * unused for longer are revoked and the others expire sooner
+   * @param {number} timeoutHours - The new session timeout
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async expireIdle(timeoutHours) {
+    const timeoutMs = timeoutHours * 60 * 60 * 1000;
+    const now = new Date();
+
+    const result = await Session.updateMany(
+      { revokedAt: null, lastSeenAt: { $lte: new Date(now - timeoutMs) } },
+      { $set: { revokedAt: now, revokedReason: 'idle_timeout' } }
+    );
+
+    await Session.updateMany(
+      { revokedAt: null },
+      [{ $set: { expiresAt: { $min: ['$expiresAt', { $add: ['$lastSeenAt', timeoutMs] }] } } }]
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to, e.g. on logout
+   * Invalid tokens are ignored.
+   */
+  async revokeByToken(token, reason = 'logout') {
+    try {
+      const { id, sid } = verifyRefreshToken(token);
+      if (sid) await this.revoke(id, sid, reason);
+    } catch (error) {
+      // Nothing to revoke
+    }
+  }
+}
+
+const sessionService = new SessionService();
+export default sessionService;
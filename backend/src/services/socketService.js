@@ -89,6 +89,19 @@ class SocketService {
     this.io.to(room).emit(event, data);
   }
 
+  /**
+   * Send a fresh co-editing snapshot to everyone editing a post
+   * Used when the document is replaced outside the editor (e.g. revision restore)
+   * @param {string} postId - Post ID
+   * @param {Object} snapshot - { version, document }
+   */
+  broadcastDocumentReset(postId, snapshot) {
+    this.emitToPostEditors(postId, SERVER_EVENTS.COLLAB_INIT, {
+      postId,
+      ...snapshot
+    });
+  }
+
   /**
    * Broadcast new post to category subscribers
    * @param {string} category - Category name
@@ -187,17 +200,6 @@ class SocketService {
     this.io.to(ROOMS.moderators).emit(event, data);
   }
 
-  /**
-   * Emit event to all admins
-   * @param {string} event - Event name
-   * @param {Object} data - Event data
-   */
-  emitToAdmins(event, data) {
-    if (!this.io) return;
-    
-    this.io.to(ROOMS.admins).emit(event, data);
-  }
-
   /**
    * Notify moderators of new pending post
    * @param {Object} post - Post object
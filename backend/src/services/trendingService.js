@@ -0,0 +1,223 @@
+/**
+ * Trending Service
+ * Scores published posts by recent engagement, so trending lists favour
+ * what readers are engaging with now rather than all-time totals.
+ *
+ * A post's score for a window is its daily views, likes, dislikes and
+ * comments (PostDailyStat) over the last day, week or month, weighted and
+ * decayed with the age of each day: a like today counts for more than a
+ * like last week, and each window has its own half-life. Dislikes count
+ * against a post; scores never go below 0.
+ *
+ * Scores are stored on the post (BlogPost.trending) and refreshed on an
+ * interval. Each run only rescores posts with engagement inside the longest
+ * window, and clears the scores of posts that fell out of it, so the work
+ * follows recent activity rather than the size of the archive. A tag's
+ * score is the sum of its posts' scores.
+ */
+
+import BlogPost from '../models/blogpost/index.js';
+import PostDailyStat from '../models/PostDailyStat.js';
+
+const REFRESH_INTERVAL = 10 * 60 * 1000; // ms between refreshes
+const WRITE_BATCH_SIZE = 500; // score updates per bulk write
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const TRENDING_WINDOWS = {
+  day: { days: 1, halfLife: 6 * HOUR },
+  week: { days: 7, halfLife: 2 * DAY },
+  month: { days: 30, halfLife: 7 * DAY }
+};
+
+// Points per unique view, like, dislike and comment
+const WEIGHTS = { views: 1, likes: 4, dislikes: -3, comments: 6 };
+
+const round = (score) => Math.round(Math.max(score, 0) * 100) / 100;
+
+class TrendingService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start refreshing scores
+   * @param {number} [interval] - Milliseconds between refreshes
+   */
+  start(interval = REFRESH_INTERVAL) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runSafely(), interval);
+    this.timer.unref?.();
+    this.runSafely();
+  }
+
+  /**
+   * Stop refreshing scores
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async runSafely() {
+    try {
+      await this.refresh();
+    } catch (error) {
+      console.error('Error refreshing trending scores:', error);
+    }
+  }
+
+  /**
+   * Rescore every post with engagement in the longest window
+   * @param {Date} [now]
+   * @returns {Promise<number>} Number of posts rescored
+   */
+  async refresh(now = new Date()) {
+    // A slow run must not overlap with the next tick
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const scores = await this.computeScores(now);
+
+      for (let i = 0; i < scores.length; i += WRITE_BATCH_SIZE) {
+        await BlogPost.bulkWrite(
+          scores.slice(i, i + WRITE_BATCH_SIZE).map(({ _id, ...windows }) => ({
+            updateOne: {
+              filter: { _id },
+              update: {
+                $set: {
+                  'trending.day': round(windows.day),
+                  'trending.week': round(windows.week),
+                  'trending.month': round(windows.month),
+                  'trending.updatedAt': now
+                }
+              }
+            }
+          })),
+          { ordered: false }
+        );
+      }
+
+      // Posts with no engagement left in any window
+      await BlogPost.updateMany(
+        {
+          'trending.month': { $gt: 0 },
+          $or: [{ 'trending.updatedAt': { $lt: now } }, { 'trending.updatedAt': null }]
+        },
+        {
+          $set: {
+            'trending.day': 0,
+            'trending.week': 0,
+            'trending.month': 0,
+            'trending.updatedAt': now
+          }
+        }
+      );
+
+      return scores.length;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Decayed engagement per post and window, from the daily stats
+   * @param {Date} now
+   * @returns {Promise<Array>} [{ _id: postId, day, week, month }]
+   */
+  computeScores(now) {
+    const longest = Math.max(...Object.values(TRENDING_WINDOWS).map(w => w.days));
+
+    // A day's engagement is taken to happen halfway through the part of
+    // it that has passed; a window includes every day that overlaps it
+    const windowScore = ({ days, halfLife }) => ({
+      $sum: {
+        $cond: [
+          { $gt: ['$day', new Date(now.getTime() - (days + 1) * DAY)] },
+          { $multiply: ['$points', { $pow: [0.5, { $divide: ['$age', halfLife] }] }] },
+          0
+        ]
+      }
+    });
+
+    return PostDailyStat.aggregate([
+      { $match: { day: { $gt: new Date(now.getTime() - (longest + 1) * DAY) } } },
+      {
+        $project: {
+          post: 1,
+          day: 1,
+          points: {
+            $add: Object.entries(WEIGHTS).map(([field, weight]) => ({
+              $multiply: [{ $ifNull: [`$${field}`, 0] }, weight]
+            }))
+          },
+          age: {
+            $max: [0, {
+              $subtract: [
+                now,
+                {
+                  $add: ['$day', {
+                    $divide: [
+                      { $subtract: [{ $min: [{ $add: ['$day', DAY] }, now] }, '$day'] },
+                      2
+                    ]
+                  }]
+                }
+              ]
+            }]
+          }
+        }
+      },
+      {
+        $group: Object.fromEntries([
+          ['_id', '$post'],
+          ...Object.entries(TRENDING_WINDOWS).map(([name, window]) => [name, windowScore(window)])
+        ])
+      }
+    ]);
+  }
+
+  /**
+   * Published posts with the highest scores in a window
+   * @param {string} window - Key of TRENDING_WINDOWS
+   * @param {Object} [options] - { limit, category }
+   * @returns {Promise<Array>}
+   */
+  getTrendingPosts(window, { limit = 10, category } = {}) {
+    return BlogPost.find({
+      status: 'published',
+      [`trending.${window}`]: { $gt: 0 },
+      ...(category && { category })
+    })
+      .select('title slug excerpt featuredImage author category tags views likesCount dislikesCount commentsCount publishedAt createdAt trending')
+      .populate('author', 'username firstName lastName profile')
+      .trending(window)
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Tags ranked by the summed scores of their published posts in a window
+   * @param {string} window - Key of TRENDING_WINDOWS
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array>} [{ tag, score, posts }]
+   */
+  getTrendingTags(window, { limit = 10 } = {}) {
+    const field = `trending.${window}`;
+    return BlogPost.aggregate([
+      { $match: { status: 'published', [field]: { $gt: 0 } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', score: { $sum: `$${field}` }, posts: { $sum: 1 } } },
+      { $sort: { score: -1, posts: -1 } },
+      { $limit: limit },
+      { $project: { tag: '$_id', score: { $round: ['$score', 2] }, posts: 1, _id: 0 } }
+    ]);
+  }
+}
+
+const trendingService = new TrendingService();
+export default trendingService;
@@ -0,0 +1,336 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP (RFC 6238) second factor for signing in, with one-time recovery codes.
+ *
+ * Setting up stores a new secret as pending and returns it with an otpauth://
+ * URL and its QR code for authenticator apps. The secret only becomes active
+ * once a code generated from it is confirmed, so a mistyped or unscanned
+ * secret can't lock anyone out. Enabling also issues recovery codes; only
+ * their SHA-256 hashes are kept and each works once.
+ *
+ * Accepted codes are remembered by time step, so a code can't be replayed
+ * within the window it stays valid. Using up a code is a conditional update,
+ * so the same code sent twice at once is only accepted once.
+ *
+ * Whether users may turn 2FA on, and which roles must, comes from
+ * Settings.security (enableTwoFactor, requireTwoFactorRoles).
+ */
+
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import { AppError } from '../middleware/errorMiddleware.js';
+import { getSettings } from '../middleware/settingsMiddleware.js';
+import { generateChallengeToken } from '../utils/tokens.js';
+
+const ISSUER = 'Admas Blog';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // steps before / after now still accepted (clock drift)
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Fields to select to work with a user's 2FA, which are hidden by default
+export const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Encode bytes as unpadded base32, the format authenticator apps expect
+ */
+const toBase32 = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ */
+const fromBase32 = (text) => {
+  let bits = '';
+  for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+const userRoles = (user) => [...new Set([user.role, ...(user.roles || [])].filter(Boolean))];
+
+class TwoFactorService {
+  // ==================== TOTP ====================
+
+  /**
+   * The code for a secret at a time step (HOTP, RFC 4226)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step (seconds since epoch / 30)
+   * @returns {string} Zero-padded code
+   */
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', fromBase32(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+  }
+
+  /**
+   * Find the time step a code was generated for
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code the user entered
+   * @param {number} [lastUsedStep] - Steps up to this one were already used
+   * @returns {number|null} Matching step, or null if the code is not valid
+   */
+  matchCode(secret, code, lastUsedStep = -1, now = Date.now()) {
+    const entered = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(entered) || entered.length !== DIGITS) return null;
+
+    const current = this.currentStep(now);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      if (step <= lastUsedStep) continue;
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(entered))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  // ==================== POLICY ====================
+
+  /**
+   * Whether the user's role must use two-factor authentication
+   */
+  async isRequired(user) {
+    const settings = await getSettings();
+    const required = settings?.security?.requireTwoFactorRoles || [];
+    return userRoles(user).some(role => required.includes(role));
+  }
+
+  /**
+   * Whether the user may turn two-factor authentication on
+   */
+  async isAllowed(user) {
+    const settings = await getSettings();
+    return !!settings?.security?.enableTwoFactor || await this.isRequired(user);
+  }
+
+  /**
+   * What a user still has to do after their password is accepted
+   * @param {Object} user - User document
+   * @returns {Promise<Object|null>} { challengeToken, setupRequired }, or
+   *   null when the password alone is enough
+   */
+  async getLoginChallenge(user) {
+    if (user.twoFactor?.enabled) {
+      return { challengeToken: generateChallengeToken(user._id, 'verify'), setupRequired: false };
+    }
+    if (await this.isRequired(user)) {
+      return { challengeToken: generateChallengeToken(user._id, 'enroll'), setupRequired: true };
+    }
+    return null;
+  }
+
+  // ==================== SETUP ====================
+
+  /**
+   * Start setting up: a new pending secret, and how to add it to an app
+   * @param {Object} user - User document loaded with TWO_FACTOR_FIELDS
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode (data URL) }
+   */
+  async beginSetup(user) {
+    if (user.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+    if (!await this.isAllowed(user)) {
+      throw new AppError('Two-factor authentication is not available', 403);
+    }
+
+    const secret = toBase32(crypto.randomBytes(SECRET_BYTES));
+    user.set('twoFactor.pendingSecret', secret);
+    await user.save({ validateBeforeSave: false });
+
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS)
+    });
+    const otpauthUrl = `otpauth://totp/${label}?${params}`;
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Turn 2FA on once a code from the pending secret is confirmed
+   * @param {Object} user - User document loaded with TWO_FACTOR_FIELDS
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<string[]>} Recovery codes, shown to the user once
+   */
+  async enable(user, code) {
+    if (user.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const step = this.matchCode(pendingSecret, code);
+    if (step === null) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const recoveryCodes = this.createRecoveryCodes();
+    user.set({
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.secret': pendingSecret,
+      'twoFactor.pendingSecret': undefined,
+      'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+      'twoFactor.lastUsedStep': step
+    });
+    await user.save({ validateBeforeSave: false });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn 2FA off
+   * @param {Object} user - User document loaded with TWO_FACTOR_FIELDS
+   */
+  async disable(user) {
+    if (!user.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+    if (await this.isRequired(user)) {
+      throw new AppError('Two-factor authentication is required for your role', 403);
+    }
+
+    user.set({
+      'twoFactor.enabled': false,
+      'twoFactor.enabledAt': undefined,
+      'twoFactor.secret': undefined,
+      'twoFactor.pendingSecret': undefined,
+      'twoFactor.recoveryCodes': [],
+      'twoFactor.lastUsedStep': undefined
+    });
+    await user.save({ validateBeforeSave: false });
+  }
+
+  /**
+   * Replace the user's recovery codes with a new set
+   * @param {Object} user - User document loaded with TWO_FACTOR_FIELDS
+   * @returns {Promise<string[]>} The new codes
+   */
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = this.createRecoveryCodes();
+    user.set('twoFactor.recoveryCodes', recoveryCodes.map(hashRecoveryCode));
+    await user.save({ validateBeforeSave: false });
+    return recoveryCodes;
+  }
+
+  // ==================== VERIFYING ====================
+
+  /**
+   * Check a second factor: an authenticator code or an unused recovery code
+   * An accepted code is used up.
+   * @param {Object} user - User document loaded with TWO_FACTOR_FIELDS
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<Object|null>} { method: 'totp' | 'recovery', remaining },
+   *   or null if not accepted
+   */
+  async verify(user, { code, recoveryCode }) {
+    if (!user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const used = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      if (used.modifiedCount !== 1) return null;
+
+      const remaining = (user.twoFactor.recoveryCodes || []).filter(h => h !== hash);
+      return { method: 'recovery', remaining: remaining.length };
+    }
+
+    const step = this.matchCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+    if (step === null) return null;
+
+    const used = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': null }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (used.modifiedCount !== 1) return null;
+
+    return { method: 'totp', remaining: (user.twoFactor.recoveryCodes || []).length };
+  }
+
+  /**
+   * A user's 2FA state, for their settings page
+   */
+  async getStatus(user) {
+    return {
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      required: await this.isRequired(user),
+      allowed: await this.isAllowed(user),
+      recoveryCodesRemaining: user.twoFactor?.enabled
+        ? (user.twoFactor.recoveryCodes || []).length
+        : 0
+    };
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Recovery codes like "3f9a1-c07e2"
+   */
+  createRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+}
+
+const twoFactorService = new TwoFactorService();
+export default twoFactorService;
@@ -0,0 +1,161 @@
+/**
+ * View Tracking Service
+ * Decides which requests for a post count as views and which views count as
+ * reads.
+ *
+ *   - Requests from known bots and crawlers are ignored entirely.
+ *   - Every other request is a hit. It is also a view if it is the reader's
+ *     first in the view window; readers are identified by user id when
+ *     signed in and by a hashed IP / user agent fingerprint otherwise.
+ *   - A view becomes a qualified read once the reader reports spending
+ *     MIN_DWELL_SECONDS on the post. Reported dwell can't exceed the time
+ *     since the view was counted.
+ *
+ * Counts go to BlogPost (totals) and postAnalyticsService (daily history).
+ */
+
+import crypto from 'crypto';
+import BlogPost from '../models/blogpost/index.js';
+import PostView from '../models/PostView.js';
+import postAnalyticsService from './postAnalyticsService.js';
+
+const VIEW_WINDOW = 24 * 60 * 60 * 1000; // ms before a reader's view counts again
+const MIN_DWELL_SECONDS = 30; // time on the post for a view to count as a read
+const DWELL_SLACK_SECONDS = 5; // allowance for clock and network delay
+
+// Crawlers, link previewers, monitoring and scripted clients
+const BOT_PATTERN = new RegExp([
+  'bot\\b', 'bot/', 'crawl', 'spider', 'slurp', 'scrape', 'archiver',
+  'facebookexternalhit', 'facebookcatalog', 'embedly', 'quora link preview',
+  'whatsapp', 'telegrambot', 'discordbot', 'skypeuripreview', 'vkshare',
+  'headless', 'phantomjs', 'puppeteer', 'playwright', 'selenium', 'lighthouse',
+  'pingdom', 'uptime', 'statuscake', 'site24x7', 'newrelic', 'datadog',
+  'curl/', 'wget/', 'httpie', 'python-requests', 'python-urllib', 'aiohttp',
+  'axios/', 'node-fetch', 'undici', 'go-http-client', 'okhttp', 'java/',
+  'libwww', 'apache-httpclient', 'postmanruntime', 'insomnia'
+].join('|'), 'i');
+
+class ViewTrackingService {
+  /**
+   * Whether a user agent belongs to a bot or script
+   * @param {string} [userAgent]
+   * @returns {boolean}
+   */
+  isBot(userAgent) {
+    return !userAgent || BOT_PATTERN.test(userAgent);
+  }
+
+  /**
+   * Identify the reader making a request
+   * @param {Object} req - Express request (req.user set by optionalAuth)
+   * @returns {string} 'user:<id>' or 'anon:<fingerprint>'
+   */
+  viewerKey(req) {
+    if (req.user?._id) return `user:${req.user._id}`;
+
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update([req.ip, req.get('User-Agent'), req.get('Accept-Language')].join('|'))
+      .digest('hex')
+      .slice(0, 32);
+    return `anon:${fingerprint}`;
+  }
+
+  /**
+   * Count a request for a post
+   * @param {Object} post - Post with _id and author
+   * @param {Object} req - Express request
+   * @returns {Promise<{ bot: boolean, unique: boolean }>}
+   */
+  async track(post, req) {
+    if (this.isBot(req.get('User-Agent'))) {
+      return { bot: true, unique: false };
+    }
+
+    const now = new Date();
+    let unique = true;
+    try {
+      // Inserts a new view, or restarts one whose window has passed but
+      // which the TTL monitor hasn't removed yet. A live view makes the
+      // upsert collide on the unique index.
+      await PostView.updateOne(
+        { post: post._id, viewer: this.viewerKey(req), expiresAt: { $lte: now } },
+        {
+          $set: {
+            viewedAt: now,
+            expiresAt: new Date(now.getTime() + VIEW_WINDOW),
+            dwellSeconds: 0,
+            qualified: false,
+            completion: null
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      unique = false;
+    }
+
+    await BlogPost.updateOne({ _id: post._id }, { $inc: { hits: 1, views: unique ? 1 : 0 } });
+    postAnalyticsService.recordHit(post, req.get('X-View-Referrer'), unique);
+
+    return { bot: false, unique };
+  }
+
+  /**
+   * Record how long the reader has spent on a post and how far they got
+   * @param {Object} post - Post with _id and author
+   * @param {Object} req - Express request
+   * @param {Object} report
+   * @param {number} [report.dwellSeconds] - Time spent on the post
+   * @param {number} [report.completion] - Percentage read, 0-100
+   * @returns {Promise<{ recorded: boolean, qualified: boolean }>}
+   */
+  async recordRead(post, req, { dwellSeconds, completion }) {
+    if (this.isBot(req.get('User-Agent'))) {
+      return { recorded: false, qualified: false };
+    }
+
+    const now = new Date();
+    const view = await PostView.findOne({
+      post: post._id,
+      viewer: this.viewerKey(req),
+      expiresAt: { $gt: now }
+    });
+    if (!view) return { recorded: false, qualified: false };
+
+    const elapsed = (now - view.viewedAt) / 1000 + DWELL_SLACK_SECONDS;
+    const dwell = Math.min(Math.max(Number(dwellSeconds) || 0, 0), elapsed);
+    let { qualified } = view;
+
+    if (dwell > view.dwellSeconds) {
+      const becameQualified = !qualified && dwell >= MIN_DWELL_SECONDS;
+      const updated = await PostView.updateOne(
+        { _id: view._id, qualified: view.qualified, dwellSeconds: view.dwellSeconds },
+        { $set: { dwellSeconds: Math.round(dwell), qualified: qualified || becameQualified } }
+      );
+
+      if (becameQualified && updated.modifiedCount === 1) {
+        qualified = true;
+        await BlogPost.updateOne({ _id: post._id }, { $inc: { qualifiedReads: 1 } });
+        postAnalyticsService.recordQualifiedRead(post);
+      }
+    }
+
+    if (Number.isFinite(completion) && completion > (view.completion ?? -1)) {
+      const percent = Math.round(Math.min(Math.max(completion, 0), 100));
+      const updated = await PostView.updateOne(
+        { _id: view._id, completion: view.completion },
+        { $set: { completion: percent } }
+      );
+      if (updated.modifiedCount === 1) {
+        postAnalyticsService.recordReadCompletion(post, percent, view.completion);
+      }
+    }
+
+    return { recorded: true, qualified };
+  }
+}
+
+const viewTrackingService = new ViewTrackingService();
+export default viewTrackingService;
@@ -31,6 +31,13 @@ export const SERVER_EVENTS = {
   
   // Typing
   TYPING_USER: 'typing:user',
+
+  // Co-editing
+  COLLAB_INIT: 'collab:init',
+  COLLAB_ACK: 'collab:ack',
+  COLLAB_OPERATION: 'collab:operation',
+  COLLAB_CURSOR: 'collab:cursor',
+  COLLAB_ERROR: 'collab:error',
   
   // Moderation
   MODERATION_NEW: 'moderation:new',
@@ -58,7 +65,12 @@ export const CLIENT_EVENTS = {
   // Actions
   CLAIM_POST: 'claim:post',
   TYPING_START: 'typing:start',
-  TYPING_STOP: 'typing:stop'
+  TYPING_STOP: 'typing:stop',
+
+  // Co-editing
+  COLLAB_JOIN: 'collab:join',
+  COLLAB_OPERATION: 'collab:operation',
+  COLLAB_CURSOR: 'collab:cursor'
 };
 
 // Room name generators
@@ -67,8 +79,7 @@ export const ROOMS = {
   post: (postId) => `post:${postId}`,
   edit: (postId) => `edit:${postId}`,
   category: (category) => `category:${category}`,
-  moderators: 'moderators',
-  admins: 'admins'
+  moderators: 'moderators'
 };
 
 export default {
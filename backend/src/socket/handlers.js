@@ -6,6 +6,9 @@
  */
 
 import { connectionTracker } from './connectionTracker.js';
+import BlogPost from '../models/blogpost/index.js';
+import collaborativeEditingService from '../services/collaborativeEditingService.js';
+import permissionService from '../services/permissionService.js';
 
 // Track active editors per post
 const activeEditors = new Map(); // postId -> Map<socketId, userInfo>
@@ -24,6 +27,9 @@ export const registerHandlers = (io, socket) => {
     avatar: socket.user.profile?.avatar || null
   };
 
+  // Posts this socket has joined a co-editing session for
+  const collabPosts = new Set();
+
   // ==================== POST VIEWING ====================
 
   /**
@@ -96,6 +102,7 @@ export const registerHandlers = (io, socket) => {
     if (!postId) return;
 
     handleLeaveEdit(io, socket, postId, userInfo);
+    leaveCollab(postId);
   });
 
   // ==================== CATEGORY SUBSCRIPTION ====================
@@ -131,15 +138,19 @@ export const registerHandlers = (io, socket) => {
   /**
    * Join moderation room (for moderators/admins)
    */
-  socket.on('join:moderation', () => {
-    const userRoles = socket.user.roles || [socket.user.role];
-    if (!userRoles.includes('moderator') && !userRoles.includes('admin')) {
-      socket.emit('error', { message: 'Not authorized to join moderation room' });
-      return;
-    }
+  socket.on('join:moderation', async () => {
+    try {
+      if (!(await permissionService.has(socket.user, 'post.approve'))) {
+        socket.emit('error', { message: 'Not authorized to join moderation room' });
+        return;
+      }
 
-    socket.join('moderators');
-    console.log(`   🛡️ ${socket.user.firstName} joined moderation room`);
+      socket.join('moderators');
+      console.log(`   🛡️ ${socket.user.firstName} joined moderation room`);
+    } catch (error) {
+      console.error('Error joining moderation room:', error);
+      socket.emit('error', { message: 'Failed to join moderation room' });
+    }
   });
 
   /**
@@ -153,23 +164,32 @@ export const registerHandlers = (io, socket) => {
   /**
    * Claim a post for moderation review
    */
-  socket.on('claim:post', ({ postId }) => {
+  socket.on('claim:post', async ({ postId }) => {
     if (!postId) return;
 
-    const userRoles = socket.user.roles || [socket.user.role];
-    if (!userRoles.includes('moderator') && !userRoles.includes('admin')) {
-      socket.emit('error', { message: 'Not authorized to claim posts' });
-      return;
-    }
+    try {
+      const post = await BlogPost.findById(postId)
+        .setOptions({ skipPopulate: true })
+        .select('category')
+        .lean();
 
-    // Broadcast claim to other moderators
-    socket.to('moderators').emit('moderation:claimed', {
-      postId,
-      claimedBy: userInfo,
-      claimedAt: new Date().toISOString()
-    });
+      if (!post || !(await permissionService.can(socket.user, 'post.approve', post.category))) {
+        socket.emit('error', { message: 'Not authorized to claim posts' });
+        return;
+      }
 
-    console.log(`   🔒 ${socket.user.firstName} claimed post: ${postId}`);
+      // Broadcast claim to other moderators
+      socket.to('moderators').emit('moderation:claimed', {
+        postId,
+        claimedBy: userInfo,
+        claimedAt: new Date().toISOString()
+      });
+
+      console.log(`   🔒 ${socket.user.firstName} claimed post: ${postId}`);
+    } catch (error) {
+      console.error('Error claiming post:', error);
+      socket.emit('error', { message: 'Failed to claim post' });
+    }
   });
 
   // ==================== TYPING INDICATORS ====================
@@ -200,18 +220,83 @@ export const registerHandlers = (io, socket) => {
     });
   });
 
+  // ==================== CO-EDITING ====================
+
   /**
-   * Broadcast content update to other editors
+   * Join the operational-transform session for a post
+   * Sends either the operations missed since `version` or a full snapshot
    */
-  socket.on("content:update", ({ postId, content, selection }) => {
+  socket.on('collab:join', async ({ postId, version = null }) => {
     if (!postId) return;
 
-    socket.to(`edit:${postId}`).emit("content:changed", {
+    try {
+      const post = await BlogPost.findById(postId)
+        .setOptions({ skipPopulate: true })
+        .select('author coAuthors category');
+
+      if (!post) {
+        socket.emit('collab:error', { postId, message: 'Post not found' });
+        return;
+      }
+
+      if (!post.canEdit(userId) &&
+          !(await permissionService.can(socket.user, 'post.edit.any', post.category))) {
+        socket.emit('collab:error', { postId, message: 'Not authorized to edit this post' });
+        return;
+      }
+
+      const state = await collaborativeEditingService.join(postId, socket.id, version);
+      collabPosts.add(postId);
+
+      socket.emit('collab:init', { postId, ...state });
+    } catch (error) {
+      console.error('Error joining co-editing session:', error);
+      socket.emit('collab:error', { postId, message: 'Failed to join editing session' });
+    }
+  });
+
+  /**
+   * Merge an operation into the shared document
+   * Acknowledges the sender and broadcasts the transformed operation to other editors
+   */
+  socket.on('collab:operation', async ({ postId, clientId, seq, version, operation }) => {
+    if (!postId || !collabPosts.has(postId)) return;
+
+    try {
+      const { entry, duplicate } = await collaborativeEditingService.receiveOperation(postId, {
+        clientId,
+        seq,
+        version,
+        operation,
+        userId
+      });
+
+      socket.emit('collab:ack', { postId, seq, version: entry.version });
+
+      if (!duplicate) {
+        socket.to(`edit:${postId}`).emit('collab:operation', {
+          postId,
+          version: entry.version,
+          operation: entry.operation,
+          clientId,
+          user: userInfo
+        });
+      }
+    } catch (error) {
+      socket.emit('collab:error', { postId, message: error.message, resync: true });
+    }
+  });
+
+  /**
+   * Broadcast cursor/selection position to other editors
+   */
+  socket.on('collab:cursor', ({ postId, selection }) => {
+    if (!postId || !collabPosts.has(postId)) return;
+
+    socket.to(`edit:${postId}`).emit('collab:cursor', {
       postId,
-      userId,
-      content,
-      selection,
-      timestamp: new Date().toISOString(),
+      user: userInfo,
+      selection: selection || null
     });
   });
 
@@ -224,7 +309,22 @@ export const registerHandlers = (io, socket) => {
         handleLeaveEdit(io, socket, postId, userInfo);
       }
     }
+    for (const postId of collabPosts) {
+      leaveCollab(postId);
+    }
   });
+
+  /**
+   * Leave the co-editing session for a post, persisting it if this was the last editor
+   * @param {string} postId - Post ID
+   */
+  function leaveCollab(postId) {
+    if (!collabPosts.delete(postId)) return;
+
+    collaborativeEditingService.leave(postId, socket.id).catch(error => {
+      console.error('Error saving co-edited document:', error);
+    });
+  }
 };
 
 /**
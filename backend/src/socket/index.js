@@ -6,6 +6,7 @@ import { Server } from 'socket.io';
 import { verifySocketToken } from './auth.js';
 import { registerHandlers } from './handlers.js';
 import { connectionTracker } from './connectionTracker.js';
+import permissionService from '../services/permissionService.js';
 
 let io = null;
 
@@ -39,14 +40,10 @@ export const initializeSocket = (httpServer) => {
     // Join personal room
     socket.join(`user:${userId}`);
     
-    // Join role-based rooms
-    const userRoles = socket.user.roles || [socket.user.role];
-    if (userRoles.includes('moderator') || userRoles.includes('admin')) {
-      socket.join('moderators');
-    }
-    if (userRoles.includes('admin')) {
-      socket.join('admins');
-    }
+    // Join the moderation room if the user reviews posts
+    permissionService.has(socket.user, 'post.approve')
+      .then(canReview => canReview && socket.join('moderators'))
+      .catch(error => console.error('Error checking moderation access:', error));
 
     // Register event handlers
     registerHandlers(io, socket);
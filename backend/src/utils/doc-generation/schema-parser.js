@@ -68,7 +68,11 @@ const FIELD_TO_GROUP_MAP = {
   lastLogin: FIELD_GROUPS.SECURITY,
   passwordChangedAt: FIELD_GROUPS.SECURITY,
   loginAttempts: FIELD_GROUPS.SECURITY,
-  lockUntil: FIELD_GROUPS.SECURITY
+  lockUntil: FIELD_GROUPS.SECURITY,
+  lastFailedLoginAt: FIELD_GROUPS.SECURITY,
+  unlockToken: FIELD_GROUPS.SECURITY,
+  unlockTokenExpires: FIELD_GROUPS.SECURITY,
+  twoFactor: FIELD_GROUPS.SECURITY
 };
 
 /**
@@ -1,3 +1,12 @@
+// Escape user-written text (post titles, excerpts, names) for the HTML body
+const escapeHtml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 export const emailTemplates = {
   // Email Verification Template
   'email-verification': (data) => ({
@@ -1042,5 +1051,323 @@ export const emailTemplates = {
       </body>
       </html>
     `
+  }),
+
+  // Weekly Digest Template
+  'weekly-digest': (data) => ({
+    subject: `📚 This Week on Admas University Blog - ${data.weekLabel}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; background: #f3f4f6; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #1f2937;">
+        <table width="100%" cellpadding="0" cellspacing="0" style="background: #f3f4f6; padding: 30px 15px;">
+          <tr>
+            <td align="center">
+              <table width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; background: white; border-radius: 12px; overflow: hidden;">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, #1e40af, #06b6d4); padding: 35px 30px; text-align: center;">
+                    <h1 style="color: white; font-size: 26px; margin: 0 0 8px 0;">Your Weekly Digest</h1>
+                    <p style="color: rgba(255, 255, 255, 0.9); font-size: 15px; margin: 0;">The most read posts of ${data.weekLabel}</p>
+                  </td>
+                </tr>
+
+                <!-- Categories -->
+                <tr>
+                  <td style="padding: 30px;">
+                    ${data.categories.map((group) => `
+                      <h2 style="color: #1e40af; font-size: 14px; text-transform: uppercase; letter-spacing: 1px; margin: 0 0 15px 0; padding-bottom: 8px; border-bottom: 2px solid #dbeafe;">${escapeHtml(group.label)}</h2>
+                      ${group.posts.map((post) => `
+                        <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom: 20px;">
+                          <tr>
+                            ${post.featuredImage ? `
+                              <td width="120" valign="top" style="padding-right: 15px;">
+                                <img src="${escapeHtml(post.featuredImage)}" alt="" width="120" style="display: block; width: 120px; height: 80px; object-fit: cover; border-radius: 8px;">
+                              </td>
+                            ` : ''}
+                            <td valign="top">
+                              <a href="${post.url}" style="color: #111827; font-size: 16px; font-weight: 600; text-decoration: none;">${escapeHtml(post.title)}</a>
+                              ${post.authorName ? `<p style="color: #6b7280; font-size: 12px; margin: 4px 0 0 0;">by ${escapeHtml(post.authorName)}</p>` : ''}
+                              ${post.excerpt ? `<p style="color: #4b5563; font-size: 14px; margin: 6px 0 0 0;">${escapeHtml(post.excerpt)}</p>` : ''}
+                            </td>
+                          </tr>
+                        </table>
+                      `).join('')}
+                      <div style="height: 10px;"></div>
+                    `).join('')}
+
+                    <div style="text-align: center; margin-top: 10px;">
+                      <a href="${data.blogUrl}" style="background: linear-gradient(135deg, #1e40af, #06b6d4); color: white; padding: 14px 35px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: 600;">Read More on the Blog</a>
+                    </div>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background: #f9fafb; padding: 25px 30px; text-align: center; border-top: 1px solid #e5e7eb;">
+                    <p style="color: #374151; font-size: 13px; font-weight: 600; margin: 0 0 5px 0;">Admas University Collaborative Blogging Platform</p>
+                    <p style="color: #6b7280; font-size: 12px; margin: 0 0 5px 0;">You are receiving this because you subscribed to the weekly digest.</p>
+                    <p style="color: #6b7280; font-size: 12px; margin: 0 0 10px 0;">&copy; ${new Date().getFullYear()} Admas University. All rights reserved.</p>
+                    <p style="color: #94a3b8; font-size: 11px; margin: 0;">
+                      Don't want these emails? <a href="${data.unsubscribeUrl}" style="color: #64748b;">Unsubscribe here</a>
+                    </p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `
+  }),
+
+  // Newsletter Campaign Template
+  // The content is HTML written by an admin in the campaign composer
+  'newsletter-campaign': (data) => ({
+    subject: data.subject,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; background: #f3f4f6; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #1f2937;">
+        ${data.previewText ? `<div style="display: none; max-height: 0; overflow: hidden;">${escapeHtml(data.previewText)}</div>` : ''}
+        <table width="100%" cellpadding="0" cellspacing="0" style="background: #f3f4f6; padding: 30px 15px;">
+          <tr>
+            <td align="center">
+              <table width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; background: white; border-radius: 12px; overflow: hidden;">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, #1e40af, #06b6d4); padding: 25px 30px; text-align: center;">
+                    <p style="color: white; font-size: 20px; font-weight: 700; margin: 0;">Admas University Blog</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 30px; font-size: 15px; line-height: 1.7;">
+                    ${data.content}
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background: #f9fafb; padding: 25px 30px; text-align: center; border-top: 1px solid #e5e7eb;">
+                    <p style="color: #374151; font-size: 13px; font-weight: 600; margin: 0 0 5px 0;">Admas University Collaborative Blogging Platform</p>
+                    <p style="color: #6b7280; font-size: 12px; margin: 0 0 5px 0;">Meskel Campus, Addis Ababa, Ethiopia</p>
+                    <p style="color: #6b7280; font-size: 12px; margin: 0 0 10px 0;">&copy; ${new Date().getFullYear()} Admas University. All rights reserved.</p>
+                    <p style="color: #94a3b8; font-size: 11px; margin: 0;">
+                      Don't want these emails? <a href="${data.unsubscribeUrl}" style="color: #64748b;">Unsubscribe here</a>
+                    </p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `
+  }),
+
+  'notification': (data) => ({
+    subject: data.title,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; background: #f3f4f6; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #1f2937;">
+        <table width="100%" cellpadding="0" cellspacing="0" style="background: #f3f4f6; padding: 30px 15px;">
+          <tr>
+            <td align="center">
+              <table width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; background: white; border-radius: 12px; overflow: hidden;">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, #1e40af, #06b6d4); padding: 25px 30px; text-align: center;">
+                    <p style="color: white; font-size: 20px; font-weight: 700; margin: 0;">Admas University Blog</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 30px;">
+                    <p style="font-size: 15px; margin: 0 0 15px 0;">Hi ${escapeHtml(data.firstName || 'there')},</p>
+                    <h2 style="font-size: 18px; color: #1e3a8a; margin: 0 0 10px 0;">${escapeHtml(data.title)}</h2>
+                    <p style="font-size: 15px; line-height: 1.7; color: #374151; margin: 0 0 25px 0;">${escapeHtml(data.message)}</p>
+                    ${data.url ? `
+                    <table cellpadding="0" cellspacing="0">
+                      <tr>
+                        <td style="background: #1e40af; border-radius: 8px;">
+                          <a href="${data.url}" style="display: inline-block; padding: 12px 28px; color: white; font-size: 14px; font-weight: 600; text-decoration: none;">View on Admas Blog</a>
+                        </td>
+                      </tr>
+                    </table>
+                    ` : ''}
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background: #f9fafb; padding: 25px 30px; text-align: center; border-top: 1px solid #e5e7eb;">
+                    <p style="color: #374151; font-size: 13px; font-weight: 600; margin: 0 0 5px 0;">Admas University Collaborative Blogging Platform</p>
+                    <p style="color: #6b7280; font-size: 12px; margin: 0 0 10px 0;">&copy; ${new Date().getFullYear()} Admas University. All rights reserved.</p>
+                    <p style="color: #94a3b8; font-size: 11px; margin: 0;">
+                      Choose which notifications are emailed to you in your <a href="${data.settingsUrl}" style="color: #64748b;">notification settings</a>
+                    </p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `
+  }),
+
+  'notification-summary': (data) => ({
+    subject: `🔔 You have ${data.total} unread notification${data.total === 1 ? '' : 's'} on Admas University Blog`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; background: #f3f4f6; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #1f2937;">
+        <table width="100%" cellpadding="0" cellspacing="0" style="background: #f3f4f6; padding: 30px 15px;">
+          <tr>
+            <td align="center">
+              <table width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; background: white; border-radius: 12px; overflow: hidden;">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, #1e40af, #06b6d4); padding: 25px 30px; text-align: center;">
+                    <p style="color: white; font-size: 20px; font-weight: 700; margin: 0;">Admas University Blog</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 30px;">
+                    <p style="font-size: 15px; margin: 0 0 10px 0;">Hi ${escapeHtml(data.firstName || 'there')},</p>
+                    <p style="font-size: 15px; line-height: 1.7; color: #374151; margin: 0 0 20px 0;">
+                      Here's what happened in ${data.periodLabel}: ${data.total} unread notification${data.total === 1 ? '' : 's'}.
+                    </p>
+                    ${data.items.map(item => `
+                    <div style="padding: 14px 0; border-top: 1px solid #e5e7eb;">
+                      <p style="font-size: 14px; font-weight: 600; color: #1e3a8a; margin: 0 0 4px 0;">
+                        ${item.url ? `<a href="${item.url}" style="color: #1e3a8a; text-decoration: none;">${escapeHtml(item.title)}</a>` : escapeHtml(item.title)}
+                      </p>
+                      <p style="font-size: 14px; color: #4b5563; margin: 0;">${escapeHtml(item.message)}</p>
+                    </div>
+                    `).join('')}
+                    ${data.total > data.items.length ? `
+                    <p style="font-size: 13px; color: #6b7280; margin: 10px 0 0 0;">...and ${data.total - data.items.length} more.</p>
+                    ` : ''}
+                    <table cellpadding="0" cellspacing="0" style="margin-top: 25px;">
+                      <tr>
+                        <td style="background: #1e40af; border-radius: 8px;">
+                          <a href="${data.notificationsUrl}" style="display: inline-block; padding: 12px 28px; color: white; font-size: 14px; font-weight: 600; text-decoration: none;">See all notifications</a>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background: #f9fafb; padding: 25px 30px; text-align: center; border-top: 1px solid #e5e7eb;">
+                    <p style="color: #374151; font-size: 13px; font-weight: 600; margin: 0 0 5px 0;">Admas University Collaborative Blogging Platform</p>
+                    <p style="color: #6b7280; font-size: 12px; margin: 0 0 10px 0;">&copy; ${new Date().getFullYear()} Admas University. All rights reserved.</p>
+                    <p style="color: #94a3b8; font-size: 11px; margin: 0;">
+                      Change how often you get this summary in your <a href="${data.settingsUrl}" style="color: #64748b;">notification settings</a>
+                    </p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `
+  }),
+
+  'analytics-report': (data) => ({
+    subject: `📊 ${data.title} report (${data.periodLabel}) - Admas University Blog`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; background: #f3f4f6; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #1f2937;">
+        <table width="100%" cellpadding="0" cellspacing="0" style="background: #f3f4f6; padding: 30px 15px;">
+          <tr>
+            <td align="center">
+              <table width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; background: white; border-radius: 12px; overflow: hidden;">
+
+                <!-- Header -->
+                <tr>
+                  <td style="background: linear-gradient(135deg, #1e40af, #06b6d4); padding: 25px 30px; text-align: center;">
+                    <p style="color: white; font-size: 20px; font-weight: 700; margin: 0;">Admas University Blog</p>
+                  </td>
+                </tr>
+
+                <!-- Content -->
+                <tr>
+                  <td style="padding: 30px;">
+                    <p style="font-size: 15px; margin: 0 0 15px 0;">Hi ${escapeHtml(data.firstName || 'there')},</p>
+                    <h2 style="font-size: 18px; color: #1e3a8a; margin: 0 0 10px 0;">${escapeHtml(data.title)}</h2>
+                    <p style="font-size: 15px; line-height: 1.7; color: #374151; margin: 0 0 25px 0;">
+                      Your ${data.frequency} report for ${data.periodLabel} is attached as a ${data.format} file.
+                    </p>
+                    <table cellpadding="0" cellspacing="0">
+                      <tr>
+                        <td style="background: #1e40af; border-radius: 8px;">
+                          <a href="${data.manageUrl}" style="display: inline-block; padding: 12px 28px; color: white; font-size: 14px; font-weight: 600; text-decoration: none;">Open Analytics</a>
+                        </td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+
+                <!-- Footer -->
+                <tr>
+                  <td style="background: #f9fafb; padding: 25px 30px; text-align: center; border-top: 1px solid #e5e7eb;">
+                    <p style="color: #374151; font-size: 13px; font-weight: 600; margin: 0 0 5px 0;">Admas University Collaborative Blogging Platform</p>
+                    <p style="color: #6b7280; font-size: 12px; margin: 0 0 10px 0;">&copy; ${new Date().getFullYear()} Admas University. All rights reserved.</p>
+                    <p style="color: #94a3b8; font-size: 11px; margin: 0;">
+                      Change or stop scheduled reports on the <a href="${data.manageUrl}" style="color: #64748b;">analytics page</a>
+                    </p>
+                  </td>
+                </tr>
+
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `
   })
-};
\ No newline at end of file
+};
@@ -95,8 +95,18 @@ export const formatUserResponse = (user) => {
   delete userObj.password;
   delete userObj.emailVerificationToken;
   delete userObj.emailVerificationExpires;
+  userObj.isLocked = !!userObj.lockUntil && new Date(userObj.lockUntil) > new Date();
   delete userObj.loginAttempts;
   delete userObj.lockUntil;
+  delete userObj.lastFailedLoginAt;
+  delete userObj.unlockToken;
+  delete userObj.unlockTokenExpires;
+  if (userObj.twoFactor) {
+    userObj.twoFactor = {
+      enabled: !!userObj.twoFactor.enabled,
+      enabledAt: userObj.twoFactor.enabledAt
+    };
+  }
   
   return userObj;
 };
@@ -156,4 +166,24 @@ export const formatPaginatedResponse = (data, total, page, limit) => {
       prevPage: hasPrev ? page - 1 : null
     }
   };
-};
\ No newline at end of file
+};
+/**
+ * Convert post HTML to plain text
+ * Block-level closing tags and <br> become line breaks so words don't run together
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ */
+export const htmlToText = (html = '') => {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|blockquote|pre|tr)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
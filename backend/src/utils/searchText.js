@@ -0,0 +1,328 @@
+/**
+ * Search Text Utility
+ * Turns post text into the stemmed terms stored in the search index and
+ * matched against queries. Words are lowercased, accents folded, stopwords
+ * dropped and each word reduced with the Porter stemmer, so "running",
+ * "runs" and "run" all match each other.
+ */
+
+/**
+ * How much a term occurrence counts, per field
+ */
+export const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  content: 1
+};
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and',
+  'any', 'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below',
+  'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have',
+  'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most',
+  'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or',
+  'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'same', 'she', 'should',
+  'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+  'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to',
+  'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when',
+  'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you',
+  'your', 'yours', 'yourself', 'yourselves'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lowercase and strip accents so "Café" and "cafe" are the same word
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+export const normalize = (text = '') => {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+};
+
+// ==================== PORTER STEMMER ====================
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+  bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize',
+  ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful',
+  ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+/**
+ * Reduce an English word to its stem (Porter, 1980)
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+export const stem = (word) => {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) w = 'Y' + w.slice(1);
+
+  // Step 1a: plurals
+  if (/sses$|ies$/.test(w)) w = w.slice(0, -2);
+  else if (/[^s]s$/.test(w)) w = w.slice(0, -1);
+
+  // Step 1b: -ed / -ing
+  let match = /^(.+?)eed$/.exec(w);
+  if (match) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (ENDS_CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c: terminal y
+  match = /^(.+?)y$/.exec(w);
+  if (match && HAS_VOWEL.test(match[1])) w = match[1] + 'i';
+
+  // Step 2: double suffixes
+  match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) w = match[1] + STEP2_SUFFIXES[match[2]];
+
+  // Step 3: -ic-, -full, -ness etc.
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) w = match[1] + STEP3_SUFFIXES[match[2]];
+
+  // Step 4: remaining suffixes on long stems
+  match = new RegExp(`^(.+?)(${STEP4_SUFFIXES.join('|')})$`).exec(w);
+  if (match) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w)) && MEASURE_GT_1.test(match[1] + match[2])) {
+    w = match[1] + match[2];
+  }
+
+  // Step 5: final e and double l
+  match = /^(.+?)e$/.exec(w);
+  if (match) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+  if (startsWithY) w = 'y' + w.slice(1);
+  return w;
+};
+
+// ==================== TOKENIZING ====================
+
+/**
+ * Split text into normalized words
+ * @param {string} text - Text
+ * @returns {string[]} Words in order
+ */
+export const tokenize = (text = '') => normalize(text).match(WORD_PATTERN) || [];
+
+/**
+ * Stem a single word, or null if it carries no meaning for search
+ * @param {string} word - Normalized word
+ * @returns {string|null}
+ */
+export const toTerm = (word) => {
+  if (STOPWORDS.has(word)) return null;
+  if (word.length < 2 && !/\d/.test(word)) return null;
+  return stem(word);
+};
+
+/**
+ * Text to the list of search terms it contains
+ * @param {string} text - Text
+ * @returns {string[]} Terms (with repeats)
+ */
+export const analyze = (text = '') => tokenize(text).map(toTerm).filter(Boolean);
+
+/**
+ * Build the weighted term list for a post
+ * @param {Object} fields - { title, tags, content } as plain text / string array
+ * @returns {{terms: Array<{term: string, weight: number}>, length: number}}
+ */
+export const buildTerms = ({ title = '', tags = [], content = '' }) => {
+  const weights = new Map();
+  let length = 0;
+
+  const add = (text, fieldWeight) => {
+    for (const term of analyze(text)) {
+      weights.set(term, (weights.get(term) || 0) + fieldWeight);
+      length += fieldWeight;
+    }
+  };
+
+  add(title, FIELD_WEIGHTS.title);
+  add(tags.join(' '), FIELD_WEIGHTS.tags);
+  add(content, FIELD_WEIGHTS.content);
+
+  return {
+    terms: Array.from(weights, ([term, weight]) => ({ term, weight })),
+    length
+  };
+};
+
+/**
+ * Parse a search query
+ * The last word is also matched as a prefix while it is still being typed.
+ * @param {string} query - Raw query
+ * @returns {{terms: string[], prefix: string|null}}
+ */
+export const parseQuery = (query = '') => {
+  const words = tokenize(query);
+  const last = words[words.length - 1];
+  const stillTyping = last && !/\s$/.test(query) && last.length >= 3 && !STOPWORDS.has(last);
+  const prefix = stillTyping ? last : null;
+
+  // The word being typed is matched through the prefix instead
+  const terms = [...new Set(analyze(query))]
+    .filter((term) => prefix === null || term !== stem(prefix));
+
+  return { terms, prefix };
+};
+
+/**
+ * Whether an indexed term could be the word being typed
+ * Stems of partial words drift ("educa" vs "educ"), so a term also matches
+ * when it is a slightly shorter start of the prefix.
+ * @param {string} term - Indexed term
+ * @param {string} prefix - Unstemmed, normalized partial word
+ * @returns {boolean}
+ */
+export const prefixMatches = (term, prefix) => {
+  if (term.startsWith(prefix) || term.startsWith(stem(prefix))) return true;
+  return term.length >= 3 && prefix.startsWith(term) && prefix.length - term.length <= 3;
+};
+
+/**
+ * Whether an indexed term matches a query term
+ * @param {string} term - Indexed term
+ * @param {string} queryTerm - Stemmed query term
+ * @returns {boolean}
+ */
+export const termMatches = (term, queryTerm) => term === queryTerm;
+
+// ==================== HIGHLIGHTING ====================
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Find the words of text that match the query
+ * @returns {Array<{start: number, end: number, term: string}>}
+ */
+const findMatches = (text, { terms, prefix }) => {
+  const matches = [];
+  // Match on the original text so offsets line up; normalize word by word
+  for (const found of text.matchAll(WORD_PATTERN)) {
+    const term = toTerm(normalize(found[0]));
+    if (!term) continue;
+
+    const queryTerm = terms.find((t) => termMatches(term, t)) ||
+      (prefix && prefixMatches(term, prefix) ? prefix : null);
+    if (queryTerm) {
+      matches.push({ start: found.index, end: found.index + found[0].length, term: queryTerm });
+    }
+  }
+  return matches;
+};
+
+/**
+ * Escape text and wrap query matches in <mark>
+ */
+const markMatches = (text, matches, offset = 0) => {
+  let html = '';
+  let cursor = offset;
+  for (const { start, end } of matches) {
+    html += escapeHtml(text.slice(cursor, start)) + '<mark>' + escapeHtml(text.slice(start, end)) + '</mark>';
+    cursor = end;
+  }
+  return html;
+};
+
+/**
+ * Highlight query matches in a short text (e.g. a title)
+ * @param {string} text - Plain text
+ * @param {{terms: string[], prefix: string|null}} query - Parsed query
+ * @returns {string} Escaped HTML with <mark> around matches
+ */
+export const highlight = (text = '', query) => {
+  const matches = findMatches(text, query);
+  return markMatches(text, matches) + escapeHtml(text.slice(matches.length ? matches[matches.length - 1].end : 0));
+};
+
+/**
+ * Pick the passage of a long text that best matches the query
+ * Prefers the window covering the most distinct query terms.
+ * @param {string} text - Plain text
+ * @param {{terms: string[], prefix: string|null}} query - Parsed query
+ * @param {number} [length=180] - Approximate snippet length
+ * @returns {string} Escaped HTML with <mark> around matches
+ */
+export const snippet = (text = '', query, length = 180) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const matches = findMatches(flat, query);
+
+  let start = 0;
+  if (matches.length > 0) {
+    let best = { index: 0, score: -1 };
+    matches.forEach((match, i) => {
+      const covered = new Set();
+      for (let j = i; j < matches.length && matches[j].end - match.start <= length; j++) {
+        covered.add(matches[j].term);
+      }
+      if (covered.size > best.score) best = { index: i, score: covered.size };
+    });
+
+    // Give the first match a little leading context, starting on a word
+    start = Math.max(0, matches[best.index].start - 40);
+    if (start > 0) {
+      const space = flat.indexOf(' ', start);
+      start = space === -1 || space >= matches[best.index].start ? matches[best.index].start : space + 1;
+    }
+  }
+
+  let end = Math.min(flat.length, start + length);
+  if (end < flat.length) {
+    const space = flat.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const inside = matches.filter((m) => m.start >= start && m.end <= end);
+  const lastEnd = inside.length ? inside[inside.length - 1].end : start;
+
+  return (start > 0 ? '…' : '') +
+    markMatches(flat, inside, start) +
+    escapeHtml(flat.slice(lastEnd, end)) +
+    (end < flat.length ? '…' : '');
+};
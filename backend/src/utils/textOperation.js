@@ -0,0 +1,275 @@
+/**
+ * ============================================================================
+ * TEXT OPERATIONS (Operational Transformation)
+ * ============================================================================
+ * Plain-array text operations used for concurrent co-editing.
+ *
+ * An operation is an array of components that walks the whole document:
+ *   - positive integer  → retain that many characters
+ *   - negative integer  → delete that many characters
+ *   - string            → insert the string
+ *
+ * Keep in sync with frontend/src/utils/textOperation.js
+ */
+
+const isRetain = (c) => typeof c === 'number' && c > 0;
+const isDelete = (c) => typeof c === 'number' && c < 0;
+const isInsert = (c) => typeof c === 'string';
+
+/**
+ * Append a component to an operation, merging with the previous one
+ * @param {Array} op - Operation being built (mutated)
+ * @param {number|string} component - Component to append
+ */
+const push = (op, component) => {
+  if (component === 0 || component === '') return;
+
+  const last = op[op.length - 1];
+
+  if (isRetain(component)) {
+    if (isRetain(last)) op[op.length - 1] += component;
+    else op.push(component);
+  } else if (isInsert(component)) {
+    if (isInsert(last)) {
+      op[op.length - 1] += component;
+    } else if (isDelete(last)) {
+      // Normalise so inserts always come before deletes at the same position
+      if (isInsert(op[op.length - 2])) op[op.length - 2] += component;
+      else op.splice(op.length - 1, 0, component);
+    } else {
+      op.push(component);
+    }
+  } else if (isDelete(last)) {
+    op[op.length - 1] += component;
+  } else {
+    op.push(component);
+  }
+};
+
+/**
+ * Length of the document an operation can be applied to
+ * @param {Array} op - Operation
+ * @returns {number} Base length
+ */
+export const baseLength = (op) => op.reduce((len, c) => {
+  if (isRetain(c)) return len + c;
+  if (isDelete(c)) return len - c;
+  return len;
+}, 0);
+
+/**
+ * Length of the document after an operation is applied
+ * @param {Array} op - Operation
+ * @returns {number} Target length
+ */
+export const targetLength = (op) => op.reduce((len, c) => {
+  if (isRetain(c)) return len + c;
+  if (isInsert(c)) return len + c.length;
+  return len;
+}, 0);
+
+/**
+ * Check that a value received from a client is a well-formed operation
+ * @param {*} op - Candidate operation
+ * @returns {boolean} True if valid
+ */
+export const isValidOperation = (op) => Array.isArray(op) && op.every(
+  c => (Number.isInteger(c) && c !== 0) || (typeof c === 'string' && c.length > 0)
+);
+
+/**
+ * Check if an operation leaves the document unchanged
+ * @param {Array} op - Operation
+ * @returns {boolean} True if the operation only retains
+ */
+export const isNoop = (op) => op.every(isRetain);
+
+/**
+ * Build the operation turning one string into another
+ * Uses the common prefix/suffix, which is what a single editor input produces
+ * @param {string} oldText - Previous document
+ * @param {string} newText - New document
+ * @returns {Array} Operation
+ */
+export const fromDiff = (oldText, newText) => {
+  let start = 0;
+  const minLength = Math.min(oldText.length, newText.length);
+  while (start < minLength && oldText[start] === newText[start]) start++;
+
+  let end = 0;
+  while (
+    end < minLength - start &&
+    oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]
+  ) end++;
+
+  const op = [];
+  push(op, start);
+  push(op, newText.slice(start, newText.length - end));
+  push(op, -(oldText.length - start - end));
+  push(op, end);
+  return op;
+};
+
+/**
+ * Apply an operation to a document
+ * @param {string} text - Document
+ * @param {Array} op - Operation
+ * @returns {string} New document
+ */
+export const apply = (text, op) => {
+  if (baseLength(op) !== text.length) {
+    throw new Error('Operation base length does not match document length');
+  }
+
+  const parts = [];
+  let index = 0;
+  for (const c of op) {
+    if (isRetain(c)) {
+      parts.push(text.slice(index, index + c));
+      index += c;
+    } else if (isInsert(c)) {
+      parts.push(c);
+    } else {
+      index -= c;
+    }
+  }
+  return parts.join('');
+};
+
+/**
+ * Compose two consecutive operations into one
+ * @param {Array} a - First operation
+ * @param {Array} b - Operation applied after a
+ * @returns {Array} Operation equivalent to a followed by b
+ */
+export const compose = (a, b) => {
+  if (targetLength(a) !== baseLength(b)) {
+    throw new Error('Cannot compose operations: lengths do not match');
+  }
+
+  const result = [];
+  const opsA = a.slice();
+  const opsB = b.slice();
+  let i = 0;
+  let j = 0;
+  let ca = opsA[i++];
+  let cb = opsB[j++];
+
+  while (ca !== undefined || cb !== undefined) {
+    if (isDelete(ca)) {
+      push(result, ca);
+      ca = opsA[i++];
+      continue;
+    }
+    if (isInsert(cb)) {
+      push(result, cb);
+      cb = opsB[j++];
+      continue;
+    }
+    if (ca === undefined || cb === undefined) {
+      throw new Error('Cannot compose operations: first operation is too short');
+    }
+
+    if (isRetain(ca) && isRetain(cb)) {
+      const n = Math.min(ca, cb);
+      push(result, n);
+      ca = ca > n ? ca - n : opsA[i++];
+      cb = cb > n ? cb - n : opsB[j++];
+    } else if (isInsert(ca) && isDelete(cb)) {
+      const n = Math.min(ca.length, -cb);
+      ca = ca.length > n ? ca.slice(n) : opsA[i++];
+      cb = -cb > n ? cb + n : opsB[j++];
+    } else if (isInsert(ca) && isRetain(cb)) {
+      const n = Math.min(ca.length, cb);
+      push(result, ca.slice(0, n));
+      ca = ca.length > n ? ca.slice(n) : opsA[i++];
+      cb = cb > n ? cb - n : opsB[j++];
+    } else {
+      // retain in a, delete in b
+      const n = Math.min(ca, -cb);
+      push(result, -n);
+      ca = ca > n ? ca - n : opsA[i++];
+      cb = -cb > n ? cb + n : opsB[j++];
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Transform two concurrent operations against each other
+ * Returns [a', b'] such that apply(apply(s, a), b') === apply(apply(s, b), a')
+ * When both insert at the same position, a's insert is placed first.
+ * @param {Array} a - Operation (wins insert ties)
+ * @param {Array} b - Concurrent operation on the same document
+ * @returns {Array[]} Transformed pair
+ */
+export const transform = (a, b) => {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error('Cannot transform operations with different base lengths');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  const opsA = a.slice();
+  const opsB = b.slice();
+  let i = 0;
+  let j = 0;
+  let ca = opsA[i++];
+  let cb = opsB[j++];
+
+  while (ca !== undefined || cb !== undefined) {
+    if (isInsert(ca)) {
+      push(aPrime, ca);
+      push(bPrime, ca.length);
+      ca = opsA[i++];
+      continue;
+    }
+    if (isInsert(cb)) {
+      push(aPrime, cb.length);
+      push(bPrime, cb);
+      cb = opsB[j++];
+      continue;
+    }
+    if (ca === undefined || cb === undefined) {
+      throw new Error('Cannot transform operations: mismatched lengths');
+    }
+
+    if (isRetain(ca) && isRetain(cb)) {
+      const n = Math.min(ca, cb);
+      push(aPrime, n);
+      push(bPrime, n);
+      ca = ca > n ? ca - n : opsA[i++];
+      cb = cb > n ? cb - n : opsB[j++];
+    } else if (isDelete(ca) && isDelete(cb)) {
+      // Both deleted the same range - nothing left to do for it
+      const n = Math.min(-ca, -cb);
+      ca = -ca > n ? ca + n : opsA[i++];
+      cb = -cb > n ? cb + n : opsB[j++];
+    } else if (isDelete(ca) && isRetain(cb)) {
+      const n = Math.min(-ca, cb);
+      push(aPrime, -n);
+      ca = -ca > n ? ca + n : opsA[i++];
+      cb = cb > n ? cb - n : opsB[j++];
+    } else {
+      // retain in a, delete in b
+      const n = Math.min(ca, -cb);
+      push(bPrime, -n);
+      ca = ca > n ? ca - n : opsA[i++];
+      cb = -cb > n ? cb + n : opsB[j++];
+    }
+  }
+
+  return [aPrime, bPrime];
+};
+
+export default {
+  baseLength,
+  targetLength,
+  isValidOperation,
+  isNoop,
+  fromDiff,
+  apply,
+  compose,
+  transform
+};
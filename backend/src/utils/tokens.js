@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 
 // Helper function to get JWT secrets at runtime
@@ -5,18 +6,51 @@ const getJwtAccessSecret = () => process.env.JWT_ACCESS_SECRET || 'test-access-s
 const getJwtRefreshSecret = () => process.env.JWT_REFRESH_SECRET || 'test-refresh-secret-key';
 const getAccessTokenExpiresIn = () => process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
 const getRefreshTokenExpiresIn = () => process.env.REFRESH_TOKEN_EXPIRES_IN || '30d';
+// Signed with its own secret so a challenge token is never accepted as an access token
+const getJwtChallengeSecret = () => process.env.JWT_CHALLENGE_SECRET || `${getJwtAccessSecret()}:two-factor`;
+const getChallengeTokenExpiresIn = () => process.env.CHALLENGE_TOKEN_EXPIRES_IN || '5m';
 
 /**
  * Generate JWT access token
  * @param {string} userId - User ID
+ * @param {string} [sessionId] - Session the token was issued for
+ * @param {number} [maxAge] - Longest lifetime in seconds, e.g. the time left
+ *   before the session times out; ACCESS_TOKEN_EXPIRES_IN applies if shorter
  * @returns {string} JWT token
  */
-export const generateAccessToken = (userId) => {
+export const generateAccessToken = (userId, sessionId, maxAge) => {
+  const payload = { id: userId, ...(sessionId && { sid: String(sessionId) }) };
+  const options = {
+    expiresIn: getAccessTokenExpiresIn(),
+    issuer: 'admas-blog-api',
+    audience: 'admas-blog-client'
+  };
+
+  const token = jwt.sign(payload, getJwtAccessSecret(), options);
+  if (!maxAge) return token;
+
+  const { iat, exp } = jwt.decode(token);
+  if (exp - iat <= maxAge) return token;
+  return jwt.sign(payload, getJwtAccessSecret(), { ...options, expiresIn: maxAge });
+};
+
+/**
+ * Generate JWT refresh token
+ * Each token is unique (jwtid), so a rotated token never matches the one
+ * it replaced.
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session the token belongs to
+ * @param {number|string} [expiresIn] - Lifetime (seconds or a duration
+ *   such as '30d'), by default REFRESH_TOKEN_EXPIRES_IN
+ * @returns {string} JWT refresh token
+ */
+export const generateRefreshToken = (userId, sessionId, expiresIn = getRefreshTokenExpiresIn()) => {
   return jwt.sign(
-    { id: userId }, 
-    getJwtAccessSecret(), 
+    { id: String(userId), sid: String(sessionId) }, 
+    getJwtRefreshSecret(), 
     { 
-      expiresIn: getAccessTokenExpiresIn(),
+      expiresIn,
+      jwtid: crypto.randomUUID(),
       issuer: 'admas-blog-api',
       audience: 'admas-blog-client'
     }
@@ -24,22 +58,32 @@ export const generateAccessToken = (userId) => {
 };
 
 /**
- * Generate JWT refresh token
+ * Generate the short-lived token for the second step of a two-factor login
  * @param {string} userId - User ID
- * @returns {string} JWT refresh token
+ * @param {string} purpose - 'verify' to enter a code, 'enroll' to set up 2FA first
+ * @returns {string} JWT challenge token
  */
-export const generateRefreshToken = (userId) => {
+export const generateChallengeToken = (userId, purpose) => {
   return jwt.sign(
-    { id: userId }, 
-    getJwtRefreshSecret(), 
-    { 
-      expiresIn: getRefreshTokenExpiresIn(),
+    { id: userId, purpose },
+    getJwtChallengeSecret(),
+    {
+      expiresIn: getChallengeTokenExpiresIn(),
       issuer: 'admas-blog-api',
-      audience: 'admas-blog-client'
+      audience: 'admas-blog-two-factor'
     }
   );
 };
 
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - JWT challenge token
+ * @returns {Object} Decoded token payload
+ */
+export const verifyChallengeToken = (token) => {
+  return jwt.verify(token, getJwtChallengeSecret(), { audience: 'admas-blog-two-factor' });
+};
+
 /**
  * Verify JWT access token
  * @param {string} token - JWT token
@@ -0,0 +1,146 @@
+/**
+ * ============================================================================
+ * WORD DIFF
+ * ============================================================================
+ * Word-level diff between two texts using Myers' O(ND) algorithm.
+ * Whitespace runs are kept as their own tokens so the output can be joined
+ * back into the original texts.
+ */
+
+/**
+ * Split text into word and whitespace tokens
+ * @param {string} text - Text to split
+ * @returns {string[]} Tokens
+ */
+export const tokenize = (text = '') => text.match(/\s+|[^\s]+/g) || [];
+
+/**
+ * Append a token to the result, merging with the previous part of the same type
+ * @param {Object[]} parts - Result being built (mutated)
+ * @param {string} type - 'equal' | 'insert' | 'delete'
+ * @param {string} value - Token
+ */
+const pushPart = (parts, type, value) => {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    parts.push({ type, value });
+  }
+};
+
+/**
+ * Shortest edit script between two token arrays (Myers)
+ * @param {string[]} a - Old tokens
+ * @param {string[]} b - New tokens
+ * @returns {Object[]} Parts in order: { type, value }
+ */
+const myers = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    // Only diagonals -d..d can be reached at this depth, so keep just that window
+    trace.push({ from: offset - d - 1, v: v.slice(offset - d - 1, offset + d + 2) });
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const reversed = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const { from, v: vd } = trace[d];
+    const at = (diagonal) => vd[offset + diagonal - from];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      reversed.push({ type: 'equal', value: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) reversed.push({ type: 'insert', value: b[--y] });
+      else reversed.push({ type: 'delete', value: a[--x] });
+    }
+  }
+
+  const parts = [];
+  for (let i = reversed.length - 1; i >= 0; i--) {
+    pushPart(parts, reversed[i].type, reversed[i].value);
+  }
+  return parts;
+};
+
+/**
+ * Word-level diff between two texts
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Object} { parts: [{ type, value }], stats: { added, removed } } (word counts)
+ */
+export const diffWords = (oldText = '', newText = '') => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // Trim the common prefix and suffix so Myers only sees the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const parts = [];
+  a.slice(0, start).forEach(token => pushPart(parts, 'equal', token));
+  myers(a.slice(start, endA), b.slice(start, endB))
+    .forEach(part => pushPart(parts, part.type, part.value));
+  a.slice(endA).forEach(token => pushPart(parts, 'equal', token));
+
+  const countWords = (type) => parts
+    .filter(part => part.type === type)
+    .reduce((sum, part) => sum + tokenize(part.value).filter(t => t.trim()).length, 0);
+
+  return {
+    parts,
+    stats: {
+      added: countWords('insert'),
+      removed: countWords('delete')
+    }
+  };
+};
+
+export default {
+  tokenize,
+  diffWords
+};
@@ -15,6 +15,7 @@ import AppRoutes from "./routes/AppRoutes";
 import Navbar from "./components/layout/Navbar";
 import Footer from "./components/layout/Footer";
 import ChatBot from "./components/layout/ChatBot";
+import IdleTimeoutWarning from "./components/auth/IdleTimeoutWarning";
 import { useEffect, useState } from "react";
 import apiClient from "./api/client";
 import { SITE_BRANDING } from "./constants/branding";
@@ -119,6 +120,7 @@ function AppContent() {
       </main>
       {!hideLayout && <Footer />}
       <ChatBot />
+      <IdleTimeoutWarning />
       <Toaster
         position="top-right"
         toastOptions={{
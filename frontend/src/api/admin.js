@@ -60,6 +60,12 @@ export const adminAPI = {
     return response.data;
   },
 
+  // Unlock an account locked by failed logins
+  unlockUser: async (userId) => {
+    const response = await apiClient.put(`/admin/users/${userId}/unlock`);
+    return response.data;
+  },
+
   // Bulk approve users
   bulkApproveUsers: async (userIds) => {
     const response = await apiClient.post('/admin/users/bulk-approve', { userIds });
@@ -110,6 +116,32 @@ export const adminAPI = {
     return response.data;
   },
 
+  // ==================== ROLES & PERMISSIONS ====================
+
+  // Get roles, the permission catalog and post categories
+  getRoles: async () => {
+    const response = await apiClient.get('/admin/roles');
+    return response.data;
+  },
+
+  // Create a custom role
+  createRole: async (role) => {
+    const response = await apiClient.post('/admin/roles', role);
+    return response.data;
+  },
+
+  // Update a role's details, permissions or categories
+  updateRole: async (roleId, changes) => {
+    const response = await apiClient.put(`/admin/roles/${roleId}`, changes);
+    return response.data;
+  },
+
+  // Delete a custom role
+  deleteRole: async (roleId) => {
+    const response = await apiClient.delete(`/admin/roles/${roleId}`);
+    return response.data;
+  },
+
   // ==================== SYSTEM SETTINGS ====================
   
   // Get system settings
@@ -1,4 +1,5 @@
 import apiClient from './client';
+import { getToken } from '../utils/storage';
 
 // Cache configuration
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -66,6 +67,34 @@ export const getAuthorDashboard = async (params = {}) => {
   return response.data;
 };
 
+// Daily timeline, referrers and read completion for one of the author's posts
+export const getPostTimeline = async (postId, params = {}) => {
+  const cacheKey = getCacheKey(`post-timeline-${postId}`, params);
+  const cached = getCachedData(cacheKey);
+  if (cached) return cached;
+
+  const response = await apiClient.get(`/analytics/author/posts/${postId}/timeline`, {
+    params,
+  });
+
+  setCachedData(cacheKey, response.data);
+  return response.data;
+};
+
+// Report time spent on a post and how much of it was read. Uses fetch with
+// keepalive so it still goes out when sent as the page is closing.
+export const recordRead = (postId, { dwellSeconds, completion }) =>
+  fetch(`${apiClient.defaults.baseURL}/analytics/posts/${postId}/read`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(getToken() && { Authorization: `Bearer ${getToken()}` }),
+    },
+    body: JSON.stringify({ dwellSeconds, completion }),
+    credentials: 'include',
+    keepalive: true,
+  }).catch(() => {});
+
 // Post Trends
 export const getPostTrends = async (params = {}) => {
   const cacheKey = getCacheKey('post-trends', params);
@@ -122,6 +151,85 @@ export const getNetworkInteractions = async (params = {}) => {
   return response.data;
 };
 
+// Signup cohorts with their posting and commenting retention
+// params: { from, to, segment: 'roleApplication' | 'department', months }
+export const getCohorts = async (params = {}) => {
+  const cacheKey = getCacheKey('cohorts', params);
+  const cached = getCachedData(cacheKey);
+  if (cached) return cached;
+
+  const response = await apiClient.get('/analytics/cohorts', {
+    params,
+  });
+
+  setCachedData(cacheKey, response.data);
+  return response.data;
+};
+
+// Download a report as a CSV or XLSX file
+// params: { format: 'csv' | 'xlsx', from, to, period, compare: 'previous' }
+export const exportReport = async (report, params = {}) => {
+  let response;
+  try {
+    response = await apiClient.get(`/analytics/export/${report}`, {
+      params,
+      responseType: 'blob',
+      timeout: 60000,
+    });
+  } catch (error) {
+    // Error bodies arrive as a Blob too; turn them back into JSON
+    if (error.response?.data instanceof Blob) {
+      try {
+        error.response.data = JSON.parse(await error.response.data.text());
+      } catch {
+        // Not JSON, leave it as it is
+      }
+    }
+    throw error;
+  }
+
+  const disposition = response.headers['content-disposition'] || '';
+  const filename =
+    disposition.match(/filename="([^"]+)"/)?.[1] || `${report}-report.${params.format || 'csv'}`;
+
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Scheduled reports (not cached, they change as the admin edits them)
+export const getReportSchedules = async () => {
+  const response = await apiClient.get('/analytics/reports/schedules');
+  return response.data;
+};
+
+export const createReportSchedule = async (schedule) => {
+  const response = await apiClient.post('/analytics/reports/schedules', schedule);
+  return response.data;
+};
+
+export const updateReportSchedule = async (id, updates) => {
+  const response = await apiClient.patch(`/analytics/reports/schedules/${id}`, updates);
+  return response.data;
+};
+
+export const deleteReportSchedule = async (id) => {
+  const response = await apiClient.delete(`/analytics/reports/schedules/${id}`);
+  return response.data;
+};
+
+export const sendReportScheduleNow = async (id) => {
+  const response = await apiClient.post(`/analytics/reports/schedules/${id}/send`, null, {
+    timeout: 60000,
+  });
+  return response.data;
+};
+
 // Clear cache (useful for forcing refresh)
 export const clearAnalyticsCache = () => {
   cache.clear();
@@ -131,9 +239,18 @@ export default {
   getAdminDashboard,
   getModeratorDashboard,
   getAuthorDashboard,
+  getPostTimeline,
+  recordRead,
   getPostTrends,
   getUserActivity,
   getCategoryStats,
   getNetworkInteractions,
+  getCohorts,
+  exportReport,
+  getReportSchedules,
+  createReportSchedule,
+  updateReportSchedule,
+  deleteReportSchedule,
+  sendReportScheduleNow,
   clearAnalyticsCache
 };
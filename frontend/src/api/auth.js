@@ -50,6 +50,12 @@ export const authAPI = {
     return response.data;
   },
 
+  // Unlock an account from the lockout email's link
+  unlockAccount: async (token) => {
+    const response = await apiClient.post('/auth/unlock-account', { token });
+    return response.data;
+  },
+
   // Resend verification email
   resendVerification: async (email) => {
     const response = await apiClient.post('/auth/resend-verification', { email });
@@ -73,6 +79,72 @@ export const authAPI = {
     const response = await apiClient.post('/auth/google-register', userData);
     return response.data;
   },
+
+  // Finish a login with an authenticator or recovery code
+  verifyTwoFactorLogin: async (challengeToken, { code, recoveryCode }) => {
+    const response = await apiClient.post('/auth/login/2fa', { challengeToken, code, recoveryCode });
+    return response.data;
+  },
+
+  // Start the two-factor setup required before login
+  beginTwoFactorEnrollment: async (challengeToken) => {
+    const response = await apiClient.post('/auth/login/2fa/setup', { challengeToken });
+    return response.data;
+  },
+
+  // Finish the required two-factor setup and log in
+  completeTwoFactorEnrollment: async (challengeToken, code) => {
+    const response = await apiClient.post('/auth/login/2fa/enable', { challengeToken, code });
+    return response.data;
+  },
+
+  // Get two-factor status
+  getTwoFactorStatus: async () => {
+    const response = await apiClient.get('/auth/2fa');
+    return response.data;
+  },
+
+  // Start setting up two-factor authentication
+  setupTwoFactor: async () => {
+    const response = await apiClient.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  // Turn two-factor authentication on
+  enableTwoFactor: async (code) => {
+    const response = await apiClient.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  // Turn two-factor authentication off
+  disableTwoFactor: async (data) => {
+    const response = await apiClient.post('/auth/2fa/disable', data);
+    return response.data;
+  },
+
+  // Replace recovery codes
+  regenerateRecoveryCodes: async (code) => {
+    const response = await apiClient.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  // Devices the user is signed in on
+  getSessions: async () => {
+    const response = await apiClient.get('/auth/sessions');
+    return response.data;
+  },
+
+  // Sign out one device
+  revokeSession: async (sessionId) => {
+    const response = await apiClient.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  // Sign out every other device
+  revokeOtherSessions: async () => {
+    const response = await apiClient.delete('/auth/sessions');
+    return response.data;
+  },
 };
 
 export default authAPI;
@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { getToken, setToken, removeToken, getRefreshToken } from '../utils/storage';
+import { getToken, setToken, removeToken, getRefreshToken, setRefreshToken } from '../utils/storage';
 
 // Simple in-memory cache for GET requests
 const cache = new Map();
@@ -138,8 +138,12 @@ apiClient.interceptors.response.use(
           { withCredentials: true }
         );
 
-        const { accessToken } = response.data;
+        // Refresh tokens are single-use: keep the replacement, if one was sent
+        const { accessToken, refreshToken: nextRefreshToken } = response.data;
         setToken(accessToken);
+        if (nextRefreshToken) {
+          setRefreshToken(nextRefreshToken);
+        }
 
         // Retry original request with new token
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
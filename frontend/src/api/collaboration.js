@@ -39,6 +39,17 @@ export const collaborationAPI = {
   // Leave a collaboration
   leaveCollaboration: (postId) =>
     api.post(`/collaborations/posts/${postId}/collaborators/leave`),
+
+  // Get revision history of a post
+  getRevisions: (postId) => api.get(`/posts/${postId}/revisions`),
+
+  // Word diff between two revisions (`to` defaults to the current version)
+  getRevisionDiff: (postId, { from, to } = {}) =>
+    api.get(`/posts/${postId}/revisions/diff`, { params: { from, to } }),
+
+  // Restore a post to an earlier revision
+  restoreRevision: (postId, revisionId, changeNote) =>
+    api.post(`/posts/${postId}/revisions/${revisionId}/restore`, { changeNote }),
 };
 
 export default collaborationAPI;
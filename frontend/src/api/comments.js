@@ -2,9 +2,19 @@ import apiClient from './client';
 
 // Comments API endpoints
 export const commentsAPI = {
-  // Get all comments for a post
-  getComments: async (postId) => {
-    const response = await apiClient.get(`/posts/${postId}/comments`);
+  // Get a page of top-level comments for a post ({ sort, page, limit })
+  getComments: async (postId, params = {}) => {
+    const response = await apiClient.get(`/posts/${postId}/comments`, {
+      params,
+    });
+    return response.data;
+  },
+
+  // Get a page of direct replies to a comment ({ sort, page, limit })
+  getReplies: async (commentId, params = {}) => {
+    const response = await apiClient.get(`/comments/${commentId}/replies`, {
+      params,
+    });
     return response.data;
   },
 
@@ -42,6 +52,44 @@ export const commentsAPI = {
     const response = await apiClient.delete(`/comments/${commentId}/like`);
     return response.data;
   },
+
+  // List comments for moderation (moderator/admin)
+  getModerationComments: async (params = {}) => {
+    const response = await apiClient.get('/comments/moderation', { params });
+    return response.data;
+  },
+
+  // Hide a comment from readers (moderator/admin)
+  hideComment: async (commentId, reason = '') => {
+    const response = await apiClient.put(`/comments/${commentId}/hide`, {
+      reason,
+    });
+    return response.data;
+  },
+
+  // Show a hidden comment again (moderator/admin)
+  unhideComment: async (commentId) => {
+    const response = await apiClient.put(`/comments/${commentId}/unhide`);
+    return response.data;
+  },
+
+  // Delete someone else's comment with a reason (moderator/admin)
+  moderateDeleteComment: async (commentId, reason = '') => {
+    const response = await apiClient.delete(`/comments/${commentId}`, {
+      data: { reason },
+    });
+    return response.data;
+  },
+
+  // Hide, unhide or delete several comments (moderator/admin)
+  bulkModerateComments: async (commentIds, action, reason = '') => {
+    const response = await apiClient.post('/comments/moderation/bulk', {
+      ids: commentIds,
+      action,
+      reason,
+    });
+    return response.data;
+  },
 };
 
 export default commentsAPI;
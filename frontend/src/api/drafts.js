@@ -0,0 +1,31 @@
+/**
+ * ============================================================================
+ * DRAFTS API
+ * ============================================================================
+ * Autosaved editor snapshots. `key` is a post ID, or "new" for a post that
+ * has not been created yet.
+ */
+
+import api from './client';
+
+export const draftsAPI = {
+  // Get the autosaved snapshot
+  getSnapshot: async (key) => {
+    const response = await api.get(`/drafts/${key}`);
+    return response.data;
+  },
+
+  // Autosave the editor state
+  saveSnapshot: async (key, snapshot) => {
+    const response = await api.put(`/drafts/${key}`, snapshot);
+    return response.data;
+  },
+
+  // Discard the snapshot once the post is saved
+  discardSnapshot: async (key) => {
+    const response = await api.delete(`/drafts/${key}`);
+    return response.data;
+  },
+};
+
+export default draftsAPI;
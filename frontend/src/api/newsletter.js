@@ -57,10 +57,127 @@ export const getAllSubscribers = async (params = {}) => {
   return response.data;
 };
 
+/**
+ * Get newsletter campaigns (admin only)
+ * @param {object} params - Query parameters (page, limit, status)
+ * @returns {Promise} API response with campaigns list
+ */
+export const getCampaigns = async (params = {}) => {
+  const response = await apiClient.get('/newsletter/campaigns', { params });
+  return response.data;
+};
+
+/**
+ * Count the subscribers an audience reaches (admin only)
+ * @param {object} audience - { sources: [], preferences: [] }
+ * @returns {Promise} API response with count
+ */
+export const getAudienceSize = async ({ sources = [], preferences = [] } = {}) => {
+  const response = await apiClient.get('/newsletter/campaigns/audience', {
+    params: { sources: sources.join(','), preferences: preferences.join(',') },
+  });
+  return response.data;
+};
+
+/**
+ * Get a campaign with its delivery stats (admin only)
+ * @param {string} id - Campaign ID
+ * @returns {Promise} API response with campaign
+ */
+export const getCampaign = async (id) => {
+  const response = await apiClient.get(`/newsletter/campaigns/${id}`);
+  return response.data;
+};
+
+/**
+ * Create a draft campaign (admin only)
+ * @param {object} data - name, subject, previewText, content, audience
+ * @returns {Promise} API response with campaign
+ */
+export const createCampaign = async (data) => {
+  const response = await apiClient.post('/newsletter/campaigns', data);
+  return response.data;
+};
+
+/**
+ * Update a draft campaign (admin only)
+ * @param {string} id - Campaign ID
+ * @param {object} data - Fields to update
+ * @returns {Promise} API response with campaign
+ */
+export const updateCampaign = async (id, data) => {
+  const response = await apiClient.put(`/newsletter/campaigns/${id}`, data);
+  return response.data;
+};
+
+/**
+ * Delete a draft campaign (admin only)
+ * @param {string} id - Campaign ID
+ * @returns {Promise} API response
+ */
+export const deleteCampaign = async (id) => {
+  const response = await apiClient.delete(`/newsletter/campaigns/${id}`);
+  return response.data;
+};
+
+/**
+ * Render a campaign email for preview (admin only)
+ * @param {string} id - Campaign ID
+ * @returns {Promise} API response with subject and html
+ */
+export const previewCampaign = async (id) => {
+  const response = await apiClient.get(`/newsletter/campaigns/${id}/preview`);
+  return response.data;
+};
+
+/**
+ * Send a test email of a campaign (admin only)
+ * @param {string} id - Campaign ID
+ * @param {string[]} emails - Recipients; defaults to the admin's address
+ * @returns {Promise} API response
+ */
+export const sendTestCampaign = async (id, emails = []) => {
+  const response = await apiClient.post(`/newsletter/campaigns/${id}/test`, { emails });
+  return response.data;
+};
+
+/**
+ * Schedule a tested campaign, or send it now (admin only)
+ * @param {string} id - Campaign ID
+ * @param {string|null} scheduledFor - ISO date, or null to send now
+ * @returns {Promise} API response
+ */
+export const scheduleCampaign = async (id, scheduledFor = null) => {
+  const response = await apiClient.post(`/newsletter/campaigns/${id}/schedule`, {
+    scheduledFor,
+  });
+  return response.data;
+};
+
+/**
+ * Cancel a scheduled campaign (admin only)
+ * @param {string} id - Campaign ID
+ * @returns {Promise} API response
+ */
+export const unscheduleCampaign = async (id) => {
+  const response = await apiClient.post(`/newsletter/campaigns/${id}/unschedule`);
+  return response.data;
+};
+
 export default {
   subscribe,
   unsubscribe,
   updatePreferences,
   getStats,
-  getAllSubscribers
+  getAllSubscribers,
+  getCampaigns,
+  getAudienceSize,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  previewCampaign,
+  sendTestCampaign,
+  scheduleCampaign,
+  unscheduleCampaign,
 };
@@ -25,10 +25,13 @@ export const postsAPI = {
   },
 
   // Get single post and track view (use this for actual page views)
-  getPostWithView: async (postId) => {
+  // referrer: 'internal' for in-app navigation, 'email' for email links,
+  // otherwise the referring URL (empty for direct visits)
+  getPostWithView: async (postId, referrer = '') => {
     const response = await apiClient.get(`/posts/${postId}`, {
       headers: {
-        'X-Track-View': 'true'
+        'X-Track-View': 'true',
+        ...(referrer && { 'X-View-Referrer': referrer })
       }
     });
     return response.data;
@@ -114,10 +117,36 @@ export const postsAPI = {
     return response.data;
   },
 
+  // Get posts ranked by recent engagement
+  // window: 'day', 'week' or 'month'
+  getTrendingPosts: async (params = {}) => {
+    const response = await apiClient.get('/posts/trending', {
+      params,
+    });
+    return response.data;
+  },
+
+  // Get published posts related to a post, most related first
+  getRelatedPosts: async (postId, params = {}) => {
+    const response = await apiClient.get(`/posts/${postId}/related`, {
+      params,
+    });
+    return response.data;
+  },
+
+  // Get tags ranked by the trending scores of their posts
+  getTrendingTags: async (params = {}) => {
+    const response = await apiClient.get('/tags/trending', {
+      params,
+    });
+    return response.data;
+  },
+
   // Approve post (moderator/admin)
-  approvePost: async (postId, moderationNotes = '') => {
+  approvePost: async (postId, moderationNotes = '', scheduledFor = null) => {
     const response = await apiClient.put(`/posts/${postId}/approve`, {
       moderationNotes,
+      ...(scheduledFor && { scheduledFor }),
     });
     return response.data;
   },
@@ -160,6 +189,28 @@ export const postsAPI = {
     return response.data;
   },
 
+  // Get approved posts waiting to be published (moderator/admin)
+  getScheduledPosts: async (params = {}) => {
+    const response = await apiClient.get('/posts/moderation/scheduled', {
+      params,
+    });
+    return response.data;
+  },
+
+  // Change when a scheduled post is published (moderator/admin)
+  reschedulePost: async (postId, scheduledFor) => {
+    const response = await apiClient.put(`/posts/${postId}/schedule`, {
+      scheduledFor,
+    });
+    return response.data;
+  },
+
+  // Cancel a scheduled publication (moderator/admin)
+  cancelScheduledPost: async (postId) => {
+    const response = await apiClient.delete(`/posts/${postId}/schedule`);
+    return response.data;
+  },
+
   // Remove flagged content (delete post)
   removeFlaggedContent: async (postId) => {
     const response = await apiClient.delete(`/posts/${postId}`);
@@ -195,11 +246,17 @@ export const {
   getUserPosts,
   getCategories,
   getTags,
+  getTrendingPosts,
+  getTrendingTags,
+  getRelatedPosts,
   approvePost,
   rejectPost,
   uploadFeaturedImage,
   createDraft,
   getFlaggedPosts,
+  getScheduledPosts,
+  reschedulePost,
+  cancelScheduledPost,
   removeFlaggedContent,
   dismissViolation,
 } = postsAPI;
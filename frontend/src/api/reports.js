@@ -0,0 +1,60 @@
+/**
+ * ============================================================================
+ * REPORTS API
+ * ============================================================================
+ * Reporting posts, comments and users, and the moderation case queue
+ */
+
+import api from './client';
+
+export const reportsAPI = {
+  // Report a post, comment or user
+  createReport: async ({ targetType, targetId, reasonCategory, details = '' }) => {
+    const response = await api.post('/reports', {
+      targetType,
+      targetId,
+      reasonCategory,
+      details,
+    });
+    return response.data;
+  },
+
+  // List moderation cases (moderator/admin)
+  getReports: async (params = {}) => {
+    const response = await api.get('/reports', { params });
+    return response.data;
+  },
+
+  // Get a single case (moderator/admin)
+  getReport: async (reportId) => {
+    const response = await api.get(`/reports/${reportId}`);
+    return response.data;
+  },
+
+  // Assign a case to yourself (moderator/admin)
+  claimReport: async (reportId) => {
+    const response = await api.put(`/reports/${reportId}/claim`);
+    return response.data;
+  },
+
+  // Close a case as actioned or dismissed (moderator/admin)
+  resolveReport: async (reportId, { status, resolutionNotes = '', actionTaken = '' }) => {
+    const response = await api.put(`/reports/${reportId}/resolve`, {
+      status,
+      resolutionNotes,
+      actionTaken,
+    });
+    return response.data;
+  },
+
+  // Dismiss several cases at once (moderator/admin)
+  bulkDismissReports: async (reportIds, resolutionNotes = '') => {
+    const response = await api.post('/reports/bulk-dismiss', {
+      ids: reportIds,
+      resolutionNotes,
+    });
+    return response.data;
+  },
+};
+
+export default reportsAPI;
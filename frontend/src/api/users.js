@@ -21,6 +21,78 @@ export const usersAPI = {
     return response.data;
   },
 
+  /**
+   * Get the current user's preferences, including notification channels
+   */
+  getPreferences: async () => {
+    const response = await client.get('/users/preferences');
+    return response.data;
+  },
+
+  /**
+   * Save the current user's preferences
+   */
+  updatePreferences: async (preferences) => {
+    const response = await client.put('/users/preferences', preferences);
+    return response.data;
+  },
+
+  /**
+   * Get the posts and people the current user has muted
+   */
+  getMutes: async () => {
+    const response = await client.get('/users/preferences/mutes');
+    return response.data;
+  },
+
+  /**
+   * Stop notifications about a post or from a person
+   * @param {String} type - 'post' or 'user'
+   * @param {String} id - Post or user ID
+   */
+  mute: async (type, id) => {
+    const response = await client.post('/users/preferences/mutes', { type, id });
+    return response.data;
+  },
+
+  /**
+   * Undo a mute
+   * @param {String} type - 'post' or 'user'
+   * @param {String} id - Post or user ID
+   */
+  unmute: async (type, id) => {
+    const response = await client.delete(`/users/preferences/mutes/${type}/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Get a public author profile by username
+   * @param {String} username
+   */
+  getPublicProfile: async (username) => {
+    const response = await client.get(`/users/${encodeURIComponent(username)}`);
+    return response.data;
+  },
+
+  /**
+   * Get an author's published posts by username
+   * @param {String} username
+   * @param {Object} params - { page, limit }
+   */
+  getPublicProfilePosts: async (username, params = {}) => {
+    const response = await client.get(`/users/${encodeURIComponent(username)}/posts`, { params });
+    return response.data;
+  },
+
+  /**
+   * Suggest users to @mention whose username starts with a prefix
+   * @param {String} query - Text typed after "@"
+   */
+  searchMentions: async (query) => {
+    const response = await client.get('/users/mentions', { params: { q: query } });
+    return response.data;
+  },
+
   /**
    * Resend email verification
    */
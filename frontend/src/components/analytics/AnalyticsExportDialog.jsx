@@ -0,0 +1,424 @@
+import { useState, useEffect } from "react";
+import {
+  Download,
+  CalendarClock,
+  Send,
+  Trash2,
+  Pause,
+  Play,
+  Loader2,
+} from "lucide-react";
+import { format, subDays } from "date-fns";
+import toast from "react-hot-toast";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
+import { Button } from "@/components/ui/button";
+import {
+  exportReport,
+  getReportSchedules,
+  createReportSchedule,
+  updateReportSchedule,
+  deleteReportSchedule,
+  sendReportScheduleNow,
+} from "../../api/analytics";
+
+const FORMATS = [
+  { value: "xlsx", label: "Excel (XLSX)" },
+  { value: "csv", label: "CSV" },
+];
+
+const PERIODS = [
+  { value: "day", label: "Daily" },
+  { value: "week", label: "Weekly" },
+  { value: "month", label: "Monthly" },
+];
+
+const FREQUENCY_LABELS = {
+  weekly: "Every Monday, for the previous week",
+  monthly: "On the 1st, for the previous month",
+};
+
+const today = () => format(new Date(), "yyyy-MM-dd");
+
+const fieldClass =
+  "w-full rounded-md border border-input bg-background px-3 py-2 text-sm";
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.message || fallback;
+
+/**
+ * Download analytics reports as CSV or XLSX for a date range, and manage the
+ * reports emailed to the admin every week or month.
+ */
+const AnalyticsExportDialog = ({ open, onOpenChange }) => {
+  const [reports, setReports] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(null);
+
+  const [exportForm, setExportForm] = useState({
+    report: "overview",
+    format: "xlsx",
+    from: format(subDays(new Date(), 29), "yyyy-MM-dd"),
+    to: today(),
+    period: "day",
+    compare: false,
+  });
+  const [scheduleForm, setScheduleForm] = useState({
+    report: "overview",
+    format: "xlsx",
+    frequency: "weekly",
+  });
+
+  useEffect(() => {
+    if (open) fetchSchedules();
+  }, [open]);
+
+  const fetchSchedules = async () => {
+    try {
+      setLoading(true);
+      const response = await getReportSchedules();
+      setReports(response.data.reports);
+      setSchedules(response.data.schedules);
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to load scheduled reports"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const reportTitle = (key) =>
+    reports.find((report) => report.key === key)?.title || key;
+
+  const handleExport = async () => {
+    if (exportForm.from > exportForm.to) {
+      toast.error("The start date must be before the end date");
+      return;
+    }
+
+    try {
+      setBusy("export");
+      const { report, period, compare, ...params } = exportForm;
+      await exportReport(report, {
+        ...params,
+        ...(report === "trends" && { period }),
+        ...(report === "overview" && compare && { compare: "previous" }),
+      });
+      toast.success("Report downloaded");
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to export report"));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSchedule = async () => {
+    try {
+      setBusy("schedule");
+      const response = await createReportSchedule(scheduleForm);
+      setSchedules([response.data.schedule, ...schedules]);
+      toast.success("Report scheduled");
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to schedule report"));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      setBusy(schedule._id);
+      const response = await updateReportSchedule(schedule._id, {
+        active: !schedule.active,
+      });
+      setSchedules(
+        schedules.map((s) => (s._id === schedule._id ? response.data.schedule : s))
+      );
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to update scheduled report"));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSendNow = async (schedule) => {
+    try {
+      setBusy(schedule._id);
+      const response = await sendReportScheduleNow(schedule._id);
+      toast.success(response.message || "Report sent");
+      fetchSchedules();
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to send report"));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    try {
+      setBusy(schedule._id);
+      await deleteReportSchedule(schedule._id);
+      setSchedules(schedules.filter((s) => s._id !== schedule._id));
+      toast.success("Scheduled report deleted");
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to delete scheduled report"));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const reportOptions = reports.map((report) => (
+    <option key={report.key} value={report.key}>
+      {report.title}
+    </option>
+  ));
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Export Analytics</DialogTitle>
+          <DialogDescription>
+            Download a report for any date range, or have one emailed to you
+            every week or month.
+          </DialogDescription>
+        </DialogHeader>
+
+        <Tabs defaultValue="download">
+          <TabsList className="grid w-full grid-cols-2">
+            <TabsTrigger value="download" className="gap-2">
+              <Download className="h-4 w-4" />
+              Download
+            </TabsTrigger>
+            <TabsTrigger value="schedule" className="gap-2">
+              <CalendarClock className="h-4 w-4" />
+              Scheduled
+            </TabsTrigger>
+          </TabsList>
+
+          {/* Download */}
+          <TabsContent value="download" className="space-y-4 pt-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <label className="space-y-1 text-sm font-medium">
+                Report
+                <select
+                  value={exportForm.report}
+                  onChange={(e) => setExportForm({ ...exportForm, report: e.target.value })}
+                  className={fieldClass}
+                  disabled={loading}
+                >
+                  {reportOptions}
+                </select>
+              </label>
+              <label className="space-y-1 text-sm font-medium">
+                Format
+                <select
+                  value={exportForm.format}
+                  onChange={(e) => setExportForm({ ...exportForm, format: e.target.value })}
+                  className={fieldClass}
+                >
+                  {FORMATS.map((f) => (
+                    <option key={f.value} value={f.value}>
+                      {f.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="space-y-1 text-sm font-medium">
+                From
+                <input
+                  type="date"
+                  value={exportForm.from}
+                  max={exportForm.to}
+                  onChange={(e) => setExportForm({ ...exportForm, from: e.target.value })}
+                  className={fieldClass}
+                />
+              </label>
+              <label className="space-y-1 text-sm font-medium">
+                To
+                <input
+                  type="date"
+                  value={exportForm.to}
+                  min={exportForm.from}
+                  max={today()}
+                  onChange={(e) => setExportForm({ ...exportForm, to: e.target.value })}
+                  className={fieldClass}
+                />
+              </label>
+              {exportForm.report === "trends" && (
+                <label className="space-y-1 text-sm font-medium">
+                  Group by
+                  <select
+                    value={exportForm.period}
+                    onChange={(e) => setExportForm({ ...exportForm, period: e.target.value })}
+                    className={fieldClass}
+                  >
+                    {PERIODS.map((p) => (
+                      <option key={p.value} value={p.value}>
+                        {p.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {exportForm.report === "overview" && (
+                <label className="flex items-center gap-2 text-sm font-medium sm:col-span-2">
+                  <input
+                    type="checkbox"
+                    checked={exportForm.compare}
+                    onChange={(e) => setExportForm({ ...exportForm, compare: e.target.checked })}
+                    className="h-4 w-4 rounded border-input"
+                  />
+                  Compare the summary with the previous period
+                </label>
+              )}
+            </div>
+            <div className="flex justify-end">
+              <Button onClick={handleExport} disabled={busy === "export"} className="gap-2">
+                {busy === "export" ? (
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                ) : (
+                  <Download className="h-4 w-4" />
+                )}
+                Download
+              </Button>
+            </div>
+          </TabsContent>
+
+          {/* Scheduled */}
+          <TabsContent value="schedule" className="space-y-6 pt-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+              <label className="space-y-1 text-sm font-medium">
+                Report
+                <select
+                  value={scheduleForm.report}
+                  onChange={(e) => setScheduleForm({ ...scheduleForm, report: e.target.value })}
+                  className={fieldClass}
+                  disabled={loading}
+                >
+                  {reportOptions}
+                </select>
+              </label>
+              <label className="space-y-1 text-sm font-medium">
+                Format
+                <select
+                  value={scheduleForm.format}
+                  onChange={(e) => setScheduleForm({ ...scheduleForm, format: e.target.value })}
+                  className={fieldClass}
+                >
+                  {FORMATS.map((f) => (
+                    <option key={f.value} value={f.value}>
+                      {f.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="space-y-1 text-sm font-medium">
+                Frequency
+                <select
+                  value={scheduleForm.frequency}
+                  onChange={(e) => setScheduleForm({ ...scheduleForm, frequency: e.target.value })}
+                  className={fieldClass}
+                >
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+              </label>
+            </div>
+            <div className="flex items-center justify-between gap-4">
+              <p className="text-xs text-muted-foreground">
+                {FREQUENCY_LABELS[scheduleForm.frequency]}, emailed to you as an attachment.
+              </p>
+              <Button onClick={handleSchedule} disabled={busy === "schedule"} className="gap-2 shrink-0">
+                {busy === "schedule" ? (
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                ) : (
+                  <CalendarClock className="h-4 w-4" />
+                )}
+                Schedule
+              </Button>
+            </div>
+
+            <div className="space-y-2">
+              <h4 className="text-sm font-semibold">Your scheduled reports</h4>
+              {loading ? (
+                <div className="flex justify-center py-6">
+                  <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+                </div>
+              ) : schedules.length === 0 ? (
+                <p className="text-sm text-muted-foreground py-4">
+                  No scheduled reports yet.
+                </p>
+              ) : (
+                schedules.map((schedule) => (
+                  <div
+                    key={schedule._id}
+                    className={`flex flex-col sm:flex-row sm:items-center justify-between gap-3 rounded-lg border p-3 ${
+                      schedule.active ? "" : "opacity-60"
+                    }`}
+                  >
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium">
+                        {reportTitle(schedule.report)}{" "}
+                        <span className="text-muted-foreground font-normal">
+                          · {schedule.frequency} · {schedule.format.toUpperCase()}
+                        </span>
+                      </p>
+                      <p className="text-xs text-muted-foreground">
+                        {schedule.active
+                          ? `Next: ${format(new Date(schedule.nextRunAt), "MMM d, yyyy HH:mm")}`
+                          : "Paused"}
+                        {schedule.lastRunAt &&
+                          ` · Last: ${format(new Date(schedule.lastRunAt), "MMM d, yyyy")} (${schedule.lastStatus})`}
+                      </p>
+                      {schedule.lastStatus === "failed" && schedule.lastError && (
+                        <p className="text-xs text-destructive truncate">{schedule.lastError}</p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-1 shrink-0">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleSendNow(schedule)}
+                        disabled={busy === schedule._id}
+                        title="Send the last full period now"
+                      >
+                        <Send className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleToggle(schedule)}
+                        disabled={busy === schedule._id}
+                        title={schedule.active ? "Pause" : "Resume"}
+                      >
+                        {schedule.active ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleDelete(schedule)}
+                        disabled={busy === schedule._id}
+                        title="Delete"
+                      >
+                        <Trash2 className="h-4 w-4 text-destructive" />
+                      </Button>
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          </TabsContent>
+        </Tabs>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default AnalyticsExportDialog;
@@ -0,0 +1,171 @@
+import { useState, useEffect } from "react";
+import { Loader2 } from "lucide-react";
+import { format, parseISO, startOfMonth, subMonths } from "date-fns";
+import { getCohorts } from "../../api/analytics";
+
+const SEGMENTS = [
+  { value: "", label: "All users" },
+  { value: "roleApplication", label: "By affiliation" },
+  { value: "department", label: "By department" },
+];
+
+const ACTIVITIES = [
+  { value: "posting", label: "Posting" },
+  { value: "commenting", label: "Commenting" },
+];
+
+const SIGNUP_MONTHS = [3, 6, 12];
+
+const FOLLOWED_MONTHS = 6;
+
+const fieldClass =
+  "rounded-md border border-input bg-background px-3 py-1.5 text-sm";
+
+const cellStyle = (rate) => ({
+  backgroundColor: `rgba(59, 130, 246, ${Math.min(rate / 100, 1) * 0.85 + 0.05})`,
+  color: rate >= 50 ? "white" : undefined,
+});
+
+/**
+ * Users grouped by the month they signed up, with the share of each group
+ * that posted or commented in each month after. Month 0 is the signup
+ * month. Groups can be split by university affiliation or department.
+ */
+const CohortAnalysis = () => {
+  const [segment, setSegment] = useState("");
+  const [activity, setActivity] = useState("posting");
+  const [signupMonths, setSignupMonths] = useState(6);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchCohorts = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await getCohorts({
+          from: format(startOfMonth(subMonths(new Date(), signupMonths - 1)), "yyyy-MM-dd"),
+          months: FOLLOWED_MONTHS,
+          ...(segment && { segment }),
+        });
+        if (!cancelled) setData(response.data);
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.data?.message || "Failed to load cohorts");
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchCohorts();
+    return () => {
+      cancelled = true;
+    };
+  }, [segment, signupMonths]);
+
+  const months = Array.from({ length: (data?.months ?? FOLLOWED_MONTHS) + 1 }, (_, i) => i);
+  const cohorts = data?.cohorts || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={segment}
+          onChange={(e) => setSegment(e.target.value)}
+          className={fieldClass}
+        >
+          {SEGMENTS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={activity}
+          onChange={(e) => setActivity(e.target.value)}
+          className={fieldClass}
+        >
+          {ACTIVITIES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label} retention
+            </option>
+          ))}
+        </select>
+        <select
+          value={signupMonths}
+          onChange={(e) => setSignupMonths(Number(e.target.value))}
+          className={fieldClass}
+        >
+          {SIGNUP_MONTHS.map((count) => (
+            <option key={count} value={count}>
+              Signups in the last {count} months
+            </option>
+          ))}
+        </select>
+        {loading && data && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+      </div>
+
+      {error ? (
+        <p className="text-sm text-destructive py-6 text-center">{error}</p>
+      ) : loading && !data ? (
+        <div className="flex justify-center py-10">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+        </div>
+      ) : cohorts.length === 0 ? (
+        <p className="text-sm text-muted-foreground py-6 text-center">
+          No signups in this period
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm border-separate border-spacing-1">
+            <thead>
+              <tr className="text-muted-foreground">
+                <th className="text-left font-medium px-2">Signed up</th>
+                {segment && <th className="text-left font-medium px-2">Group</th>}
+                <th className="text-right font-medium px-2">Users</th>
+                {months.map((month) => (
+                  <th key={month} className="font-medium px-2 text-center">
+                    Month {month}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {cohorts.map((cohort) => (
+                <tr key={`${cohort.cohort}-${cohort.segment}`}>
+                  <td className="px-2 whitespace-nowrap">
+                    {format(parseISO(`${cohort.cohort}-01`), "MMM yyyy")}
+                  </td>
+                  {segment && (
+                    <td className="px-2 capitalize whitespace-nowrap">{cohort.segment}</td>
+                  )}
+                  <td className="px-2 text-right">{cohort.users}</td>
+                  {months.map((month) => {
+                    const cell = cohort[activity][month];
+                    return cell ? (
+                      <td
+                        key={month}
+                        className="px-2 py-1 rounded text-center"
+                        style={cellStyle(cell.rate)}
+                        title={`${cell.active} of ${cohort.users} users`}
+                      >
+                        {cell.rate}%
+                      </td>
+                    ) : (
+                      <td key={month} />
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CohortAnalysis;
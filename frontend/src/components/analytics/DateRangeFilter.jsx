@@ -0,0 +1,112 @@
+import { useState } from "react";
+import { format, subDays } from "date-fns";
+
+const PRESETS = [
+  { value: "all", label: "All time" },
+  { value: "7", label: "7 days" },
+  { value: "30", label: "30 days" },
+  { value: "90", label: "90 days" },
+  { value: "365", label: "12 months" },
+  { value: "custom", label: "Custom" },
+];
+
+const toInputDate = (date) => format(date, "yyyy-MM-dd");
+
+const fieldClass =
+  "rounded-md border border-input bg-background px-3 py-1.5 text-sm";
+
+/**
+ * Choose the period analytics cover - a preset or any from / to dates - and
+ * whether to compare it with the period just before. Calls onChange with
+ * the query parameters the analytics endpoints take; "All time" sends no
+ * dates at all.
+ */
+const DateRangeFilter = ({ onChange }) => {
+  const [preset, setPreset] = useState("all");
+  const [from, setFrom] = useState(toInputDate(subDays(new Date(), 29)));
+  const [to, setTo] = useState(toInputDate(new Date()));
+  const [compare, setCompare] = useState(false);
+
+  const report = (next) => {
+    const state = { preset, from, to, compare, ...next };
+    if (state.preset === "custom" && (!state.from || !state.to || state.from > state.to)) {
+      return;
+    }
+
+    const dates =
+      state.preset === "all"
+        ? {}
+        : state.preset === "custom"
+          ? { from: state.from, to: state.to }
+          : {
+            from: toInputDate(subDays(new Date(), Number(state.preset) - 1)),
+            to: toInputDate(new Date()),
+          };
+
+    onChange({ ...dates, ...(state.compare && { compare: "previous" }) });
+  };
+
+  const update = (next) => {
+    if ("preset" in next) setPreset(next.preset);
+    if ("from" in next) setFrom(next.from);
+    if ("to" in next) setTo(next.to);
+    if ("compare" in next) setCompare(next.compare);
+    report(next);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <div className="flex rounded-md border border-input overflow-hidden">
+        {PRESETS.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => update({ preset: option.value })}
+            className={`px-3 py-1.5 text-sm transition-colors ${
+              preset === option.value
+                ? "bg-primary text-primary-foreground"
+                : "bg-background hover:bg-muted"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {preset === "custom" && (
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            value={from}
+            max={to}
+            onChange={(e) => update({ from: e.target.value })}
+            className={fieldClass}
+            aria-label="From"
+          />
+          <span className="text-sm text-muted-foreground">to</span>
+          <input
+            type="date"
+            value={to}
+            min={from}
+            max={toInputDate(new Date())}
+            onChange={(e) => update({ to: e.target.value })}
+            className={fieldClass}
+            aria-label="To"
+          />
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 text-sm">
+        <input
+          type="checkbox"
+          checked={compare}
+          onChange={(e) => update({ compare: e.target.checked })}
+          className="h-4 w-4 rounded border-input"
+        />
+        Compare with previous period
+      </label>
+    </div>
+  );
+};
+
+export default DateRangeFilter;
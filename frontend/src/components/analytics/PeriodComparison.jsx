@@ -0,0 +1,49 @@
+import { format, subDays } from "date-fns";
+import StatCard from "./StatCard";
+
+const COLORS = ["blue", "green", "purple", "yellow", "pink", "red"];
+
+// `to` is exclusive, so the last day shown is the one before it
+const formatRange = (from, to) =>
+  `${format(new Date(from), "MMM d, yyyy")} – ${format(subDays(new Date(to), 1), "MMM d, yyyy")}`;
+
+/**
+ * The metrics of an analytics comparison, each with its change from the
+ * previous period of the same length.
+ * @param {Object} comparison - `comparison` from an analytics endpoint
+ * @param {Array} metrics - [[key, label]] of the metrics to show, in order
+ */
+const PeriodComparison = ({ comparison, metrics }) => {
+  if (!comparison) return null;
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-muted-foreground">
+        {formatRange(comparison.from, comparison.to)} compared with{" "}
+        {formatRange(comparison.previousFrom, comparison.previousTo)}
+      </p>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {metrics
+          .filter(([key]) => comparison.metrics[key])
+          .map(([key, label], index) => {
+            const { current, previous, change } = comparison.metrics[key];
+            return (
+              <StatCard
+                key={key}
+                title={`${label} (previously ${previous.toLocaleString()})`}
+                value={current}
+                color={COLORS[index % COLORS.length]}
+                trend={
+                  change === null
+                    ? undefined
+                    : { direction: change >= 0 ? "up" : "down", value: Math.abs(change) }
+                }
+              />
+            );
+          })}
+      </div>
+    </div>
+  );
+};
+
+export default PeriodComparison;
@@ -0,0 +1,183 @@
+import { useState, useEffect } from "react";
+import { Eye, BookOpen, BookOpenCheck, MousePointerClick } from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { getPostTimeline } from "../../api/analytics";
+import StatCard from "./StatCard";
+import ChartContainer from "./ChartContainer";
+import LineChart from "./charts/LineChart";
+import PieChart from "./charts/PieChart";
+
+const RANGES = [
+  { days: 7, label: "7 days" },
+  { days: 30, label: "30 days" },
+  { days: 90, label: "90 days" },
+];
+
+const REFERRER_LABELS = {
+  direct: "Direct",
+  internal: "From this site",
+  search: "Search engines",
+  social: "Social media",
+  email: "Email",
+  other: "Other sites",
+};
+
+const sum = (timeline, field) =>
+  timeline.reduce((total, day) => total + (day[field] || 0), 0);
+
+/**
+ * Daily history for one of the author's posts: views and engagement over
+ * time, where readers came from, and how much of the post they read.
+ * Views count distinct readers; page hits include repeat visits; qualified
+ * reads are views where the reader stayed long enough to read.
+ */
+const PostInsights = ({ posts = [] }) => {
+  const [postId, setPostId] = useState(posts[0]?._id || "");
+  const [days, setDays] = useState(30);
+  const [insights, setInsights] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!postId) return;
+
+    let cancelled = false;
+    const fetchInsights = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await getPostTimeline(postId, { days });
+        if (!cancelled) setInsights(response.data);
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.data?.message || "Failed to load post insights");
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchInsights();
+    return () => {
+      cancelled = true;
+    };
+  }, [postId, days]);
+
+  if (posts.length === 0) return null;
+
+  const timeline = insights?.timeline || [];
+  const series = (field) =>
+    timeline.map((day) => ({
+      x: format(parseISO(day.date), "MMM d"),
+      y: day[field] || 0,
+    }));
+
+  const referrers = Object.entries(insights?.referrers || {})
+    .filter(([, views]) => views > 0)
+    .map(([source, views]) => ({
+      label: REFERRER_LABELS[source] || source,
+      value: views,
+    }));
+
+  const readCompletion = insights?.readCompletion;
+
+  return (
+    <div className="space-y-6 mb-8">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <h2 className="text-xl font-semibold">Post Insights</h2>
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={postId}
+            onChange={(e) => setPostId(e.target.value)}
+            className="max-w-xs rounded-md border border-input bg-background px-3 py-2 text-sm"
+          >
+            {posts.map((post) => (
+              <option key={post._id} value={post._id}>
+                {post.title}
+              </option>
+            ))}
+          </select>
+          <div className="flex rounded-md border border-input overflow-hidden">
+            {RANGES.map((range) => (
+              <button
+                key={range.days}
+                type="button"
+                onClick={() => setDays(range.days)}
+                className={`px-3 py-2 text-sm transition-colors ${
+                  days === range.days
+                    ? "bg-primary text-primary-foreground"
+                    : "bg-background hover:bg-muted"
+                }`}
+              >
+                {range.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <StatCard
+          title={`Unique Views (${days} days)`}
+          value={sum(timeline, "views")}
+          icon={Eye}
+          color="purple"
+        />
+        <StatCard
+          title={`Page Hits (${days} days)`}
+          value={sum(timeline, "hits")}
+          icon={MousePointerClick}
+          color="blue"
+        />
+        <StatCard
+          title={`Qualified Reads (${days} days)`}
+          value={sum(timeline, "qualifiedReads")}
+          icon={BookOpenCheck}
+          color="yellow"
+        />
+        <StatCard
+          title={`Avg. Read Completion${
+            readCompletion?.reads ? ` (${readCompletion.reads} reads)` : ""
+          }`}
+          value={readCompletion?.average != null ? `${readCompletion.average}%` : "—"}
+          icon={BookOpen}
+          color="green"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <ChartContainer
+          title="Views Over Time"
+          loading={loading && !insights}
+          error={error}
+          className="lg:col-span-2"
+        >
+          <LineChart
+            datasets={[
+              { label: "Views", data: series("views"), color: "#3B82F6" },
+              { label: "Qualified Reads", data: series("qualifiedReads"), color: "#F59E0B" },
+              { label: "Likes", data: series("likes"), color: "#EC4899" },
+              { label: "Comments", data: series("comments"), color: "#10B981" },
+            ]}
+          />
+        </ChartContainer>
+
+        <ChartContainer
+          title="Where Readers Came From"
+          loading={loading && !insights}
+          error={error}
+        >
+          {referrers.length > 0 ? (
+            <PieChart data={referrers} />
+          ) : (
+            <p className="flex items-center justify-center h-64 text-sm text-muted-foreground">
+              No views in this period
+            </p>
+          )}
+        </ChartContainer>
+      </div>
+    </div>
+  );
+};
+
+export default PostInsights;
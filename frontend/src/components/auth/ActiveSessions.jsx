@@ -0,0 +1,129 @@
+import { useState, useEffect } from "react";
+import { Monitor, Smartphone, LogOut, Loader2 } from "lucide-react";
+import { formatDistanceToNow } from "date-fns";
+import toast from "react-hot-toast";
+import { authAPI } from "../../api/auth";
+
+const MOBILE_SYSTEMS = ["Android", "iOS"];
+
+/**
+ * The devices the user is signed in on, with device, IP and when each was
+ * last used. Signing a device out ends its session straight away.
+ */
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data.sessions);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load sessions");
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      setRevoking(sessionId);
+      await authAPI.revokeSession(sessionId);
+      setSessions((current) => current.filter((s) => s.id !== sessionId));
+      toast.success("Device signed out");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to sign out device");
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      setRevoking("others");
+      const response = await authAPI.revokeOtherSessions();
+      setSessions((current) => current.filter((s) => s.current));
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to sign out devices");
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const others = sessions?.filter((s) => !s.current) || [];
+
+  return (
+    <div className="mt-6 bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white">
+          Active Sessions
+        </h2>
+        {others.length > 0 && (
+          <button
+            onClick={handleRevokeOthers}
+            disabled={!!revoking}
+            className="flex items-center gap-2 px-4 py-2 text-sm border border-red-300 text-red-600 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50 transition-colors"
+          >
+            {revoking === "others" ? (
+              <Loader2 className="w-4 h-4 animate-spin" />
+            ) : (
+              <LogOut className="w-4 h-4" />
+            )}
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      {!sessions ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+        </div>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No active sessions</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {sessions.map((session) => {
+            const DeviceIcon = MOBILE_SYSTEMS.includes(session.os) ? Smartphone : Monitor;
+            return (
+              <li key={session.id} className="flex items-center gap-4 py-3">
+                <DeviceIcon className="w-6 h-6 text-gray-400 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-900 dark:text-white">
+                    {session.browser} on {session.os}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400 truncate">
+                    {session.ipAddress || "Unknown IP"} · Last active{" "}
+                    {formatDistanceToNow(new Date(session.lastSeenAt), { addSuffix: true })}
+                  </p>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => handleRevoke(session.id)}
+                    disabled={!!revoking}
+                    className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg disabled:opacity-50 transition-colors"
+                  >
+                    {revoking === session.id ? (
+                      <Loader2 className="w-4 h-4 animate-spin" />
+                    ) : (
+                      "Sign out"
+                    )}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -7,7 +7,11 @@ import Button from "../common/Button";
 import toast from "react-hot-toast";
 import { setToken, setRefreshToken, setUser } from "../../utils/storage";
 
-const GoogleSignInButton = ({ isRegister = false }) => {
+/**
+ * @param {Function} [onTwoFactorRequired] - Called with the challenge when
+ *   the account needs a second factor to finish signing in
+ */
+const GoogleSignInButton = ({ isRegister = false, onTwoFactorRequired }) => {
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
   const location = useLocation();
@@ -76,6 +80,14 @@ const GoogleSignInButton = ({ isRegister = false }) => {
           throw new Error(data.message || "Google sign-in failed");
         }
 
+        if (data.twoFactorRequired) {
+          if (!onTwoFactorRequired) {
+            throw new Error("Two-factor authentication is required. Please sign in from the login page.");
+          }
+          onTwoFactorRequired(data);
+          return;
+        }
+
         console.log("✅ Token verified, storing user data...");
         // Store tokens and user data using the correct storage utility
         setToken(data.accessToken);
@@ -0,0 +1,147 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { Clock } from "lucide-react";
+import toast from "react-hot-toast";
+import Modal from "../common/Modal";
+import Button from "../common/Button";
+import { useAuth } from "../../contexts/AuthContext";
+import { useSiteSettings } from "../../contexts/SiteSettingsContext";
+import { authAPI } from "../../api/auth";
+import { getLastActivity, setLastActivity } from "../../utils/storage";
+
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "scroll", "touchstart"];
+const RECORD_INTERVAL_MS = 5 * 1000;
+const WARNING_MS = 5 * 60 * 1000;
+
+const formatCountdown = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Signs the user out after the session timeout from the site settings
+ * passes without any activity, with a warning a few minutes before. The
+ * server ends the session after the same time without requests.
+ */
+const IdleTimeoutWarning = () => {
+  const navigate = useNavigate();
+  const { isAuthenticated, logout } = useAuth();
+  const { sessionTimeout = 24 } = useSiteSettings();
+  const [remaining, setRemaining] = useState(null);
+  const signingOut = useRef(false);
+
+  const timeoutMs = sessionTimeout * 60 * 60 * 1000;
+  const warning = remaining !== null && remaining <= WARNING_MS;
+
+  const signOut = useCallback(async () => {
+    if (signingOut.current) return;
+    signingOut.current = true;
+    setRemaining(null);
+    await logout(
+      `You were signed out after ${sessionTimeout} hour${
+        sessionTimeout === 1 ? "" : "s"
+      } of inactivity`
+    );
+    signingOut.current = false;
+    navigate("/login");
+  }, [logout, navigate, sessionTimeout]);
+
+  // Sessions from before the idle timeout have no activity recorded yet
+  useEffect(() => {
+    if (isAuthenticated && !getLastActivity()) {
+      setLastActivity();
+    }
+  }, [isAuthenticated]);
+
+  // Record activity, at most every few seconds; once the warning is up only
+  // its button keeps the user signed in
+  useEffect(() => {
+    if (!isAuthenticated || warning) return;
+
+    let lastRecorded = 0;
+    const handleActivity = () => {
+      if (Date.now() - lastRecorded < RECORD_INTERVAL_MS) return;
+      lastRecorded = Date.now();
+      setLastActivity();
+    };
+
+    ACTIVITY_EVENTS.forEach((event) =>
+      window.addEventListener(event, handleActivity, { passive: true })
+    );
+    return () =>
+      ACTIVITY_EVENTS.forEach((event) =>
+        window.removeEventListener(event, handleActivity)
+      );
+  }, [isAuthenticated, warning]);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setRemaining(null);
+      return;
+    }
+
+    const tick = () => {
+      const left = (getLastActivity() || Date.now()) + timeoutMs - Date.now();
+      if (left <= 0) {
+        signOut();
+      } else {
+        setRemaining(left);
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [isAuthenticated, timeoutMs, signOut]);
+
+  const handleStaySignedIn = async () => {
+    setLastActivity();
+    setRemaining(timeoutMs);
+
+    // A request counts as activity for the server's session too
+    try {
+      await authAPI.getMe();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        toast.error("Your session has already expired");
+        signOut();
+      }
+    }
+  };
+
+  if (!isAuthenticated) return null;
+
+  return (
+    <Modal
+      isOpen={warning}
+      onClose={handleStaySignedIn}
+      title="Are you still there?"
+      size="sm"
+      showCloseButton={false}
+      footer={
+        <>
+          <Button variant="secondary" onClick={signOut}>
+            Log out now
+          </Button>
+          <Button onClick={handleStaySignedIn}>Stay signed in</Button>
+        </>
+      }
+    >
+      <div className="flex items-start gap-3">
+        <div className="w-10 h-10 rounded-full bg-amber-100 dark:bg-amber-900/30 flex items-center justify-center flex-shrink-0">
+          <Clock className="w-5 h-5 text-amber-600 dark:text-amber-400" />
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          You haven't been active for a while. For your security you'll be
+          signed out in{" "}
+          <span className="font-semibold text-gray-900 dark:text-white tabular-nums">
+            {formatCountdown(remaining)}
+          </span>
+          .
+        </p>
+      </div>
+    </Modal>
+  );
+};
+
+export default IdleTimeoutWarning;
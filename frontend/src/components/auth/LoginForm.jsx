@@ -5,16 +5,19 @@ import { useAuth } from "../../hooks/useAuth";
 import { Mail, Lock, Eye, EyeOff } from "lucide-react";
 import { motion } from "framer-motion";
 import GoogleSignInButton from "./GoogleSignInButton";
+import TwoFactorChallenge from "./TwoFactorChallenge";
 import toast from "react-hot-toast";
 import { setRememberMe } from "../../utils/storage";
 
 const LoginForm = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login } = useAuth();
+  const { login, completeLogin } = useAuth();
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [rememberMe, setRememberMeState] = useState(false);
+  // Set when the password is accepted but a second factor is needed
+  const [challenge, setChallenge] = useState(null);
 
   const {
     register,
@@ -30,49 +33,13 @@ const LoginForm = () => {
       setRememberMe(rememberMe);
 
       const response = await login(data.email, data.password);
-      await new Promise((resolve) => setTimeout(resolve, 500));
-
-      const user = response?.user;
-      const userRoles = user?.roles || [];
-
-      // First check if there's a saved location to redirect to
-      const from = location.state?.from?.pathname;
-      let redirectPath = "/dashboard";
-
-      // If there's a saved location and it's not login/register, use it
-      if (from && from !== "/login" && from !== "/register" && from !== "/") {
-        // Verify user has permission for the saved path
-        if (from.startsWith("/admin") && !userRoles.includes("admin")) {
-          redirectPath = "/dashboard";
-        } else if (
-          from.startsWith("/moderator") &&
-          !userRoles.includes("admin") &&
-          !userRoles.includes("moderator")
-        ) {
-          redirectPath = "/dashboard";
-        } else if (
-          (from.startsWith("/posts/create") ||
-            from.startsWith("/posts/edit") ||
-            from === "/my-posts" ||
-            from.startsWith("/author")) &&
-          !userRoles.includes("admin") &&
-          !userRoles.includes("moderator") &&
-          !userRoles.includes("author")
-        ) {
-          redirectPath = "/dashboard";
-        } else {
-          redirectPath = from;
-        }
-      } else {
-        // No saved location, redirect based on role
-        if (userRoles.includes("admin")) {
-          redirectPath = "/admin";
-        } else if (userRoles.includes("moderator")) {
-          redirectPath = "/moderator";
-        }
+      if (response?.twoFactorRequired) {
+        setChallenge(response);
+        return;
       }
 
-      navigate(redirectPath, { replace: true });
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      redirectAfterLogin(response?.user);
     } catch (error) {
       let errorMessage = "Login failed. Please try again.";
 
@@ -95,11 +62,70 @@ const LoginForm = () => {
     }
   };
 
+  const handleTwoFactorComplete = (response) => {
+    completeLogin(response);
+    setChallenge(null);
+    redirectAfterLogin(response.user);
+  };
+
+  const redirectAfterLogin = (user) => {
+    const userRoles = user?.roles || [];
+
+    // First check if there's a saved location to redirect to
+    const from = location.state?.from?.pathname;
+    let redirectPath = "/dashboard";
+
+    // If there's a saved location and it's not login/register, use it
+    if (from && from !== "/login" && from !== "/register" && from !== "/") {
+      // Verify user has permission for the saved path
+      if (from.startsWith("/admin") && !userRoles.includes("admin")) {
+        redirectPath = "/dashboard";
+      } else if (
+        from.startsWith("/moderator") &&
+        !userRoles.includes("admin") &&
+        !userRoles.includes("moderator")
+      ) {
+        redirectPath = "/dashboard";
+      } else if (
+        (from.startsWith("/posts/create") ||
+          from.startsWith("/posts/edit") ||
+          from === "/my-posts" ||
+          from.startsWith("/author")) &&
+        !userRoles.includes("admin") &&
+        !userRoles.includes("moderator") &&
+        !userRoles.includes("author")
+      ) {
+        redirectPath = "/dashboard";
+      } else {
+        redirectPath = from;
+      }
+    } else {
+      // No saved location, redirect based on role
+      if (userRoles.includes("admin")) {
+        redirectPath = "/admin";
+      } else if (userRoles.includes("moderator")) {
+        redirectPath = "/moderator";
+      }
+    }
+
+    navigate(redirectPath, { replace: true });
+  };
+
   const inputVariants = {
     focus: { scale: 1.02, transition: { duration: 0.2 } },
     blur: { scale: 1, transition: { duration: 0.2 } },
   };
 
+  if (challenge) {
+    return (
+      <TwoFactorChallenge
+        challenge={challenge}
+        onComplete={handleTwoFactorComplete}
+        onCancel={() => setChallenge(null)}
+      />
+    );
+  }
+
   return (
     <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
       {/* Email Input */}
@@ -244,7 +270,7 @@ const LoginForm = () => {
       </div>
 
       {/* Google Sign In */}
-      <GoogleSignInButton isRegister={false} />
+      <GoogleSignInButton isRegister={false} onTwoFactorRequired={setChallenge} />
 
       {/* Divider */}
       <div className="relative">
@@ -0,0 +1,63 @@
+import { Copy, Download } from "lucide-react";
+import toast from "react-hot-toast";
+
+/**
+ * Two-factor recovery codes, which the server only ever returns once.
+ * Each code signs in a single time in place of an authenticator code.
+ */
+const RecoveryCodes = ({ codes }) => {
+  const text = codes.join("\n");
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success("Recovery codes copied");
+    } catch {
+      toast.error("Could not copy the codes");
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: "text/plain" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "admas-blog-recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Save these recovery codes somewhere safe. Each one can be used once to
+        sign in if you lose access to your authenticator app. They won't be
+        shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 rounded-lg bg-gray-100 dark:bg-gray-800 font-mono text-sm text-gray-900 dark:text-white">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+        >
+          <Copy className="w-4 h-4" />
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+        >
+          <Download className="w-4 h-4" />
+          Download
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
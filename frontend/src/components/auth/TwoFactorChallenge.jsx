@@ -0,0 +1,177 @@
+import { useState, useEffect } from "react";
+import { ShieldCheck, Loader2 } from "lucide-react";
+import toast from "react-hot-toast";
+import { authAPI } from "../../api/auth";
+import RecoveryCodes from "./RecoveryCodes";
+
+const inputClass =
+  "w-full px-4 py-2.5 bg-white/50 dark:bg-white/5 border border-gray-300 dark:border-white/10 rounded-xl text-sm text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-white/40 focus:outline-none focus:ring-2 focus:ring-blue-500/50 tracking-widest text-center font-mono";
+
+const buttonClass =
+  "w-full py-3 px-4 bg-gradient-to-r from-blue-600 to-cyan-600 hover:from-blue-500 hover:to-cyan-500 text-white font-semibold rounded-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2";
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.message || fallback;
+
+/**
+ * Second login step after the password (or Google) is accepted.
+ *
+ * With 2FA on, asks for a code from the authenticator app or a recovery
+ * code. If the user's role requires 2FA and it isn't set up yet, walks
+ * through setting it up instead and shows the new recovery codes.
+ *
+ * @param {Object} challenge - { challengeToken, setupRequired } from login
+ * @param {Function} onComplete - Called with the login response (tokens, user)
+ * @param {Function} onCancel - Back to the login form
+ */
+const TwoFactorChallenge = ({ challenge, onComplete, onCancel }) => {
+  const { challengeToken, setupRequired } = challenge;
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [enrolled, setEnrolled] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!setupRequired) return;
+
+    authAPI
+      .beginTwoFactorEnrollment(challengeToken)
+      .then((response) => setSetup(response.data))
+      .catch((error) => {
+        toast.error(errorMessage(error, "Failed to start two-factor setup"));
+        onCancel();
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [challengeToken, setupRequired]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    try {
+      setLoading(true);
+      if (setupRequired) {
+        const response = await authAPI.completeTwoFactorEnrollment(challengeToken, code.trim());
+        setEnrolled(response);
+      } else {
+        const response = await authAPI.verifyTwoFactorLogin(
+          challengeToken,
+          useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }
+        );
+        onComplete(response);
+      }
+    } catch (error) {
+      toast.error(errorMessage(error, "Verification failed"));
+      // A wrong code is a 400; a 401 means the challenge itself expired
+      // and the password has to be entered again
+      if (error.response?.status === 401) {
+        onCancel();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (enrolled) {
+    return (
+      <div className="space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Two-factor authentication is on
+        </h3>
+        <RecoveryCodes codes={enrolled.recoveryCodes} />
+        <button type="button" onClick={() => onComplete(enrolled)} className={buttonClass}>
+          I've saved my codes, continue
+        </button>
+      </div>
+    );
+  }
+
+  if (setupRequired && !setup) {
+    return (
+      <div className="flex justify-center py-10">
+        <Loader2 className="w-6 h-6 animate-spin text-blue-500" />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="flex items-center gap-2 text-gray-900 dark:text-white">
+        <ShieldCheck className="w-5 h-5 text-blue-500" />
+        <h3 className="text-lg font-semibold">
+          {setupRequired ? "Set up two-factor authentication" : "Two-factor authentication"}
+        </h3>
+      </div>
+
+      {setupRequired ? (
+        <>
+          <p className="text-sm text-gray-600 dark:text-white/70">
+            Your account requires two-factor authentication. Scan this QR code
+            with an authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img
+            src={setup.qrCode}
+            alt="QR code for your authenticator app"
+            className="mx-auto w-44 h-44 rounded-lg bg-white p-2"
+          />
+          <p className="text-xs text-center text-gray-500 dark:text-white/50">
+            Can't scan it? Enter this key instead:
+            <span className="block mt-1 font-mono text-sm text-gray-800 dark:text-white break-all">
+              {setup.secret}
+            </span>
+          </p>
+        </>
+      ) : (
+        <p className="text-sm text-gray-600 dark:text-white/70">
+          {useRecoveryCode
+            ? "Enter one of your recovery codes."
+            : "Enter the 6-digit code from your authenticator app."}
+        </p>
+      )}
+
+      <input
+        type="text"
+        inputMode={useRecoveryCode ? "text" : "numeric"}
+        autoComplete="one-time-code"
+        autoFocus
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+        maxLength={useRecoveryCode ? 11 : 6}
+        className={inputClass}
+      />
+
+      <button type="submit" disabled={loading || !code.trim()} className={buttonClass}>
+        {loading && <Loader2 className="w-4 h-4 animate-spin" />}
+        {setupRequired ? "Turn on and sign in" : "Verify"}
+      </button>
+
+      <div className="flex justify-between text-sm">
+        {!setupRequired ? (
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode("");
+            }}
+            className="text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            {useRecoveryCode ? "Use authenticator app" : "Use a recovery code"}
+          </button>
+        ) : (
+          <span />
+        )}
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-gray-500 dark:text-white/50 hover:underline"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
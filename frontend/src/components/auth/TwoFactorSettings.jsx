@@ -0,0 +1,267 @@
+import { useState, useEffect } from "react";
+import { ShieldCheck, ShieldOff, Smartphone, KeyRound, Loader2 } from "lucide-react";
+import { format } from "date-fns";
+import toast from "react-hot-toast";
+import { authAPI } from "../../api/auth";
+import RecoveryCodes from "./RecoveryCodes";
+
+const inputClass =
+  "w-full px-4 py-3 bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+const primaryButton =
+  "flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors";
+
+const secondaryButton =
+  "flex items-center gap-2 px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors";
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.message || fallback;
+
+/**
+ * Two-factor authentication for the signed-in user: set up with an
+ * authenticator app, replace recovery codes, or turn it off (unless the
+ * user's role requires it).
+ */
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // "regenerate" or "disable" while asking for a code to confirm
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await authAPI.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to load two-factor settings"));
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const reset = () => {
+    setAction(null);
+    setCode("");
+    setPassword("");
+  };
+
+  const run = async (task, fallback) => {
+    try {
+      setBusy(true);
+      await task();
+    } catch (error) {
+      toast.error(errorMessage(error, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSetup = () =>
+    run(async () => {
+      const response = await authAPI.setupTwoFactor();
+      setSetup(response.data);
+    }, "Failed to start two-factor setup");
+
+  const handleEnable = () =>
+    run(async () => {
+      const response = await authAPI.enableTwoFactor(code.trim());
+      setSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      reset();
+      toast.success("Two-factor authentication enabled");
+      await fetchStatus();
+    }, "Failed to enable two-factor authentication");
+
+  const handleRegenerate = () =>
+    run(async () => {
+      const response = await authAPI.regenerateRecoveryCodes(code.trim());
+      setRecoveryCodes(response.data.recoveryCodes);
+      reset();
+      toast.success("New recovery codes created");
+      await fetchStatus();
+    }, "Failed to create new recovery codes");
+
+  const handleDisable = () =>
+    run(async () => {
+      const trimmed = code.trim();
+      // Recovery codes contain a dash; authenticator codes are 6 digits
+      await authAPI.disableTwoFactor({
+        password,
+        ...(trimmed.includes("-") ? { recoveryCode: trimmed } : { code: trimmed }),
+      });
+      setRecoveryCodes(null);
+      reset();
+      toast.success("Two-factor authentication disabled");
+      await fetchStatus();
+    }, "Failed to disable two-factor authentication");
+
+  if (!status) {
+    return (
+      <div className="mt-6 bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6 flex justify-center">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-6 bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+      <div className="flex items-center gap-2 mb-2">
+        {status.enabled ? (
+          <ShieldCheck className="w-5 h-5 text-green-500" />
+        ) : (
+          <ShieldOff className="w-5 h-5 text-gray-400" />
+        )}
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white">
+          Two-Factor Authentication
+        </h2>
+      </div>
+
+      {status.enabled ? (
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+          On since {format(new Date(status.enabledAt), "MMM d, yyyy")}.{" "}
+          {status.recoveryCodesRemaining} recovery code
+          {status.recoveryCodesRemaining === 1 ? "" : "s"} left.
+          {status.required && " Your role requires two-factor authentication."}
+        </p>
+      ) : (
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+          {status.allowed
+            ? "Add a second step to signing in: a code from an authenticator app on your phone."
+            : "Two-factor authentication is not available on this site."}
+        </p>
+      )}
+
+      {recoveryCodes && (
+        <div className="mb-6">
+          <RecoveryCodes codes={recoveryCodes} />
+          <button
+            type="button"
+            onClick={() => setRecoveryCodes(null)}
+            className={`mt-3 ${secondaryButton}`}
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      {/* Setting up */}
+      {!status.enabled && status.allowed && (
+        setup ? (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Scan this QR code with an authenticator app, then enter the
+              6-digit code it shows.
+            </p>
+            <img
+              src={setup.qrCode}
+              alt="QR code for your authenticator app"
+              className="w-44 h-44 rounded-lg bg-white p-2 border border-gray-200"
+            />
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Can't scan it? Enter this key instead:{" "}
+              <span className="font-mono text-sm text-gray-800 dark:text-white break-all">
+                {setup.secret}
+              </span>
+            </p>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              className={`${inputClass} max-w-xs font-mono tracking-widest`}
+            />
+            <div className="flex gap-2">
+              <button onClick={handleEnable} disabled={busy || !code.trim()} className={primaryButton}>
+                {busy && <Loader2 className="w-4 h-4 animate-spin" />}
+                Turn on
+              </button>
+              <button
+                onClick={() => {
+                  setSetup(null);
+                  reset();
+                }}
+                className={secondaryButton}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button onClick={handleSetup} disabled={busy} className={primaryButton}>
+            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Smartphone className="w-4 h-4" />}
+            Set up authenticator app
+          </button>
+        )
+      )}
+
+      {/* Managing */}
+      {status.enabled && (
+        action ? (
+          <div className="space-y-4">
+            {action === "disable" && (
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Current password"
+                className={`${inputClass} max-w-xs`}
+              />
+            )}
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder={action === "disable" ? "Authenticator or recovery code" : "Authenticator code"}
+              className={`${inputClass} max-w-xs font-mono`}
+            />
+            <div className="flex gap-2">
+              <button
+                onClick={action === "disable" ? handleDisable : handleRegenerate}
+                disabled={busy || !code.trim()}
+                className={
+                  action === "disable"
+                    ? "flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 transition-colors"
+                    : primaryButton
+                }
+              >
+                {busy && <Loader2 className="w-4 h-4 animate-spin" />}
+                {action === "disable" ? "Turn off" : "Create new codes"}
+              </button>
+              <button onClick={reset} className={secondaryButton}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => setAction("regenerate")} className={secondaryButton}>
+              <KeyRound className="w-4 h-4" />
+              New recovery codes
+            </button>
+            {!status.required && (
+              <button
+                onClick={() => setAction("disable")}
+                className="flex items-center gap-2 px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+              >
+                <ShieldOff className="w-4 h-4" />
+                Turn off
+              </button>
+            )}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,4 +1,5 @@
 import { useState, useCallback, memo, useRef } from "react";
+import { Link } from "react-router-dom";
 import {
   MessageCircle,
   Send,
@@ -10,27 +11,55 @@ import {
   Check,
   X,
   Award,
+  Flag,
+  ChevronDown,
 } from "lucide-react";
 import Avatar from "../common/Avatar";
 import Button from "../common/Button";
+import MentionTextarea from "../common/MentionTextarea";
 import { formatDistanceToNow } from "date-fns";
 import { motion, AnimatePresence } from "framer-motion";
 import toast from "react-hot-toast";
 
+// Deeper replies line up with their parent instead of indenting further
+const MAX_NESTED_DEPTH = 4;
+
+const MENTION_PATTERN = /(^|[^\w@.-])(@[a-zA-Z0-9_-]{3,30})/g;
+
+// Turn @username mentions in comment text into profile links
+const renderWithMentions = (content) =>
+  content.split(MENTION_PATTERN).map((part, index) =>
+    // split() puts the captured mention at every third position
+    index % 3 === 2 ? (
+      <Link
+        key={index}
+        to={`/u/${part.slice(1).toLowerCase()}`}
+        className="font-medium text-primary-600 dark:text-primary-400 hover:underline"
+      >
+        {part}
+      </Link>
+    ) : (
+      part
+    )
+  );
+
 // Separate CommentItem component to prevent re-renders
 const CommentItem = memo(
   ({
     comment,
-    isReply,
+    depth,
     user,
     postAuthorId,
-    isReplying,
+    replyingToId,
     onStartReply,
     onCancelReply,
     onSubmitReply,
     onEdit,
     onDelete,
     onLike,
+    onReport,
+    onLoadReplies,
+    loadingReplies,
     editingCommentId,
     onSaveEdit,
     onCancelEdit,
@@ -42,18 +71,66 @@ const CommentItem = memo(
       comment.author?._id === postAuthorId ||
       comment.author?._id?.toString() === postAuthorId?.toString();
     const isEditing = editingCommentId === comment._id;
+    const isReplying = replyingToId === comment._id;
+    const replies = comment.replies || [];
+    const hiddenRepliesCount = Math.max(
+      (comment.repliesCount || 0) - replies.length,
+      0
+    );
     const [showActions, setShowActions] = useState(false);
 
     // Use refs for uncontrolled inputs to prevent cursor jumping
     const replyInputRef = useRef(null);
     const editInputRef = useRef(null);
 
+    const repliesBlock = (replies.length > 0 || hiddenRepliesCount > 0) && (
+      <div className="mt-4 space-y-4">
+        {replies.map((reply) => (
+          <CommentItem
+            key={reply._id}
+            comment={reply}
+            depth={depth + 1}
+            user={user}
+            postAuthorId={postAuthorId}
+            replyingToId={replyingToId}
+            onStartReply={onStartReply}
+            onCancelReply={onCancelReply}
+            onSubmitReply={onSubmitReply}
+            onEdit={onEdit}
+            onDelete={onDelete}
+            onLike={onLike}
+            onReport={onReport}
+            onLoadReplies={onLoadReplies}
+            loadingReplies={loadingReplies}
+            editingCommentId={editingCommentId}
+            onSaveEdit={onSaveEdit}
+            onCancelEdit={onCancelEdit}
+            submitting={submitting}
+          />
+        ))}
+
+        {hiddenRepliesCount > 0 && (
+          <button
+            onClick={() => onLoadReplies?.(comment._id)}
+            disabled={loadingReplies?.[comment._id]}
+            className="flex items-center gap-1 ml-2 text-xs font-medium text-primary-600 dark:text-primary-400 hover:underline disabled:opacity-50"
+          >
+            <ChevronDown className="w-3 h-3" />
+            {loadingReplies?.[comment._id]
+              ? "Loading replies..."
+              : `View ${hiddenRepliesCount} more ${
+                  hiddenRepliesCount === 1 ? "reply" : "replies"
+                }`}
+          </button>
+        )}
+      </div>
+    );
+
     return (
       <motion.div
         initial={{ opacity: 0, y: 10 }}
         animate={{ opacity: 1, y: 0 }}
         exit={{ opacity: 0, y: -10 }}
-        className={`${isReply ? "ml-12" : ""}`}
       >
         <div className="flex gap-3 group">
           <Avatar
@@ -67,9 +144,18 @@ const CommentItem = memo(
             <div className="bg-gray-50 dark:bg-gray-800 rounded-2xl px-4 py-3 relative">
               <div className="flex items-center justify-between mb-1">
                 <div className="flex items-center gap-2 flex-wrap">
-                  <span className="font-semibold text-gray-900 dark:text-white text-sm">
-                    {comment.author?.firstName} {comment.author?.lastName}
-                  </span>
+                  {comment.author?.username ? (
+                    <Link
+                      to={`/u/${comment.author.username}`}
+                      className="font-semibold text-gray-900 dark:text-white text-sm hover:underline"
+                    >
+                      {comment.author?.firstName} {comment.author?.lastName}
+                    </Link>
+                  ) : (
+                    <span className="font-semibold text-gray-900 dark:text-white text-sm">
+                      {comment.author?.firstName} {comment.author?.lastName}
+                    </span>
+                  )}
                   {isPostAuthor && (
                     <span className="inline-flex items-center gap-1 px-2 py-0.5 bg-primary-100 dark:bg-primary-900/30 text-primary-700 dark:text-primary-400 text-xs font-medium rounded-full">
                       <Award className="w-3 h-3" />
@@ -122,7 +208,7 @@ const CommentItem = memo(
 
               {isEditing ? (
                 <div className="space-y-2">
-                  <textarea
+                  <MentionTextarea
                     ref={editInputRef}
                     defaultValue={comment.content}
                     className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white resize-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
@@ -150,7 +236,7 @@ const CommentItem = memo(
                 </div>
               ) : (
                 <p className="text-gray-700 dark:text-gray-300 text-sm leading-relaxed whitespace-pre-wrap">
-                  {comment.content}
+                  {renderWithMentions(comment.content)}
                 </p>
               )}
             </div>
@@ -185,16 +271,24 @@ const CommentItem = memo(
                   </motion.span>
                 </motion.button>
 
-                {!isReply && (
-                  <motion.button
-                    whileHover={{ scale: 1.1, x: 2 }}
-                    whileTap={{ scale: 0.9 }}
-                    onClick={() => onStartReply(comment._id)}
-                    className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+                <motion.button
+                  whileHover={{ scale: 1.1, x: 2 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={() => onStartReply(comment._id)}
+                  className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+                >
+                  <Reply className="w-3 h-3" />
+                  Reply
+                </motion.button>
+
+                {user && !isCommentAuthor && onReport && (
+                  <button
+                    onClick={() => onReport(comment)}
+                    className="flex items-center gap-1 text-xs text-gray-400 dark:text-gray-500 hover:text-red-600 dark:hover:text-red-400 transition-colors opacity-0 group-hover:opacity-100"
                   >
-                    <Reply className="w-3 h-3" />
-                    Reply
-                  </motion.button>
+                    <Flag className="w-3 h-3" />
+                    Report
+                  </button>
                 )}
               </div>
             )}
@@ -214,7 +308,7 @@ const CommentItem = memo(
                     size="sm"
                   />
                   <div className="flex-1">
-                    <textarea
+                    <MentionTextarea
                       ref={replyInputRef}
                       placeholder="Write a reply..."
                       className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white resize-none focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
@@ -247,32 +341,11 @@ const CommentItem = memo(
               </motion.div>
             )}
 
-            {comment.replies && comment.replies.length > 0 && (
-              <div className="mt-4 space-y-4">
-                {comment.replies.map((reply) => (
-                  <CommentItem
-                    key={reply._id}
-                    comment={reply}
-                    isReply={true}
-                    user={user}
-                    postAuthorId={postAuthorId}
-                    isReplying={false}
-                    onStartReply={() => {}}
-                    onCancelReply={() => {}}
-                    onSubmitReply={() => {}}
-                    onEdit={onEdit}
-                    onDelete={onDelete}
-                    onLike={onLike}
-                    editingCommentId={editingCommentId}
-                    onSaveEdit={onSaveEdit}
-                    onCancelEdit={onCancelEdit}
-                    submitting={submitting}
-                  />
-                ))}
-              </div>
-            )}
+            {depth < MAX_NESTED_DEPTH && repliesBlock}
           </div>
         </div>
+
+        {depth >= MAX_NESTED_DEPTH && repliesBlock}
       </motion.div>
     );
   }
@@ -284,12 +357,22 @@ const CommentSection = ({
   postId,
   postAuthorId,
   comments = [],
+  totalCount,
+  sort = "newest",
+  onSortChange,
+  loading = false,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+  loadingReplies,
+  onLoadReplies,
   user,
   isAuthenticated,
   onAddComment,
   onDeleteComment,
   onEditComment,
   onLikeComment,
+  onReportComment,
   onLoginPrompt,
 }) => {
   const [replyingTo, setReplyingTo] = useState(null);
@@ -411,8 +494,20 @@ const CommentSection = ({
       <div className="flex items-center gap-3 mb-8">
         <MessageCircle className="w-6 h-6 text-primary-600" />
         <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
-          Comments ({comments.length})
+          Comments ({totalCount ?? comments.length})
         </h2>
+        {onSortChange && (
+          <select
+            value={sort}
+            onChange={(e) => onSortChange(e.target.value)}
+            aria-label="Sort comments"
+            className="ml-auto px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-900 text-gray-700 dark:text-gray-300 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            <option value="newest">Newest</option>
+            <option value="oldest">Oldest</option>
+            <option value="top">Top</option>
+          </select>
+        )}
       </div>
 
       <div className="mb-10">
@@ -426,7 +521,7 @@ const CommentSection = ({
                 size="md"
               />
               <div className="flex-1 space-y-3">
-                <textarea
+                <MentionTextarea
                   ref={mainCommentRef}
                   placeholder="Share your thoughts..."
                   className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-xl bg-white dark:bg-gray-900 text-gray-900 dark:text-white resize-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all"
@@ -463,21 +558,28 @@ const CommentSection = ({
 
       <div className="space-y-8">
         <AnimatePresence>
-          {comments.length > 0 ? (
+          {loading ? (
+            <div className="text-center py-16 text-gray-500 dark:text-gray-400">
+              Loading comments...
+            </div>
+          ) : comments.length > 0 ? (
             comments.map((comment) => (
               <CommentItem
                 key={comment._id}
                 comment={comment}
-                isReply={false}
+                depth={0}
                 user={user}
                 postAuthorId={postAuthorId}
-                isReplying={replyingTo === comment._id}
+                replyingToId={replyingTo}
                 onStartReply={handleStartReply}
                 onCancelReply={handleCancelReply}
                 onSubmitReply={handleSubmitReply}
                 onEdit={handleStartEdit}
                 onDelete={handleDelete}
                 onLike={onLikeComment}
+                onReport={onReportComment}
+                onLoadReplies={onLoadReplies}
+                loadingReplies={loadingReplies}
                 editingCommentId={editingComment}
                 onSaveEdit={handleSaveEdit}
                 onCancelEdit={handleCancelEdit}
@@ -493,6 +595,18 @@ const CommentSection = ({
             </div>
           )}
         </AnimatePresence>
+
+        {hasMore && !loading && (
+          <div className="flex justify-center">
+            <Button
+              variant="secondary"
+              onClick={onLoadMore}
+              disabled={loadingMore}
+            >
+              {loadingMore ? "Loading..." : "Load more comments"}
+            </Button>
+          </div>
+        )}
       </div>
     </div>
   );
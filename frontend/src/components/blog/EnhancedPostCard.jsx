@@ -26,6 +26,10 @@ import {
 } from "../../utils/blogUtils";
 import { getPostCardConfig } from "../../utils/roleConfig";
 
+// Styles the <mark> tags in search highlights
+const HIGHLIGHT_CLASSES =
+  "[&_mark]:bg-yellow-200 [&_mark]:text-inherit [&_mark]:rounded-sm [&_mark]:px-0.5 dark:[&_mark]:bg-yellow-500/30";
+
 /**
  * Enhanced Post Card Component with Role-Based Features
  *
@@ -225,6 +229,29 @@ const EnhancedPostCard = ({
     );
   };
 
+  // Search results carry server-escaped HTML with the matches marked
+  const highlight = post.searchHighlight;
+
+  const renderTitle = () =>
+    highlight?.title ? (
+      <span
+        className={HIGHLIGHT_CLASSES}
+        dangerouslySetInnerHTML={{ __html: highlight.title }}
+      />
+    ) : (
+      post.title
+    );
+
+  const renderExcerpt = () =>
+    highlight?.snippet ? (
+      <span
+        className={HIGHLIGHT_CLASSES}
+        dangerouslySetInnerHTML={{ __html: highlight.snippet }}
+      />
+    ) : (
+      post.excerpt
+    );
+
   // Render rejection notice for authors
   const renderRejectionNotice = () => {
     if (!cardConfig.isOwner || post.status !== "rejected") return null;
@@ -389,11 +416,11 @@ const EnhancedPostCard = ({
             </div>
 
             <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-2 group-hover:text-primary-600 dark:group-hover:text-primary-400 transition-colors line-clamp-2">
-              {post.title}
+              {renderTitle()}
             </h3>
 
             <p className="text-gray-600 dark:text-gray-400 mb-4 line-clamp-2">
-              {post.excerpt}
+              {renderExcerpt()}
             </p>
 
             {renderRejectionNotice()}
@@ -601,11 +628,11 @@ const EnhancedPostCard = ({
         {/* Content */}
         <div className="p-5 flex flex-col flex-grow">
           <h3 className="text-lg font-bold text-gray-900 dark:text-white mb-2 group-hover:text-primary-600 dark:group-hover:text-primary-400 transition-colors line-clamp-2 min-h-[3.5rem]">
-            {post.title}
+            {renderTitle()}
           </h3>
 
           <p className="text-sm text-gray-600 dark:text-gray-400 mb-4 line-clamp-2 min-h-[2.5rem] flex-grow">
-            {post.excerpt}
+            {renderExcerpt()}
           </p>
 
           {renderRejectionNotice()}
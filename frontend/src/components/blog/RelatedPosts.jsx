@@ -0,0 +1,103 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { BookOpen, Eye, Heart } from "lucide-react";
+import { format } from "date-fns";
+import { postsAPI } from "../../api/posts";
+import { formatNumber } from "../../utils/blogUtils";
+
+/**
+ * RelatedPosts Component
+ *
+ * "Read next" suggestions under a post: published posts ranked by shared
+ * tags, category, authors and content. Renders nothing when there are none
+ * or they fail to load.
+ */
+const RelatedPosts = ({ postId, limit = 3 }) => {
+  const [posts, setPosts] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchRelated = async () => {
+      try {
+        const response = await postsAPI.getRelatedPosts(postId, { limit });
+        if (!cancelled) setPosts(response.data?.posts || []);
+      } catch (error) {
+        console.error("Error fetching related posts:", error);
+        if (!cancelled) setPosts([]);
+      }
+    };
+
+    fetchRelated();
+    return () => {
+      cancelled = true;
+    };
+  }, [postId, limit]);
+
+  if (posts.length === 0) return null;
+
+  return (
+    <motion.section
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.15 }}
+      className="mt-8 bg-white dark:bg-gray-800 rounded-3xl shadow-xl p-6 md:p-8"
+    >
+      <div className="flex items-center gap-2 mb-6">
+        <BookOpen className="w-5 h-5 text-primary-500" />
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white">
+          Read Next
+        </h2>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-3">
+        {posts.map((post) => (
+          <Link
+            key={post._id}
+            to={`/posts/${post._id}`}
+            className="group flex flex-col rounded-2xl border border-gray-100 dark:border-gray-700 overflow-hidden hover:shadow-lg transition-shadow"
+          >
+            {post.featuredImage && (
+              <img
+                src={post.featuredImage}
+                alt={post.title}
+                className="h-32 w-full object-cover"
+                loading="lazy"
+              />
+            )}
+            <div className="flex flex-1 flex-col p-4">
+              {post.category && (
+                <span className="text-xs font-medium uppercase tracking-wide text-primary-600 dark:text-primary-400 mb-1">
+                  {post.category.replace("-", " ")}
+                </span>
+              )}
+              <h3 className="font-semibold text-gray-900 dark:text-white group-hover:text-primary-600 dark:group-hover:text-primary-400 transition-colors line-clamp-2">
+                {post.title}
+              </h3>
+              {post.excerpt && (
+                <p className="mt-2 text-sm text-gray-600 dark:text-gray-400 line-clamp-2">
+                  {post.excerpt}
+                </p>
+              )}
+              <div className="mt-auto pt-3 flex items-center gap-3 text-xs text-gray-500 dark:text-gray-400">
+                {post.publishedAt && (
+                  <span>{format(new Date(post.publishedAt), "MMM d, yyyy")}</span>
+                )}
+                <span className="flex items-center gap-1">
+                  <Eye className="w-3 h-3" />
+                  {formatNumber(post.views || 0)}
+                </span>
+                <span className="flex items-center gap-1">
+                  <Heart className="w-3 h-3" />
+                  {formatNumber(post.likesCount || 0)}
+                </span>
+              </div>
+            </div>
+          </Link>
+        ))}
+      </div>
+    </motion.section>
+  );
+};
+
+export default RelatedPosts;
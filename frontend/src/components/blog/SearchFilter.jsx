@@ -14,9 +14,14 @@ import {
   SlidersHorizontal,
   LayoutGrid,
   LayoutList,
+  Sparkles,
+  Calendar,
+  User,
 } from "lucide-react";
 import Badge from "../common/Badge";
 
+const RELEVANCE_OPTION = { id: "relevance", label: "Best Match", icon: Sparkles };
+
 const SORT_OPTIONS = [
   { id: "latest", label: "Latest", icon: Clock },
   { id: "popular", label: "Most Popular", icon: TrendingUp },
@@ -32,11 +37,47 @@ const STATUS_OPTIONS = [
   { id: "rejected", label: "Rejected" },
 ];
 
+const DATE_OPTIONS = [
+  { id: "week", label: "Past week" },
+  { id: "month", label: "Past month" },
+  { id: "year", label: "Past year" },
+];
+
+/**
+ * A row of toggleable facet values with result counts
+ */
+const FacetGroup = ({ title, icon: Icon, items, isSelected, onToggle }) => (
+  <div>
+    <p className="flex items-center gap-1.5 text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">
+      <Icon className="w-3.5 h-3.5" />
+      {title}
+    </p>
+    <div className="flex flex-wrap gap-2">
+      {items.map((item) => (
+        <button
+          key={item.value}
+          onClick={() => onToggle(item.value)}
+          className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full text-sm transition-colors ${
+            isSelected(item.value)
+              ? "bg-primary-100 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400 font-medium"
+              : "bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-600"
+          }`}
+        >
+          <span>{item.label}</span>
+          <span className="text-xs opacity-70">{item.count}</span>
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
 /**
  * SearchFilter Component
  *
  * Provides search bar and filter controls for the blog page
- * with GSAP animations and role-based features
+ * with GSAP animations and role-based features.
+ * While searching, `facets` from the search API add result counts and
+ * author/date refinements, and results can be sorted by relevance.
  */
 const SearchFilter = ({
   searchQuery = "",
@@ -49,6 +90,7 @@ const SearchFilter = ({
   showStatusFilter = false,
   viewMode = "grid",
   onViewModeChange,
+  facets = null,
 }) => {
   const [isFilterOpen, setIsFilterOpen] = useState(false);
   const [isCategoryOpen, setIsCategoryOpen] = useState(false);
@@ -163,19 +205,51 @@ const SearchFilter = ({
     }
   };
 
+  // Handle single-choice facet toggle (author, date)
+  const handleFacetToggle = (key, value) => {
+    if (onFilterChange) {
+      onFilterChange({ [key]: filters[key] === value ? null : value });
+    }
+  };
+
+  // Relevance only makes sense for a search
+  const sortOptions = searchQuery
+    ? [RELEVANCE_OPTION, ...SORT_OPTIONS]
+    : SORT_OPTIONS;
+  const defaultSort = searchQuery ? "relevance" : "latest";
+
+  // Counts come from the search results while searching
+  const categoryOptions = facets
+    ? facets.categories.map((c) => ({ category: c.value, count: c.count }))
+    : categories;
+
+  const dateFacets = facets
+    ? DATE_OPTIONS.map((option) => ({
+        value: option.id,
+        label: option.label,
+        count: facets.dates.find((d) => d.value === option.id)?.count || 0,
+      })).filter((item) => item.count > 0 || filters.date === item.value)
+    : [];
+  const authorFacets = facets ? facets.authors : [];
+  const tagFacets = facets
+    ? facets.tags.map((t) => ({ ...t, label: `#${t.value}` }))
+    : [];
+
   // Check if any filters are active
   const hasActiveFilters =
     filters.category ||
     (filters.tags && filters.tags.length > 0) ||
     filters.status ||
-    filters.sortBy !== "latest";
+    filters.author ||
+    filters.date ||
+    (filters.sortBy && filters.sortBy !== defaultSort);
 
   // Get current sort label
   const currentSort =
-    SORT_OPTIONS.find((s) => s.id === filters.sortBy) || SORT_OPTIONS[0];
+    sortOptions.find((s) => s.id === filters.sortBy) || sortOptions[0];
 
   // Get current category label
-  const currentCategory = categories.find(
+  const currentCategory = categoryOptions.find(
     (c) => c.category === filters.category
   );
 
@@ -293,7 +367,7 @@ const SearchFilter = ({
                 >
                   All Categories
                 </button>
-                {categories.map((cat) => (
+                {categoryOptions.map((cat) => (
                   <button
                     key={cat.category}
                     onClick={() => handleCategorySelect(cat.category)}
@@ -341,13 +415,13 @@ const SearchFilter = ({
                 exit={{ opacity: 0, y: -10 }}
                 className="absolute top-full left-0 mt-2 w-48 bg-white dark:bg-gray-800 rounded-xl shadow-xl border border-gray-200 dark:border-gray-700 z-50 overflow-hidden"
               >
-                {SORT_OPTIONS.map((option) => (
+                {sortOptions.map((option) => (
                   <button
                     key={option.id}
                     onClick={() => handleSortSelect(option.id)}
                     className={`w-full px-4 py-3 text-left hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors flex items-center gap-2 text-sm ${
                       filters.sortBy === option.id ||
-                      (!filters.sortBy && option.id === "latest")
+                      (!filters.sortBy && option.id === defaultSort)
                         ? "bg-primary-50 dark:bg-primary-900/30 text-primary-600 dark:text-primary-400 font-medium"
                         : "text-gray-700 dark:text-gray-300"
                     }`}
@@ -425,9 +499,45 @@ const SearchFilter = ({
         )}
       </div>
 
+      {/* Search Facets */}
+      {facets &&
+        (dateFacets.length > 0 ||
+          authorFacets.length > 0 ||
+          tagFacets.length > 0) && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-4 space-y-4">
+            {dateFacets.length > 0 && (
+              <FacetGroup
+                title="Published"
+                icon={Calendar}
+                items={dateFacets}
+                isSelected={(value) => filters.date === value}
+                onToggle={(value) => handleFacetToggle("date", value)}
+              />
+            )}
+            {authorFacets.length > 0 && (
+              <FacetGroup
+                title="Authors"
+                icon={User}
+                items={authorFacets}
+                isSelected={(value) => filters.author === value}
+                onToggle={(value) => handleFacetToggle("author", value)}
+              />
+            )}
+            {tagFacets.length > 0 && (
+              <FacetGroup
+                title="Tags"
+                icon={Tag}
+                items={tagFacets}
+                isSelected={(value) => filters.tags?.includes(value)}
+                onToggle={handleTagToggle}
+              />
+            )}
+          </div>
+        )}
+
       {/* Extended Filter Panel - Tags */}
       <AnimatePresence>
-        {isFilterOpen && tags.length > 0 && (
+        {isFilterOpen && !facets && tags.length > 0 && (
           <motion.div
             ref={filterPanelRef}
             initial={{ opacity: 0, height: 0 }}
@@ -473,16 +583,41 @@ const SearchFilter = ({
               <X className="w-3 h-3" />
             </Badge>
           )}
-          {filters.sortBy && filters.sortBy !== "latest" && (
+          {filters.sortBy && filters.sortBy !== defaultSort && (
             <Badge
               variant="secondary"
               className="flex items-center gap-1 cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-600"
-              onClick={() => onFilterChange?.({ sortBy: "latest" })}
+              onClick={() => onFilterChange?.({ sortBy: defaultSort })}
             >
               <span>{currentSort.label}</span>
               <X className="w-3 h-3" />
             </Badge>
           )}
+          {filters.author && (
+            <Badge
+              variant="secondary"
+              className="flex items-center gap-1 cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-600"
+              onClick={() => onFilterChange?.({ author: null })}
+            >
+              <span>
+                {authorFacets.find((a) => a.value === filters.author)?.label ||
+                  "Author"}
+              </span>
+              <X className="w-3 h-3" />
+            </Badge>
+          )}
+          {filters.date && (
+            <Badge
+              variant="secondary"
+              className="flex items-center gap-1 cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-600"
+              onClick={() => onFilterChange?.({ date: null })}
+            >
+              <span>
+                {DATE_OPTIONS.find((d) => d.id === filters.date)?.label}
+              </span>
+              <X className="w-3 h-3" />
+            </Badge>
+          )}
           {filters.status && (
             <Badge
               variant="secondary"
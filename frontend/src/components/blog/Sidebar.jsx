@@ -14,6 +14,7 @@ import {
   Users,
   Calendar,
   MessageCircle,
+  Hash,
 } from "lucide-react";
 import Avatar from "../common/Avatar";
 import { formatNumber } from "../../utils/blogUtils";
@@ -34,14 +35,17 @@ const CATEGORY_ICONS = {
 /**
  * Sidebar Component
  *
- * Displays trending posts and categories for content discovery
+ * Displays trending posts, trending tags and categories for content discovery
  * with GSAP stagger animations and mobile drawer support
  */
 const Sidebar = ({
   trendingPosts = [],
+  trendingTags = [],
   categories = [],
   selectedCategory = null,
   onCategorySelect,
+  selectedTag = null,
+  onTagSelect,
   isMobile = false,
   trendingLoading = false,
   categoriesLoading = false,
@@ -180,6 +184,35 @@ const Sidebar = ({
         </div>
       </div>
 
+      {/* Trending Tags Section */}
+      {trendingTags.length > 0 && (
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-5 shadow-sm border border-gray-100 dark:border-gray-700">
+          <div className="flex items-center gap-2 mb-4">
+            <Hash className="w-5 h-5 text-primary-500" />
+            <h3 className="font-semibold text-gray-900 dark:text-white">
+              Trending Tags
+            </h3>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {trendingTags.map(({ tag, posts }) => (
+              <button
+                key={tag}
+                onClick={() => onTagSelect?.(selectedTag === tag ? null : tag)}
+                title={`${posts} trending ${posts === 1 ? "post" : "posts"}`}
+                className={`px-3 py-1 text-xs font-medium rounded-full transition-colors ${
+                  selectedTag === tag
+                    ? "bg-primary-500 text-white"
+                    : "bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-primary-50 dark:hover:bg-primary-900/30 hover:text-primary-600 dark:hover:text-primary-400"
+                }`}
+              >
+                #{tag}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Categories Section */}
       <div className="bg-white dark:bg-gray-800 rounded-2xl p-5 shadow-sm border border-gray-100 dark:border-gray-700">
         <div className="flex items-center gap-2 mb-4">
@@ -0,0 +1,298 @@
+/**
+ * ============================================================================
+ * REVISION HISTORY PANEL COMPONENT
+ * ============================================================================
+ * Browse a post's revisions, compare them word by word and restore one
+ */
+
+import { useState, useEffect } from "react";
+import {
+  History,
+  RotateCcw,
+  GitCompare,
+  Loader2,
+  X,
+  Plus,
+  Minus,
+} from "lucide-react";
+import toast from "react-hot-toast";
+import { formatDistanceToNow } from "date-fns";
+import { collaborationAPI } from "../../api/collaboration";
+
+const DIFF_STYLES = {
+  insert:
+    "bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300",
+  delete:
+    "bg-red-100 text-red-800 line-through dark:bg-red-900/40 dark:text-red-300",
+  equal: "",
+};
+
+const DiffText = ({ parts }) => (
+  <p className="whitespace-pre-wrap text-sm leading-relaxed text-gray-700 dark:text-gray-300">
+    {parts.map((part, index) => (
+      <span key={index} className={DIFF_STYLES[part.type]}>
+        {part.value}
+      </span>
+    ))}
+  </p>
+);
+
+const RevisionHistoryPanel = ({ postId, canRestore = false, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [compareToCurrent, setCompareToCurrent] = useState(false);
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    if (postId) fetchRevisions();
+  }, [postId]);
+
+  useEffect(() => {
+    if (selected) fetchDiff();
+  }, [selected, compareToCurrent]);
+
+  const fetchRevisions = async () => {
+    try {
+      setLoading(true);
+      const response = await collaborationAPI.getRevisions(postId);
+      setRevisions(response.data.data.revisions);
+    } catch (error) {
+      console.error("Error fetching revisions:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDiff = async () => {
+    try {
+      setDiffLoading(true);
+      // Either what this revision changed, or how it differs from the current version
+      const params = compareToCurrent
+        ? { from: selected._id, to: "current" }
+        : { to: selected._id };
+      const response = await collaborationAPI.getRevisionDiff(postId, params);
+      setDiff(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load changes");
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!selected) return;
+    if (
+      !window.confirm(
+        "Restore this version? The current content will be kept in the history.",
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setRestoring(true);
+      const response = await collaborationAPI.restoreRevision(
+        postId,
+        selected._id,
+      );
+      toast.success("Revision restored");
+      onRestored?.(response.data.post);
+      setSelected(null);
+      setDiff(null);
+      fetchRevisions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to restore revision");
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const closeDiff = () => {
+    setSelected(null);
+    setDiff(null);
+    setCompareToCurrent(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center p-8">
+        <Loader2 className="w-6 h-6 animate-spin text-blue-500" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+      {/* Header */}
+      <div className="flex items-center gap-2 p-4 border-b border-gray-200 dark:border-gray-700">
+        <History className="w-5 h-5 text-blue-600" />
+        <h3 className="font-semibold text-gray-900 dark:text-white">
+          Revision History
+        </h3>
+        <span className="px-2 py-0.5 bg-gray-100 dark:bg-gray-700 rounded-full text-xs text-gray-600 dark:text-gray-400">
+          {revisions.length}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-5">
+        {/* Revision list */}
+        <div className="lg:col-span-2 max-h-[28rem] overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+          {revisions.length === 0 && (
+            <p className="p-6 text-sm text-center text-gray-500">
+              No revisions yet. Saved changes will appear here.
+            </p>
+          )}
+          {revisions.map((revision) => (
+            <button
+              key={revision._id}
+              type="button"
+              onClick={() => setSelected(revision)}
+              className={`w-full text-left p-4 transition-colors hover:bg-gray-50 dark:hover:bg-gray-700/50 ${
+                selected?._id === revision._id
+                  ? "bg-blue-50 dark:bg-blue-900/20"
+                  : ""
+              }`}
+            >
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-medium text-sm text-gray-900 dark:text-white">
+                  {revision.editedBy
+                    ? `${revision.editedBy.firstName} ${revision.editedBy.lastName}`
+                    : "Unknown user"}
+                </span>
+                <span className="text-xs text-gray-500 whitespace-nowrap">
+                  {formatDistanceToNow(new Date(revision.editedAt), {
+                    addSuffix: true,
+                  })}
+                </span>
+              </div>
+              {revision.changeNote && (
+                <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+                  {revision.changeNote}
+                </p>
+              )}
+              <div className="mt-2 flex items-center gap-3 text-xs">
+                {revision.stats && (
+                  <>
+                    <span className="flex items-center gap-0.5 text-green-600">
+                      <Plus className="w-3 h-3" />
+                      {revision.stats.added}
+                    </span>
+                    <span className="flex items-center gap-0.5 text-red-600">
+                      <Minus className="w-3 h-3" />
+                      {revision.stats.removed}
+                    </span>
+                  </>
+                )}
+                {revision.titleChanged && (
+                  <span className="text-amber-600">Title changed</span>
+                )}
+                {revision.restoredFrom && (
+                  <span className="flex items-center gap-1 text-purple-600">
+                    <RotateCcw className="w-3 h-3" />
+                    Restore
+                  </span>
+                )}
+              </div>
+            </button>
+          ))}
+        </div>
+
+        {/* Diff viewer */}
+        <div className="lg:col-span-3 border-t lg:border-t-0 lg:border-l border-gray-200 dark:border-gray-700 p-4">
+          {!selected && (
+            <div className="h-full flex flex-col items-center justify-center py-10 text-gray-500">
+              <GitCompare className="w-8 h-8 mb-2" />
+              <p className="text-sm">Select a revision to see what changed</p>
+            </div>
+          )}
+
+          {selected && (
+            <div className="space-y-4">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                  <input
+                    type="checkbox"
+                    checked={compareToCurrent}
+                    onChange={(e) => setCompareToCurrent(e.target.checked)}
+                    className="rounded border-gray-300"
+                  />
+                  Compare with current version
+                </label>
+                <div className="flex items-center gap-2">
+                  {canRestore && (
+                    <button
+                      type="button"
+                      onClick={handleRestore}
+                      disabled={restoring}
+                      className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all text-sm font-medium disabled:opacity-50"
+                    >
+                      {restoring ? (
+                        <Loader2 className="w-4 h-4 animate-spin" />
+                      ) : (
+                        <RotateCcw className="w-4 h-4" />
+                      )}
+                      Restore
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={closeDiff}
+                    className="p-1.5 text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+                    title="Close"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+
+              {diffLoading || !diff ? (
+                <div className="flex items-center justify-center py-10">
+                  <Loader2 className="w-6 h-6 animate-spin text-blue-500" />
+                </div>
+              ) : (
+                <>
+                  <div className="text-xs text-gray-500">
+                    {diff.from
+                      ? `${diff.from.changeNote || "Revision"} → ${
+                          diff.to._id === "current"
+                            ? "Current version"
+                            : diff.to.changeNote || "Revision"
+                        }`
+                      : "First recorded version"}
+                    {" · "}
+                    <span className="text-green-600">
+                      +{diff.content.stats.added}
+                    </span>{" "}
+                    <span className="text-red-600">
+                      -{diff.content.stats.removed}
+                    </span>{" "}
+                    words
+                  </div>
+                  <div>
+                    <h4 className="text-xs font-medium uppercase text-gray-500 mb-1">
+                      Title
+                    </h4>
+                    <DiffText parts={diff.title.parts} />
+                  </div>
+                  <div>
+                    <h4 className="text-xs font-medium uppercase text-gray-500 mb-1">
+                      Content
+                    </h4>
+                    <div className="max-h-80 overflow-y-auto rounded-lg bg-gray-50 dark:bg-gray-900/50 p-3">
+                      <DiffText parts={diff.content.parts} />
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistoryPanel;
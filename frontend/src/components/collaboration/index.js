@@ -1,3 +1,4 @@
 export { default as CollaboratorManager } from './CollaboratorManager';
 export { default as CollaborationInvitations } from './CollaborationInvitations';
 export { default as ReviewPanel } from './ReviewPanel';
+export { default as RevisionHistoryPanel } from './RevisionHistoryPanel';
@@ -0,0 +1,65 @@
+import PropTypes from "prop-types";
+import Avatar from "./Avatar";
+
+/**
+ * Dropdown of users to @mention, driven by useMentionAutocomplete
+ */
+const MentionSuggestions = ({ mention, style, className = "" }) => {
+  if (!mention.isOpen) return null;
+
+  return (
+    <ul
+      role="listbox"
+      style={style}
+      className={`absolute z-30 w-64 max-h-64 overflow-y-auto bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg py-1 ${className}`}
+    >
+      {mention.suggestions.map((user, index) => (
+        <li
+          key={user._id}
+          role="option"
+          aria-selected={index === mention.activeIndex}
+          // Keep focus in the input so the caret position survives
+          onMouseDown={(e) => {
+            e.preventDefault();
+            mention.select(user);
+          }}
+          onMouseEnter={() => mention.setActiveIndex(index)}
+          className={`flex items-center gap-2 px-3 py-2 cursor-pointer text-sm ${
+            index === mention.activeIndex
+              ? "bg-primary-50 dark:bg-primary-900/30"
+              : "hover:bg-gray-50 dark:hover:bg-gray-700"
+          }`}
+        >
+          <Avatar
+            src={user.avatar}
+            alt={`${user.firstName} ${user.lastName}`}
+            fallback={user.firstName?.[0] || user.username[0]}
+            size="xs"
+          />
+          <div className="min-w-0">
+            <p className="font-medium text-gray-900 dark:text-white truncate">
+              {user.firstName} {user.lastName}
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+              @{user.username}
+            </p>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+MentionSuggestions.propTypes = {
+  mention: PropTypes.shape({
+    isOpen: PropTypes.bool.isRequired,
+    suggestions: PropTypes.array.isRequired,
+    activeIndex: PropTypes.number.isRequired,
+    setActiveIndex: PropTypes.func.isRequired,
+    select: PropTypes.func.isRequired,
+  }).isRequired,
+  style: PropTypes.object,
+  className: PropTypes.string,
+};
+
+export default MentionSuggestions;
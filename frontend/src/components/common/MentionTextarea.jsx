@@ -0,0 +1,68 @@
+import { forwardRef, useRef, useImperativeHandle } from "react";
+import PropTypes from "prop-types";
+import MentionSuggestions from "./MentionSuggestions";
+import {
+  useMentionAutocomplete,
+  getMentionQuery,
+} from "../../hooks/useMentionAutocomplete";
+
+/**
+ * Uncontrolled textarea with @username autocomplete. The forwarded ref points
+ * at the textarea itself, so callers read `.value` as before.
+ */
+const MentionTextarea = forwardRef(({ onKeyDown, onBlur, ...props }, ref) => {
+  const textareaRef = useRef(null);
+  useImperativeHandle(ref, () => textareaRef.current);
+
+  const mention = useMentionAutocomplete({
+    onSelect: (user, query) => {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+
+      const caret = textarea.selectionStart;
+      const start = caret - query.length - 1;
+      const insert = `@${user.username} `;
+      textarea.value =
+        textarea.value.slice(0, start) + insert + textarea.value.slice(caret);
+      const nextCaret = start + insert.length;
+      textarea.setSelectionRange(nextCaret, nextCaret);
+      textarea.focus();
+    },
+  });
+
+  const updateQuery = () => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    mention.setQuery(
+      getMentionQuery(textarea.value.slice(0, textarea.selectionStart))
+    );
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        onInput={updateQuery}
+        onClick={updateQuery}
+        onKeyDown={(e) => {
+          if (!mention.handleKeyDown(e)) onKeyDown?.(e);
+        }}
+        onBlur={(e) => {
+          mention.close();
+          onBlur?.(e);
+        }}
+        {...props}
+      />
+      <MentionSuggestions mention={mention} className="left-0 top-full mt-1" />
+    </div>
+  );
+});
+
+MentionTextarea.displayName = "MentionTextarea";
+
+MentionTextarea.propTypes = {
+  onKeyDown: PropTypes.func,
+  onBlur: PropTypes.func,
+};
+
+export default MentionTextarea;
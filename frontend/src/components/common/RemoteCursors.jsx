@@ -0,0 +1,133 @@
+import { useLayoutEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { createRangeFromOffsets } from "../../utils/editorSelection";
+
+const CURSOR_COLORS = [
+  "#ef4444",
+  "#f59e0b",
+  "#10b981",
+  "#3b82f6",
+  "#8b5cf6",
+  "#ec4899",
+  "#14b8a6",
+  "#f97316",
+];
+
+/**
+ * Pick a stable color for a user
+ */
+const colorFor = (userId = "") => {
+  let hash = 0;
+  for (let i = 0; i < userId.length; i++) {
+    hash = (hash * 31 + userId.charCodeAt(i)) | 0;
+  }
+  return CURSOR_COLORS[Math.abs(hash) % CURSOR_COLORS.length];
+};
+
+/**
+ * Remote Cursors Component
+ * Draws other editors' carets and selections over the editor.
+ * Must be rendered inside a relatively positioned wrapper around the editor.
+ */
+const RemoteCursors = ({ editorRef, cursors, contentVersion }) => {
+  const [overlays, setOverlays] = useState([]);
+
+  useLayoutEffect(() => {
+    const editor = editorRef.current;
+    if (!editor || cursors.length === 0) {
+      setOverlays([]);
+      return;
+    }
+
+    const measure = () => {
+      const origin = editor.parentElement.getBoundingClientRect();
+      const toBox = (rect) => ({
+        top: rect.top - origin.top,
+        left: rect.left - origin.left,
+        width: rect.width,
+        height: rect.height,
+      });
+
+      setOverlays(
+        cursors.map(({ user, selection }) => {
+          const range = createRangeFromOffsets(
+            editor,
+            selection.start,
+            selection.end,
+          );
+          const rects = Array.from(range.getClientRects());
+          const caretRange = createRangeFromOffsets(editor, selection.end);
+          const caretRect =
+            caretRange.getClientRects()[0] || editor.getBoundingClientRect();
+
+          return {
+            user,
+            color: colorFor(user.id),
+            selection: selection.start !== selection.end ? rects.map(toBox) : [],
+            caret: toBox(caretRect),
+          };
+        }),
+      );
+    };
+
+    measure();
+    editor.addEventListener("scroll", measure);
+    window.addEventListener("resize", measure);
+    return () => {
+      editor.removeEventListener("scroll", measure);
+      window.removeEventListener("resize", measure);
+    };
+  }, [editorRef, cursors, contentVersion]);
+
+  return (
+    <div className="pointer-events-none absolute inset-0 overflow-hidden">
+      {overlays.map(({ user, color, selection, caret }) => (
+        <div key={user.id}>
+          {selection.map((box, index) => (
+            <div
+              key={index}
+              className="absolute opacity-25"
+              style={{ ...box, backgroundColor: color }}
+            />
+          ))}
+          <div
+            className="absolute w-0.5"
+            style={{
+              top: caret.top,
+              left: caret.left,
+              height: caret.height || 18,
+              backgroundColor: color,
+            }}
+          >
+            <span
+              className="absolute bottom-full left-0 whitespace-nowrap rounded px-1 text-[10px] font-medium text-white"
+              style={{ backgroundColor: color }}
+            >
+              {user.firstName} {user.lastName}
+            </span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+RemoteCursors.propTypes = {
+  editorRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
+  cursors: PropTypes.arrayOf(
+    PropTypes.shape({
+      user: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        firstName: PropTypes.string,
+        lastName: PropTypes.string,
+      }).isRequired,
+      selection: PropTypes.shape({
+        start: PropTypes.number.isRequired,
+        end: PropTypes.number.isRequired,
+      }).isRequired,
+    }),
+  ).isRequired,
+  contentVersion: PropTypes.string,
+};
+
+export default RemoteCursors;
@@ -29,7 +29,14 @@ import {
 } from "lucide-react";
 import { useTableInteraction } from "../../hooks/useTableInteraction";
 import { useIsMobile } from "../../hooks/useMediaQuery";
+import { useCollaborativeEditor } from "../../hooks/useCollaborativeEditor";
 import TableContextMenu from "./TableContextMenu";
+import RemoteCursors from "./RemoteCursors";
+import MentionSuggestions from "./MentionSuggestions";
+import {
+  useMentionAutocomplete,
+  getMentionQuery,
+} from "../../hooks/useMentionAutocomplete";
 import DeleteTableDialog from "./DeleteTableDialog";
 import {
   insertRowAbove,
@@ -63,6 +70,7 @@ const RichTextEditor = ({
   postId,
   socket,
   isConnected,
+  mentions = true,
 }) => {
   const editorRef = useRef(null);
   const isMobile = useIsMobile();
@@ -92,15 +100,20 @@ const RichTextEditor = ({
   const [showDocDialog, setShowDocDialog] = useState(false);
   const [docUrl, setDocUrl] = useState("");
   const [docTitle, setDocTitle] = useState("");
-  const [isRemoteUpdate, setIsRemoteUpdate] = useState(false);
-
   // Table interaction hook
   const tableInteraction = useTableInteraction(editorRef);
 
+  // Real-time co-editing (only when editing an existing post over a socket)
+  const collaboration = useCollaborativeEditor({
+    editorRef,
+    postId,
+    socket,
+    isConnected,
+    onRemoteChange: onChange,
+  });
+
   // Make tables and images resizable
   useEffect(() => {
-    if (isRemoteUpdate) return;
-
     const timeout = setTimeout(() => {
       if (editorRef.current) {
         const tableInstances = makeTablesResizable(editorRef.current);
@@ -114,7 +127,7 @@ const RichTextEditor = ({
     }, 100);
 
     return () => clearTimeout(timeout);
-  }, [value, isRemoteUpdate]);
+  }, [value]);
 
   // Handle Tab on last cell - create new row
   useEffect(() => {
@@ -147,6 +160,7 @@ const RichTextEditor = ({
   useEffect(() => {
     if (editorRef.current && value !== editorRef.current.innerHTML) {
       editorRef.current.innerHTML = value || "";
+      collaboration.syncExternalChange();
     }
   }, [value]);
 
@@ -156,33 +170,66 @@ const RichTextEditor = ({
       onChange?.(newContent);
 
       // Real-time synchronization
-      if (socket && isConnected && postId && !isRemoteUpdate) {
-        socket.emit("content:update", {
-          postId,
-          content: newContent,
-          selection: null, // Could add selection sync later
-        });
-      }
+      collaboration.notifyLocalChange();
+      collaboration.sendSelection();
     }
   };
 
-  // Listen for remote updates
-  useEffect(() => {
-    if (!socket || !isConnected || !postId) return;
-
-    socket.on("content:changed", ({ content }) => {
-      if (editorRef.current && content !== editorRef.current.innerHTML) {
-        setIsRemoteUpdate(true);
-        editorRef.current.innerHTML = content;
-        onChange?.(content);
-        setTimeout(() => setIsRemoteUpdate(false), 0);
-      }
-    });
+  // @mention autocomplete - remembers the text node and caret offset where
+  // the "@partial" being typed ends
+  const mentionCaretRef = useRef(null);
+  const [mentionPosition, setMentionPosition] = useState(null);
+  const mention = useMentionAutocomplete({
+    onSelect: (user, query) => {
+      const caret = mentionCaretRef.current;
+      if (!caret || !editorRef.current?.contains(caret.node)) return;
+
+      const range = document.createRange();
+      range.setStart(caret.node, caret.offset - query.length - 1);
+      range.setEnd(caret.node, caret.offset);
+      range.deleteContents();
+
+      const mentionText = document.createTextNode(`@${user.username}\u00a0`);
+      range.insertNode(mentionText);
+      range.setStartAfter(mentionText);
+      range.collapse(true);
+
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      handleContentChange();
+    },
+  });
 
-    return () => {
-      socket.off("content:changed");
-    };
-  }, [socket, isConnected, postId]);
+  const updateMentionQuery = () => {
+    if (!mentions) return;
+
+    const selection = window.getSelection();
+    const node = selection?.anchorNode;
+    if (
+      !selection?.isCollapsed ||
+      node?.nodeType !== Node.TEXT_NODE ||
+      !editorRef.current?.contains(node)
+    ) {
+      mention.setQuery(null);
+      return;
+    }
+
+    const query = getMentionQuery(
+      node.textContent.slice(0, selection.anchorOffset)
+    );
+    mention.setQuery(query);
+    if (!query) return;
+
+    mentionCaretRef.current = { node, offset: selection.anchorOffset };
+    const caretRect = selection.getRangeAt(0).getBoundingClientRect();
+    const containerRect =
+      editorRef.current.parentElement.getBoundingClientRect();
+    setMentionPosition({
+      top: caretRect.bottom - containerRect.top + 4,
+      left: Math.max(caretRect.left - containerRect.left, 0),
+    });
+  };
 
   // Handle typing indicator
   const handleKeyUp = () => {
@@ -1547,30 +1594,45 @@ const RichTextEditor = ({
       </div>
 
       {/* Editor - ContentEditable for WYSIWYG */}
-      <div
-        ref={editorRef}
-        contentEditable
-        onInput={handleContentChange}
-        onPaste={handlePaste}
-        onKeyDown={(e) => {
-          handleKeyDown(e);
-          tableInteraction.handlers.onKeyDown(e);
-        }}
-        onMouseDown={tableInteraction.handlers.onMouseDown}
-        onMouseMove={tableInteraction.handlers.onMouseMove}
-        onContextMenu={tableInteraction.handlers.onContextMenu}
-        data-placeholder={
-          placeholder ||
-          "Write your content here... Use the toolbar for formatting - changes apply instantly!"
-        }
-        className="w-full p-4 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 focus:outline-none text-base leading-relaxed overflow-y-auto"
-        style={{
-          minHeight,
-          fontFamily:
-            "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
-        }}
-        spellCheck="true"
-      />
+      <div className="relative">
+        <div
+          ref={editorRef}
+          contentEditable
+          onInput={() => {
+            handleContentChange();
+            updateMentionQuery();
+          }}
+          onPaste={handlePaste}
+          onKeyDown={(e) => {
+            if (mention.handleKeyDown(e)) return;
+            handleKeyDown(e);
+            tableInteraction.handlers.onKeyDown(e);
+          }}
+          onBlur={mention.close}
+          onMouseDown={tableInteraction.handlers.onMouseDown}
+          onMouseMove={tableInteraction.handlers.onMouseMove}
+          onContextMenu={tableInteraction.handlers.onContextMenu}
+          data-placeholder={
+            placeholder ||
+            "Write your content here... Use the toolbar for formatting - changes apply instantly!"
+          }
+          className="w-full p-4 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 focus:outline-none text-base leading-relaxed overflow-y-auto"
+          style={{
+            minHeight,
+            fontFamily:
+              "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+          }}
+          spellCheck="true"
+        />
+        <MentionSuggestions mention={mention} style={mentionPosition} />
+        {collaboration.enabled && (
+          <RemoteCursors
+            editorRef={editorRef}
+            cursors={collaboration.remoteCursors}
+            contentVersion={value}
+          />
+        )}
+      </div>
 
       {/* Table Context Menu */}
       <TableContextMenu
@@ -1982,6 +2044,10 @@ RichTextEditor.propTypes = {
   placeholder: PropTypes.string,
   error: PropTypes.string,
   minHeight: PropTypes.string,
+  postId: PropTypes.string,
+  socket: PropTypes.object,
+  isConnected: PropTypes.bool,
+  mentions: PropTypes.bool,
 };
 
 export default RichTextEditor;
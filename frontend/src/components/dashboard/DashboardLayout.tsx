@@ -31,6 +31,8 @@ import {
   GraduationCap,
   PenTool,
   Feather,
+  CalendarClock,
+  Mail,
 } from 'lucide-react';
 
 interface DashboardLayoutProps {
@@ -103,6 +105,12 @@ const DashboardLayout: React.FC<DashboardLayoutProps> = ({ children, userRole })
           badge: pendingCount,
           description: 'Manage and moderate posts'
         },
+        {
+          title: 'Scheduled Posts',
+          href: '/admin/scheduled-posts',
+          icon: CalendarClock,
+          description: 'Upcoming publications'
+        },
         {
           title: 'Categories',
           href: '/admin/categories',
@@ -115,6 +123,12 @@ const DashboardLayout: React.FC<DashboardLayoutProps> = ({ children, userRole })
           icon: GraduationCap,
           description: 'Manage academic programs'
         },
+        {
+          title: 'Newsletter',
+          href: '/admin/newsletter',
+          icon: Mail,
+          description: 'Email campaigns to subscribers'
+        },
         {
           title: 'Messages',
           href: '/admin/contacts',
@@ -75,20 +75,37 @@ const FeaturedBlogs = () => {
         // Try multiple endpoints to get posts
         let posts = [];
 
-        // First try: public stats endpoint
+        // First try: posts trending this week
         try {
-          const statsResponse = await apiClient.get("/public/stats");
+          const trendingResponse = await apiClient.get("/posts/trending", {
+            params: { window: "week", limit: 6 },
+          });
           if (
-            statsResponse.data?.success &&
-            statsResponse.data?.data?.recentPosts?.length > 0
+            trendingResponse.data?.success &&
+            trendingResponse.data?.data?.posts?.length > 0
           ) {
-            posts = statsResponse.data.data.recentPosts;
+            posts = trendingResponse.data.data.posts;
           }
         } catch (e) {
-          console.log("Stats endpoint failed, trying featured...");
+          console.log("Trending endpoint failed, trying stats...");
         }
 
-        // Second try: featured endpoint
+        // Second try: public stats endpoint
+        if (posts.length === 0) {
+          try {
+            const statsResponse = await apiClient.get("/public/stats");
+            if (
+              statsResponse.data?.success &&
+              statsResponse.data?.data?.recentPosts?.length > 0
+            ) {
+              posts = statsResponse.data.data.recentPosts;
+            }
+          } catch (e) {
+            console.log("Stats endpoint failed, trying featured...");
+          }
+        }
+
+        // Third try: featured endpoint
         if (posts.length === 0) {
           try {
             const featuredResponse = await apiClient.get("/public/featured");
@@ -103,7 +120,7 @@ const FeaturedBlogs = () => {
           }
         }
 
-        // Third try: direct posts endpoint (published posts)
+        // Fourth try: direct posts endpoint (published posts)
         if (posts.length === 0) {
           try {
             const postsResponse = await apiClient.get(
@@ -0,0 +1,206 @@
+import { useState, useEffect } from "react";
+import { X, Flag } from "lucide-react";
+import Button from "../common/Button";
+import { reportsAPI } from "../../api/reports";
+import { toast } from "react-hot-toast";
+
+export const REPORT_REASONS = [
+  { value: "spam", label: "Spam or advertising" },
+  { value: "harassment", label: "Harassment or bullying" },
+  { value: "hate_speech", label: "Hate speech" },
+  { value: "misinformation", label: "False or misleading information" },
+  { value: "plagiarism", label: "Plagiarism" },
+  { value: "inappropriate", label: "Inappropriate content" },
+  { value: "other", label: "Something else" },
+];
+
+const TARGET_LABELS = {
+  post: "Post",
+  comment: "Comment",
+  user: "User",
+};
+
+/**
+ * Lets a reader report a post, comment or user to the moderators
+ */
+const ReportModal = ({ isOpen, onClose, targetType, targetId, targetLabel }) => {
+  const [reasonCategory, setReasonCategory] = useState("");
+  const [details, setDetails] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [isAnimating, setIsAnimating] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setIsAnimating(true);
+      document.body.style.overflow = "hidden";
+    } else {
+      document.body.style.overflow = "unset";
+    }
+    return () => {
+      document.body.style.overflow = "unset";
+    };
+  }, [isOpen]);
+
+  const handleClose = () => {
+    setIsAnimating(false);
+    setTimeout(() => {
+      setReasonCategory("");
+      setDetails("");
+      onClose();
+    }, 200);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reasonCategory) return;
+
+    try {
+      setSubmitting(true);
+      const response = await reportsAPI.createReport({
+        targetType,
+        targetId,
+        reasonCategory,
+        details: details.trim(),
+      });
+      toast.success(response.message || "Report submitted");
+      handleClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to submit report");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const typeLabel = TARGET_LABELS[targetType] || "Content";
+
+  return (
+    <div
+      className={`fixed inset-0 z-50 flex items-center justify-center p-4 transition-opacity duration-200 ${
+        isAnimating ? "opacity-100" : "opacity-0"
+      }`}
+    >
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={handleClose}
+      />
+
+      {/* Modal */}
+      <div
+        className={`relative w-full max-w-md bg-white dark:bg-gray-800 rounded-2xl shadow-2xl transform transition-all duration-300 ${
+          isAnimating ? "scale-100 translate-y-0" : "scale-95 translate-y-4"
+        }`}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-red-100 dark:bg-red-900/30 rounded-lg">
+              <Flag className="w-6 h-6 text-red-600 dark:text-red-400" />
+            </div>
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+                Report {typeLabel}
+              </h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-0.5">
+                Reports are confidential and reviewed by moderators
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={handleClose}
+            className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="p-6 space-y-6">
+            {targetLabel && (
+              <div className="p-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg border border-gray-200 dark:border-gray-700">
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-1">
+                  {typeLabel}:
+                </p>
+                <p className="font-medium text-gray-900 dark:text-white line-clamp-2">
+                  {targetLabel}
+                </p>
+              </div>
+            )}
+
+            <fieldset>
+              <legend className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Why are you reporting this? <span className="text-red-500">*</span>
+              </legend>
+              <div className="space-y-2">
+                {REPORT_REASONS.map((reason) => (
+                  <label
+                    key={reason.value}
+                    className={`flex items-center gap-3 px-4 py-2.5 rounded-lg border cursor-pointer transition-colors ${
+                      reasonCategory === reason.value
+                        ? "border-red-400 bg-red-50 dark:border-red-700 dark:bg-red-900/20"
+                        : "border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="report-reason"
+                      value={reason.value}
+                      checked={reasonCategory === reason.value}
+                      onChange={(e) => setReasonCategory(e.target.value)}
+                      className="text-red-600 focus:ring-red-500"
+                    />
+                    <span className="text-sm text-gray-800 dark:text-gray-200">
+                      {reason.label}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+
+            <div>
+              <label
+                htmlFor="report-details"
+                className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2"
+              >
+                Additional details (optional)
+              </label>
+              <textarea
+                id="report-details"
+                value={details}
+                onChange={(e) => setDetails(e.target.value)}
+                maxLength={1000}
+                rows={3}
+                placeholder="Tell the moderators what is wrong..."
+                className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent bg-white dark:bg-gray-900 text-gray-900 dark:text-white resize-none"
+              />
+            </div>
+          </div>
+
+          {/* Actions */}
+          <div className="flex items-center justify-end gap-3 p-6 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/50 rounded-b-2xl">
+            <Button type="button" variant="secondary" onClick={handleClose}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant="danger"
+              disabled={!reasonCategory || submitting}
+              icon={Flag}
+              className={
+                !reasonCategory || submitting
+                  ? "opacity-50 cursor-not-allowed"
+                  : ""
+              }
+            >
+              {submitting ? "Submitting..." : "Submit Report"}
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ReportModal;
@@ -0,0 +1,722 @@
+/**
+ * ============================================================================
+ * REPORT QUEUE - Moderation cases raised by users
+ * ============================================================================
+ * Lists reports on posts, comments and users. Repeat reports on the same
+ * target are already grouped into one case by the server. Moderators claim a
+ * case, then resolve it as actioned or dismissed; open cases can also be
+ * dismissed in bulk.
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import {
+  Flag,
+  FileText,
+  MessageSquare,
+  User,
+  Users,
+  Eye,
+  RefreshCw,
+  ChevronLeft,
+  ChevronRight,
+  UserCheck,
+  CheckCircle,
+  XCircle,
+  X,
+  Gavel,
+  Inbox,
+} from "lucide-react";
+import { reportsAPI } from "../../api/reports";
+import { postsAPI } from "../../api/posts";
+import { commentsAPI } from "../../api/comments";
+import { useAuth } from "../../hooks/useAuth";
+import Button from "../common/Button";
+import { REPORT_REASONS } from "./ReportModal";
+import { toast } from "react-hot-toast";
+import { formatDistanceToNow } from "date-fns";
+
+const STATUS_TABS = [
+  { value: "active", label: "Active" },
+  { value: "open", label: "Open" },
+  { value: "triaged", label: "Triaged" },
+  { value: "actioned", label: "Actioned" },
+  { value: "dismissed", label: "Dismissed" },
+];
+
+const STATUS_BADGES = {
+  open: "bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400",
+  triaged: "bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400",
+  actioned: "bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400",
+  dismissed: "bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300",
+};
+
+const SEVERITY_BADGES = {
+  critical: "bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400 border-red-200 dark:border-red-800",
+  high: "bg-orange-100 text-orange-700 dark:bg-orange-900/30 dark:text-orange-400 border-orange-200 dark:border-orange-800",
+  medium: "bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-400 border-yellow-200 dark:border-yellow-800",
+  low: "bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400 border-blue-200 dark:border-blue-800",
+};
+
+const TARGET_ICONS = {
+  post: FileText,
+  comment: MessageSquare,
+  user: User,
+};
+
+const ACTIONS_TAKEN = [
+  { value: "content_removed", label: "Content removed" },
+  { value: "content_hidden", label: "Content hidden" },
+  { value: "content_edited", label: "Author asked to edit" },
+  { value: "user_warned", label: "User warned" },
+  { value: "user_suspended", label: "User suspended" },
+  { value: "other", label: "Other (see notes)" },
+];
+
+const reasonLabel = (value) =>
+  REPORT_REASONS.find((r) => r.value === value)?.label || value;
+
+const getUserName = (user) => {
+  if (!user) return "Unknown";
+  return (
+    `${user.firstName || ""} ${user.lastName || ""}`.trim() ||
+    user.username ||
+    user.email
+  );
+};
+
+/**
+ * Close a case as actioned or dismissed
+ */
+const ResolveReportModal = ({ report, onClose, onResolved }) => {
+  const [status, setStatus] = useState("actioned");
+  const [actionTaken, setActionTaken] = useState("content_removed");
+  const [resolutionNotes, setResolutionNotes] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const canRemove = report.targetType !== "user";
+  const removesContent =
+    status === "actioned" && actionTaken === "content_removed" && canRemove;
+
+  useEffect(() => {
+    if (!canRemove && actionTaken === "content_removed") {
+      setActionTaken("user_warned");
+    }
+  }, [canRemove, actionTaken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+
+      if (removesContent) {
+        const targetId = report.target?._id || report.target;
+        if (report.targetType === "comment") {
+          // Deleting through comment moderation closes the report as well
+          await commentsAPI.moderateDeleteComment(
+            targetId,
+            resolutionNotes.trim()
+          );
+          toast.success("Comment removed and report resolved");
+          onResolved();
+          onClose();
+          return;
+        }
+        await postsAPI.removeFlaggedContent(targetId);
+      }
+
+      const response = await reportsAPI.resolveReport(report._id, {
+        status,
+        resolutionNotes: resolutionNotes.trim(),
+        actionTaken: status === "actioned" ? actionTaken : "",
+      });
+      toast.success(response.message || "Report resolved");
+      onResolved();
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to resolve report");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={onClose}
+      />
+      <div className="relative w-full max-w-md bg-white dark:bg-gray-800 rounded-2xl shadow-2xl">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-emerald-100 dark:bg-emerald-900/30 rounded-lg">
+              <Gavel className="w-6 h-6 text-emerald-600 dark:text-emerald-400" />
+            </div>
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+                Resolve Report
+              </h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-0.5 line-clamp-1">
+                {report.targetSummary}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="p-6 space-y-5">
+            <div className="grid grid-cols-2 gap-2">
+              {[
+                { value: "actioned", label: "Take action", icon: CheckCircle },
+                { value: "dismissed", label: "Dismiss", icon: XCircle },
+              ].map(({ value, label, icon: Icon }) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setStatus(value)}
+                  className={`flex items-center justify-center gap-2 px-4 py-3 rounded-lg border text-sm font-medium transition-colors ${
+                    status === value
+                      ? "border-primary-500 bg-primary-50 text-primary-700 dark:bg-primary-900/20 dark:text-primary-300"
+                      : "border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {status === "actioned" && (
+              <div>
+                <label
+                  htmlFor="report-action"
+                  className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2"
+                >
+                  Action taken
+                </label>
+                <select
+                  id="report-action"
+                  value={actionTaken}
+                  onChange={(e) => setActionTaken(e.target.value)}
+                  className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white"
+                >
+                  {ACTIONS_TAKEN.filter(
+                    (a) => canRemove || a.value !== "content_removed"
+                  ).map((a) => (
+                    <option key={a.value} value={a.value}>
+                      {a.label}
+                    </option>
+                  ))}
+                </select>
+                {removesContent && (
+                  <p className="mt-2 text-sm text-red-600 dark:text-red-400">
+                    The reported {report.targetType} will be deleted.
+                  </p>
+                )}
+              </div>
+            )}
+
+            <div>
+              <label
+                htmlFor="resolution-notes"
+                className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2"
+              >
+                Resolution notes
+                {status === "actioned" && actionTaken === "other" && (
+                  <span className="text-red-500"> *</span>
+                )}
+              </label>
+              <textarea
+                id="resolution-notes"
+                value={resolutionNotes}
+                onChange={(e) => setResolutionNotes(e.target.value)}
+                maxLength={2000}
+                rows={3}
+                required={status === "actioned" && actionTaken === "other"}
+                placeholder="What did you find and why did you decide this way?"
+                className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-white dark:bg-gray-900 text-gray-900 dark:text-white resize-none"
+              />
+            </div>
+          </div>
+
+          <div className="flex items-center justify-end gap-3 p-6 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/50 rounded-b-2xl">
+            <Button type="button" variant="secondary" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant={removesContent ? "danger" : "primary"}
+              disabled={submitting}
+              icon={Gavel}
+            >
+              {submitting ? "Saving..." : "Resolve"}
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const ReportQueue = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [reports, setReports] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState("active");
+  const [targetType, setTargetType] = useState("");
+  const [reasonCategory, setReasonCategory] = useState("");
+  const [assignee, setAssignee] = useState("");
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selected, setSelected] = useState([]);
+  const [actionLoading, setActionLoading] = useState(null);
+  const [resolving, setResolving] = useState(null);
+
+  const reportsPerPage = 20;
+  const isActiveView = status === "active" || status === "open" || status === "triaged";
+
+  const fetchReports = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await reportsAPI.getReports({
+        status,
+        targetType: targetType || undefined,
+        reasonCategory: reasonCategory || undefined,
+        assignee: assignee || undefined,
+        page: currentPage,
+        limit: reportsPerPage,
+      });
+
+      setReports(response.data?.reports || []);
+      setCounts(response.data?.counts || {});
+      setTotalPages(response.data?.pagination?.pages || 1);
+      setSelected([]);
+    } catch (error) {
+      console.error("Error fetching reports:", error);
+      toast.error(error.response?.data?.message || "Failed to load reports");
+      setReports([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, targetType, reasonCategory, assignee, currentPage]);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  useEffect(() => {
+    setCurrentPage(1);
+  }, [status, targetType, reasonCategory, assignee]);
+
+  const handleClaim = async (report) => {
+    try {
+      setActionLoading(report._id);
+      await reportsAPI.claimReport(report._id);
+      toast.success("Report claimed");
+      fetchReports();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to claim report");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleBulkDismiss = async () => {
+    if (
+      !window.confirm(
+        `Dismiss ${selected.length} report${selected.length === 1 ? "" : "s"}?`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setActionLoading("bulk");
+      const response = await reportsAPI.bulkDismissReports(
+        selected,
+        "Dismissed in bulk review"
+      );
+      toast.success(response.message || "Reports dismissed");
+      if (response.data?.skipped) {
+        toast(`${response.data.skipped} report(s) were claimed by others or already closed`);
+      }
+      fetchReports();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to dismiss reports");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const toggleSelected = (reportId) => {
+    setSelected((prev) =>
+      prev.includes(reportId)
+        ? prev.filter((id) => id !== reportId)
+        : [...prev, reportId]
+    );
+  };
+
+  const toggleSelectAll = () => {
+    setSelected((prev) =>
+      prev.length === reports.length ? [] : reports.map((r) => r._id)
+    );
+  };
+
+  const viewTarget = (report) => {
+    const targetId = report.target?._id || report.target;
+    if (report.targetType === "post") {
+      navigate(`/posts/${targetId}`);
+    } else if (report.targetType === "comment" && report.targetPost) {
+      navigate(`/posts/${report.targetPost}`);
+    }
+  };
+
+  const isMine = (report) =>
+    report.assignee && (report.assignee._id || report.assignee) === user?._id;
+
+  const tabCount = (value) =>
+    value === "active"
+      ? (counts.open || 0) + (counts.triaged || 0)
+      : counts[value] || 0;
+
+  return (
+    <div className="space-y-6">
+      {/* Status Tabs */}
+      <div className="flex flex-wrap gap-2">
+        {STATUS_TABS.map((tab) => (
+          <button
+            key={tab.value}
+            onClick={() => setStatus(tab.value)}
+            className={`flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium transition-colors ${
+              status === tab.value
+                ? "bg-red-500 text-white shadow-lg shadow-red-500/20"
+                : "bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+            }`}
+          >
+            {tab.label}
+            <span
+              className={`px-2 py-0.5 rounded-full text-xs ${
+                status === tab.value
+                  ? "bg-white/20"
+                  : "bg-gray-100 dark:bg-gray-700"
+              }`}
+            >
+              {tabCount(tab.value)}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 shadow-sm p-4">
+        <div className="flex flex-col sm:flex-row gap-4">
+          <select
+            value={targetType}
+            onChange={(e) => setTargetType(e.target.value)}
+            className="px-4 py-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-xl text-gray-900 dark:text-white"
+          >
+            <option value="">All Types</option>
+            <option value="post">Posts</option>
+            <option value="comment">Comments</option>
+            <option value="user">Users</option>
+          </select>
+          <select
+            value={reasonCategory}
+            onChange={(e) => setReasonCategory(e.target.value)}
+            className="flex-1 px-4 py-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-xl text-gray-900 dark:text-white"
+          >
+            <option value="">All Reasons</option>
+            {REPORT_REASONS.map((reason) => (
+              <option key={reason.value} value={reason.value}>
+                {reason.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={assignee}
+            onChange={(e) => setAssignee(e.target.value)}
+            className="px-4 py-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-xl text-gray-900 dark:text-white"
+          >
+            <option value="">Anyone</option>
+            <option value="me">Assigned to me</option>
+            <option value="unassigned">Unassigned</option>
+          </select>
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={fetchReports}
+            className="flex items-center justify-center gap-2 px-4 py-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+            Refresh
+          </motion.button>
+        </div>
+      </div>
+
+      {/* Bulk Actions */}
+      {isActiveView && reports.length > 0 && (
+        <div className="flex items-center justify-between gap-4 px-2">
+          <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={selected.length > 0 && selected.length === reports.length}
+              onChange={toggleSelectAll}
+              className="rounded border-gray-300 text-red-600 focus:ring-red-500"
+            />
+            Select all on this page
+          </label>
+          {selected.length > 0 && (
+            <motion.button
+              initial={{ opacity: 0, scale: 0.95 }}
+              animate={{ opacity: 1, scale: 1 }}
+              onClick={handleBulkDismiss}
+              disabled={actionLoading === "bulk"}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 transition-colors text-sm font-medium disabled:opacity-50"
+            >
+              <XCircle className="w-4 h-4" />
+              Dismiss {selected.length} selected
+            </motion.button>
+          )}
+        </div>
+      )}
+
+      {/* Reports List */}
+      {loading ? (
+        <div className="space-y-4">
+          {[...Array(3)].map((_, i) => (
+            <div
+              key={i}
+              className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 p-6 animate-pulse"
+            >
+              <div className="space-y-3">
+                <div className="h-5 bg-gray-200 dark:bg-gray-700 rounded w-3/4" />
+                <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded w-1/2" />
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : reports.length === 0 ? (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 p-12 text-center"
+        >
+          <Inbox className="w-16 h-16 text-emerald-500 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+            No reports here
+          </h3>
+          <p className="text-gray-500 dark:text-gray-400">
+            Reports from readers will appear in this queue.
+          </p>
+        </motion.div>
+      ) : (
+        <div className="space-y-4">
+          {reports.map((report, index) => {
+            const TargetIcon = TARGET_ICONS[report.targetType] || Flag;
+            const active = ["open", "triaged"].includes(report.status);
+            const claimedByOther = report.assignee && !isMine(report);
+
+            return (
+              <motion.div
+                key={report._id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: index * 0.03 }}
+                className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 shadow-sm p-6"
+              >
+                <div className="flex gap-4">
+                  {isActiveView && (
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(report._id)}
+                      onChange={() => toggleSelected(report._id)}
+                      className="mt-1 rounded border-gray-300 text-red-600 focus:ring-red-500"
+                    />
+                  )}
+
+                  <div className="w-12 h-12 rounded-xl flex items-center justify-center flex-shrink-0 bg-gray-100 dark:bg-gray-700">
+                    <TargetIcon className="w-6 h-6 text-gray-600 dark:text-gray-300" />
+                  </div>
+
+                  <div className="flex-1 min-w-0">
+                    <div className="flex flex-wrap items-center gap-2 mb-2">
+                      <span
+                        className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${STATUS_BADGES[report.status]}`}
+                      >
+                        {report.status}
+                      </span>
+                      <span
+                        className={`px-2 py-1 text-xs font-medium rounded-full border capitalize ${SEVERITY_BADGES[report.severity] || SEVERITY_BADGES.low}`}
+                      >
+                        {report.severity} severity
+                      </span>
+                      <span className="px-2 py-1 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 text-xs font-medium rounded-full capitalize">
+                        {report.targetType}
+                      </span>
+                      <span className="px-2 py-1 bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400 text-xs font-medium rounded-full">
+                        {reasonLabel(report.reasonCategory)}
+                      </span>
+                    </div>
+
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white line-clamp-2 mb-2">
+                      {report.targetSummary || "(no preview)"}
+                    </h3>
+
+                    <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 dark:text-gray-400 mb-3">
+                      {report.targetType !== "user" && (
+                        <span className="flex items-center gap-1">
+                          <User className="w-4 h-4" />
+                          By {getUserName(report.targetAuthor)}
+                        </span>
+                      )}
+                      <span className="flex items-center gap-1">
+                        <Users className="w-4 h-4" />
+                        {report.reportCount} reporter
+                        {report.reportCount !== 1 ? "s" : ""}
+                      </span>
+                      <span className="flex items-center gap-1">
+                        <Flag className="w-4 h-4" />
+                        First reported{" "}
+                        {formatDistanceToNow(new Date(report.createdAt), {
+                          addSuffix: true,
+                        })}
+                      </span>
+                      {report.assignee && (
+                        <span className="flex items-center gap-1">
+                          <UserCheck className="w-4 h-4" />
+                          {isMine(report)
+                            ? "Assigned to you"
+                            : `Assigned to ${getUserName(report.assignee)}`}
+                        </span>
+                      )}
+                    </div>
+
+                    {/* Reporter details */}
+                    {report.reporters?.some((r) => r.details) && (
+                      <div className="bg-gray-50 dark:bg-gray-900/50 border border-gray-100 dark:border-gray-700 rounded-lg p-3 mb-3 space-y-2">
+                        {report.reporters
+                          .filter((r) => r.details)
+                          .slice(0, 3)
+                          .map((r, rIndex) => (
+                            <p
+                              key={rIndex}
+                              className="text-sm text-gray-700 dark:text-gray-300"
+                            >
+                              <span className="font-medium">
+                                {getUserName(r.user)}:
+                              </span>{" "}
+                              "{r.details}"
+                            </p>
+                          ))}
+                      </div>
+                    )}
+
+                    {/* Resolution */}
+                    {!active && (
+                      <div className="bg-gray-50 dark:bg-gray-900/50 border border-gray-100 dark:border-gray-700 rounded-lg p-3 mb-3 text-sm text-gray-700 dark:text-gray-300">
+                        <p>
+                          {report.status === "actioned" ? "Actioned" : "Dismissed"}{" "}
+                          by {getUserName(report.resolvedBy)}
+                          {report.resolvedAt &&
+                            ` ${formatDistanceToNow(new Date(report.resolvedAt), {
+                              addSuffix: true,
+                            })}`}
+                          {report.actionTaken &&
+                            ` · ${ACTIONS_TAKEN.find((a) => a.value === report.actionTaken)?.label || report.actionTaken}`}
+                        </p>
+                        {report.resolutionNotes && (
+                          <p className="mt-1 italic">{report.resolutionNotes}</p>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Actions */}
+                    <div className="flex flex-wrap gap-2">
+                      {report.targetType !== "user" && (
+                        <motion.button
+                          whileHover={{ scale: 1.02 }}
+                          whileTap={{ scale: 0.98 }}
+                          onClick={() => viewTarget(report)}
+                          className="flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors text-sm font-medium"
+                        >
+                          <Eye className="w-4 h-4" />
+                          View {report.targetType}
+                        </motion.button>
+                      )}
+                      {active && !isMine(report) && (
+                        <motion.button
+                          whileHover={{ scale: 1.02 }}
+                          whileTap={{ scale: 0.98 }}
+                          onClick={() => handleClaim(report)}
+                          disabled={actionLoading === report._id}
+                          className="flex items-center gap-2 px-4 py-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600 transition-colors text-sm font-medium disabled:opacity-50"
+                        >
+                          <UserCheck className="w-4 h-4" />
+                          {claimedByOther ? "Take Over" : "Claim"}
+                        </motion.button>
+                      )}
+                      {active && (
+                        <motion.button
+                          whileHover={{ scale: 1.02 }}
+                          whileTap={{ scale: 0.98 }}
+                          onClick={() => setResolving(report)}
+                          disabled={actionLoading === report._id}
+                          className="flex items-center gap-2 px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition-colors text-sm font-medium disabled:opacity-50"
+                        >
+                          <Gavel className="w-4 h-4" />
+                          Resolve
+                        </motion.button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              </motion.div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center gap-2">
+          <button
+            onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
+            disabled={currentPage === 1}
+            className="p-2 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <span className="px-4 py-2 text-sm text-gray-600 dark:text-gray-400">
+            Page {currentPage} of {totalPages}
+          </span>
+          <button
+            onClick={() => setCurrentPage((p) => Math.min(totalPages, p + 1))}
+            disabled={currentPage === totalPages}
+            className="p-2 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+      )}
+
+      {resolving && (
+        <ResolveReportModal
+          report={resolving}
+          onClose={() => setResolving(null)}
+          onResolved={fetchReports}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ReportQueue;
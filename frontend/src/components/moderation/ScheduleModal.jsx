@@ -0,0 +1,166 @@
+import { useState, useEffect } from "react";
+import { X, CalendarClock, AlertCircle } from "lucide-react";
+import Button from "../common/Button";
+
+// datetime-local inputs work in local time without a timezone suffix
+const toLocalInputValue = (date) => {
+  const d = new Date(date);
+  const offset = d.getTimezoneOffset() * 60000;
+  return new Date(d.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const defaultScheduleTime = () => {
+  const d = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  d.setMinutes(0, 0, 0);
+  return d;
+};
+
+const ScheduleModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  postTitle,
+  initialValue = null,
+  title = "Schedule Publication",
+  confirmLabel = "Approve & Schedule",
+  description = "The post goes live automatically at this time",
+  itemLabel = "Post Title:",
+  timeLabel = "Publish on",
+}) => {
+  const [value, setValue] = useState("");
+  const [isAnimating, setIsAnimating] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setIsAnimating(true);
+      setValue(toLocalInputValue(initialValue || defaultScheduleTime()));
+      document.body.style.overflow = "hidden";
+    } else {
+      document.body.style.overflow = "unset";
+    }
+    return () => {
+      document.body.style.overflow = "unset";
+    };
+  }, [isOpen, initialValue]);
+
+  const scheduledDate = value ? new Date(value) : null;
+  const isFuture = scheduledDate && scheduledDate > new Date();
+
+  const handleClose = () => {
+    setIsAnimating(false);
+    setTimeout(() => {
+      setValue("");
+      onClose();
+    }, 200);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isFuture) {
+      onConfirm(scheduledDate.toISOString());
+      handleClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className={`fixed inset-0 z-50 flex items-center justify-center p-4 transition-opacity duration-200 ${
+        isAnimating ? "opacity-100" : "opacity-0"
+      }`}
+    >
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+        onClick={handleClose}
+      />
+
+      {/* Modal */}
+      <div
+        className={`relative w-full max-w-md bg-white dark:bg-gray-800 rounded-2xl shadow-2xl transform transition-all duration-300 ${
+          isAnimating ? "scale-100 translate-y-0" : "scale-95 translate-y-4"
+        }`}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-indigo-100 dark:bg-indigo-900/30 rounded-lg">
+              <CalendarClock className="w-6 h-6 text-indigo-600 dark:text-indigo-400" />
+            </div>
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+                {title}
+              </h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-0.5">
+                {description}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={handleClose}
+            className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="p-6 space-y-6">
+            {/* Post Title */}
+            <div className="p-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg border border-gray-200 dark:border-gray-700">
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-1">
+                {itemLabel}
+              </p>
+              <p className="font-medium text-gray-900 dark:text-white line-clamp-2">
+                {postTitle}
+              </p>
+            </div>
+
+            <div>
+              <label
+                htmlFor="schedule-time"
+                className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2"
+              >
+                {timeLabel} <span className="text-red-500">*</span>
+              </label>
+              <input
+                id="schedule-time"
+                type="datetime-local"
+                value={value}
+                min={toLocalInputValue(new Date())}
+                onChange={(e) => setValue(e.target.value)}
+                required
+                className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent bg-white dark:bg-gray-900 text-gray-900 dark:text-white"
+              />
+              {value && !isFuture && (
+                <p className="mt-2 text-sm text-red-600 dark:text-red-400 flex items-center gap-1">
+                  <AlertCircle className="w-4 h-4" />
+                  Choose a time in the future
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Actions */}
+          <div className="flex items-center justify-end gap-3 p-6 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/50 rounded-b-2xl">
+            <Button type="button" variant="secondary" onClick={handleClose}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant="primary"
+              disabled={!isFuture}
+              icon={CalendarClock}
+              className={!isFuture ? "opacity-50 cursor-not-allowed" : ""}
+            >
+              {confirmLabel}
+            </Button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleModal;
@@ -18,6 +18,7 @@ import {
 } from "lucide-react";
 import { notificationsAPI } from "../../api/notifications";
 import { collaborationAPI } from "../../api/collaboration";
+import { useSocket } from "../../contexts/SocketContext";
 import { formatDistanceToNow } from "date-fns";
 import toast from "react-hot-toast";
 
@@ -262,6 +263,7 @@ const NotificationDropdown = () => {
   const [unreadCount, setUnreadCount] = useState(0);
   const [loading, setLoading] = useState(false);
   const dropdownRef = useRef(null);
+  const { socket } = useSocket();
 
   // Fetch notifications
   const fetchNotifications = async () => {
@@ -299,6 +301,29 @@ const NotificationDropdown = () => {
     }
   }, [isOpen]);
 
+  // Live updates. A grouped notification ("Abebe and 9 others liked your
+  // post") arrives again under the same id, so it replaces the old entry.
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleNew = (notification) => {
+      setNotifications((prev) =>
+        [notification, ...prev.filter((n) => n._id !== notification._id)].slice(
+          0,
+          10
+        )
+      );
+    };
+    const handleCount = ({ count }) => setUnreadCount(count || 0);
+
+    socket.on("notification:new", handleNew);
+    socket.on("notification:count", handleCount);
+    return () => {
+      socket.off("notification:new", handleNew);
+      socket.off("notification:count", handleCount);
+    };
+  }, [socket]);
+
   // Close dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -0,0 +1,545 @@
+/**
+ * ============================================================================
+ * NOTIFICATION SETTINGS
+ * ============================================================================
+ * Per-category channels, the unread summary email, quiet hours and muted
+ * posts/people. The server applies these to every notification, so what is
+ * chosen here is what arrives.
+ */
+
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import {
+  AtSign,
+  Bell,
+  BellOff,
+  FileText,
+  Heart,
+  Inbox,
+  Loader2,
+  Mail,
+  MessageCircle,
+  Moon,
+  Save,
+  Shield,
+  User,
+  UserPlus,
+  Users,
+} from "lucide-react";
+import toast from "react-hot-toast";
+import { usersAPI } from "../../api/users";
+import { useAuth } from "../../hooks/useAuth";
+import LoadingSpinner from "../common/LoadingSpinner";
+
+const CHANNELS = [
+  { value: "in_app", label: "In-app" },
+  { value: "email", label: "In-app & email" },
+  { value: "none", label: "Off" },
+];
+
+// Mirrors NOTIFICATION_CATEGORIES on the server
+const CATEGORIES = [
+  {
+    key: "comments",
+    label: "Comments & replies",
+    desc: "Comments on your posts and replies to your comments",
+    icon: MessageCircle,
+  },
+  {
+    key: "mentions",
+    label: "Mentions",
+    desc: "When someone @mentions you in a post or comment",
+    icon: AtSign,
+  },
+  {
+    key: "likes",
+    label: "Reactions",
+    desc: "Likes and feedback on your posts",
+    icon: Heart,
+  },
+  {
+    key: "follows",
+    label: "New followers",
+    desc: "When someone follows you",
+    icon: UserPlus,
+  },
+  {
+    key: "followedPosts",
+    label: "Posts from people you follow",
+    desc: "When an author you follow publishes",
+    icon: FileText,
+  },
+  {
+    key: "collaboration",
+    label: "Collaboration",
+    desc: "Invitations, reviews and changes to co-authored posts",
+    icon: Users,
+  },
+  {
+    key: "myPosts",
+    label: "Your posts",
+    desc: "Approvals, revisions and publishing of your posts",
+    icon: FileText,
+    required: true,
+  },
+  {
+    key: "account",
+    label: "Account",
+    desc: "Account approvals and announcements",
+    icon: User,
+    required: true,
+  },
+  {
+    key: "moderation",
+    label: "Moderation",
+    desc: "Posts to review, reports and new registrations",
+    icon: Shield,
+    staff: true,
+  },
+];
+
+const SUMMARY_OPTIONS = [
+  { value: "off", label: "Off" },
+  { value: "hourly", label: "Hourly" },
+  { value: "daily", label: "Daily" },
+];
+
+const TIMEZONES =
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : ["UTC"];
+
+const Toggle = ({ checked, onChange }) => (
+  <label className="relative inline-flex items-center cursor-pointer">
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={(e) => onChange(e.target.checked)}
+      className="sr-only peer"
+    />
+    <div className="w-11 h-6 bg-gray-200 peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+  </label>
+);
+
+const NotificationSettings = () => {
+  const { user } = useAuth();
+  const isStaff = [user?.role, ...(user?.roles || [])].some((role) =>
+    ["admin", "moderator"].includes(role)
+  );
+
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [settings, setSettings] = useState({
+    emailNotifications: true,
+    pushNotifications: true,
+    notificationChannels: {},
+    notificationSummary: "off",
+    quietHours: { enabled: false, start: "22:00", end: "07:00" },
+    timezone: "UTC",
+  });
+  const [mutes, setMutes] = useState({ posts: [], users: [] });
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [preferencesResponse, mutesResponse] = await Promise.all([
+          usersAPI.getPreferences(),
+          usersAPI.getMutes(),
+        ]);
+        const preferences = preferencesResponse.preferences || {};
+        setSettings({
+          emailNotifications: preferences.emailNotifications !== false,
+          pushNotifications: preferences.pushNotifications !== false,
+          notificationChannels: preferences.notificationChannels || {},
+          notificationSummary: preferences.notificationSummary || "off",
+          quietHours: preferences.quietHours || {
+            enabled: false,
+            start: "22:00",
+            end: "07:00",
+          },
+          timezone: preferences.timezone || "UTC",
+        });
+        setMutes(mutesResponse.data || { posts: [], users: [] });
+      } catch (error) {
+        console.error("Error loading notification settings:", error);
+        toast.error("Failed to load notification settings");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  const setChannel = (category, channel) =>
+    setSettings((prev) => ({
+      ...prev,
+      notificationChannels: { ...prev.notificationChannels, [category]: channel },
+    }));
+
+  const setQuietHours = (changes) =>
+    setSettings((prev) => ({
+      ...prev,
+      quietHours: { ...prev.quietHours, ...changes },
+    }));
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await usersAPI.updatePreferences(settings);
+      toast.success("Notification preferences saved!");
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "Failed to save preferences"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnmute = async (type, id) => {
+    try {
+      await usersAPI.unmute(type, id);
+      const key = type === "post" ? "posts" : "users";
+      setMutes((prev) => ({
+        ...prev,
+        [key]: prev[key].filter((item) => item._id !== id),
+      }));
+      toast.success("Unmuted");
+    } catch (error) {
+      toast.error("Failed to unmute");
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-12 flex justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const categories = CATEGORIES.filter((category) => !category.staff || isStaff);
+  const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+      <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-6">
+        Notification Preferences
+      </h2>
+
+      <div className="space-y-6">
+        {/* Master switches */}
+        <div className="flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+          <div className="flex items-center gap-3">
+            <Mail className="w-5 h-5 text-blue-500" />
+            <div>
+              <p className="font-medium text-gray-900 dark:text-white">
+                Email Notifications
+              </p>
+              <p className="text-sm text-gray-500">
+                Turn off to stop every notification email, whatever is chosen
+                below
+              </p>
+            </div>
+          </div>
+          <Toggle
+            checked={settings.emailNotifications}
+            onChange={(checked) =>
+              setSettings((prev) => ({ ...prev, emailNotifications: checked }))
+            }
+          />
+        </div>
+
+        <div className="flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+          <div className="flex items-center gap-3">
+            <Bell className="w-5 h-5 text-purple-500" />
+            <div>
+              <p className="font-medium text-gray-900 dark:text-white">
+                Live Alerts
+              </p>
+              <p className="text-sm text-gray-500">
+                Pop up new notifications while you are on the site
+              </p>
+            </div>
+          </div>
+          <Toggle
+            checked={settings.pushNotifications}
+            onChange={(checked) =>
+              setSettings((prev) => ({ ...prev, pushNotifications: checked }))
+            }
+          />
+        </div>
+
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+          <div className="flex items-center gap-3">
+            <Inbox className="w-5 h-5 text-teal-500" />
+            <div>
+              <p className="font-medium text-gray-900 dark:text-white">
+                Email Summary
+              </p>
+              <p className="text-sm text-gray-500">
+                A roundup of notifications you haven't read yet
+              </p>
+            </div>
+          </div>
+          <div className="flex rounded-lg border border-gray-200 dark:border-gray-600 overflow-hidden">
+            {SUMMARY_OPTIONS.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                disabled={!settings.emailNotifications}
+                onClick={() =>
+                  setSettings((prev) => ({
+                    ...prev,
+                    notificationSummary: option.value,
+                  }))
+                }
+                className={`px-4 py-2 text-sm font-medium transition-colors disabled:opacity-50 ${
+                  settings.notificationSummary === option.value
+                    ? "bg-blue-600 text-white"
+                    : "bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Channel matrix */}
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">
+            What you hear about
+          </h3>
+          <div className="overflow-x-auto rounded-lg border border-gray-200 dark:border-gray-700">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700/50">
+                <tr>
+                  <th className="text-left font-medium text-gray-600 dark:text-gray-300 px-4 py-3">
+                    Notification
+                  </th>
+                  {CHANNELS.map((channel) => (
+                    <th
+                      key={channel.value}
+                      className="font-medium text-gray-600 dark:text-gray-300 px-4 py-3 text-center whitespace-nowrap"
+                    >
+                      {channel.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {categories.map((category) => (
+                  <tr key={category.key}>
+                    <td className="px-4 py-3">
+                      <div className="flex items-center gap-3">
+                        <category.icon className="w-5 h-5 text-gray-500 shrink-0" />
+                        <div>
+                          <p className="font-medium text-gray-900 dark:text-white">
+                            {category.label}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {category.desc}
+                          </p>
+                        </div>
+                      </div>
+                    </td>
+                    {CHANNELS.map((channel) => {
+                      const disabled =
+                        (category.required && channel.value === "none") ||
+                        (channel.value === "email" &&
+                          !settings.emailNotifications);
+                      return (
+                        <td key={channel.value} className="px-4 py-3 text-center">
+                          {category.required && channel.value === "none" ? (
+                            <span className="text-xs text-gray-400">
+                              Always on
+                            </span>
+                          ) : (
+                            <input
+                              type="radio"
+                              name={`channel-${category.key}`}
+                              aria-label={`${category.label}: ${channel.label}`}
+                              checked={
+                                (settings.notificationChannels[category.key] ||
+                                  "in_app") === channel.value
+                              }
+                              disabled={disabled}
+                              onChange={() =>
+                                setChannel(category.key, channel.value)
+                              }
+                              className="w-4 h-4 text-blue-600 disabled:opacity-40"
+                            />
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Quiet hours */}
+        <div className="p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg space-y-4">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <Moon className="w-5 h-5 text-indigo-500" />
+              <div>
+                <p className="font-medium text-gray-900 dark:text-white">
+                  Quiet Hours
+                </p>
+                <p className="text-sm text-gray-500">
+                  No live alerts, and emails wait until quiet hours end
+                </p>
+              </div>
+            </div>
+            <Toggle
+              checked={settings.quietHours.enabled}
+              onChange={(checked) => setQuietHours({ enabled: checked })}
+            />
+          </div>
+
+          {settings.quietHours.enabled && (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  From
+                </label>
+                <input
+                  type="time"
+                  value={settings.quietHours.start}
+                  onChange={(e) => setQuietHours({ start: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Until
+                </label>
+                <input
+                  type="time"
+                  value={settings.quietHours.end}
+                  onChange={(e) => setQuietHours({ end: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Timezone
+                </label>
+                <select
+                  value={settings.timezone}
+                  onChange={(e) =>
+                    setSettings((prev) => ({ ...prev, timezone: e.target.value }))
+                  }
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                >
+                  {[...new Set(["UTC", settings.timezone, ...TIMEZONES])].map(
+                    (timezone) => (
+                      <option key={timezone} value={timezone}>
+                        {timezone}
+                      </option>
+                    )
+                  )}
+                </select>
+                {browserTimezone && browserTimezone !== settings.timezone && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setSettings((prev) => ({ ...prev, timezone: browserTimezone }))
+                    }
+                    className="mt-1 text-xs text-blue-600 hover:underline"
+                  >
+                    Use {browserTimezone}
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Mutes */}
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+            Muted
+          </h3>
+          <p className="text-sm text-gray-500 mb-3">
+            Mute a post or person from your notifications list. Notifications
+            about your own posts and account still arrive.
+          </p>
+
+          {mutes.posts.length === 0 && mutes.users.length === 0 ? (
+            <div className="flex items-center gap-2 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg text-sm text-gray-500">
+              <BellOff className="w-4 h-4" />
+              Nothing muted
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700 rounded-lg border border-gray-200 dark:border-gray-700">
+              {mutes.posts.map((post) => (
+                <li
+                  key={post._id}
+                  className="flex items-center justify-between gap-4 px-4 py-3"
+                >
+                  <div className="flex items-center gap-3 min-w-0">
+                    <FileText className="w-4 h-4 text-gray-400 shrink-0" />
+                    <Link
+                      to={`/posts/${post.slug || post._id}`}
+                      className="text-sm text-gray-900 dark:text-white hover:text-blue-600 truncate"
+                    >
+                      {post.title}
+                    </Link>
+                  </div>
+                  <button
+                    onClick={() => handleUnmute("post", post._id)}
+                    className="text-sm text-blue-600 hover:underline shrink-0"
+                  >
+                    Unmute
+                  </button>
+                </li>
+              ))}
+              {mutes.users.map((person) => (
+                <li
+                  key={person._id}
+                  className="flex items-center justify-between gap-4 px-4 py-3"
+                >
+                  <div className="flex items-center gap-3 min-w-0">
+                    <User className="w-4 h-4 text-gray-400 shrink-0" />
+                    <span className="text-sm text-gray-900 dark:text-white truncate">
+                      {[person.firstName, person.lastName].filter(Boolean).join(" ") ||
+                        person.username}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => handleUnmute("user", person._id)}
+                    className="text-sm text-blue-600 hover:underline shrink-0"
+                  >
+                    Unmute
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="mt-8 flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          {saving ? (
+            <Loader2 className="w-5 h-5 animate-spin" />
+          ) : (
+            <Save className="w-5 h-5" />
+          )}
+          Save Preferences
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,156 @@
+/**
+ * ============================================================================
+ * DRAFT RECOVERY BANNER
+ * ============================================================================
+ * Offers autosaved work back to the editor and warns when another device has
+ * saved a newer snapshot (see hooks/useDraftAutosave.js)
+ */
+
+import {
+  History,
+  MonitorSmartphone,
+  RotateCcw,
+  Trash2,
+  Check,
+  Loader2,
+  CloudOff,
+  Cloud,
+} from "lucide-react";
+import { formatDistanceToNow } from "date-fns";
+
+const timeAgo = (date) =>
+  formatDistanceToNow(new Date(date), { addSuffix: true });
+
+const DraftRecoveryBanner = ({
+  recovery,
+  conflict,
+  onRestore,
+  onDismiss,
+  onResolveConflict,
+}) => {
+  if (conflict) {
+    return (
+      <div className="mb-6 p-4 rounded-xl border border-amber-300 bg-amber-50 dark:border-amber-700 dark:bg-amber-900/20">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <MonitorSmartphone className="w-6 h-6 text-amber-600 flex-shrink-0" />
+          <div className="flex-1">
+            <p className="font-medium text-amber-900 dark:text-amber-200">
+              A newer draft was saved from another device
+            </p>
+            <p className="text-sm text-amber-800 dark:text-amber-300">
+              Saved {timeAgo(conflict.savedAt)}
+              {conflict.fields.title && ` · "${conflict.fields.title}"`}.
+              Autosave is paused until you choose which version to keep.
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => onResolveConflict(true)}
+              className="px-3 py-1.5 text-sm font-medium rounded-lg bg-amber-600 text-white hover:bg-amber-700 transition-colors"
+            >
+              Load newer version
+            </button>
+            <button
+              type="button"
+              onClick={() => onResolveConflict(false)}
+              className="px-3 py-1.5 text-sm font-medium rounded-lg border border-amber-400 text-amber-800 hover:bg-amber-100 dark:text-amber-200 dark:hover:bg-amber-900/40 transition-colors"
+            >
+              Keep mine
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!recovery) return null;
+
+  return (
+    <div className="mb-6 p-4 rounded-xl border border-blue-300 bg-blue-50 dark:border-blue-700 dark:bg-blue-900/20">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <History className="w-6 h-6 text-blue-600 flex-shrink-0" />
+        <div className="flex-1">
+          <p className="font-medium text-blue-900 dark:text-blue-200">
+            You have unsaved changes
+            {recovery.fromOtherDevice && " from another device"}
+          </p>
+          <p className="text-sm text-blue-800 dark:text-blue-300">
+            Autosaved {timeAgo(recovery.savedAt)}
+            {recovery.fields.title && ` · "${recovery.fields.title}"`}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onRestore}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Restore
+          </button>
+          <button
+            type="button"
+            onClick={onDismiss}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg border border-blue-300 text-blue-800 hover:bg-blue-100 dark:text-blue-200 dark:hover:bg-blue-900/40 transition-colors"
+          >
+            <Trash2 className="w-4 h-4" />
+            Discard
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Small "Saving… / Saved" label for the editor toolbar
+ */
+export const AutosaveStatus = ({ status, lastSavedAt }) => {
+  if (status === "saving") {
+    return (
+      <span className="flex items-center gap-1.5 text-sm text-gray-500 dark:text-gray-400">
+        <Loader2 className="w-4 h-4 animate-spin" />
+        Saving…
+      </span>
+    );
+  }
+  if (status === "pending") {
+    return (
+      <span className="flex items-center gap-1.5 text-sm text-gray-500 dark:text-gray-400">
+        <Cloud className="w-4 h-4" />
+        Unsaved changes
+      </span>
+    );
+  }
+  if (status === "saved" && lastSavedAt) {
+    return (
+      <span
+        className="flex items-center gap-1.5 text-sm text-green-600 dark:text-green-400"
+        title={new Date(lastSavedAt).toLocaleString()}
+      >
+        <Check className="w-4 h-4" />
+        Draft autosaved
+      </span>
+    );
+  }
+  if (status === "error") {
+    return (
+      <span className="flex items-center gap-1.5 text-sm text-amber-600">
+        <CloudOff className="w-4 h-4" />
+        Saved on this device only
+      </span>
+    );
+  }
+  if (status === "conflict") {
+    return (
+      <span className="flex items-center gap-1.5 text-sm text-amber-600">
+        <MonitorSmartphone className="w-4 h-4" />
+        Autosave paused
+      </span>
+    );
+  }
+  return null;
+};
+
+export default DraftRecoveryBanner;
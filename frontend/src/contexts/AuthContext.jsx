@@ -10,6 +10,7 @@ import {
   getToken,
   setToken,
   setRefreshToken,
+  setLastActivity,
   getUser,
   setUser,
   clearAuth,
@@ -84,7 +85,30 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, [checkAuth]);
 
+  // Store tokens and user data from a successful login
+  const completeLogin = (response) => {
+    // Signing in starts the idle timeout again
+    setLastActivity();
+    if (response.accessToken) {
+      setToken(response.accessToken);
+    }
+    if (response.refreshToken) {
+      setRefreshToken(response.refreshToken);
+    }
+    if (response.user) {
+      setUser(response.user);
+    }
+
+    setUserState(response.user);
+    setIsAuthenticated(true);
+
+    toast.success("Login successful!");
+  };
+
   // Login - optimized
+  // With two-factor authentication the response is a challenge
+  // ({ twoFactorRequired, challengeToken, setupRequired }) instead; pass the
+  // response of the second step to completeLogin
   const login = async (email, password) => {
     try {
       setError(null);
@@ -92,21 +116,9 @@ export const AuthProvider = ({ children }) => {
 
       const response = await authAPI.login({ email, password });
 
-      // Store tokens and user data
-      if (response.accessToken) {
-        setToken(response.accessToken);
-      }
-      if (response.refreshToken) {
-        setRefreshToken(response.refreshToken);
-      }
-      if (response.user) {
-        setUser(response.user);
+      if (!response.twoFactorRequired) {
+        completeLogin(response);
       }
-
-      setUserState(response.user);
-      setIsAuthenticated(true);
-
-      toast.success("Login successful!");
       return response;
     } catch (error) {
       const errorMessage = error.response?.data?.message || "Login failed";
@@ -141,7 +153,7 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Logout
-  const logout = async () => {
+  const logout = async (message = "Logged out successfully") => {
     try {
       await authAPI.logout();
     } catch (error) {
@@ -151,7 +163,7 @@ export const AuthProvider = ({ children }) => {
       clearAuth();
       setUserState(null);
       setIsAuthenticated(false);
-      toast.success("Logged out successfully");
+      toast.success(message);
     }
   };
 
@@ -267,6 +279,7 @@ export const AuthProvider = ({ children }) => {
     isLoading,
     error,
     login,
+    completeLogin,
     register,
     logout,
     updateUser,
@@ -23,6 +23,7 @@ export const SiteSettingsProvider = ({ children }) => {
     siteDescription: "A collaborative blogging platform for Admas University",
     contactEmail: "support@admas.edu.et",
     maintenanceMode: false,
+    sessionTimeout: 24,
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
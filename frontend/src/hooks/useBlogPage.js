@@ -37,6 +37,8 @@ export const useBlogPage = (initialFilters = {}) => {
     tags: [],
     sortBy: 'latest',
     status: null, // For authors only
+    author: null, // Search facet
+    date: null, // Search facet: 'week' | 'month' | 'year'
     ...initialFilters,
   });
   
@@ -45,8 +47,12 @@ export const useBlogPage = (initialFilters = {}) => {
   
   // Sidebar content
   const [trendingPosts, setTrendingPosts] = useState([]);
+  const [trendingTags, setTrendingTags] = useState([]);
   const [categories, setCategories] = useState([]);
   
+  // Facet counts for the current search (null when not searching)
+  const [searchFacets, setSearchFacets] = useState(null);
+  
   // User interactions tracking
   const [userLikedPosts, setUserLikedPosts] = useState(new Set());
   const [userFollowedAuthors, setUserFollowedAuthors] = useState(new Set());
@@ -81,6 +87,9 @@ export const useBlogPage = (initialFilters = {}) => {
           case 'mostViewed':
             params.sort = 'views';
             break;
+          case 'relevance':
+            params.sort = 'relevance';
+            break;
           case 'latest':
           default:
             params.sort = 'recent';
@@ -93,9 +102,21 @@ export const useBlogPage = (initialFilters = {}) => {
         params.category = filters.category;
       }
       
+      const isSearching = Boolean(debouncedSearch && debouncedSearch.trim());
+      
       // Add tag filter
       if (filters.tags && filters.tags.length > 0) {
-        params.tag = filters.tags[0]; // API supports single tag
+        if (isSearching) {
+          params.tags = filters.tags.join(','); // Search matches all selected tags
+        } else {
+          params.tag = filters.tags[0]; // Post list supports a single tag
+        }
+      }
+      
+      // Author and date facets only apply to search
+      if (isSearching) {
+        if (filters.author) params.author = filters.author;
+        if (filters.date) params.date = filters.date;
       }
       
       // Add status filter for authors viewing their own posts
@@ -106,7 +127,7 @@ export const useBlogPage = (initialFilters = {}) => {
       let response;
       
       // Use search endpoint if search query exists
-      if (debouncedSearch && debouncedSearch.trim()) {
+      if (isSearching) {
         response = await postsAPI.searchPosts(debouncedSearch.trim(), params);
       } else {
         response = await postsAPI.getPosts(params);
@@ -122,6 +143,7 @@ export const useBlogPage = (initialFilters = {}) => {
         const paginationData = responseData.pagination || responseData.data?.pagination || {};
         
         setPosts(Array.isArray(postsData) ? postsData : []);
+        setSearchFacets(isSearching ? responseData.facets || responseData.data?.facets || null : null);
         postsCount = Array.isArray(postsData) ? postsData.length : 0;
         
         setPagination(prev => ({
@@ -160,10 +182,11 @@ export const useBlogPage = (initialFilters = {}) => {
     } finally {
       setLoading(false);
     }
-  }, [debouncedSearch, filters.category, filters.tags, filters.sortBy, filters.status, pagination.postsPerPage, isAuthenticated]);
+  }, [debouncedSearch, filters.category, filters.tags, filters.sortBy, filters.status, filters.author, filters.date, pagination.postsPerPage, isAuthenticated]);
 
   /**
-   * Fetch trending posts (top 5 by views)
+   * Fetch trending posts and tags (this week's engagement)
+   * Falls back to the most viewed posts until any post has a trending score
    * Independent from main posts - failures won't affect main content
    */
   const fetchTrendingPosts = useCallback(async () => {
@@ -171,10 +194,19 @@ export const useBlogPage = (initialFilters = {}) => {
     console.log('[useBlogPage] fetchTrendingPosts started');
     setTrendingLoading(true);
     try {
-      const response = await postsAPI.getPosts({
-        limit: 5,
-        sort: 'views',
-      });
+      const [trending, tags] = await Promise.all([
+        postsAPI.getTrendingPosts({ window: 'week', limit: 5 }),
+        postsAPI.getTrendingTags({ window: 'week', limit: 10 }).catch(() => null),
+      ]);
+      setTrendingTags(tags?.data?.tags || []);
+
+      let response = trending;
+      if (!trending?.data?.posts?.length) {
+        response = await postsAPI.getPosts({
+          limit: 5,
+          sort: 'views',
+        });
+      }
       
       // Handle different response structures
       // API returns: { success: true, data: { posts: [...], pagination: {...} } }
@@ -190,6 +222,7 @@ export const useBlogPage = (initialFilters = {}) => {
       console.error('[useBlogPage] fetchTrendingPosts error', { duration: Date.now() - startTime, error: err.message, isTimeout: err.code === 'ECONNABORTED' });
       // Set empty array on error - don't block UI
       setTrendingPosts([]);
+      setTrendingTags([]);
     } finally {
       setTrendingLoading(false);
     }
@@ -355,6 +388,8 @@ export const useBlogPage = (initialFilters = {}) => {
       tags: [],
       sortBy: 'latest',
       status: null,
+      author: null,
+      date: null,
     });
     setPagination(prev => ({ ...prev, currentPage: 1 }));
   }, []);
@@ -407,7 +442,7 @@ export const useBlogPage = (initialFilters = {}) => {
   useEffect(() => {
     fetchPosts(1);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [debouncedSearch, filters.category, filters.tags, filters.sortBy, filters.status]);
+  }, [debouncedSearch, filters.category, filters.tags, filters.sortBy, filters.status, filters.author, filters.date]);
 
   return {
     // State
@@ -417,7 +452,9 @@ export const useBlogPage = (initialFilters = {}) => {
     pagination,
     filters,
     trendingPosts,
+    trendingTags,
     categories,
+    searchFacets,
     userLikedPosts,
     userFollowedAuthors,
     
@@ -0,0 +1,439 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import {
+  apply,
+  compose,
+  transform,
+  fromDiff,
+  isNoop,
+} from "../utils/textOperation";
+import {
+  getSelectionOffsets,
+  setSelectionOffsets,
+  shiftOffset,
+} from "../utils/editorSelection";
+
+const CURSOR_THROTTLE = 150; // ms between cursor broadcasts
+
+const createClientId = () =>
+  window.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+const initialState = () => ({
+  // Server version the client has caught up to (null until collab:init)
+  version: null,
+  // Document at `version`
+  serverDoc: "",
+  // Document as the editor last showed it (serverDoc + outstanding + buffer)
+  shadow: "",
+  // Operation sent and awaiting acknowledgement: { seq, operation }
+  outstanding: null,
+  // Local changes made while waiting for the acknowledgement
+  buffer: null,
+  seq: 0,
+});
+
+/**
+ * Hook for real-time co-editing of an HTML document over the socket
+ *
+ * The client keeps at most one operation in flight; edits made meanwhile are
+ * composed into a buffer. Remote operations are transformed over both before
+ * being applied, so every editor converges on the server's document. After a
+ * reconnect the client asks for the operations it missed and resends anything
+ * unacknowledged; if the server no longer has them it merges against a fresh
+ * snapshot instead.
+ */
+export function useCollaborativeEditor({
+  editorRef,
+  postId,
+  socket,
+  isConnected,
+  onRemoteChange,
+}) {
+  const enabled = Boolean(postId && socket);
+  const [remoteCursors, setRemoteCursors] = useState({});
+
+  const clientIdRef = useRef(createClientId());
+  const stateRef = useRef(initialState());
+  const socketRef = useRef(socket);
+  const postIdRef = useRef(postId);
+  const onRemoteChangeRef = useRef(onRemoteChange);
+  const lastCursorSentRef = useRef(0);
+  const cursorTimeoutRef = useRef(null);
+
+  socketRef.current = socket;
+  postIdRef.current = postId;
+  onRemoteChangeRef.current = onRemoteChange;
+
+  // Start over when editing a different post
+  useEffect(() => {
+    stateRef.current = initialState();
+    setRemoteCursors({});
+  }, [postId]);
+
+  /**
+   * Keep remote cursors anchored to the same text after an edit
+   */
+  const shiftRemoteCursors = useCallback((oldText, newText) => {
+    if (oldText === newText) return;
+
+    setRemoteCursors((prev) => {
+      const next = {};
+      Object.entries(prev).forEach(([id, cursor]) => {
+        next[id] = {
+          ...cursor,
+          selection: cursor.selection && {
+            start: shiftOffset(cursor.selection.start, oldText, newText),
+            end: shiftOffset(cursor.selection.end, oldText, newText),
+          },
+        };
+      });
+      return next;
+    });
+  }, []);
+
+  const emitOutstanding = useCallback(() => {
+    const state = stateRef.current;
+    const activeSocket = socketRef.current;
+    if (!state.outstanding || !activeSocket?.connected) return;
+
+    activeSocket.emit("collab:operation", {
+      postId: postIdRef.current,
+      clientId: clientIdRef.current,
+      seq: state.outstanding.seq,
+      version: state.version,
+      operation: state.outstanding.operation,
+    });
+  }, []);
+
+  const sendOperation = useCallback(
+    (operation) => {
+      const state = stateRef.current;
+      state.seq += 1;
+      state.outstanding = { seq: state.seq, operation };
+      emitOutstanding();
+    },
+    [emitOutstanding],
+  );
+
+  /**
+   * Replace the editor content, keeping the local caret on the same text
+   */
+  const applyToEditor = useCallback(
+    (html) => {
+      const editor = editorRef.current;
+      const state = stateRef.current;
+      state.shadow = html;
+      if (!editor) return;
+
+      const oldText = editor.textContent;
+      const selection =
+        document.activeElement === editor ? getSelectionOffsets(editor) : null;
+
+      editor.innerHTML = html;
+
+      const newText = editor.textContent;
+      if (selection) {
+        setSelectionOffsets(editor, {
+          start: shiftOffset(selection.start, oldText, newText),
+          end: shiftOffset(selection.end, oldText, newText),
+        });
+      }
+
+      shiftRemoteCursors(oldText, newText);
+      onRemoteChangeRef.current?.(editor.innerHTML);
+    },
+    [editorRef, shiftRemoteCursors],
+  );
+
+  /**
+   * Send the difference between the editor and the last known document
+   * Call after every local edit
+   */
+  const notifyLocalChange = useCallback(() => {
+    const editor = editorRef.current;
+    const state = stateRef.current;
+    if (!enabled || !editor || state.version === null) return;
+
+    const html = editor.innerHTML;
+    if (html === state.shadow) return;
+
+    const operation = fromDiff(state.shadow, html);
+    state.shadow = html;
+
+    if (state.outstanding) {
+      state.buffer = state.buffer ? compose(state.buffer, operation) : operation;
+    } else {
+      sendOperation(operation);
+    }
+  }, [enabled, editorRef, sendOperation]);
+
+  /**
+   * Record content that was set programmatically (initial load, AI tools)
+   * Before the session starts it becomes the merge base; afterwards it is sent as an edit.
+   */
+  const syncExternalChange = useCallback(() => {
+    const state = stateRef.current;
+    if (state.version === null) {
+      state.shadow = editorRef.current?.innerHTML || "";
+      return;
+    }
+    notifyLocalChange();
+  }, [editorRef, notifyLocalChange]);
+
+  /**
+   * Apply a server operation on top of local pending edits
+   */
+  const applyRemoteOperation = useCallback(
+    (operation) => {
+      const state = stateRef.current;
+      state.serverDoc = apply(state.serverDoc, operation);
+
+      let remote = operation;
+      if (state.outstanding) {
+        const [remotePrime, outstandingPrime] = transform(
+          remote,
+          state.outstanding.operation,
+        );
+        remote = remotePrime;
+        state.outstanding.operation = outstandingPrime;
+      }
+      if (state.buffer) {
+        const [remotePrime, bufferPrime] = transform(remote, state.buffer);
+        remote = remotePrime;
+        state.buffer = bufferPrime;
+      }
+
+      if (!isNoop(remote)) {
+        applyToEditor(apply(state.shadow, remote));
+      }
+    },
+    [applyToEditor],
+  );
+
+  const confirmOutstanding = useCallback((version) => {
+    const state = stateRef.current;
+    state.serverDoc = apply(state.serverDoc, state.outstanding.operation);
+    state.version = version;
+    state.outstanding = null;
+  }, []);
+
+  const flushBuffer = useCallback(() => {
+    const state = stateRef.current;
+    if (state.outstanding || !state.buffer) return;
+
+    const buffered = state.buffer;
+    state.buffer = null;
+    sendOperation(buffered);
+  }, [sendOperation]);
+
+  const resync = useCallback(() => {
+    socketRef.current?.emit("collab:join", {
+      postId: postIdRef.current,
+      version: null,
+    });
+  }, []);
+
+  /**
+   * Broadcast the local caret/selection to other editors (throttled)
+   */
+  const sendSelection = useCallback(() => {
+    const activeSocket = socketRef.current;
+    if (!enabled || !activeSocket?.connected || stateRef.current.version === null) {
+      return;
+    }
+
+    const send = () => {
+      lastCursorSentRef.current = Date.now();
+      activeSocket.emit("collab:cursor", {
+        postId: postIdRef.current,
+        selection: getSelectionOffsets(editorRef.current),
+      });
+    };
+
+    clearTimeout(cursorTimeoutRef.current);
+    const wait = CURSOR_THROTTLE - (Date.now() - lastCursorSentRef.current);
+    if (wait <= 0) send();
+    else cursorTimeoutRef.current = setTimeout(send, wait);
+  }, [enabled, editorRef]);
+
+  // Session lifecycle - (re)joins whenever the socket (re)connects
+  useEffect(() => {
+    if (!enabled || !isConnected) return;
+
+    const handleInit = ({ postId: id, version, operations, document: snapshot }) => {
+      if (id !== postIdRef.current) return;
+      const state = stateRef.current;
+
+      if (operations && state.version !== null) {
+        // Catch up on what was missed while disconnected
+        operations.forEach((entry) => {
+          if (entry.version !== state.version + 1) return;
+
+          if (
+            entry.clientId === clientIdRef.current &&
+            state.outstanding?.seq === entry.seq
+          ) {
+            confirmOutstanding(entry.version);
+          } else {
+            applyRemoteOperation(entry.operation);
+            state.version = entry.version;
+          }
+        });
+
+        flushBuffer();
+        // Resend anything the server never received (duplicates are ignored)
+        emitOutstanding();
+        return;
+      }
+
+      // Fresh snapshot: merge local edits made since the last known document
+      const editor = editorRef.current;
+      const local = editor ? editor.innerHTML : state.shadow;
+      const base = state.version === null ? state.shadow : state.serverDoc;
+      const [remotePrime, localPrime] = transform(
+        fromDiff(base, snapshot),
+        fromDiff(base, local),
+      );
+
+      state.version = version;
+      state.serverDoc = snapshot;
+      state.outstanding = null;
+      state.buffer = null;
+      state.shadow = local;
+
+      if (!isNoop(remotePrime)) {
+        applyToEditor(apply(local, remotePrime));
+      }
+      if (!isNoop(localPrime)) {
+        sendOperation(localPrime);
+      }
+    };
+
+    const handleAck = ({ postId: id, seq, version }) => {
+      const state = stateRef.current;
+      if (id !== postIdRef.current || state.outstanding?.seq !== seq) return;
+
+      if (version !== state.version + 1) {
+        resync();
+        return;
+      }
+
+      confirmOutstanding(version);
+      flushBuffer();
+    };
+
+    const handleOperation = ({ postId: id, version, operation }) => {
+      const state = stateRef.current;
+      if (id !== postIdRef.current || state.version === null) return;
+      // Already included in the snapshot we joined with
+      if (version <= state.version) return;
+
+      if (version !== state.version + 1) {
+        resync();
+        return;
+      }
+
+      // Make sure nothing typed is left undiffed before transforming
+      notifyLocalChange();
+      applyRemoteOperation(operation);
+      state.version = version;
+    };
+
+    const handleCursor = ({ postId: id, user, selection }) => {
+      if (id !== postIdRef.current) return;
+
+      setRemoteCursors((prev) => {
+        const next = { ...prev };
+        if (selection) next[user.id] = { user, selection };
+        else delete next[user.id];
+        return next;
+      });
+    };
+
+    const handlePresenceLeave = ({ postId: id, userId }) => {
+      if (id !== postIdRef.current) return;
+
+      setRemoteCursors((prev) => {
+        const next = { ...prev };
+        delete next[userId];
+        return next;
+      });
+    };
+
+    const handleError = ({ postId: id, message, resync: shouldResync }) => {
+      if (id !== postIdRef.current) return;
+
+      if (shouldResync) {
+        resync();
+      } else {
+        console.error("Co-editing unavailable:", message);
+      }
+    };
+
+    socket.on("collab:init", handleInit);
+    socket.on("collab:ack", handleAck);
+    socket.on("collab:operation", handleOperation);
+    socket.on("collab:cursor", handleCursor);
+    socket.on("collab:error", handleError);
+    socket.on("presence:leave", handlePresenceLeave);
+
+    socket.emit("collab:join", {
+      postId,
+      version: stateRef.current.version,
+    });
+
+    return () => {
+      socket.off("collab:init", handleInit);
+      socket.off("collab:ack", handleAck);
+      socket.off("collab:operation", handleOperation);
+      socket.off("collab:cursor", handleCursor);
+      socket.off("collab:error", handleError);
+      socket.off("presence:leave", handlePresenceLeave);
+    };
+  }, [
+    enabled,
+    socket,
+    isConnected,
+    postId,
+    editorRef,
+    applyRemoteOperation,
+    applyToEditor,
+    confirmOutstanding,
+    emitOutstanding,
+    flushBuffer,
+    notifyLocalChange,
+    resync,
+    sendOperation,
+  ]);
+
+  // Share caret movement, not just edits
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleSelectionChange = () => {
+      const editor = editorRef.current;
+      const selection = window.getSelection();
+      if (editor && selection?.anchorNode && editor.contains(selection.anchorNode)) {
+        sendSelection();
+      }
+    };
+
+    document.addEventListener("selectionchange", handleSelectionChange);
+    return () => {
+      document.removeEventListener("selectionchange", handleSelectionChange);
+      clearTimeout(cursorTimeoutRef.current);
+    };
+  }, [enabled, editorRef, sendSelection]);
+
+  const cursorList = useMemo(() => Object.values(remoteCursors), [remoteCursors]);
+
+  return {
+    enabled,
+    remoteCursors: cursorList,
+    notifyLocalChange,
+    syncExternalChange,
+    sendSelection,
+  };
+}
+
+export default useCollaborativeEditor;
@@ -0,0 +1,237 @@
+import { useState, useEffect, useCallback } from 'react';
+import { commentsAPI } from '../api/comments';
+
+const COMMENTS_PAGE_SIZE = 10;
+const REPLIES_PAGE_SIZE = 5;
+
+// Apply fn to the comment with this id wherever it sits in the thread tree
+const updateInTree = (comments, commentId, fn) =>
+  comments.map((comment) => {
+    if (comment._id === commentId) return fn(comment);
+    if (!comment.replies?.length) return comment;
+    return { ...comment, replies: updateInTree(comment.replies, commentId, fn) };
+  });
+
+const findInTree = (comments, commentId) => {
+  for (const comment of comments) {
+    if (comment._id === commentId) return comment;
+    const found = findInTree(comment.replies || [], commentId);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Remove a comment, and lower its parent's reply count
+const removeFromTree = (comments, commentId) =>
+  comments
+    .filter((comment) => comment._id !== commentId)
+    .map((comment) => {
+      if (!comment.replies?.length) return comment;
+      const replies = removeFromTree(comment.replies, commentId);
+      if (replies.length === comment.replies.length) {
+        return { ...comment, replies };
+      }
+      return {
+        ...comment,
+        replies,
+        repliesCount: Math.max((comment.repliesCount || 1) - 1, 0),
+      };
+    });
+
+// Comments in a thread, counting replies that haven't been loaded yet
+const countThread = (comment) =>
+  1 +
+  Math.max((comment.repliesCount || 0) - (comment.replies?.length || 0), 0) +
+  (comment.replies || []).reduce((sum, reply) => sum + countThread(reply), 0);
+
+// Append without repeating comments already loaded (pages can overlap)
+const mergeUnique = (existing, incoming) => {
+  const seen = new Set(existing.map((comment) => comment._id));
+  return [...existing, ...incoming.filter((comment) => !seen.has(comment._id))];
+};
+
+/**
+ * Hook for a post's threaded comments
+ *
+ * Loads top-level comments a page at a time in the chosen sort order, each
+ * with its first few replies. Replies at any depth are fetched on demand with
+ * loadReplies, which picks up where the loaded ones end.
+ */
+export function useComments(postId) {
+  const [comments, setComments] = useState([]);
+  const [sort, setSort] = useState('newest');
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [totalCount, setTotalCount] = useState(0);
+  const [topLevelCount, setTopLevelCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadingReplies, setLoadingReplies] = useState({});
+
+  const fetchComments = useCallback(
+    async (nextPage = 1) => {
+      if (!postId) return;
+      try {
+        if (nextPage === 1) setLoading(true);
+        else setLoadingMore(true);
+
+        const response = await commentsAPI.getComments(postId, {
+          sort,
+          page: nextPage,
+          limit: COMMENTS_PAGE_SIZE,
+        });
+        const data = response.data || {};
+
+        setComments((prev) =>
+          nextPage === 1 ? data.comments || [] : mergeUnique(prev, data.comments || [])
+        );
+        setPage(nextPage);
+        setHasMore(!!data.pagination?.hasMore);
+        setTotalCount(data.count || 0);
+        setTopLevelCount(data.topLevelCount || 0);
+      } catch (error) {
+        console.error('Error fetching comments:', error);
+      } finally {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    },
+    [postId, sort]
+  );
+
+  useEffect(() => {
+    fetchComments(1);
+  }, [fetchComments]);
+
+  const loadMore = useCallback(() => {
+    if (hasMore && !loadingMore) fetchComments(page + 1);
+  }, [hasMore, loadingMore, fetchComments, page]);
+
+  const loadReplies = useCallback(
+    async (commentId) => {
+      const parent = findInTree(comments, commentId);
+      if (!parent) return;
+
+      const loaded = parent.replies?.length || 0;
+      setLoadingReplies((prev) => ({ ...prev, [commentId]: true }));
+      try {
+        const response = await commentsAPI.getReplies(commentId, {
+          page: Math.floor(loaded / REPLIES_PAGE_SIZE) + 1,
+          limit: REPLIES_PAGE_SIZE,
+        });
+        const data = response.data || {};
+
+        setComments((prev) =>
+          updateInTree(prev, commentId, (comment) => ({
+            ...comment,
+            replies: mergeUnique(comment.replies || [], data.replies || []),
+            repliesCount: data.pagination?.total ?? comment.repliesCount,
+          }))
+        );
+      } catch (error) {
+        console.error('Error fetching replies:', error);
+      } finally {
+        setLoadingReplies((prev) => ({ ...prev, [commentId]: false }));
+      }
+    },
+    [comments]
+  );
+
+  const addComment = useCallback(
+    async (content, parentId = null) => {
+      const response = await commentsAPI.createComment(postId, content, parentId);
+      const comment = response.data.comment;
+
+      if (parentId) {
+        setComments((prev) =>
+          updateInTree(prev, parentId, (parent) => ({
+            ...parent,
+            replies: [...(parent.replies || []), comment],
+            repliesCount: (parent.repliesCount || 0) + 1,
+          }))
+        );
+      } else {
+        setComments((prev) => [comment, ...prev]);
+        setTopLevelCount((count) => count + 1);
+      }
+      setTotalCount((count) => count + 1);
+      return comment;
+    },
+    [postId]
+  );
+
+  const deleteComment = useCallback(
+    async (commentId) => {
+      const removed = findInTree(comments, commentId);
+      await commentsAPI.deleteComment(commentId);
+
+      setComments((prev) => removeFromTree(prev, commentId));
+      if (removed) {
+        setTotalCount((count) => Math.max(count - countThread(removed), 0));
+        if (!removed.parentComment) {
+          setTopLevelCount((count) => Math.max(count - 1, 0));
+        }
+      }
+    },
+    [comments]
+  );
+
+  const editComment = useCallback(async (commentId, content) => {
+    await commentsAPI.updateComment(commentId, content);
+    setComments((prev) =>
+      updateInTree(prev, commentId, (comment) => ({
+        ...comment,
+        content,
+        isEdited: true,
+      }))
+    );
+  }, []);
+
+  const toggleLike = useCallback(
+    async (commentId) => {
+      const wasLiked = findInTree(comments, commentId)?.isLiked;
+      const applyLike = (liked) =>
+        setComments((prev) =>
+          updateInTree(prev, commentId, (comment) => ({
+            ...comment,
+            isLiked: liked,
+            likesCount: Math.max((comment.likesCount || 0) + (liked ? 1 : -1), 0),
+          }))
+        );
+
+      applyLike(!wasLiked);
+      try {
+        if (wasLiked) {
+          await commentsAPI.unlikeComment(commentId);
+        } else {
+          await commentsAPI.likeComment(commentId);
+        }
+      } catch (error) {
+        console.error('Error liking comment:', error);
+        applyLike(!!wasLiked);
+      }
+    },
+    [comments]
+  );
+
+  return {
+    comments,
+    sort,
+    setSort,
+    hasMore,
+    totalCount,
+    topLevelCount,
+    loading,
+    loadingMore,
+    loadingReplies,
+    loadMore,
+    loadReplies,
+    addComment,
+    deleteComment,
+    editComment,
+    toggleLike,
+    refresh: () => fetchComments(1),
+  };
+}
+
+export default useComments;
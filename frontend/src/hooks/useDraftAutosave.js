@@ -0,0 +1,309 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { draftsAPI } from '../api/drafts';
+
+const AUTOSAVE_DELAY = 4000; // ms of inactivity before saving to the server
+const DEVICE_KEY = 'draftDeviceId';
+
+export const SNAPSHOT_FIELDS = ['title', 'content', 'excerpt', 'category', 'tags', 'featuredImage', 'metaDescription'];
+
+const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_KEY);
+  if (!deviceId) {
+    deviceId =
+      window.crypto?.randomUUID?.() ||
+      `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    localStorage.setItem(DEVICE_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+const pickFields = (source = {}) =>
+  SNAPSHOT_FIELDS.reduce((fields, field) => {
+    if (field === 'tags') {
+      fields.tags = Array.isArray(source.tags) ? source.tags : [];
+    } else {
+      fields[field] = source[field] || '';
+    }
+    return fields;
+  }, {});
+
+const serialize = (fields) => JSON.stringify(pickFields(fields));
+
+const readLocal = (storageKey) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Hook for autosaving editor state to the draft snapshot store
+ *
+ * Every change is mirrored to localStorage straight away and saved to the
+ * server once typing pauses, so work survives a closed tab or a crash. When
+ * the editor opens with a snapshot that differs from what it loaded, the
+ * snapshot is offered back as `recovery`. A save refused because another
+ * device saved a newer snapshot (or a newer one found when the tab regains
+ * focus) is reported as `conflict`.
+ *
+ * Autosaving starts only once `ready` is true (the form holds the loaded
+ * post) and any recovery offer has been accepted or dismissed.
+ */
+export function useDraftAutosave({
+  draftKey,
+  userId,
+  values,
+  ready,
+  enabled = true,
+  onRestore,
+  delay = AUTOSAVE_DELAY,
+}) {
+  const [status, setStatus] = useState('idle');
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [recovery, setRecovery] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [checked, setChecked] = useState(false);
+
+  const deviceIdRef = useRef(null);
+  const versionRef = useRef(0);
+  const lastSavedRef = useRef(null);
+  const timerRef = useRef(null);
+  const pendingRef = useRef(null);
+  const onRestoreRef = useRef(onRestore);
+  onRestoreRef.current = onRestore;
+
+  const active = Boolean(enabled && draftKey && userId);
+  const storageKey = `draft:${userId}:${draftKey}`;
+  const serialized = serialize(values);
+
+  // Look for unsaved work once the editor has loaded
+  useEffect(() => {
+    if (!active || !ready) return;
+
+    let cancelled = false;
+    deviceIdRef.current = getDeviceId();
+    lastSavedRef.current = serialized;
+    setChecked(false);
+    setRecovery(null);
+    setConflict(null);
+
+    const check = async () => {
+      let remote = null;
+      try {
+        const response = await draftsAPI.getSnapshot(draftKey);
+        remote = response.data?.snapshot || null;
+      } catch (error) {
+        console.error('Error fetching draft snapshot:', error);
+      }
+      if (cancelled) return;
+
+      versionRef.current = remote?.version || 0;
+      const local = readLocal(storageKey);
+
+      // Offer whichever copy is newer, if it holds anything the editor doesn't
+      const remoteTime = remote ? new Date(remote.updatedAt).getTime() : 0;
+      const localTime = local ? new Date(local.savedAt).getTime() : 0;
+      const candidate =
+        remote && remoteTime >= localTime
+          ? {
+              fields: pickFields(remote),
+              savedAt: remote.updatedAt,
+              fromOtherDevice: remote.deviceId !== deviceIdRef.current,
+            }
+          : local && {
+              fields: pickFields(local.fields),
+              savedAt: local.savedAt,
+              fromOtherDevice: false,
+            };
+
+      if (candidate && serialize(candidate.fields) !== lastSavedRef.current) {
+        setRecovery(candidate);
+      }
+      setChecked(true);
+    };
+
+    check();
+    return () => {
+      cancelled = true;
+    };
+    // Run once per post; `serialized` is read as the loaded baseline
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [active, ready, draftKey, storageKey]);
+
+  const save = useCallback(
+    async ({ force = false } = {}) => {
+      const pending = pendingRef.current;
+      if (!pending) return;
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+
+      try {
+        setStatus('saving');
+        const response = await draftsAPI.saveSnapshot(draftKey, {
+          ...pending.fields,
+          deviceId: deviceIdRef.current,
+          baseVersion: versionRef.current,
+          force,
+        });
+        versionRef.current = response.data.snapshot.version;
+        lastSavedRef.current = pending.serialized;
+        if (pendingRef.current === pending) pendingRef.current = null;
+        setLastSavedAt(response.data.snapshot.updatedAt);
+        setStatus('saved');
+      } catch (error) {
+        if (error.response?.status === 409) {
+          const remote = error.response.data.data.snapshot;
+          setConflict({
+            fields: pickFields(remote),
+            savedAt: remote.updatedAt,
+            version: remote.version,
+          });
+          setStatus('conflict');
+        } else {
+          // The local copy still has the changes; the next edit retries
+          console.error('Error autosaving draft:', error);
+          setStatus('error');
+        }
+      }
+    },
+    [draftKey],
+  );
+
+  // Mirror every change locally and save to the server once typing pauses
+  useEffect(() => {
+    if (!active || !checked || recovery || conflict) return;
+
+    const fields = pickFields(values);
+    try {
+      localStorage.setItem(
+        storageKey,
+        JSON.stringify({ fields, savedAt: new Date().toISOString() }),
+      );
+    } catch (error) {
+      // Storage full - the server copy still covers it
+      console.warn('Could not store local draft copy:', error);
+    }
+
+    // Edited back to what the server already has
+    if (serialized === lastSavedRef.current) {
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+      pendingRef.current = null;
+      setStatus((prev) => (prev === 'pending' ? 'idle' : prev));
+      return;
+    }
+
+    pendingRef.current = { fields, serialized };
+    setStatus('pending');
+
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => save(), delay);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [serialized, active, checked, recovery, conflict, storageKey, delay, save]);
+
+  // Another device may have saved while this tab was in the background
+  useEffect(() => {
+    if (!active || !checked) return;
+
+    const handleVisibility = async () => {
+      if (document.visibilityState !== 'visible') return;
+      try {
+        const response = await draftsAPI.getSnapshot(draftKey);
+        const remote = response.data?.snapshot;
+        if (
+          remote &&
+          remote.version > versionRef.current &&
+          remote.deviceId !== deviceIdRef.current
+        ) {
+          setConflict({
+            fields: pickFields(remote),
+            savedAt: remote.updatedAt,
+            version: remote.version,
+          });
+          setStatus('conflict');
+        }
+      } catch (error) {
+        console.error('Error checking draft snapshot:', error);
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, [active, checked, draftKey]);
+
+  // Save what's pending when the editor closes
+  useEffect(
+    () => () => {
+      if (timerRef.current) save();
+    },
+    [save],
+  );
+
+  const restoreRecovery = useCallback(() => {
+    if (!recovery) return;
+    onRestoreRef.current?.(recovery.fields);
+    setRecovery(null);
+  }, [recovery]);
+
+  const dismissRecovery = useCallback(async () => {
+    setRecovery(null);
+    localStorage.removeItem(storageKey);
+    try {
+      await draftsAPI.discardSnapshot(draftKey);
+      versionRef.current = 0;
+    } catch (error) {
+      console.error('Error discarding draft snapshot:', error);
+    }
+  }, [draftKey, storageKey]);
+
+  const resolveConflict = useCallback(
+    (useRemote) => {
+      if (!conflict) return;
+      if (useRemote) {
+        versionRef.current = conflict.version;
+        lastSavedRef.current = serialize(conflict.fields);
+        pendingRef.current = null;
+        onRestoreRef.current?.(conflict.fields);
+        setConflict(null);
+        setStatus('saved');
+      } else {
+        // Keep this copy; later saves build on the newer version
+        versionRef.current = conflict.version;
+        setConflict(null);
+        save({ force: true });
+      }
+    },
+    [conflict, save],
+  );
+
+  /**
+   * Drop the snapshot once the post itself has been saved
+   */
+  const discard = useCallback(async () => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+    pendingRef.current = null;
+    localStorage.removeItem(storageKey);
+    setStatus('idle');
+    if (!active) return;
+    try {
+      await draftsAPI.discardSnapshot(draftKey);
+    } catch (error) {
+      console.error('Error discarding draft snapshot:', error);
+    }
+  }, [active, draftKey, storageKey]);
+
+  return {
+    status,
+    lastSavedAt,
+    recovery,
+    restoreRecovery,
+    dismissRecovery,
+    conflict,
+    resolveConflict,
+    discard,
+  };
+}
+
+export default useDraftAutosave;
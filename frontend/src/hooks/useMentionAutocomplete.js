@@ -0,0 +1,112 @@
+import { useState, useEffect, useCallback } from 'react';
+import { usersAPI } from '../api/users';
+import { useDebounce } from './useDebounce';
+
+// "@partial" right before the caret; the preceding character check keeps
+// email addresses from opening suggestions
+const MENTION_QUERY_PATTERN = /(?:^|[^\w@.-])@([a-zA-Z0-9_-]{1,30})$/;
+
+/**
+ * The username being typed at the end of some text, or null
+ * @param {String} textBeforeCaret
+ */
+export const getMentionQuery = (textBeforeCaret) => {
+  const match = textBeforeCaret.match(MENTION_QUERY_PATTERN);
+  return match ? match[1] : null;
+};
+
+/**
+ * Hook for @username suggestions while typing
+ *
+ * Call setQuery with getMentionQuery(text before the caret) on every input;
+ * suggestions are fetched once typing pauses. Pass key events to handleKeyDown
+ * first - it returns true when it used the key to move through or pick a
+ * suggestion.
+ */
+export function useMentionAutocomplete({ onSelect }) {
+  const [query, setQuery] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const debouncedQuery = useDebounce(query, 200);
+
+  useEffect(() => {
+    if (!debouncedQuery) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    usersAPI
+      .searchMentions(debouncedQuery)
+      .then((response) => {
+        if (cancelled) return;
+        setSuggestions(response.data?.users || []);
+        setActiveIndex(0);
+      })
+      .catch(() => {
+        if (!cancelled) setSuggestions([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedQuery]);
+
+  const isOpen = !!query && suggestions.length > 0;
+
+  const close = useCallback(() => {
+    setQuery(null);
+    setSuggestions([]);
+  }, []);
+
+  const select = useCallback(
+    (user) => {
+      onSelect?.(user, query);
+      close();
+    },
+    [onSelect, query, close]
+  );
+
+  const handleKeyDown = useCallback(
+    (e) => {
+      if (!isOpen) return false;
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          setActiveIndex((index) => (index + 1) % suggestions.length);
+          return true;
+        case 'ArrowUp':
+          e.preventDefault();
+          setActiveIndex((index) => (index - 1 + suggestions.length) % suggestions.length);
+          return true;
+        case 'Enter':
+        case 'Tab':
+          e.preventDefault();
+          select(suggestions[activeIndex]);
+          return true;
+        case 'Escape':
+          e.preventDefault();
+          close();
+          return true;
+        default:
+          return false;
+      }
+    },
+    [isOpen, suggestions, activeIndex, select, close]
+  );
+
+  return {
+    query,
+    setQuery,
+    suggestions,
+    activeIndex,
+    setActiveIndex,
+    isOpen,
+    select,
+    close,
+    handleKeyDown,
+  };
+}
+
+export default useMentionAutocomplete;
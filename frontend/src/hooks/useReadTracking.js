@@ -0,0 +1,80 @@
+import { useEffect, useRef } from 'react';
+import { recordRead } from '../api/analytics';
+
+// Percentage of an element that has been scrolled past the bottom of the viewport
+const percentRead = (element) => {
+  const rect = element.getBoundingClientRect();
+  if (rect.height <= 0) return 0;
+  const seen = window.innerHeight - rect.top;
+  return Math.min(Math.max((seen / rect.height) * 100, 0), 100);
+};
+
+/**
+ * Track how long the reader spends on an article (while the tab is visible)
+ * and how far they get through it. Reported whenever the reader leaves the
+ * tab, closes the page or navigates away; the server counts the view as a
+ * qualified read once enough time has been spent.
+ * @param {string} postId - Post _id, or nothing while the post is loading
+ * @returns {Object} Ref to attach to the article element
+ */
+export const useReadTracking = (postId) => {
+  const articleRef = useRef(null);
+
+  useEffect(() => {
+    if (!postId) return undefined;
+
+    let furthest = 0;
+    let activeMs = 0;
+    let visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+    let lastSent = null;
+
+    const measure = () => {
+      if (articleRef.current) {
+        furthest = Math.max(furthest, percentRead(articleRef.current));
+      }
+    };
+
+    const dwellSeconds = () =>
+      Math.round((activeMs + (visibleSince ? Date.now() - visibleSince : 0)) / 1000);
+
+    const send = () => {
+      measure();
+      const report = { dwellSeconds: dwellSeconds(), completion: Math.round(furthest) };
+      if (
+        lastSent &&
+        report.dwellSeconds === lastSent.dwellSeconds &&
+        report.completion === lastSent.completion
+      ) {
+        return;
+      }
+      lastSent = report;
+      recordRead(postId, report);
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        if (visibleSince) activeMs += Date.now() - visibleSince;
+        visibleSince = null;
+        send();
+      } else if (!visibleSince) {
+        visibleSince = Date.now();
+      }
+    };
+
+    measure();
+    window.addEventListener('scroll', measure, { passive: true });
+    window.addEventListener('pagehide', send);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      window.removeEventListener('scroll', measure);
+      window.removeEventListener('pagehide', send);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      send();
+    };
+  }, [postId]);
+
+  return articleRef;
+};
+
+export default useReadTracking;
@@ -12,6 +12,7 @@ import {
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import toast from "react-hot-toast";
+import TwoFactorChallenge from "../components/auth/TwoFactorChallenge";
 
 const Maintenance = () => {
   const [showLogin, setShowLogin] = useState(false);
@@ -20,7 +21,8 @@ const Maintenance = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
-  const { login } = useAuth();
+  const [challenge, setChallenge] = useState(null);
+  const { login, completeLogin } = useAuth();
   const navigate = useNavigate();
 
   const handleRefresh = () => {
@@ -36,31 +38,11 @@ const Maintenance = () => {
     try {
       const result = await login(email, password);
 
-      // The login function returns { user, accessToken, ... } on success
-      // Check if we got a user back (login was successful)
-      if (result && result.user) {
-        // Check role - could be in 'role' or 'roles' array
-        const userRole =
-          result.user.role || (result.user.roles && result.user.roles[0]);
-
-        console.log("Login result:", result);
-        console.log("User role:", userRole);
-
-        if (userRole === "admin" || userRole === "moderator") {
-          sessionStorage.removeItem("maintenanceMode");
-          // Use window.location for a full page reload to ensure auth state is fresh
-          window.location.href =
-            userRole === "admin" ? "/admin/dashboard" : "/moderator/dashboard";
-        } else {
-          setError(
-            "Only administrators and moderators can access the platform during maintenance."
-          );
-          localStorage.removeItem("token");
-          localStorage.removeItem("user");
-        }
-      } else {
-        setError("Invalid credentials");
+      if (result?.twoFactorRequired) {
+        setChallenge(result);
+        return;
       }
+      enterIfStaff(result);
     } catch (err) {
       console.error("Login error:", err);
       setError(
@@ -71,6 +53,37 @@ const Maintenance = () => {
     }
   };
 
+  // The login function returns { user, accessToken, ... } on success
+  const enterIfStaff = (result) => {
+    // Check if we got a user back (login was successful)
+    if (result && result.user) {
+      // Check role - could be in 'role' or 'roles' array
+      const userRole =
+        result.user.role || (result.user.roles && result.user.roles[0]);
+
+      if (userRole === "admin" || userRole === "moderator") {
+        sessionStorage.removeItem("maintenanceMode");
+        // Use window.location for a full page reload to ensure auth state is fresh
+        window.location.href =
+          userRole === "admin" ? "/admin/dashboard" : "/moderator/dashboard";
+      } else {
+        setError(
+          "Only administrators and moderators can access the platform during maintenance."
+        );
+        localStorage.removeItem("token");
+        localStorage.removeItem("user");
+      }
+    } else {
+      setError("Invalid credentials");
+    }
+  };
+
+  const handleTwoFactorComplete = (response) => {
+    completeLogin(response);
+    setChallenge(null);
+    enterIfStaff(response);
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-900 to-gray-900 flex items-center justify-center p-4">
       <motion.div
@@ -147,65 +160,76 @@ const Maintenance = () => {
               </motion.div>
             )}
 
-            <form onSubmit={handleLogin} className="space-y-4 text-left">
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-1">
-                  Email
-                </label>
-                <input
-                  type="email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  required
-                  className="w-full px-4 py-3 bg-gray-800/50 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                  placeholder="admin@admas.edu"
+            {challenge ? (
+              <div className="text-left dark">
+                <TwoFactorChallenge
+                  challenge={challenge}
+                  onComplete={handleTwoFactorComplete}
+                  onCancel={() => setChallenge(null)}
                 />
               </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-1">
-                  Password
-                </label>
-                <div className="relative">
+            ) : (
+              <form onSubmit={handleLogin} className="space-y-4 text-left">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">
+                    Email
+                  </label>
                   <input
-                    type={showPassword ? "text" : "password"}
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
                     required
-                    className="w-full px-4 py-3 bg-gray-800/50 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent pr-12"
-                    placeholder="••••••••"
+                    className="w-full px-4 py-3 bg-gray-800/50 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="admin@admas.edu"
                   />
-                  <button
-                    type="button"
-                    onClick={() => setShowPassword(!showPassword)}
-                    className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-500 hover:text-gray-300"
-                  >
-                    {showPassword ? (
-                      <EyeOff className="w-5 h-5" />
-                    ) : (
-                      <Eye className="w-5 h-5" />
-                    )}
-                  </button>
                 </div>
-              </div>
 
-              <button
-                type="submit"
-                disabled={loading}
-                className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-              >
-                {loading ? (
-                  <RefreshCw className="w-5 h-5 animate-spin" />
-                ) : (
-                  <LogIn className="w-5 h-5" />
-                )}
-                {loading ? "Signing in..." : "Sign In"}
-              </button>
-            </form>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">
+                    Password
+                  </label>
+                  <div className="relative">
+                    <input
+                      type={showPassword ? "text" : "password"}
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      required
+                      className="w-full px-4 py-3 bg-gray-800/50 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent pr-12"
+                      placeholder="••••••••"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-500 hover:text-gray-300"
+                    >
+                      {showPassword ? (
+                        <EyeOff className="w-5 h-5" />
+                      ) : (
+                        <Eye className="w-5 h-5" />
+                      )}
+                    </button>
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {loading ? (
+                    <RefreshCw className="w-5 h-5 animate-spin" />
+                  ) : (
+                    <LogIn className="w-5 h-5" />
+                  )}
+                  {loading ? "Signing in..." : "Sign In"}
+                </button>
+              </form>
+            )}
 
             <button
               onClick={() => {
                 setShowLogin(false);
+                setChallenge(null);
                 setError("");
                 setEmail("");
                 setPassword("");
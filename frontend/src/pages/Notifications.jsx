@@ -43,6 +43,7 @@ import {
   FileText,
   Check,
   Trash2,
+  BellOff,
   Filter,
   Clock,
   AlertCircle,
@@ -55,6 +56,7 @@ import {
 } from "lucide-react";
 import { notificationsAPI } from "../api/notifications";
 import { collaborationAPI } from "../api/collaboration";
+import { usersAPI } from "../api/users";
 import { formatDistanceToNow, format } from "date-fns";
 import toast from "react-hot-toast";
 import LoadingSpinner from "../components/common/LoadingSpinner";
@@ -239,10 +241,30 @@ const getActionLabel = (type) => {
   return labels[type] || "View Details";
 };
 
+// Types that can be silenced by muting their post or sender; notifications
+// about the user's own posts and account always arrive
+const MUTABLE_TYPES = [
+  "like",
+  "dislike",
+  "comment",
+  "reply",
+  "mention",
+  "follow",
+  "post_published",
+  "post_reviewed",
+  "review_requested",
+  "collaboration_invite",
+  "collaboration_accepted",
+  "collaboration_declined",
+  "collaboration_removed",
+  "collaboration_left",
+];
+
 const NotificationCard = ({
   notification,
   onMarkAsRead,
   onDelete,
+  onMute,
   onRefresh,
 }) => {
   const config =
@@ -279,6 +301,9 @@ const NotificationCard = ({
   };
 
   const isCollaborationInvite = notification.type === "collaboration_invite";
+  const canMute = MUTABLE_TYPES.includes(notification.type);
+  const mutePostId = notification.relatedPost?._id || notification.relatedPost;
+  const muteUserId = notification.sender?._id || notification.sender;
 
   return (
     <motion.div
@@ -427,6 +452,28 @@ const NotificationCard = ({
                 </button>
               )}
 
+              {canMute && mutePostId && (
+                <button
+                  onClick={() => onMute("post", mutePostId)}
+                  title="Mute this post"
+                  className="inline-flex items-center gap-1.5 px-3 py-2 text-gray-500 dark:text-gray-400 text-sm hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                >
+                  <BellOff className="w-4 h-4" />
+                  Mute post
+                </button>
+              )}
+
+              {canMute && muteUserId && (
+                <button
+                  onClick={() => onMute("user", muteUserId)}
+                  title="Mute this person"
+                  className="inline-flex items-center gap-1.5 px-3 py-2 text-gray-500 dark:text-gray-400 text-sm hover:text-gray-700 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                >
+                  <BellOff className="w-4 h-4" />
+                  Mute person
+                </button>
+              )}
+
               <button
                 onClick={() => onDelete(notification._id)}
                 className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
@@ -526,6 +573,15 @@ const Notifications = () => {
     }
   };
 
+  const handleMute = async (type, id) => {
+    try {
+      const response = await usersAPI.mute(type, id);
+      toast.success(response.message || "Muted");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to mute");
+    }
+  };
+
   const handleDeleteAll = async () => {
     if (!window.confirm("Are you sure you want to delete all notifications?"))
       return;
@@ -666,6 +722,7 @@ const Notifications = () => {
                   notification={notification}
                   onMarkAsRead={handleMarkAsRead}
                   onDelete={handleDelete}
+                  onMute={handleMute}
                   onRefresh={() => fetchNotifications(true)}
                 />
               ))}
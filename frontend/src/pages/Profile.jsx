@@ -30,7 +30,7 @@ import Card from "../components/common/Card";
 import Button from "../components/common/Button";
 import Avatar from "../components/common/Avatar";
 import LoadingSpinner from "../components/common/LoadingSpinner";
-import { User, Mail, Phone, Globe, Edit2 } from "lucide-react";
+import { User, Mail, Phone, Globe, Edit2, Eye } from "lucide-react";
 import toast from "react-hot-toast";
 
 const Profile = () => {
@@ -144,12 +144,19 @@ const Profile = () => {
           </div>
         )}
 
-        <div className="mt-8 flex justify-center">
+        <div className="mt-8 flex justify-center gap-3">
           <Link to="/profile/edit">
             <Button variant="primary" icon={Edit2}>
               Edit Profile
             </Button>
           </Link>
+          {profile?.username && (
+            <Link to={`/u/${profile.username}`}>
+              <Button variant="secondary" icon={Eye}>
+                View Public Profile
+              </Button>
+            </Link>
+          )}
         </div>
       </Card>
     </div>
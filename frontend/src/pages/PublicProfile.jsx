@@ -0,0 +1,400 @@
+/**
+ * ============================================================================
+ * PUBLIC PROFILE PAGE
+ * ============================================================================
+ *
+ * An author's public profile at /u/:username.
+ *
+ * DISPLAYED INFORMATION:
+ *   - Avatar, name, username, role and join date
+ *   - Bio, website and social links (email only if the author shows it)
+ *   - Published posts, follower and following counts
+ *   - The author's published posts
+ *
+ * VISIBILITY:
+ *   Follows the author's privacy settings. Private profiles and followers-only
+ *   profiles (for non-followers) show just the author's name and avatar.
+ *   Follower counts are hidden when the author turns off showFollowers.
+ *
+ * Author: Admas Blog Development Team
+ * ============================================================================
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { Link, useParams } from "react-router-dom";
+import { format } from "date-fns";
+import {
+  Calendar,
+  Edit2,
+  Eye,
+  Flag,
+  Github,
+  Globe,
+  Heart,
+  Linkedin,
+  Lock,
+  Mail,
+  MessageCircle,
+  Twitter,
+} from "lucide-react";
+import { useAuth } from "../hooks/useAuth";
+import { usersAPI } from "../api/users";
+import Card from "../components/common/Card";
+import Button from "../components/common/Button";
+import Avatar from "../components/common/Avatar";
+import Badge from "../components/common/Badge";
+import FollowButton from "../components/common/FollowButton";
+import LoadingSpinner from "../components/common/LoadingSpinner";
+import ReportModal from "../components/moderation/ReportModal";
+import NotFound from "./NotFound";
+
+const POSTS_PER_PAGE = 9;
+
+const SOCIAL_LINKS = [
+  { key: "twitter", label: "Twitter", icon: Twitter },
+  { key: "linkedin", label: "LinkedIn", icon: Linkedin },
+  { key: "github", label: "GitHub", icon: Github },
+  { key: "website", label: "Website", icon: Globe },
+];
+
+const PublicProfile = () => {
+  const { username } = useParams();
+  const { isAuthenticated } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [restricted, setRestricted] = useState(false);
+  const [notFound, setNotFound] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [posts, setPosts] = useState([]);
+  const [postsPage, setPostsPage] = useState(1);
+  const [postsPages, setPostsPages] = useState(1);
+  const [loadingPosts, setLoadingPosts] = useState(false);
+  const [reportOpen, setReportOpen] = useState(false);
+
+  const fetchPosts = useCallback(
+    async (page = 1) => {
+      try {
+        setLoadingPosts(true);
+        const response = await usersAPI.getPublicProfilePosts(username, {
+          page,
+          limit: POSTS_PER_PAGE,
+        });
+        const data = response.data || {};
+        setPosts((prev) =>
+          page === 1 ? data.posts || [] : [...prev, ...(data.posts || [])]
+        );
+        setPostsPage(page);
+        setPostsPages(data.pagination?.pages || 1);
+      } catch (error) {
+        console.error("Error fetching profile posts:", error);
+      } finally {
+        setLoadingPosts(false);
+      }
+    },
+    [username]
+  );
+
+  const fetchProfile = useCallback(async () => {
+    try {
+      setLoading(true);
+      setNotFound(false);
+      const response = await usersAPI.getPublicProfile(username);
+      setProfile(response.data.profile);
+      setRestricted(response.data.restricted);
+      if (!response.data.restricted) {
+        fetchPosts(1);
+      } else {
+        setPosts([]);
+      }
+    } catch (error) {
+      if (error.response?.status === 404) {
+        setNotFound(true);
+      } else {
+        console.error("Error fetching profile:", error);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [username, fetchPosts]);
+
+  useEffect(() => {
+    fetchProfile();
+  }, [fetchProfile]);
+
+  // Following a followers-only profile unlocks it, so reload
+  const handleFollowChange = (isFollowing, counts) => {
+    if (restricted) {
+      fetchProfile();
+      return;
+    }
+    setProfile((prev) => ({
+      ...prev,
+      isFollowing,
+      ...(prev.showFollowers && counts?.followersCount !== undefined
+        ? { followersCount: counts.followersCount }
+        : {}),
+    }));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <LoadingSpinner size="lg" text="Loading profile..." />
+      </div>
+    );
+  }
+
+  if (notFound || !profile) {
+    return <NotFound />;
+  }
+
+  const displayName =
+    profile.fullName ||
+    `${profile.firstName || ""} ${profile.lastName || ""}`.trim() ||
+    profile.username;
+  const canFollow =
+    !profile.isOwnProfile && profile.visibility !== "private";
+  const canReport = isAuthenticated && !profile.isOwnProfile;
+  const socialLinks = SOCIAL_LINKS.filter(
+    ({ key }) => profile.socialLinks?.[key]
+  );
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+      <Card className="p-8">
+        <div className="flex flex-col sm:flex-row items-center sm:items-start gap-6">
+          <Avatar
+            src={profile.avatar}
+            alt={displayName}
+            fallback={displayName}
+            size="2xl"
+          />
+
+          <div className="flex-1 text-center sm:text-left">
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+              {displayName}
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400">
+              @{profile.username}
+            </p>
+
+            {!restricted && (
+              <div className="flex flex-wrap items-center justify-center sm:justify-start gap-3 mt-2 text-sm text-gray-500 dark:text-gray-400">
+                {profile.role && (
+                  <Badge variant="primary" size="sm" className="capitalize">
+                    {profile.role}
+                  </Badge>
+                )}
+                {profile.joinedAt && (
+                  <span className="flex items-center gap-1">
+                    <Calendar className="w-4 h-4" />
+                    Joined {format(new Date(profile.joinedAt), "MMMM yyyy")}
+                  </span>
+                )}
+                {profile.email && (
+                  <a
+                    href={`mailto:${profile.email}`}
+                    className="flex items-center gap-1 hover:text-blue-600"
+                  >
+                    <Mail className="w-4 h-4" />
+                    {profile.email}
+                  </a>
+                )}
+              </div>
+            )}
+
+            {!restricted && profile.bio && (
+              <p className="mt-4 text-gray-700 dark:text-gray-300 whitespace-pre-wrap">
+                {profile.bio}
+              </p>
+            )}
+
+            {!restricted && (socialLinks.length > 0 || profile.website) && (
+              <div className="flex flex-wrap items-center justify-center sm:justify-start gap-4 mt-4">
+                {profile.website && !profile.socialLinks?.website && (
+                  <a
+                    href={profile.website}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center gap-1 text-sm text-blue-600 hover:underline"
+                  >
+                    <Globe className="w-4 h-4" />
+                    Website
+                  </a>
+                )}
+                {socialLinks.map(({ key, label, icon: Icon }) => (
+                  <a
+                    key={key}
+                    href={profile.socialLinks[key]}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex items-center gap-1 text-sm text-blue-600 hover:underline"
+                  >
+                    <Icon className="w-4 h-4" />
+                    {label}
+                  </a>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex flex-col items-center gap-2">
+            {profile.isOwnProfile ? (
+              <Link to="/profile/edit">
+                <Button variant="primary" icon={Edit2}>
+                  Edit Profile
+                </Button>
+              </Link>
+            ) : (
+              canFollow && (
+                <FollowButton
+                  userId={profile._id}
+                  initialFollowing={profile.isFollowing}
+                  onFollowChange={handleFollowChange}
+                />
+              )
+            )}
+            {canReport && (
+              <button
+                onClick={() => setReportOpen(true)}
+                className="flex items-center gap-1 text-xs text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors"
+              >
+                <Flag className="w-3 h-3" />
+                Report user
+              </button>
+            )}
+          </div>
+        </div>
+
+        {!restricted && (
+          <div className="grid grid-cols-3 gap-4 mt-8 pt-6 border-t border-gray-200 dark:border-gray-700 text-center">
+            <div>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                {profile.postsCount ?? 0}
+              </p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">Posts</p>
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                {profile.showFollowers ? profile.followersCount ?? 0 : "—"}
+              </p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Followers
+              </p>
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                {profile.showFollowers ? profile.followingCount ?? 0 : "—"}
+              </p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Following
+              </p>
+            </div>
+          </div>
+        )}
+      </Card>
+
+      {restricted ? (
+        <Card className="p-12 text-center">
+          <Lock className="w-12 h-12 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
+            {profile.visibility === "private"
+              ? "This profile is private"
+              : "Only followers can see this profile"}
+          </h2>
+          <p className="text-gray-500 dark:text-gray-400">
+            {profile.visibility === "private"
+              ? `${displayName} has chosen to keep their profile private.`
+              : isAuthenticated
+              ? `Follow ${displayName} to see their posts and profile.`
+              : "Sign in and follow this author to see their posts and profile."}
+          </p>
+        </Card>
+      ) : (
+        <section>
+          <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">
+            Published Posts
+          </h2>
+
+          {posts.length === 0 && !loadingPosts ? (
+            <Card className="p-12 text-center text-gray-500 dark:text-gray-400">
+              No published posts yet.
+            </Card>
+          ) : (
+            <div className="grid gap-6 sm:grid-cols-2 lg:grid-cols-3">
+              {posts.map((post) => (
+                <Link key={post._id} to={`/posts/${post._id}`}>
+                  <Card hover className="h-full overflow-hidden">
+                    {post.featuredImage && (
+                      <img
+                        src={post.featuredImage}
+                        alt={post.title}
+                        className="w-full h-40 object-cover"
+                        loading="lazy"
+                      />
+                    )}
+                    <div className="p-4">
+                      {post.category && (
+                        <p className="text-xs font-medium text-blue-600 dark:text-blue-400 uppercase mb-1">
+                          {post.category}
+                        </p>
+                      )}
+                      <h3 className="font-semibold text-gray-900 dark:text-white line-clamp-2">
+                        {post.title}
+                      </h3>
+                      {post.excerpt && (
+                        <p className="mt-2 text-sm text-gray-600 dark:text-gray-400 line-clamp-3">
+                          {post.excerpt}
+                        </p>
+                      )}
+                      <div className="flex items-center gap-4 mt-3 text-xs text-gray-500 dark:text-gray-400">
+                        {post.publishedAt && (
+                          <span>
+                            {format(new Date(post.publishedAt), "MMM d, yyyy")}
+                          </span>
+                        )}
+                        <span className="flex items-center gap-1">
+                          <Eye className="w-3 h-3" />
+                          {post.views || 0}
+                        </span>
+                        <span className="flex items-center gap-1">
+                          <Heart className="w-3 h-3" />
+                          {post.likesCount || 0}
+                        </span>
+                        <span className="flex items-center gap-1">
+                          <MessageCircle className="w-3 h-3" />
+                          {post.commentsCount || 0}
+                        </span>
+                      </div>
+                    </div>
+                  </Card>
+                </Link>
+              ))}
+            </div>
+          )}
+
+          {postsPage < postsPages && (
+            <div className="flex justify-center mt-6">
+              <Button
+                variant="secondary"
+                onClick={() => fetchPosts(postsPage + 1)}
+                disabled={loadingPosts}
+              >
+                {loadingPosts ? "Loading..." : "Load more posts"}
+              </Button>
+            </div>
+          )}
+        </section>
+      )}
+
+      <ReportModal
+        isOpen={reportOpen}
+        onClose={() => setReportOpen(false)}
+        targetType="user"
+        targetId={profile._id}
+        targetLabel={`@${profile.username}`}
+      />
+    </div>
+  );
+};
+
+export default PublicProfile;
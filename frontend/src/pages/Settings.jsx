@@ -28,11 +28,9 @@ import {
   Moon,
   Sun,
   Palette,
-  FileText,
   Settings as SettingsIcon,
   LogOut,
   Loader2,
-  CheckCircle,
   Link as LinkIcon,
   Twitter,
   Facebook,
@@ -42,6 +40,9 @@ import {
 } from "lucide-react";
 import toast from "react-hot-toast";
 import LoadingSpinner from "../components/common/LoadingSpinner";
+import NotificationSettings from "../components/notifications/NotificationSettings";
+import TwoFactorSettings from "../components/auth/TwoFactorSettings";
+import ActiveSessions from "../components/auth/ActiveSessions";
 
 const Settings = () => {
   const { user, logout, updateUser } = useAuth();
@@ -85,12 +86,6 @@ const Settings = () => {
 
   // Preferences state
   const [preferences, setPreferences] = useState({
-    emailNotifications: true,
-    pushNotifications: true,
-    weeklyDigest: true,
-    newFollowerAlert: true,
-    commentAlert: true,
-    likeAlert: false,
     profileVisibility: "public",
     showEmail: false,
     theme: "system",
@@ -610,148 +605,15 @@ const Settings = () => {
                 </div>
               </div>
             )}
+            {activeSection === "account" && (
+              <>
+                <TwoFactorSettings />
+                <ActiveSessions />
+              </>
+            )}
 
             {/* Notifications Section */}
-            {activeSection === "notifications" && (
-              <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
-                <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-6">
-                  Notification Preferences
-                </h2>
-
-                <div className="space-y-6">
-                  <div className="flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
-                    <div className="flex items-center gap-3">
-                      <Mail className="w-5 h-5 text-blue-500" />
-                      <div>
-                        <p className="font-medium text-gray-900 dark:text-white">
-                          Email Notifications
-                        </p>
-                        <p className="text-sm text-gray-500">
-                          Receive notifications via email
-                        </p>
-                      </div>
-                    </div>
-                    <label className="relative inline-flex items-center cursor-pointer">
-                      <input
-                        type="checkbox"
-                        checked={preferences.emailNotifications}
-                        onChange={(e) =>
-                          setPreferences({
-                            ...preferences,
-                            emailNotifications: e.target.checked,
-                          })
-                        }
-                        className="sr-only peer"
-                      />
-                      <div className="w-11 h-6 bg-gray-200 peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-                    </label>
-                  </div>
-
-                  <div className="flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
-                    <div className="flex items-center gap-3">
-                      <Bell className="w-5 h-5 text-purple-500" />
-                      <div>
-                        <p className="font-medium text-gray-900 dark:text-white">
-                          Push Notifications
-                        </p>
-                        <p className="text-sm text-gray-500">
-                          Receive push notifications in browser
-                        </p>
-                      </div>
-                    </div>
-                    <label className="relative inline-flex items-center cursor-pointer">
-                      <input
-                        type="checkbox"
-                        checked={preferences.pushNotifications}
-                        onChange={(e) =>
-                          setPreferences({
-                            ...preferences,
-                            pushNotifications: e.target.checked,
-                          })
-                        }
-                        className="sr-only peer"
-                      />
-                      <div className="w-11 h-6 bg-gray-200 peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-                    </label>
-                  </div>
-
-                  <h3 className="text-lg font-semibold text-gray-900 dark:text-white pt-4">
-                    Alert Types
-                  </h3>
-
-                  {[
-                    {
-                      key: "weeklyDigest",
-                      label: "Weekly Digest",
-                      desc: "Summary of your weekly activity",
-                      icon: FileText,
-                    },
-                    {
-                      key: "newFollowerAlert",
-                      label: "New Followers",
-                      desc: "When someone follows you",
-                      icon: User,
-                    },
-                    {
-                      key: "commentAlert",
-                      label: "Comments",
-                      desc: "When someone comments on your post",
-                      icon: Bell,
-                    },
-                    {
-                      key: "likeAlert",
-                      label: "Likes",
-                      desc: "When someone likes your post",
-                      icon: CheckCircle,
-                    },
-                  ].map((item) => (
-                    <div
-                      key={item.key}
-                      className="flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg"
-                    >
-                      <div className="flex items-center gap-3">
-                        <item.icon className="w-5 h-5 text-gray-500" />
-                        <div>
-                          <p className="font-medium text-gray-900 dark:text-white">
-                            {item.label}
-                          </p>
-                          <p className="text-sm text-gray-500">{item.desc}</p>
-                        </div>
-                      </div>
-                      <label className="relative inline-flex items-center cursor-pointer">
-                        <input
-                          type="checkbox"
-                          checked={preferences[item.key]}
-                          onChange={(e) =>
-                            setPreferences({
-                              ...preferences,
-                              [item.key]: e.target.checked,
-                            })
-                          }
-                          className="sr-only peer"
-                        />
-                        <div className="w-11 h-6 bg-gray-200 peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-                      </label>
-                    </div>
-                  ))}
-                </div>
-
-                <div className="mt-8 flex justify-end">
-                  <button
-                    onClick={handleSavePreferences}
-                    disabled={saving}
-                    className="flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
-                  >
-                    {saving ? (
-                      <Loader2 className="w-5 h-5 animate-spin" />
-                    ) : (
-                      <Save className="w-5 h-5" />
-                    )}
-                    Save Preferences
-                  </button>
-                </div>
-              </div>
-            )}
+            {activeSection === "notifications" && <NotificationSettings />}
 
             {/* Privacy Section */}
             {activeSection === "privacy" && (
@@ -0,0 +1,114 @@
+/**
+ * ============================================================================
+ * UNLOCK ACCOUNT PAGE
+ * ============================================================================
+ *
+ * Unlocks an account locked by failed logins, via the link in the
+ * "your account was locked" email.
+ *
+ * Author: Admas Blog Development Team
+ * ============================================================================
+ */
+
+import { useState, useEffect, useRef } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { CheckCircle, XCircle, Loader2, ArrowLeft } from "lucide-react";
+import { authAPI } from "../api/auth";
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState("loading"); // loading, success, error
+  const [message, setMessage] = useState("");
+  // The link works once, so it must not be sent twice
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    const token = searchParams.get("token");
+    if (!token) {
+      setStatus("error");
+      setMessage("Invalid unlock link. Please use the link from your email.");
+      return;
+    }
+
+    authAPI
+      .unlockAccount(token)
+      .then((response) => {
+        setStatus("success");
+        setMessage(response.message);
+      })
+      .catch((error) => {
+        setStatus("error");
+        setMessage(
+          error.response?.data?.message ||
+            "Failed to unlock your account. Please try again."
+        );
+      });
+  }, [searchParams]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 via-blue-50 to-gray-100 dark:from-gray-950 dark:via-gray-900 dark:to-gray-950 px-4 py-12">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="w-full max-w-md"
+      >
+        <div className="bg-white/80 dark:bg-white/10 backdrop-blur-xl rounded-2xl shadow-2xl p-8 border border-gray-200 dark:border-white/20 text-center">
+          {status === "loading" && (
+            <>
+              <div className="w-16 h-16 mx-auto mb-6 bg-blue-100 dark:bg-blue-500/20 rounded-full flex items-center justify-center">
+                <Loader2 className="w-8 h-8 text-blue-600 dark:text-blue-400 animate-spin" />
+              </div>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+                Unlocking your account...
+              </h1>
+            </>
+          )}
+
+          {status === "success" && (
+            <>
+              <div className="w-16 h-16 mx-auto mb-6 bg-green-100 dark:bg-green-500/20 rounded-full flex items-center justify-center">
+                <CheckCircle className="w-8 h-8 text-green-600 dark:text-green-400" />
+              </div>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+                Account unlocked
+              </h1>
+              <p className="text-gray-600 dark:text-gray-400 mb-6">{message}</p>
+              <Link
+                to="/login"
+                className="inline-flex items-center justify-center w-full py-3 px-4 bg-gradient-to-r from-blue-600 to-cyan-600 text-white font-semibold rounded-xl"
+              >
+                Go to login
+              </Link>
+            </>
+          )}
+
+          {status === "error" && (
+            <>
+              <div className="w-16 h-16 mx-auto mb-6 bg-red-100 dark:bg-red-500/20 rounded-full flex items-center justify-center">
+                <XCircle className="w-8 h-8 text-red-600 dark:text-red-400" />
+              </div>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+                Couldn't unlock your account
+              </h1>
+              <p className="text-gray-600 dark:text-gray-400 mb-6">{message}</p>
+              <Link
+                to="/login"
+                className="inline-flex items-center gap-2 text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                <ArrowLeft className="w-4 h-4" />
+                Back to login
+              </Link>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -16,16 +16,20 @@ import {
   Eye,
   Heart,
   MessageSquare,
+  Download,
 } from "lucide-react";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
 import { format } from "date-fns";
 import { Bar, Line, Doughnut } from "react-chartjs-2";
 import DashboardLayout from "../../components/dashboard/DashboardLayout";
 import BlogEngagementSection from "../../components/admin/BlogEngagementSection";
+import AnalyticsExportDialog from "../../components/analytics/AnalyticsExportDialog";
+import { Button } from "../../components/ui/button";
 
 const AdminAnalyticsDashboard = () => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [exportOpen, setExportOpen] = useState(false);
 
   useEffect(() => {
     fetchDashboardData();
@@ -73,14 +77,20 @@ const AdminAnalyticsDashboard = () => {
     <DashboardLayout userRole="admin">
       <div className="space-y-6 pb-8">
         {/* Header */}
-        <div>
-          <h1 className="text-2xl lg:text-3xl font-bold tracking-tight flex items-center gap-3">
-            <BarChart3 className="w-8 h-8 text-indigo-600" />
-            Analytics
-          </h1>
-          <p className="text-sm text-muted-foreground mt-1">
-            Detailed platform insights and trends
-          </p>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-2xl lg:text-3xl font-bold tracking-tight flex items-center gap-3">
+              <BarChart3 className="w-8 h-8 text-indigo-600" />
+              Analytics
+            </h1>
+            <p className="text-sm text-muted-foreground mt-1">
+              Detailed platform insights and trends
+            </p>
+          </div>
+          <Button variant="outline" size="sm" className="gap-2" onClick={() => setExportOpen(true)}>
+            <Download className="h-4 w-4" />
+            Export
+          </Button>
         </div>
 
         {/* Engagement Summary Cards */}
@@ -325,6 +335,8 @@ const AdminAnalyticsDashboard = () => {
           <BlogEngagementSection />
         </div>
       </div>
+
+      <AnalyticsExportDialog open={exportOpen} onOpenChange={setExportOpen} />
     </DashboardLayout>
   );
 };
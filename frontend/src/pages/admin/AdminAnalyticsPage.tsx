@@ -22,11 +22,27 @@ import {
   BookOpen,
   Eye,
   Clock,
+  CalendarRange,
+  UserCheck,
 } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 // @ts-ignore - JSX component
 import BlogEngagementSection from '@/components/admin/BlogEngagementSection';
 import AdvancedAnalyticsChart from '@/components/admin/AdvancedAnalyticsChart';
+// @ts-ignore - JSX component
+import AnalyticsExportDialog from '@/components/analytics/AnalyticsExportDialog';
+// @ts-ignore - JSX component
+import DateRangeFilter from '@/components/analytics/DateRangeFilter';
+// @ts-ignore - JSX component
+import PeriodComparison from '@/components/analytics/PeriodComparison';
+// @ts-ignore - JSX component
+import CohortAnalysis from '@/components/analytics/CohortAnalysis';
+
+interface MetricComparison {
+  current: number;
+  previous: number;
+  change: number | null;
+}
 
 interface DashboardData {
   platformStats: {
@@ -50,6 +66,13 @@ interface DashboardData {
     rejected: number;
     approvalRate: number;
   };
+  comparison?: {
+    from: string;
+    to: string;
+    previousFrom: string;
+    previousTo: string;
+    metrics: Record<string, MetricComparison>;
+  };
 }
 
 const containerVariants = {
@@ -67,6 +90,18 @@ const itemVariants = {
 
 const AUTO_REFRESH_INTERVAL = 30000;
 
+// Metrics shown when comparing with the previous period, in order
+const COMPARISON_METRICS = [
+  ['newUsers', 'New Users'],
+  ['postsPublished', 'Posts Published'],
+  ['views', 'Unique Views'],
+  ['qualifiedReads', 'Qualified Reads'],
+  ['hits', 'Page Hits'],
+  ['likes', 'Likes'],
+  ['comments', 'Comments'],
+  ['postsCreated', 'Posts Created'],
+];
+
 // Role icon mapping
 const roleIcons: Record<string, React.ElementType> = {
   admin: Shield,
@@ -91,13 +126,15 @@ const AdminAnalyticsPage: React.FC = () => {
   const [autoRefresh, setAutoRefresh] = useState(true);
   const [lastUpdated, setLastUpdated] = useState<Date | null>(null);
   const [isLive, setIsLive] = useState(true);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [rangeParams, setRangeParams] = useState<Record<string, string>>({});
   const intervalRef = useRef<NodeJS.Timeout | null>(null);
 
   const fetchData = useCallback(
     async (showToast = false) => {
       try {
         if (!data) setLoading(true);
-        const response = await getAdminDashboard();
+        const response = await getAdminDashboard(rangeParams);
         if (response.success && response.data) {
           setData(response.data);
           setLastUpdated(new Date());
@@ -142,12 +179,12 @@ const AdminAnalyticsPage: React.FC = () => {
         setRefreshing(false);
       }
     },
-    [data, hasShownError]
+    [data, hasShownError, rangeParams]
   );
 
   useEffect(() => {
     fetchData(false);
-  }, []);
+  }, [rangeParams]);
 
   useEffect(() => {
     if (autoRefresh) {
@@ -260,7 +297,7 @@ const AdminAnalyticsPage: React.FC = () => {
               {autoRefresh ? <Wifi className="h-4 w-4" /> : <WifiOff className="h-4 w-4" />}
               <span className="hidden sm:inline">{autoRefresh ? 'Auto' : 'Manual'}</span>
             </Button>
-            <Button variant="outline" size="sm" className="gap-2">
+            <Button variant="outline" size="sm" className="gap-2" onClick={() => setExportOpen(true)}>
               <Download className="h-4 w-4" />
               <span className="hidden sm:inline">Export</span>
             </Button>
@@ -271,6 +308,22 @@ const AdminAnalyticsPage: React.FC = () => {
           </div>
         </motion.div>
 
+        {/* Period */}
+        <motion.div variants={itemVariants}>
+          <Card className="border-0 shadow-md">
+            <CardContent className="p-6 space-y-4">
+              <div className="flex flex-col md:flex-row md:items-center gap-3">
+                <div className="flex items-center gap-2 text-sm font-medium">
+                  <CalendarRange className="h-4 w-4 text-primary" />
+                  Period
+                </div>
+                <DateRangeFilter onChange={setRangeParams} />
+              </div>
+              <PeriodComparison comparison={data.comparison} metrics={COMPARISON_METRICS} />
+            </CardContent>
+          </Card>
+        </motion.div>
+
         {/* Quick Stats */}
         <motion.div variants={itemVariants}>
           <Card className="border-0 shadow-md bg-gradient-to-r from-muted/50 to-background">
@@ -608,6 +661,24 @@ const AdminAnalyticsPage: React.FC = () => {
           </div>
         </motion.div>
 
+        {/* Signup Cohorts */}
+        <motion.div variants={itemVariants}>
+          <Card className="border-0 shadow-md">
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <UserCheck className="h-5 w-5 text-primary" />
+                Signup Cohorts
+              </CardTitle>
+              <CardDescription>
+                Share of each month&apos;s new users who went on to post or comment, month by month
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <CohortAnalysis />
+            </CardContent>
+          </Card>
+        </motion.div>
+
         {/* Blog Engagement Section */}
         <motion.div variants={itemVariants}>
           <Card className="border-0 shadow-md">
@@ -624,6 +695,8 @@ const AdminAnalyticsPage: React.FC = () => {
           </Card>
         </motion.div>
       </motion.div>
+
+      <AnalyticsExportDialog open={exportOpen} onOpenChange={setExportOpen} />
     </DashboardLayout>
   );
 };
@@ -26,6 +26,8 @@ import {
   CheckCircle,
   XCircle,
   AlertCircle,
+  Lock,
+  Unlock,
 } from "lucide-react";
 import RoleManagementModal from "../../components/admin/RoleManagementModal";
 import Avatar from "../../components/common/Avatar";
@@ -112,6 +114,19 @@ const AllUsers = () => {
     }
   };
 
+  const handleUnlock = async (userId) => {
+    try {
+      await adminAPI.unlockUser(userId);
+      toast.success("User unlocked");
+      fetchUsers();
+      if (selectedUser?._id === userId) {
+        setSelectedUser({ ...selectedUser, isLocked: false });
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to unlock user");
+    }
+  };
+
   const getStatusConfig = (status) => {
     const configs = {
       active: {
@@ -295,6 +310,15 @@ const AllUsers = () => {
                         >
                           {statusConfig.label}
                         </span>
+                        {user.isLocked && (
+                          <span
+                            title="Locked after too many failed logins"
+                            className="ml-2 inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-700"
+                          >
+                            <Lock className="w-3 h-3" />
+                            Locked
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 text-sm text-gray-500">
                         {format(new Date(user.createdAt), "MMM d, yyyy")}
@@ -397,6 +421,12 @@ const AllUsers = () => {
                     >
                       {getStatusConfig(selectedUser.status).label}
                     </span>
+                    {selectedUser.isLocked && (
+                      <span className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium bg-orange-100 text-orange-700">
+                        <Lock className="w-3.5 h-3.5" />
+                        Locked
+                      </span>
+                    )}
                     <span
                       className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium capitalize ${getRoleColor(
                         selectedUser.role
@@ -480,6 +510,16 @@ const AllUsers = () => {
                       Manage Roles
                     </button>
 
+                    {selectedUser.isLocked && (
+                      <button
+                        onClick={() => handleUnlock(selectedUser._id)}
+                        className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-orange-100 text-orange-700 rounded-lg hover:bg-orange-200 transition-all font-medium"
+                      >
+                        <Unlock className="w-4 h-4" />
+                        Unlock Account
+                      </button>
+                    )}
+
                     {selectedUser.status === "suspended" ? (
                       <button
                         onClick={() => handleActivate(selectedUser._id)}
@@ -21,6 +21,12 @@ import {
   Monitor,
   Download,
   X,
+  Flag,
+  ShieldCheck,
+  ShieldOff,
+  KeyRound,
+  Lock,
+  Unlock,
 } from "lucide-react";
 import { format } from "date-fns";
 import DashboardLayout from "../../components/dashboard/DashboardLayout";
@@ -36,12 +42,23 @@ const ACTION_ICONS = {
   user_activated: UserCheck,
   user_deleted: UserX,
   role_updated: Shield,
+  role_created: KeyRound,
+  role_changed: KeyRound,
+  role_deleted: KeyRound,
   login: LogIn,
   logout: LogOut,
   password_changed: Shield,
   email_verified: UserCheck,
   password_reset_requested: Shield,
   password_reset: Shield,
+  two_factor_enabled: ShieldCheck,
+  two_factor_disabled: ShieldOff,
+  two_factor_recovery_code_used: KeyRound,
+  two_factor_recovery_codes_regenerated: KeyRound,
+  session_revoked: LogOut,
+  refresh_token_reused: ShieldOff,
+  account_locked: Lock,
+  account_unlocked: Unlock,
   profile_updated: User,
   avatar_uploaded: User,
   account_deleted: UserX,
@@ -51,8 +68,16 @@ const ACTION_ICONS = {
   post_deleted: FileText,
   post_approved: FileText,
   post_rejected: FileText,
+  post_revision_restored: FileText,
+  post_scheduled: FileText,
+  post_schedule_cancelled: FileText,
+  report_claimed: Flag,
+  report_actioned: Flag,
+  report_dismissed: Flag,
   comment_created: FileText,
   comment_deleted: FileText,
+  comment_hidden: FileText,
+  comment_unhidden: FileText,
 };
 
 const ACTION_COLORS = {
@@ -68,12 +93,32 @@ const ACTION_COLORS = {
   user_deleted: "bg-red-100 text-red-600 dark:bg-red-900/30 dark:text-red-400",
   role_updated:
     "bg-purple-100 text-purple-600 dark:bg-purple-900/30 dark:text-purple-400",
+  role_created:
+    "bg-purple-100 text-purple-600 dark:bg-purple-900/30 dark:text-purple-400",
+  role_changed:
+    "bg-purple-100 text-purple-600 dark:bg-purple-900/30 dark:text-purple-400",
+  role_deleted: "bg-red-100 text-red-600 dark:bg-red-900/30 dark:text-red-400",
   login: "bg-blue-100 text-blue-600 dark:bg-blue-900/30 dark:text-blue-400",
   logout: "bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-400",
   password_changed:
     "bg-yellow-100 text-yellow-600 dark:bg-yellow-900/30 dark:text-yellow-400",
   email_verified:
     "bg-green-100 text-green-600 dark:bg-green-900/30 dark:text-green-400",
+  two_factor_enabled:
+    "bg-green-100 text-green-600 dark:bg-green-900/30 dark:text-green-400",
+  two_factor_disabled:
+    "bg-orange-100 text-orange-600 dark:bg-orange-900/30 dark:text-orange-400",
+  two_factor_recovery_code_used:
+    "bg-yellow-100 text-yellow-600 dark:bg-yellow-900/30 dark:text-yellow-400",
+  two_factor_recovery_codes_regenerated:
+    "bg-yellow-100 text-yellow-600 dark:bg-yellow-900/30 dark:text-yellow-400",
+  session_revoked: "bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-400",
+  refresh_token_reused:
+    "bg-red-100 text-red-600 dark:bg-red-900/30 dark:text-red-400",
+  account_locked:
+    "bg-orange-100 text-orange-600 dark:bg-orange-900/30 dark:text-orange-400",
+  account_unlocked:
+    "bg-green-100 text-green-600 dark:bg-green-900/30 dark:text-green-400",
   settings_updated:
     "bg-indigo-100 text-indigo-600 dark:bg-indigo-900/30 dark:text-indigo-400",
   default: "bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-400",
@@ -86,6 +131,8 @@ const RESOURCE_TYPES = [
   { value: "profile", label: "Profile" },
   { value: "post", label: "Post" },
   { value: "comment", label: "Comment" },
+  { value: "report", label: "Report" },
+  { value: "role", label: "Role" },
   { value: "system", label: "System" },
   { value: "settings", label: "Settings" },
 ];
@@ -99,7 +146,17 @@ const ACTIONS = [
   { value: "user_rejected", label: "User Rejected" },
   { value: "user_suspended", label: "User Suspended" },
   { value: "role_updated", label: "Role Updated" },
+  { value: "role_created", label: "Role Created" },
+  { value: "role_changed", label: "Role Permissions Changed" },
+  { value: "role_deleted", label: "Role Deleted" },
   { value: "password_changed", label: "Password Changed" },
+  { value: "two_factor_enabled", label: "2FA Enabled" },
+  { value: "two_factor_disabled", label: "2FA Disabled" },
+  { value: "two_factor_recovery_code_used", label: "2FA Recovery Code Used" },
+  { value: "session_revoked", label: "Session Revoked" },
+  { value: "refresh_token_reused", label: "Refresh Token Reused" },
+  { value: "account_locked", label: "Account Locked" },
+  { value: "account_unlocked", label: "Account Unlocked" },
   { value: "profile_updated", label: "Profile Updated" },
   { value: "settings_updated", label: "Settings Updated" },
 ];
@@ -403,6 +460,9 @@ const AuditLogs = () => {
                           "user_approved",
                           "user_rejected",
                           "role_updated",
+                          "role_created",
+                          "role_changed",
+                          "role_deleted",
                           "settings_updated",
                         ].includes(a._id)
                       )
@@ -213,8 +213,8 @@ const BlogModeration = () => {
         await postsAPI.updatePost(postId, { status: "pending" });
         toast.success("Post moved to pending!");
       } else {
-        await postsAPI.approvePost(postId);
-        toast.success("Post approved and published!");
+        const response = await postsAPI.approvePost(postId);
+        toast.success(response.message || "Post approved and published!");
       }
       fetchPosts();
     } catch (error) {
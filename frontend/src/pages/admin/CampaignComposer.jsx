@@ -0,0 +1,632 @@
+/**
+ * ============================================================================
+ * CAMPAIGN COMPOSER PAGE - Write, test and send a newsletter campaign
+ * ============================================================================
+ * A campaign moves from draft to tested (a test email went out for the
+ * current content) to scheduled, sending and sent. Only drafts and tested
+ * campaigns can be edited; changing the subject or content after a test
+ * sends it back to draft so the new version gets tested too.
+ */
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import {
+  ArrowLeft,
+  CalendarClock,
+  Eye,
+  FlaskConical,
+  Save,
+  Send,
+  Trash2,
+  Users,
+  XCircle,
+} from "lucide-react";
+import {
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  previewCampaign,
+  sendTestCampaign,
+  scheduleCampaign,
+  unscheduleCampaign,
+  getAudienceSize,
+} from "../../api/newsletter";
+import { useAuth } from "../../hooks/useAuth";
+import { useDebounce } from "../../hooks/useDebounce";
+import DashboardLayout from "../../components/dashboard/DashboardLayout";
+import Card from "../../components/common/Card";
+import Badge from "../../components/common/Badge";
+import Button from "../../components/common/Button";
+import Modal from "../../components/common/Modal";
+import ProgressBar from "../../components/common/ProgressBar";
+import LoadingSpinner from "../../components/common/LoadingSpinner";
+import RichTextEditor from "../../components/common/RichTextEditor";
+import ScheduleModal from "../../components/moderation/ScheduleModal";
+import { CAMPAIGN_STATUS_BADGES } from "./NewsletterCampaigns";
+import { toast } from "react-hot-toast";
+import { format } from "date-fns";
+
+const SOURCES = [
+  { value: "homepage", label: "Homepage" },
+  { value: "footer", label: "Footer" },
+  { value: "popup", label: "Popup" },
+  { value: "blog", label: "Blog" },
+  { value: "other", label: "Other" },
+];
+
+const PREFERENCES = [
+  { value: "newPosts", label: "New posts" },
+  { value: "weeklyDigest", label: "Weekly digest" },
+  { value: "announcements", label: "Announcements" },
+  { value: "events", label: "Events" },
+];
+
+const STAT_ITEMS = [
+  { key: "sent", label: "Sent", className: "text-green-600 dark:text-green-400" },
+  { key: "pending", label: "Pending", className: "text-blue-600 dark:text-blue-400" },
+  { key: "failed", label: "Failed", className: "text-red-600 dark:text-red-400" },
+  { key: "bounced", label: "Bounced", className: "text-orange-600 dark:text-orange-400" },
+  { key: "skipped", label: "Skipped", className: "text-gray-600 dark:text-gray-300" },
+];
+
+const POLL_INTERVAL = 5000; // ms between stats refreshes while sending
+
+const EMPTY_FORM = {
+  name: "",
+  subject: "",
+  previewText: "",
+  content: "",
+  audience: { sources: [], preferences: [] },
+};
+
+const toForm = (campaign) => ({
+  name: campaign.name || "",
+  subject: campaign.subject || "",
+  previewText: campaign.previewText || "",
+  content: campaign.content || "",
+  audience: {
+    sources: campaign.audience?.sources || [],
+    preferences: campaign.audience?.preferences || [],
+  },
+});
+
+const CampaignComposer = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const isNew = !id;
+
+  const [campaign, setCampaign] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [dirty, setDirty] = useState(false);
+  const [stats, setStats] = useState(null);
+  const [audienceSize, setAudienceSize] = useState(null);
+  const [loading, setLoading] = useState(!isNew);
+  const [action, setAction] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [testEmails, setTestEmails] = useState("");
+  const [scheduling, setScheduling] = useState(false);
+  const pollRef = useRef(null);
+
+  const editable = isNew || campaign?.status === "draft" || campaign?.status === "tested";
+  const debouncedAudience = useDebounce(form.audience, 400);
+
+  const fetchCampaign = useCallback(
+    async ({ silent = false } = {}) => {
+      if (isNew) return;
+      try {
+        if (!silent) setLoading(true);
+        const response = await getCampaign(id);
+        const data = response.data;
+        setCampaign(data.campaign);
+        setStats(data.stats);
+        if (!silent) {
+          setForm(toForm(data.campaign));
+          setDirty(false);
+        }
+      } catch (error) {
+        console.error("Error fetching campaign:", error);
+        toast.error(error.response?.data?.message || "Failed to load campaign");
+        if (!silent) navigate("/admin/newsletter");
+      } finally {
+        if (!silent) setLoading(false);
+      }
+    },
+    [id, isNew, navigate]
+  );
+
+  useEffect(() => {
+    fetchCampaign();
+  }, [fetchCampaign]);
+
+  // Keep delivery stats live while the campaign is going out
+  useEffect(() => {
+    clearInterval(pollRef.current);
+    if (campaign?.status === "sending" || campaign?.status === "scheduled") {
+      pollRef.current = setInterval(
+        () => fetchCampaign({ silent: true }),
+        POLL_INTERVAL
+      );
+    }
+    return () => clearInterval(pollRef.current);
+  }, [campaign?.status, fetchCampaign]);
+
+  useEffect(() => {
+    if (!editable) return;
+    getAudienceSize(debouncedAudience)
+      .then((response) => setAudienceSize(response.data?.count ?? null))
+      .catch(() => setAudienceSize(null));
+  }, [debouncedAudience, editable]);
+
+  const updateField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setDirty(true);
+  };
+
+  const toggleAudience = (group, value) => {
+    setForm((prev) => {
+      const current = prev.audience[group];
+      const next = current.includes(value)
+        ? current.filter((item) => item !== value)
+        : [...current, value];
+      return { ...prev, audience: { ...prev.audience, [group]: next } };
+    });
+    setDirty(true);
+  };
+
+  // Saves pending edits; returns the campaign ID (new campaigns get one here)
+  const save = async ({ quiet = false } = {}) => {
+    if (!form.name.trim() || !form.subject.trim() || !form.content.trim()) {
+      toast.error("Name, subject and content are required");
+      return null;
+    }
+
+    if (!isNew && !dirty) return campaign._id;
+
+    const response = isNew
+      ? await createCampaign(form)
+      : await updateCampaign(id, form);
+    const saved = response.data.campaign;
+    setCampaign(saved);
+    setDirty(false);
+    if (!quiet) toast.success(response.message || "Campaign saved");
+    if (isNew) navigate(`/admin/newsletter/${saved._id}`, { replace: true });
+    return saved._id;
+  };
+
+  const runAction = async (name, fn) => {
+    try {
+      setAction(name);
+      await fn();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Something went wrong");
+    } finally {
+      setAction(null);
+    }
+  };
+
+  const handleSave = () => runAction("save", () => save());
+
+  const handlePreview = () =>
+    runAction("preview", async () => {
+      const campaignId = editable ? await save({ quiet: true }) : campaign._id;
+      if (!campaignId) return;
+      const response = await previewCampaign(campaignId);
+      setPreview(response.data);
+    });
+
+  const handleTest = () =>
+    runAction("test", async () => {
+      const campaignId = await save({ quiet: true });
+      if (!campaignId) return;
+      const emails = testEmails
+        .split(",")
+        .map((email) => email.trim())
+        .filter(Boolean);
+      const response = await sendTestCampaign(campaignId, emails);
+      setCampaign(response.data.campaign);
+      toast.success(response.message);
+    });
+
+  const handleSchedule = (scheduledFor = null) =>
+    runAction("schedule", async () => {
+      const response = await scheduleCampaign(campaign._id, scheduledFor);
+      toast.success(response.message);
+      await fetchCampaign();
+    });
+
+  const handleSendNow = () => {
+    if (
+      !window.confirm(
+        `Send "${campaign.subject}" to ${audienceSize ?? "all matching"} subscribers now?`
+      )
+    ) {
+      return;
+    }
+    handleSchedule();
+  };
+
+  const handleUnschedule = () =>
+    runAction("unschedule", async () => {
+      const response = await unscheduleCampaign(campaign._id);
+      toast.success(response.message);
+      await fetchCampaign();
+    });
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the campaign "${campaign.name}"?`)) return;
+    runAction("delete", async () => {
+      await deleteCampaign(campaign._id);
+      toast.success("Campaign deleted");
+      navigate("/admin/newsletter");
+    });
+  };
+
+  if (loading) {
+    return (
+      <DashboardLayout userRole="admin">
+        <div className="flex items-center justify-center min-h-[50vh]">
+          <LoadingSpinner size="lg" text="Loading campaign..." />
+        </div>
+      </DashboardLayout>
+    );
+  }
+
+  const badge = campaign && CAMPAIGN_STATUS_BADGES[campaign.status];
+  const readyToSchedule = campaign?.status === "tested" && !dirty;
+  const delivered = stats ? stats.total - stats.pending : 0;
+
+  return (
+    <DashboardLayout userRole="admin">
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => navigate("/admin/newsletter")}
+              className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
+              aria-label="Back to campaigns"
+            >
+              <ArrowLeft className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+            </button>
+            <div>
+              <div className="flex items-center gap-3">
+                <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+                  {isNew ? "New Campaign" : campaign?.name}
+                </h1>
+                {badge && (
+                  <Badge variant={badge.variant} size="sm">
+                    {badge.label}
+                  </Badge>
+                )}
+              </div>
+              {campaign?.testSentAt && editable && (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Last test sent{" "}
+                  {format(new Date(campaign.testSentAt), "MMM d, h:mm a")} to{" "}
+                  {campaign.testRecipients?.join(", ")}
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {!isNew && (
+              <Button
+                variant="secondary"
+                icon={Eye}
+                onClick={handlePreview}
+                disabled={!!action}
+              >
+                Preview
+              </Button>
+            )}
+            {editable && (
+              <Button
+                variant="primary"
+                icon={Save}
+                onClick={handleSave}
+                disabled={!!action || (!isNew && !dirty)}
+              >
+                {action === "save" ? "Saving..." : "Save Draft"}
+              </Button>
+            )}
+            {editable && !isNew && (
+              <Button
+                variant="danger"
+                icon={Trash2}
+                onClick={handleDelete}
+                disabled={!!action}
+              >
+                Delete
+              </Button>
+            )}
+          </div>
+        </div>
+
+        {/* Scheduled / sending / sent status */}
+        {campaign?.status === "scheduled" && (
+          <Card className="p-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div className="flex items-center gap-3">
+              <CalendarClock className="w-6 h-6 text-yellow-600" />
+              <div>
+                <p className="font-semibold text-gray-900 dark:text-white">
+                  Scheduled for{" "}
+                  {format(new Date(campaign.scheduledFor), "MMM d, yyyy h:mm a")}
+                </p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {audienceSize ?? "—"} subscribers currently match the audience
+                </p>
+              </div>
+            </div>
+            <Button
+              variant="secondary"
+              icon={XCircle}
+              onClick={handleUnschedule}
+              disabled={!!action}
+            >
+              Unschedule
+            </Button>
+          </Card>
+        )}
+
+        {stats && (
+          <Card className="p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                Delivery
+              </h2>
+              <span className="text-sm text-gray-500 dark:text-gray-400">
+                {campaign.status === "sent" && campaign.sentAt
+                  ? `Finished ${format(new Date(campaign.sentAt), "MMM d, yyyy h:mm a")}`
+                  : `${delivered} of ${stats.total} processed`}
+              </span>
+            </div>
+            <ProgressBar
+              value={stats.total ? (delivered / stats.total) * 100 : 0}
+              color={campaign.status === "sent" ? "bg-green-500" : "bg-blue-500"}
+            />
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-4 text-center">
+              {STAT_ITEMS.map((item) => (
+                <div key={item.key}>
+                  <p className={`text-2xl font-bold ${item.className}`}>
+                    {stats[item.key] || 0}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {item.label}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </Card>
+        )}
+
+        <div className="grid gap-6 lg:grid-cols-3">
+          {/* Message */}
+          <Card className="p-6 space-y-4 lg:col-span-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Campaign name
+              </label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => updateField("name", e.target.value)}
+                disabled={!editable}
+                maxLength={120}
+                placeholder="Only admins see this"
+                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 disabled:opacity-60"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Subject
+              </label>
+              <input
+                type="text"
+                value={form.subject}
+                onChange={(e) => updateField("subject", e.target.value)}
+                disabled={!editable}
+                maxLength={150}
+                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 disabled:opacity-60"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Preview text
+              </label>
+              <input
+                type="text"
+                value={form.previewText}
+                onChange={(e) => updateField("previewText", e.target.value)}
+                disabled={!editable}
+                maxLength={200}
+                placeholder="Shown after the subject in most inboxes"
+                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 disabled:opacity-60"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Content
+              </label>
+              {editable ? (
+                <RichTextEditor
+                  value={form.content}
+                  onChange={(value) => updateField("content", value)}
+                  placeholder="Write your email..."
+                  minHeight="320px"
+                  mentions={false}
+                />
+              ) : (
+                <div
+                  className="prose dark:prose-invert max-w-none p-4 border border-gray-200 dark:border-gray-700 rounded-lg"
+                  dangerouslySetInnerHTML={{ __html: form.content }}
+                />
+              )}
+            </div>
+          </Card>
+
+          {/* Audience and sending */}
+          <div className="space-y-6">
+            <Card className="p-6 space-y-4">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  Audience
+                </h2>
+                {editable && (
+                  <span className="flex items-center gap-1 text-sm text-gray-500 dark:text-gray-400">
+                    <Users className="w-4 h-4" />
+                    {audienceSize ?? "—"}
+                  </span>
+                )}
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Signed up from
+                </p>
+                <div className="space-y-1">
+                  {SOURCES.map((source) => (
+                    <label
+                      key={source.value}
+                      className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={form.audience.sources.includes(source.value)}
+                        onChange={() => toggleAudience("sources", source.value)}
+                        disabled={!editable}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      {source.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Opted in to any of
+                </p>
+                <div className="space-y-1">
+                  {PREFERENCES.map((preference) => (
+                    <label
+                      key={preference.value}
+                      className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={form.audience.preferences.includes(preference.value)}
+                        onChange={() => toggleAudience("preferences", preference.value)}
+                        disabled={!editable}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      {preference.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Leave a group empty to include every active subscriber.
+              </p>
+            </Card>
+
+            {editable && (
+              <Card className="p-6 space-y-4">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  Test & Send
+                </h2>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Test recipients
+                  </label>
+                  <input
+                    type="text"
+                    value={testEmails}
+                    onChange={(e) => setTestEmails(e.target.value)}
+                    placeholder={user?.email || "you@example.com"}
+                    className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500"
+                  />
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    Up to 5 addresses, comma separated. Defaults to your own.
+                  </p>
+                </div>
+                <Button
+                  variant="secondary"
+                  icon={FlaskConical}
+                  onClick={handleTest}
+                  disabled={!!action}
+                  className="w-full"
+                >
+                  {action === "test" ? "Sending test..." : "Send Test Email"}
+                </Button>
+
+                <div className="pt-4 border-t border-gray-200 dark:border-gray-700 space-y-2">
+                  {!readyToSchedule && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Send a test of the latest version before scheduling.
+                    </p>
+                  )}
+                  <Button
+                    variant="primary"
+                    icon={CalendarClock}
+                    onClick={() => setScheduling(true)}
+                    disabled={!readyToSchedule || !!action}
+                    className="w-full"
+                  >
+                    Schedule
+                  </Button>
+                  <Button
+                    variant="success"
+                    icon={Send}
+                    onClick={handleSendNow}
+                    disabled={!readyToSchedule || !!action}
+                    className="w-full"
+                  >
+                    Send Now
+                  </Button>
+                </div>
+              </Card>
+            )}
+          </div>
+        </div>
+
+        {/* Preview */}
+        <Modal
+          isOpen={!!preview}
+          onClose={() => setPreview(null)}
+          title={preview?.subject}
+          size="xl"
+        >
+          {preview?.previewText && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+              {preview.previewText}
+            </p>
+          )}
+          <iframe
+            title="Campaign preview"
+            srcDoc={preview?.html}
+            sandbox=""
+            className="w-full h-[70vh] border border-gray-200 dark:border-gray-700 rounded-lg bg-white"
+          />
+        </Modal>
+
+        <ScheduleModal
+          isOpen={scheduling}
+          onClose={() => setScheduling(false)}
+          onConfirm={handleSchedule}
+          postTitle={campaign?.subject}
+          title="Schedule Campaign"
+          confirmLabel="Schedule"
+          description="The campaign is sent automatically at this time"
+          itemLabel="Subject:"
+          timeLabel="Send on"
+        />
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default CampaignComposer;
@@ -0,0 +1,299 @@
+/**
+ * ============================================================================
+ * NEWSLETTER CAMPAIGNS PAGE - Emails to newsletter subscribers
+ * ============================================================================
+ * Lists campaigns by status with their audience and delivery results; each
+ * opens in the campaign composer
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import {
+  Mail,
+  Plus,
+  RefreshCw,
+  ChevronLeft,
+  ChevronRight,
+  CalendarClock,
+  Send,
+  Users,
+} from "lucide-react";
+import { getCampaigns, getStats } from "../../api/newsletter";
+import DashboardLayout from "../../components/dashboard/DashboardLayout";
+import Badge from "../../components/common/Badge";
+import { toast } from "react-hot-toast";
+import { format } from "date-fns";
+
+export const CAMPAIGN_STATUS_BADGES = {
+  draft: { label: "Draft", variant: "default" },
+  tested: { label: "Tested", variant: "info" },
+  scheduled: { label: "Scheduled", variant: "warning" },
+  sending: { label: "Sending", variant: "primary" },
+  sent: { label: "Sent", variant: "success" },
+};
+
+const STATUS_FILTERS = [
+  { value: "", label: "All" },
+  { value: "draft", label: "Drafts" },
+  { value: "tested", label: "Tested" },
+  { value: "scheduled", label: "Scheduled" },
+  { value: "sending", label: "Sending" },
+  { value: "sent", label: "Sent" },
+];
+
+const describeAudience = ({ sources = [], preferences = [] } = {}) => {
+  const parts = [];
+  parts.push(sources.length ? `From ${sources.join(", ")}` : "All sources");
+  if (preferences.length) parts.push(`opted in to ${preferences.join(" or ")}`);
+  return parts.join(", ");
+};
+
+const NewsletterCampaigns = () => {
+  const navigate = useNavigate();
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState("");
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [subscriberCount, setSubscriberCount] = useState(null);
+
+  const campaignsPerPage = 20;
+
+  const fetchCampaigns = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getCampaigns({
+        page: currentPage,
+        limit: campaignsPerPage,
+        ...(status && { status }),
+      });
+
+      setCampaigns(response.data?.campaigns || []);
+      setTotalPages(response.data?.pagination?.pages || 1);
+    } catch (error) {
+      console.error("Error fetching campaigns:", error);
+      toast.error("Failed to load campaigns");
+      setCampaigns([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, status]);
+
+  useEffect(() => {
+    fetchCampaigns();
+  }, [fetchCampaigns]);
+
+  useEffect(() => {
+    getStats()
+      .then((response) => setSubscriberCount(response.data?.totalSubscribers))
+      .catch(() => setSubscriberCount(null));
+  }, []);
+
+  const handleStatusChange = (value) => {
+    setStatus(value);
+    setCurrentPage(1);
+  };
+
+  return (
+    <DashboardLayout userRole="admin">
+      <div className="space-y-6">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4"
+        >
+          <div className="flex items-center gap-4">
+            <div className="p-3 rounded-2xl bg-gradient-to-br from-blue-500 to-cyan-500 shadow-lg shadow-blue-500/30">
+              <Mail className="w-8 h-8 text-white" />
+            </div>
+            <div>
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-gray-900 to-gray-600 bg-clip-text text-transparent dark:from-white dark:to-gray-400">
+                Newsletter Campaigns
+              </h1>
+              <p className="text-gray-500 dark:text-gray-400">
+                {subscriberCount !== null
+                  ? `${subscriberCount} active subscribers`
+                  : "Compose and send emails to subscribers"}
+              </p>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={fetchCampaigns}
+              className="flex items-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+              Refresh
+            </motion.button>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => navigate("/admin/newsletter/new")}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition-colors"
+            >
+              <Plus className="w-4 h-4" />
+              New Campaign
+            </motion.button>
+          </div>
+        </motion.div>
+
+        {/* Status Filter */}
+        <div className="flex flex-wrap gap-2">
+          {STATUS_FILTERS.map((filter) => (
+            <button
+              key={filter.value}
+              onClick={() => handleStatusChange(filter.value)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                status === filter.value
+                  ? "bg-blue-600 text-white"
+                  : "bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-300 border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700"
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Campaigns List */}
+        {loading ? (
+          <div className="space-y-4">
+            {[...Array(3)].map((_, i) => (
+              <div
+                key={i}
+                className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 p-6 animate-pulse"
+              >
+                <div className="space-y-3">
+                  <div className="h-5 bg-gray-200 dark:bg-gray-700 rounded w-3/4" />
+                  <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded w-1/2" />
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : campaigns.length === 0 ? (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 p-12 text-center"
+          >
+            <Mail className="w-16 h-16 text-blue-500 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+              No campaigns yet
+            </h3>
+            <p className="text-gray-500 dark:text-gray-400">
+              Create a campaign to email your newsletter subscribers.
+            </p>
+          </motion.div>
+        ) : (
+          <div className="space-y-4">
+            {campaigns.map((campaign, index) => {
+              const badge = CAMPAIGN_STATUS_BADGES[campaign.status];
+              return (
+                <motion.div
+                  key={campaign._id}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.05 }}
+                  onClick={() => navigate(`/admin/newsletter/${campaign._id}`)}
+                  className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 shadow-sm p-6 cursor-pointer hover:border-blue-300 dark:hover:border-blue-700 transition-colors"
+                >
+                  <div className="flex flex-col lg:flex-row lg:items-center gap-4">
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-3 mb-1">
+                        <h3 className="text-lg font-semibold text-gray-900 dark:text-white line-clamp-1">
+                          {campaign.name}
+                        </h3>
+                        {badge && (
+                          <Badge variant={badge.variant} size="sm">
+                            {badge.label}
+                          </Badge>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-600 dark:text-gray-400 line-clamp-1 mb-2">
+                        {campaign.subject}
+                      </p>
+                      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 dark:text-gray-400">
+                        <span className="flex items-center gap-1">
+                          <Users className="w-4 h-4" />
+                          {describeAudience(campaign.audience)}
+                        </span>
+                        {campaign.status === "scheduled" &&
+                          campaign.scheduledFor && (
+                            <span className="flex items-center gap-1">
+                              <CalendarClock className="w-4 h-4" />
+                              {format(
+                                new Date(campaign.scheduledFor),
+                                "MMM d, yyyy h:mm a"
+                              )}
+                            </span>
+                          )}
+                        {campaign.sentAt && (
+                          <span className="flex items-center gap-1">
+                            <Send className="w-4 h-4" />
+                            Sent {format(new Date(campaign.sentAt), "MMM d, yyyy")}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+
+                    {campaign.status === "sent" && (
+                      <div className="flex gap-6 text-center">
+                        <div>
+                          <p className="text-xl font-bold text-green-600 dark:text-green-400">
+                            {campaign.stats?.sent || 0}
+                          </p>
+                          <p className="text-xs text-gray-500">Sent</p>
+                        </div>
+                        <div>
+                          <p className="text-xl font-bold text-red-600 dark:text-red-400">
+                            {(campaign.stats?.failed || 0) +
+                              (campaign.stats?.bounced || 0)}
+                          </p>
+                          <p className="text-xs text-gray-500">Failed</p>
+                        </div>
+                        <div>
+                          <p className="text-xl font-bold text-gray-600 dark:text-gray-300">
+                            {campaign.stats?.total || 0}
+                          </p>
+                          <p className="text-xs text-gray-500">Total</p>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                </motion.div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <div className="flex items-center justify-center gap-2">
+            <button
+              onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
+              disabled={currentPage === 1}
+              className="p-2 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <span className="px-4 py-2 text-sm text-gray-600 dark:text-gray-400">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage((p) => Math.min(totalPages, p + 1))}
+              disabled={currentPage === totalPages}
+              className="p-2 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronRight className="w-5 h-5" />
+            </button>
+          </div>
+        )}
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default NewsletterCampaigns;
@@ -1,5 +1,5 @@
 /**
- * Roles & Permissions - With User Role Assignment
+ * Roles & Permissions - Role Editor and User Role Assignment
  */
 
 import { useState, useEffect } from "react";
@@ -16,6 +16,7 @@ import {
   MessageSquare,
   BarChart3,
   Settings,
+  Globe,
   Lock,
   Info,
   Search,
@@ -23,131 +24,68 @@ import {
   RefreshCw,
   KeyRound,
   UserCheck,
+  Plus,
+  Trash2,
+  Save,
+  RotateCcw,
+  Tag,
 } from "lucide-react";
 import DashboardLayout from "../../components/dashboard/DashboardLayout";
 import { adminAPI } from "../../api/admin";
 import Avatar from "../../components/common/Avatar";
 import toast from "react-hot-toast";
 
-// Permission categories
-const permissionCategories = [
-  {
-    id: "content",
-    name: "Content",
-    icon: FileText,
-    permissions: [
-      { id: "content.create", name: "Create Posts" },
-      { id: "content.edit", name: "Edit Own Posts" },
-      { id: "content.delete", name: "Delete Own Posts" },
-      { id: "content.delete.all", name: "Delete Any Posts" },
-      { id: "content.publish", name: "Publish Posts" },
-      { id: "content.moderate", name: "Moderate Content" },
-    ],
-  },
-  {
-    id: "users",
-    name: "Users",
-    icon: Users,
-    permissions: [
-      { id: "users.view", name: "View Users" },
-      { id: "users.create", name: "Create Users" },
-      { id: "users.edit", name: "Edit Users" },
-      { id: "users.delete", name: "Delete Users" },
-      { id: "users.roles", name: "Manage Roles" },
-    ],
-  },
-  {
-    id: "comments",
-    name: "Comments",
-    icon: MessageSquare,
-    permissions: [
-      { id: "comments.create", name: "Create Comments" },
-      { id: "comments.edit", name: "Edit Comments" },
-      { id: "comments.delete", name: "Delete Comments" },
-      { id: "comments.moderate", name: "Moderate Comments" },
-    ],
-  },
-  {
-    id: "analytics",
-    name: "Analytics",
-    icon: BarChart3,
-    permissions: [
-      { id: "analytics.view", name: "View Analytics" },
-      { id: "analytics.export", name: "Export Data" },
-    ],
-  },
-  {
-    id: "system",
-    name: "System",
-    icon: Settings,
-    permissions: [
-      { id: "system.settings", name: "Manage Settings" },
-      { id: "system.logs", name: "View Logs" },
-    ],
-  },
-];
-
-// Role definitions
-const roleDefinitions = [
-  {
-    id: "admin",
-    name: "Administrator",
-    description: "Full system access with all permissions",
-    color: "#EF4444",
-    icon: Crown,
-    permissions: permissionCategories.flatMap((c) =>
-      c.permissions.map((p) => p.id)
-    ),
-  },
-  {
-    id: "moderator",
-    name: "Moderator",
-    description: "Content moderation and user management",
-    color: "#8B5CF6",
-    icon: ShieldCheck,
-    permissions: [
-      "content.edit",
-      "content.delete",
-      "content.delete.all",
-      "content.moderate",
-      "users.view",
-      "comments.edit",
-      "comments.delete",
-      "comments.moderate",
-      "analytics.view",
-    ],
-  },
-  {
-    id: "author",
-    name: "Author",
-    description: "Create and manage own content",
-    color: "#3B82F6",
-    icon: Edit3,
-    permissions: [
-      "content.create",
-      "content.edit",
-      "content.delete",
-      "comments.create",
-      "comments.edit",
-      "analytics.view",
-    ],
-  },
-  {
-    id: "reader",
-    name: "Reader",
-    description: "View content and comment",
-    color: "#10B981",
-    icon: Eye,
-    permissions: ["comments.create"],
-  },
-];
+const ROLE_ICONS = {
+  admin: Crown,
+  moderator: ShieldCheck,
+  author: Edit3,
+  reader: Eye,
+};
+
+const GROUP_ICONS = {
+  posts: FileText,
+  comments: MessageSquare,
+  users: Users,
+  analytics: BarChart3,
+  system: Settings,
+  site: Globe,
+};
+
+const EMPTY_ROLE = {
+  name: "",
+  displayName: "",
+  description: "",
+  color: "#6B7280",
+};
+
+// "computer-science" -> "Computer Science"
+const formatCategory = (category) =>
+  category
+    .split("-")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+
+// Roles array of a user, falling back to the single role field
+const userRoles = (user) =>
+  user.roles?.length ? user.roles : [user.role || "reader"];
+
+const sameItems = (a = [], b = []) =>
+  a.length === b.length && a.every((item) => b.includes(item));
 
 const RolesPermissions = () => {
   const [activeTab, setActiveTab] = useState("roles");
-  const [selectedRole, setSelectedRole] = useState(null);
-  const [expandedCategories, setExpandedCategories] = useState(
-    permissionCategories.map((c) => c.id)
-  );
+
+  // Role catalog state
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [groups, setGroups] = useState({});
+  const [categories, setCategories] = useState([]);
+  const [loadingRoles, setLoadingRoles] = useState(true);
+  const [selectedRoleId, setSelectedRoleId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [newRole, setNewRole] = useState(null);
+  const [expandedGroups, setExpandedGroups] = useState([]);
 
   // User assignment state
   const [users, setUsers] = useState([]);
@@ -155,12 +93,33 @@ const RolesPermissions = () => {
   const [searchQuery, setSearchQuery] = useState("");
   const [updatingUser, setUpdatingUser] = useState(null);
 
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
   useEffect(() => {
     if (activeTab === "assign") {
       fetchUsers();
     }
   }, [activeTab]);
 
+  const fetchRoles = async () => {
+    try {
+      setLoadingRoles(true);
+      const response = await adminAPI.getRoles();
+      setRoles(response.data.roles);
+      setPermissions(response.data.permissions);
+      setGroups(response.data.groups);
+      setCategories(response.data.categories);
+      setExpandedGroups(Object.keys(response.data.groups));
+    } catch (error) {
+      console.error("Error fetching roles:", error);
+      toast.error(error.response?.data?.message || "Failed to load roles");
+    } finally {
+      setLoadingRoles(false);
+    }
+  };
+
   const fetchUsers = async () => {
     try {
       setLoadingUsers(true);
@@ -174,31 +133,125 @@ const RolesPermissions = () => {
     }
   };
 
-  const handleRoleChange = async (userId, newRole) => {
+  const selectedRole = roles.find((role) => role._id === selectedRoleId);
+  const isAdminRole = selectedRole?.name === "admin";
+  const hasChanges =
+    !!selectedRole &&
+    !!draft &&
+    (draft.displayName !== selectedRole.displayName ||
+      draft.description !== selectedRole.description ||
+      draft.color !== selectedRole.color ||
+      !sameItems(draft.permissions, selectedRole.permissions) ||
+      !sameItems(draft.categories, selectedRole.categories));
+
+  const selectRole = (role) => {
+    setNewRole(null);
+    setSelectedRoleId(role._id);
+    setDraft({
+      displayName: role.displayName,
+      description: role.description || "",
+      color: role.color,
+      permissions: [...role.permissions],
+      categories: [...(role.categories || [])],
+    });
+  };
+
+  const toggleGroup = (groupId) => {
+    setExpandedGroups((prev) =>
+      prev.includes(groupId)
+        ? prev.filter((id) => id !== groupId)
+        : [...prev, groupId]
+    );
+  };
+
+  const toggleDraftItem = (field, item) => {
+    setDraft((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(item)
+        ? prev[field].filter((i) => i !== item)
+        : [...prev[field], item],
+    }));
+  };
+
+  const handleSaveRole = async () => {
     try {
-      setUpdatingUser(userId);
-      await adminAPI.updateUserRoles(userId, [newRole]);
-      toast.success("Role updated successfully");
-      // Update local state
-      setUsers((prev) =>
-        prev.map((user) =>
-          user._id === userId ? { ...user, role: newRole } : user
+      setSaving(true);
+      const response = await adminAPI.updateRole(selectedRole._id, draft);
+      setRoles((prev) =>
+        prev.map((role) =>
+          role._id === selectedRole._id
+            ? { ...response.data.role, userCount: role.userCount }
+            : role
         )
       );
+      toast.success("Role updated");
     } catch (error) {
       console.error("Error updating role:", error);
-      toast.error("Failed to update role");
+      toast.error(error.response?.data?.message || "Failed to update role");
     } finally {
-      setUpdatingUser(null);
+      setSaving(false);
     }
   };
 
-  const toggleCategory = (categoryId) => {
-    setExpandedCategories((prev) =>
-      prev.includes(categoryId)
-        ? prev.filter((id) => id !== categoryId)
-        : [...prev, categoryId]
-    );
+  const handleCreateRole = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await adminAPI.createRole(newRole);
+      const role = response.data.role;
+      setRoles((prev) => [...prev, role]);
+      selectRole(role);
+      toast.success("Role created. Now choose its permissions.");
+    } catch (error) {
+      console.error("Error creating role:", error);
+      toast.error(error.response?.data?.message || "Failed to create role");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteRole = async () => {
+    if (!window.confirm(`Delete the "${selectedRole.displayName}" role?`)) return;
+
+    try {
+      setSaving(true);
+      await adminAPI.deleteRole(selectedRole._id);
+      setRoles((prev) => prev.filter((role) => role._id !== selectedRole._id));
+      setSelectedRoleId(null);
+      setDraft(null);
+      toast.success("Role deleted");
+    } catch (error) {
+      console.error("Error deleting role:", error);
+      toast.error(error.response?.data?.message || "Failed to delete role");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleUserRole = async (user, roleName) => {
+    const current = userRoles(user);
+    const next = current.includes(roleName)
+      ? current.filter((name) => name !== roleName)
+      : [...current, roleName];
+
+    if (next.length === 0) {
+      toast.error("A user must have at least one role");
+      return;
+    }
+
+    try {
+      setUpdatingUser(user._id);
+      await adminAPI.updateUserRoles(user._id, next);
+      toast.success("Roles updated successfully");
+      setUsers((prev) =>
+        prev.map((u) => (u._id === user._id ? { ...u, roles: next } : u))
+      );
+    } catch (error) {
+      console.error("Error updating roles:", error);
+      toast.error(error.response?.data?.message || "Failed to update roles");
+    } finally {
+      setUpdatingUser(null);
+    }
   };
 
   const filteredUsers = users.filter(
@@ -207,11 +260,14 @@ const RolesPermissions = () => {
       user.email?.toLowerCase().includes(searchQuery.toLowerCase())
   );
 
-  const getRoleColor = (role) => {
-    const def = roleDefinitions.find((r) => r.id === role);
-    return def?.color || "#6B7280";
+  const renderRoleIcon = (role, className) => {
+    const Icon = ROLE_ICONS[role.name] || UserCog;
+    return <Icon className={className} style={{ color: role.color }} />;
   };
 
+  const inputClass =
+    "w-full px-3 py-2 bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg text-sm text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
   return (
     <DashboardLayout userRole="admin">
       <div className="space-y-6">
@@ -262,27 +318,41 @@ const RolesPermissions = () => {
           </button>
         </div>
 
-        {activeTab === "roles" ? (
+        {loadingRoles ? (
+          <div className="p-8 text-center">
+            <RefreshCw className="w-8 h-8 animate-spin text-indigo-500 mx-auto mb-2" />
+            <p className="text-gray-500">Loading roles...</p>
+          </div>
+        ) : activeTab === "roles" ? (
           // ROLES TAB
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
             {/* Roles List */}
             <div className="lg:col-span-1">
               <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
-                <div className="p-4 border-b border-gray-200 dark:border-gray-700">
+                <div className="p-4 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
                   <h2 className="font-medium text-gray-900 dark:text-white flex items-center gap-2">
                     <Users className="w-4 h-4 text-indigo-500" />
-                    System Roles
+                    Roles
                   </h2>
+                  <button
+                    onClick={() => {
+                      setSelectedRoleId(null);
+                      setNewRole(EMPTY_ROLE);
+                    }}
+                    className="flex items-center gap-1 px-2.5 py-1.5 text-xs font-medium text-white bg-violet-600 hover:bg-violet-700 rounded-lg"
+                  >
+                    <Plus className="w-3.5 h-3.5" />
+                    New Role
+                  </button>
                 </div>
                 <div className="p-3 space-y-2">
-                  {roleDefinitions.map((role) => {
-                    const Icon = role.icon;
-                    const isSelected = selectedRole?.id === role.id;
+                  {roles.map((role) => {
+                    const isSelected = selectedRoleId === role._id;
 
                     return (
                       <button
-                        key={role.id}
-                        onClick={() => setSelectedRole(role)}
+                        key={role._id}
+                        onClick={() => selectRole(role)}
                         className={`w-full p-3 rounded-lg text-left transition-all ${
                           isSelected
                             ? "bg-indigo-50 dark:bg-indigo-900/30 border-2 border-indigo-500"
@@ -294,22 +364,27 @@ const RolesPermissions = () => {
                             className="w-9 h-9 rounded-lg flex items-center justify-center"
                             style={{ backgroundColor: `${role.color}20` }}
                           >
-                            <Icon
-                              className="w-4 h-4"
-                              style={{ color: role.color }}
-                            />
+                            {renderRoleIcon(role, "w-4 h-4")}
                           </div>
                           <div className="flex-1 min-w-0">
                             <div className="flex items-center gap-2">
                               <span className="font-medium text-gray-900 dark:text-white text-sm">
-                                {role.name}
+                                {role.displayName}
                               </span>
-                              <Lock className="w-3 h-3 text-gray-400" />
+                              {role.isSystem && (
+                                <Lock className="w-3 h-3 text-gray-400" />
+                              )}
+                              {role.categories?.length > 0 && (
+                                <Tag className="w-3 h-3 text-gray-400" />
+                              )}
                             </div>
                             <p className="text-xs text-gray-500 truncate">
-                              {role.description}
+                              {role.description || role.name}
                             </p>
                           </div>
+                          <span className="text-xs text-gray-500 bg-gray-200 dark:bg-gray-600 px-2 py-0.5 rounded-full">
+                            {role.userCount}
+                          </span>
                         </div>
                       </button>
                     );
@@ -318,66 +393,199 @@ const RolesPermissions = () => {
               </div>
             </div>
 
-            {/* Permissions Panel */}
+            {/* Role Editor */}
             <div className="lg:col-span-2">
-              {selectedRole ? (
+              {newRole ? (
+                <form
+                  onSubmit={handleCreateRole}
+                  className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-4 space-y-4"
+                >
+                  <h2 className="font-semibold text-gray-900 dark:text-white">
+                    New Role
+                  </h2>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Display Name
+                      </label>
+                      <input
+                        type="text"
+                        required
+                        maxLength={50}
+                        value={newRole.displayName}
+                        onChange={(e) =>
+                          setNewRole({ ...newRole, displayName: e.target.value })
+                        }
+                        placeholder="Technology Moderator"
+                        className={inputClass}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Name
+                      </label>
+                      <input
+                        type="text"
+                        required
+                        pattern="[a-z][a-z0-9\-]{1,29}"
+                        title="2-30 lowercase letters, numbers or dashes"
+                        value={newRole.name}
+                        onChange={(e) =>
+                          setNewRole({ ...newRole, name: e.target.value.toLowerCase() })
+                        }
+                        placeholder="tech-moderator"
+                        className={inputClass}
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Description
+                    </label>
+                    <input
+                      type="text"
+                      maxLength={200}
+                      value={newRole.description}
+                      onChange={(e) =>
+                        setNewRole({ ...newRole, description: e.target.value })
+                      }
+                      className={inputClass}
+                    />
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Color
+                    </label>
+                    <input
+                      type="color"
+                      value={newRole.color}
+                      onChange={(e) =>
+                        setNewRole({ ...newRole, color: e.target.value })
+                      }
+                      className="w-10 h-8 rounded cursor-pointer"
+                    />
+                  </div>
+                  <div className="flex justify-end gap-2">
+                    <button
+                      type="button"
+                      onClick={() => setNewRole(null)}
+                      className="px-4 py-2 text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-violet-600 hover:bg-violet-700 rounded-lg disabled:opacity-50"
+                    >
+                      <Plus className="w-4 h-4" />
+                      Create Role
+                    </button>
+                  </div>
+                </form>
+              ) : selectedRole && draft ? (
                 <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
                   <div
                     className="p-4 border-b border-gray-200 dark:border-gray-700"
-                    style={{ backgroundColor: `${selectedRole.color}10` }}
+                    style={{ backgroundColor: `${draft.color}10` }}
                   >
                     <div className="flex items-center gap-3">
                       <div
                         className="w-10 h-10 rounded-lg flex items-center justify-center"
-                        style={{ backgroundColor: `${selectedRole.color}20` }}
+                        style={{ backgroundColor: `${draft.color}20` }}
                       >
-                        {(() => {
-                          const Icon = selectedRole.icon;
-                          return (
-                            <Icon
-                              className="w-5 h-5"
-                              style={{ color: selectedRole.color }}
-                            />
-                          );
-                        })()}
+                        {renderRoleIcon({ ...selectedRole, color: draft.color }, "w-5 h-5")}
                       </div>
-                      <div>
+                      <div className="flex-1">
                         <h2 className="font-semibold text-gray-900 dark:text-white">
-                          {selectedRole.name}
+                          {selectedRole.displayName}
                         </h2>
                         <p className="text-sm text-gray-500">
-                          {selectedRole.permissions.length} permissions
+                          {draft.permissions.length} permissions ·{" "}
+                          {selectedRole.userCount} users
                         </p>
                       </div>
+                      {!selectedRole.isSystem && (
+                        <button
+                          onClick={handleDeleteRole}
+                          disabled={saving}
+                          className="p-2 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg disabled:opacity-50"
+                          title="Delete role"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
                     </div>
                   </div>
 
+                  {isAdminRole ? (
+                    <div className="p-4 flex items-start gap-3 text-sm text-gray-600 dark:text-gray-400">
+                      <Info className="w-5 h-5 text-blue-600 flex-shrink-0" />
+                      The administrator role always has every permission,
+                      including any added in the future, and can't be changed.
+                    </div>
+                  ) : (
+                    <div className="p-4 grid grid-cols-1 sm:grid-cols-[1fr_2fr_auto] gap-3 border-b border-gray-200 dark:border-gray-700">
+                      <input
+                        type="text"
+                        maxLength={50}
+                        value={draft.displayName}
+                        onChange={(e) =>
+                          setDraft({ ...draft, displayName: e.target.value })
+                        }
+                        className={inputClass}
+                        aria-label="Display name"
+                      />
+                      <input
+                        type="text"
+                        maxLength={200}
+                        value={draft.description}
+                        onChange={(e) =>
+                          setDraft({ ...draft, description: e.target.value })
+                        }
+                        placeholder="Description"
+                        className={inputClass}
+                        aria-label="Description"
+                      />
+                      <input
+                        type="color"
+                        value={draft.color}
+                        onChange={(e) =>
+                          setDraft({ ...draft, color: e.target.value })
+                        }
+                        className="w-10 h-9 rounded cursor-pointer"
+                        aria-label="Color"
+                      />
+                    </div>
+                  )}
+
                   <div className="p-4 space-y-3 max-h-[400px] overflow-y-auto">
-                    {permissionCategories.map((category) => {
-                      const CategoryIcon = category.icon;
-                      const isExpanded = expandedCategories.includes(
-                        category.id
+                    {Object.entries(groups).map(([groupId, groupName]) => {
+                      const GroupIcon = GROUP_ICONS[groupId] || KeyRound;
+                      const isExpanded = expandedGroups.includes(groupId);
+                      const groupPermissions = permissions.filter(
+                        (p) => p.group === groupId
                       );
-                      const enabledCount = category.permissions.filter((p) =>
-                        selectedRole.permissions.includes(p.id)
+                      const enabledCount = groupPermissions.filter((p) =>
+                        draft.permissions.includes(p.key)
                       ).length;
 
                       return (
                         <div
-                          key={category.id}
+                          key={groupId}
                           className="border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden"
                         >
                           <button
-                            onClick={() => toggleCategory(category.id)}
+                            onClick={() => toggleGroup(groupId)}
                             className="w-full flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600"
                           >
                             <div className="flex items-center gap-2">
-                              <CategoryIcon className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+                              <GroupIcon className="w-4 h-4 text-gray-600 dark:text-gray-400" />
                               <span className="font-medium text-gray-900 dark:text-white text-sm">
-                                {category.name}
+                                {groupName}
                               </span>
                               <span className="text-xs text-gray-500 bg-gray-200 dark:bg-gray-600 px-2 py-0.5 rounded-full">
-                                {enabledCount}/{category.permissions.length}
+                                {enabledCount}/{groupPermissions.length}
                               </span>
                             </div>
                             <ChevronDown
@@ -389,32 +597,48 @@ const RolesPermissions = () => {
 
                           {isExpanded && (
                             <div className="p-3 space-y-2 bg-white dark:bg-gray-800">
-                              {category.permissions.map((permission) => {
-                                const isEnabled =
-                                  selectedRole.permissions.includes(
-                                    permission.id
-                                  );
+                              {groupPermissions.map((permission) => {
+                                const isEnabled = draft.permissions.includes(
+                                  permission.key
+                                );
 
                                 return (
-                                  <div
-                                    key={permission.id}
-                                    className={`flex items-center justify-between p-2 rounded-lg ${
+                                  <button
+                                    key={permission.key}
+                                    type="button"
+                                    disabled={isAdminRole}
+                                    onClick={() =>
+                                      toggleDraftItem("permissions", permission.key)
+                                    }
+                                    className={`w-full flex items-center justify-between p-2 rounded-lg text-left disabled:cursor-default ${
                                       isEnabled
                                         ? "bg-green-50 dark:bg-green-900/20"
                                         : "bg-gray-50 dark:bg-gray-700"
                                     }`}
                                   >
-                                    <span
-                                      className={`text-sm ${
-                                        isEnabled
-                                          ? "text-green-700 dark:text-green-400"
-                                          : "text-gray-500"
-                                      }`}
-                                    >
-                                      {permission.name}
+                                    <span>
+                                      <span
+                                        className={`text-sm ${
+                                          isEnabled
+                                            ? "text-green-700 dark:text-green-400"
+                                            : "text-gray-500"
+                                        }`}
+                                      >
+                                        {permission.label}
+                                      </span>
+                                      <span className="ml-2 text-xs text-gray-400 font-mono">
+                                        {permission.key}
+                                      </span>
+                                      {permission.scoped &&
+                                        draft.categories.length > 0 && (
+                                          <span className="ml-2 inline-flex items-center gap-1 text-xs text-violet-600 dark:text-violet-400">
+                                            <Tag className="w-3 h-3" />
+                                            selected categories
+                                          </span>
+                                        )}
                                     </span>
-                                    <div
-                                      className={`w-5 h-5 rounded-full flex items-center justify-center ${
+                                    <span
+                                      className={`w-5 h-5 rounded-full flex items-center justify-center flex-shrink-0 ${
                                         isEnabled
                                           ? "bg-green-500 text-white"
                                           : "bg-gray-300 dark:bg-gray-600"
@@ -425,8 +649,8 @@ const RolesPermissions = () => {
                                       ) : (
                                         <X className="w-3 h-3 text-gray-500" />
                                       )}
-                                    </div>
-                                  </div>
+                                    </span>
+                                  </button>
                                 );
                               })}
                             </div>
@@ -435,6 +659,65 @@ const RolesPermissions = () => {
                       );
                     })}
                   </div>
+
+                  {!isAdminRole && (
+                    <>
+                      {/* Category scope */}
+                      <div className="p-4 border-t border-gray-200 dark:border-gray-700">
+                        <h3 className="text-sm font-medium text-gray-900 dark:text-white flex items-center gap-2">
+                          <Tag className="w-4 h-4 text-violet-500" />
+                          Category Scope
+                        </h3>
+                        <p className="text-xs text-gray-500 mt-1 mb-3">
+                          Limit this role's post and comment moderation to
+                          posts in these categories. Leave empty for all
+                          categories.
+                        </p>
+                        <div className="flex flex-wrap gap-2">
+                          {categories.map((category) => {
+                            const isSelected = draft.categories.includes(category);
+                            return (
+                              <button
+                                key={category}
+                                type="button"
+                                onClick={() => toggleDraftItem("categories", category)}
+                                className={`px-2.5 py-1 rounded-full text-xs font-medium transition-colors ${
+                                  isSelected
+                                    ? "bg-violet-600 text-white"
+                                    : "bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600"
+                                }`}
+                              >
+                                {formatCategory(category)}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </div>
+
+                      <div className="p-4 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-2">
+                        <button
+                          onClick={() => selectRole(selectedRole)}
+                          disabled={!hasChanges || saving}
+                          className="flex items-center gap-2 px-4 py-2 text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg disabled:opacity-50"
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                          Reset
+                        </button>
+                        <button
+                          onClick={handleSaveRole}
+                          disabled={!hasChanges || saving}
+                          className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-violet-600 hover:bg-violet-700 rounded-lg disabled:opacity-50"
+                        >
+                          {saving ? (
+                            <RefreshCw className="w-4 h-4 animate-spin" />
+                          ) : (
+                            <Save className="w-4 h-4" />
+                          )}
+                          Save Changes
+                        </button>
+                      </div>
+                    </>
+                  )}
                 </div>
               ) : (
                 <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-12 text-center">
@@ -443,7 +726,7 @@ const RolesPermissions = () => {
                     Select a Role
                   </h3>
                   <p className="text-sm text-gray-500">
-                    Choose a role to view its permissions
+                    Choose a role to view and edit its permissions
                   </p>
                 </div>
               )}
@@ -488,69 +771,75 @@ const RolesPermissions = () => {
                         User
                       </th>
                       <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase">
-                        Current Role
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase">
-                        Change Role
+                        Roles
                       </th>
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
-                    {filteredUsers.map((user) => (
-                      <tr
-                        key={user._id}
-                        className="hover:bg-gray-50 dark:hover:bg-gray-700/50"
-                      >
-                        <td className="px-4 py-3">
-                          <div className="flex items-center gap-3">
-                            <Avatar
-                              src={user.profile?.avatar}
-                              alt={user.fullName}
-                              fallback={user.fullName || user.email}
-                              size="sm"
-                            />
-                            <div>
-                              <p className="font-medium text-gray-900 dark:text-white text-sm">
-                                {user.fullName ||
-                                  `${user.firstName} ${user.lastName}`}
-                              </p>
-                              <p className="text-xs text-gray-500">
-                                {user.email}
-                              </p>
+                    {filteredUsers.map((user) => {
+                      const assigned = userRoles(user);
+
+                      return (
+                        <tr
+                          key={user._id}
+                          className="hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                        >
+                          <td className="px-4 py-3">
+                            <div className="flex items-center gap-3">
+                              <Avatar
+                                src={user.profile?.avatar}
+                                alt={user.fullName}
+                                fallback={user.fullName || user.email}
+                                size="sm"
+                              />
+                              <div>
+                                <p className="font-medium text-gray-900 dark:text-white text-sm">
+                                  {user.fullName ||
+                                    `${user.firstName} ${user.lastName}`}
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                  {user.email}
+                                </p>
+                              </div>
                             </div>
-                          </div>
-                        </td>
-                        <td className="px-4 py-3">
-                          <span
-                            className="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium"
-                            style={{
-                              backgroundColor: `${getRoleColor(user.role)}20`,
-                              color: getRoleColor(user.role),
-                            }}
-                          >
-                            {user.role || "reader"}
-                          </span>
-                        </td>
-                        <td className="px-4 py-3">
-                          <select
-                            value={user.role || "reader"}
-                            onChange={(e) =>
-                              handleRoleChange(user._id, e.target.value)
-                            }
-                            disabled={updatingUser === user._id}
-                            className="px-3 py-1.5 text-sm bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
-                          >
-                            <option value="reader">Reader</option>
-                            <option value="author">Author</option>
-                            <option value="moderator">Moderator</option>
-                            <option value="admin">Administrator</option>
-                          </select>
-                          {updatingUser === user._id && (
-                            <RefreshCw className="inline-block w-4 h-4 ml-2 animate-spin text-indigo-500" />
-                          )}
-                        </td>
-                      </tr>
-                    ))}
+                          </td>
+                          <td className="px-4 py-3">
+                            <div className="flex flex-wrap items-center gap-1.5">
+                              {roles.map((role) => {
+                                const isAssigned = assigned.includes(role.name);
+                                return (
+                                  <button
+                                    key={role._id}
+                                    onClick={() =>
+                                      handleToggleUserRole(user, role.name)
+                                    }
+                                    disabled={updatingUser === user._id}
+                                    className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium border transition-colors disabled:opacity-50 ${
+                                      isAssigned
+                                        ? "border-transparent"
+                                        : "border-gray-200 dark:border-gray-600 text-gray-400 hover:text-gray-600"
+                                    }`}
+                                    style={
+                                      isAssigned
+                                        ? {
+                                            backgroundColor: `${role.color}20`,
+                                            color: role.color,
+                                          }
+                                        : undefined
+                                    }
+                                  >
+                                    {role.displayName}
+                                  </button>
+                                );
+                              })}
+                              {updatingUser === user._id && (
+                                <RefreshCw className="w-4 h-4 ml-1 animate-spin text-indigo-500" />
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })}
                   </tbody>
                 </table>
               </div>
@@ -565,8 +854,10 @@ const RolesPermissions = () => {
                     Role Assignment
                   </p>
                   <p className="text-xs text-gray-500 mt-1">
-                    Select a new role from the dropdown to change a user's
-                    permissions. Changes take effect immediately.
+                    Click a role to give it to or take it from a user. A user
+                    has every permission of each of their roles. You can only
+                    assign roles whose permissions you hold yourself. Changes
+                    take effect immediately.
                   </p>
                 </div>
               </div>
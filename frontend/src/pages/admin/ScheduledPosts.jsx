@@ -0,0 +1,297 @@
+/**
+ * ============================================================================
+ * SCHEDULED POSTS PAGE - Upcoming publications
+ * ============================================================================
+ * Approved posts waiting for their publication time, with reschedule and
+ * cancel actions
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import {
+  CalendarClock,
+  RefreshCw,
+  ChevronLeft,
+  ChevronRight,
+  User,
+  Tag,
+  Eye,
+  XCircle,
+  UserCheck,
+} from "lucide-react";
+import { postsAPI } from "../../api/posts";
+import DashboardLayout from "../../components/dashboard/DashboardLayout";
+import ScheduleModal from "../../components/moderation/ScheduleModal";
+import { toast } from "react-hot-toast";
+import { format, formatDistanceToNow } from "date-fns";
+
+const ScheduledPosts = () => {
+  const navigate = useNavigate();
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalPosts, setTotalPosts] = useState(0);
+  const [actionLoading, setActionLoading] = useState(null);
+  const [rescheduling, setRescheduling] = useState(null);
+
+  const postsPerPage = 20;
+
+  const fetchScheduledPosts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await postsAPI.getScheduledPosts({
+        page: currentPage,
+        limit: postsPerPage,
+      });
+
+      setPosts(response.data?.posts || []);
+      setTotalPages(response.data?.pagination?.pages || 1);
+      setTotalPosts(response.data?.pagination?.total || 0);
+    } catch (error) {
+      console.error("Error fetching scheduled posts:", error);
+      toast.error("Failed to load scheduled posts");
+      setPosts([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage]);
+
+  useEffect(() => {
+    fetchScheduledPosts();
+  }, [fetchScheduledPosts]);
+
+  const handleRescheduleConfirm = async (scheduledFor) => {
+    try {
+      setActionLoading(rescheduling._id);
+      await postsAPI.reschedulePost(rescheduling._id, scheduledFor);
+      toast.success("Post rescheduled");
+      fetchScheduledPosts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to reschedule post");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleCancel = async (post) => {
+    if (
+      !window.confirm(
+        `Cancel the scheduled publication of "${post.title}"? It will go back to the pending queue.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setActionLoading(post._id);
+      await postsAPI.cancelScheduledPost(post._id);
+      toast.success("Scheduled publication cancelled");
+      fetchScheduledPosts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to cancel schedule");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const getUserName = (user) => {
+    if (!user) return "Unknown";
+    return `${user.firstName || ""} ${user.lastName || ""}`.trim() || user.email;
+  };
+
+  return (
+    <DashboardLayout userRole="admin">
+      <div className="space-y-6">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4"
+        >
+          <div className="flex items-center gap-4">
+            <div className="p-3 rounded-2xl bg-gradient-to-br from-indigo-500 to-purple-600 shadow-lg shadow-indigo-500/30">
+              <CalendarClock className="w-8 h-8 text-white" />
+            </div>
+            <div>
+              <h1 className="text-3xl font-bold bg-gradient-to-r from-gray-900 to-gray-600 bg-clip-text text-transparent dark:from-white dark:to-gray-400">
+                Scheduled Posts
+              </h1>
+              <p className="text-gray-500 dark:text-gray-400">
+                {totalPosts} posts waiting to be published
+              </p>
+            </div>
+          </div>
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={fetchScheduledPosts}
+            className="flex items-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+            Refresh
+          </motion.button>
+        </motion.div>
+
+        {/* Posts List */}
+        {loading ? (
+          <div className="space-y-4">
+            {[...Array(3)].map((_, i) => (
+              <div
+                key={i}
+                className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 p-6 animate-pulse"
+              >
+                <div className="space-y-3">
+                  <div className="h-5 bg-gray-200 dark:bg-gray-700 rounded w-3/4" />
+                  <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded w-1/2" />
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : posts.length === 0 ? (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 p-12 text-center"
+          >
+            <CalendarClock className="w-16 h-16 text-indigo-500 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+              Nothing scheduled
+            </h3>
+            <p className="text-gray-500 dark:text-gray-400">
+              Posts approved for a later date will appear here.
+            </p>
+          </motion.div>
+        ) : (
+          <div className="space-y-4">
+            {posts.map((post, index) => (
+              <motion.div
+                key={post._id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: index * 0.05 }}
+                className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 shadow-sm p-6"
+              >
+                <div className="flex flex-col lg:flex-row lg:items-center gap-4">
+                  {/* Publication time */}
+                  <div className="lg:w-48 flex-shrink-0 p-3 rounded-xl bg-indigo-50 dark:bg-indigo-900/20 text-center">
+                    <p className="text-sm font-semibold text-indigo-700 dark:text-indigo-300">
+                      {format(new Date(post.scheduledFor), "MMM d, yyyy")}
+                    </p>
+                    <p className="text-lg font-bold text-indigo-900 dark:text-indigo-100">
+                      {format(new Date(post.scheduledFor), "h:mm a")}
+                    </p>
+                    <p className="text-xs text-indigo-600 dark:text-indigo-400">
+                      {formatDistanceToNow(new Date(post.scheduledFor), {
+                        addSuffix: true,
+                      })}
+                    </p>
+                  </div>
+
+                  {/* Details */}
+                  <div className="flex-1 min-w-0">
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white line-clamp-1 mb-2">
+                      {post.title}
+                    </h3>
+                    <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 dark:text-gray-400">
+                      <span className="flex items-center gap-1">
+                        <User className="w-4 h-4" />
+                        {getUserName(post.author)}
+                      </span>
+                      {post.category && (
+                        <span className="flex items-center gap-1">
+                          <Tag className="w-4 h-4" />
+                          {post.category}
+                        </span>
+                      )}
+                      {post.scheduledBy && (
+                        <span className="flex items-center gap-1">
+                          <UserCheck className="w-4 h-4" />
+                          Scheduled by {getUserName(post.scheduledBy)}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Actions */}
+                  <div className="flex flex-wrap gap-2">
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={() => navigate(`/posts/${post._id}`)}
+                      className="flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors text-sm font-medium"
+                    >
+                      <Eye className="w-4 h-4" />
+                      View
+                    </motion.button>
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={() => setRescheduling(post)}
+                      disabled={actionLoading === post._id}
+                      className="flex items-center gap-2 px-4 py-2 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 transition-colors text-sm font-medium disabled:opacity-50"
+                    >
+                      <CalendarClock className="w-4 h-4" />
+                      Reschedule
+                    </motion.button>
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      onClick={() => handleCancel(post)}
+                      disabled={actionLoading === post._id}
+                      className="flex items-center gap-2 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm font-medium disabled:opacity-50"
+                    >
+                      {actionLoading === post._id ? (
+                        <RefreshCw className="w-4 h-4 animate-spin" />
+                      ) : (
+                        <XCircle className="w-4 h-4" />
+                      )}
+                      Cancel
+                    </motion.button>
+                  </div>
+                </div>
+              </motion.div>
+            ))}
+          </div>
+        )}
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <div className="flex items-center justify-center gap-2">
+            <button
+              onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
+              disabled={currentPage === 1}
+              className="p-2 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <span className="px-4 py-2 text-sm text-gray-600 dark:text-gray-400">
+              Page {currentPage} of {totalPages}
+            </span>
+            <button
+              onClick={() => setCurrentPage((p) => Math.min(totalPages, p + 1))}
+              disabled={currentPage === totalPages}
+              className="p-2 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronRight className="w-5 h-5" />
+            </button>
+          </div>
+        )}
+
+        {/* Reschedule Modal */}
+        <ScheduleModal
+          isOpen={!!rescheduling}
+          onClose={() => setRescheduling(null)}
+          onConfirm={handleRescheduleConfirm}
+          postTitle={rescheduling?.title}
+          initialValue={rescheduling?.scheduledFor}
+          title="Reschedule Publication"
+          confirmLabel="Reschedule"
+        />
+      </div>
+    </DashboardLayout>
+  );
+};
+
+export default ScheduledPosts;
@@ -413,6 +413,8 @@ const SystemSettings = () => {
                     </label>
                     <input
                       type="number"
+                      min={1}
+                      max={168}
                       value={settings?.security?.sessionTimeout || 24}
                       onChange={(e) =>
                         updateSetting(
@@ -423,6 +425,11 @@ const SystemSettings = () => {
                       }
                       className="w-full px-4 py-2 border border-gray-200 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500"
                     />
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      Users are signed out after this long without activity.
+                      Shortening it also signs out anyone already inactive for
+                      longer.
+                    </p>
                   </div>
                   <div className="py-3">
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -430,6 +437,8 @@ const SystemSettings = () => {
                     </label>
                     <input
                       type="number"
+                      min={3}
+                      max={10}
                       value={settings?.security?.maxLoginAttempts || 5}
                       onChange={(e) =>
                         updateSetting(
@@ -440,6 +449,29 @@ const SystemSettings = () => {
                       }
                       className="w-full px-4 py-2 border border-gray-200 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500"
                     />
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      Failed logins before the account is locked. Attempts
+                      before that are slowed down progressively.
+                    </p>
+                  </div>
+                  <div className="py-3">
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Lockout Duration (minutes)
+                    </label>
+                    <input
+                      type="number"
+                      min={5}
+                      max={1440}
+                      value={settings?.security?.lockoutDuration || 30}
+                      onChange={(e) =>
+                        updateSetting(
+                          "security",
+                          "lockoutDuration",
+                          parseInt(e.target.value)
+                        )
+                      }
+                      className="w-full px-4 py-2 border border-gray-200 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500"
+                    />
                   </div>
                   <SettingToggle
                     enabled={settings?.security?.requireStrongPassword}
@@ -449,6 +481,50 @@ const SystemSettings = () => {
                     label="Require Strong Password"
                     description="Enforce password complexity requirements"
                   />
+                  <SettingToggle
+                    enabled={settings?.security?.enableTwoFactor}
+                    onChange={(v) =>
+                      updateSetting("security", "enableTwoFactor", v)
+                    }
+                    label="Allow Two-Factor Authentication"
+                    description="Let users protect their accounts with an authenticator app"
+                  />
+                  <div className="py-3">
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                      Require Two-Factor Authentication For
+                    </label>
+                    <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
+                      Users with these roles must set it up at their next login
+                    </p>
+                    <div className="flex gap-6">
+                      {["admin", "moderator"].map((role) => {
+                        const required =
+                          settings?.security?.requireTwoFactorRoles || [];
+                        return (
+                          <label
+                            key={role}
+                            className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 capitalize"
+                          >
+                            <input
+                              type="checkbox"
+                              checked={required.includes(role)}
+                              onChange={(e) =>
+                                updateSetting(
+                                  "security",
+                                  "requireTwoFactorRoles",
+                                  e.target.checked
+                                    ? [...required, role]
+                                    : required.filter((r) => r !== role)
+                                )
+                              }
+                              className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            {role}s
+                          </label>
+                        );
+                      })}
+                    </div>
+                  </div>
                 </SettingSection>
 
                 <div className="bg-orange-50 dark:bg-orange-900/20 rounded-xl border border-orange-200 dark:border-orange-700 p-6">
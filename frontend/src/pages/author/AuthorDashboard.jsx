@@ -14,15 +14,18 @@
  *   - Post status breakdown
  *   - Trending content analysis
  *   - Time-based performance tracking
+ *   - Per-post views, referrers and read completion (daily history)
  *
  * Charts Included:
  *   - Post status distribution (Pie Chart)
  *   - Views over time (Line Chart)
  *   - Category performance (Bar Chart)
  *   - Engagement radar (Radar Chart)
+ *   - Post insights (Line + Pie Charts)
  *
  * Data Source:
  *   - getAuthorDashboard API endpoint
+ *   - getPostTimeline API endpoint (Post Insights)
  *
  * Author: Admas Blog Development Team
  * ============================================================================
@@ -41,6 +44,7 @@ import {
   RefreshCw,
   Zap,
   AlertTriangle,
+  BookOpenCheck,
 } from "lucide-react";
 import DashboardLayout from "../../components/dashboard/DashboardLayout";
 import { Button } from "../../components/ui/button";
@@ -50,6 +54,7 @@ import PieChart from "../../components/analytics/charts/PieChart";
 import BarChart from "../../components/analytics/charts/BarChart";
 import LineChart from "../../components/analytics/charts/LineChart";
 import RadarChart from "../../components/analytics/charts/RadarChart";
+import PostInsights from "../../components/analytics/PostInsights";
 import toast from "react-hot-toast";
 import { format } from "date-fns";
 
@@ -207,13 +212,19 @@ const AuthorDashboard = () => {
           </div>
 
           {/* Secondary Stats */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
             <StatCard
               title="Pending Review"
               value={data?.authorStats?.pending || 0}
               icon={Clock}
               color="yellow"
             />
+            <StatCard
+              title="Qualified Reads"
+              value={data?.authorStats?.totalQualifiedReads || 0}
+              icon={BookOpenCheck}
+              color="green"
+            />
             <StatCard
               title="Total Likes"
               value={data?.authorStats?.totalLikes || 0}
@@ -314,6 +325,11 @@ const AuthorDashboard = () => {
             </div>
           )}
 
+          {/* Post Insights */}
+          {data?.postPerformance && data.postPerformance.length > 0 && (
+            <PostInsights posts={data.postPerformance} />
+          )}
+
           {/* Publishing Activity */}
           {data?.publishingActivity && data.publishingActivity.length > 0 && (
             <div className="mb-8">
@@ -2,6 +2,8 @@
  * ============================================================================
  * COMMENTS MODERATION PAGE - Manage and Moderate Comments
  * ============================================================================
+ * Lists comments with filters for AI-flagged, reported and hidden comments,
+ * and lets moderators hide, unhide or delete them one at a time or in bulk.
  */
 
 import { useState, useEffect, useCallback } from "react";
@@ -10,174 +12,244 @@ import {
   MessageSquare,
   Search,
   Eye,
+  EyeOff,
   RefreshCw,
   ChevronLeft,
   ChevronRight,
-  Calendar,
-  User,
   X,
   Trash2,
-  CheckCircle,
   AlertTriangle,
   Flag,
   ThumbsUp,
-  ThumbsDown,
   ExternalLink,
   Filter,
 } from "lucide-react";
-import api from "../../services/api";
+import { commentsAPI } from "../../api/comments";
 import DashboardLayout from "../../components/dashboard/DashboardLayout";
 import { toast } from "react-hot-toast";
 import { formatDistanceToNow } from "date-fns";
 
+const ACTION_LABELS = {
+  hide: { title: "Hide", verb: "hidden", confirm: "Hide" },
+  delete: { title: "Delete", verb: "deleted", confirm: "Delete" },
+  unhide: { title: "Unhide", verb: "unhidden", confirm: "Unhide" },
+};
+
+/**
+ * Asks for the reason before hiding or deleting comments
+ */
+const ReasonModal = ({ pending, onClose, onConfirm }) => {
+  const [reason, setReason] = useState("");
+
+  if (!pending) return null;
+
+  const labels = ACTION_LABELS[pending.action];
+  const count = pending.ids.length;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="bg-white dark:bg-gray-800 rounded-2xl max-w-md w-full overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+            {labels.title} {count === 1 ? "Comment" : `${count} Comments`}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="p-6 space-y-3">
+          <label
+            htmlFor="moderation-reason"
+            className="block text-sm font-medium text-gray-700 dark:text-gray-300"
+          >
+            Reason (shared with the comment author)
+          </label>
+          <textarea
+            id="moderation-reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            maxLength={500}
+            rows={3}
+            autoFocus
+            placeholder="e.g. Personal attack on another reader"
+            className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-xl bg-white dark:bg-gray-900 text-gray-900 dark:text-white resize-none focus:ring-2 focus:ring-green-500/20 focus:border-green-500"
+          />
+          {pending.action === "delete" && (
+            <p className="text-sm text-red-600 dark:text-red-400">
+              Replies to deleted comments are deleted too.
+            </p>
+          )}
+        </div>
+        <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="px-6 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(reason.trim())}
+            className={`flex items-center gap-2 px-6 py-2 text-white rounded-lg transition-colors font-medium ${
+              pending.action === "delete"
+                ? "bg-red-500 hover:bg-red-600"
+                : "bg-amber-500 hover:bg-amber-600"
+            }`}
+          >
+            {pending.action === "delete" ? (
+              <Trash2 className="w-4 h-4" />
+            ) : (
+              <EyeOff className="w-4 h-4" />
+            )}
+            {labels.confirm}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
 const Comments = () => {
   const [comments, setComments] = useState([]);
+  const [stats, setStats] = useState({});
   const [loading, setLoading] = useState(true);
+  const [searchInput, setSearchInput] = useState("");
   const [searchQuery, setSearchQuery] = useState("");
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [totalComments, setTotalComments] = useState(0);
   const [actionLoading, setActionLoading] = useState(null);
   const [previewComment, setPreviewComment] = useState(null);
-  const [filterStatus, setFilterStatus] = useState("all"); // all, flagged, approved
+  const [filterStatus, setFilterStatus] = useState("all"); // all, flagged, reported, hidden, visible
   const [sortBy, setSortBy] = useState("newest");
+  const [dateFrom, setDateFrom] = useState("");
+  const [dateTo, setDateTo] = useState("");
+  const [authorFilter, setAuthorFilter] = useState(null);
+  const [postFilter, setPostFilter] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [pendingAction, setPendingAction] = useState(null);
 
   const commentsPerPage = 15;
 
-  // Mock data for demonstration
-  const mockComments = [
-    {
-      _id: "1",
-      content:
-        "This is a great article! Very informative and well-written. I learned a lot from this.",
-      author: { firstName: "Alice", lastName: "Johnson", avatar: null },
-      post: { _id: "post1", title: "Introduction to Machine Learning" },
-      createdAt: new Date(Date.now() - 1 * 60 * 60 * 1000),
-      likes: 12,
-      status: "approved",
-      flagged: false,
-    },
-    {
-      _id: "2",
-      content:
-        "I disagree with some points here. The methodology seems flawed.",
-      author: { firstName: "Bob", lastName: "Smith", avatar: null },
-      post: { _id: "post2", title: "Research Methods in Computer Science" },
-      createdAt: new Date(Date.now() - 3 * 60 * 60 * 1000),
-      likes: 5,
-      status: "approved",
-      flagged: false,
-    },
-    {
-      _id: "3",
-      content: "This is spam content trying to sell products...",
-      author: { firstName: "Spam", lastName: "User", avatar: null },
-      post: { _id: "post3", title: "Best Practices for Web Development" },
-      createdAt: new Date(Date.now() - 5 * 60 * 60 * 1000),
-      likes: 0,
-      status: "pending",
-      flagged: true,
-      flagReason: "spam",
-    },
-    {
-      _id: "4",
-      content:
-        "Thank you for sharing this knowledge. It helped me understand the concept better.",
-      author: { firstName: "Carol", lastName: "Davis", avatar: null },
-      post: { _id: "post1", title: "Introduction to Machine Learning" },
-      createdAt: new Date(Date.now() - 8 * 60 * 60 * 1000),
-      likes: 8,
-      status: "approved",
-      flagged: false,
-    },
-    {
-      _id: "5",
-      content:
-        "You're completely wrong about this. Do your research before posting such nonsense!",
-      author: { firstName: "Dave", lastName: "Wilson", avatar: null },
-      post: { _id: "post4", title: "Climate Change and Technology" },
-      createdAt: new Date(Date.now() - 12 * 60 * 60 * 1000),
-      likes: 2,
-      status: "pending",
-      flagged: true,
-      flagReason: "harassment",
-    },
-  ];
+  // Search after typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setSearchQuery(searchInput.trim()), 400);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  useEffect(() => {
+    setCurrentPage(1);
+  }, [filterStatus, sortBy, dateFrom, dateTo, authorFilter, postFilter, searchQuery]);
 
   const fetchComments = useCallback(async () => {
     try {
       setLoading(true);
-      // TODO: Replace with actual API call
-      // const response = await api.get('/comments/moderation', { params: { ... } });
-
-      await new Promise((resolve) => setTimeout(resolve, 500));
-
-      let filteredComments = [...mockComments];
+      const response = await commentsAPI.getModerationComments({
+        filter: filterStatus,
+        sort: sortBy,
+        search: searchQuery || undefined,
+        author: authorFilter?._id,
+        post: postFilter?._id,
+        from: dateFrom ? new Date(dateFrom).toISOString() : undefined,
+        // Include the whole "to" day
+        to: dateTo
+          ? new Date(`${dateTo}T23:59:59.999`).toISOString()
+          : undefined,
+        page: currentPage,
+        limit: commentsPerPage,
+      });
 
-      if (filterStatus === "flagged") {
-        filteredComments = filteredComments.filter((c) => c.flagged);
-      } else if (filterStatus === "approved") {
-        filteredComments = filteredComments.filter(
-          (c) => c.status === "approved" && !c.flagged
-        );
-      }
-
-      if (sortBy === "newest") {
-        filteredComments.sort(
-          (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
-        );
-      } else if (sortBy === "oldest") {
-        filteredComments.sort(
-          (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
-        );
-      } else if (sortBy === "mostLiked") {
-        filteredComments.sort((a, b) => b.likes - a.likes);
-      }
-
-      setComments(filteredComments);
-      setTotalPages(Math.ceil(filteredComments.length / commentsPerPage));
-      setTotalComments(filteredComments.length);
+      setComments(response.data?.comments || []);
+      setStats(response.data?.stats || {});
+      setTotalPages(response.data?.pagination?.pages || 1);
+      setTotalComments(response.data?.pagination?.total || 0);
+      setSelected([]);
     } catch (error) {
       console.error("Error fetching comments:", error);
-      toast.error("Failed to load comments");
+      toast.error(error.response?.data?.message || "Failed to load comments");
       setComments([]);
     } finally {
       setLoading(false);
     }
-  }, [currentPage, filterStatus, sortBy]);
+  }, [
+    currentPage,
+    filterStatus,
+    sortBy,
+    searchQuery,
+    authorFilter,
+    postFilter,
+    dateFrom,
+    dateTo,
+  ]);
 
   useEffect(() => {
     fetchComments();
   }, [fetchComments]);
 
-  const handleApproveComment = async (commentId) => {
+  const runAction = async (action, ids, reason = "") => {
     try {
-      setActionLoading(commentId);
-      // TODO: API call
-      await new Promise((resolve) => setTimeout(resolve, 500));
-      toast.success("Comment approved");
+      setActionLoading(ids.length === 1 ? ids[0] : "bulk");
+      let response;
+      if (ids.length > 1) {
+        response = await commentsAPI.bulkModerateComments(ids, action, reason);
+      } else if (action === "hide") {
+        response = await commentsAPI.hideComment(ids[0], reason);
+      } else if (action === "unhide") {
+        response = await commentsAPI.unhideComment(ids[0]);
+      } else {
+        response = await commentsAPI.moderateDeleteComment(ids[0], reason);
+      }
+      toast.success(
+        response.message || `Comment ${ACTION_LABELS[action].verb}`
+      );
       fetchComments();
     } catch (error) {
-      toast.error("Failed to approve comment");
+      toast.error(
+        error.response?.data?.message ||
+          `Failed to ${action} comment${ids.length > 1 ? "s" : ""}`
+      );
     } finally {
       setActionLoading(null);
     }
   };
 
-  const handleDeleteComment = async (commentId) => {
-    try {
-      setActionLoading(commentId);
-      // TODO: API call
-      await new Promise((resolve) => setTimeout(resolve, 500));
-      toast.success("Comment deleted");
-      fetchComments();
-    } catch (error) {
-      toast.error("Failed to delete comment");
-    } finally {
-      setActionLoading(null);
+  // Hiding and deleting ask for a reason first
+  const requestAction = (action, ids) => {
+    if (action === "unhide") {
+      runAction(action, ids);
+    } else {
+      setPendingAction({ action, ids });
     }
   };
 
+  const toggleSelected = (commentId) => {
+    setSelected((prev) =>
+      prev.includes(commentId)
+        ? prev.filter((id) => id !== commentId)
+        : [...prev, commentId]
+    );
+  };
+
+  const toggleSelectAll = () => {
+    setSelected((prev) =>
+      prev.length === comments.length ? [] : comments.map((c) => c._id)
+    );
+  };
+
   const getAuthorName = (author) => {
     if (!author) return "Unknown";
     return (
@@ -185,22 +257,46 @@ const Comments = () => {
     );
   };
 
-  const filteredComments = comments.filter(
-    (comment) =>
-      comment.content?.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      getAuthorName(comment.author)
-        .toLowerCase()
-        .includes(searchQuery.toLowerCase()) ||
-      comment.post?.title?.toLowerCase().includes(searchQuery.toLowerCase())
-  );
+  const isFlagged = (comment) => comment.violationReport?.hasViolations;
 
-  // Stats
-  const stats = {
-    total: comments.length,
-    flagged: comments.filter((c) => c.flagged).length,
-    approved: comments.filter((c) => c.status === "approved" && !c.flagged)
-      .length,
-  };
+  const flagLabel = (comment) =>
+    comment.violationReport?.violations?.[0]?.type?.replace(/_/g, " ") ||
+    "Flagged";
+
+  const statCards = [
+    {
+      label: "Total Comments",
+      value: stats.total,
+      icon: MessageSquare,
+      color: "bg-blue-100 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400",
+      filter: "all",
+    },
+    {
+      label: "AI Flagged",
+      value: stats.flagged,
+      icon: AlertTriangle,
+      color: "bg-orange-100 dark:bg-orange-900/30 text-orange-600 dark:text-orange-400",
+      filter: "flagged",
+    },
+    {
+      label: "Reported",
+      value: stats.reported,
+      icon: Flag,
+      color: "bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400",
+      filter: "reported",
+    },
+    {
+      label: "Hidden",
+      value: stats.hidden,
+      icon: EyeOff,
+      color: "bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300",
+      filter: "hidden",
+    },
+  ];
+
+  const selectedComments = comments.filter((c) => selected.includes(c._id));
+  const canBulkHide = selectedComments.some((c) => !c.isHidden);
+  const canBulkUnhide = selectedComments.some((c) => c.isHidden);
 
   return (
     <DashboardLayout userRole="moderator">
@@ -220,7 +316,7 @@ const Comments = () => {
                 Comment Moderation
               </h1>
               <p className="text-gray-500 dark:text-gray-400">
-                {totalComments} comments to review
+                {totalComments} comments match the current filters
               </p>
             </div>
           </div>
@@ -240,53 +336,33 @@ const Comments = () => {
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
           transition={{ delay: 0.1 }}
-          className="grid grid-cols-1 sm:grid-cols-3 gap-4"
+          className="grid grid-cols-2 lg:grid-cols-4 gap-4"
         >
-          <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-100 dark:border-gray-700 p-4">
-            <div className="flex items-center gap-3">
-              <div className="p-2 bg-blue-100 dark:bg-blue-900/30 rounded-lg">
-                <MessageSquare className="w-5 h-5 text-blue-600 dark:text-blue-400" />
-              </div>
-              <div>
-                <p className="text-2xl font-bold text-gray-900 dark:text-white">
-                  {stats.total}
-                </p>
-                <p className="text-sm text-gray-500 dark:text-gray-400">
-                  Total Comments
-                </p>
-              </div>
-            </div>
-          </div>
-          <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-100 dark:border-gray-700 p-4">
-            <div className="flex items-center gap-3">
-              <div className="p-2 bg-red-100 dark:bg-red-900/30 rounded-lg">
-                <Flag className="w-5 h-5 text-red-600 dark:text-red-400" />
-              </div>
-              <div>
-                <p className="text-2xl font-bold text-gray-900 dark:text-white">
-                  {stats.flagged}
-                </p>
-                <p className="text-sm text-gray-500 dark:text-gray-400">
-                  Flagged
-                </p>
-              </div>
-            </div>
-          </div>
-          <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-100 dark:border-gray-700 p-4">
-            <div className="flex items-center gap-3">
-              <div className="p-2 bg-green-100 dark:bg-green-900/30 rounded-lg">
-                <CheckCircle className="w-5 h-5 text-green-600 dark:text-green-400" />
-              </div>
-              <div>
-                <p className="text-2xl font-bold text-gray-900 dark:text-white">
-                  {stats.approved}
-                </p>
-                <p className="text-sm text-gray-500 dark:text-gray-400">
-                  Approved
-                </p>
+          {statCards.map(({ label, value, icon: Icon, color, filter }) => (
+            <button
+              key={label}
+              onClick={() => setFilterStatus(filter)}
+              className={`bg-white dark:bg-gray-800 rounded-xl border p-4 text-left transition-all hover:shadow-md ${
+                filterStatus === filter
+                  ? "border-green-500 ring-2 ring-green-500/20"
+                  : "border-gray-100 dark:border-gray-700"
+              }`}
+            >
+              <div className="flex items-center gap-3">
+                <div className={`p-2 rounded-lg ${color}`}>
+                  <Icon className="w-5 h-5" />
+                </div>
+                <div>
+                  <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                    {value ?? 0}
+                  </p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {label}
+                  </p>
+                </div>
               </div>
-            </div>
-          </div>
+            </button>
+          ))}
         </motion.div>
 
         {/* Filters */}
@@ -294,7 +370,7 @@ const Comments = () => {
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
           transition={{ delay: 0.2 }}
-          className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 shadow-sm p-4"
+          className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 shadow-sm p-4 space-y-4"
         >
           <div className="flex flex-col sm:flex-row gap-4">
             <div className="flex-1 relative">
@@ -302,8 +378,8 @@ const Comments = () => {
               <input
                 type="text"
                 placeholder="Search comments..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
                 className="w-full pl-12 pr-10 py-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500/20 focus:border-green-500 transition-all text-gray-900 dark:text-white"
               />
             </div>
@@ -313,8 +389,10 @@ const Comments = () => {
               className="px-4 py-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-xl text-gray-900 dark:text-white"
             >
               <option value="all">All Comments</option>
-              <option value="flagged">Flagged Only</option>
-              <option value="approved">Approved Only</option>
+              <option value="flagged">AI Flagged</option>
+              <option value="reported">Reported</option>
+              <option value="hidden">Hidden</option>
+              <option value="visible">Visible</option>
             </select>
             <select
               value={sortBy}
@@ -326,8 +404,121 @@ const Comments = () => {
               <option value="mostLiked">Most Liked</option>
             </select>
           </div>
+          <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+            <div className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400">
+              <Filter className="w-4 h-4" />
+              <span>From</span>
+              <input
+                type="date"
+                value={dateFrom}
+                max={dateTo || undefined}
+                onChange={(e) => setDateFrom(e.target.value)}
+                className="px-3 py-2 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-lg text-gray-900 dark:text-white"
+              />
+              <span>to</span>
+              <input
+                type="date"
+                value={dateTo}
+                min={dateFrom || undefined}
+                onChange={(e) => setDateTo(e.target.value)}
+                className="px-3 py-2 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-lg text-gray-900 dark:text-white"
+              />
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {authorFilter && (
+                <span className="flex items-center gap-1 px-3 py-1 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400 text-sm rounded-full">
+                  Author: {getAuthorName(authorFilter)}
+                  <button onClick={() => setAuthorFilter(null)}>
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              )}
+              {postFilter && (
+                <span className="flex items-center gap-1 px-3 py-1 bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-400 text-sm rounded-full">
+                  Post: {postFilter.title}
+                  <button onClick={() => setPostFilter(null)}>
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              )}
+              {(dateFrom || dateTo) && (
+                <button
+                  onClick={() => {
+                    setDateFrom("");
+                    setDateTo("");
+                  }}
+                  className="text-sm text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 underline"
+                >
+                  Clear dates
+                </button>
+              )}
+            </div>
+          </div>
         </motion.div>
 
+        {/* Bulk Actions */}
+        {comments.length > 0 && (
+          <div className="flex flex-wrap items-center justify-between gap-4 px-2">
+            <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={
+                  selected.length > 0 && selected.length === comments.length
+                }
+                onChange={toggleSelectAll}
+                className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+              />
+              Select all on this page
+            </label>
+            {selected.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {canBulkHide && (
+                  <button
+                    onClick={() =>
+                      requestAction(
+                        "hide",
+                        selectedComments
+                          .filter((c) => !c.isHidden)
+                          .map((c) => c._id)
+                      )
+                    }
+                    disabled={actionLoading === "bulk"}
+                    className="flex items-center gap-2 px-3 py-1.5 bg-amber-500 text-white rounded-lg hover:bg-amber-600 transition-colors text-sm font-medium disabled:opacity-50"
+                  >
+                    <EyeOff className="w-4 h-4" />
+                    Hide selected
+                  </button>
+                )}
+                {canBulkUnhide && (
+                  <button
+                    onClick={() =>
+                      requestAction(
+                        "unhide",
+                        selectedComments
+                          .filter((c) => c.isHidden)
+                          .map((c) => c._id)
+                      )
+                    }
+                    disabled={actionLoading === "bulk"}
+                    className="flex items-center gap-2 px-3 py-1.5 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition-colors text-sm font-medium disabled:opacity-50"
+                  >
+                    <Eye className="w-4 h-4" />
+                    Unhide selected
+                  </button>
+                )}
+                <button
+                  onClick={() => requestAction("delete", selected)}
+                  disabled={actionLoading === "bulk"}
+                  className="flex items-center gap-2 px-3 py-1.5 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm font-medium disabled:opacity-50"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Delete {selected.length} selected
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Comments List */}
         {loading ? (
           <div className="space-y-4">
@@ -346,7 +537,7 @@ const Comments = () => {
               </div>
             ))}
           </div>
-        ) : filteredComments.length === 0 ? (
+        ) : comments.length === 0 ? (
           <motion.div
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
@@ -364,20 +555,27 @@ const Comments = () => {
           </motion.div>
         ) : (
           <div className="space-y-4">
-            {filteredComments.map((comment, index) => (
+            {comments.map((comment, index) => (
               <motion.div
                 key={comment._id}
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
                 transition={{ delay: index * 0.05 }}
                 className={`bg-white dark:bg-gray-800 rounded-2xl border shadow-sm hover:shadow-md transition-all overflow-hidden ${
-                  comment.flagged
+                  isFlagged(comment) || comment.isReported
                     ? "border-red-200 dark:border-red-900/30"
                     : "border-gray-100 dark:border-gray-700"
-                }`}
+                } ${comment.isHidden ? "opacity-75" : ""}`}
               >
                 <div className="p-6">
                   <div className="flex gap-4">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(comment._id)}
+                      onChange={() => toggleSelected(comment._id)}
+                      className="mt-3 rounded border-gray-300 text-green-600 focus:ring-green-500"
+                    />
+
                     {/* Avatar */}
                     <div className="w-10 h-10 rounded-full bg-gradient-to-br from-green-400 to-emerald-500 flex items-center justify-center text-white font-semibold flex-shrink-0">
                       {getAuthorName(comment.author).charAt(0)}
@@ -386,13 +584,29 @@ const Comments = () => {
                     {/* Content */}
                     <div className="flex-1 min-w-0">
                       <div className="flex flex-wrap items-center gap-2 mb-2">
-                        <span className="font-semibold text-gray-900 dark:text-white">
+                        <button
+                          onClick={() => setAuthorFilter(comment.author)}
+                          title="Show comments by this author"
+                          className="font-semibold text-gray-900 dark:text-white hover:underline"
+                        >
                           {getAuthorName(comment.author)}
-                        </span>
-                        {comment.flagged && (
+                        </button>
+                        {isFlagged(comment) && (
+                          <span className="px-2 py-0.5 bg-orange-100 dark:bg-orange-900/30 text-orange-700 dark:text-orange-400 text-xs font-medium rounded-full flex items-center gap-1 capitalize">
+                            <AlertTriangle className="w-3 h-3" />
+                            {flagLabel(comment)}
+                          </span>
+                        )}
+                        {comment.isReported && (
                           <span className="px-2 py-0.5 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400 text-xs font-medium rounded-full flex items-center gap-1">
                             <Flag className="w-3 h-3" />
-                            {comment.flagReason || "Flagged"}
+                            Reported
+                          </span>
+                        )}
+                        {comment.isHidden && (
+                          <span className="px-2 py-0.5 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 text-xs font-medium rounded-full flex items-center gap-1">
+                            <EyeOff className="w-3 h-3" />
+                            Hidden
                           </span>
                         )}
                         <span className="text-sm text-gray-500 dark:text-gray-400">
@@ -409,11 +623,20 @@ const Comments = () => {
                       <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 dark:text-gray-400 mb-3">
                         <span className="flex items-center gap-1">
                           <ThumbsUp className="w-4 h-4" />
-                          {comment.likes} likes
-                        </span>
-                        <span className="flex items-center gap-1 text-blue-600 dark:text-blue-400">
-                          On: {comment.post?.title}
+                          {comment.likesCount || 0} likes
                         </span>
+                        {comment.post && (
+                          <button
+                            onClick={() => setPostFilter(comment.post)}
+                            title="Show comments on this post"
+                            className="flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:underline"
+                          >
+                            On: {comment.post.title}
+                          </button>
+                        )}
+                        {comment.isHidden && comment.hiddenReason && (
+                          <span>Hidden: {comment.hiddenReason}</span>
+                        )}
                       </div>
 
                       {/* Actions */}
@@ -427,22 +650,35 @@ const Comments = () => {
                           <Eye className="w-4 h-4" />
                           View
                         </motion.button>
-                        {comment.flagged && (
+                        {comment.isHidden ? (
                           <motion.button
                             whileHover={{ scale: 1.02 }}
                             whileTap={{ scale: 0.98 }}
-                            onClick={() => handleApproveComment(comment._id)}
+                            onClick={() =>
+                              requestAction("unhide", [comment._id])
+                            }
                             disabled={actionLoading === comment._id}
                             className="flex items-center gap-2 px-3 py-1.5 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition-colors text-sm font-medium disabled:opacity-50"
                           >
-                            <CheckCircle className="w-4 h-4" />
-                            Approve
+                            <Eye className="w-4 h-4" />
+                            Unhide
+                          </motion.button>
+                        ) : (
+                          <motion.button
+                            whileHover={{ scale: 1.02 }}
+                            whileTap={{ scale: 0.98 }}
+                            onClick={() => requestAction("hide", [comment._id])}
+                            disabled={actionLoading === comment._id}
+                            className="flex items-center gap-2 px-3 py-1.5 bg-amber-500 text-white rounded-lg hover:bg-amber-600 transition-colors text-sm font-medium disabled:opacity-50"
+                          >
+                            <EyeOff className="w-4 h-4" />
+                            Hide
                           </motion.button>
                         )}
                         <motion.button
                           whileHover={{ scale: 1.02 }}
                           whileTap={{ scale: 0.98 }}
-                          onClick={() => handleDeleteComment(comment._id)}
+                          onClick={() => requestAction("delete", [comment._id])}
                           disabled={actionLoading === comment._id}
                           className="flex items-center gap-2 px-3 py-1.5 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm font-medium disabled:opacity-50"
                         >
@@ -481,6 +717,20 @@ const Comments = () => {
           </div>
         )}
 
+        {/* Reason Modal */}
+        <AnimatePresence>
+          {pendingAction && (
+            <ReasonModal
+              pending={pendingAction}
+              onClose={() => setPendingAction(null)}
+              onConfirm={(reason) => {
+                runAction(pendingAction.action, pendingAction.ids, reason);
+                setPendingAction(null);
+              }}
+            />
+          )}
+        </AnimatePresence>
+
         {/* Preview Modal */}
         <AnimatePresence>
           {previewComment && (
@@ -527,14 +777,22 @@ const Comments = () => {
                     </div>
                   </div>
 
-                  {previewComment.flagged && (
+                  {isFlagged(previewComment) && (
                     <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-xl p-4 mb-4">
-                      <div className="flex items-center gap-2 text-red-700 dark:text-red-400">
+                      <div className="flex items-center gap-2 text-red-700 dark:text-red-400 mb-2">
                         <AlertTriangle className="w-5 h-5" />
-                        <span className="font-medium">
-                          Flagged: {previewComment.flagReason}
+                        <span className="font-medium capitalize">
+                          {previewComment.violationReport.severity} severity
+                          violation
                         </span>
                       </div>
+                      <ul className="space-y-1 text-sm text-red-700 dark:text-red-300">
+                        {previewComment.violationReport.violations.map(
+                          (violation, idx) => (
+                            <li key={idx}>{violation.description}</li>
+                          )
+                        )}
+                      </ul>
                     </div>
                   )}
 
@@ -545,32 +803,54 @@ const Comments = () => {
                   </div>
 
                   <div className="text-sm text-gray-500 dark:text-gray-400">
-                    <p className="flex items-center gap-2">
-                      <ExternalLink className="w-4 h-4" />
-                      On post: {previewComment.post?.title}
-                    </p>
+                    {previewComment.post && (
+                      <a
+                        href={`/posts/${previewComment.post._id}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center gap-2 hover:text-blue-600"
+                      >
+                        <ExternalLink className="w-4 h-4" />
+                        On post: {previewComment.post.title}
+                      </a>
+                    )}
                     <p className="flex items-center gap-2 mt-1">
                       <ThumbsUp className="w-4 h-4" />
-                      {previewComment.likes} likes
+                      {previewComment.likesCount || 0} likes
                     </p>
+                    {previewComment.isHidden && (
+                      <p className="flex items-center gap-2 mt-1">
+                        <EyeOff className="w-4 h-4" />
+                        Hidden
+                        {previewComment.hiddenBy &&
+                          ` by ${getAuthorName(previewComment.hiddenBy)}`}
+                        {previewComment.hiddenReason &&
+                          `: ${previewComment.hiddenReason}`}
+                      </p>
+                    )}
                   </div>
                 </div>
                 <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
-                  {previewComment.flagged && (
-                    <button
-                      onClick={() => {
-                        handleApproveComment(previewComment._id);
-                        setPreviewComment(null);
-                      }}
-                      className="flex items-center gap-2 px-6 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition-colors font-medium"
-                    >
-                      <CheckCircle className="w-4 h-4" />
-                      Approve
-                    </button>
-                  )}
                   <button
                     onClick={() => {
-                      handleDeleteComment(previewComment._id);
+                      requestAction(
+                        previewComment.isHidden ? "unhide" : "hide",
+                        [previewComment._id]
+                      );
+                      setPreviewComment(null);
+                    }}
+                    className="flex items-center gap-2 px-6 py-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600 transition-colors font-medium"
+                  >
+                    {previewComment.isHidden ? (
+                      <Eye className="w-4 h-4" />
+                    ) : (
+                      <EyeOff className="w-4 h-4" />
+                    )}
+                    {previewComment.isHidden ? "Unhide" : "Hide"}
+                  </button>
+                  <button
+                    onClick={() => {
+                      requestAction("delete", [previewComment._id]);
                       setPreviewComment(null);
                     }}
                     className="flex items-center gap-2 px-6 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors font-medium"
@@ -25,13 +25,15 @@ import {
   AlertTriangle,
   ShieldAlert,
   ShieldCheck,
+  CalendarClock,
 } from "lucide-react";
 import { postsAPI } from "../../api/posts";
 import DashboardLayout from "../../components/dashboard/DashboardLayout";
 import RejectionModal from "../../components/moderation/RejectionModal";
+import ScheduleModal from "../../components/moderation/ScheduleModal";
 import ViolationReport from "../../components/ai/ViolationReport";
 import { toast } from "react-hot-toast";
-import { formatDistanceToNow } from "date-fns";
+import { formatDistanceToNow, format } from "date-fns";
 
 const PendingQueue = () => {
   const navigate = useNavigate();
@@ -48,6 +50,12 @@ const PendingQueue = () => {
     postId: null,
     postTitle: "",
   });
+  const [scheduleModal, setScheduleModal] = useState({
+    isOpen: false,
+    postId: null,
+    postTitle: "",
+    scheduledFor: null,
+  });
 
   const postsPerPage = 10;
 
@@ -84,8 +92,9 @@ const PendingQueue = () => {
   const handleApprove = async (postId) => {
     try {
       setActionLoading(postId);
-      await postsAPI.approvePost(postId);
-      toast.success("Post approved and published!");
+      // Posts with a requested publication time are scheduled rather than published
+      const response = await postsAPI.approvePost(postId);
+      toast.success(response.message || "Post approved and published!");
       fetchPendingPosts();
     } catch (error) {
       toast.error(error.response?.data?.message || "Failed to approve post");
@@ -94,6 +103,28 @@ const PendingQueue = () => {
     }
   };
 
+  const handleSchedule = (post) => {
+    setScheduleModal({
+      isOpen: true,
+      postId: post._id,
+      postTitle: post.title,
+      scheduledFor: post.scheduledFor || null,
+    });
+  };
+
+  const handleScheduleConfirm = async (scheduledFor) => {
+    try {
+      setActionLoading(scheduleModal.postId);
+      await postsAPI.approvePost(scheduleModal.postId, "", scheduledFor);
+      toast.success("Post approved and scheduled");
+      fetchPendingPosts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to schedule post");
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
   const handleReject = (postId, postTitle) => {
     setRejectionModal({ isOpen: true, postId, postTitle });
   };
@@ -274,6 +305,16 @@ const PendingQueue = () => {
                             {post.category}
                           </span>
                         )}
+                        {post.scheduledFor && (
+                          <span
+                            className="flex items-center gap-1 text-indigo-600 dark:text-indigo-400"
+                            title="Publication time requested by the author"
+                          >
+                            <CalendarClock className="w-4 h-4" />
+                            Requested for{" "}
+                            {format(new Date(post.scheduledFor), "MMM d, yyyy h:mm a")}
+                          </span>
+                        )}
                       </div>
 
                       {/* Violation Warning Banner */}
@@ -334,6 +375,16 @@ const PendingQueue = () => {
                           )}
                           Approve
                         </motion.button>
+                        <motion.button
+                          whileHover={{ scale: 1.02 }}
+                          whileTap={{ scale: 0.98 }}
+                          onClick={() => handleSchedule(post)}
+                          disabled={actionLoading === post._id}
+                          className="flex items-center gap-2 px-4 py-2 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 transition-colors text-sm font-medium disabled:opacity-50"
+                        >
+                          <CalendarClock className="w-4 h-4" />
+                          Schedule
+                        </motion.button>
                         <motion.button
                           whileHover={{ scale: 1.02 }}
                           whileTap={{ scale: 0.98 }}
@@ -467,6 +518,22 @@ const PendingQueue = () => {
           onConfirm={handleRejectConfirm}
           postTitle={rejectionModal.postTitle}
         />
+
+        {/* Schedule Modal */}
+        <ScheduleModal
+          isOpen={scheduleModal.isOpen}
+          onClose={() =>
+            setScheduleModal({
+              isOpen: false,
+              postId: null,
+              postTitle: "",
+              scheduledFor: null,
+            })
+          }
+          onConfirm={handleScheduleConfirm}
+          postTitle={scheduleModal.postTitle}
+          initialValue={scheduleModal.scheduledFor}
+        />
       </div>
     </DashboardLayout>
   );
@@ -1,9 +1,11 @@
 /**
  * ============================================================================
- * REPORTED CONTENT PAGE - Handle Flagged Posts with AI Violations
+ * REPORTED CONTENT PAGE - User Reports and AI-Flagged Posts
  * ============================================================================
- * Displays posts that have been flagged by the AI content moderation system
- * Allows moderators to review, approve, or remove violating content
+ * "User Reports" is the moderation case queue for posts, comments and users
+ * reported by readers (see components/moderation/ReportQueue.jsx).
+ * "AI Flagged" displays posts that have been flagged by the AI content
+ * moderation system and allows moderators to review, approve, or remove them.
  */
 
 import { useState, useEffect, useCallback } from "react";
@@ -28,10 +30,12 @@ import {
 } from "lucide-react";
 import { postsAPI } from "../../api/posts";
 import DashboardLayout from "../../components/dashboard/DashboardLayout";
+import ReportQueue from "../../components/moderation/ReportQueue";
 import { toast } from "react-hot-toast";
 import { formatDistanceToNow } from "date-fns";
 
 const ReportedContent = () => {
+  const [activeTab, setActiveTab] = useState("reports");
   const [flaggedPosts, setFlaggedPosts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -101,8 +105,10 @@ const ReportedContent = () => {
   }, [currentPage, filterSeverity, filterStatus]);
 
   useEffect(() => {
-    fetchFlaggedPosts();
-  }, [fetchFlaggedPosts]);
+    if (activeTab === "flagged") {
+      fetchFlaggedPosts();
+    }
+  }, [activeTab, fetchFlaggedPosts]);
 
   // Dismiss violation (approve post)
   const handleDismissViolation = async (postId) => {
@@ -253,326 +259,357 @@ const ReportedContent = () => {
             </div>
             <div>
               <h1 className="text-3xl font-bold bg-gradient-to-r from-gray-900 to-gray-600 bg-clip-text text-transparent dark:from-white dark:to-gray-400">
-                Flagged Content
+                Reported Content
               </h1>
               <p className="text-gray-500 dark:text-gray-400">
-                {totalFlagged} posts flagged by AI moderation
+                {activeTab === "reports"
+                  ? "Posts, comments and users reported by readers"
+                  : `${totalFlagged} posts flagged by AI moderation`}
               </p>
             </div>
           </div>
-          <motion.button
-            whileHover={{ scale: 1.02 }}
-            whileTap={{ scale: 0.98 }}
-            onClick={fetchFlaggedPosts}
-            className="flex items-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
-          >
-            <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
-            Refresh
-          </motion.button>
-        </motion.div>
-
-        {/* Severity Stats */}
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.05 }}
-          className="grid grid-cols-2 sm:grid-cols-4 gap-4"
-        >
-          {["critical", "high", "medium", "low"].map((severity) => {
-            const badge = getSeverityBadge(severity);
-            const Icon = badge.icon;
-            return (
-              <div
-                key={severity}
-                className={`p-4 rounded-xl border ${badge.color} cursor-pointer transition-all hover:scale-105`}
-                onClick={() =>
-                  setFilterSeverity(
-                    filterSeverity === severity ? "all" : severity
-                  )
-                }
-              >
-                <div className="flex items-center gap-2">
-                  <Icon className="w-5 h-5" />
-                  <span className="font-semibold">{badge.label}</span>
-                </div>
-                <p className="text-2xl font-bold mt-1">
-                  {severityStats[severity] || 0}
-                </p>
-              </div>
-            );
-          })}
-        </motion.div>
-
-        {/* Filters */}
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.1 }}
-          className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 shadow-sm p-4"
-        >
-          <div className="flex flex-col sm:flex-row gap-4">
-            <div className="flex-1 relative">
-              <Search className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-              <input
-                type="text"
-                placeholder="Search flagged content..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                className="w-full pl-12 pr-10 py-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-xl focus:outline-none focus:ring-2 focus:ring-red-500/20 focus:border-red-500 transition-all text-gray-900 dark:text-white"
-              />
-            </div>
-            <select
-              value={filterSeverity}
-              onChange={(e) => setFilterSeverity(e.target.value)}
-              className="px-4 py-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-xl text-gray-900 dark:text-white"
-            >
-              <option value="all">All Severities</option>
-              <option value="critical">Critical</option>
-              <option value="high">High</option>
-              <option value="medium">Medium</option>
-              <option value="low">Low</option>
-            </select>
-            <select
-              value={filterStatus}
-              onChange={(e) => setFilterStatus(e.target.value)}
-              className="px-4 py-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-xl text-gray-900 dark:text-white"
-            >
-              <option value="pending">Pending Review</option>
-              <option value="published">Published</option>
-              <option value="rejected">Rejected</option>
-              <option value="all">All Status</option>
-            </select>
-          </div>
-        </motion.div>
-
-        {/* Flagged Posts List */}
-        {error ? (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            className="bg-red-50 dark:bg-red-900/20 rounded-2xl border border-red-200 dark:border-red-800 p-8 text-center"
-          >
-            <AlertTriangle className="w-12 h-12 text-red-500 mx-auto mb-4" />
-            <h3 className="text-lg font-semibold text-red-700 dark:text-red-400 mb-2">
-              Error Loading Content
-            </h3>
-            <p className="text-red-600 dark:text-red-300 mb-4">{error}</p>
+          {activeTab === "flagged" && (
             <motion.button
               whileHover={{ scale: 1.02 }}
               whileTap={{ scale: 0.98 }}
               onClick={fetchFlaggedPosts}
-              className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+              className="flex items-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
             >
-              Try Again
+              <RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`} />
+              Refresh
             </motion.button>
-          </motion.div>
-        ) : loading ? (
-          <div className="space-y-4">
-            {[...Array(3)].map((_, i) => (
-              <div
-                key={i}
-                className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 p-6 animate-pulse"
-              >
-                <div className="flex gap-4">
-                  <div className="w-12 h-12 bg-gray-200 dark:bg-gray-700 rounded-xl" />
-                  <div className="flex-1 space-y-3">
-                    <div className="h-5 bg-gray-200 dark:bg-gray-700 rounded w-3/4" />
-                    <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded w-1/2" />
+          )}
+        </motion.div>
+
+        {/* Tabs */}
+        <div className="flex gap-2 border-b border-gray-200 dark:border-gray-700">
+          {[
+            { value: "reports", label: "User Reports", icon: Flag },
+            { value: "flagged", label: "AI Flagged", icon: Shield },
+          ].map(({ value, label, icon: Icon }) => (
+            <button
+              key={value}
+              onClick={() => setActiveTab(value)}
+              className={`flex items-center gap-2 px-4 py-3 -mb-px border-b-2 text-sm font-medium transition-colors ${
+                activeTab === value
+                  ? "border-red-500 text-red-600 dark:text-red-400"
+                  : "border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === "reports" ? (
+          <ReportQueue />
+        ) : (
+          <>
+            {/* Severity Stats */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.05 }}
+              className="grid grid-cols-2 sm:grid-cols-4 gap-4"
+            >
+              {["critical", "high", "medium", "low"].map((severity) => {
+                const badge = getSeverityBadge(severity);
+                const Icon = badge.icon;
+                return (
+                  <div
+                    key={severity}
+                    className={`p-4 rounded-xl border ${badge.color} cursor-pointer transition-all hover:scale-105`}
+                    onClick={() =>
+                      setFilterSeverity(
+                        filterSeverity === severity ? "all" : severity
+                      )
+                    }
+                  >
+                    <div className="flex items-center gap-2">
+                      <Icon className="w-5 h-5" />
+                      <span className="font-semibold">{badge.label}</span>
+                    </div>
+                    <p className="text-2xl font-bold mt-1">
+                      {severityStats[severity] || 0}
+                    </p>
                   </div>
+                );
+              })}
+            </motion.div>
+
+            {/* Filters */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 shadow-sm p-4"
+            >
+              <div className="flex flex-col sm:flex-row gap-4">
+                <div className="flex-1 relative">
+                  <Search className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                  <input
+                    type="text"
+                    placeholder="Search flagged content..."
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                    className="w-full pl-12 pr-10 py-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-xl focus:outline-none focus:ring-2 focus:ring-red-500/20 focus:border-red-500 transition-all text-gray-900 dark:text-white"
+                  />
                 </div>
+                <select
+                  value={filterSeverity}
+                  onChange={(e) => setFilterSeverity(e.target.value)}
+                  className="px-4 py-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-xl text-gray-900 dark:text-white"
+                >
+                  <option value="all">All Severities</option>
+                  <option value="critical">Critical</option>
+                  <option value="high">High</option>
+                  <option value="medium">Medium</option>
+                  <option value="low">Low</option>
+                </select>
+                <select
+                  value={filterStatus}
+                  onChange={(e) => setFilterStatus(e.target.value)}
+                  className="px-4 py-3 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-xl text-gray-900 dark:text-white"
+                >
+                  <option value="pending">Pending Review</option>
+                  <option value="published">Published</option>
+                  <option value="rejected">Rejected</option>
+                  <option value="all">All Status</option>
+                </select>
               </div>
-            ))}
-          </div>
-        ) : filteredPosts.length === 0 ? (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 p-12 text-center"
-          >
-            <Shield className="w-16 h-16 text-emerald-500 mx-auto mb-4" />
-            <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
-              All Clear!
-            </h3>
-            <p className="text-gray-500 dark:text-gray-400">
-              No flagged content to review at the moment.
-            </p>
-          </motion.div>
-        ) : (
-          <div className="space-y-4">
-            {filteredPosts.map((post, index) => {
-              const severityBadge = getSeverityBadge(
-                post.violationReport?.severity || "none"
-              );
-              const SeverityIcon = severityBadge.icon;
-              const violations = post.violationReport?.violations || [];
-
-              return (
-                <motion.div
-                  key={post._id}
-                  initial={{ opacity: 0, y: 20 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  transition={{ delay: index * 0.05 }}
-                  className="bg-white dark:bg-gray-800 rounded-2xl border border-red-100 dark:border-red-900/30 shadow-sm hover:shadow-md transition-all overflow-hidden"
+            </motion.div>
+
+            {/* Flagged Posts List */}
+            {error ? (
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                className="bg-red-50 dark:bg-red-900/20 rounded-2xl border border-red-200 dark:border-red-800 p-8 text-center"
+              >
+                <AlertTriangle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+                <h3 className="text-lg font-semibold text-red-700 dark:text-red-400 mb-2">
+                  Error Loading Content
+                </h3>
+                <p className="text-red-600 dark:text-red-300 mb-4">{error}</p>
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={fetchFlaggedPosts}
+                  className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
                 >
-                  <div className="p-6">
-                    <div className="flex flex-col lg:flex-row gap-4">
-                      {/* Severity Icon */}
-                      <div
-                        className={`w-12 h-12 rounded-xl flex items-center justify-center flex-shrink-0 ${severityBadge.color}`}
-                      >
-                        <SeverityIcon className="w-6 h-6" />
+                  Try Again
+                </motion.button>
+              </motion.div>
+            ) : loading ? (
+              <div className="space-y-4">
+                {[...Array(3)].map((_, i) => (
+                  <div
+                    key={i}
+                    className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 p-6 animate-pulse"
+                  >
+                    <div className="flex gap-4">
+                      <div className="w-12 h-12 bg-gray-200 dark:bg-gray-700 rounded-xl" />
+                      <div className="flex-1 space-y-3">
+                        <div className="h-5 bg-gray-200 dark:bg-gray-700 rounded w-3/4" />
+                        <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded w-1/2" />
                       </div>
-
-                      {/* Content */}
-                      <div className="flex-1 min-w-0">
-                        <div className="flex flex-wrap items-center gap-2 mb-2">
-                          <span
-                            className={`px-2 py-1 text-xs font-medium rounded-full border ${severityBadge.color}`}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : filteredPosts.length === 0 ? (
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                className="bg-white dark:bg-gray-800 rounded-2xl border border-gray-100 dark:border-gray-700 p-12 text-center"
+              >
+                <Shield className="w-16 h-16 text-emerald-500 mx-auto mb-4" />
+                <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+                  All Clear!
+                </h3>
+                <p className="text-gray-500 dark:text-gray-400">
+                  No flagged content to review at the moment.
+                </p>
+              </motion.div>
+            ) : (
+              <div className="space-y-4">
+                {filteredPosts.map((post, index) => {
+                  const severityBadge = getSeverityBadge(
+                    post.violationReport?.severity || "none"
+                  );
+                  const SeverityIcon = severityBadge.icon;
+                  const violations = post.violationReport?.violations || [];
+
+                  return (
+                    <motion.div
+                      key={post._id}
+                      initial={{ opacity: 0, y: 20 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      transition={{ delay: index * 0.05 }}
+                      className="bg-white dark:bg-gray-800 rounded-2xl border border-red-100 dark:border-red-900/30 shadow-sm hover:shadow-md transition-all overflow-hidden"
+                    >
+                      <div className="p-6">
+                        <div className="flex flex-col lg:flex-row gap-4">
+                          {/* Severity Icon */}
+                          <div
+                            className={`w-12 h-12 rounded-xl flex items-center justify-center flex-shrink-0 ${severityBadge.color}`}
                           >
-                            {severityBadge.label} Severity
-                          </span>
-                          <span className="px-2 py-1 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 text-xs font-medium rounded-full">
-                            {post.category}
-                          </span>
-                          <span className="px-2 py-1 bg-blue-100 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 text-xs font-medium rounded-full">
-                            {post.status}
-                          </span>
-                        </div>
+                            <SeverityIcon className="w-6 h-6" />
+                          </div>
 
-                        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
-                          {post.title}
-                        </h3>
-
-                        <p className="text-gray-600 dark:text-gray-300 text-sm mb-3 line-clamp-2">
-                          {post.excerpt ||
-                            post.content?.substring(0, 150) + "..."}
-                        </p>
-
-                        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 dark:text-gray-400 mb-3">
-                          <span className="flex items-center gap-1">
-                            <User className="w-4 h-4" />
-                            By {getAuthorName(post.author)}
-                          </span>
-                          <span className="flex items-center gap-1">
-                            <Calendar className="w-4 h-4" />
-                            {formatDistanceToNow(new Date(post.createdAt), {
-                              addSuffix: true,
-                            })}
-                          </span>
-                          <span className="flex items-center gap-1">
-                            <Flag className="w-4 h-4 text-red-500" />
-                            {violations.length} violation
-                            {violations.length !== 1 ? "s" : ""}
-                          </span>
-                        </div>
+                          {/* Content */}
+                          <div className="flex-1 min-w-0">
+                            <div className="flex flex-wrap items-center gap-2 mb-2">
+                              <span
+                                className={`px-2 py-1 text-xs font-medium rounded-full border ${severityBadge.color}`}
+                              >
+                                {severityBadge.label} Severity
+                              </span>
+                              <span className="px-2 py-1 bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 text-xs font-medium rounded-full">
+                                {post.category}
+                              </span>
+                              <span className="px-2 py-1 bg-blue-100 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 text-xs font-medium rounded-full">
+                                {post.status}
+                              </span>
+                            </div>
 
-                        {/* Violations List */}
-                        {violations.length > 0 && (
-                          <div className="bg-red-50 dark:bg-red-900/20 border border-red-100 dark:border-red-800/30 rounded-lg p-3 mb-4">
-                            <div className="flex items-start gap-2">
-                              <AlertTriangle className="w-4 h-4 text-red-500 mt-0.5 flex-shrink-0" />
-                              <div className="flex-1">
-                                <p className="text-sm font-medium text-red-700 dark:text-red-400 mb-2">
-                                  Detected Violations:
-                                </p>
-                                <div className="flex flex-wrap gap-2">
-                                  {violations.map((violation, vIndex) => {
-                                    const vBadge = getViolationTypeBadge(
-                                      violation.type
-                                    );
-                                    return (
-                                      <span
-                                        key={vIndex}
-                                        className={`px-2 py-1 text-xs font-medium rounded-full ${vBadge.color}`}
-                                        title={violation.description}
-                                      >
-                                        {vBadge.label}
-                                      </span>
-                                    );
-                                  })}
+                            <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
+                              {post.title}
+                            </h3>
+
+                            <p className="text-gray-600 dark:text-gray-300 text-sm mb-3 line-clamp-2">
+                              {post.excerpt ||
+                                post.content?.substring(0, 150) + "..."}
+                            </p>
+
+                            <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 dark:text-gray-400 mb-3">
+                              <span className="flex items-center gap-1">
+                                <User className="w-4 h-4" />
+                                By {getAuthorName(post.author)}
+                              </span>
+                              <span className="flex items-center gap-1">
+                                <Calendar className="w-4 h-4" />
+                                {formatDistanceToNow(new Date(post.createdAt), {
+                                  addSuffix: true,
+                                })}
+                              </span>
+                              <span className="flex items-center gap-1">
+                                <Flag className="w-4 h-4 text-red-500" />
+                                {violations.length} violation
+                                {violations.length !== 1 ? "s" : ""}
+                              </span>
+                            </div>
+
+                            {/* Violations List */}
+                            {violations.length > 0 && (
+                              <div className="bg-red-50 dark:bg-red-900/20 border border-red-100 dark:border-red-800/30 rounded-lg p-3 mb-4">
+                                <div className="flex items-start gap-2">
+                                  <AlertTriangle className="w-4 h-4 text-red-500 mt-0.5 flex-shrink-0" />
+                                  <div className="flex-1">
+                                    <p className="text-sm font-medium text-red-700 dark:text-red-400 mb-2">
+                                      Detected Violations:
+                                    </p>
+                                    <div className="flex flex-wrap gap-2">
+                                      {violations.map((violation, vIndex) => {
+                                        const vBadge = getViolationTypeBadge(
+                                          violation.type
+                                        );
+                                        return (
+                                          <span
+                                            key={vIndex}
+                                            className={`px-2 py-1 text-xs font-medium rounded-full ${vBadge.color}`}
+                                            title={violation.description}
+                                          >
+                                            {vBadge.label}
+                                          </span>
+                                        );
+                                      })}
+                                    </div>
+                                    {violations[0]?.excerpt && (
+                                      <p className="text-xs text-red-600 dark:text-red-300 mt-2 italic">
+                                        "{violations[0].excerpt}"
+                                      </p>
+                                    )}
+                                  </div>
                                 </div>
-                                {violations[0]?.excerpt && (
-                                  <p className="text-xs text-red-600 dark:text-red-300 mt-2 italic">
-                                    "{violations[0].excerpt}"
-                                  </p>
-                                )}
                               </div>
+                            )}
+
+                            {/* Actions */}
+                            <div className="flex flex-wrap gap-2">
+                              <motion.button
+                                whileHover={{ scale: 1.02 }}
+                                whileTap={{ scale: 0.98 }}
+                                onClick={() => setPreviewItem(post)}
+                                className="flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors text-sm font-medium"
+                              >
+                                <Eye className="w-4 h-4" />
+                                View Full Content
+                              </motion.button>
+                              <motion.button
+                                whileHover={{ scale: 1.02 }}
+                                whileTap={{ scale: 0.98 }}
+                                onClick={() => handleDismissViolation(post._id)}
+                                disabled={actionLoading === post._id}
+                                className="flex items-center gap-2 px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition-colors text-sm font-medium disabled:opacity-50"
+                              >
+                                <ThumbsUp className="w-4 h-4" />
+                                Approve (Dismiss)
+                              </motion.button>
+                              <motion.button
+                                whileHover={{ scale: 1.02 }}
+                                whileTap={{ scale: 0.98 }}
+                                onClick={() => handleRejectPost(post._id)}
+                                disabled={actionLoading === post._id}
+                                className="flex items-center gap-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium disabled:opacity-50"
+                              >
+                                <XCircle className="w-4 h-4" />
+                                Reject
+                              </motion.button>
+                              <motion.button
+                                whileHover={{ scale: 1.02 }}
+                                whileTap={{ scale: 0.98 }}
+                                onClick={() => handleRemoveContent(post._id)}
+                                disabled={actionLoading === post._id}
+                                className="flex items-center gap-2 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm font-medium disabled:opacity-50"
+                              >
+                                <Ban className="w-4 h-4" />
+                                Delete
+                              </motion.button>
                             </div>
                           </div>
-                        )}
-
-                        {/* Actions */}
-                        <div className="flex flex-wrap gap-2">
-                          <motion.button
-                            whileHover={{ scale: 1.02 }}
-                            whileTap={{ scale: 0.98 }}
-                            onClick={() => setPreviewItem(post)}
-                            className="flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors text-sm font-medium"
-                          >
-                            <Eye className="w-4 h-4" />
-                            View Full Content
-                          </motion.button>
-                          <motion.button
-                            whileHover={{ scale: 1.02 }}
-                            whileTap={{ scale: 0.98 }}
-                            onClick={() => handleDismissViolation(post._id)}
-                            disabled={actionLoading === post._id}
-                            className="flex items-center gap-2 px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition-colors text-sm font-medium disabled:opacity-50"
-                          >
-                            <ThumbsUp className="w-4 h-4" />
-                            Approve (Dismiss)
-                          </motion.button>
-                          <motion.button
-                            whileHover={{ scale: 1.02 }}
-                            whileTap={{ scale: 0.98 }}
-                            onClick={() => handleRejectPost(post._id)}
-                            disabled={actionLoading === post._id}
-                            className="flex items-center gap-2 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium disabled:opacity-50"
-                          >
-                            <XCircle className="w-4 h-4" />
-                            Reject
-                          </motion.button>
-                          <motion.button
-                            whileHover={{ scale: 1.02 }}
-                            whileTap={{ scale: 0.98 }}
-                            onClick={() => handleRemoveContent(post._id)}
-                            disabled={actionLoading === post._id}
-                            className="flex items-center gap-2 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm font-medium disabled:opacity-50"
-                          >
-                            <Ban className="w-4 h-4" />
-                            Delete
-                          </motion.button>
                         </div>
                       </div>
-                    </div>
-                  </div>
-                </motion.div>
-              );
-            })}
-          </div>
-        )}
-
-        {/* Pagination */}
-        {totalPages > 1 && (
-          <div className="flex items-center justify-center gap-2">
-            <button
-              onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
-              disabled={currentPage === 1}
-              className="p-2 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
-            >
-              <ChevronLeft className="w-5 h-5" />
-            </button>
-            <span className="px-4 py-2 text-sm text-gray-600 dark:text-gray-400">
-              Page {currentPage} of {totalPages}
-            </span>
-            <button
-              onClick={() => setCurrentPage((p) => Math.min(totalPages, p + 1))}
-              disabled={currentPage === totalPages}
-              className="p-2 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
-            >
-              <ChevronRight className="w-5 h-5" />
-            </button>
-          </div>
+                    </motion.div>
+                  );
+                })}
+              </div>
+            )}
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div className="flex items-center justify-center gap-2">
+                <button
+                  onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
+                  disabled={currentPage === 1}
+                  className="p-2 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
+                >
+                  <ChevronLeft className="w-5 h-5" />
+                </button>
+                <span className="px-4 py-2 text-sm text-gray-600 dark:text-gray-400">
+                  Page {currentPage} of {totalPages}
+                </span>
+                <button
+                  onClick={() => setCurrentPage((p) => Math.min(totalPages, p + 1))}
+                  disabled={currentPage === totalPages}
+                  className="p-2 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
+                >
+                  <ChevronRight className="w-5 h-5" />
+                </button>
+              </div>
+            )}
+          </>
         )}
 
         {/* Preview Modal */}
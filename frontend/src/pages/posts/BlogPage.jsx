@@ -35,6 +35,7 @@ import {
   Eye,
   Flame,
   Tag,
+  Hash,
   FolderOpen,
   SlidersHorizontal,
   LayoutGrid,
@@ -43,6 +44,7 @@ import {
   Sparkles,
 } from "lucide-react";
 import EnhancedPostCard from "../../components/blog/EnhancedPostCard";
+import SearchFilter from "../../components/blog/SearchFilter";
 import Pagination from "../../components/blog/Pagination";
 import LoginPromptModal from "../../components/blog/LoginPromptModal";
 import toast from "react-hot-toast";
@@ -184,6 +186,7 @@ const LeftSidebar = ({
   onClearFilters,
   categories,
   trendingPosts,
+  trendingTags,
   activeTab,
   onTabChange,
   isAuthenticated,
@@ -381,6 +384,34 @@ const LeftSidebar = ({
         </div>
       )}
 
+      {/* Trending Tags */}
+      {trendingTags.length > 0 && (
+        <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+          <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+              <Hash className="w-4 h-4 text-orange-500" />
+              Trending Tags
+            </h3>
+          </div>
+          <div className="flex flex-wrap gap-2 p-4">
+            {trendingTags.map(({ tag, posts }) => (
+              <button
+                key={tag}
+                onClick={() => onFilterChange({ tags: [tag] })}
+                title={`${posts} trending ${posts === 1 ? "post" : "posts"}`}
+                className={`px-3 py-1 text-xs rounded-full transition-colors ${
+                  filters.tags?.includes(tag)
+                    ? "bg-primary-500 text-white"
+                    : "bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-primary-50 dark:hover:bg-primary-900/30 hover:text-primary-600 dark:hover:text-primary-400"
+                }`}
+              >
+                #{tag}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Clear Filters */}
       {hasActiveFilters && (
         <button
@@ -612,7 +643,9 @@ const BlogPage = () => {
     pagination,
     filters,
     trendingPosts,
+    trendingTags,
     categories,
+    searchFacets,
     trendingLoading,
     fetchPosts,
     likePost,
@@ -639,6 +672,7 @@ const BlogPage = () => {
     }
     if (searchParam && searchParam !== filters.search) {
       newFilters.search = searchParam;
+      newFilters.sortBy = "relevance";
       hasChanges = true;
     }
     if (tagParam) {
@@ -658,7 +692,14 @@ const BlogPage = () => {
   // Handlers
   const handleSearchChange = useCallback(
     (query) => {
-      updateFilters({ search: query });
+      const nextFilters = { search: query };
+      // Rank by relevance while searching, back to latest once cleared
+      if (query && !filters.search && filters.sortBy === "latest") {
+        nextFilters.sortBy = "relevance";
+      } else if (!query && filters.sortBy === "relevance") {
+        nextFilters.sortBy = "latest";
+      }
+      updateFilters(nextFilters);
       if (query) {
         searchParams.set("search", query);
       } else {
@@ -666,7 +707,7 @@ const BlogPage = () => {
       }
       setSearchParams(searchParams, { replace: true });
     },
-    [updateFilters, searchParams, setSearchParams]
+    [updateFilters, filters.search, filters.sortBy, searchParams, setSearchParams]
   );
 
   const handleFilterChange = useCallback(
@@ -808,6 +849,7 @@ const BlogPage = () => {
             onClearFilters={handleClearFilters}
             categories={categories}
             trendingPosts={trendingPosts}
+            trendingTags={trendingTags}
             activeTab={activeTab}
             onTabChange={handleTabChange}
             isAuthenticated={isAuthenticated}
@@ -819,8 +861,38 @@ const BlogPage = () => {
 
           {/* Main Content */}
           <main className="flex-1 min-w-0">
+            {/* Search Results Header */}
+            {filters.search && activeTab === "all" && (
+              <div className="mb-6 space-y-4">
+                <SearchFilter
+                  searchQuery={filters.search}
+                  onSearchChange={handleSearchChange}
+                  filters={filters}
+                  onFilterChange={handleFilterChange}
+                  onClearFilters={handleClearFilters}
+                  categories={categories}
+                  facets={searchFacets}
+                  viewMode={viewMode}
+                  onViewModeChange={setViewMode}
+                />
+                {!isLoading && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {pagination.totalPosts}{" "}
+                    {pagination.totalPosts === 1 ? "result" : "results"} for{" "}
+                    <span className="font-medium text-gray-900 dark:text-white">
+                      &ldquo;{filters.search}&rdquo;
+                    </span>
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* View Mode Toggle & Results Count */}
-            <div className="flex items-center justify-between mb-6">
+            <div
+              className={`flex items-center justify-between mb-6 ${
+                filters.search && activeTab === "all" ? "hidden" : ""
+              }`}
+            >
               <div className="flex items-center gap-2">
                 <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
                   {activeTab === "trending"
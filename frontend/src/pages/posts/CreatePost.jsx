@@ -12,12 +12,14 @@
  *   - Content (required, rich text editor)
  *   - Excerpt (optional, auto-generated if empty)
  *   - Tags (optional)
+ *   - Publish On (optional, requested publication time)
  *
  * FEATURES:
  *   - Rich text editor with formatting options
  *   - Image upload via drag-and-drop or file picker
  *   - Image URL input option
  *   - Save as draft functionality
+ *   - Autosave to the server with recovery of unsaved work
  *   - Submit for review (pending approval)
  *   - Preview before publishing
  *
@@ -36,6 +38,7 @@ import { useNavigate } from "react-router-dom";
 import { useForm, Controller } from "react-hook-form";
 import { postsAPI } from "../../api/posts";
 import { useAuth } from "../../hooks/useAuth";
+import { useDraftAutosave } from "../../hooks/useDraftAutosave";
 import {
   Save,
   Send,
@@ -54,6 +57,9 @@ import Input from "../../components/common/Input";
 import RichTextEditor from "../../components/common/RichTextEditor";
 import ContentGeneratorPanel from "../../components/ai/ContentGeneratorPanel";
 import { ContentGuidelinesPanel } from "../../components/terms";
+import DraftRecoveryBanner, {
+  AutosaveStatus,
+} from "../../components/posts/DraftRecoveryBanner";
 import toast from "react-hot-toast";
 
 /**
@@ -118,6 +124,35 @@ const CreatePost = () => {
   const [guidelinesAcknowledged, setGuidelinesAcknowledged] = useState(false);
   const fileInputRef = useRef(null);
 
+  // Autosave unsaved work (honours the "Auto-save" writing preference)
+  const formValues = watch();
+  const draftAutosave = useDraftAutosave({
+    draftKey: "new",
+    userId: user?._id,
+    values: {
+      ...formValues,
+      tags: formValues.tags
+        ? formValues.tags
+            .split(",")
+            .map((tag) => tag.trim())
+            .filter(Boolean)
+        : [],
+    },
+    ready: !authLoading,
+    enabled: user?.preferences?.autoSave !== false,
+    onRestore: (fields) => {
+      const options = { shouldDirty: true };
+      setValue("title", fields.title, options);
+      setValue("content", fields.content, options);
+      setValue("excerpt", fields.excerpt, options);
+      setValue("category", fields.category, options);
+      setValue("tags", fields.tags.join(", "), options);
+      setValue("metaDescription", fields.metaDescription, options);
+      setValue("featuredImage", fields.featuredImage, options);
+      setImagePreview(fields.featuredImage);
+    },
+  });
+
   // Show loading while auth is being checked
   if (authLoading) {
     return (
@@ -217,6 +252,10 @@ const CreatePost = () => {
               .map((tag) => tag.trim())
               .filter(Boolean)
           : [],
+        // datetime-local value is in the author's local time
+        scheduledFor: data.scheduledFor
+          ? new Date(data.scheduledFor).toISOString()
+          : null,
       };
 
       // Remove featuredImage if it's empty to avoid validation error
@@ -228,10 +267,12 @@ const CreatePost = () => {
       if (!postData.excerpt) delete postData.excerpt;
       if (!postData.metaDescription) delete postData.metaDescription;
       if (postData.tags.length === 0) delete postData.tags;
+      if (!postData.scheduledFor) delete postData.scheduledFor;
 
       console.log("Submitting post data:", postData);
 
       const response = await postsAPI.createPost(postData);
+      await draftAutosave.discard();
 
       // Check if post was flagged for violations
       if (response.violationReport?.hasViolations) {
@@ -521,6 +562,14 @@ const CreatePost = () => {
             />
           </div>
 
+          <DraftRecoveryBanner
+            recovery={draftAutosave.recovery}
+            conflict={draftAutosave.conflict}
+            onRestore={draftAutosave.restoreRecovery}
+            onDismiss={draftAutosave.dismissRecovery}
+            onResolveConflict={draftAutosave.resolveConflict}
+          />
+
           <Card className="p-8 border-0 shadow-xl dark:shadow-2xl dark:shadow-gray-900/30">
             <form
               onSubmit={handleSubmit((data) => onSubmit(data, "pending"))}
@@ -849,8 +898,37 @@ const CreatePost = () => {
                 </div>
               </div>
 
+              {/* Requested publication time */}
+              <div className="space-y-3">
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Publish On (optional)
+                </label>
+                <input
+                  type="datetime-local"
+                  {...register("scheduledFor", {
+                    validate: (value) =>
+                      !value ||
+                      new Date(value) > new Date() ||
+                      "Publication time must be in the future",
+                  })}
+                  className="block w-full sm:w-72 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-sm"
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Leave empty to publish as soon as the post is approved.
+                </p>
+                {errors.scheduledFor && (
+                  <p className="text-sm text-red-600 dark:text-red-400">
+                    {errors.scheduledFor.message}
+                  </p>
+                )}
+              </div>
+
               {/* Action Buttons */}
               <div className="responsive-flex pt-6 border-t border-gray-200 dark:border-gray-700">
+                <AutosaveStatus
+                  status={draftAutosave.status}
+                  lastSavedAt={draftAutosave.lastSavedAt}
+                />
                 <Button
                   type="button"
                   variant="secondary"
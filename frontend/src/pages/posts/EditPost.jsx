@@ -37,6 +37,7 @@ import {
   Link as LinkIcon,
   X,
   Users,
+  History,
 } from "lucide-react";
 import Card from "../../components/common/Card";
 import Button from "../../components/common/Button";
@@ -44,8 +45,16 @@ import Input from "../../components/common/Input";
 import RichTextEditor from "../../components/common/RichTextEditor";
 import LoadingSpinner from "../../components/common/LoadingSpinner";
 import ContentGeneratorPanel from "../../components/ai/ContentGeneratorPanel";
-import { CollaboratorManager, ReviewPanel } from "../../components/collaboration";
+import {
+  CollaboratorManager,
+  ReviewPanel,
+  RevisionHistoryPanel,
+} from "../../components/collaboration";
+import DraftRecoveryBanner, {
+  AutosaveStatus,
+} from "../../components/posts/DraftRecoveryBanner";
 import { useAuth } from "../../hooks/useAuth";
+import { useDraftAutosave } from "../../hooks/useDraftAutosave";
 import { useSocket } from "../../contexts/SocketContext";
 import toast from "react-hot-toast";
 
@@ -80,6 +89,7 @@ const EditPost = () => {
   const [imageUrl, setImageUrl] = useState("");
   const [showUrlInput, setShowUrlInput] = useState(false);
   const [postAuthorId, setPostAuthorId] = useState(null);
+  const [canRestoreRevisions, setCanRestoreRevisions] = useState(false);
   const fileInputRef = useRef(null);
 
   // Collaboration State
@@ -87,6 +97,33 @@ const EditPost = () => {
   const [activeEditors, setActiveEditors] = useState([]);
   const [typingUsers, setTypingUsers] = useState({});
 
+  // Autosave unsaved edits (honours the "Auto-save" writing preference)
+  const formValues = watch();
+  const draftAutosave = useDraftAutosave({
+    draftKey: id,
+    userId: user?._id,
+    values: {
+      ...formValues,
+      tags: formValues.tags
+        ? formValues.tags
+            .split(",")
+            .map((tag) => tag.trim())
+            .filter(Boolean)
+        : [],
+    },
+    ready: !loading,
+    enabled: user?.preferences?.autoSave !== false,
+    onRestore: (fields) => {
+      setValue("title", fields.title);
+      setValue("content", fields.content);
+      setValue("excerpt", fields.excerpt);
+      if (fields.category) setValue("category", fields.category);
+      setValue("tags", fields.tags.join(", "));
+      setValue("featuredImage", fields.featuredImage);
+      setImagePreview(fields.featuredImage);
+    },
+  });
+
   useEffect(() => {
     fetchPost();
   }, [id]);
@@ -107,6 +144,15 @@ const EditPost = () => {
 
       setImagePreview(post.featuredImage);
       setPostAuthorId(post.author?._id || post.author);
+
+      // Same rule as the server: author, editor co-authors and admins
+      const authorId = post.author?._id || post.author;
+      const isEditor = post.coAuthors?.some(
+        (ca) => (ca.user?._id || ca.user) === user?._id && ca.role === "editor",
+      );
+      setCanRestoreRevisions(
+        authorId === user?._id || isEditor || !!user?.roles?.includes("admin"),
+      );
     } catch (error) {
       console.error("Error fetching post:", error);
       toast.error("Failed to load post");
@@ -200,6 +246,7 @@ const EditPost = () => {
       }
 
       await postsAPI.updatePost(id, postData);
+      await draftAutosave.discard();
 
       toast.success("Post updated successfully!");
       navigate(`/posts/${id}`);
@@ -456,6 +503,14 @@ const EditPost = () => {
         </div>
       </div>
 
+      <DraftRecoveryBanner
+        recovery={draftAutosave.recovery}
+        conflict={draftAutosave.conflict}
+        onRestore={draftAutosave.restoreRecovery}
+        onDismiss={draftAutosave.dismissRecovery}
+        onResolveConflict={draftAutosave.resolveConflict}
+      />
+
       <Card className="p-8 border-0 shadow-xl dark:shadow-2xl dark:shadow-gray-900/30">
         <form
           onSubmit={handleSubmit((data) => onSubmit(data))}
@@ -681,6 +736,30 @@ const EditPost = () => {
             </div>
           </div>
 
+          {/* Change Note */}
+          <div className="space-y-3">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Change note{" "}
+              <span className="text-gray-400 font-normal">(optional)</span>
+            </label>
+            <input
+              type="text"
+              {...register("changeNote", {
+                maxLength: {
+                  value: 200,
+                  message: "Change note cannot exceed 200 characters",
+                },
+              })}
+              placeholder="Briefly describe what you changed - shown in the revision history"
+              className="block w-full rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 px-4 py-3 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+            />
+            {errors.changeNote && (
+              <p className="text-sm text-red-600 dark:text-red-400">
+                {errors.changeNote.message}
+              </p>
+            )}
+          </div>
+
           {/* Content Editor */}
           <div className="space-y-4">
             <div className="flex items-center justify-between">
@@ -731,7 +810,11 @@ const EditPost = () => {
           </div>
 
           {/* Action Buttons */}
-          <div className="flex flex-col sm:flex-row gap-4 pt-6 border-t border-gray-200 dark:border-gray-700">
+          <div className="flex flex-col sm:flex-row sm:items-center gap-4 pt-6 border-t border-gray-200 dark:border-gray-700">
+            <AutosaveStatus
+              status={draftAutosave.status}
+              lastSavedAt={draftAutosave.lastSavedAt}
+            />
             <Button
               type="button"
               variant="secondary"
@@ -781,6 +864,26 @@ const EditPost = () => {
         </div>
       </div>
 
+      {/* Revision History Section */}
+      <div className="mt-8">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="w-2 h-6 bg-blue-500 rounded-full"></div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+            <History className="w-5 h-5 text-blue-500" />
+            History
+          </h2>
+        </div>
+        <RevisionHistoryPanel
+          postId={id}
+          canRestore={canRestoreRevisions}
+          onRestored={(restored) => {
+            setValue("title", restored.title);
+            // While connected the editor receives the restored document over the socket
+            if (!isConnected) setValue("content", restored.content);
+          }}
+        />
+      </div>
+
       {/* AI Content Generator Sidebar */}
       <div className="fixed top-24 right-8 w-80 hidden xl:block">
         <ContentGeneratorPanel
@@ -12,7 +12,7 @@
  *   4. Engagement Bar - Like, dislike, share buttons
  *   5. Author Card - Author bio and follow button
  *   6. Comments Section - View and add comments
- *   7. Related Posts - Similar posts (future feature)
+ *   7. Related Posts - "Read next" posts ranked by similarity
  *
  * FEATURES:
  *   - Like/dislike posts (requires login)
@@ -32,7 +32,7 @@
  */
 
 import { useState, useEffect } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { Link, useParams, useNavigate, useLocation } from "react-router-dom";
 import { motion } from "framer-motion";
 import { postsAPI } from "../../api/posts";
 import { useAuth } from "../../hooks/useAuth";
@@ -55,6 +55,7 @@ import {
   Mail,
   MessageCircle,
   Check,
+  Flag,
 } from "lucide-react";
 import Button from "../../components/common/Button";
 import Badge from "../../components/common/Badge";
@@ -65,11 +66,15 @@ import PostTemplate from "../../components/blog/PostTemplate";
 import toast from "react-hot-toast";
 import { format, formatDistanceToNow } from "date-fns";
 import CommentSection from "../../components/blog/CommentSection";
-import { commentsAPI } from "../../api/comments";
+import RelatedPosts from "../../components/blog/RelatedPosts";
+import ReportModal from "../../components/moderation/ReportModal";
+import { useComments } from "../../hooks/useComments";
+import { useReadTracking } from "../../hooks/useReadTracking";
 
 const PostDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
   const { user } = useAuth();
   const [post, setPost] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -79,13 +84,14 @@ const PostDetail = () => {
   const [deleting, setDeleting] = useState(false);
   const [loginPrompt, setLoginPrompt] = useState(false);
   const [shareModal, setShareModal] = useState(false);
-  const [comments, setComments] = useState([]);
+  const [reportTarget, setReportTarget] = useState(null);
+  const commentThreads = useComments(id);
+  const articleRef = useReadTracking(post?._id);
 
   useEffect(() => {
     if (id) {
       const timer = setTimeout(() => {
         fetchPost();
-        fetchComments();
       }, 10);
       return () => clearTimeout(timer);
     }
@@ -94,7 +100,15 @@ const PostDetail = () => {
   const fetchPost = async () => {
     try {
       setLoading(true);
-      const response = await postsAPI.getPostWithView(id);
+      // The router gives the first page load the key "default"; anything
+      // else was reached by navigating inside the app
+      const referrer =
+        location.key !== "default"
+          ? "internal"
+          : new URLSearchParams(location.search).get("utm_medium") === "email"
+            ? "email"
+            : document.referrer;
+      const response = await postsAPI.getPostWithView(id, referrer);
       const postData = response.post || response.data?.post;
       setPost(postData);
       if (user && postData?.likes) {
@@ -183,6 +197,14 @@ const PostDetail = () => {
     setShareModal(true);
   };
 
+  const handleReport = (type, targetId, label) => {
+    if (!user) {
+      setLoginPrompt(true);
+      return;
+    }
+    setReportTarget({ type, id: targetId, label });
+  };
+
   const handleEdit = () => {
     navigate(`/posts/${id}/edit`);
   };
@@ -201,131 +223,6 @@ const PostDetail = () => {
     }
   };
 
-  const fetchComments = async () => {
-    try {
-      const response = await commentsAPI.getComments(id);
-      setComments(response.data?.comments || []);
-    } catch (error) {
-      console.error("Error fetching comments:", error);
-    }
-  };
-
-  const handleAddComment = async (content, parentId = null) => {
-    try {
-      const response = await commentsAPI.createComment(id, content, parentId);
-      if (parentId) {
-        setComments((prev) =>
-          prev.map((comment) => {
-            if (comment._id === parentId) {
-              return {
-                ...comment,
-                replies: [...(comment.replies || []), response.data.comment],
-              };
-            }
-            return comment;
-          })
-        );
-      } else {
-        setComments((prev) => [response.data.comment, ...prev]);
-      }
-    } catch (error) {
-      console.error("Error adding comment:", error);
-      throw error;
-    }
-  };
-
-  const handleDeleteComment = async (commentId) => {
-    try {
-      await commentsAPI.deleteComment(commentId);
-      setComments((prev) =>
-        prev.filter((comment) => {
-          if (comment._id === commentId) return false;
-          if (comment.replies) {
-            comment.replies = comment.replies.filter(
-              (reply) => reply._id !== commentId
-            );
-          }
-          return true;
-        })
-      );
-    } catch (error) {
-      console.error("Error deleting comment:", error);
-      throw error;
-    }
-  };
-
-  const handleEditComment = async (commentId, newContent) => {
-    try {
-      await commentsAPI.updateComment(commentId, newContent);
-      setComments((prev) =>
-        prev.map((comment) => {
-          if (comment._id === commentId) {
-            return { ...comment, content: newContent, isEdited: true };
-          }
-          if (comment.replies) {
-            comment.replies = comment.replies.map((reply) =>
-              reply._id === commentId
-                ? { ...reply, content: newContent, isEdited: true }
-                : reply
-            );
-          }
-          return comment;
-        })
-      );
-    } catch (error) {
-      console.error("Error editing comment:", error);
-      throw error;
-    }
-  };
-
-  const handleLikeComment = async (commentId) => {
-    try {
-      const comment =
-        comments.find((c) => c._id === commentId) ||
-        comments
-          .flatMap((c) => c.replies || [])
-          .find((r) => r._id === commentId);
-      const isCurrentlyLiked = comment?.isLiked;
-
-      setComments((prev) =>
-        prev.map((comment) => {
-          if (comment._id === commentId) {
-            return {
-              ...comment,
-              isLiked: !isCurrentlyLiked,
-              likesCount: isCurrentlyLiked
-                ? comment.likesCount - 1
-                : comment.likesCount + 1,
-            };
-          }
-          if (comment.replies) {
-            comment.replies = comment.replies.map((reply) =>
-              reply._id === commentId
-                ? {
-                    ...reply,
-                    isLiked: !isCurrentlyLiked,
-                    likesCount: isCurrentlyLiked
-                      ? reply.likesCount - 1
-                      : reply.likesCount + 1,
-                  }
-                : reply
-            );
-          }
-          return comment;
-        })
-      );
-
-      if (isCurrentlyLiked) {
-        await commentsAPI.unlikeComment(commentId);
-      } else {
-        await commentsAPI.likeComment(commentId);
-      }
-    } catch (error) {
-      console.error("Error liking comment:", error);
-      fetchComments();
-    }
-  };
-
   const isAuthor = user && post && post.author?._id === user._id;
   const isAdmin =
     user &&
@@ -439,7 +336,16 @@ const PostDetail = () => {
                 />
                 <div>
                   <p className="font-semibold text-gray-900 dark:text-white text-lg">
-                    {post.author?.fullName || "Unknown Author"}
+                    {post.author?.username ? (
+                      <Link
+                        to={`/u/${post.author.username}`}
+                        className="hover:underline"
+                      >
+                        {post.author.fullName || `@${post.author.username}`}
+                      </Link>
+                    ) : (
+                      post.author?.fullName || "Unknown Author"
+                    )}
                   </p>
                   <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
                     <Calendar className="w-4 h-4" />
@@ -547,15 +453,17 @@ const PostDetail = () => {
             )}
 
             {/* Article Content - Smart Template */}
-            <PostTemplate
-              content={post.content}
-              showProgress={true}
-              showToc={true}
-              showMeta={true}
-              onShare={handleShare}
-              onBookmark={() => toast.success("Bookmark feature coming soon!")}
-              isBookmarked={false}
-            />
+            <div ref={articleRef}>
+              <PostTemplate
+                content={post.content}
+                showProgress={true}
+                showToc={true}
+                showMeta={true}
+                onShare={handleShare}
+                onBookmark={() => toast.success("Bookmark feature coming soon!")}
+                isBookmarked={false}
+              />
+            </div>
 
             {/* Action Buttons */}
             <div className="flex flex-wrap items-center gap-4 pt-8 border-t border-gray-200 dark:border-gray-700">
@@ -621,6 +529,18 @@ const PostDetail = () => {
                 <span>Share</span>
               </motion.button>
 
+              {!isAuthor && (
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => handleReport("post", post._id, post.title)}
+                  className="flex items-center gap-2 px-4 py-2 rounded-full font-medium text-gray-500 dark:text-gray-400 hover:bg-red-50 dark:hover:bg-red-900/20 hover:text-red-600 dark:hover:text-red-400 transition-all"
+                >
+                  <Flag className="w-4 h-4" />
+                  <span>Report</span>
+                </motion.button>
+              )}
+
               {(isAuthor || isAdmin) && (
                 <>
                   <motion.button
@@ -647,6 +567,9 @@ const PostDetail = () => {
           </div>
         </motion.article>
 
+        {/* Related Posts */}
+        {post.status === "published" && <RelatedPosts postId={post._id} />}
+
         {/* Comment Section */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -657,13 +580,25 @@ const PostDetail = () => {
           <CommentSection
             postId={id}
             postAuthorId={post?.author?._id}
-            comments={comments}
+            comments={commentThreads.comments}
+            totalCount={commentThreads.totalCount}
+            sort={commentThreads.sort}
+            onSortChange={commentThreads.setSort}
+            loading={commentThreads.loading}
+            hasMore={commentThreads.hasMore}
+            loadingMore={commentThreads.loadingMore}
+            onLoadMore={commentThreads.loadMore}
+            loadingReplies={commentThreads.loadingReplies}
+            onLoadReplies={commentThreads.loadReplies}
             user={user}
             isAuthenticated={!!user}
-            onAddComment={handleAddComment}
-            onDeleteComment={handleDeleteComment}
-            onEditComment={handleEditComment}
-            onLikeComment={handleLikeComment}
+            onAddComment={commentThreads.addComment}
+            onDeleteComment={commentThreads.deleteComment}
+            onEditComment={commentThreads.editComment}
+            onLikeComment={commentThreads.toggleLike}
+            onReportComment={(comment) =>
+              handleReport("comment", comment._id, comment.content)
+            }
             onLoginPrompt={() => setLoginPrompt(true)}
           />
         </motion.div>
@@ -694,6 +629,14 @@ const PostDetail = () => {
           isAuthenticated={!!user}
         />
       )}
+
+      <ReportModal
+        isOpen={!!reportTarget}
+        onClose={() => setReportTarget(null)}
+        targetType={reportTarget?.type}
+        targetId={reportTarget?.id}
+        targetLabel={reportTarget?.label}
+      />
     </div>
   );
 };
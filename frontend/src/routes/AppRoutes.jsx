@@ -26,6 +26,7 @@ const CompleteGoogleProfile = lazy(() =>
 const Dashboard = lazy(() => import("../pages/Dashboard"));
 const Profile = lazy(() => import("../pages/Profile"));
 const EditProfile = lazy(() => import("../pages/EditProfile"));
+const PublicProfile = lazy(() => import("../pages/PublicProfile"));
 const Settings = lazy(() => import("../pages/Settings"));
 const PendingUsers = lazy(() => import("../pages/admin/PendingUsers"));
 const PendingAuthors = lazy(() => import("../pages/admin/PendingAuthors"));
@@ -45,6 +46,11 @@ const RolesPermissions = lazy(() =>
 );
 const Categories = lazy(() => import("../pages/admin/Categories.jsx"));
 const AuditLogs = lazy(() => import("../pages/admin/AuditLogs"));
+const ScheduledPosts = lazy(() => import("../pages/admin/ScheduledPosts"));
+const NewsletterCampaigns = lazy(() =>
+  import("../pages/admin/NewsletterCampaigns")
+);
+const CampaignComposer = lazy(() => import("../pages/admin/CampaignComposer"));
 const SystemSettings = lazy(() => import("../pages/admin/SystemSettings"));
 const Programs = lazy(() => import("../pages/admin/Programs"));
 const UnifiedModeratorDashboard = lazy(() =>
@@ -73,6 +79,7 @@ const MyPosts = lazy(() => import("../pages/posts/MyPosts"));
 const Notifications = lazy(() => import("../pages/Notifications"));
 const NotFound = lazy(() => import("../pages/NotFound"));
 const Unsubscribe = lazy(() => import("../pages/Unsubscribe"));
+const UnlockAccount = lazy(() => import("../pages/UnlockAccount"));
 const TermsPage = lazy(() => import("../pages/TermsPage"));
 const Maintenance = lazy(() => import("../pages/Maintenance"));
 
@@ -129,6 +136,7 @@ const AppRoutes = () => {
         <Route path="/forgot-password" element={<ForgotPassword />} />
         <Route path="/reset-password" element={<ResetPassword />} />
         <Route path="/unsubscribe" element={<Unsubscribe />} />
+        <Route path="/unlock-account" element={<UnlockAccount />} />
         <Route path="/terms" element={<TermsPage />} />
         <Route path="/maintenance" element={<Maintenance />} />
         <Route
@@ -191,6 +199,9 @@ const AppRoutes = () => {
 
         {/* Post detail is public - guests can view but need login for likes/comments */}
         <Route path="/posts/:id" element={<PostDetail />} />
+
+        {/* Author profiles are public, subject to the author's privacy settings */}
+        <Route path="/u/:username" element={<PublicProfile />} />
         <Route
           path="/posts/create"
           element={
@@ -310,6 +321,38 @@ const AppRoutes = () => {
             </AdminRoute>
           }
         />
+        <Route
+          path="/admin/scheduled-posts"
+          element={
+            <AdminRoute>
+              <ScheduledPosts />
+            </AdminRoute>
+          }
+        />
+        <Route
+          path="/admin/newsletter"
+          element={
+            <AdminRoute>
+              <NewsletterCampaigns />
+            </AdminRoute>
+          }
+        />
+        <Route
+          path="/admin/newsletter/new"
+          element={
+            <AdminRoute>
+              <CampaignComposer />
+            </AdminRoute>
+          }
+        />
+        <Route
+          path="/admin/newsletter/:id"
+          element={
+            <AdminRoute>
+              <CampaignComposer />
+            </AdminRoute>
+          }
+        />
         <Route
           path="/admin/contacts"
           element={
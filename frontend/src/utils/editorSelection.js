@@ -0,0 +1,117 @@
+/**
+ * Editor Selection Utility
+ * Converts between DOM selections inside a contentEditable element and
+ * plain character offsets into its textContent, so carets and remote
+ * cursors survive the editor's innerHTML being replaced.
+ */
+
+/**
+ * Find the text node and local offset for a character offset
+ */
+function locateOffset(root, offset) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let remaining = offset;
+  let node = walker.nextNode();
+  let last = null;
+
+  while (node) {
+    if (remaining <= node.data.length) {
+      return { node, offset: remaining };
+    }
+    remaining -= node.data.length;
+    last = node;
+    node = walker.nextNode();
+  }
+
+  // Past the end (or no text at all) - clamp to the end of the content
+  if (last) return { node: last, offset: last.data.length };
+  return { node: root, offset: root.childNodes.length };
+}
+
+/**
+ * Character offset of a DOM position measured from the start of root
+ */
+function measureOffset(root, node, offset) {
+  const range = document.createRange();
+  range.setStart(root, 0);
+  range.setEnd(node, offset);
+  return range.toString().length;
+}
+
+/**
+ * Get the current selection as text offsets, or null if it is outside root
+ * @param {HTMLElement} root - Editor element
+ * @returns {{start: number, end: number}|null}
+ */
+export function getSelectionOffsets(root) {
+  const selection = window.getSelection();
+  if (!root || !selection || selection.rangeCount === 0) return null;
+
+  const range = selection.getRangeAt(0);
+  if (!root.contains(range.startContainer) || !root.contains(range.endContainer)) {
+    return null;
+  }
+
+  return {
+    start: measureOffset(root, range.startContainer, range.startOffset),
+    end: measureOffset(root, range.endContainer, range.endOffset),
+  };
+}
+
+/**
+ * Build a DOM range covering the given text offsets
+ * @param {HTMLElement} root - Editor element
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {Range}
+ */
+export function createRangeFromOffsets(root, start, end = start) {
+  const range = document.createRange();
+  const from = locateOffset(root, start);
+  const to = locateOffset(root, end);
+  range.setStart(from.node, from.offset);
+  range.setEnd(to.node, to.offset);
+  return range;
+}
+
+/**
+ * Select the given text offsets inside root
+ * @param {HTMLElement} root - Editor element
+ * @param {{start: number, end: number}} offsets - Selection to restore
+ */
+export function setSelectionOffsets(root, { start, end }) {
+  const selection = window.getSelection();
+  if (!root || !selection) return;
+
+  selection.removeAllRanges();
+  selection.addRange(createRangeFromOffsets(root, start, end));
+}
+
+/**
+ * Move a text offset across an edit that turned oldText into newText
+ * Offsets before the changed region stay put, offsets after it shift by
+ * the change in length, and offsets inside it move to its end.
+ * @param {number} offset - Offset in oldText
+ * @param {string} oldText - Text before the edit
+ * @param {string} newText - Text after the edit
+ * @returns {number} Offset in newText
+ */
+export function shiftOffset(offset, oldText, newText) {
+  if (oldText === newText) return offset;
+
+  let prefix = 0;
+  const minLength = Math.min(oldText.length, newText.length);
+  while (prefix < minLength && oldText[prefix] === newText[prefix]) prefix++;
+
+  let suffix = 0;
+  while (
+    suffix < minLength - prefix &&
+    oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) suffix++;
+
+  if (offset <= prefix) return offset;
+  if (offset >= oldText.length - suffix) {
+    return offset + newText.length - oldText.length;
+  }
+  return newText.length - suffix;
+}
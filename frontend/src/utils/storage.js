@@ -5,6 +5,8 @@ const TOKEN_KEY = 'admas_access_token';
 const REFRESH_TOKEN_KEY = 'admas_refresh_token';
 const USER_KEY = 'admas_user';
 const REMEMBER_ME_KEY = 'admas_remember_me';
+// In localStorage so activity in any tab counts for all of them
+const LAST_ACTIVITY_KEY = 'admas_last_activity';
 
 // Helper to get the appropriate storage based on "remember me" preference
 const getStorage = () => {
@@ -56,6 +58,7 @@ export const removeToken = () => {
     localStorage.removeItem(TOKEN_KEY);
     localStorage.removeItem(REFRESH_TOKEN_KEY);
     localStorage.removeItem(USER_KEY);
+    localStorage.removeItem(LAST_ACTIVITY_KEY);
     sessionStorage.removeItem(TOKEN_KEY);
     sessionStorage.removeItem(REFRESH_TOKEN_KEY);
     sessionStorage.removeItem(USER_KEY);
@@ -103,6 +106,23 @@ export const setUser = (user) => {
   }
 };
 
+// Last user activity (ms timestamp), for the idle timeout
+export const getLastActivity = () => {
+  try {
+    return Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+export const setLastActivity = (time = Date.now()) => {
+  try {
+    localStorage.setItem(LAST_ACTIVITY_KEY, String(time));
+  } catch (error) {
+    console.error('Error setting last activity:', error);
+  }
+};
+
 // Clear all auth data
 export const clearAuth = () => {
   try {